@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+// Queries inside mongoose.connection.transaction() join its session automatically (see utils/transactionService.js)
+mongoose.set('transactionAsyncLocalStorage', true);
+
 const connectDB = async () => {
   try {
     const conn = await mongoose.connect(process.env.MONGODB_URI, {
@@ -0,0 +1,85 @@
+/**
+ * Bulk Import Constants
+ *
+ * Columns accepted by the vehicle and load bulk imports. Spreadsheet headers are matched
+ * case- and punctuation-insensitively against the field name, the field name without the
+ * "initial" prefix (e.g. "Pickup City") and the listed aliases.
+ * Columns with target 'transportJob' are only used when transport jobs are created.
+ */
+
+const DESTINATION_TYPES = ['PF', 'Auction', 'Other'];
+const DELIVERY_PRIORITIES = ['Low', 'Normal', 'High', 'Urgent'];
+const TRANSPORT_PURPOSES = ['initial_delivery', 'relocation', 'dealer_transfer', 'auction', 'service', 'redistribution'];
+
+const MAX_IMPORT_ROWS = 1000;
+
+const SHIPPER_COLUMNS = [
+  { field: 'shipperName', type: 'string', aliases: ['shipper', 'shippercontact'] },
+  { field: 'shipperCompany', type: 'string', aliases: ['company', 'dealer', 'dealership'] },
+  { field: 'shipperEmail', type: 'email', aliases: ['email'] },
+  { field: 'shipperPhone', type: 'string', aliases: ['phone'] }
+];
+
+const LOCATION_COLUMNS = [
+  { field: 'initialPickupLocationName', type: 'string', aliases: ['pickuplocation', 'origin', 'originname'] },
+  { field: 'initialPickupCity', type: 'string', aliases: ['origincity'] },
+  { field: 'initialPickupState', type: 'string', aliases: ['originstate'] },
+  { field: 'initialPickupZip', type: 'string', aliases: ['originzip', 'pickupzipcode'] },
+  { field: 'initialPickupContactName', type: 'string', aliases: ['pickupcontact'] },
+  { field: 'initialPickupContactPhone', type: 'string', aliases: ['pickupphone'] },
+  { field: 'initialDropDestinationType', type: 'enum', values: DESTINATION_TYPES, aliases: ['destinationtype', 'droptype'] },
+  { field: 'initialDropLocationName', type: 'string', aliases: ['droplocation', 'destination', 'destinationname'] },
+  { field: 'initialDropCity', type: 'string', aliases: ['destinationcity', 'deliverycity'] },
+  { field: 'initialDropState', type: 'string', aliases: ['destinationstate', 'deliverystate'] },
+  { field: 'initialDropZip', type: 'string', aliases: ['destinationzip', 'deliveryzip', 'dropzipcode'] },
+  { field: 'initialDropContactName', type: 'string', aliases: ['dropcontact', 'deliverycontact'] },
+  { field: 'initialDropContactPhone', type: 'string', aliases: ['dropphone', 'deliveryphone'] }
+];
+
+const COMMON_COLUMNS = [
+  { field: 'deliveryPriority', type: 'enum', values: DELIVERY_PRIORITIES, aliases: ['priority'] },
+  { field: 'notes', type: 'string', aliases: ['note', 'comments'] }
+];
+
+const TRANSPORT_JOB_COLUMNS = [
+  { field: 'carrierPayment', type: 'number', target: 'transportJob', aliases: ['rate', 'price', 'payment'] },
+  { field: 'transportPurpose', type: 'enum', values: TRANSPORT_PURPOSES, target: 'transportJob', aliases: ['purpose'] },
+  { field: 'pickupDateStart', type: 'date', target: 'transportJob', aliases: ['pickupdate'] },
+  { field: 'pickupDateEnd', type: 'date', target: 'transportJob' },
+  { field: 'dropDateStart', type: 'date', target: 'transportJob', aliases: ['dropdate', 'deliverydate'] },
+  { field: 'dropDateEnd', type: 'date', target: 'transportJob' }
+];
+
+const IMPORT_COLUMNS = {
+  vehicle: [
+    { field: 'vin', type: 'vin', required: true, aliases: ['vinnumber', 'vehiclevin'] },
+    { field: 'year', type: 'year', required: true, aliases: ['modelyear', 'vehicleyear'] },
+    { field: 'make', type: 'string', required: true, aliases: ['manufacturer'] },
+    { field: 'model', type: 'string', required: true, aliases: ['vehiclemodel'] },
+    { field: 'weight', type: 'number', aliases: ['weightlbs'] },
+    ...SHIPPER_COLUMNS,
+    ...LOCATION_COLUMNS,
+    ...COMMON_COLUMNS,
+    ...TRANSPORT_JOB_COLUMNS
+  ],
+  load: [
+    { field: 'description', type: 'string', required: true, aliases: ['loaddescription', 'item', 'cargo'] },
+    { field: 'loadType', type: 'string', aliases: ['type', 'category'] },
+    { field: 'weight', type: 'number', aliases: ['weightlbs'] },
+    { field: 'quantity', type: 'integer', aliases: ['qty', 'pieces'] },
+    { field: 'unit', type: 'string', aliases: ['units'] },
+    { field: 'dimensions.length', type: 'number', aliases: ['length', 'lengthin'] },
+    { field: 'dimensions.width', type: 'number', aliases: ['width', 'widthin'] },
+    { field: 'dimensions.height', type: 'number', aliases: ['height', 'heightin'] },
+    ...SHIPPER_COLUMNS,
+    ...LOCATION_COLUMNS,
+    ...COMMON_COLUMNS,
+    ...TRANSPORT_JOB_COLUMNS
+  ]
+};
+
+module.exports = {
+  IMPORT_COLUMNS,
+  MAX_IMPORT_ROWS,
+  TRANSPORT_PURPOSES
+};
@@ -0,0 +1,33 @@
+/**
+ * Compliance Document Constants
+ *
+ * Documents that must stay current for a driver or truck to be assigned to a route.
+ */
+
+const DRIVER_DOCUMENT_TYPES = {
+  cdl: 'Commercial driver license (CDL)',
+  medical_card: 'DOT medical card',
+  other: 'Other'
+};
+
+const TRUCK_DOCUMENT_TYPES = {
+  registration: 'Registration',
+  insurance: 'Insurance certificate',
+  other: 'Other'
+};
+
+const COMPLIANCE_DOCUMENT_STATUS = {
+  VALID: 'valid',
+  EXPIRING: 'expiring',
+  EXPIRED: 'expired'
+};
+
+// Days before expiry a warning email is sent (0 = on the expiry day)
+const EXPIRY_WARNING_DAYS = [30, 14, 0];
+
+module.exports = {
+  DRIVER_DOCUMENT_TYPES,
+  TRUCK_DOCUMENT_TYPES,
+  COMPLIANCE_DOCUMENT_STATUS,
+  EXPIRY_WARNING_DAYS
+};
@@ -0,0 +1,56 @@
+/**
+ * Driver Vehicle Inspection Report (DVIR) Constants
+ *
+ * Components follow the items a driver must cover on a truck pre-trip/post-trip inspection.
+ */
+
+const DVIR_TYPES = {
+  PRE_TRIP: 'pre_trip',
+  POST_TRIP: 'post_trip'
+};
+
+const DVIR_COMPONENTS = {
+  service_brakes: 'Service brakes',
+  parking_brake: 'Parking brake',
+  air_system: 'Air lines and compressor',
+  tires: 'Tires',
+  wheels_rims: 'Wheels and rims',
+  lights: 'Lights and reflectors',
+  coupling: 'Coupling devices (fifth wheel, hitch)',
+  steering: 'Steering mechanism',
+  suspension: 'Suspension',
+  horn: 'Horn',
+  mirrors: 'Mirrors',
+  windshield_wipers: 'Windshield and wipers',
+  fuel_system: 'Fuel system',
+  exhaust: 'Exhaust system',
+  emergency_equipment: 'Emergency equipment',
+  ramps_tie_downs: 'Ramps and tie-downs'
+};
+
+const DVIR_CONDITIONS = {
+  OK: 'ok',
+  DEFECTIVE: 'defective',
+  NOT_APPLICABLE: 'not_applicable'
+};
+
+const DVIR_STATUS = {
+  SATISFACTORY: 'satisfactory',
+  DEFECTS_REPORTED: 'defects_reported',
+  CERTIFIED: 'certified'
+};
+
+// Outcome of the mechanic's review of a defect
+const DEFECT_STATUS = {
+  OPEN: 'open',
+  REPAIRED: 'repaired',
+  NO_REPAIR_NEEDED: 'no_repair_needed'
+};
+
+module.exports = {
+  DVIR_TYPES,
+  DVIR_COMPONENTS,
+  DVIR_CONDITIONS,
+  DVIR_STATUS,
+  DEFECT_STATUS
+};
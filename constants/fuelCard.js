@@ -0,0 +1,46 @@
+/**
+ * Fuel Card Import Constants
+ *
+ * Columns of fuel card statements (Comdata, EFS, WEX, Fleet One style exports). Headers are
+ * matched case- and punctuation-insensitively against the field name and the listed aliases,
+ * like the bulk imports (constants/bulkImport.js).
+ */
+
+const FUEL_CARD_MATCH_STATUS = {
+  MATCHED: 'matched', // Matched to a fuel expense with the same amount
+  DISCREPANCY: 'discrepancy', // Matched to a fuel expense, but the amount or gallons differ
+  CREATED: 'created', // No fuel expense was entered; one was created from the transaction
+  UNMATCHED: 'unmatched', // No fuel expense was entered and none was created
+  DUPLICATE: 'duplicate' // The same transaction is repeated in the file or was already imported
+};
+
+const MAX_FUEL_CARD_ROWS = 5000;
+
+// Rows of products that aren't truck fuel (DEF, reefer fuel, cash advances, ...) are skipped
+const NON_FUEL_PRODUCT_PATTERN = /\bdef\b|exhaust fluid|reefer|\boil\b|cash|advance|scale|wash|parking|toll|merch|shower/i;
+const PETROL_PRODUCT_PATTERN = /gas|unleaded|petrol|\bunl\b|\breg\b/i;
+
+const FUEL_CARD_COLUMNS = [
+  { field: 'transactionDate', type: 'date', required: true, aliases: ['date', 'trandate', 'transdate', 'transactiondatetime', 'purchasedate', 'datetime'] },
+  { field: 'transactionTime', type: 'string', aliases: ['time', 'trantime', 'transtime', 'purchasetime'] },
+  { field: 'transactionId', type: 'string', aliases: ['transaction', 'transactionnumber', 'transid', 'tranid', 'trannumber', 'invoice', 'invoicenumber', 'reference', 'referencenumber'] },
+  { field: 'cardNumber', type: 'string', aliases: ['card', 'cardno', 'cardnum', 'cardlast4'] },
+  { field: 'unitNumber', type: 'string', aliases: ['unit', 'unitno', 'unitnum', 'truck', 'trucknumber', 'truckno', 'tractor', 'tractornumber', 'vehiclenumber'] },
+  { field: 'driverName', type: 'string', aliases: ['driver', 'employee', 'employeename', 'cardholder', 'cardholdername'] },
+  { field: 'merchant', type: 'string', aliases: ['merchantname', 'location', 'locationname', 'site', 'sitename', 'truckstop', 'station', 'vendor'] },
+  { field: 'city', type: 'string', aliases: ['merchantcity', 'locationcity', 'sitecity'] },
+  { field: 'state', type: 'string', aliases: ['st', 'merchantstate', 'locationstate', 'sitestate', 'province'] },
+  { field: 'product', type: 'string', aliases: ['item', 'fueltype', 'producttype', 'productdescription', 'productcode'] },
+  { field: 'gallons', type: 'number', aliases: ['quantity', 'qty', 'units', 'volume', 'fuelquantity', 'gal'] },
+  { field: 'pricePerGallon', type: 'number', aliases: ['ppg', 'ppu', 'unitprice', 'price', 'pricepergal', 'retailppu'] },
+  { field: 'amount', type: 'number', required: true, aliases: ['total', 'totalamount', 'netamount', 'fuelamount', 'totalcost', 'invoiceamount', 'grossamount', 'transactionamount'] },
+  { field: 'odometer', type: 'number', aliases: ['odometerreading', 'odo', 'hubometer', 'mileage'] }
+];
+
+module.exports = {
+  FUEL_CARD_MATCH_STATUS,
+  MAX_FUEL_CARD_ROWS,
+  NON_FUEL_PRODUCT_PATTERN,
+  PETROL_PRODUCT_PATTERN,
+  FUEL_CARD_COLUMNS
+};
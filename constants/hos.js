@@ -0,0 +1,55 @@
+/**
+ * Hours-of-Service Constants
+ *
+ * Duty statuses and the FMCSA property-carrying limits used by utils/hosService.js.
+ */
+
+const DUTY_STATUS = {
+  OFF_DUTY: 'off_duty',
+  SLEEPER_BERTH: 'sleeper_berth',
+  DRIVING: 'driving',
+  ON_DUTY: 'on_duty' // On duty, not driving
+};
+
+// Row order and labels of the daily log grid
+const DUTY_STATUS_LABELS = {
+  [DUTY_STATUS.OFF_DUTY]: 'Off Duty',
+  [DUTY_STATUS.SLEEPER_BERTH]: 'Sleeper Berth',
+  [DUTY_STATUS.DRIVING]: 'Driving',
+  [DUTY_STATUS.ON_DUTY]: 'On Duty (Not Driving)'
+};
+
+// What caused a duty status change
+const DUTY_STATUS_SOURCES = [
+  'start_route', 'stop_route', 'resume_route', 'complete_route',
+  'geofence_arrival', 'geofence_departure', 'manual'
+];
+
+const HOS_LIMITS = {
+  DRIVING_HOURS: 11,
+  WINDOW_HOURS: 14,
+  // Consecutive off duty / sleeper berth time that starts a new shift
+  SHIFT_RESET_HOURS: 10,
+  // Driving allowed before a 30 minute interruption is required
+  BREAK_AFTER_DRIVING_HOURS: 8,
+  BREAK_MINUTES: 30,
+  // Consecutive off duty time that restarts the 60/70 hour cycle
+  CYCLE_RESTART_HOURS: 34
+};
+
+const HOS_CYCLES = {
+  '70_8': { hours: 70, days: 8 },
+  '60_7': { hours: 60, days: 7 }
+};
+
+// 'block' rejects a route start when a limit is reached, 'warn' only reports it
+const HOS_ENFORCEMENT_MODES = ['block', 'warn'];
+
+module.exports = {
+  DUTY_STATUS,
+  DUTY_STATUS_LABELS,
+  DUTY_STATUS_SOURCES,
+  HOS_LIMITS,
+  HOS_CYCLES,
+  HOS_ENFORCEMENT_MODES
+};
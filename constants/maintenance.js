@@ -0,0 +1,47 @@
+/**
+ * Preventive Maintenance Constants
+ *
+ * Templates for common truck maintenance plans. Each plan is reset by the truck's Expense
+ * records of the listed categories (optionally only those whose description contains a keyword).
+ */
+
+const MAINTENANCE_STATUS = {
+  OK: 'ok',
+  DUE_SOON: 'due_soon',
+  OVERDUE: 'overdue'
+};
+
+// Expense categories that record a service
+const SERVICE_EXPENSE_CATEGORIES = ['oil_change', 'tires', 'service'];
+
+const MAINTENANCE_PLAN_TEMPLATES = {
+  oil_change: {
+    name: 'Oil change',
+    intervalMiles: 15000,
+    intervalDays: 90,
+    expenseCategories: ['oil_change']
+  },
+  tire_rotation: {
+    name: 'Tire rotation',
+    intervalMiles: 12000,
+    expenseCategories: ['tires']
+  },
+  annual_dot_inspection: {
+    name: 'Annual DOT inspection',
+    intervalDays: 365,
+    expenseCategories: ['service'],
+    descriptionKeyword: 'inspection'
+  },
+  general_service: {
+    name: 'General service',
+    intervalMiles: 25000,
+    intervalDays: 180,
+    expenseCategories: ['service']
+  }
+};
+
+module.exports = {
+  MAINTENANCE_STATUS,
+  SERVICE_EXPENSE_CATEGORIES,
+  MAINTENANCE_PLAN_TEMPLATES
+};
@@ -0,0 +1,26 @@
+/**
+ * Organization Constants
+ *
+ * Each carrier company is an organization; its users and data are isolated from other organizations.
+ * Data created before multi-tenancy belongs to the default organization (scripts/migrateOrganizations.js).
+ */
+
+const { CARRIER } = require('./status');
+
+const DEFAULT_ORGANIZATION = {
+  NAME: 'Premium Transport Group',
+  SLUG: process.env.DEFAULT_ORGANIZATION_SLUG || 'ptg',
+  CARRIER_CODE: CARRIER.PTG
+};
+
+// Header a super admin sends to act within another organization
+const ORGANIZATION_HEADER = 'X-Organization-Id';
+
+// Lowercase letters, numbers and single dashes (used in public quote links and registration)
+const ORGANIZATION_SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+module.exports = {
+  DEFAULT_ORGANIZATION,
+  ORGANIZATION_HEADER,
+  ORGANIZATION_SLUG_PATTERN
+};
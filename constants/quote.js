@@ -0,0 +1,54 @@
+/**
+ * Quote Constants
+ *
+ * Statuses, vehicle types and the default rate table used until dispatchers configure one.
+ */
+
+const QUOTE_STATUS = {
+  OPEN: 'open',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
+  EXPIRED: 'expired'
+};
+
+const QUOTE_SOURCE = {
+  DISPATCHER: 'dispatcher',
+  PUBLIC: 'public'
+};
+
+// Vehicle types a quote can be for; the rate table can set a price multiplier per type
+const QUOTE_VEHICLE_TYPES = ['sedan', 'coupe', 'suv', 'pickup', 'van', 'motorcycle', 'heavy_duty', 'other'];
+
+const MAX_QUOTE_VEHICLES = 20;
+
+// Rate table used when none is active
+const DEFAULT_RATE_TABLE = {
+  name: 'Default',
+  defaultRatePerMile: 1.5,
+  minimumCharge: 250,
+  lanes: [],
+  vehicleTypeMultipliers: [
+    { vehicleType: 'suv', multiplier: 1.1 },
+    { vehicleType: 'pickup', multiplier: 1.15 },
+    { vehicleType: 'van', multiplier: 1.2 },
+    { vehicleType: 'motorcycle', multiplier: 0.8 },
+    { vehicleType: 'heavy_duty', multiplier: 1.5 }
+  ],
+  inoperableSurcharge: 150,
+  enclosedSurchargePercent: 40,
+  fuelSurcharge: {
+    enabled: true,
+    basePpg: 3.5,
+    stepPpg: 0.1,
+    percentPerStep: 1,
+    maxPercent: 25
+  }
+};
+
+module.exports = {
+  QUOTE_STATUS,
+  QUOTE_SOURCE,
+  QUOTE_VEHICLE_TYPES,
+  MAX_QUOTE_VEHICLES,
+  DEFAULT_RATE_TABLE
+};
@@ -0,0 +1,278 @@
+/**
+ * US State Boundary Constants
+ *
+ * Simplified boundaries of the 48 contiguous states (the US IFTA jurisdictions) for offline
+ * state lookup (utils/stateLookup.js). Each state is a list of rings of [longitude, latitude]
+ * points. Straight-line borders are exact; river and coast borders are simplified, so points
+ * within a few miles of those borders can resolve to the neighbouring state. DC is listed before
+ * Maryland and Virginia so it is matched first; it is not an IFTA jurisdiction.
+ */
+
+const STATE_NAMES = {
+  AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California', CO: 'Colorado',
+  CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida', GA: 'Georgia',
+  HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky',
+  LA: 'Louisiana', ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota',
+  MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire',
+  NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York', NC: 'North Carolina', ND: 'North Dakota',
+  OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island', SC: 'South Carolina',
+  SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont', VA: 'Virginia',
+  WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming'
+};
+
+// Jurisdictions without fuel tax reporting under IFTA
+const NON_IFTA_STATES = ['AK', 'HI', 'DC'];
+
+const STATE_BOUNDARIES = {
+  DC: [[
+    [-77.12, 38.93], [-77.04, 39.0], [-76.91, 38.89], [-77.04, 38.79]
+  ]],
+  WA: [[
+    [-124.73, 48.38], [-123.2, 48.2], [-123.0, 49.0], [-117.03, 49.0], [-117.04, 46.42], [-116.92, 46.0],
+    [-118.98, 46.0], [-119.3, 45.93], [-120.5, 45.7], [-121.2, 45.6], [-122.3, 45.55], [-122.76, 45.65],
+    [-122.9, 46.1], [-123.3, 46.15], [-124.0, 46.26], [-124.1, 47.0], [-124.73, 48.38]
+  ]],
+  OR: [[
+    [-124.0, 46.26], [-123.3, 46.15], [-122.9, 46.1], [-122.76, 45.65], [-122.3, 45.55], [-121.2, 45.6],
+    [-120.5, 45.7], [-119.3, 45.93], [-118.98, 46.0], [-116.92, 46.0], [-116.47, 45.5], [-116.8, 44.9],
+    [-117.2, 44.3], [-117.03, 43.8], [-117.03, 42.0], [-124.21, 42.0], [-124.5, 42.8], [-124.1, 44.0]
+  ]],
+  CA: [[
+    [-124.21, 42.0], [-120.0, 42.0], [-120.0, 39.0], [-114.63, 35.0], [-114.43, 34.6], [-114.13, 34.27],
+    [-114.53, 33.9], [-114.5, 33.0], [-114.72, 32.72], [-117.12, 32.53], [-117.25, 32.9], [-118.0, 33.7],
+    [-118.5, 34.0], [-119.6, 34.4], [-120.6, 34.6], [-120.7, 35.2], [-121.9, 36.3], [-122.5, 37.5],
+    [-123.0, 38.0], [-123.7, 38.9], [-123.8, 39.8], [-124.4, 40.4], [-124.1, 41.0]
+  ]],
+  NV: [[
+    [-120.0, 42.0], [-114.04, 42.0], [-114.04, 36.19], [-114.74, 36.02], [-114.63, 35.0], [-120.0, 39.0]
+  ]],
+  AZ: [[
+    [-114.05, 37.0], [-109.05, 37.0], [-109.05, 31.33], [-111.07, 31.33], [-114.81, 32.49], [-114.72, 32.72],
+    [-114.5, 33.0], [-114.53, 33.9], [-114.13, 34.27], [-114.43, 34.6], [-114.63, 35.0], [-114.74, 36.02],
+    [-114.04, 36.19]
+  ]],
+  UT: [[
+    [-114.04, 42.0], [-111.05, 42.0], [-111.05, 41.0], [-109.05, 41.0], [-109.05, 37.0], [-114.05, 37.0]
+  ]],
+  ID: [[
+    [-117.03, 49.0], [-116.05, 49.0], [-116.05, 48.0], [-115.7, 47.45], [-115.3, 47.25], [-114.6, 46.65],
+    [-114.35, 45.88], [-113.8, 45.6], [-113.45, 45.05], [-113.0, 44.45], [-112.4, 44.45], [-111.47, 44.55],
+    [-111.05, 44.48], [-111.05, 42.0], [-117.03, 42.0], [-117.03, 43.8], [-117.2, 44.3], [-116.8, 44.9],
+    [-116.47, 45.5], [-116.92, 46.0], [-117.04, 46.42]
+  ]],
+  MT: [[
+    [-116.05, 49.0], [-104.05, 49.0], [-104.05, 45.0], [-111.05, 45.0], [-111.05, 44.48], [-111.47, 44.55],
+    [-112.4, 44.45], [-113.0, 44.45], [-113.45, 45.05], [-113.8, 45.6], [-114.35, 45.88], [-114.6, 46.65],
+    [-115.3, 47.25], [-115.7, 47.45], [-116.05, 48.0]
+  ]],
+  WY: [[
+    [-111.05, 45.0], [-104.05, 45.0], [-104.05, 41.0], [-111.05, 41.0]
+  ]],
+  CO: [[
+    [-109.05, 41.0], [-102.05, 41.0], [-102.05, 37.0], [-109.05, 37.0]
+  ]],
+  NM: [[
+    [-109.05, 37.0], [-103.0, 37.0], [-103.0, 36.5], [-103.06, 32.0], [-106.62, 32.0], [-106.53, 31.78],
+    [-108.21, 31.78], [-108.21, 31.33], [-109.05, 31.33]
+  ]],
+  TX: [[
+    [-106.62, 32.0], [-103.06, 32.0], [-103.0, 36.5], [-100.0, 36.5], [-100.0, 34.56], [-99.5, 34.4],
+    [-98.95, 34.2], [-97.95, 33.9], [-97.2, 33.75], [-96.6, 33.85], [-95.3, 33.88], [-94.48, 33.64],
+    [-94.04, 33.55], [-94.04, 33.0], [-94.04, 32.0], [-93.55, 31.0], [-93.7, 30.3], [-93.84, 29.7],
+    [-94.7, 29.3], [-96.0, 28.6], [-97.0, 28.0], [-97.4, 27.3], [-97.15, 25.95], [-99.1, 26.4],
+    [-99.5, 27.5], [-100.3, 28.3], [-101.4, 29.77], [-102.7, 29.8], [-103.3, 29.0], [-104.5, 29.7],
+    [-104.9, 30.6], [-106.0, 31.4], [-106.53, 31.78]
+  ]],
+  OK: [[
+    [-103.0, 37.0], [-94.62, 37.0], [-94.62, 36.5], [-94.43, 35.4], [-94.48, 33.64], [-95.3, 33.88],
+    [-96.6, 33.85], [-97.2, 33.75], [-97.95, 33.9], [-98.95, 34.2], [-99.5, 34.4], [-100.0, 34.56],
+    [-100.0, 36.5], [-103.0, 36.5]
+  ]],
+  KS: [[
+    [-102.05, 40.0], [-95.31, 40.0], [-94.9, 39.8], [-94.6, 39.1], [-94.62, 37.0], [-102.05, 37.0]
+  ]],
+  NE: [[
+    [-104.05, 43.0], [-98.47, 43.0], [-97.4, 42.85], [-96.48, 42.49], [-96.35, 42.2], [-96.0, 41.5],
+    [-95.91, 41.26], [-95.9, 41.0], [-95.77, 40.58], [-95.31, 40.0], [-102.05, 40.0], [-102.05, 41.0],
+    [-104.05, 41.0]
+  ]],
+  SD: [[
+    [-104.05, 45.94], [-96.56, 45.94], [-96.45, 45.3], [-96.45, 43.5], [-96.48, 42.49], [-97.4, 42.85],
+    [-98.47, 43.0], [-104.05, 43.0]
+  ]],
+  ND: [[
+    [-104.05, 49.0], [-97.23, 49.0], [-96.9, 47.9], [-96.77, 46.9], [-96.6, 46.3], [-96.56, 45.94],
+    [-104.05, 45.94]
+  ]],
+  MN: [[
+    [-97.23, 49.0], [-95.15, 49.0], [-94.6, 48.7], [-93.5, 48.55], [-92.5, 48.45], [-91.5, 48.05],
+    [-90.0, 48.1], [-89.5, 48.0], [-92.1, 46.75], [-92.29, 46.66], [-92.29, 46.1], [-92.7, 45.6],
+    [-92.76, 45.0], [-92.8, 44.75], [-92.3, 44.5], [-91.6, 44.0], [-91.22, 43.5], [-96.45, 43.5],
+    [-96.45, 45.3], [-96.56, 45.94], [-96.6, 46.3], [-96.77, 46.9], [-96.9, 47.9]
+  ]],
+  IA: [[
+    [-96.45, 43.5], [-91.22, 43.5], [-91.05, 42.75], [-90.64, 42.5], [-90.15, 42.0], [-90.35, 41.55],
+    [-91.0, 41.2], [-91.1, 40.7], [-91.42, 40.38], [-91.73, 40.61], [-95.77, 40.58], [-95.9, 41.0],
+    [-95.91, 41.26], [-96.0, 41.5], [-96.35, 42.2], [-96.48, 42.49]
+  ]],
+  MO: [[
+    [-95.77, 40.58], [-91.73, 40.61], [-91.42, 40.38], [-91.1, 39.8], [-90.7, 39.3], [-90.2, 38.9],
+    [-90.18, 38.6], [-89.55, 37.7], [-89.5, 37.3], [-89.17, 37.0], [-89.5, 36.5], [-89.73, 36.0],
+    [-90.38, 36.0], [-90.15, 36.5], [-94.62, 36.5], [-94.62, 37.0], [-94.6, 39.1], [-94.9, 39.8],
+    [-95.31, 40.0]
+  ]],
+  AR: [[
+    [-94.62, 36.5], [-90.15, 36.5], [-90.38, 36.0], [-89.73, 36.0], [-90.07, 35.15], [-90.1, 35.0], [-90.6, 34.4],
+    [-91.0, 33.6], [-91.15, 33.0], [-94.04, 33.0], [-94.04, 33.55], [-94.48, 33.64], [-94.43, 35.4]
+  ]],
+  LA: [[
+    [-94.04, 33.0], [-91.15, 33.0], [-91.2, 32.2], [-91.4, 31.6], [-91.65, 31.0], [-89.73, 31.0],
+    [-89.6, 30.2], [-89.0, 29.2], [-89.4, 28.9], [-90.0, 29.1], [-91.0, 29.2], [-92.0, 29.55],
+    [-93.84, 29.7], [-93.7, 30.3], [-93.55, 31.0], [-94.04, 32.0]
+  ]],
+  MS: [[
+    [-90.1, 35.0], [-88.2, 35.0], [-88.1, 34.1], [-88.47, 31.9], [-88.4, 30.4], [-89.6, 30.2],
+    [-89.73, 31.0], [-91.65, 31.0], [-91.4, 31.6], [-91.2, 32.2], [-91.15, 33.0], [-91.0, 33.6],
+    [-90.6, 34.4]
+  ]],
+  AL: [[
+    [-88.2, 35.0], [-85.6, 35.0], [-85.18, 32.86], [-85.0, 32.3], [-85.1, 31.6], [-85.0, 31.0],
+    [-87.6, 31.0], [-87.52, 30.28], [-88.4, 30.4], [-88.47, 31.9], [-88.1, 34.1]
+  ]],
+  TN: [[
+    [-89.5, 36.5], [-88.07, 36.5], [-88.07, 36.68], [-83.68, 36.6], [-81.65, 36.6], [-82.0, 36.1],
+    [-82.6, 36.0], [-83.1, 35.77], [-84.0, 35.5], [-84.32, 34.99], [-85.6, 35.0], [-88.2, 35.0],
+    [-90.1, 35.0], [-90.07, 35.15], [-89.73, 36.0]
+  ]],
+  KY: [[
+    [-89.5, 36.5], [-89.17, 37.0], [-88.6, 37.1], [-88.1, 37.5], [-88.03, 37.8], [-87.6, 37.9],
+    [-87.1, 37.8], [-86.5, 37.9], [-85.76, 38.25], [-85.4, 38.7], [-84.82, 39.1], [-83.7, 38.65],
+    [-83.0, 38.7], [-82.6, 38.42], [-82.6, 38.17], [-81.97, 37.54], [-82.7, 37.1], [-83.68, 36.6],
+    [-88.07, 36.68], [-88.07, 36.5]
+  ]],
+  IL: [[
+    [-90.64, 42.5], [-87.8, 42.5], [-87.53, 41.76], [-87.53, 39.35], [-87.5, 38.7], [-87.9, 38.3],
+    [-88.03, 37.8], [-88.1, 37.5], [-88.6, 37.1], [-89.17, 37.0], [-89.5, 37.3], [-89.55, 37.7],
+    [-90.18, 38.6], [-90.2, 38.9], [-90.7, 39.3], [-91.1, 39.8], [-91.42, 40.38], [-91.1, 40.7],
+    [-91.0, 41.2], [-90.35, 41.55], [-90.15, 42.0]
+  ]],
+  IN: [[
+    [-87.53, 41.76], [-86.8, 41.76], [-84.82, 41.7], [-84.82, 39.1], [-85.4, 38.7], [-85.76, 38.25],
+    [-86.5, 37.9], [-87.1, 37.8], [-87.6, 37.9], [-88.03, 37.8], [-87.9, 38.3], [-87.5, 38.7],
+    [-87.53, 39.35]
+  ]],
+  OH: [[
+    [-84.82, 41.7], [-83.45, 41.73], [-82.7, 41.5], [-81.7, 41.5], [-80.52, 41.98], [-80.52, 40.64],
+    [-80.6, 40.6], [-80.62, 40.4], [-80.74, 40.06], [-80.83, 39.72], [-80.85, 39.6], [-81.4, 39.35],
+    [-81.75, 39.2], [-82.2, 38.6], [-82.6, 38.42], [-83.0, 38.7], [-83.7, 38.65], [-84.82, 39.1]
+  ]],
+  MI: [
+    [
+      [-86.8, 41.76], [-84.82, 41.7], [-83.45, 41.73], [-83.1, 42.3], [-82.5, 42.6], [-82.4, 43.0],
+      [-82.5, 43.6], [-82.6, 44.0], [-83.0, 44.05], [-83.9, 43.9], [-83.3, 44.4], [-83.4, 45.0],
+      [-84.7, 45.8], [-85.0, 45.7], [-85.6, 45.2], [-86.2, 44.5], [-86.5, 43.6], [-86.2, 42.7],
+      [-86.5, 42.1]
+    ],
+    [
+      [-90.42, 46.57], [-90.1, 46.3], [-89.1, 46.1], [-88.7, 46.0], [-88.0, 45.8], [-87.6, 45.1],
+      [-87.0, 45.8], [-86.4, 45.9], [-85.0, 46.0], [-84.7, 45.85], [-84.1, 46.2], [-84.5, 46.5],
+      [-85.0, 46.8], [-86.5, 46.5], [-87.5, 46.8], [-88.0, 47.45], [-89.5, 46.9]
+    ]
+  ],
+  WI: [[
+    [-90.64, 42.5], [-87.8, 42.5], [-87.9, 43.5], [-87.7, 44.2], [-87.0, 45.3], [-87.6, 45.1],
+    [-88.0, 45.8], [-88.7, 46.0], [-89.1, 46.1], [-90.1, 46.3], [-90.42, 46.57], [-91.0, 46.9],
+    [-92.1, 46.75], [-92.29, 46.66], [-92.29, 46.1], [-92.7, 45.6], [-92.76, 45.0], [-92.8, 44.75],
+    [-92.3, 44.5], [-91.6, 44.0], [-91.22, 43.5], [-91.05, 42.75]
+  ]],
+  PA: [[
+    [-80.52, 42.33], [-79.76, 42.27], [-79.76, 42.0], [-75.36, 42.0], [-75.08, 41.8], [-74.7, 41.36],
+    [-75.1, 40.85], [-75.2, 40.6], [-74.78, 40.22], [-75.1, 39.95], [-75.45, 39.8], [-75.77, 39.72],
+    [-80.52, 39.72]
+  ]],
+  NY: [[
+    [-79.76, 42.27], [-79.0, 42.9], [-79.06, 43.27], [-77.6, 43.25], [-76.2, 43.5], [-76.3, 44.2],
+    [-75.8, 44.4], [-74.7, 45.0], [-73.35, 45.01], [-73.4, 43.6], [-73.26, 42.75], [-73.49, 42.05],
+    [-73.52, 41.25], [-73.66, 41.0], [-73.6, 40.9], [-72.4, 41.05], [-71.86, 41.07], [-72.0, 40.9],
+    [-73.5, 40.58], [-74.0, 40.57], [-74.25, 40.5], [-74.05, 40.65], [-73.9, 41.0], [-74.7, 41.36],
+    [-75.08, 41.8], [-75.36, 42.0], [-79.76, 42.0]
+  ]],
+  NJ: [[
+    [-74.7, 41.36], [-73.9, 41.0], [-74.05, 40.65], [-74.25, 40.5], [-74.0, 40.45], [-74.1, 39.8],
+    [-74.9, 38.93], [-75.55, 39.45], [-75.45, 39.8], [-75.1, 39.95], [-74.78, 40.22], [-75.2, 40.6],
+    [-75.1, 40.85]
+  ]],
+  DE: [[
+    [-75.77, 39.72], [-75.45, 39.8], [-75.55, 39.45], [-75.05, 38.8], [-75.05, 38.45], [-75.79, 38.45]
+  ]],
+  MD: [[
+    [-79.48, 39.72], [-75.77, 39.72], [-75.79, 38.45], [-75.05, 38.45], [-75.25, 38.03], [-76.0, 37.95],
+    [-76.3, 38.05], [-77.0, 38.3], [-77.04, 38.79], [-77.12, 38.93], [-77.8, 39.32], [-78.18, 39.69],
+    [-78.8, 39.6], [-79.0, 39.45], [-79.48, 39.2]
+  ]],
+  WV: [[
+    [-80.52, 40.64], [-80.52, 39.72], [-79.48, 39.72], [-79.48, 39.2], [-79.0, 39.45], [-78.8, 39.6],
+    [-78.18, 39.69], [-77.8, 39.32], [-78.0, 39.13], [-78.4, 39.2], [-78.9, 38.7], [-79.5, 38.3],
+    [-80.0, 37.8], [-80.3, 37.5], [-81.0, 37.3], [-81.7, 37.2], [-81.97, 37.54], [-82.6, 38.17],
+    [-82.6, 38.42], [-82.2, 38.6], [-81.75, 39.2], [-81.4, 39.35], [-80.85, 39.6], [-80.83, 39.72],
+    [-80.74, 40.06], [-80.62, 40.4], [-80.6, 40.6]
+  ]],
+  VA: [[
+    [-83.68, 36.6], [-81.65, 36.6], [-75.87, 36.55], [-76.0, 36.93], [-75.6, 37.5], [-75.25, 38.03],
+    [-76.0, 37.95], [-76.3, 38.05], [-77.0, 38.3], [-77.04, 38.79], [-77.12, 38.93], [-77.8, 39.32],
+    [-78.0, 39.13], [-78.4, 39.2], [-78.9, 38.7], [-79.5, 38.3], [-80.0, 37.8], [-80.3, 37.5],
+    [-81.0, 37.3], [-81.7, 37.2], [-81.97, 37.54], [-82.7, 37.1]
+  ]],
+  NC: [[
+    [-81.65, 36.6], [-82.0, 36.1], [-82.6, 36.0], [-83.1, 35.77], [-84.0, 35.5], [-84.32, 34.99],
+    [-83.1, 35.0], [-82.4, 35.2], [-81.04, 35.15], [-80.8, 34.82], [-79.67, 34.8], [-78.55, 33.86],
+    [-77.9, 33.9], [-77.7, 34.3], [-76.5, 34.6], [-75.5, 35.2], [-75.87, 36.55]
+  ]],
+  SC: [[
+    [-83.1, 35.0], [-82.4, 35.2], [-81.04, 35.15], [-80.8, 34.82], [-79.67, 34.8], [-78.55, 33.86],
+    [-79.2, 33.2], [-80.0, 32.6], [-80.87, 32.03], [-81.4, 32.6], [-82.0, 33.5], [-82.6, 34.0],
+    [-83.3, 34.7]
+  ]],
+  GA: [[
+    [-85.6, 35.0], [-84.32, 34.99], [-83.1, 35.0], [-83.3, 34.7], [-82.6, 34.0], [-82.0, 33.5],
+    [-81.4, 32.6], [-80.87, 32.03], [-81.2, 31.5], [-81.45, 30.71], [-82.0, 30.8], [-82.2, 30.57],
+    [-84.86, 30.7], [-85.0, 31.0], [-85.1, 31.6], [-85.0, 32.3], [-85.18, 32.86]
+  ]],
+  FL: [[
+    [-87.52, 30.28], [-87.6, 31.0], [-85.0, 31.0], [-84.86, 30.7], [-82.2, 30.57], [-82.0, 30.8],
+    [-81.45, 30.71], [-81.3, 29.9], [-80.6, 28.4], [-80.0, 26.8], [-80.1, 25.8], [-80.4, 25.2],
+    [-81.1, 25.1], [-81.8, 26.1], [-82.7, 27.5], [-82.8, 28.2], [-83.7, 29.9], [-84.3, 30.05],
+    [-85.4, 29.7], [-86.5, 30.4]
+  ]],
+  CT: [[
+    [-73.49, 42.05], [-71.8, 42.02], [-71.8, 41.33], [-72.9, 41.25], [-73.66, 41.0], [-73.52, 41.25]
+  ]],
+  RI: [[
+    [-71.8, 42.02], [-71.38, 42.02], [-71.34, 41.75], [-71.12, 41.65], [-71.12, 41.49], [-71.85, 41.32],
+    [-71.8, 41.33]
+  ]],
+  MA: [[
+    [-73.49, 42.05], [-73.26, 42.75], [-72.46, 42.73], [-71.3, 42.7], [-70.8, 42.87], [-70.6, 42.6],
+    [-71.0, 42.3], [-70.6, 42.0], [-70.0, 42.05], [-69.95, 41.65], [-70.6, 41.5], [-71.12, 41.49],
+    [-71.12, 41.65], [-71.34, 41.75], [-71.38, 42.02], [-71.8, 42.02]
+  ]],
+  VT: [[
+    [-73.26, 42.75], [-72.46, 42.73], [-72.4, 43.5], [-72.05, 44.3], [-71.5, 45.01], [-73.35, 45.01],
+    [-73.4, 43.6]
+  ]],
+  NH: [[
+    [-72.46, 42.73], [-71.3, 42.7], [-70.8, 42.87], [-70.7, 43.1], [-70.97, 43.35], [-71.08, 45.3],
+    [-71.5, 45.01], [-72.05, 44.3], [-72.4, 43.5]
+  ]],
+  ME: [[
+    [-70.7, 43.1], [-70.2, 43.6], [-69.0, 44.1], [-68.0, 44.4], [-67.0, 44.8], [-67.8, 45.7],
+    [-67.8, 47.07], [-68.3, 47.35], [-69.2, 47.45], [-70.0, 46.7], [-70.3, 45.9], [-71.08, 45.3],
+    [-70.97, 43.35]
+  ]]
+};
+
+module.exports = {
+  STATE_NAMES,
+  NON_IFTA_STATES,
+  STATE_BOUNDARIES
+};
@@ -75,6 +75,23 @@ const ROUTE_STOP_TYPE = {
   END: 'end'
 };
 
+// Invoice Status
+const INVOICE_STATUS = {
+  DRAFT: 'draft',
+  SENT: 'sent',
+  PAID: 'paid',
+  VOID: 'void'
+};
+
+// Driver Settlement Status (approval workflow)
+const SETTLEMENT_STATUS = {
+  DRAFT: 'draft',
+  SUBMITTED: 'submitted',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  PAID: 'paid'
+};
+
 // Carrier Types
 const CARRIER = {
   PTG: 'PTG'
@@ -161,6 +178,25 @@ const getAllStatusEnums = () => {
         [ROUTE_STOP_TYPE.REST]: 'Rest'
       }
     },
+    invoice: {
+      values: Object.values(INVOICE_STATUS),
+      labels: {
+        [INVOICE_STATUS.DRAFT]: 'Draft',
+        [INVOICE_STATUS.SENT]: 'Sent',
+        [INVOICE_STATUS.PAID]: 'Paid',
+        [INVOICE_STATUS.VOID]: 'Void'
+      }
+    },
+    settlement: {
+      values: Object.values(SETTLEMENT_STATUS),
+      labels: {
+        [SETTLEMENT_STATUS.DRAFT]: 'Draft',
+        [SETTLEMENT_STATUS.SUBMITTED]: 'Submitted for Approval',
+        [SETTLEMENT_STATUS.APPROVED]: 'Approved',
+        [SETTLEMENT_STATUS.REJECTED]: 'Rejected',
+        [SETTLEMENT_STATUS.PAID]: 'Paid'
+      }
+    },
     carrier: {
       values: Object.values(CARRIER),
       labels: {
@@ -179,6 +215,8 @@ module.exports = {
   VEHICLE_STATUS,
   LOAD_STATUS,
   ROUTE_STOP_TYPE,
+  INVOICE_STATUS,
+  SETTLEMENT_STATUS,
   CARRIER,
   getAllStatusEnums
 };
@@ -0,0 +1,41 @@
+/**
+ * Vehicle Inspection Constants
+ *
+ * Panels match the `photoCategory` values of route stop vehicle photos, so a damage
+ * entry can be tied to the photo taken of the same panel.
+ */
+
+const VEHICLE_PANELS = [
+  'vehicle-front-upper',
+  'vehicle-front-lower',
+  'vehicle-side-upper',
+  'vehicle-side-lower',
+  'vehicle-rear-driver-side-upper',
+  'vehicle-rear-driver-side-lower',
+  'vehicle-rear-passenger-side-upper',
+  'vehicle-rear-passenger-side-lower',
+  'engine',
+  'vehicle-roof',
+  'vehicle-bottom',
+  'interior-dashboard',
+  'interior-front',
+  'interior-rear',
+  'mirrors'
+];
+
+const DAMAGE_TYPES = ['scratch', 'dent', 'crack', 'missing'];
+
+// Ordered from least to most severe
+const DAMAGE_SEVERITIES = ['minor', 'moderate', 'severe'];
+
+const INSPECTION_TYPES = {
+  PICKUP: 'pickup',
+  DELIVERY: 'delivery'
+};
+
+module.exports = {
+  VEHICLE_PANELS,
+  DAMAGE_TYPES,
+  DAMAGE_SEVERITIES,
+  INSPECTION_TYPES
+};
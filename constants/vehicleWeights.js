@@ -0,0 +1,107 @@
+/**
+ * Default Vehicle Weights (curb weight in lbs)
+ *
+ * Used by the truck capacity simulator when a vehicle has no explicit weight and no
+ * VehicleWeightDefault record exists for its make/model. Keys are lowercase.
+ * Admins can override or extend these values through /api/vehicle-weight-defaults.
+ */
+
+// Fallback when nothing is known about the vehicle
+const DEFAULT_VEHICLE_WEIGHT = parseFloat(process.env.DEFAULT_VEHICLE_WEIGHT_LBS) || 4000;
+
+// Average curb weight per make
+const MAKE_WEIGHTS = {
+  acura: 3700,
+  audi: 4000,
+  bmw: 4100,
+  buick: 3900,
+  cadillac: 4500,
+  chevrolet: 4200,
+  chrysler: 4300,
+  dodge: 4300,
+  ford: 4400,
+  gmc: 5000,
+  honda: 3300,
+  hyundai: 3400,
+  infiniti: 4000,
+  jeep: 4300,
+  kia: 3500,
+  lexus: 4000,
+  lincoln: 4800,
+  mazda: 3300,
+  'mercedes-benz': 4300,
+  mitsubishi: 3300,
+  nissan: 3600,
+  ram: 5300,
+  subaru: 3500,
+  tesla: 4300,
+  toyota: 3800,
+  volkswagen: 3400,
+  volvo: 4200
+};
+
+// Curb weight for common make/model combinations ("make|model")
+const MODEL_WEIGHTS = {
+  'chevrolet|silverado': 5000,
+  'chevrolet|tahoe': 5600,
+  'chevrolet|suburban': 5900,
+  'chevrolet|malibu': 3100,
+  'chevrolet|equinox': 3500,
+  'ford|f-150': 4700,
+  'ford|f-250': 6200,
+  'ford|explorer': 4400,
+  'ford|escape': 3500,
+  'ford|mustang': 3700,
+  'ford|expedition': 5600,
+  'gmc|sierra': 5000,
+  'gmc|yukon': 5700,
+  'honda|civic': 2900,
+  'honda|accord': 3200,
+  'honda|cr-v': 3500,
+  'honda|pilot': 4200,
+  'jeep|wrangler': 4200,
+  'jeep|grand cherokee': 4600,
+  'nissan|altima': 3200,
+  'nissan|rogue': 3500,
+  'ram|1500': 5200,
+  'ram|2500': 6800,
+  'tesla|model 3': 3900,
+  'tesla|model y': 4400,
+  'tesla|model s': 4600,
+  'tesla|model x': 5200,
+  'toyota|camry': 3400,
+  'toyota|corolla': 2900,
+  'toyota|rav4': 3500,
+  'toyota|highlander': 4300,
+  'toyota|tacoma': 4400,
+  'toyota|tundra': 5600
+};
+
+const normalizeKey = (value) => (value || '').toString().trim().toLowerCase();
+
+/**
+ * Look up the built-in default weight for a make/model
+ * @param {string} make - Vehicle make
+ * @param {string} model - Vehicle model
+ * @returns {{weight: number, source: string}}
+ */
+const getBuiltInVehicleWeight = (make, model) => {
+  const makeKey = normalizeKey(make);
+  const modelKey = normalizeKey(model);
+
+  if (makeKey && modelKey && MODEL_WEIGHTS[`${makeKey}|${modelKey}`]) {
+    return { weight: MODEL_WEIGHTS[`${makeKey}|${modelKey}`], source: 'builtin_model_default' };
+  }
+  if (makeKey && MAKE_WEIGHTS[makeKey]) {
+    return { weight: MAKE_WEIGHTS[makeKey], source: 'builtin_make_default' };
+  }
+  return { weight: DEFAULT_VEHICLE_WEIGHT, source: 'fallback_default' };
+};
+
+module.exports = {
+  DEFAULT_VEHICLE_WEIGHT,
+  MAKE_WEIGHTS,
+  MODEL_WEIGHTS,
+  normalizeKey,
+  getBuiltInVehicleWeight
+};
@@ -0,0 +1,210 @@
+/**
+ * VIN Decoding Tables
+ *
+ * Embedded data used by utils/vinDecoder.js to decode a VIN without a network call:
+ * - WMI (first 3 characters) -> manufacturer / make / country for common makes
+ * - first character -> country or region when the WMI is not in the table
+ * - model year codes (10th character)
+ */
+
+// Character values used by the check digit (9th character)
+const VIN_TRANSLITERATION = {
+  A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+  J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+  S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9
+};
+
+const VIN_POSITION_WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+
+// 10th character -> model year of the 1980-2009 cycle (add 30 for the 2010-2039 cycle)
+const MODEL_YEAR_CODES = 'ABCDEFGHJKLMNPRSTVWXY123456789'.split('').reduce((years, code, index) => ({
+  ...years,
+  [code]: 1980 + index
+}), {});
+
+const WMI_TABLE = {
+  // United States
+  '1C3': { manufacturer: 'Chrysler', make: 'Chrysler', country: 'United States' },
+  '1C4': { manufacturer: 'Chrysler', make: 'Jeep', country: 'United States' },
+  '1C6': { manufacturer: 'Chrysler', make: 'Ram', country: 'United States' },
+  '1D7': { manufacturer: 'Chrysler', make: 'Dodge', country: 'United States' },
+  '1B3': { manufacturer: 'Chrysler', make: 'Dodge', country: 'United States' },
+  '1J4': { manufacturer: 'Chrysler', make: 'Jeep', country: 'United States' },
+  '1J8': { manufacturer: 'Chrysler', make: 'Jeep', country: 'United States' },
+  '1FA': { manufacturer: 'Ford Motor Company', make: 'Ford', country: 'United States' },
+  '1FB': { manufacturer: 'Ford Motor Company', make: 'Ford', country: 'United States' },
+  '1FD': { manufacturer: 'Ford Motor Company', make: 'Ford', country: 'United States' },
+  '1FM': { manufacturer: 'Ford Motor Company', make: 'Ford', country: 'United States' },
+  '1FT': { manufacturer: 'Ford Motor Company', make: 'Ford', country: 'United States' },
+  '1ZV': { manufacturer: 'Ford Motor Company', make: 'Ford', country: 'United States' },
+  '1LN': { manufacturer: 'Ford Motor Company', make: 'Lincoln', country: 'United States' },
+  '5LM': { manufacturer: 'Ford Motor Company', make: 'Lincoln', country: 'United States' },
+  '1G1': { manufacturer: 'General Motors', make: 'Chevrolet', country: 'United States' },
+  '1GC': { manufacturer: 'General Motors', make: 'Chevrolet', country: 'United States' },
+  '1GN': { manufacturer: 'General Motors', make: 'Chevrolet', country: 'United States' },
+  '1GB': { manufacturer: 'General Motors', make: 'Chevrolet', country: 'United States' },
+  '1G4': { manufacturer: 'General Motors', make: 'Buick', country: 'United States' },
+  '1G6': { manufacturer: 'General Motors', make: 'Cadillac', country: 'United States' },
+  '1GY': { manufacturer: 'General Motors', make: 'Cadillac', country: 'United States' },
+  '1GK': { manufacturer: 'General Motors', make: 'GMC', country: 'United States' },
+  '1GT': { manufacturer: 'General Motors', make: 'GMC', country: 'United States' },
+  '1HG': { manufacturer: 'Honda', make: 'Honda', country: 'United States' },
+  '19X': { manufacturer: 'Honda', make: 'Honda', country: 'United States' },
+  '5FN': { manufacturer: 'Honda', make: 'Honda', country: 'United States' },
+  '5J6': { manufacturer: 'Honda', make: 'Honda', country: 'United States' },
+  '19U': { manufacturer: 'Honda', make: 'Acura', country: 'United States' },
+  '5J8': { manufacturer: 'Honda', make: 'Acura', country: 'United States' },
+  '1N4': { manufacturer: 'Nissan', make: 'Nissan', country: 'United States' },
+  '1N6': { manufacturer: 'Nissan', make: 'Nissan', country: 'United States' },
+  '5N1': { manufacturer: 'Nissan', make: 'Nissan', country: 'United States' },
+  '4T1': { manufacturer: 'Toyota', make: 'Toyota', country: 'United States' },
+  '4T3': { manufacturer: 'Toyota', make: 'Toyota', country: 'United States' },
+  '5TD': { manufacturer: 'Toyota', make: 'Toyota', country: 'United States' },
+  '5TF': { manufacturer: 'Toyota', make: 'Toyota', country: 'United States' },
+  '4S3': { manufacturer: 'Subaru', make: 'Subaru', country: 'United States' },
+  '4S4': { manufacturer: 'Subaru', make: 'Subaru', country: 'United States' },
+  '4JG': { manufacturer: 'Mercedes-Benz', make: 'Mercedes-Benz', country: 'United States' },
+  '5UX': { manufacturer: 'BMW', make: 'BMW', country: 'United States' },
+  '5YM': { manufacturer: 'BMW', make: 'BMW', country: 'United States' },
+  '5NP': { manufacturer: 'Hyundai', make: 'Hyundai', country: 'United States' },
+  '5NM': { manufacturer: 'Hyundai', make: 'Hyundai', country: 'United States' },
+  '5XY': { manufacturer: 'Kia', make: 'Kia', country: 'United States' },
+  '5YJ': { manufacturer: 'Tesla', make: 'Tesla', country: 'United States' },
+  '7SA': { manufacturer: 'Tesla', make: 'Tesla', country: 'United States' },
+  '1VW': { manufacturer: 'Volkswagen', make: 'Volkswagen', country: 'United States' },
+  '1HD': { manufacturer: 'Harley-Davidson', make: 'Harley-Davidson', country: 'United States' },
+  '7FA': { manufacturer: 'Honda', make: 'Honda', country: 'United States' },
+  // Canada
+  '2C3': { manufacturer: 'Chrysler', make: 'Chrysler', country: 'Canada' },
+  '2C4': { manufacturer: 'Chrysler', make: 'Chrysler', country: 'Canada' },
+  '2D3': { manufacturer: 'Chrysler', make: 'Dodge', country: 'Canada' },
+  '2FA': { manufacturer: 'Ford Motor Company', make: 'Ford', country: 'Canada' },
+  '2FM': { manufacturer: 'Ford Motor Company', make: 'Ford', country: 'Canada' },
+  '2G1': { manufacturer: 'General Motors', make: 'Chevrolet', country: 'Canada' },
+  '2GN': { manufacturer: 'General Motors', make: 'Chevrolet', country: 'Canada' },
+  '2HG': { manufacturer: 'Honda', make: 'Honda', country: 'Canada' },
+  '2HK': { manufacturer: 'Honda', make: 'Honda', country: 'Canada' },
+  '2HN': { manufacturer: 'Honda', make: 'Acura', country: 'Canada' },
+  '2T1': { manufacturer: 'Toyota', make: 'Toyota', country: 'Canada' },
+  '2T3': { manufacturer: 'Toyota', make: 'Toyota', country: 'Canada' },
+  '2T2': { manufacturer: 'Toyota', make: 'Lexus', country: 'Canada' },
+  // Mexico
+  '3C4': { manufacturer: 'Chrysler', make: 'Chrysler', country: 'Mexico' },
+  '3C6': { manufacturer: 'Chrysler', make: 'Ram', country: 'Mexico' },
+  '3D7': { manufacturer: 'Chrysler', make: 'Ram', country: 'Mexico' },
+  '3FA': { manufacturer: 'Ford Motor Company', make: 'Ford', country: 'Mexico' },
+  '3G1': { manufacturer: 'General Motors', make: 'Chevrolet', country: 'Mexico' },
+  '3GN': { manufacturer: 'General Motors', make: 'Chevrolet', country: 'Mexico' },
+  '3GC': { manufacturer: 'General Motors', make: 'Chevrolet', country: 'Mexico' },
+  '3GT': { manufacturer: 'General Motors', make: 'GMC', country: 'Mexico' },
+  '3HG': { manufacturer: 'Honda', make: 'Honda', country: 'Mexico' },
+  '3N1': { manufacturer: 'Nissan', make: 'Nissan', country: 'Mexico' },
+  '3N6': { manufacturer: 'Nissan', make: 'Nissan', country: 'Mexico' },
+  '3VW': { manufacturer: 'Volkswagen', make: 'Volkswagen', country: 'Mexico' },
+  '3KP': { manufacturer: 'Kia', make: 'Kia', country: 'Mexico' },
+  '3MZ': { manufacturer: 'Mazda', make: 'Mazda', country: 'Mexico' },
+  '3TM': { manufacturer: 'Toyota', make: 'Toyota', country: 'Mexico' },
+  // Japan
+  'JHM': { manufacturer: 'Honda', make: 'Honda', country: 'Japan' },
+  'JH4': { manufacturer: 'Honda', make: 'Acura', country: 'Japan' },
+  'JN1': { manufacturer: 'Nissan', make: 'Nissan', country: 'Japan' },
+  'JN8': { manufacturer: 'Nissan', make: 'Nissan', country: 'Japan' },
+  'JNK': { manufacturer: 'Nissan', make: 'Infiniti', country: 'Japan' },
+  'JT2': { manufacturer: 'Toyota', make: 'Toyota', country: 'Japan' },
+  'JTD': { manufacturer: 'Toyota', make: 'Toyota', country: 'Japan' },
+  'JTE': { manufacturer: 'Toyota', make: 'Toyota', country: 'Japan' },
+  'JTM': { manufacturer: 'Toyota', make: 'Toyota', country: 'Japan' },
+  'JTN': { manufacturer: 'Toyota', make: 'Toyota', country: 'Japan' },
+  'JTH': { manufacturer: 'Toyota', make: 'Lexus', country: 'Japan' },
+  'JTJ': { manufacturer: 'Toyota', make: 'Lexus', country: 'Japan' },
+  'JM1': { manufacturer: 'Mazda', make: 'Mazda', country: 'Japan' },
+  'JM3': { manufacturer: 'Mazda', make: 'Mazda', country: 'Japan' },
+  'JF1': { manufacturer: 'Subaru', make: 'Subaru', country: 'Japan' },
+  'JF2': { manufacturer: 'Subaru', make: 'Subaru', country: 'Japan' },
+  'JA3': { manufacturer: 'Mitsubishi', make: 'Mitsubishi', country: 'Japan' },
+  'JA4': { manufacturer: 'Mitsubishi', make: 'Mitsubishi', country: 'Japan' },
+  'JS1': { manufacturer: 'Suzuki', make: 'Suzuki', country: 'Japan' },
+  'JYA': { manufacturer: 'Yamaha', make: 'Yamaha', country: 'Japan' },
+  'JKA': { manufacturer: 'Kawasaki', make: 'Kawasaki', country: 'Japan' },
+  // South Korea
+  'KMH': { manufacturer: 'Hyundai', make: 'Hyundai', country: 'South Korea' },
+  'KM8': { manufacturer: 'Hyundai', make: 'Hyundai', country: 'South Korea' },
+  'KMT': { manufacturer: 'Hyundai', make: 'Genesis', country: 'South Korea' },
+  'KNA': { manufacturer: 'Kia', make: 'Kia', country: 'South Korea' },
+  'KND': { manufacturer: 'Kia', make: 'Kia', country: 'South Korea' },
+  'KL1': { manufacturer: 'General Motors', make: 'Chevrolet', country: 'South Korea' },
+  // China
+  'LRW': { manufacturer: 'Tesla', make: 'Tesla', country: 'China' },
+  'LYV': { manufacturer: 'Volvo', make: 'Volvo', country: 'China' },
+  // Europe
+  'WBA': { manufacturer: 'BMW', make: 'BMW', country: 'Germany' },
+  'WBS': { manufacturer: 'BMW', make: 'BMW', country: 'Germany' },
+  'WBY': { manufacturer: 'BMW', make: 'BMW', country: 'Germany' },
+  'WMW': { manufacturer: 'BMW', make: 'MINI', country: 'Germany' },
+  'WDB': { manufacturer: 'Mercedes-Benz', make: 'Mercedes-Benz', country: 'Germany' },
+  'WDC': { manufacturer: 'Mercedes-Benz', make: 'Mercedes-Benz', country: 'Germany' },
+  'WDD': { manufacturer: 'Mercedes-Benz', make: 'Mercedes-Benz', country: 'Germany' },
+  'W1K': { manufacturer: 'Mercedes-Benz', make: 'Mercedes-Benz', country: 'Germany' },
+  'W1N': { manufacturer: 'Mercedes-Benz', make: 'Mercedes-Benz', country: 'Germany' },
+  'WAU': { manufacturer: 'Audi', make: 'Audi', country: 'Germany' },
+  'WA1': { manufacturer: 'Audi', make: 'Audi', country: 'Germany' },
+  'WVW': { manufacturer: 'Volkswagen', make: 'Volkswagen', country: 'Germany' },
+  'WVG': { manufacturer: 'Volkswagen', make: 'Volkswagen', country: 'Germany' },
+  'WP0': { manufacturer: 'Porsche', make: 'Porsche', country: 'Germany' },
+  'WP1': { manufacturer: 'Porsche', make: 'Porsche', country: 'Germany' },
+  'SAL': { manufacturer: 'Jaguar Land Rover', make: 'Land Rover', country: 'United Kingdom' },
+  'SAJ': { manufacturer: 'Jaguar Land Rover', make: 'Jaguar', country: 'United Kingdom' },
+  'SCF': { manufacturer: 'Aston Martin', make: 'Aston Martin', country: 'United Kingdom' },
+  'YV1': { manufacturer: 'Volvo', make: 'Volvo', country: 'Sweden' },
+  'YV4': { manufacturer: 'Volvo', make: 'Volvo', country: 'Sweden' },
+  'ZFF': { manufacturer: 'Ferrari', make: 'Ferrari', country: 'Italy' },
+  'ZAR': { manufacturer: 'Alfa Romeo', make: 'Alfa Romeo', country: 'Italy' },
+  'ZHW': { manufacturer: 'Lamborghini', make: 'Lamborghini', country: 'Italy' },
+  'ZAM': { manufacturer: 'Maserati', make: 'Maserati', country: 'Italy' },
+  'ZFA': { manufacturer: 'Fiat', make: 'Fiat', country: 'Italy' }
+};
+
+// First VIN character -> country / region (used when the WMI is not in WMI_TABLE)
+const VIN_REGIONS = {
+  1: 'United States', 4: 'United States', 5: 'United States', 7: 'United States',
+  2: 'Canada',
+  3: 'Mexico',
+  6: 'Australia',
+  9: 'South America',
+  J: 'Japan',
+  K: 'South Korea',
+  L: 'China',
+  M: 'India / Southeast Asia',
+  S: 'United Kingdom',
+  T: 'Central Europe',
+  V: 'France / Spain',
+  W: 'Germany',
+  Y: 'Northern Europe',
+  Z: 'Italy'
+};
+
+// Regions where the 7th character selects the model year cycle (letter = 2010-2039, digit = 1980-2009)
+const NORTH_AMERICAN_PREFIXES = ['1', '2', '3', '4', '5', '7'];
+
+// Alternate spellings of makes, so "Chevy" matches "Chevrolet"
+const MAKE_ALIASES = {
+  chevy: 'chevrolet',
+  vw: 'volkswagen',
+  mercedes: 'mercedes-benz',
+  benz: 'mercedes-benz',
+  mb: 'mercedes-benz',
+  landrover: 'land rover',
+  'range rover': 'land rover',
+  alfa: 'alfa romeo',
+  harley: 'harley-davidson'
+};
+
+module.exports = {
+  VIN_TRANSLITERATION,
+  VIN_POSITION_WEIGHTS,
+  MODEL_YEAR_CODES,
+  WMI_TABLE,
+  VIN_REGIONS,
+  NORTH_AMERICAN_PREFIXES,
+  MAKE_ALIASES
+};
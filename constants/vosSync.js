@@ -0,0 +1,58 @@
+/**
+ * VOS Sync Constants
+ *
+ * Field-level rules applied when VOS sends an update for a vehicle that already exists in PTG,
+ * and the transport job statuses pushed back to VOS.
+ */
+
+const VOS_FIELD_RULES = {
+  // VOS value is applied unless the field was edited in PTG since the import (then it's a conflict)
+  VOS_UNLESS_LOCAL_EDIT: 'vos_unless_local_edit',
+  // VOS value is applied until the vehicle is picked up (then it's a conflict)
+  VOS_UNTIL_IN_TRANSPORT: 'vos_until_in_transport',
+  // VOS value only fills an empty PTG field
+  FILL_BLANK: 'fill_blank',
+  // VOS entries are added to the PTG list (matched by url), nothing is removed
+  MERGE: 'merge'
+};
+
+// Vehicle fields VOS can update, with the rule applied to each (vin is never changed by sync)
+const VOS_SYNCED_FIELDS = {
+  year: VOS_FIELD_RULES.VOS_UNLESS_LOCAL_EDIT,
+  make: VOS_FIELD_RULES.VOS_UNLESS_LOCAL_EDIT,
+  model: VOS_FIELD_RULES.VOS_UNLESS_LOCAL_EDIT,
+  shipperName: VOS_FIELD_RULES.VOS_UNLESS_LOCAL_EDIT,
+  shipperCompany: VOS_FIELD_RULES.VOS_UNLESS_LOCAL_EDIT,
+  shipperEmail: VOS_FIELD_RULES.VOS_UNLESS_LOCAL_EDIT,
+  shipperPhone: VOS_FIELD_RULES.VOS_UNLESS_LOCAL_EDIT,
+  deliveryPriority: VOS_FIELD_RULES.VOS_UNTIL_IN_TRANSPORT,
+  notes: VOS_FIELD_RULES.FILL_BLANK,
+  documents: VOS_FIELD_RULES.MERGE
+};
+
+// Transport job status -> status reported to VOS
+const VOS_OUTBOUND_STATUSES = {
+  'Dispatched': 'Dispatched',
+  'In Transit': 'In Transport',
+  'Delivered': 'Delivered'
+};
+
+const VOS_OUTBOUND_MESSAGE_STATUS = {
+  PENDING: 'pending',
+  RETRYING: 'retrying',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+const VOS_CONFLICT_RESOLUTIONS = {
+  USE_VOS: 'use_vos',
+  KEEP_PTG: 'keep_ptg'
+};
+
+module.exports = {
+  VOS_FIELD_RULES,
+  VOS_SYNCED_FIELDS,
+  VOS_OUTBOUND_STATUSES,
+  VOS_OUTBOUND_MESSAGE_STATUS,
+  VOS_CONFLICT_RESOLUTIONS
+};
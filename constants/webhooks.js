@@ -0,0 +1,29 @@
+/**
+ * Webhook Constants
+ *
+ * Events emitted by statusManager transitions that external systems (e.g. VOS)
+ * can subscribe to through /api/webhooks.
+ */
+
+const WEBHOOK_EVENTS = {
+  TRANSPORT_JOB_DELIVERED: 'transportJob.delivered',
+  ROUTE_STARTED: 'route.started',
+  STOP_COMPLETED: 'stop.completed',
+  VEHICLE_STATUS_CHANGED: 'vehicle.status_changed'
+};
+
+// Subscribing to this receives every event
+const WEBHOOK_ALL_EVENTS = '*';
+
+const WEBHOOK_DELIVERY_STATUS = {
+  PENDING: 'pending',
+  RETRYING: 'retrying',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  WEBHOOK_ALL_EVENTS,
+  WEBHOOK_DELIVERY_STATUS
+};
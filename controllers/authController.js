@@ -4,6 +4,8 @@ const User = require('../models/User');
 const Expense = require('../models/Expense');
 const AuditLog = require('../models/AuditLog');
 const auditService = require('../utils/auditService');
+const organizationService = require('../utils/organizationService');
+const tenantContext = require('../utils/tenantContext');
 const {
   generateToken,
   generateResetToken,
@@ -11,20 +13,46 @@ const {
   sendWelcomeEmail
 } = require('../utils/auth');
 
+// Find a user by email for the public auth endpoints; the same email can belong to users of
+// different organizations, so the lookup is limited to the organization given by slug, or the default one
+const findUserByEmail = async (email, organizationSlug, select) => {
+  const organization = await organizationService.findPublicOrganization(organizationSlug);
+  if (!organization) return null;
+
+  const query = User.findOne({ email, organizationId: organization._id });
+  return select ? query.select(select) : query;
+};
+
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
 const register = async (req, res) => {
   try {
-    const { email, password, firstName, lastName } = req.body;
+    const { email, password, firstName, lastName, organization: organizationSlug } = req.body;
+
+    // Join the organization given by slug, or the default organization
+    const organization = await organizationService.findPublicOrganization(organizationSlug);
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found'
+      });
+    }
+
+    if (await User.exists({ email: String(email || '').toLowerCase().trim(), organizationId: organization._id })) {
+      return res.status(400).json({
+        success: false,
+        message: 'A user with this email already exists'
+      });
+    }
 
     // Create user
-    const user = await User.create({
+    const user = await tenantContext.runWithOrganization(organization._id, () => User.create({
       email,
       password,
       firstName,
       lastName
-    });
+    }));
 
     // Generate token
     const token = generateToken(user);
@@ -66,10 +94,10 @@ const register = async (req, res) => {
 // @access  Public
 const login = async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { email, password, organization: organizationSlug } = req.body;
 
     // Check if user exists and get password field
-    const user = await User.findOne({ email }).select('+password');
+    const user = await findUserByEmail(email, organizationSlug, '+password');
     if (!user) {
 
       return res.status(401).json({
@@ -87,6 +115,7 @@ const login = async (req, res) => {
         entityType: 'user',
         entityId: user._id,
         userId: user._id, // The user who attempted to log in
+        organizationId: user.organizationId,
         driverId: user.role === 'ptgDriver' ? user._id : undefined,
         details: {
           email,
@@ -103,6 +132,16 @@ const login = async (req, res) => {
       });
     }
 
+    // Users of a suspended organization cannot sign in (super admins can, to manage it)
+    const { error: organizationError, code } = await organizationService.resolveUserOrganization(user);
+    if (organizationError) {
+      return res.status(403).json({
+        success: false,
+        message: organizationError,
+        code
+      });
+    }
+
     // Generate token
     const token = generateToken(user);
 
@@ -112,6 +151,7 @@ const login = async (req, res) => {
       entityType: 'user',
       entityId: user._id,
       userId: user._id,
+      organizationId: user.organizationId,
       driverId: user.role === 'ptgDriver' ? user._id : undefined,
       details: {
         email,
@@ -148,10 +188,10 @@ const login = async (req, res) => {
 // @access  Public
 const forgotPassword = async (req, res) => {
   try {
-    const { email } = req.body;
+    const { email, organization: organizationSlug } = req.body;
 
     // Find user
-    const user = await User.findOne({ email });
+    const user = await findUserByEmail(email, organizationSlug);
     if (!user) {
       // Don't reveal if email exists or not for security
       return res.status(200).json({
@@ -178,6 +218,7 @@ const forgotPassword = async (req, res) => {
         entityType: 'user',
         entityId: user._id,
         userId: user._id,
+        organizationId: user.organizationId,
         driverId: user.role === 'ptgDriver' ? user._id : undefined,
         details: {
           email: user.email,
@@ -253,6 +294,7 @@ const resetPassword = async (req, res) => {
       entityType: 'user',
       entityId: user._id,
       userId: user._id,
+      organizationId: user.organizationId,
       driverId: user.role === 'ptgDriver' ? user._id : undefined,
       details: {
         email: user.email,
@@ -287,7 +329,8 @@ const resetPassword = async (req, res) => {
 // @access  Private
 const getProfile = async (req, res) => {
   try {
-    const user = await User.findById(req.user._id);
+    // A super admin acting in another organization is not part of it
+    const user = await tenantContext.runUnscoped(async () => User.findById(req.user._id));
 
     res.status(200).json({
       success: true,
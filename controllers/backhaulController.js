@@ -0,0 +1,226 @@
+const mongoose = require('mongoose');
+const Route = require('../models/Route');
+const TransportJob = require('../models/TransportJob');
+const AuditLog = require('../models/AuditLog');
+const backhaulService = require('../utils/backhaulService');
+const locationService = require('../utils/locationService');
+const { checkRouteCapacity, formatOverloadMessage } = require('../utils/capacityService');
+const { updateStatusOnStopsSetup, updateTransportJobRouteReferences } = require('../utils/statusManager');
+const { ROUTE_STATUS, TRANSPORT_JOB_STATUS } = require('../constants/status');
+
+// Same enforcement switch as route create/update (see routeController)
+const isCapacityEnforced = () => process.env.ROUTE_CAPACITY_ENFORCEMENT !== 'warn';
+
+const parseSearchOptions = (query) => ({
+  pickupRadius: parseFloat(query.pickupRadius) || backhaulService.PICKUP_RADIUS_MILES,
+  dropRadius: parseFloat(query.dropRadius) || backhaulService.DROP_RADIUS_MILES,
+  limit: Math.min(parseInt(query.limit) || 20, 100)
+});
+
+const sendBackhauls = (res, result) => {
+  if (result.error) {
+    return res.status(400).json({
+      success: false,
+      message: result.error
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+};
+
+/**
+ * Backhaul candidates for a route
+ * Query: pickupRadius?, dropRadius? (miles), limit?
+ */
+exports.getRouteBackhauls = async (req, res) => {
+  try {
+    const route = mongoose.Types.ObjectId.isValid(req.params.id) ? await Route.findById(req.params.id) : null;
+    if (!route || route.deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found'
+      });
+    }
+
+    const result = await backhaulService.findBackhauls(route, parseSearchOptions(req.query));
+    sendBackhauls(res, result);
+  } catch (error) {
+    console.error('Error finding backhauls:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to find backhauls',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Backhaul candidates for a truck's route on a date
+ * Query: truckId, date, pickupRadius?, dropRadius? (miles), limit?
+ */
+exports.getTruckBackhauls = async (req, res) => {
+  try {
+    const { truckId, date } = req.query;
+
+    if (!truckId || !mongoose.Types.ObjectId.isValid(truckId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid truckId is required'
+      });
+    }
+    if (!date || isNaN(new Date(date).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'date must be a valid date'
+      });
+    }
+
+    const route = await backhaulService.findTruckRouteOnDate(truckId, date);
+    if (!route) {
+      return res.status(404).json({
+        success: false,
+        message: 'No route found for this truck on that date'
+      });
+    }
+
+    const result = await backhaulService.findBackhauls(route, parseSearchOptions(req.query));
+    sendBackhauls(res, result);
+  } catch (error) {
+    console.error('Error finding truck backhauls:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to find backhauls',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Append a backhaul job's pickup and drop stops to a route (ahead of its end stop)
+ * Body: { allowOverCapacity? }
+ */
+exports.addBackhaulToRoute = async (req, res) => {
+  try {
+    const { allowOverCapacity } = req.body || {};
+    const { id, transportJobId } = req.params;
+
+    const route = mongoose.Types.ObjectId.isValid(id) ? await Route.findById(id) : null;
+    if (!route || route.deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found'
+      });
+    }
+    if (route.status === ROUTE_STATUS.COMPLETED || route.status === ROUTE_STATUS.CANCELLED) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot add a backhaul to a route that is ${route.status.toLowerCase()}`
+      });
+    }
+
+    const job = mongoose.Types.ObjectId.isValid(transportJobId) ? await TransportJob.findById(transportJobId) : null;
+    if (!job || job.deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transport job not found'
+      });
+    }
+    if (job.status !== TRANSPORT_JOB_STATUS.NEEDS_DISPATCH || job.pickupRouteId || job.dropRouteId) {
+      return res.status(400).json({
+        success: false,
+        message: job.status !== TRANSPORT_JOB_STATUS.NEEDS_DISPATCH
+          ? `Only Needs Dispatch transport jobs can be added as a backhaul (job is ${job.status})`
+          : 'Transport job is already on a route'
+      });
+    }
+
+    const stops = backhaulService.buildBackhaulStops(route, job);
+
+    const capacityCheck = await checkRouteCapacity(stops, route.truckId);
+    if (capacityCheck.overloaded && isCapacityEnforced() && !allowOverCapacity) {
+      return res.status(400).json({
+        success: false,
+        code: 'TRUCK_OVER_CAPACITY',
+        message: formatOverloadMessage(capacityCheck),
+        data: {
+          capacity: capacityCheck
+        }
+      });
+    }
+
+    route.stops = stops;
+    if (!route.selectedTransportJobs.some(selectedJobId => selectedJobId.toString() === job._id.toString())) {
+      route.selectedTransportJobs.push(job._id);
+    }
+    route.lastUpdatedBy = req.user._id;
+    await route.save();
+
+    // Set pickupRouteId/dropRouteId and move the job and its vehicle to Dispatched
+    await updateTransportJobRouteReferences(route._id, route.stops);
+    try {
+      await updateStatusOnStopsSetup(route._id, route.stops);
+    } catch (stopsSetupError) {
+      console.error('Failed to update statuses on backhaul stops setup:', stopsSetupError);
+    }
+
+    // Recalculate distanceFromPrevious and totals with the backhaul legs
+    try {
+      await locationService.refreshRouteDistances(route);
+    } catch (locationError) {
+      console.error('❌ Failed to recalculate route distances after adding backhaul:', locationError.message);
+    }
+
+    await AuditLog.create({
+      action: 'add_backhaul_to_route',
+      entityType: 'route',
+      entityId: route._id,
+      userId: req.user._id,
+      driverId: route.driverId,
+      routeId: route._id,
+      details: {
+        transportJobId: job._id,
+        jobNumber: job.jobNumber,
+        carrierPayment: job.carrierPayment,
+        overCapacity: capacityCheck.overloaded || false
+      },
+      notes: `Added backhaul ${job.jobNumber || job._id} to route ${route.routeNumber || route._id}`
+    });
+
+    const populatedRoute = await Route.findById(route._id)
+      .populate('driverId', 'firstName lastName email phoneNumber')
+      .populate('truckId', 'truckNumber licensePlate make model year status')
+      .populate({
+        path: 'stops.transportJobId',
+        select: 'jobNumber status vehicleId loadId loadType carrier pickupRouteId dropRouteId',
+        populate: [
+          {
+            path: 'vehicleId',
+            select: 'vin year make model status'
+          },
+          {
+            path: 'loadId',
+            select: 'loadNumber loadType description weight quantity unit status'
+          }
+        ]
+      });
+
+    res.status(200).json({
+      success: true,
+      message: 'Backhaul added to route successfully',
+      data: {
+        route: populatedRoute,
+        capacity: capacityCheck
+      }
+    });
+  } catch (error) {
+    console.error('Error adding backhaul to route:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to add backhaul to route',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
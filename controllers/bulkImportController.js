@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { IMPORT_FORMATS, detectFormat, previewImport, commitImport } = require('../utils/bulkImportService');
+const { IMPORT_COLUMNS, MAX_IMPORT_ROWS, TRANSPORT_PURPOSES } = require('../constants/bulkImport');
+
+const TRANSPORT_JOB_DEFAULT_FIELDS = ['carrier', 'externalCarrierName', 'transportPurpose', 'carrierPayment'];
+
+/**
+ * Columns accepted by the import of an entity type
+ */
+const getImportColumns = (entityType) => (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      formats: IMPORT_FORMATS,
+      maxRows: MAX_IMPORT_ROWS,
+      columns: IMPORT_COLUMNS[entityType].map(column => ({
+        field: column.field,
+        type: column.type,
+        required: Boolean(column.required),
+        values: column.values,
+        transportJobOnly: column.target === 'transportJob',
+        aliases: column.aliases || []
+      }))
+    }
+  });
+};
+
+/**
+ * Bulk import from a CSV or XLSX file
+ * Body: {
+ *   file: base64 file (data URL or raw base64), fileName, format? ('csv' | 'xlsx'),
+ *   columnMapping?: { "<header>": "<field>" | null },
+ *   dryRun? (default true) - only validate and return the preview,
+ *   skipInvalidRows? - commit the valid rows even if other rows have errors,
+ *   createTransportJobs?, transportJobDefaults?: { carrier, externalCarrierName, transportPurpose, carrierPayment }
+ * }
+ */
+const importRecords = (entityType) => async (req, res) => {
+  try {
+    const {
+      file,
+      fileName = '',
+      columnMapping = {},
+      dryRun = true,
+      skipInvalidRows = false,
+      createTransportJobs = false,
+      transportJobDefaults = {}
+    } = req.body;
+
+    if (!file || typeof file !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'file (base64 encoded CSV or XLSX) is required'
+      });
+    }
+
+    const [, dataUrlPrefix = '', base64Data] = file.match(/^(data:[^;]*;base64,)?(.*)$/s);
+    const format = req.body.format || detectFormat(fileName, dataUrlPrefix);
+    if (!IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Could not determine the file format; use a .csv or .xlsx file or pass format (${IMPORT_FORMATS.join(', ')})`
+      });
+    }
+
+    if (transportJobDefaults.transportPurpose && !TRANSPORT_PURPOSES.includes(transportJobDefaults.transportPurpose)) {
+      return res.status(400).json({
+        success: false,
+        message: `transportJobDefaults.transportPurpose must be one of: ${TRANSPORT_PURPOSES.join(', ')}`
+      });
+    }
+
+    let preview;
+    try {
+      preview = await previewImport(entityType, Buffer.from(base64Data, 'base64'), format, columnMapping);
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: parseError.message || 'Failed to read the import file'
+      });
+    }
+
+    if (dryRun) {
+      return res.status(200).json({
+        success: true,
+        message: `Preview: ${preview.validRows} of ${preview.totalRows} rows can be imported`,
+        data: {
+          dryRun: true,
+          preview
+        }
+      });
+    }
+
+    if (preview.invalidRows > 0 && !skipInvalidRows) {
+      return res.status(400).json({
+        success: false,
+        message: `${preview.invalidRows} row(s) have errors. Fix them or pass skipInvalidRows to import only the valid rows.`,
+        data: {
+          dryRun: false,
+          preview
+        }
+      });
+    }
+
+    // API key users have no PTG user record
+    const userId = req.user?._id && mongoose.Types.ObjectId.isValid(req.user._id) ? req.user._id : undefined;
+    const defaults = {};
+    TRANSPORT_JOB_DEFAULT_FIELDS.forEach(field => {
+      if (transportJobDefaults[field] !== undefined && transportJobDefaults[field] !== '') defaults[field] = transportJobDefaults[field];
+    });
+
+    const result = await commitImport(preview, {
+      userId,
+      createTransportJobs: Boolean(createTransportJobs),
+      transportJobDefaults: defaults
+    });
+
+    await AuditLog.create({
+      action: entityType === 'vehicle' ? 'bulk_import_vehicles' : 'bulk_import_loads',
+      entityType,
+      userId,
+      details: {
+        fileName,
+        format,
+        totalRows: preview.totalRows,
+        created: result.created,
+        failed: result.failed,
+        skipped: result.skipped,
+        shippersCreated: result.shippersCreated,
+        transportJobsCreated: result.transportJobsCreated
+      },
+      notes: `Bulk imported ${result.created} ${entityType}(s) from ${fileName || format.toUpperCase() + ' file'}`
+    });
+
+    res.status(result.created > 0 ? 201 : 200).json({
+      success: result.failed === 0,
+      message: `Imported ${result.created} of ${preview.totalRows} rows` +
+        (result.failed > 0 ? ` (${result.failed} failed)` : '') +
+        (result.skipped > 0 ? ` (${result.skipped} skipped)` : ''),
+      data: {
+        dryRun: false,
+        result
+      }
+    });
+  } catch (error) {
+    console.error(`Error bulk importing ${entityType}s:`, error);
+    res.status(500).json({
+      success: false,
+      message: error.message || `Failed to import ${entityType}s`,
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+exports.getVehicleImportColumns = getImportColumns('vehicle');
+exports.getLoadImportColumns = getImportColumns('load');
+exports.importVehicles = importRecords('vehicle');
+exports.importLoads = importRecords('load');
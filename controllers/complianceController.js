@@ -0,0 +1,345 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Truck = require('../models/Truck');
+const AuditLog = require('../models/AuditLog');
+const complianceService = require('../utils/complianceService');
+const { COMPLIANCE_DOCUMENT_STATUS } = require('../constants/compliance');
+
+const { OWNER_TYPES } = complianceService;
+
+// URL segment -> owner type
+const OWNER_PATHS = {
+  drivers: OWNER_TYPES.DRIVER,
+  trucks: OWNER_TYPES.TRUCK
+};
+
+const DOCUMENT_FIELDS = ['documentType', 'documentNumber', 'issuedBy', 'issueDate', 'expiryDate', 'file', 'notes'];
+
+/**
+ * Load the driver or truck of a /:ownerType/:ownerId request; sends the error response and returns null if not allowed
+ * Drivers can only access their own documents.
+ */
+async function loadOwner(req, res) {
+  const ownerType = OWNER_PATHS[req.params.ownerType];
+  const { ownerId } = req.params;
+  const isDriver = req.user.role === 'ptgDriver';
+
+  const notFound = () => {
+    res.status(404).json({
+      success: false,
+      message: ownerType === OWNER_TYPES.TRUCK ? 'Truck not found' : 'Driver not found'
+    });
+    return null;
+  };
+
+  if (!ownerType || !mongoose.Types.ObjectId.isValid(ownerId)) return notFound();
+  if (isDriver && (ownerType !== OWNER_TYPES.DRIVER || ownerId !== req.user._id.toString())) return notFound();
+
+  const owner = ownerType === OWNER_TYPES.TRUCK
+    ? await Truck.findById(ownerId)
+    : await User.findOne({ _id: ownerId, role: 'ptgDriver' });
+  if (!owner) return notFound();
+
+  return { ownerType, owner };
+}
+
+/**
+ * Validate document fields; returns an error message or null
+ */
+function validateDocument(ownerType, fields, isNew) {
+  const documentTypes = complianceService.getDocumentTypes(ownerType);
+
+  if ((isNew || fields.documentType !== undefined) && !documentTypes[fields.documentType]) {
+    return `documentType must be one of: ${Object.keys(documentTypes).join(', ')}`;
+  }
+  if ((isNew || fields.expiryDate !== undefined) && Number.isNaN(new Date(fields.expiryDate || NaN).getTime())) {
+    return 'expiryDate must be a valid date';
+  }
+  if (fields.issueDate && Number.isNaN(new Date(fields.issueDate).getTime())) {
+    return 'issueDate must be a valid date';
+  }
+  if (fields.file !== undefined && fields.file !== null && (typeof fields.file !== 'object' || !fields.file.url)) {
+    return 'file must be the uploaded file ({ url, publicId, fileName, fileType })';
+  }
+  return null;
+}
+
+const pickDocumentFields = (body) => DOCUMENT_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) fields[field] = body[field];
+  return fields;
+}, {});
+
+/**
+ * Documents expiring within `days` (default 30) or already expired, for drivers and trucks
+ */
+exports.getExpiringDocuments = async (req, res) => {
+  try {
+    const days = parseInt(req.query.days) || 30;
+    const horizon = new Date(Date.now() + (days + 1) * 24 * 60 * 60 * 1000);
+    const query = { 'complianceDocuments.expiryDate': { $lt: horizon } };
+
+    const [drivers, trucks] = await Promise.all([
+      User.find({ ...query, role: 'ptgDriver' }).select('firstName lastName email complianceDocuments'),
+      Truck.find(query).select('truckNumber licensePlate status complianceDocuments')
+    ]);
+
+    const toEntries = (ownerType, owners, describe) => owners.flatMap(owner =>
+      complianceService.summarizeDocuments(ownerType, owner.complianceDocuments)
+        .filter(document => document.daysUntilExpiry <= days)
+        .map(document => ({ ...document, ownerType, owner: describe(owner) })));
+
+    const documents = [
+      ...toEntries(OWNER_TYPES.DRIVER, drivers, driver => ({
+        _id: driver._id, firstName: driver.firstName, lastName: driver.lastName, email: driver.email
+      })),
+      ...toEntries(OWNER_TYPES.TRUCK, trucks, truck => ({
+        _id: truck._id, truckNumber: truck.truckNumber, licensePlate: truck.licensePlate, status: truck.status
+      }))
+    ].sort((a, b) => a.daysUntilExpiry - b.daysUntilExpiry);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        days,
+        documents,
+        summary: {
+          expired: documents.filter(document => document.status === COMPLIANCE_DOCUMENT_STATUS.EXPIRED).length,
+          expiring: documents.filter(document => document.status !== COMPLIANCE_DOCUMENT_STATUS.EXPIRED).length
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching expiring documents:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to fetch expiring documents',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get the compliance documents of a driver or truck
+ */
+exports.getDocuments = async (req, res) => {
+  try {
+    const loaded = await loadOwner(req, res);
+    if (!loaded) return;
+    const { ownerType, owner } = loaded;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        documents: owner.complianceDocuments,
+        current: complianceService.summarizeDocuments(ownerType, owner.complianceDocuments)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching compliance documents:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to fetch compliance documents',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Add a compliance document (a renewal is added as a new document of the same type)
+ * Body: { documentType, documentNumber?, issuedBy?, issueDate?, expiryDate, file?: { url, publicId, fileName, fileType }, notes? }
+ */
+exports.addDocument = async (req, res) => {
+  try {
+    const loaded = await loadOwner(req, res);
+    if (!loaded) return;
+    const { ownerType, owner } = loaded;
+
+    const fields = pickDocumentFields(req.body);
+    const validationError = validateDocument(ownerType, fields, true);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    owner.complianceDocuments.push({
+      ...fields,
+      uploadedBy: req.user._id,
+      uploadedAt: new Date()
+    });
+    const document = owner.complianceDocuments[owner.complianceDocuments.length - 1];
+    await owner.save();
+
+    await AuditLog.create({
+      action: 'add_compliance_document',
+      entityType: ownerType === OWNER_TYPES.TRUCK ? 'truck' : 'user',
+      entityId: owner._id,
+      userId: req.user._id,
+      driverId: ownerType === OWNER_TYPES.DRIVER ? owner._id : undefined,
+      details: {
+        documentId: document._id,
+        documentType: document.documentType,
+        documentNumber: document.documentNumber,
+        expiryDate: document.expiryDate,
+        fileUrl: document.file?.url
+      },
+      notes: `Added ${document.documentType} document expiring ${new Date(document.expiryDate).toLocaleDateString('en-US')}`
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Document added successfully',
+      data: {
+        document,
+        status: complianceService.getDocumentStatus(document)
+      }
+    });
+  } catch (error) {
+    console.error('Error adding compliance document:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message || 'Failed to add compliance document',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update a compliance document
+ * A new expiryDate resets the warnings sent, so the renewed date gets its own 30/14/0 day warnings.
+ */
+exports.updateDocument = async (req, res) => {
+  try {
+    const loaded = await loadOwner(req, res);
+    if (!loaded) return;
+    const { ownerType, owner } = loaded;
+
+    const document = owner.complianceDocuments.id(req.params.documentId);
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    const fields = pickDocumentFields(req.body);
+    const validationError = validateDocument(ownerType, fields, false);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const expiryChanged = fields.expiryDate !== undefined &&
+      new Date(fields.expiryDate).getTime() !== new Date(document.expiryDate).getTime();
+    Object.assign(document, fields);
+    if (expiryChanged) {
+      document.warningsSent = [];
+    }
+    await owner.save();
+
+    await AuditLog.create({
+      action: 'update_compliance_document',
+      entityType: ownerType === OWNER_TYPES.TRUCK ? 'truck' : 'user',
+      entityId: owner._id,
+      userId: req.user._id,
+      driverId: ownerType === OWNER_TYPES.DRIVER ? owner._id : undefined,
+      details: {
+        documentId: document._id,
+        updates: fields
+      },
+      notes: `Updated ${document.documentType} document`
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Document updated successfully',
+      data: {
+        document,
+        status: complianceService.getDocumentStatus(document)
+      }
+    });
+  } catch (error) {
+    console.error('Error updating compliance document:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message || 'Failed to update compliance document',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Delete a compliance document
+ */
+exports.deleteDocument = async (req, res) => {
+  try {
+    const loaded = await loadOwner(req, res);
+    if (!loaded) return;
+    const { ownerType, owner } = loaded;
+
+    const document = owner.complianceDocuments.id(req.params.documentId);
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    const { documentType, expiryDate } = document;
+    document.deleteOne();
+    await owner.save();
+
+    await AuditLog.create({
+      action: 'delete_compliance_document',
+      entityType: ownerType === OWNER_TYPES.TRUCK ? 'truck' : 'user',
+      entityId: owner._id,
+      userId: req.user._id,
+      driverId: ownerType === OWNER_TYPES.DRIVER ? owner._id : undefined,
+      details: {
+        documentId: req.params.documentId,
+        documentType,
+        expiryDate
+      },
+      notes: `Deleted ${documentType} document`
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Document deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting compliance document:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to delete compliance document',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Run the daily expiry warning check now
+ */
+exports.runExpiryCheck = async (req, res) => {
+  try {
+    const sent = await complianceService.runExpiryCheck();
+
+    res.status(200).json({
+      success: true,
+      message: `${sent} expiry warning(s) sent`,
+      data: {
+        sent
+      }
+    });
+  } catch (error) {
+    console.error('Error running compliance expiry check:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to run expiry check',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
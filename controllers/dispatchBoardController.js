@@ -0,0 +1,215 @@
+const mongoose = require('mongoose');
+const dispatchBoardService = require('../utils/dispatchBoardService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Blocking conflicts stop the operation (409); overridable ones can be applied with { force: true }
+const sendConflicts = (res, conflicts, blocking) => res.status(409).json({
+  success: false,
+  code: 'DISPATCH_CONFLICT',
+  message: blocking.map(conflict => conflict.message).join('; '),
+  data: {
+    conflicts,
+    canForce: blocking.every(conflict => conflict.overridable)
+  }
+});
+
+const sendOperationError = (res, error, fallbackMessage) => {
+  if (error.stale) {
+    return res.status(409).json({
+      success: false,
+      code: 'ROUTE_CHANGED',
+      message: error.message
+    });
+  }
+  res.status(500).json({
+    success: false,
+    message: error.message || fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+/**
+ * Dispatch board: routes per truck and driver for a date range plus the Needs Dispatch pool
+ * Query: startDate, endDate, truckId?, driverId?
+ */
+exports.getBoard = async (req, res) => {
+  try {
+    const { startDate, endDate, truckId, driverId } = req.query;
+
+    if (!startDate || !endDate || isNaN(new Date(startDate).getTime()) || isNaN(new Date(endDate).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'startDate and endDate must be valid dates'
+      });
+    }
+    const days = (new Date(endDate) - new Date(startDate)) / DAY_MS;
+    if (days < 0 || days > dispatchBoardService.MAX_BOARD_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `endDate must be after startDate and within ${dispatchBoardService.MAX_BOARD_DAYS} days of it`
+      });
+    }
+    if ((truckId && !mongoose.Types.ObjectId.isValid(truckId)) || (driverId && !mongoose.Types.ObjectId.isValid(driverId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid truckId or driverId'
+      });
+    }
+
+    const board = await dispatchBoardService.getBoard({ startDate, endDate, truckId, driverId });
+
+    res.status(200).json({
+      success: true,
+      data: board
+    });
+  } catch (error) {
+    console.error('Error getting dispatch board:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to get dispatch board',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Move a transport job's stops to another route, or assign a pool job to a route
+ * Body: { transportJobId, fromRouteId? (omit for a pool job), toRouteId, position? (1-based sequence),
+ *   force? (apply despite overridable conflicts), dryRun? }
+ */
+exports.moveTransportJob = async (req, res) => {
+  try {
+    const { transportJobId, fromRouteId, toRouteId, position, force = false, dryRun = false } = req.body || {};
+
+    if (![transportJobId, toRouteId].every(id => id && mongoose.Types.ObjectId.isValid(id)) ||
+        (fromRouteId && !mongoose.Types.ObjectId.isValid(fromRouteId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid transportJobId and toRouteId are required (fromRouteId is optional)'
+      });
+    }
+    if (position !== undefined && !(parseInt(position) >= 1)) {
+      return res.status(400).json({
+        success: false,
+        message: 'position must be a positive stop sequence'
+      });
+    }
+
+    const plan = await dispatchBoardService.planMove({ transportJobId, fromRouteId, toRouteId, position });
+    if (plan.error) {
+      return res.status(plan.notFound ? 404 : 400).json({
+        success: false,
+        message: plan.error
+      });
+    }
+
+    if (dryRun) {
+      return res.status(200).json({
+        success: true,
+        message: 'Move preview generated',
+        data: {
+          applied: false,
+          stops: plan.toStops,
+          conflicts: plan.conflicts,
+          blockingConflicts: dispatchBoardService.getBlockingConflicts(plan.conflicts, force)
+        }
+      });
+    }
+
+    const blocking = dispatchBoardService.getBlockingConflicts(plan.conflicts, force);
+    if (blocking.length > 0) {
+      return sendConflicts(res, plan.conflicts, blocking);
+    }
+
+    const { fromRoute, toRoute } = await dispatchBoardService.applyMove(plan, {
+      userId: req.user._id,
+      overriddenConflicts: plan.conflicts.filter(conflict => conflict.blocking)
+    });
+
+    res.status(200).json({
+      success: true,
+      message: fromRoute ? 'Transport job moved successfully' : 'Transport job assigned successfully',
+      data: {
+        applied: true,
+        fromRoute,
+        toRoute,
+        conflicts: plan.conflicts
+      }
+    });
+  } catch (error) {
+    console.error('Error moving transport job:', error);
+    sendOperationError(res, error, 'Failed to move transport job');
+  }
+};
+
+/**
+ * Split a route: the stops after afterStopId become a new route
+ * Body: { routeId, afterStopId, driverId?, truckId?, plannedStartDate?, force?, dryRun? }
+ */
+exports.splitRoute = async (req, res) => {
+  try {
+    const { routeId, afterStopId, driverId, truckId, plannedStartDate, force = false, dryRun = false } = req.body || {};
+
+    if (![routeId, afterStopId].every(id => id && mongoose.Types.ObjectId.isValid(id)) ||
+        (driverId && !mongoose.Types.ObjectId.isValid(driverId)) ||
+        (truckId && !mongoose.Types.ObjectId.isValid(truckId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid routeId and afterStopId are required (driverId and truckId are optional)'
+      });
+    }
+    if (plannedStartDate && isNaN(new Date(plannedStartDate).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'plannedStartDate must be a valid date'
+      });
+    }
+
+    const plan = await dispatchBoardService.planSplit({ routeId, afterStopId, driverId, truckId, plannedStartDate });
+    if (plan.error) {
+      return res.status(plan.notFound ? 404 : 400).json({
+        success: false,
+        message: plan.error
+      });
+    }
+
+    if (dryRun) {
+      return res.status(200).json({
+        success: true,
+        message: 'Split preview generated',
+        data: {
+          applied: false,
+          route: plan.routeUpdate,
+          newRoute: plan.newRoute,
+          conflicts: plan.conflicts,
+          blockingConflicts: dispatchBoardService.getBlockingConflicts(plan.conflicts, force)
+        }
+      });
+    }
+
+    const blocking = dispatchBoardService.getBlockingConflicts(plan.conflicts, force);
+    if (blocking.length > 0) {
+      return sendConflicts(res, plan.conflicts, blocking);
+    }
+
+    const { route, newRoute } = await dispatchBoardService.applySplit(plan, {
+      userId: req.user._id,
+      overriddenConflicts: plan.conflicts.filter(conflict => conflict.blocking)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Route split into ${newRoute.routeNumber || newRoute._id}`,
+      data: {
+        applied: true,
+        route,
+        newRoute,
+        conflicts: plan.conflicts
+      }
+    });
+  } catch (error) {
+    console.error('Error splitting route:', error);
+    sendOperationError(res, error, 'Failed to split route');
+  }
+};
@@ -6,9 +6,14 @@ const Vehicle = require('../models/Vehicle');
 const AuditLog = require('../models/AuditLog');
 const auditService = require('../utils/auditService');
 const routeTracker = require('../utils/routeTracker');
+const hosService = require('../utils/hosService');
+const dvirService = require('../utils/dvirService');
+const maintenanceService = require('../utils/maintenanceService');
+const { DUTY_STATUS } = require('../constants/hos');
 const { ROUTE_STATE, TRUCK_STATUS, ROUTE_STATUS } = require('../constants/status');
 const {
   updateStatusOnStopUpdate,
+  updateStatusOnRouteStatusChange,
   calculateVehicleStatusFromJobs,
   updateVehicleTransportJobsHistory
 } = require('../utils/statusManager');
@@ -230,7 +235,32 @@ exports.startMyRoute = async (req, res) => {
       }
     }
 
+    // Truck must not be out of service (open DVIR defect) or missing a required pre-trip inspection
+    const dvirCheck = await dvirService.checkRouteStart(route);
+    if (!dvirCheck.allowed) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot start route: ${dvirCheck.message}`,
+        data: {
+          dvir: dvirCheck
+        }
+      });
+    }
+
+    // Hours of service: block (or warn) when the driver has no driving time left
+    const hosCheck = await hosService.checkRouteStart(driverId, route);
+    if (!hosCheck.allowed) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot start route: ${hosCheck.violations.map(violation => violation.message).join('; ')}`,
+        data: {
+          hos: hosCheck
+        }
+      });
+    }
+
     // Update route status and state
+    const oldStatus = route.status;
     route.status = 'In Progress';
     route.state = ROUTE_STATE.STARTED;
     route.actualStartDate = new Date();
@@ -281,6 +311,12 @@ exports.startMyRoute = async (req, res) => {
 
           // Initialize route tracking
           await routeTracker.initializeTracking(routeId, req.user._id, route.truckId, startAuditLog._id);
+
+          await hosService.recordRouteEvent(routeId, 'start_route', {
+            location: req.body.currentLocation,
+            auditLogId: startAuditLog._id,
+            userId: req.user._id
+          });
           
           // Add location entry for start action if location is provided
           if (req.body.currentLocation) {
@@ -293,6 +329,13 @@ exports.startMyRoute = async (req, res) => {
             );
           }
 
+    // Update related statuses and notify webhook subscribers that the route started
+    try {
+      await updateStatusOnRouteStatusChange(routeId, ROUTE_STATUS.IN_PROGRESS, oldStatus);
+    } catch (statusError) {
+      console.error('Failed to update statuses on route start:', statusError);
+    }
+
     // Populate and return route
     const populatedRoute = await Route.findById(routeId)
       .populate('driverId', 'firstName lastName email phoneNumber')
@@ -337,7 +380,8 @@ exports.startMyRoute = async (req, res) => {
       success: true,
       message: 'Route started successfully',
       data: {
-        route: populatedRoute
+        route: populatedRoute,
+        hos: hosCheck
       }
     });
   } catch (error) {
@@ -373,6 +417,15 @@ exports.stopMyRoute = async (req, res) => {
       });
     }
 
+    // Optional duty status while stopped (defaults from the current stop type)
+    const { dutyStatus } = req.body;
+    if (dutyStatus !== undefined && (dutyStatus === DUTY_STATUS.DRIVING || !Object.values(DUTY_STATUS).includes(dutyStatus))) {
+      return res.status(400).json({
+        success: false,
+        message: `dutyStatus must be one of: ${Object.values(DUTY_STATUS).filter(status => status !== DUTY_STATUS.DRIVING).join(', ')}`
+      });
+    }
+
     // Update route state
     route.state = ROUTE_STATE.STOPPED;
     route.lastUpdatedBy = req.user._id;
@@ -393,6 +446,13 @@ exports.stopMyRoute = async (req, res) => {
           // Add action to route tracking
           await routeTracker.addActionEntry(routeId, 'stop_route', req.body.currentLocation, stopAuditLog._id);
 
+          await hosService.recordRouteEvent(routeId, 'stop_route', {
+            dutyStatus,
+            location: req.body.currentLocation,
+            auditLogId: stopAuditLog._id,
+            userId: req.user._id
+          });
+
     // Populate and return route
     const populatedRoute = await Route.findById(routeId)
       .populate('driverId', 'firstName lastName email phoneNumber')
@@ -493,6 +553,15 @@ exports.resumeMyRoute = async (req, res) => {
           // Add action to route tracking
           await routeTracker.addActionEntry(routeId, 'resume_route', req.body.currentLocation, resumeAuditLog._id);
 
+          await hosService.recordRouteEvent(routeId, 'resume_route', {
+            location: req.body.currentLocation,
+            auditLogId: resumeAuditLog._id,
+            userId: req.user._id
+          });
+
+          // Resuming is never blocked, but the driver is told when a limit is reached
+          const hosClocks = await hosService.getDriverClocks(driverId);
+
     // Populate and return route
     const populatedRoute = await Route.findById(routeId)
       .populate('driverId', 'firstName lastName email phoneNumber')
@@ -537,7 +606,8 @@ exports.resumeMyRoute = async (req, res) => {
       success: true,
       message: 'Route resumed successfully',
       data: {
-        route: populatedRoute
+        route: populatedRoute,
+        hos: hosClocks
       }
     });
   } catch (error) {
@@ -595,17 +665,21 @@ exports.completeMyRoute = async (req, res) => {
           // Complete route tracking
           await routeTracker.completeTracking(routeId, completeAuditLog._id);
 
+          await hosService.recordRouteEvent(routeId, 'complete_route', {
+            location: req.body.currentLocation,
+            auditLogId: completeAuditLog._id,
+            userId: req.user._id
+          });
+
           // Remove current route from user model
           await User.findByIdAndUpdate(req.user._id, {
             $unset: { currentRouteId: 1 }
           });
 
-    // Set truck status back to "Available"
+    // Set truck status back to "Available" (unless a DVIR took it out of service) and update its maintenance miles
           if (route.truckId) {
-            await Truck.findByIdAndUpdate(route.truckId, {
-              status: TRUCK_STATUS.AVAILABLE,
-              $unset: { currentDriver: 1 }
-            });
+            await dvirService.releaseTruck(route.truckId);
+            await maintenanceService.refreshTruckPlans(route.truckId);
           }
 
     // Populate and return route
@@ -963,8 +1037,9 @@ exports.completeMyRouteStop = async (req, res) => {
 
     // Mark stop as completed
     route.stops[stopIndex].status = 'Completed';
-    route.stops[stopIndex].actualDate = req.body.actualDate || new Date();
-    route.stops[stopIndex].actualTime = req.body.actualTime || new Date();
+    // Keep an arrival/departure time already recorded by the geofence
+    route.stops[stopIndex].actualDate = req.body.actualDate || originalStop.actualDate || new Date();
+    route.stops[stopIndex].actualTime = req.body.actualTime || originalStop.actualTime || new Date();
     route.lastUpdatedBy = req.user._id;
 
     // Save route first
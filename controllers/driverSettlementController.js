@@ -0,0 +1,878 @@
+const mongoose = require('mongoose');
+const DriverPayProfile = require('../models/DriverPayProfile');
+const DriverSettlement = require('../models/DriverSettlement');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { buildSettlementLines } = require('../utils/settlementService');
+const { generateSettlementPdf } = require('../utils/settlementPdf');
+const { SETTLEMENT_STATUS } = require('../constants/status');
+
+// Statuses a driver can see on their own settlements
+const DRIVER_VISIBLE_STATUSES = [SETTLEMENT_STATUS.APPROVED, SETTLEMENT_STATUS.PAID];
+
+// Statuses in which the settlement lines may still change
+const EDITABLE_STATUSES = [SETTLEMENT_STATUS.DRAFT, SETTLEMENT_STATUS.REJECTED];
+
+const canViewSettlement = (user, settlement) => {
+  if (user.role !== 'ptgDriver') return true;
+  const driverId = (settlement.driverId?._id || settlement.driverId).toString();
+  return driverId === user._id.toString() && DRIVER_VISIBLE_STATUSES.includes(settlement.status);
+};
+
+/**
+ * Validate the period and driver of a preview/generate request and load the pay profile
+ * @returns {Promise<{error?: {status: number, message: string}, driver?: Object, payProfile?: Object}>}
+ */
+const resolveSettlementRequest = async ({ driverId, periodStart, periodEnd }) => {
+  if (!driverId || !mongoose.Types.ObjectId.isValid(driverId)) {
+    return { error: { status: 400, message: 'A valid driverId is required' } };
+  }
+
+  if (!periodStart || !periodEnd || isNaN(new Date(periodStart)) || isNaN(new Date(periodEnd))) {
+    return { error: { status: 400, message: 'periodStart and periodEnd are required' } };
+  }
+
+  if (new Date(periodStart) > new Date(periodEnd)) {
+    return { error: { status: 400, message: 'periodStart must be before periodEnd' } };
+  }
+
+  const driver = await User.findById(driverId).select('firstName lastName email role');
+  if (!driver || driver.role !== 'ptgDriver') {
+    return { error: { status: 404, message: 'Driver not found' } };
+  }
+
+  const payProfile = await DriverPayProfile.findOne({ driverId, active: true });
+  if (!payProfile) {
+    return { error: { status: 400, message: 'Driver has no active pay profile' } };
+  }
+
+  return { driver, payProfile };
+};
+
+const snapshotPayProfile = (payProfile) => ({
+  payProfileId: payProfile._id,
+  payType: payProfile.payType,
+  rate: payProfile.rate,
+  mileageSource: payProfile.mileageSource,
+  minimumPerRoute: payProfile.minimumPerRoute
+});
+
+/**
+ * Get pay profiles for all drivers
+ */
+exports.getPayProfiles = async (req, res) => {
+  try {
+    const payProfiles = await DriverPayProfile.find({})
+      .populate('driverId', 'firstName lastName email')
+      .populate('lastUpdatedBy', 'firstName lastName email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        payProfiles
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching pay profiles:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to fetch pay profiles',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get a driver's pay profile (drivers can only view their own)
+ */
+exports.getPayProfile = async (req, res) => {
+  try {
+    const { driverId } = req.params;
+
+    if (req.user.role === 'ptgDriver' && req.user._id.toString() !== driverId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const payProfile = await DriverPayProfile.findOne({ driverId })
+      .populate('driverId', 'firstName lastName email');
+
+    if (!payProfile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pay profile not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        payProfile
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching pay profile:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to fetch pay profile',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Create or update a driver's pay profile
+ * Body: { payType, rate, mileageSource?, minimumPerRoute?, reimbursableExpenseTypes?, chargeableExpenseTypes?, effectiveFrom?, active?, notes? }
+ */
+exports.upsertPayProfile = async (req, res) => {
+  try {
+    const { driverId } = req.params;
+    const {
+      payType,
+      rate,
+      mileageSource,
+      minimumPerRoute,
+      reimbursableExpenseTypes,
+      chargeableExpenseTypes,
+      effectiveFrom,
+      active,
+      notes
+    } = req.body;
+
+    const driver = await User.findById(driverId).select('firstName lastName role');
+    if (!driver || driver.role !== 'ptgDriver') {
+      return res.status(404).json({
+        success: false,
+        message: 'Driver not found'
+      });
+    }
+
+    let payProfile = await DriverPayProfile.findOne({ driverId });
+    const isNew = !payProfile;
+
+    if (isNew && (!payType || rate === undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: 'payType and rate are required'
+      });
+    }
+
+    if (rate !== undefined && (isNaN(parseFloat(rate)) || parseFloat(rate) < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'rate must be a non-negative number'
+      });
+    }
+
+    const overlap = (reimbursableExpenseTypes || payProfile?.reimbursableExpenseTypes || [])
+      .filter(type => (chargeableExpenseTypes || payProfile?.chargeableExpenseTypes || []).includes(type));
+    if (overlap.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Expense types cannot be both reimbursable and chargeable: ${overlap.join(', ')}`
+      });
+    }
+
+    if (isNew) {
+      payProfile = new DriverPayProfile({ driverId, createdBy: req.user._id });
+    }
+
+    const updates = { payType, mileageSource, reimbursableExpenseTypes, chargeableExpenseTypes, effectiveFrom, active, notes };
+    Object.keys(updates).forEach(key => {
+      if (updates[key] !== undefined) {
+        payProfile[key] = updates[key];
+      }
+    });
+    if (rate !== undefined) payProfile.rate = parseFloat(rate);
+    if (minimumPerRoute !== undefined) payProfile.minimumPerRoute = parseFloat(minimumPerRoute) || 0;
+    payProfile.lastUpdatedBy = req.user._id;
+
+    await payProfile.save();
+
+    await AuditLog.create({
+      action: 'update_driver_pay_profile',
+      entityType: 'driverPayProfile',
+      entityId: payProfile._id,
+      userId: req.user._id,
+      driverId,
+      details: req.body,
+      notes: `${isNew ? 'Created' : 'Updated'} pay profile for ${driver.firstName} ${driver.lastName}: ${payProfile.payType} at ${payProfile.rate}`
+    });
+
+    res.status(isNew ? 201 : 200).json({
+      success: true,
+      message: `Pay profile ${isNew ? 'created' : 'updated'} successfully`,
+      data: {
+        payProfile
+      }
+    });
+  } catch (error) {
+    console.error('Error saving pay profile:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message || 'Failed to save pay profile',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get all settlements (drivers only see their own approved/paid settlements)
+ */
+exports.getAllSettlements = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, driverId, status, startDate, endDate } = req.query;
+
+    const query = {};
+
+    if (req.user.role === 'ptgDriver') {
+      query.driverId = req.user._id;
+      query.status = { $in: DRIVER_VISIBLE_STATUSES };
+    } else {
+      if (driverId) query.driverId = driverId;
+      if (status) query.status = Array.isArray(status) ? { $in: status } : status;
+    }
+
+    if (startDate) query.periodEnd = { $gte: new Date(startDate) };
+    if (endDate) query.periodStart = { $lte: new Date(endDate) };
+
+    const settlements = await DriverSettlement.find(query)
+      .select('-routes -reimbursements -deductions')
+      .populate('driverId', 'firstName lastName email')
+      .sort({ periodStart: -1, createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await DriverSettlement.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        settlements,
+        pagination: {
+          page: parseInt(page),
+          pages: Math.ceil(total / parseInt(limit)),
+          total,
+          limit: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching settlements:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to fetch settlements',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Preview a settlement for a driver and pay period without saving it
+ * Body: { driverId, periodStart, periodEnd }
+ */
+exports.previewSettlement = async (req, res) => {
+  try {
+    const { driverId, periodStart, periodEnd } = req.body;
+    const { error, driver, payProfile } = await resolveSettlementRequest(req.body);
+
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const lines = await buildSettlementLines(driverId, payProfile, periodStart, periodEnd);
+    const preview = new DriverSettlement({
+      driverId,
+      periodStart,
+      periodEnd,
+      payProfile: snapshotPayProfile(payProfile),
+      routes: lines.routes,
+      reimbursements: lines.reimbursements,
+      deductions: lines.deductions
+    });
+    preview.recalculateTotals();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        driver,
+        settlement: preview,
+        warnings: lines.warnings
+      }
+    });
+  } catch (error) {
+    console.error('Error previewing settlement:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to preview settlement',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Generate a draft settlement for a driver and pay period
+ * Body: { driverId, periodStart, periodEnd, adjustments?, notes? }
+ */
+exports.generateSettlement = async (req, res) => {
+  try {
+    const { driverId, periodStart, periodEnd, adjustments = [], notes } = req.body;
+    const { error, driver, payProfile } = await resolveSettlementRequest(req.body);
+
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const lines = await buildSettlementLines(driverId, payProfile, periodStart, periodEnd);
+
+    if (lines.routes.length === 0 && lines.reimbursements.length === 0 && lines.deductions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No unsettled completed routes or expenses found for this driver in the selected period',
+        data: { warnings: lines.warnings }
+      });
+    }
+
+    const settlement = new DriverSettlement({
+      driverId,
+      periodStart: new Date(periodStart),
+      periodEnd: new Date(periodEnd),
+      payProfile: snapshotPayProfile(payProfile),
+      routes: lines.routes,
+      reimbursements: lines.reimbursements,
+      deductions: lines.deductions,
+      adjustments: (Array.isArray(adjustments) ? adjustments : []).map(adjustment => ({
+        description: adjustment.description,
+        amount: parseFloat(adjustment.amount),
+        addedBy: req.user._id
+      })),
+      notes,
+      createdBy: req.user._id,
+      lastUpdatedBy: req.user._id
+    });
+    await settlement.save();
+
+    await AuditLog.create({
+      action: 'create_driver_settlement',
+      entityType: 'driverSettlement',
+      entityId: settlement._id,
+      userId: req.user._id,
+      driverId,
+      details: {
+        periodStart,
+        periodEnd,
+        routes: settlement.routes.length,
+        netPay: settlement.netPay
+      },
+      notes: `Generated settlement ${settlement.settlementNumber} for ${driver.firstName} ${driver.lastName}`
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Settlement generated successfully',
+      data: {
+        settlement,
+        warnings: lines.warnings
+      }
+    });
+  } catch (error) {
+    console.error('Error generating settlement:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message || 'Failed to generate settlement',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get single settlement by ID
+ */
+exports.getSettlementById = async (req, res) => {
+  try {
+    const settlement = await DriverSettlement.findById(req.params.id)
+      .populate('driverId', 'firstName lastName email phoneNumber')
+      .populate('submittedBy', 'firstName lastName email')
+      .populate('approvedBy', 'firstName lastName email')
+      .populate('rejectedBy', 'firstName lastName email');
+
+    if (!settlement || !canViewSettlement(req.user, settlement)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Settlement not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        settlement
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching settlement:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to fetch settlement',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update adjustments/notes of a draft or rejected settlement
+ * Body: { adjustments?: [{ description, amount }], notes? }
+ */
+exports.updateSettlement = async (req, res) => {
+  try {
+    const { adjustments, notes } = req.body;
+    const settlement = await DriverSettlement.findById(req.params.id);
+
+    if (!settlement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Settlement not found'
+      });
+    }
+
+    if (!EDITABLE_STATUSES.includes(settlement.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft or rejected settlements can be edited'
+      });
+    }
+
+    if (adjustments !== undefined) {
+      if (!Array.isArray(adjustments) || adjustments.some(adjustment =>
+        !adjustment || !adjustment.description || isNaN(parseFloat(adjustment.amount)))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Each adjustment requires a description and a numeric amount'
+        });
+      }
+      settlement.adjustments = adjustments.map(adjustment => ({
+        description: adjustment.description,
+        amount: parseFloat(adjustment.amount),
+        addedBy: adjustment.addedBy || req.user._id
+      }));
+    }
+
+    if (notes !== undefined) settlement.notes = notes;
+    settlement.lastUpdatedBy = req.user._id;
+    await settlement.save();
+
+    await AuditLog.create({
+      action: 'update_driver_settlement',
+      entityType: 'driverSettlement',
+      entityId: settlement._id,
+      userId: req.user._id,
+      driverId: settlement.driverId,
+      details: req.body,
+      notes: `Updated settlement ${settlement.settlementNumber}`
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Settlement updated successfully',
+      data: {
+        settlement
+      }
+    });
+  } catch (error) {
+    console.error('Error updating settlement:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to update settlement',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Rebuild route pay and expenses of a draft or rejected settlement
+ * (e.g. after correcting expenses or the pay profile)
+ */
+exports.recalculateSettlement = async (req, res) => {
+  try {
+    const settlement = await DriverSettlement.findById(req.params.id);
+
+    if (!settlement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Settlement not found'
+      });
+    }
+
+    if (!EDITABLE_STATUSES.includes(settlement.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft or rejected settlements can be recalculated'
+      });
+    }
+
+    const payProfile = await DriverPayProfile.findOne({ driverId: settlement.driverId, active: true });
+    if (!payProfile) {
+      return res.status(400).json({
+        success: false,
+        message: 'Driver has no active pay profile'
+      });
+    }
+
+    const lines = await buildSettlementLines(
+      settlement.driverId,
+      payProfile,
+      settlement.periodStart,
+      settlement.periodEnd,
+      { excludeSettlementId: settlement._id }
+    );
+
+    settlement.payProfile = snapshotPayProfile(payProfile);
+    settlement.routes = lines.routes;
+    settlement.reimbursements = lines.reimbursements;
+    settlement.deductions = lines.deductions;
+    settlement.lastUpdatedBy = req.user._id;
+    await settlement.save();
+
+    await AuditLog.create({
+      action: 'update_driver_settlement',
+      entityType: 'driverSettlement',
+      entityId: settlement._id,
+      userId: req.user._id,
+      driverId: settlement.driverId,
+      details: { recalculated: true, netPay: settlement.netPay },
+      notes: `Recalculated settlement ${settlement.settlementNumber}`
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Settlement recalculated successfully',
+      data: {
+        settlement,
+        warnings: lines.warnings
+      }
+    });
+  } catch (error) {
+    console.error('Error recalculating settlement:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to recalculate settlement',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Submit a draft or rejected settlement for admin approval
+ */
+exports.submitSettlement = async (req, res) => {
+  try {
+    const settlement = await DriverSettlement.findById(req.params.id);
+
+    if (!settlement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Settlement not found'
+      });
+    }
+
+    if (!EDITABLE_STATUSES.includes(settlement.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${settlement.status} settlement cannot be submitted`
+      });
+    }
+
+    settlement.status = SETTLEMENT_STATUS.SUBMITTED;
+    settlement.submittedBy = req.user._id;
+    settlement.submittedAt = new Date();
+    settlement.lastUpdatedBy = req.user._id;
+    await settlement.save();
+
+    await AuditLog.create({
+      action: 'submit_driver_settlement',
+      entityType: 'driverSettlement',
+      entityId: settlement._id,
+      userId: req.user._id,
+      driverId: settlement.driverId,
+      details: { netPay: settlement.netPay },
+      notes: `Submitted settlement ${settlement.settlementNumber} for approval`
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Settlement submitted for approval',
+      data: {
+        settlement
+      }
+    });
+  } catch (error) {
+    console.error('Error submitting settlement:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to submit settlement',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Approve a submitted settlement (admin)
+ */
+exports.approveSettlement = async (req, res) => {
+  try {
+    const settlement = await DriverSettlement.findById(req.params.id);
+
+    if (!settlement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Settlement not found'
+      });
+    }
+
+    if (settlement.status !== SETTLEMENT_STATUS.SUBMITTED) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only submitted settlements can be approved'
+      });
+    }
+
+    settlement.status = SETTLEMENT_STATUS.APPROVED;
+    settlement.approvedBy = req.user._id;
+    settlement.approvedAt = new Date();
+    settlement.rejectionReason = undefined;
+    settlement.lastUpdatedBy = req.user._id;
+    await settlement.save();
+
+    await AuditLog.create({
+      action: 'approve_driver_settlement',
+      entityType: 'driverSettlement',
+      entityId: settlement._id,
+      userId: req.user._id,
+      driverId: settlement.driverId,
+      details: { netPay: settlement.netPay },
+      notes: `Approved settlement ${settlement.settlementNumber}`
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Settlement approved successfully',
+      data: {
+        settlement
+      }
+    });
+  } catch (error) {
+    console.error('Error approving settlement:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to approve settlement',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Reject a submitted settlement (admin)
+ * Body: { reason }
+ */
+exports.rejectSettlement = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A rejection reason is required'
+      });
+    }
+
+    const settlement = await DriverSettlement.findById(req.params.id);
+
+    if (!settlement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Settlement not found'
+      });
+    }
+
+    if (settlement.status !== SETTLEMENT_STATUS.SUBMITTED) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only submitted settlements can be rejected'
+      });
+    }
+
+    settlement.status = SETTLEMENT_STATUS.REJECTED;
+    settlement.rejectedBy = req.user._id;
+    settlement.rejectedAt = new Date();
+    settlement.rejectionReason = reason;
+    settlement.lastUpdatedBy = req.user._id;
+    await settlement.save();
+
+    await AuditLog.create({
+      action: 'reject_driver_settlement',
+      entityType: 'driverSettlement',
+      entityId: settlement._id,
+      userId: req.user._id,
+      driverId: settlement.driverId,
+      details: { reason },
+      notes: `Rejected settlement ${settlement.settlementNumber}: ${reason}`
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Settlement rejected',
+      data: {
+        settlement
+      }
+    });
+  } catch (error) {
+    console.error('Error rejecting settlement:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to reject settlement',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Mark an approved settlement as paid (admin)
+ * Body: { paymentReference?, paidAt? }
+ */
+exports.markSettlementPaid = async (req, res) => {
+  try {
+    const { paymentReference, paidAt } = req.body;
+    const settlement = await DriverSettlement.findById(req.params.id);
+
+    if (!settlement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Settlement not found'
+      });
+    }
+
+    if (settlement.status !== SETTLEMENT_STATUS.APPROVED) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only approved settlements can be marked as paid'
+      });
+    }
+
+    settlement.status = SETTLEMENT_STATUS.PAID;
+    settlement.paidAt = paidAt ? new Date(paidAt) : new Date();
+    settlement.paymentReference = paymentReference;
+    settlement.lastUpdatedBy = req.user._id;
+    await settlement.save();
+
+    await AuditLog.create({
+      action: 'pay_driver_settlement',
+      entityType: 'driverSettlement',
+      entityId: settlement._id,
+      userId: req.user._id,
+      driverId: settlement.driverId,
+      details: { paymentReference, netPay: settlement.netPay },
+      notes: `Marked settlement ${settlement.settlementNumber} as paid`
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Settlement marked as paid',
+      data: {
+        settlement
+      }
+    });
+  } catch (error) {
+    console.error('Error marking settlement paid:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to mark settlement as paid',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Delete a draft or rejected settlement (releases its routes and expenses)
+ */
+exports.deleteSettlement = async (req, res) => {
+  try {
+    const settlement = await DriverSettlement.findById(req.params.id);
+
+    if (!settlement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Settlement not found'
+      });
+    }
+
+    if (!EDITABLE_STATUSES.includes(settlement.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft or rejected settlements can be deleted'
+      });
+    }
+
+    await settlement.deleteOne();
+
+    await AuditLog.create({
+      action: 'delete_driver_settlement',
+      entityType: 'driverSettlement',
+      entityId: settlement._id,
+      userId: req.user._id,
+      driverId: settlement.driverId,
+      notes: `Deleted settlement ${settlement.settlementNumber}`
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Settlement deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting settlement:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to delete settlement',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Download settlement statement as PDF
+ */
+exports.downloadSettlementPdf = async (req, res) => {
+  try {
+    const settlement = await DriverSettlement.findById(req.params.id)
+      .populate('driverId', 'firstName lastName email');
+
+    if (!settlement || !canViewSettlement(req.user, settlement)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Settlement not found'
+      });
+    }
+
+    const pdfBuffer = await generateSettlementPdf(settlement);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${settlement.settlementNumber}.pdf"`);
+    res.setHeader('Content-Length', pdfBuffer.length);
+    res.status(200).send(pdfBuffer);
+  } catch (error) {
+    console.error('Error generating settlement PDF:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to generate settlement PDF',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
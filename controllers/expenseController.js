@@ -2,6 +2,8 @@ const Expense = require('../models/Expense');
 const AuditLog = require('../models/AuditLog');
 const routeTracker = require('../utils/routeTracker');
 const locationService = require('../utils/locationService');
+const maintenanceService = require('../utils/maintenanceService');
+const { SERVICE_EXPENSE_CATEGORIES } = require('../constants/maintenance');
 
 /**
  * Expense Controller
@@ -107,6 +109,7 @@ exports.createMaintenanceExpense = async (req, res) => {
     // Create expense directly
     const expense = await Expense.create({
       type: 'maintenance',
+      category: expenseData.category || 'other',
       description: expenseData.description,
       totalCost: parseFloat(expenseData.cost),
       odometerReading: parseFloat(expenseData.odometerReading),
@@ -170,6 +173,11 @@ exports.createMaintenanceExpense = async (req, res) => {
       });
     }
 
+    // A service expense (oil change, tires, service) resets the truck's maintenance plans
+    if (SERVICE_EXPENSE_CATEGORIES.includes(expense.category)) {
+      await maintenanceService.refreshTruckPlans(expense.truckId);
+    }
+
     res.status(201).json({
       success: true,
       message: 'Maintenance expense created successfully',
@@ -348,6 +356,11 @@ exports.createExpense = async (req, res) => {
       });
     }
 
+    // A service expense (oil change, tires, service) resets the truck's maintenance plans
+    if (SERVICE_EXPENSE_CATEGORIES.includes(expense.category)) {
+      await maintenanceService.refreshTruckPlans(expense.truckId);
+    }
+
     res.status(201).json({
       success: true,
       message: 'Expense created successfully',
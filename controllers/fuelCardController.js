@@ -0,0 +1,233 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const FuelCardTransaction = require('../models/FuelCardTransaction');
+const { IMPORT_FORMATS, detectFormat } = require('../utils/bulkImportService');
+const fuelCardService = require('../utils/fuelCardService');
+const { FUEL_CARD_COLUMNS, FUEL_CARD_MATCH_STATUS, MAX_FUEL_CARD_ROWS } = require('../constants/fuelCard');
+
+/**
+ * Columns accepted by the fuel card import
+ */
+exports.getImportColumns = (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      formats: IMPORT_FORMATS,
+      maxRows: MAX_FUEL_CARD_ROWS,
+      matchWindowHours: fuelCardService.MATCH_WINDOW_HOURS,
+      columns: FUEL_CARD_COLUMNS.map(column => ({
+        field: column.field,
+        type: column.type,
+        required: Boolean(column.required),
+        aliases: column.aliases || []
+      }))
+    }
+  });
+};
+
+/**
+ * Import a fuel card statement and reconcile it with the fuel expenses
+ * Body: {
+ *   file: base64 file (data URL or raw base64), fileName, format? ('csv' | 'xlsx'),
+ *   columnMapping?: { "<header>": "<field>" | null },
+ *   dryRun? (default true) - only match and return the preview,
+ *   createMissingExpenses? - create a fuel expense for each transaction no expense was entered for
+ * }
+ */
+exports.importTransactions = async (req, res) => {
+  try {
+    const {
+      file,
+      fileName = '',
+      columnMapping = {},
+      dryRun = true,
+      createMissingExpenses = false
+    } = req.body;
+
+    if (!file || typeof file !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'file (base64 encoded CSV or XLSX) is required'
+      });
+    }
+
+    const [, dataUrlPrefix = '', base64Data] = file.match(/^(data:[^;]*;base64,)?(.*)$/s);
+    const format = req.body.format || detectFormat(fileName, dataUrlPrefix);
+    if (!IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Could not determine the file format; use a .csv or .xlsx file or pass format (${IMPORT_FORMATS.join(', ')})`
+      });
+    }
+
+    let preview;
+    try {
+      preview = await fuelCardService.previewFuelCardImport(Buffer.from(base64Data, 'base64'), format, columnMapping);
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: parseError.message || 'Failed to read the fuel card file'
+      });
+    }
+
+    if (preview.missingRequiredFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Required columns not found: ${preview.missingRequiredFields.join(', ')}. Pass columnMapping to map them.`,
+        data: {
+          dryRun,
+          preview
+        }
+      });
+    }
+
+    if (dryRun) {
+      return res.status(200).json({
+        success: true,
+        message: `Preview: ${preview.transactions} fuel transaction(s), ${preview.matched} matched, ` +
+          `${preview.discrepancies} with discrepancies, ${preview.unmatched} unmatched, ${preview.duplicates} duplicate(s)`,
+        data: {
+          dryRun: true,
+          preview
+        }
+      });
+    }
+
+    const userId = req.user?._id && mongoose.Types.ObjectId.isValid(req.user._id) ? req.user._id : undefined;
+    const result = await fuelCardService.commitFuelCardImport(preview, {
+      userId,
+      fileName,
+      createMissingExpenses: Boolean(createMissingExpenses)
+    });
+
+    await AuditLog.create({
+      action: 'import_fuel_card_transactions',
+      entityType: 'fuelCardTransaction',
+      userId,
+      details: {
+        importId: result.importId,
+        fileName,
+        format,
+        totalRows: preview.totalRows,
+        invalidRows: preview.invalidRows,
+        skippedRows: preview.skippedRows,
+        stored: result.stored,
+        byStatus: result.byStatus,
+        expensesCreated: result.expensesCreated,
+        createdExpenseIds: result.createdExpenseIds,
+        failed: result.failed
+      },
+      notes: `Imported ${result.stored} fuel card transaction(s) from ${fileName || format.toUpperCase() + ' file'}` +
+        (result.expensesCreated > 0 ? ` and created ${result.expensesCreated} fuel expense(s)` : '')
+    });
+
+    res.status(result.stored > 0 ? 201 : 200).json({
+      success: result.failed === 0,
+      message: `Imported ${result.stored} of ${preview.transactions} fuel transaction(s)` +
+        (result.failed > 0 ? ` (${result.failed} failed)` : '') +
+        (preview.invalidRows > 0 ? ` (${preview.invalidRows} invalid row(s) not imported)` : ''),
+      data: {
+        dryRun: false,
+        result,
+        invalidRows: preview.rows.filter(row => row.status === 'invalid')
+      }
+    });
+  } catch (error) {
+    console.error('Error importing fuel card transactions:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to import fuel card transactions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get imported fuel card transactions (filter by matchStatus, driverId, truckId, importId, startDate, endDate)
+ */
+exports.getTransactions = async (req, res) => {
+  try {
+    const { matchStatus, driverId, truckId, importId, startDate, endDate, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (matchStatus) query.matchStatus = matchStatus;
+    if (driverId) query.driverId = driverId;
+    if (truckId) query.truckId = truckId;
+    if (importId) query.importId = importId;
+    if (startDate || endDate) {
+      query.transactionDate = {};
+      if (startDate) query.transactionDate.$gte = new Date(startDate);
+      if (endDate) query.transactionDate.$lte = new Date(endDate);
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [transactions, total] = await Promise.all([
+      FuelCardTransaction.find(query)
+        .populate('driverId', 'firstName lastName email')
+        .populate('truckId', 'truckNumber licensePlate')
+        .populate('expenseId', 'totalCost gallons pricePerGallon createdAt')
+        .sort({ transactionDate: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      FuelCardTransaction.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        transactions,
+        matchStatuses: Object.values(FUEL_CARD_MATCH_STATUS),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching fuel card transactions:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to fetch fuel card transactions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Fuel card reconciliation per driver
+ * Query: startDate?, endDate? (default the last 30 days), driverId?
+ */
+exports.getReconciliationReport = async (req, res) => {
+  try {
+    const { startDate, endDate, driverId } = req.query;
+
+    if ((startDate && isNaN(new Date(startDate).getTime())) || (endDate && isNaN(new Date(endDate).getTime()))) {
+      return res.status(400).json({
+        success: false,
+        message: 'startDate and endDate must be valid dates'
+      });
+    }
+    if (driverId && !mongoose.Types.ObjectId.isValid(driverId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid driverId'
+      });
+    }
+
+    const report = await fuelCardService.getReconciliationReport({ startDate, endDate, driverId });
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error generating fuel card reconciliation report:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to generate fuel card reconciliation report',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
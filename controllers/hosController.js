@@ -0,0 +1,268 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const DutyStatusLog = require('../models/DutyStatusLog');
+const AuditLog = require('../models/AuditLog');
+const hosService = require('../utils/hosService');
+const { generateDailyLogPdf } = require('../utils/hosLogPdf');
+const { DUTY_STATUS, HOS_LIMITS } = require('../constants/hos');
+
+const DEFAULT_LOG_DAYS = 8;
+
+// Drivers can only see and change their own hours of service
+const canAccessDriver = (user, driverId) =>
+  user.role !== 'ptgDriver' || user._id.toString() === driverId.toString();
+
+/**
+ * Load the driver of a :driverId request; sends the error response and returns null if not allowed
+ */
+async function loadDriver(req, res) {
+  const { driverId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(driverId) || !canAccessDriver(req.user, driverId)) {
+    res.status(404).json({
+      success: false,
+      message: 'Driver not found'
+    });
+    return null;
+  }
+
+  const driver = await User.findOne({ _id: driverId, role: 'ptgDriver' }).select('firstName lastName email');
+  if (!driver) {
+    res.status(404).json({
+      success: false,
+      message: 'Driver not found'
+    });
+    return null;
+  }
+
+  return driver;
+}
+
+/**
+ * HOS clocks of every driver (dispatch overview)
+ */
+exports.getDriversHosSummary = async (req, res) => {
+  try {
+    const drivers = await User.find({ role: 'ptgDriver' })
+      .select('firstName lastName email currentRouteId')
+      .sort({ firstName: 1, lastName: 1 });
+
+    const summary = await Promise.all(drivers.map(async (driver) => ({
+      driver,
+      clocks: await hosService.getDriverClocks(driver._id)
+    })));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        cycle: hosService.getCycle(),
+        enforcement: hosService.getEnforcementMode(),
+        limits: HOS_LIMITS,
+        drivers: summary
+      }
+    });
+  } catch (error) {
+    console.error('Error getting HOS summary:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to get hours of service summary',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Remaining 11/14/70 hour clocks of a driver
+ */
+exports.getDriverClocks = async (req, res) => {
+  try {
+    const driver = await loadDriver(req, res);
+    if (!driver) return;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        driver,
+        cycle: hosService.getCycle(),
+        clocks: await hosService.getDriverClocks(driver._id)
+      }
+    });
+  } catch (error) {
+    console.error('Error getting HOS clocks:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to get hours of service clocks',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Duty status log entries of a driver (default: the last 8 days)
+ * Query: startDate?, endDate?
+ */
+exports.getDutyStatusLogs = async (req, res) => {
+  try {
+    const driver = await loadDriver(req, res);
+    if (!driver) return;
+
+    const endDate = req.query.endDate ? new Date(req.query.endDate) : new Date();
+    const startDate = req.query.startDate
+      ? new Date(req.query.startDate)
+      : new Date(endDate.getTime() - DEFAULT_LOG_DAYS * 24 * 60 * 60 * 1000);
+
+    if (Number.isNaN(startDate.getTime()) || Number.isNaN(endDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'startDate and endDate must be valid dates'
+      });
+    }
+
+    const entries = await DutyStatusLog.find({
+      driverId: driver._id,
+      startTime: { $lte: endDate },
+      $or: [{ endTime: null }, { endTime: { $gte: startDate } }]
+    })
+      .populate('routeId', 'routeNumber')
+      .populate('truckId', 'truckNumber')
+      .sort({ startTime: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        driver,
+        startDate,
+        endDate,
+        entries
+      }
+    });
+  } catch (error) {
+    console.error('Error getting duty status logs:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to get duty status logs',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Change a driver's duty status manually (e.g. off duty at home, on duty for paperwork)
+ * Body: { status, notes?, location?: { latitude, longitude } }
+ */
+exports.changeDutyStatus = async (req, res) => {
+  try {
+    const driver = await loadDriver(req, res);
+    if (!driver) return;
+
+    const { status, notes, location } = req.body;
+    if (!Object.values(DUTY_STATUS).includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${Object.values(DUTY_STATUS).join(', ')}`
+      });
+    }
+
+    const auditLog = await AuditLog.create({
+      action: 'change_duty_status',
+      entityType: 'dutyStatusLog',
+      entityId: driver._id,
+      userId: req.user._id,
+      driverId: driver._id,
+      location,
+      details: { status, notes },
+      notes: `Duty status changed to ${status}`
+    });
+
+    const result = await hosService.changeDutyStatus(driver._id, status, {
+      source: 'manual',
+      location,
+      notes,
+      auditLogId: auditLog._id,
+      createdBy: req.user._id
+    });
+
+    res.status(result.changed ? 201 : 200).json({
+      success: true,
+      message: result.changed ? 'Duty status updated' : `Driver is already ${status}`,
+      data: {
+        entry: result.entry,
+        clocks: await hosService.getDriverClocks(driver._id)
+      }
+    });
+  } catch (error) {
+    console.error('Error changing duty status:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to change duty status',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Daily log of a driver
+ * Query: date (YYYY-MM-DD, default today)
+ */
+exports.getDailyLog = async (req, res) => {
+  try {
+    const driver = await loadDriver(req, res);
+    if (!driver) return;
+
+    const day = hosService.parseLogDate(req.query.date || new Date().toLocaleDateString('en-CA'));
+    if (!day) {
+      return res.status(400).json({
+        success: false,
+        message: 'date must be in YYYY-MM-DD format'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await hosService.buildDailyLog(driver, day)
+    });
+  } catch (error) {
+    console.error('Error getting daily log:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to get daily log',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Download a driver's daily log sheet as PDF
+ * Query: date (YYYY-MM-DD, default today)
+ */
+exports.downloadDailyLogPdf = async (req, res) => {
+  try {
+    const driver = await loadDriver(req, res);
+    if (!driver) return;
+
+    const date = req.query.date || new Date().toLocaleDateString('en-CA');
+    const day = hosService.parseLogDate(date);
+    if (!day) {
+      return res.status(400).json({
+        success: false,
+        message: 'date must be in YYYY-MM-DD format'
+      });
+    }
+
+    const log = await hosService.buildDailyLog(driver, day);
+    const pdfBuffer = await generateDailyLogPdf(log);
+    const driverName = `${driver.lastName || ''}-${driver.firstName || ''}`.replace(/[^A-Za-z0-9-]/g, '');
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="daily-log-${driverName || driver._id}-${date}.pdf"`);
+    res.setHeader('Content-Length', pdfBuffer.length);
+    res.status(200).send(pdfBuffer);
+  } catch (error) {
+    console.error('Error generating daily log PDF:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to generate daily log PDF',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const Truck = require('../models/Truck');
+const iftaService = require('../utils/iftaService');
+const { generateIftaReportPdf } = require('../utils/iftaPdf');
+
+const REPORT_FORMATS = ['json', 'csv', 'pdf'];
+
+/**
+ * Quarterly IFTA report: miles and gallons per jurisdiction, MPG and taxable gallons
+ * Query: year, quarter (1-4) - default the current quarter; truckId? (default every truck
+ * with miles or fuel in the quarter); format? json | csv | pdf
+ */
+exports.getIftaReport = async (req, res) => {
+  try {
+    const now = new Date();
+    const year = parseInt(req.query.year) || now.getFullYear();
+    const quarter = parseInt(req.query.quarter) || Math.floor(now.getMonth() / 3) + 1;
+    const { truckId, format = 'json' } = req.query;
+
+    if (quarter < 1 || quarter > 4 || year < 2000 || year > now.getFullYear() + 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'quarter must be 1-4 and year a valid year'
+      });
+    }
+    if (!REPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `format must be one of: ${REPORT_FORMATS.join(', ')}`
+      });
+    }
+    if (truckId && (!mongoose.Types.ObjectId.isValid(truckId) || !(await Truck.exists({ _id: truckId })))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Truck not found'
+      });
+    }
+
+    const report = await iftaService.getIftaReport({ year, quarter, truckId });
+    const fileName = `ifta-${year}-Q${quarter}${truckId ? `-${report.trucks[0]?.truck.truckNumber || truckId}` : ''}`
+      .replace(/[^A-Za-z0-9-]/g, '');
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+      return res.status(200).send(iftaService.toIftaCsv(report));
+    }
+
+    if (format === 'pdf') {
+      const pdfBuffer = await generateIftaReportPdf(report);
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.pdf"`);
+      res.setHeader('Content-Length', pdfBuffer.length);
+      return res.status(200).send(pdfBuffer);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error generating IFTA report:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to generate IFTA report',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
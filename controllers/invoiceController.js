@@ -0,0 +1,794 @@
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const Shipper = require('../models/Shipper');
+const AuditLog = require('../models/AuditLog');
+const emailService = require('../utils/emailService');
+const transactionService = require('../utils/transactionService');
+const { findBillableTransportJobs, claimTransportJobs, releaseTransportJobs } = require('../utils/invoiceService');
+const { generateInvoicePdf } = require('../utils/invoicePdf');
+const { INVOICE_STATUS } = require('../constants/status');
+
+const DEFAULT_PAYMENT_TERMS_DAYS = parseInt(process.env.INVOICE_PAYMENT_TERMS_DAYS, 10) || 30;
+const DEFAULT_TAX_RATE = parseFloat(process.env.INVOICE_DEFAULT_TAX_RATE) || 0;
+
+const isValidAmount = (value) => value !== undefined && value !== null && value !== '' && !isNaN(parseFloat(value));
+
+/**
+ * Validate and normalize accessorial charges from the request body
+ * @returns {{charges: Array, error: string|null}}
+ */
+const normalizeAccessorialCharges = (charges) => {
+  if (charges === undefined) return { charges: undefined, error: null };
+  if (!Array.isArray(charges)) return { charges: null, error: 'accessorialCharges must be an array' };
+
+  const invalid = charges.find(charge => !charge || !isValidAmount(charge.amount));
+  if (invalid) return { charges: null, error: 'Each accessorial charge requires a numeric amount' };
+
+  return {
+    charges: charges.map(charge => ({
+      type: charge.type || 'other',
+      description: charge.description,
+      transportJobId: charge.transportJobId || undefined,
+      amount: parseFloat(charge.amount)
+    })),
+    error: null
+  };
+};
+
+const populateInvoice = (query) => query
+  .populate('shipperId', 'shipperName shipperCompany shipperEmail shipperPhone')
+  .populate('lineItems.transportJobId', 'jobNumber status loadType')
+  .populate('payments.recordedBy', 'firstName lastName email')
+  .populate('createdBy', 'firstName lastName email')
+  .populate('lastUpdatedBy', 'firstName lastName email');
+
+/**
+ * Get all invoices (with pagination and filters)
+ */
+exports.getAllInvoices = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      shipperId,
+      status,
+      overdue,
+      search,
+      startDate,
+      endDate,
+      sortBy = 'issueDate',
+      sortOrder = 'desc'
+    } = req.query;
+
+    const query = {};
+
+    if (shipperId) {
+      query.shipperId = shipperId;
+    }
+
+    if (status) {
+      query.status = Array.isArray(status) ? { $in: status } : status;
+    }
+
+    if (overdue === 'true') {
+      query.status = INVOICE_STATUS.SENT;
+      query.balanceDue = { $gt: 0 };
+      query.dueDate = { $lt: new Date() };
+    }
+
+    if (search) {
+      query.$or = [
+        { invoiceNumber: { $regex: search, $options: 'i' } },
+        { 'billTo.company': { $regex: search, $options: 'i' } },
+        { 'billTo.name': { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    if (startDate || endDate) {
+      query.issueDate = {};
+      if (startDate) {
+        query.issueDate.$gte = new Date(startDate);
+      }
+      if (endDate) {
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999);
+        query.issueDate.$lte = end;
+      }
+    }
+
+    const sort = {};
+    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+
+    const invoices = await Invoice.find(query)
+      .populate('shipperId', 'shipperName shipperCompany')
+      .sort(sort)
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await Invoice.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        invoices,
+        pagination: {
+          page: parseInt(page),
+          pages: Math.ceil(total / parseInt(limit)),
+          total,
+          limit: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching invoices:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to fetch invoices',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Preview delivered, not yet invoiced transport jobs for a shipper
+ * Query: shipperId (required), startDate, endDate
+ */
+exports.getBillableTransportJobs = async (req, res) => {
+  try {
+    const { shipperId, startDate, endDate } = req.query;
+
+    if (!shipperId || !mongoose.Types.ObjectId.isValid(shipperId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid shipperId is required'
+      });
+    }
+
+    const billable = await findBillableTransportJobs(shipperId, { startDate, endDate });
+    const lineItems = billable.map(entry => entry.lineItem);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        lineItems,
+        subtotal: Math.round(lineItems.reduce((sum, item) => sum + item.amount, 0) * 100) / 100,
+        missingPayment: lineItems.filter(item => !item.amount).map(item => item.jobNumber)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching billable transport jobs:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to fetch billable transport jobs',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Generate a draft invoice for a shipper from delivered transport jobs
+ * Body: { shipperId, startDate?, endDate?, transportJobIds?, accessorialCharges?, taxRate?, paymentTermsDays?, notes? }
+ */
+exports.generateInvoice = async (req, res) => {
+  try {
+    const {
+      shipperId,
+      startDate,
+      endDate,
+      transportJobIds,
+      taxRate = DEFAULT_TAX_RATE,
+      paymentTermsDays = DEFAULT_PAYMENT_TERMS_DAYS,
+      notes
+    } = req.body;
+
+    if (!shipperId || !mongoose.Types.ObjectId.isValid(shipperId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid shipperId is required'
+      });
+    }
+
+    if (!isValidAmount(taxRate) || parseFloat(taxRate) < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'taxRate must be a non-negative number'
+      });
+    }
+
+    const { charges: accessorialCharges, error: chargesError } = normalizeAccessorialCharges(req.body.accessorialCharges);
+    if (chargesError) {
+      return res.status(400).json({
+        success: false,
+        message: chargesError
+      });
+    }
+
+    const shipper = await Shipper.findById(shipperId);
+    if (!shipper) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipper not found'
+      });
+    }
+
+    // Find, claim and bill the jobs in one transaction; a job claimed by a concurrent generation is left out
+    const { invoice, billable } = await transactionService.runInTransaction(async () => {
+      const invoice = new Invoice({
+        shipperId: shipper._id,
+        billTo: {
+          name: shipper.shipperName,
+          company: shipper.shipperCompany,
+          email: shipper.shipperEmail,
+          phone: shipper.shipperPhone,
+          address: shipper.address,
+          city: shipper.city,
+          state: shipper.state,
+          zipCode: shipper.zipCode
+        },
+        paymentTermsDays: parseInt(paymentTermsDays, 10),
+        accessorialCharges: accessorialCharges || [],
+        taxRate: parseFloat(taxRate),
+        notes,
+        createdBy: req.user._id,
+        lastUpdatedBy: req.user._id
+      });
+
+      const found = await findBillableTransportJobs(shipperId, { startDate, endDate, transportJobIds });
+      const billable = await claimTransportJobs(invoice._id, found);
+      if (billable.length === 0) {
+        return { invoice: null, billable };
+      }
+
+      const deliveryDates = billable.map(entry => new Date(entry.deliveredAt));
+      invoice.periodStart = startDate ? new Date(startDate) : new Date(Math.min(...deliveryDates));
+      invoice.periodEnd = endDate ? new Date(endDate) : new Date(Math.max(...deliveryDates));
+      invoice.lineItems = billable.map(entry => entry.lineItem);
+      await invoice.save();
+
+      return { invoice, billable };
+    });
+
+    if (!invoice) {
+      return res.status(400).json({
+        success: false,
+        message: 'No delivered, uninvoiced transport jobs found for this shipper in the selected period'
+      });
+    }
+
+    const warnings = [];
+    if (Array.isArray(transportJobIds) && transportJobIds.length > billable.length) {
+      warnings.push(`${transportJobIds.length - billable.length} selected transport job(s) were skipped because they are not delivered, belong to another shipper or are already invoiced`);
+    }
+    billable
+      .filter(entry => !entry.lineItem.amount)
+      .forEach(entry => warnings.push(`Transport job ${entry.lineItem.jobNumber || entry.transportJob._id} has no carrier payment; billed at $0.00`));
+
+    await AuditLog.create({
+      action: 'create_invoice',
+      entityType: 'invoice',
+      entityId: invoice._id,
+      userId: req.user._id,
+      details: {
+        shipperId: shipper._id,
+        transportJobIds: invoice.lineItems.map(item => item.transportJobId),
+        total: invoice.total
+      },
+      notes: `Generated invoice ${invoice.invoiceNumber} for ${shipper.shipperCompany} (${invoice.lineItems.length} job(s))`
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Invoice generated successfully',
+      data: {
+        invoice,
+        warnings
+      }
+    });
+  } catch (error) {
+    console.error('Error generating invoice:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to generate invoice',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get single invoice by ID
+ */
+exports.getInvoiceById = async (req, res) => {
+  try {
+    const invoice = await populateInvoice(Invoice.findById(req.params.id));
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        invoice
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching invoice:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to fetch invoice',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update invoice
+ * Line items, accessorials, tax and terms can only be changed while the invoice is a draft;
+ * notes can be changed at any time before it is voided.
+ */
+exports.updateInvoice = async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    if (invoice.status === INVOICE_STATUS.VOID) {
+      return res.status(400).json({
+        success: false,
+        message: 'Void invoices cannot be edited'
+      });
+    }
+
+    const { lineItems, taxRate, paymentTermsDays, issueDate, dueDate, notes } = req.body;
+    const financialChange = [lineItems, req.body.accessorialCharges, taxRate, paymentTermsDays, issueDate, dueDate]
+      .some(value => value !== undefined);
+
+    if (financialChange && invoice.status !== INVOICE_STATUS.DRAFT) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft invoices can have their charges, tax or terms changed'
+      });
+    }
+
+    if (lineItems !== undefined) {
+      if (!Array.isArray(lineItems) || lineItems.some(item => !item || !item.description || !isValidAmount(item.amount))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Each line item requires a description and a numeric amount'
+        });
+      }
+      invoice.lineItems = lineItems.map(item => ({
+        ...item,
+        amount: parseFloat(item.amount)
+      }));
+    }
+
+    const { charges: accessorialCharges, error: chargesError } = normalizeAccessorialCharges(req.body.accessorialCharges);
+    if (chargesError) {
+      return res.status(400).json({
+        success: false,
+        message: chargesError
+      });
+    }
+    if (accessorialCharges) {
+      invoice.accessorialCharges = accessorialCharges;
+    }
+
+    if (taxRate !== undefined) {
+      if (!isValidAmount(taxRate) || parseFloat(taxRate) < 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'taxRate must be a non-negative number'
+        });
+      }
+      invoice.taxRate = parseFloat(taxRate);
+    }
+
+    if (paymentTermsDays !== undefined) invoice.paymentTermsDays = parseInt(paymentTermsDays, 10);
+    if (issueDate !== undefined) invoice.issueDate = new Date(issueDate);
+    if (dueDate !== undefined) invoice.dueDate = new Date(dueDate);
+    if (notes !== undefined) invoice.notes = notes;
+
+    invoice.lastUpdatedBy = req.user._id;
+    await invoice.save();
+
+    if (lineItems !== undefined) {
+      await releaseTransportJobs(invoice._id, invoice.lineItems.map(item => item.transportJobId).filter(Boolean));
+    }
+
+    await AuditLog.create({
+      action: 'update_invoice',
+      entityType: 'invoice',
+      entityId: invoice._id,
+      userId: req.user._id,
+      details: req.body,
+      notes: `Updated invoice ${invoice.invoiceNumber}`
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Invoice updated successfully',
+      data: {
+        invoice
+      }
+    });
+  } catch (error) {
+    console.error('Error updating invoice:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to update invoice',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Mark an invoice as sent and email the PDF to the shipper
+ * Body: { email?: string, sendEmail?: boolean (default true) }
+ */
+exports.sendInvoice = async (req, res) => {
+  try {
+    const { sendEmail = true } = req.body || {};
+    const invoice = await Invoice.findById(req.params.id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    if (invoice.status === INVOICE_STATUS.VOID || invoice.status === INVOICE_STATUS.PAID) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${invoice.status} invoice cannot be sent`
+      });
+    }
+
+    const recipient = req.body?.email || invoice.billTo?.email;
+
+    if (invoice.status === INVOICE_STATUS.DRAFT) {
+      invoice.status = INVOICE_STATUS.SENT;
+      invoice.issueDate = invoice.issueDate || new Date();
+    }
+    invoice.sentAt = new Date();
+    invoice.lastUpdatedBy = req.user._id;
+    await invoice.save();
+
+    let emailResult = { sent: false };
+    if (sendEmail && recipient) {
+      try {
+        const pdfBuffer = await generateInvoicePdf(invoice);
+        await emailService.sendInvoiceEmail(recipient, invoice, pdfBuffer);
+        emailResult = { sent: true, recipient };
+      } catch (emailError) {
+        console.error('Error emailing invoice:', emailError);
+        emailResult = { sent: false, recipient, error: emailError.message };
+      }
+    } else if (sendEmail) {
+      emailResult = { sent: false, error: 'Shipper has no email address' };
+    }
+
+    await AuditLog.create({
+      action: 'send_invoice',
+      entityType: 'invoice',
+      entityId: invoice._id,
+      userId: req.user._id,
+      details: { email: emailResult },
+      notes: `Sent invoice ${invoice.invoiceNumber}${emailResult.sent ? ` to ${recipient}` : ''}`
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Invoice marked as sent',
+      data: {
+        invoice,
+        email: emailResult
+      }
+    });
+  } catch (error) {
+    console.error('Error sending invoice:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to send invoice',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Record a (full or partial) payment against an invoice
+ * Body: { amount, paidAt?, method?, reference?, notes? }
+ */
+exports.recordPayment = async (req, res) => {
+  try {
+    const { amount, paidAt, method, reference, notes } = req.body;
+
+    if (!isValidAmount(amount) || parseFloat(amount) <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'A positive payment amount is required'
+      });
+    }
+
+    const invoice = await Invoice.findById(req.params.id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    if (invoice.status !== INVOICE_STATUS.SENT) {
+      return res.status(400).json({
+        success: false,
+        message: invoice.status === INVOICE_STATUS.DRAFT
+          ? 'Send the invoice before recording payments'
+          : `Payments cannot be recorded on a ${invoice.status} invoice`
+      });
+    }
+
+    const paymentAmount = Math.round(parseFloat(amount) * 100) / 100;
+    if (paymentAmount > invoice.balanceDue + 0.005) {
+      return res.status(400).json({
+        success: false,
+        message: `Payment exceeds the balance due of ${invoice.balanceDue.toFixed(2)}`
+      });
+    }
+
+    invoice.payments.push({
+      amount: paymentAmount,
+      paidAt: paidAt ? new Date(paidAt) : new Date(),
+      method,
+      reference,
+      notes,
+      recordedBy: req.user._id
+    });
+    invoice.recalculateTotals();
+
+    if (invoice.balanceDue <= 0) {
+      invoice.status = INVOICE_STATUS.PAID;
+      invoice.paidAt = new Date();
+    }
+    invoice.lastUpdatedBy = req.user._id;
+    await invoice.save();
+
+    await AuditLog.create({
+      action: 'record_invoice_payment',
+      entityType: 'invoice',
+      entityId: invoice._id,
+      userId: req.user._id,
+      details: { amount: paymentAmount, method, reference, balanceDue: invoice.balanceDue },
+      notes: `Recorded payment of ${paymentAmount.toFixed(2)} on invoice ${invoice.invoiceNumber}`
+    });
+
+    res.status(200).json({
+      success: true,
+      message: invoice.status === INVOICE_STATUS.PAID ? 'Payment recorded; invoice is paid in full' : 'Partial payment recorded',
+      data: {
+        invoice
+      }
+    });
+  } catch (error) {
+    console.error('Error recording invoice payment:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to record payment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Remove a payment recorded in error
+ */
+exports.deletePayment = async (req, res) => {
+  try {
+    const { id, paymentId } = req.params;
+    const invoice = await Invoice.findById(id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    const payment = invoice.payments.id(paymentId);
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    if (invoice.status === INVOICE_STATUS.VOID) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payments cannot be removed from a void invoice'
+      });
+    }
+
+    const removedAmount = payment.amount;
+    payment.deleteOne();
+    invoice.recalculateTotals();
+
+    if (invoice.status === INVOICE_STATUS.PAID && invoice.balanceDue > 0) {
+      invoice.status = INVOICE_STATUS.SENT;
+      invoice.paidAt = undefined;
+    }
+    invoice.lastUpdatedBy = req.user._id;
+    await invoice.save();
+
+    await AuditLog.create({
+      action: 'delete_invoice_payment',
+      entityType: 'invoice',
+      entityId: invoice._id,
+      userId: req.user._id,
+      details: { paymentId, amount: removedAmount },
+      notes: `Removed payment of ${removedAmount.toFixed(2)} from invoice ${invoice.invoiceNumber}`
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Payment removed successfully',
+      data: {
+        invoice
+      }
+    });
+  } catch (error) {
+    console.error('Error removing invoice payment:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to remove payment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Void an invoice (its jobs become billable again)
+ * Body: { reason? }
+ */
+exports.voidInvoice = async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    if (invoice.status === INVOICE_STATUS.VOID) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invoice is already void'
+      });
+    }
+
+    if (invoice.payments.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Remove recorded payments before voiding this invoice'
+      });
+    }
+
+    invoice.status = INVOICE_STATUS.VOID;
+    invoice.voidedAt = new Date();
+    invoice.voidReason = req.body?.reason;
+    invoice.lastUpdatedBy = req.user._id;
+    await invoice.save();
+    await releaseTransportJobs(invoice._id);
+
+    await AuditLog.create({
+      action: 'void_invoice',
+      entityType: 'invoice',
+      entityId: invoice._id,
+      userId: req.user._id,
+      details: { reason: invoice.voidReason },
+      notes: `Voided invoice ${invoice.invoiceNumber}`
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Invoice voided successfully',
+      data: {
+        invoice
+      }
+    });
+  } catch (error) {
+    console.error('Error voiding invoice:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to void invoice',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Delete a draft invoice
+ */
+exports.deleteInvoice = async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    if (invoice.status !== INVOICE_STATUS.DRAFT) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft invoices can be deleted; void sent invoices instead'
+      });
+    }
+
+    await invoice.deleteOne();
+    await releaseTransportJobs(invoice._id);
+
+    await AuditLog.create({
+      action: 'delete_invoice',
+      entityType: 'invoice',
+      entityId: invoice._id,
+      userId: req.user._id,
+      notes: `Deleted draft invoice ${invoice.invoiceNumber}`
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Invoice deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting invoice:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to delete invoice',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Download invoice as PDF
+ */
+exports.downloadInvoicePdf = async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    const pdfBuffer = await generateInvoicePdf(invoice);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${invoice.invoiceNumber}.pdf"`);
+    res.setHeader('Content-Length', pdfBuffer.length);
+    res.status(200).send(pdfBuffer);
+  } catch (error) {
+    console.error('Error generating invoice PDF:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to generate invoice PDF',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const laneAnalyticsService = require('../utils/laneAnalyticsService');
+
+/**
+ * Lane rate history: volume, carrierPayment, rate per loaded mile and trend per lane
+ * Query: startDate?, endDate? (delivery date, default the last 180 days); groupBy? state | zip3;
+ * interval? week | month; shipperId?, transportPurpose?, origin?, destination? (state or ZIP prefix), minJobs?
+ */
+exports.getLaneReport = async (req, res) => {
+  try {
+    const {
+      startDate,
+      endDate,
+      groupBy = 'state',
+      interval = 'month',
+      shipperId,
+      transportPurpose,
+      origin,
+      destination
+    } = req.query;
+
+    if ((startDate && isNaN(new Date(startDate).getTime())) || (endDate && isNaN(new Date(endDate).getTime()))) {
+      return res.status(400).json({
+        success: false,
+        message: 'startDate and endDate must be valid dates'
+      });
+    }
+    if (!laneAnalyticsService.LANE_GROUPS.includes(groupBy)) {
+      return res.status(400).json({
+        success: false,
+        message: `groupBy must be one of: ${laneAnalyticsService.LANE_GROUPS.join(', ')}`
+      });
+    }
+    if (!laneAnalyticsService.TREND_INTERVALS.includes(interval)) {
+      return res.status(400).json({
+        success: false,
+        message: `interval must be one of: ${laneAnalyticsService.TREND_INTERVALS.join(', ')}`
+      });
+    }
+    if (shipperId && !mongoose.Types.ObjectId.isValid(shipperId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid shipperId'
+      });
+    }
+
+    const report = await laneAnalyticsService.getLaneReport({
+      startDate,
+      endDate,
+      groupBy,
+      interval,
+      shipperId,
+      transportPurpose,
+      origin,
+      destination,
+      minJobs: parseInt(req.query.minJobs) || 1
+    });
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error generating lane report:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to generate lane report',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
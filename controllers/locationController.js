@@ -3,6 +3,9 @@ const Route = require('../models/Route');
 const RouteTracking = require('../models/routeTracker');
 const User = require('../models/User');
 const routeTracker = require('../utils/routeTracker');
+const etaService = require('../utils/etaService');
+const tenantContext = require('../utils/tenantContext');
+const { ROUTE_STOP_STATUS } = require('../constants/status');
 
 /**
  * Location Controller
@@ -162,27 +165,42 @@ exports.updateDriverLocation = async (req, res) => {
       });
     }
 
-    // Update user location
-    const updatedUser = await locationService.updateDriverLocation(driverId, {
-      latitude,
-      longitude,
-      accuracy
-    }, routeId);
-
-    // If driver has a current route, add location entry to route tracking
-    if (updatedUser.currentRouteId) {
-      try {
-        await routeTracker.addLocationEntry(
-          updatedUser.currentRouteId.toString(),
-          latitude,
-          longitude,
-          accuracy
-        );
-      } catch (trackingError) {
-        console.error('Error adding location to route tracking:', trackingError);
-        // Don't fail the request if tracking fails
+    // This route is public, so scope everything the update writes (tracking, geofence events,
+    // duty status, ETA alerts) to the driver's organization
+    const updatedUser = await tenantContext.runWithOrganization(user.organizationId, async () => {
+      // Update user location
+      const updated = await locationService.updateDriverLocation(driverId, {
+        latitude,
+        longitude,
+        accuracy
+      }, routeId);
+
+      // If driver has a current route, add location entry to route tracking
+      if (updated.currentRouteId) {
+        // currentRouteId comes back populated
+        const currentRouteId = (updated.currentRouteId._id || updated.currentRouteId).toString();
+
+        try {
+          await routeTracker.addLocationEntry(
+            currentRouteId,
+            latitude,
+            longitude,
+            accuracy
+          );
+        } catch (trackingError) {
+          console.error('Error adding location to route tracking:', trackingError);
+          // Don't fail the request if tracking fails
+        }
+
+        try {
+          await etaService.updateRouteEtas(currentRouteId, { latitude, longitude });
+        } catch (etaError) {
+          console.error('Error updating route ETAs:', etaError);
+        }
       }
-    }
+
+      return updated;
+    });
 
     res.json({
       success: true,
@@ -301,26 +319,36 @@ exports.updateRouteTracking = async (req, res) => {
       });
     }
 
-    // Update user location first
-    const updatedUser = await locationService.updateDriverLocation(driverId || route.driverId, {
-      latitude,
-      longitude,
-      accuracy
-    });
-
-    // Add location entry to route tracking
-    try {
-      const result = await routeTracker.addLocationEntry(
-        routeId,
+    // This route is public, so scope everything the update writes to the route's organization
+    const updatedUser = await tenantContext.runWithOrganization(route.organizationId, async () => {
+      // Update user location first
+      const updated = await locationService.updateDriverLocation(driverId || route.driverId, {
         latitude,
         longitude,
         accuracy
-      );
+      });
 
-    } catch (trackingError) {
-      console.error('Error adding location to route tracking:', trackingError);
-      // Don't fail the request if tracking fails
-    }
+      // Add location entry to route tracking
+      try {
+        await routeTracker.addLocationEntry(
+          routeId,
+          latitude,
+          longitude,
+          accuracy
+        );
+      } catch (trackingError) {
+        console.error('Error adding location to route tracking:', trackingError);
+        // Don't fail the request if tracking fails
+      }
+
+      try {
+        await etaService.updateRouteEtas(routeId, { latitude, longitude });
+      } catch (etaError) {
+        console.error('Error updating route ETAs:', etaError);
+      }
+
+      return updated;
+    });
 
     res.json({
       success: true,
@@ -335,3 +363,62 @@ exports.updateRouteTracking = async (req, res) => {
     });
   }
 };
+
+// Get the stored ETAs of a route's stops (?refresh=true recomputes them from the driver's last location)
+exports.getRouteEtas = async (req, res) => {
+  try {
+    const { routeId } = req.params;
+
+    let route = await Route.findById(routeId).select('routeNumber status driverId stops');
+    if (!route) {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found'
+      });
+    }
+
+    let observedSpeed;
+    if (req.query.refresh === 'true' && route.driverId) {
+      const driver = await User.findById(route.driverId).select('currentLocation');
+      if (driver?.currentLocation?.latitude != null && driver?.currentLocation?.longitude != null) {
+        const result = await etaService.updateRouteEtas(routeId, driver.currentLocation);
+        observedSpeed = result?.observedSpeed;
+        route = await Route.findById(routeId).select('routeNumber status driverId stops');
+      }
+    }
+
+    const stops = [...route.stops]
+      .sort((a, b) => (a.sequence || 0) - (b.sequence || 0))
+      .map(stop => ({
+        stopId: stop._id,
+        sequence: stop.sequence,
+        stopType: stop.stopType,
+        status: stop.status,
+        locationName: stop.location?.name,
+        scheduledTimeStart: stop.scheduledTimeStart,
+        scheduledTimeEnd: stop.scheduledTimeEnd,
+        eta: stop.status === ROUTE_STOP_STATUS.COMPLETED || stop.status === ROUTE_STOP_STATUS.SKIPPED
+          ? null
+          : stop.eta
+      }));
+
+    res.json({
+      success: true,
+      data: {
+        routeId: route._id,
+        routeNumber: route.routeNumber,
+        status: route.status,
+        lateMarginMinutes: etaService.LATE_MARGIN_MINUTES,
+        observedSpeed,
+        lateStops: stops.filter(stop => stop.eta?.late).length,
+        stops
+      }
+    });
+  } catch (error) {
+    console.error('Get route ETAs error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to get route ETAs'
+    });
+  }
+};
@@ -0,0 +1,279 @@
+const mongoose = require('mongoose');
+const Truck = require('../models/Truck');
+const MaintenancePlan = require('../models/MaintenancePlan');
+const CalendarEvent = require('../models/CalendarEvent');
+const AuditLog = require('../models/AuditLog');
+const maintenanceService = require('../utils/maintenanceService');
+const { MAINTENANCE_PLAN_TEMPLATES, MAINTENANCE_STATUS, SERVICE_EXPENSE_CATEGORIES } = require('../constants/maintenance');
+
+const EDITABLE_FIELDS = ['name', 'intervalMiles', 'intervalDays', 'expenseCategories', 'descriptionKeyword', 'baselineServiceDate', 'active', 'notes'];
+
+const pickEditableFields = (body) => EDITABLE_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) fields[field] = body[field];
+  return fields;
+}, {});
+
+/**
+ * Get the built-in maintenance plan templates
+ */
+exports.getTemplates = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      templates: Object.entries(MAINTENANCE_PLAN_TEMPLATES).map(([key, template]) => ({ key, ...template })),
+      expenseCategories: SERVICE_EXPENSE_CATEGORIES
+    }
+  });
+};
+
+/**
+ * Get maintenance plans (filter by truckId, status)
+ * Query: refresh=true re-evaluates the plans before returning them
+ */
+exports.getPlans = async (req, res) => {
+  try {
+    const { truckId, status, refresh } = req.query;
+
+    const query = { active: true };
+    if (truckId) query.truckId = truckId;
+
+    if (refresh === 'true') {
+      const truckIds = await MaintenancePlan.distinct('truckId', query);
+      for (const id of truckIds) {
+        await maintenanceService.refreshTruckPlans(id);
+      }
+    }
+
+    if (status) query.status = status;
+
+    const plans = await MaintenancePlan.find(query)
+      .populate('truckId', 'truckNumber licensePlate make model status')
+      .populate('lastServiceExpenseId', 'category description totalCost createdAt')
+      .sort({ dueDate: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        plans,
+        summary: {
+          total: plans.length,
+          overdue: plans.filter(plan => plan.status === MAINTENANCE_STATUS.OVERDUE).length,
+          dueSoon: plans.filter(plan => plan.status === MAINTENANCE_STATUS.DUE_SOON).length
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching maintenance plans:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to fetch maintenance plans',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get the maintenance status of a truck (plans are re-evaluated)
+ */
+exports.getTruckMaintenance = async (req, res) => {
+  try {
+    const { truckId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(truckId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Truck not found'
+      });
+    }
+
+    const truck = await Truck.findById(truckId).select('truckNumber licensePlate make model status truckStats');
+    if (!truck) {
+      return res.status(404).json({
+        success: false,
+        message: 'Truck not found'
+      });
+    }
+
+    const results = await maintenanceService.refreshTruckPlans(truck._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        truck,
+        plans: results.map(({ plan, evaluation }) => ({ plan, evaluation }))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching truck maintenance:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to fetch truck maintenance',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Create a maintenance plan for a truck
+ * Body: { truckId, template?, name?, intervalMiles?, intervalDays?, expenseCategories?, descriptionKeyword?, baselineServiceDate?, notes? }
+ * Fields not given are taken from the template.
+ */
+exports.createPlan = async (req, res) => {
+  try {
+    const { truckId, template } = req.body;
+
+    if (template && !MAINTENANCE_PLAN_TEMPLATES[template]) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown template. Valid templates: ${Object.keys(MAINTENANCE_PLAN_TEMPLATES).join(', ')}`
+      });
+    }
+
+    const truck = truckId && mongoose.Types.ObjectId.isValid(truckId)
+      ? await Truck.findById(truckId).select('truckNumber licensePlate')
+      : null;
+    if (!truck) {
+      return res.status(404).json({
+        success: false,
+        message: 'Truck not found'
+      });
+    }
+
+    const plan = new MaintenancePlan({
+      ...(template && MAINTENANCE_PLAN_TEMPLATES[template]),
+      ...pickEditableFields(req.body),
+      truckId: truck._id,
+      template,
+      createdBy: req.user._id,
+      lastUpdatedBy: req.user._id
+    });
+    await plan.validate();
+
+    const evaluation = await maintenanceService.evaluatePlan(plan, { truck });
+
+    await AuditLog.create({
+      action: 'create_maintenance_plan',
+      entityType: 'maintenancePlan',
+      entityId: plan._id,
+      userId: req.user._id,
+      details: {
+        truckId: truck._id,
+        name: plan.name,
+        intervalMiles: plan.intervalMiles,
+        intervalDays: plan.intervalDays,
+        status: evaluation.status
+      },
+      notes: `Created maintenance plan "${plan.name}" for truck ${truck.truckNumber || truck._id}`
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Maintenance plan created successfully',
+      data: {
+        plan,
+        evaluation
+      }
+    });
+  } catch (error) {
+    console.error('Error creating maintenance plan:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message || 'Failed to create maintenance plan',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update a maintenance plan
+ */
+exports.updatePlan = async (req, res) => {
+  try {
+    const plan = await MaintenancePlan.findById(req.params.id);
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Maintenance plan not found'
+      });
+    }
+
+    const updates = pickEditableFields(req.body);
+    Object.assign(plan, updates);
+    plan.lastUpdatedBy = req.user._id;
+    await plan.validate();
+
+    const evaluation = await maintenanceService.evaluatePlan(plan);
+
+    await AuditLog.create({
+      action: 'update_maintenance_plan',
+      entityType: 'maintenancePlan',
+      entityId: plan._id,
+      userId: req.user._id,
+      details: {
+        truckId: plan.truckId,
+        updates,
+        status: evaluation.status
+      },
+      notes: `Updated maintenance plan "${plan.name}"`
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Maintenance plan updated successfully',
+      data: {
+        plan,
+        evaluation
+      }
+    });
+  } catch (error) {
+    console.error('Error updating maintenance plan:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message || 'Failed to update maintenance plan',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Delete a maintenance plan (its calendar event is cancelled)
+ */
+exports.deletePlan = async (req, res) => {
+  try {
+    const plan = await MaintenancePlan.findById(req.params.id);
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Maintenance plan not found'
+      });
+    }
+
+    if (plan.calendarEventId) {
+      await CalendarEvent.findByIdAndUpdate(plan.calendarEventId, { status: 'cancelled' });
+    }
+    await MaintenancePlan.findByIdAndDelete(plan._id);
+
+    await AuditLog.create({
+      action: 'delete_maintenance_plan',
+      entityType: 'maintenancePlan',
+      entityId: plan._id,
+      userId: req.user._id,
+      details: {
+        truckId: plan.truckId,
+        name: plan.name
+      },
+      notes: `Deleted maintenance plan "${plan.name}"`
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Maintenance plan deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting maintenance plan:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to delete maintenance plan',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
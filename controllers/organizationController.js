@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+const organizationService = require('../utils/organizationService');
+
+const sendSaveError = (res, error, fallbackMessage) => {
+  if (error.name === 'ValidationError' || error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: error.code === 11000 ? 'Slug is already in use' : error.message
+    });
+  }
+  res.status(500).json({
+    success: false,
+    message: error.message || fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+/**
+ * List organizations with user, truck, route and transport job counts
+ * Query: active? ('true' | 'false')
+ */
+exports.getOrganizations = async (req, res) => {
+  try {
+    const { active } = req.query;
+    const organizations = await organizationService.listOrganizations({
+      active: active === undefined ? undefined : active === 'true'
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        organizations
+      }
+    });
+  } catch (error) {
+    console.error('Error getting organizations:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to get organizations',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get a single organization with its counts
+ */
+exports.getOrganizationById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid organization ID'
+      });
+    }
+
+    const organization = await organizationService.getOrganization(req.params.id);
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        organization
+      }
+    });
+  } catch (error) {
+    console.error('Error getting organization:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to get organization',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Create an organization (carrier company)
+ * Body: { name, slug, carrierCode?, dotNumber?, mcNumber?, contactName?, contactEmail?, contactPhone?,
+ *   admin?: { email, password, firstName?, lastName? } (first ptgAdmin of the organization) }
+ */
+exports.createOrganization = async (req, res) => {
+  try {
+    const { admin, ...data } = req.body || {};
+
+    const result = await organizationService.createOrganization(data, admin || null, req.user._id);
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Organization created successfully',
+      data: {
+        organization: result.organization,
+        adminUser: result.adminUser
+      }
+    });
+  } catch (error) {
+    console.error('Error creating organization:', error);
+    sendSaveError(res, error, 'Failed to create organization');
+  }
+};
+
+/**
+ * Update an organization; { active: false } suspends it (its users can no longer sign in or use the API)
+ */
+exports.updateOrganization = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid organization ID'
+      });
+    }
+
+    const result = await organizationService.updateOrganization(req.params.id, req.body, req.user);
+    if (result.error) {
+      return res.status(result.notFound ? 404 : 400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Organization updated successfully',
+      data: {
+        organization: result.organization
+      }
+    });
+  } catch (error) {
+    console.error('Error updating organization:', error);
+    sendSaveError(res, error, 'Failed to update organization');
+  }
+};
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const profitabilityService = require('../utils/profitabilityService');
+
+/**
+ * Estimate vs actual profitability of delivered vehicle transports, per vehicle, shipper and route
+ * Query: startDate?, endDate? (delivery date, default the last 30 days); vehicleId?, shipperId?, routeId?
+ */
+exports.getProfitabilityReport = async (req, res) => {
+  try {
+    const { startDate, endDate, vehicleId, shipperId, routeId } = req.query;
+
+    if ((startDate && isNaN(new Date(startDate).getTime())) || (endDate && isNaN(new Date(endDate).getTime()))) {
+      return res.status(400).json({
+        success: false,
+        message: 'startDate and endDate must be valid dates'
+      });
+    }
+    const invalidId = Object.entries({ vehicleId, shipperId, routeId })
+      .find(([, value]) => value && !mongoose.Types.ObjectId.isValid(value));
+    if (invalidId) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${invalidId[0]}`
+      });
+    }
+
+    const report = await profitabilityService.getProfitabilityReport({
+      startDate,
+      endDate,
+      vehicleId,
+      shipperId,
+      routeId
+    });
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error generating profitability report:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to generate profitability report',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
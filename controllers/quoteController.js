@@ -0,0 +1,549 @@
+const mongoose = require('mongoose');
+const Quote = require('../models/Quote');
+const RateTable = require('../models/RateTable');
+const AuditLog = require('../models/AuditLog');
+const quoteService = require('../utils/quoteService');
+const laneAnalyticsService = require('../utils/laneAnalyticsService');
+const { QUOTE_STATUS, QUOTE_SOURCE, DEFAULT_RATE_TABLE } = require('../constants/quote');
+
+const RATE_TABLE_FIELDS = [
+  'name', 'active', 'defaultRatePerMile', 'minimumCharge', 'lanes', 'vehicleTypeMultipliers',
+  'inoperableSurcharge', 'enclosedSurchargePercent', 'fuelSurcharge', 'notes'
+];
+const CUSTOMER_FIELDS = ['shipperName', 'shipperCompany', 'shipperEmail', 'shipperPhone'];
+
+const pick = (source, fields) => fields.reduce((data, field) => {
+  if (source[field] !== undefined) data[field] = source[field];
+  return data;
+}, {});
+
+/**
+ * Only one rate table is active at a time
+ */
+async function deactivateOtherRateTables(rateTableId) {
+  await RateTable.updateMany({ _id: { $ne: rateTableId }, active: true }, { active: false });
+}
+
+/**
+ * Get all rate tables and the one quotes are currently priced with
+ */
+exports.getRateTables = async (req, res) => {
+  try {
+    const rateTables = await RateTable.find({}).sort({ active: -1, updatedAt: -1 });
+    const activeRateTable = rateTables.find(rateTable => rateTable.active) || null;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        rateTables,
+        activeRateTable,
+        // Used while no rate table is active
+        defaultRateTable: activeRateTable ? undefined : DEFAULT_RATE_TABLE
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching rate tables:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to fetch rate tables',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Create a rate table (active: true makes it the one quotes are priced with)
+ */
+exports.createRateTable = async (req, res) => {
+  try {
+    const rateTable = await RateTable.create({
+      ...pick(req.body, RATE_TABLE_FIELDS),
+      createdBy: req.user._id,
+      lastUpdatedBy: req.user._id
+    });
+    if (rateTable.active) await deactivateOtherRateTables(rateTable._id);
+
+    await AuditLog.create({
+      action: 'create_rate_table',
+      entityType: 'rateTable',
+      entityId: rateTable._id,
+      userId: req.user._id,
+      details: { name: rateTable.name, active: rateTable.active, lanes: rateTable.lanes.length },
+      notes: `Created rate table ${rateTable.name}`
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Rate table created successfully',
+      data: { rateTable }
+    });
+  } catch (error) {
+    console.error('Error creating rate table:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to create rate table',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update a rate table (including the current diesel price of its fuel surcharge)
+ */
+exports.updateRateTable = async (req, res) => {
+  try {
+    const rateTable = await RateTable.findById(req.params.id);
+    if (!rateTable) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rate table not found'
+      });
+    }
+
+    const updates = pick(req.body, RATE_TABLE_FIELDS);
+    if (updates.fuelSurcharge) {
+      const ppgChanged = updates.fuelSurcharge.currentPpg !== undefined &&
+        updates.fuelSurcharge.currentPpg !== rateTable.fuelSurcharge?.currentPpg;
+      updates.fuelSurcharge = { ...rateTable.toObject().fuelSurcharge, ...updates.fuelSurcharge };
+      if (ppgChanged) updates.fuelSurcharge.currentPpgUpdatedAt = new Date();
+    }
+    rateTable.set({ ...updates, lastUpdatedBy: req.user._id });
+    await rateTable.save();
+    if (rateTable.active) await deactivateOtherRateTables(rateTable._id);
+
+    await AuditLog.create({
+      action: 'update_rate_table',
+      entityType: 'rateTable',
+      entityId: rateTable._id,
+      userId: req.user._id,
+      details: updates,
+      notes: `Updated rate table ${rateTable.name}`
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Rate table updated successfully',
+      data: { rateTable }
+    });
+  } catch (error) {
+    console.error('Error updating rate table:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to update rate table',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Price a quote request without saving it
+ * Body: { pickup: { zip, city?, state? }, drop: { zip, ... }, vehicleCount?, vehicleType?, operable?, enclosed?, miles? }
+ */
+exports.calculateQuote = async (req, res) => {
+  try {
+    const { errors, quote } = await quoteService.buildQuote(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors[0],
+        errors
+      });
+    }
+
+    // Market rate of the lane for comparison with the rate table price
+    const marketRate = await laneAnalyticsService.suggestRate({
+      pickupZip: quote.pickup.zip,
+      pickupState: quote.pickup.state,
+      dropZip: quote.drop.zip,
+      dropState: quote.drop.state,
+      miles: quote.miles
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { quote, marketRate }
+    });
+  } catch (error) {
+    console.error('Error calculating quote:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to calculate quote',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Suggested rate for a lane from delivered jobs (null without enough history)
+ * Query: pickupZip?, pickupState?, dropZip?, dropState?, miles?
+ */
+exports.getRateSuggestion = async (req, res) => {
+  try {
+    const { pickupZip, pickupState, dropZip, dropState, miles } = req.query;
+    if (!(pickupZip || pickupState) || !(dropZip || dropState)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A pickup and drop ZIP or state are required'
+      });
+    }
+
+    const suggestion = await laneAnalyticsService.suggestRate({
+      pickupZip,
+      pickupState,
+      dropZip,
+      dropState,
+      miles: parseFloat(miles) || null
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { suggestion }
+    });
+  } catch (error) {
+    console.error('Error suggesting rate:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to suggest rate',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Create a quote
+ * Body: quote request (see calculateQuote) plus shipperName, shipperCompany, shipperEmail, shipperPhone,
+ * pickupDate, notes; pickup/drop may include locationName, contactName and contactPhone
+ */
+exports.createQuote = async (req, res) => {
+  try {
+    const { errors, quote: quoteData } = await quoteService.buildQuote(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors[0],
+        errors
+      });
+    }
+
+    const quote = await Quote.create({
+      ...quoteData,
+      ...pick(req.body, CUSTOMER_FIELDS),
+      notes: req.body.notes,
+      source: QUOTE_SOURCE.DISPATCHER,
+      createdBy: req.user._id,
+      lastUpdatedBy: req.user._id
+    });
+
+    await AuditLog.create({
+      action: 'create_quote',
+      entityType: 'quote',
+      entityId: quote._id,
+      userId: req.user._id,
+      details: {
+        quoteNumber: quote.quoteNumber,
+        lane: quote.pricing.lane,
+        miles: quote.miles,
+        vehicleCount: quote.vehicleCount,
+        totalPrice: quote.totalPrice
+      },
+      notes: `Created quote ${quote.quoteNumber} for ${quote.totalPrice}`
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Quote created successfully',
+      data: { quote }
+    });
+  } catch (error) {
+    console.error('Error creating quote:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to create quote',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Public quote request (enabled with QUOTE_PUBLIC_ENABLED=true)
+ * Miles are always calculated; only the price and expiry are returned
+ */
+exports.createPublicQuote = async (req, res) => {
+  try {
+    if (process.env.QUOTE_PUBLIC_ENABLED !== 'true') {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found'
+      });
+    }
+
+    const { miles, ...request } = req.body;
+    const { errors, quote: quoteData } = await quoteService.buildQuote(request);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors[0],
+        errors
+      });
+    }
+    if (!req.body.shipperEmail && !req.body.shipperPhone) {
+      return res.status(400).json({
+        success: false,
+        message: 'An email or phone number is required'
+      });
+    }
+
+    const quote = await Quote.create({
+      ...quoteData,
+      ...pick(req.body, CUSTOMER_FIELDS),
+      source: QUOTE_SOURCE.PUBLIC
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        quoteNumber: quote.quoteNumber,
+        miles: quote.miles,
+        vehicleCount: quote.vehicleCount,
+        pricePerVehicle: quote.pricing.pricePerVehicle,
+        totalPrice: quote.totalPrice,
+        expiresAt: quote.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Error creating public quote:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to create quote',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get quotes
+ * Query: status?, source?, search? (quote number, shipper, ZIP), page, limit
+ */
+exports.getQuotes = async (req, res) => {
+  try {
+    await quoteService.expireQuotes();
+
+    const { status, source, search, page = 1, limit = 50 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const query = {};
+    if (status) query.status = status;
+    if (source) query.source = source;
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$or = [
+        { quoteNumber: pattern },
+        { shipperName: pattern },
+        { shipperCompany: pattern },
+        { shipperEmail: pattern },
+        { 'pickup.zip': pattern },
+        { 'drop.zip': pattern }
+      ];
+    }
+
+    const [quotes, total] = await Promise.all([
+      Quote.find(query)
+        .populate('createdBy', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Quote.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: quotes,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching quotes:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to fetch quotes',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get a quote with the records created from it
+ */
+exports.getQuoteById = async (req, res) => {
+  try {
+    await quoteService.expireQuotes();
+
+    const quote = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Quote.findById(req.params.id)
+        .populate('shipperId', 'shipperName shipperCompany shipperEmail')
+        .populate('vehicleIds', 'vin year make model status')
+        .populate('transportJobIds', 'jobNumber status carrierPayment')
+        .populate('rateTableId', 'name')
+        .populate('createdBy', 'firstName lastName email')
+        .populate('acceptedBy', 'firstName lastName email')
+      : null;
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quote not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { quote }
+    });
+  } catch (error) {
+    console.error('Error fetching quote:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to fetch quote',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Accept a quote: creates the shipper, vehicles, transport jobs and profit calculations
+ * Body: { shipper?: { shipperName, shipperCompany, shipperEmail, shipperPhone, address, city, state, zipCode },
+ *   vehicles?: [{ vin, year, make, model, notes }] }
+ */
+exports.acceptQuote = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quote not found'
+      });
+    }
+    if (req.body.vehicles !== undefined && !Array.isArray(req.body.vehicles)) {
+      return res.status(400).json({
+        success: false,
+        message: 'vehicles must be an array'
+      });
+    }
+
+    const result = await quoteService.acceptQuote(req.params.id, {
+      userId: req.user._id,
+      shipper: req.body.shipper,
+      vehicles: req.body.vehicles
+    });
+    if (result.error) {
+      return res.status(result.notFound ? 404 : 400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Quote accepted: ${result.transportJobs.length} transport job(s) created`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error accepting quote:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to accept quote',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Decline an open quote
+ * Body: { reason? }
+ */
+exports.declineQuote = async (req, res) => {
+  try {
+    const quote = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Quote.findOneAndUpdate(
+        { _id: req.params.id, status: QUOTE_STATUS.OPEN },
+        {
+          status: QUOTE_STATUS.DECLINED,
+          declinedAt: new Date(),
+          declineReason: req.body.reason,
+          lastUpdatedBy: req.user._id
+        },
+        { new: true }
+      )
+      : null;
+    if (!quote) {
+      const existing = mongoose.Types.ObjectId.isValid(req.params.id)
+        ? await Quote.findById(req.params.id).select('status')
+        : null;
+      return res.status(existing ? 400 : 404).json({
+        success: false,
+        message: existing ? `Quote is ${existing.status}` : 'Quote not found'
+      });
+    }
+
+    await AuditLog.create({
+      action: 'decline_quote',
+      entityType: 'quote',
+      entityId: quote._id,
+      userId: req.user._id,
+      details: { quoteNumber: quote.quoteNumber, reason: quote.declineReason },
+      notes: `Declined quote ${quote.quoteNumber}`
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Quote declined',
+      data: { quote }
+    });
+  } catch (error) {
+    console.error('Error declining quote:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to decline quote',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Quote conversion report
+ * Query: startDate?, endDate? (quote creation date, default the last 30 days)
+ */
+exports.getConversionReport = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    if ((startDate && isNaN(new Date(startDate).getTime())) || (endDate && isNaN(new Date(endDate).getTime()))) {
+      return res.status(400).json({
+        success: false,
+        message: 'startDate and endDate must be valid dates'
+      });
+    }
+
+    const report = await quoteService.getConversionReport({ startDate, endDate });
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error generating quote conversion report:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to generate quote conversion report',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -5,6 +5,7 @@ const User = require('../models/User');
 const Vehicle = require('../models/Vehicle');
 const Expense = require('../models/Expense');
 const mongoose = require('mongoose');
+const geofenceService = require('../utils/geofenceService');
 
 /**
  * Helper function to safely extract ObjectId from populated or unpopulated references
@@ -596,11 +597,18 @@ exports.getRouteReport = async (req, res) => {
       expenseBreakdown // Include full breakdown
     };
 
+    // Arrival, departure, dwell and detention per stop from geofence detection
+    const stopTimes = geofenceService.summarizeStopTimes(route);
+    summary.totalDwellMinutes = stopTimes.totalDwellMinutes;
+    summary.totalDetentionMinutes = stopTimes.totalDetentionMinutes;
+    summary.detentionStops = stopTimes.detentionStops;
+
     res.status(200).json({
       success: true,
       data: {
         route,
         summary,
+        stopTimes,
         transportJobs,
         expenses
       }
@@ -962,6 +970,8 @@ exports.getAllRoutesReport = async (req, res) => {
         // Calculate net amount (carrier payment - total expenses)
         const netAmount = totalCarrierPayment - totalExpensesCost;
 
+        const stopTimes = geofenceService.summarizeStopTimes(route);
+
         return {
           route: {
             _id: route._id,
@@ -995,6 +1005,9 @@ exports.getAllRoutesReport = async (req, res) => {
           totalExpensesCost,
           totalCarrierPayment,
           netAmount,
+          totalDwellMinutes: stopTimes.totalDwellMinutes,
+          totalDetentionMinutes: stopTimes.totalDetentionMinutes,
+          detentionStops: stopTimes.detentionStops,
           expenseBreakdown // Include full breakdown
         };
       })
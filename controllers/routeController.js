@@ -11,6 +11,12 @@ const CalendarEvent = require('../models/CalendarEvent');
 const auditService = require('../utils/auditService');
 const locationService = require('../utils/locationService');
 const routeTracker = require('../utils/routeTracker');
+const routeOptimizer = require('../utils/routeOptimizer');
+const hosService = require('../utils/hosService');
+const dvirService = require('../utils/dvirService');
+const maintenanceService = require('../utils/maintenanceService');
+const complianceService = require('../utils/complianceService');
+const { checkRouteCapacity, formatOverloadMessage } = require('../utils/capacityService');
 const { getDefaultChecklist } = require('../utils/checklistDefaults');
 const { ROUTE_STATUS, ROUTE_STOP_STATUS, ROUTE_STATE, TRANSPORT_JOB_STATUS, VEHICLE_STATUS, TRUCK_STATUS, LOAD_STATUS } = require('../constants/status');
 const {
@@ -27,6 +33,10 @@ const {
   createMaintenanceExpenseForRoute
 } = require('../utils/statusManager');
 
+// Capacity enforcement mode for route create/update: 'reject' (default) or 'warn'
+// In reject mode an overload can still be saved by sending { allowOverCapacity: true }
+const isCapacityEnforced = () => process.env.ROUTE_CAPACITY_ENFORCEMENT !== 'warn';
+
 // Helper function to safely extract job ID from stop transportJobId
 const getJobIdFromStop = (transportJobId) => {
   if (!transportJobId) return null;
@@ -41,7 +51,7 @@ const getJobIdFromStop = (transportJobId) => {
  */
 exports.createRoute = async (req, res) => {
   try {
-    const routeData = req.body;
+    const { allowOverCapacity, ...routeData } = req.body;
 
     // Add metadata
     if (req.user) {
@@ -49,6 +59,22 @@ exports.createRoute = async (req, res) => {
       routeData.lastUpdatedBy = req.user._id;
     }
 
+    // Drivers and trucks with an expired CDL, medical card, registration or insurance can't be assigned
+    const compliance = await complianceService.checkRouteAssignment({
+      driverId: routeData.driverId,
+      truckId: routeData.truckId
+    });
+    if (!compliance.allowed) {
+      return res.status(400).json({
+        success: false,
+        code: 'COMPLIANCE_DOCUMENT_EXPIRED',
+        message: compliance.message,
+        data: {
+          compliance
+        }
+      });
+    }
+
     // Initialize stops array if not provided
     if (!routeData.stops || !Array.isArray(routeData.stops)) {
       routeData.stops = [];
@@ -163,6 +189,19 @@ exports.createRoute = async (req, res) => {
       return stop;
     });
 
+    // Simulate truck load along the stops before saving
+    const capacityCheck = await checkRouteCapacity(routeData.stops, routeData.truckId);
+    if (capacityCheck.overloaded && isCapacityEnforced() && !allowOverCapacity) {
+      return res.status(400).json({
+        success: false,
+        code: 'TRUCK_OVER_CAPACITY',
+        message: formatOverloadMessage(capacityCheck),
+        data: {
+          capacity: capacityCheck
+        }
+      });
+    }
+
     // Create route
     const route = await Route.create(routeData);
 
@@ -358,12 +397,22 @@ exports.createRoute = async (req, res) => {
         ]
       });
 
+    const capacity = await checkRouteCapacity(route.stops, route.truckId);
+
+    // Warn (don't block) when the assigned truck is overdue for preventive maintenance
+    const maintenance = route.truckId ? await maintenanceService.checkTruckAssignment(route.truckId) : null;
+    const warning = [capacity.overloaded && formatOverloadMessage(capacity), maintenance?.warning]
+      .filter(Boolean).join('. ');
+
     res.status(201).json({
       success: true,
       message: 'Route created successfully',
       data: {
-        route: populatedRoute
-      }
+        route: populatedRoute,
+        capacity,
+        maintenance
+      },
+      ...(warning && { warning })
     });
   } catch (error) {
     console.error('Error creating route:', error);
@@ -517,10 +566,20 @@ exports.getRouteById = async (req, res) => {
       });
     }
 
+    // Onboard weight after each stop
+    let capacity = null;
+    try {
+      capacity = await checkRouteCapacity(route.stops, route.truckId?._id || route.truckId);
+    } catch (capacityError) {
+      console.error('Failed to simulate route capacity:', capacityError);
+      // Don't fail the request if capacity simulation fails
+    }
+
     res.status(200).json({
       success: true,
       data: {
-        route
+        route,
+        capacity
       }
     });
   } catch (error) {
@@ -560,8 +619,9 @@ exports.getRouteById = async (req, res) => {
  */
 exports.updateRoute = async (req, res) => {
   try {
+    const { allowOverCapacity, ...body } = req.body;
     const updateData = {
-      ...req.body,
+      ...body,
       lastUpdatedBy: req.user ? req.user._id : undefined
     };
 
@@ -573,6 +633,50 @@ exports.updateRoute = async (req, res) => {
       });
     }
 
+    // Newly assigned drivers/trucks must not have expired compliance documents
+    const assignment = {
+      driverId: updateData.driverId && updateData.driverId.toString() !== route.driverId?.toString() ? updateData.driverId : undefined,
+      truckId: updateData.truckId && updateData.truckId.toString() !== route.truckId?.toString() ? updateData.truckId : undefined
+    };
+    if (assignment.driverId || assignment.truckId) {
+      const compliance = await complianceService.checkRouteAssignment(assignment);
+      if (!compliance.allowed) {
+        return res.status(400).json({
+          success: false,
+          code: 'COMPLIANCE_DOCUMENT_EXPIRED',
+          message: compliance.message,
+          data: {
+            compliance
+          }
+        });
+      }
+    }
+
+    // Simulate truck load when stops or truck change - before any side effects are applied
+    if (Array.isArray(updateData.stops) || updateData.truckId !== undefined) {
+      const stopsForCapacity = Array.isArray(updateData.stops)
+        ? updateData.stops.map(stop => {
+          // Existing pickup/drop stops may be sent without transportJobId (it is preserved below)
+          const stopId = stop._id || stop.id;
+          if (stop.transportJobId || !stopId) return stop;
+          const originalStop = route.stops.id(stopId);
+          return originalStop ? { ...stop, transportJobId: originalStop.transportJobId } : stop;
+        })
+        : route.stops;
+
+      const capacityCheck = await checkRouteCapacity(stopsForCapacity, updateData.truckId || route.truckId);
+      if (capacityCheck.overloaded && isCapacityEnforced() && !allowOverCapacity) {
+        return res.status(400).json({
+          success: false,
+          code: 'TRUCK_OVER_CAPACITY',
+          message: formatOverloadMessage(capacityCheck),
+          data: {
+            capacity: capacityCheck
+          }
+        });
+      }
+    }
+
     // Populate formattedAddress for journey locations if updated
     // Also normalize zipCode to zip
     if (updateData.journeyStartLocation) {
@@ -593,11 +697,13 @@ exports.updateRoute = async (req, res) => {
       // Update truck status
       const truck = await Truck.findById(route.truckId);
       if (truck) {
+        // An out-of-service truck keeps its status until its DVIR defects are certified repaired
+        const outOfService = truck.status === TRUCK_STATUS.OUT_OF_SERVICE;
         if (updateData.status === 'Completed' || updateData.status === 'Cancelled') {
-          truck.status = 'Available';
+          if (!outOfService) truck.status = 'Available';
           truck.currentDriver = undefined;
         } else if (updateData.status === 'In Progress' || updateData.status === 'Planned') {
-          truck.status = 'In Use';
+          if (!outOfService) truck.status = 'In Use';
           if (updateData.driverId) {
             truck.currentDriver = updateData.driverId;
           }
@@ -1304,12 +1410,24 @@ exports.updateRoute = async (req, res) => {
         ]
       });
 
+    const capacity = await checkRouteCapacity(updatedRoute.stops, updatedRoute.truckId);
+
+    // Warn (don't block) when a truck overdue for preventive maintenance is assigned
+    const maintenance = updateData.truckId && updatedRoute.truckId
+      ? await maintenanceService.checkTruckAssignment(updatedRoute.truckId)
+      : undefined;
+    const warning = [capacity.overloaded && formatOverloadMessage(capacity), maintenance?.warning]
+      .filter(Boolean).join('. ');
+
     res.status(200).json({
       success: true,
       message: 'Route updated successfully',
       data: {
-        route: populatedRoute
-      }
+        route: populatedRoute,
+        capacity,
+        maintenance
+      },
+      ...(warning && { warning })
     });
   } catch (error) {
     console.error('Error updating route:', error);
@@ -1682,7 +1800,15 @@ exports.updateRouteStop = async (req, res) => {
   try {
     const routeId = req.params.id;
     const stopId = req.params.stopId;
-    const { checklist, notes } = req.body;
+    const { checklist, notes, geofenceRadiusMeters } = req.body;
+
+    if (geofenceRadiusMeters !== undefined && geofenceRadiusMeters !== null &&
+        !(Number(geofenceRadiusMeters) > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'geofenceRadiusMeters must be a positive number (or null for the default radius)'
+      });
+    }
 
     // Find the route
     const route = await Route.findById(routeId);
@@ -1712,13 +1838,16 @@ exports.updateRouteStop = async (req, res) => {
       });
     }
 
-    // Update stop fields (only checklist and notes, NOT status, NOT photos)
+    // Update stop fields (only checklist, notes and geofence radius, NOT status, NOT photos)
     if (checklist !== undefined) {
       route.stops[stopIndex].checklist = checklist;
     }
     if (notes !== undefined) {
       route.stops[stopIndex].notes = notes;
     }
+    if (geofenceRadiusMeters !== undefined) {
+      route.stops[stopIndex].geofence.radiusMeters = geofenceRadiusMeters === null ? undefined : Number(geofenceRadiusMeters);
+    }
 
     route.lastUpdatedBy = req.user ? req.user._id : undefined;
     await route.save();
@@ -2718,15 +2847,10 @@ exports.completeRoute = async (req, res) => {
       }
     }
 
-    // Update truck status to Available
+    // Update truck status to Available (unless a DVIR took it out of service) and its maintenance miles
     if (route.truckId) {
-      const truckId = typeof route.truckId === 'object' 
-        ? (route.truckId._id || route.truckId.id) 
-        : route.truckId;
-      await Truck.findByIdAndUpdate(truckId, {
-        status: TRUCK_STATUS.AVAILABLE,
-        currentDriver: undefined
-      });
+      await dvirService.releaseTruck(route.truckId);
+      await maintenanceService.refreshTruckPlans(route.truckId);
     }
 
     // Remove currentRouteId from driver profile
@@ -2770,6 +2894,8 @@ exports.completeRoute = async (req, res) => {
       console.error('Failed to create audit log for route completion:', auditError);
     }
 
+    await hosService.recordRouteEvent(routeId, 'complete_route', { userId: req.user?._id });
+
     // Populate route for response
     const populatedRoute = await Route.findById(routeId)
       .populate('driverId', 'firstName lastName email phoneNumber')
@@ -2871,6 +2997,31 @@ exports.startRoute = async (req, res) => {
       }
     }
 
+    // Truck must not be out of service (open DVIR defect) or missing a required pre-trip inspection
+    const dvirCheck = await dvirService.checkRouteStart(route);
+    if (!dvirCheck.allowed) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot start route: ${dvirCheck.message}`,
+        data: {
+          dvir: dvirCheck
+        }
+      });
+    }
+
+    // Hours of service: admins can override a block with { overrideHos: true }
+    const hosCheck = await hosService.checkRouteStart(driverId, route);
+    const overrideHos = req.body.overrideHos === true && req.user.role === 'ptgAdmin';
+    if (!hosCheck.allowed && !overrideHos) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot start route: ${hosCheck.violations.map(violation => violation.message).join('; ')}`,
+        data: {
+          hos: hosCheck
+        }
+      });
+    }
+
     // Store old status for status change handler
     const oldStatus = route.status;
 
@@ -2934,6 +3085,28 @@ exports.startRoute = async (req, res) => {
     // Initialize route tracking
     const truckId = route.truckId ? (typeof route.truckId === 'object' ? (route.truckId._id || route.truckId.id) : route.truckId) : null;
     await routeTracker.initializeTracking(routeId, driverId, truckId, startAuditLog._id);
+
+    if (!hosCheck.allowed) {
+      await AuditLog.create({
+        action: 'override_hos_limits',
+        entityType: 'route',
+        entityId: routeId,
+        userId: req.user._id,
+        driverId,
+        routeId,
+        details: {
+          violations: hosCheck.violations,
+          clocks: hosCheck.clocks
+        },
+        notes: `Started route despite HOS limits: ${hosCheck.violations.map(violation => violation.message).join('; ')}`
+      });
+    }
+
+    await hosService.recordRouteEvent(routeId, 'start_route', {
+      location: currentLocation,
+      auditLogId: startAuditLog._id,
+      userId: req.user._id
+    });
     
     // Add location entry for start action if location is provided
     if (currentLocation) {
@@ -2998,7 +3171,8 @@ exports.startRoute = async (req, res) => {
       success: true,
       message: 'Route started successfully',
       data: {
-        route: populatedRoute
+        route: populatedRoute,
+        hos: hosCheck
       }
     });
   } catch (error) {
@@ -3011,6 +3185,169 @@ exports.startRoute = async (req, res) => {
   }
 };
 
+/**
+ * Optimize route stop sequence
+ *
+ * Reorders pending stops to minimize total distance while keeping each transport job's
+ * pickup before its drop and respecting scheduled time windows.
+ *
+ * By default this is a preview: it returns the current ("before") and proposed ("after")
+ * sequence with distances, projected arrival times and constraint violations.
+ * Send { apply: true } to save the proposed order, or { apply: true, stopOrder: [...] }
+ * to save a specific order (e.g. the stopOrder returned by a previous preview).
+ */
+exports.optimizeRoute = async (req, res) => {
+  try {
+    const { apply = false, stopOrder, serviceTimeMinutes } = req.body || {};
+
+    const route = await Route.findById(req.params.id);
+    if (!route || route.deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found'
+      });
+    }
+
+    if (route.status === ROUTE_STATUS.COMPLETED || route.status === ROUTE_STATUS.CANCELLED) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot optimize a route that is ${route.status.toLowerCase()}`
+      });
+    }
+
+    if (stopOrder !== undefined && !Array.isArray(stopOrder)) {
+      return res.status(400).json({
+        success: false,
+        message: 'stopOrder must be an array of stop IDs'
+      });
+    }
+
+    const result = await routeOptimizer.optimizeRouteStops(route, {
+      stopOrder,
+      serviceTimeSeconds: serviceTimeMinutes !== undefined ? parseFloat(serviceTimeMinutes) * 60 : undefined
+    });
+
+    if (result.unresolvedStops) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unable to determine coordinates for some stops. Add a location to these stops before optimizing.',
+        unresolvedStops: result.unresolvedStops
+      });
+    }
+
+    if (result.invalidStopOrder) {
+      return res.status(400).json({
+        success: false,
+        message: result.invalidStopOrder
+      });
+    }
+
+    if (!apply) {
+      return res.status(200).json({
+        success: true,
+        message: 'Route optimization preview generated',
+        data: {
+          applied: false,
+          before: result.before,
+          after: result.after,
+          stopOrder: result.stopOrder,
+          improvement: result.improvement,
+          usedEstimatedDistances: result.usedEstimatedDistances
+        }
+      });
+    }
+
+    if (result.after.violations.some(violation => violation.type === 'precedence')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Stop order places a drop before its pickup',
+        violations: result.after.violations
+      });
+    }
+
+    // Apply the new sequence
+    const sequenceByStopId = new Map(result.stopOrder.map((stopId, index) => [stopId, index + 1]));
+    route.stops.forEach(stop => {
+      stop.sequence = sequenceByStopId.get(stop._id.toString());
+    });
+    route.lastUpdatedBy = req.user._id;
+    await route.save();
+
+    // Recalculate distanceFromPrevious and totals for the new order
+    try {
+      await locationService.refreshRouteDistances(route);
+    } catch (locationError) {
+      console.error('❌ Failed to recalculate route distances after optimization:', locationError.message);
+      // Fall back to the optimizer's distances so totals still reflect the new order
+      route.totalDistance = result.after.totalDistance;
+      route.totalDuration = result.after.totalDuration;
+      await route.save();
+    }
+
+    await AuditLog.create({
+      action: 'optimize_route',
+      entityType: 'route',
+      entityId: route._id,
+      userId: req.user._id,
+      driverId: route.driverId,
+      routeId: route._id,
+      details: {
+        before: {
+          stopOrder: result.before.stops.map(stop => stop.stopId),
+          totalDistance: result.before.totalDistance.value,
+          violations: result.before.violations.length
+        },
+        after: {
+          stopOrder: result.stopOrder,
+          totalDistance: result.after.totalDistance.value,
+          violations: result.after.violations.length
+        },
+        improvement: result.improvement
+      },
+      notes: `Optimized stop sequence for route ${route.routeNumber || route._id} (saved ${result.improvement.distanceSavedText})`
+    });
+
+    const populatedRoute = await Route.findById(route._id)
+      .populate('driverId', 'firstName lastName email phoneNumber')
+      .populate('truckId', 'truckNumber licensePlate make model year status')
+      .populate({
+        path: 'stops.transportJobId',
+        select: 'jobNumber status vehicleId loadId loadType carrier pickupRouteId dropRouteId',
+        populate: [
+          {
+            path: 'vehicleId',
+            select: 'vin year make model status'
+          },
+          {
+            path: 'loadId',
+            select: 'loadNumber loadType description weight quantity unit status'
+          }
+        ]
+      });
+
+    res.status(200).json({
+      success: true,
+      message: 'Route stops optimized successfully',
+      data: {
+        applied: true,
+        route: populatedRoute,
+        before: result.before,
+        after: result.after,
+        stopOrder: result.stopOrder,
+        improvement: result.improvement,
+        usedEstimatedDistances: result.usedEstimatedDistances
+      }
+    });
+  } catch (error) {
+    console.error('Error optimizing route:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to optimize route',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 /**
  * Delete route
  */
@@ -3124,8 +3461,10 @@ exports.deleteRoute = async (req, res) => {
       
       const truck = await Truck.findById(truckId);
       if (truck) {
-        // Set truck status to Available when route is deleted
-        truck.status = TRUCK_STATUS.AVAILABLE;
+        // Set truck status to Available when route is deleted (unless it is out of service)
+        if (truck.status !== TRUCK_STATUS.OUT_OF_SERVICE) {
+          truck.status = TRUCK_STATUS.AVAILABLE;
+        }
         truck.currentDriver = undefined;
         await truck.save();
       }
@@ -4,6 +4,8 @@ const Load = require('../models/Load');
 const Route = require('../models/Route');
 const TransportJob = require('../models/TransportJob');
 const AuditLog = require('../models/AuditLog');
+const { getShipperBillingSummary } = require('../utils/invoiceService');
+const { findOrCreateShipper } = require('../utils/shipperService');
 
 /**
  * Utility function to recalculate shipper statistics
@@ -239,37 +241,12 @@ exports.createOrFindShipper = async (req, res) => {
       });
     }
 
-    // Try to find existing shipper by company and email (if provided)
-    let shipper = null;
-    if (shipperEmail) {
-      shipper = await Shipper.findOne({
-        shipperCompany: shipperCompany.trim(),
-        shipperEmail: shipperEmail.toLowerCase().trim()
-      });
-    } else {
-      // If no email, try to find by company and name
-      shipper = await Shipper.findOne({
-        shipperCompany: shipperCompany.trim(),
-        shipperName: shipperName.trim()
-      });
-    }
-
-    if (shipper) {
-      // Update existing shipper with new information if provided
-      const updateData = {};
-      if (shipperPhone && !shipper.shipperPhone) updateData.shipperPhone = shipperPhone;
-      if (address && !shipper.address) updateData.address = address;
-      if (city && !shipper.city) updateData.city = city;
-      if (state && !shipper.state) updateData.state = state;
-      if (zipCode && !shipper.zipCode) updateData.zipCode = zipCode;
-      if (notes && !shipper.notes) updateData.notes = notes;
-      updateData.lastUpdatedBy = req.user?._id;
-
-      if (Object.keys(updateData).length > 0) {
-        await Shipper.findByIdAndUpdate(shipper._id, updateData);
-        shipper = await Shipper.findById(shipper._id);
-      }
+    const { shipper, created } = await findOrCreateShipper(
+      { shipperName, shipperCompany, shipperEmail, shipperPhone, address, city, state, zipCode, notes },
+      req.user?._id
+    );
 
+    if (!created) {
       return res.status(200).json({
         success: true,
         message: 'Existing shipper found',
@@ -279,37 +256,6 @@ exports.createOrFindShipper = async (req, res) => {
       });
     }
 
-    // Create new shipper
-    const shipperData = {
-      shipperName: shipperName.trim(),
-      shipperCompany: shipperCompany.trim(),
-      shipperEmail: shipperEmail ? shipperEmail.toLowerCase().trim() : undefined,
-      shipperPhone: shipperPhone ? shipperPhone.trim() : undefined,
-      address: address ? address.trim() : undefined,
-      city: city ? city.trim() : undefined,
-      state: state ? state.trim() : undefined,
-      zipCode: zipCode ? zipCode.trim() : undefined,
-      notes: notes ? notes.trim() : undefined,
-      createdBy: req.user?._id,
-      lastUpdatedBy: req.user?._id
-    };
-
-    shipper = await Shipper.create(shipperData);
-
-    // Log shipper creation
-    await AuditLog.create({
-      action: 'create_shipper',
-      entityType: 'shipper',
-      entityId: shipper._id,
-      userId: req.user?._id,
-      details: {
-        shipperName: shipper.shipperName,
-        shipperCompany: shipper.shipperCompany,
-        shipperEmail: shipper.shipperEmail
-      },
-      notes: `Created shipper ${shipper.shipperCompany}`
-    });
-
     res.status(201).json({
       success: true,
       message: 'Shipper created successfully',
@@ -610,10 +556,14 @@ exports.getShipperProfile = async (req, res) => {
     shipper.totalCompletedRoutes = completedRoutes;
     await shipper.save();
 
+    // Outstanding balance and aging of sent invoices
+    const billing = await getShipperBillingSummary(shipper._id);
+
     res.status(200).json({
       success: true,
       data: {
         shipper,
+        billing,
         vehicles: {
           data: vehicles,
           pagination: {
@@ -0,0 +1,57 @@
+const TransportJob = require('../models/TransportJob');
+const { verifyTrackingToken, findActiveShare, buildTrackingSnapshot } = require('../utils/trackingService');
+
+/**
+ * Get shipment tracking details for a share token (public, no authentication)
+ */
+exports.getShipmentTracking = async (req, res) => {
+  try {
+    const { token } = req.params;
+    const verified = verifyTrackingToken(token);
+
+    if (!verified.valid) {
+      return res.status(verified.expired ? 410 : 404).json({
+        success: false,
+        message: verified.expired ? 'This tracking link has expired' : 'Tracking link not found'
+      });
+    }
+
+    const transportJob = await TransportJob.findOne({ _id: verified.jobId, deleted: { $ne: true } })
+      .populate('vehicleId', 'vin year make model')
+      .populate('loadId', 'loadNumber description quantity unit');
+
+    const share = transportJob ? findActiveShare(transportJob, verified.tokenId) : null;
+
+    if (!share) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tracking link not found'
+      });
+    }
+
+    await TransportJob.updateOne(
+      { _id: transportJob._id, 'trackingShares.tokenId': verified.tokenId },
+      {
+        $set: { 'trackingShares.$.lastAccessedAt': new Date() },
+        $inc: { 'trackingShares.$.accessCount': 1 }
+      }
+    );
+
+    const tracking = await buildTrackingSnapshot(transportJob);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        tracking,
+        linkExpiresAt: share.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching shipment tracking:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch shipment tracking',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -12,6 +12,9 @@ const {
   calculateLoadStatusFromJobs
 } = require('../utils/statusManager');
 const { VEHICLE_STATUS, LOAD_STATUS } = require('../constants/status');
+const { generateTrackingToken, MAX_TRACKING_LINK_DAYS } = require('../utils/trackingService');
+const { SIGNATURE_PARTIES, captureSignature, buildBillOfLadingData, publishBillOfLading } = require('../utils/billOfLadingService');
+const { generateBillOfLadingPdf } = require('../utils/billOfLadingPdf');
 
 /**
  * Create a new transport job
@@ -285,6 +288,8 @@ exports.updateTransportJob = async (req, res) => {
       lastUpdatedBy: req.user ? req.user._id : undefined
     };
 
+    const previousJob = updateData.status ? await TransportJob.findById(req.params.id).select('status') : null;
+
     const transportJob = await TransportJob.findByIdAndUpdate(
       req.params.id,
       updateData,
@@ -317,7 +322,7 @@ exports.updateTransportJob = async (req, res) => {
 
     // Update vehicle status and transportJobs history if transport job status changed
     if (updateData.status) {
-      await updateStatusOnTransportJobStatusChange(req.params.id);
+      await updateStatusOnTransportJobStatusChange(req.params.id, previousJob ? previousJob.status : null);
     }
 
     if (!transportJob) {
@@ -574,4 +579,326 @@ exports.deleteTransportJob = async (req, res) => {
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Create a customer tracking link for a transport job
+ * Body: { expiresInDays?: number, label?: string }
+ */
+exports.createTrackingLink = async (req, res) => {
+  try {
+    const { expiresInDays, label } = req.body || {};
+
+    if (expiresInDays !== undefined && (isNaN(parseFloat(expiresInDays)) || parseFloat(expiresInDays) <= 0)) {
+      return res.status(400).json({
+        success: false,
+        message: `expiresInDays must be a positive number (max ${MAX_TRACKING_LINK_DAYS})`
+      });
+    }
+
+    const transportJob = await TransportJob.findOne({ _id: req.params.id, deleted: { $ne: true } });
+
+    if (!transportJob) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transport job not found'
+      });
+    }
+
+    const { token, tokenId, expiresAt, url } = generateTrackingToken(transportJob._id, expiresInDays);
+
+    transportJob.trackingShares.push({
+      tokenId,
+      label,
+      expiresAt,
+      createdBy: req.user._id
+    });
+    await transportJob.save();
+
+    await AuditLog.create({
+      action: 'create_tracking_link',
+      entityType: 'transportJob',
+      entityId: transportJob._id,
+      userId: req.user._id,
+      details: { tokenId, expiresAt, label },
+      notes: `Created tracking link for transport job ${transportJob.jobNumber || transportJob._id}`
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Tracking link created successfully',
+      data: {
+        token,
+        url,
+        share: transportJob.trackingShares.find(share => share.tokenId === tokenId)
+      }
+    });
+  } catch (error) {
+    console.error('Error creating tracking link:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to create tracking link',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * List the tracking links issued for a transport job
+ */
+exports.getTrackingLinks = async (req, res) => {
+  try {
+    const transportJob = await TransportJob.findOne({ _id: req.params.id, deleted: { $ne: true } })
+      .select('jobNumber trackingShares')
+      .populate('trackingShares.createdBy', 'firstName lastName email')
+      .populate('trackingShares.revokedBy', 'firstName lastName email');
+
+    if (!transportJob) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transport job not found'
+      });
+    }
+
+    const now = new Date();
+    const shares = transportJob.trackingShares.map(share => ({
+      ...share.toObject(),
+      active: !share.revokedAt && share.expiresAt > now
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        shares
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching tracking links:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to fetch tracking links',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Revoke a tracking link so it can no longer be used
+ */
+exports.revokeTrackingLink = async (req, res) => {
+  try {
+    const { id, tokenId } = req.params;
+
+    const transportJob = await TransportJob.findOne({ _id: id, deleted: { $ne: true } });
+
+    if (!transportJob) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transport job not found'
+      });
+    }
+
+    const share = transportJob.trackingShares.find(entry => entry.tokenId === tokenId);
+
+    if (!share) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tracking link not found'
+      });
+    }
+
+    if (!share.revokedAt) {
+      share.revokedAt = new Date();
+      share.revokedBy = req.user._id;
+      await transportJob.save();
+
+      await AuditLog.create({
+        action: 'revoke_tracking_link',
+        entityType: 'transportJob',
+        entityId: transportJob._id,
+        userId: req.user._id,
+        details: { tokenId },
+        notes: `Revoked tracking link for transport job ${transportJob.jobNumber || transportJob._id}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Tracking link revoked successfully',
+      data: {
+        share
+      }
+    });
+  } catch (error) {
+    console.error('Error revoking tracking link:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to revoke tracking link',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Capture the shipper or receiver signature for the Bill of Lading
+ * Body: { party: 'shipper' | 'receiver', signature: base64 image, name, location? }
+ */
+exports.captureBolSignature = async (req, res) => {
+  try {
+    const { party, signature, name, location } = req.body || {};
+
+    if (!SIGNATURE_PARTIES[party]) {
+      return res.status(400).json({
+        success: false,
+        message: `party must be one of: ${Object.keys(SIGNATURE_PARTIES).join(', ')}`
+      });
+    }
+
+    if (!signature || !name) {
+      return res.status(400).json({
+        success: false,
+        message: 'signature (base64 image) and name are required'
+      });
+    }
+
+    const transportJob = await TransportJob.findOne({ _id: req.params.id, deleted: { $ne: true } });
+
+    if (!transportJob) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transport job not found'
+      });
+    }
+
+    const storedSignature = await captureSignature(transportJob, party, { signature, name, location }, req.user._id);
+    transportJob.lastUpdatedBy = req.user._id;
+    await transportJob.save();
+
+    await AuditLog.create({
+      action: 'capture_bol_signature',
+      entityType: 'transportJob',
+      entityId: transportJob._id,
+      userId: req.user._id,
+      driverId: req.user.role === 'ptgDriver' ? req.user._id : undefined,
+      details: { party, name, url: storedSignature.url },
+      notes: `Captured ${party} BOL signature for transport job ${transportJob.jobNumber || transportJob._id}`
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Signature captured successfully',
+      data: {
+        party,
+        signature: storedSignature
+      }
+    });
+  } catch (error) {
+    console.error('Error capturing BOL signature:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to capture signature',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Generate the Bill of Lading PDF and store its URL on the transport job
+ * Body (all optional): { pickupDamageNotes, deliveryDamageNotes,
+ *   shipperSignature: { signature, name }, receiverSignature: { signature, name } }
+ */
+exports.generateBillOfLading = async (req, res) => {
+  try {
+    const { pickupDamageNotes, deliveryDamageNotes } = req.body || {};
+
+    const transportJob = await TransportJob.findOne({ _id: req.params.id, deleted: { $ne: true } })
+      .populate('vehicleId', 'vin year make model weight')
+      .populate('loadId', 'loadNumber description weight dimensions quantity unit');
+
+    if (!transportJob) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transport job not found'
+      });
+    }
+
+    if (pickupDamageNotes !== undefined) transportJob.billOfLadingDetails.pickupDamageNotes = pickupDamageNotes;
+    if (deliveryDamageNotes !== undefined) transportJob.billOfLadingDetails.deliveryDamageNotes = deliveryDamageNotes;
+
+    // Signatures can also be captured together with generation
+    for (const party of Object.keys(SIGNATURE_PARTIES)) {
+      const signatureData = req.body?.[SIGNATURE_PARTIES[party]];
+      if (signatureData && signatureData.signature) {
+        await captureSignature(transportJob, party, signatureData, req.user._id);
+      }
+    }
+
+    const { url } = await publishBillOfLading(transportJob, req.user._id);
+    transportJob.lastUpdatedBy = req.user._id;
+    await transportJob.save();
+
+    await AuditLog.create({
+      action: 'generate_bill_of_lading',
+      entityType: 'transportJob',
+      entityId: transportJob._id,
+      userId: req.user._id,
+      driverId: req.user.role === 'ptgDriver' ? req.user._id : undefined,
+      details: {
+        url,
+        bolNumber: transportJob.billOfLadingDetails.bolNumber,
+        shipperSigned: !!transportJob.billOfLadingDetails.shipperSignature,
+        receiverSigned: !!transportJob.billOfLadingDetails.receiverSignature
+      },
+      notes: `Generated Bill of Lading for transport job ${transportJob.jobNumber || transportJob._id}`
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Bill of Lading generated successfully',
+      data: {
+        billOfLading: url,
+        billOfLadingDetails: transportJob.billOfLadingDetails
+      }
+    });
+  } catch (error) {
+    console.error('Error generating Bill of Lading:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to generate Bill of Lading',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Render the current Bill of Lading as a PDF download (does not upload or store it)
+ */
+exports.downloadBillOfLadingPdf = async (req, res) => {
+  try {
+    const transportJob = await TransportJob.findOne({ _id: req.params.id, deleted: { $ne: true } })
+      .populate('vehicleId', 'vin year make model weight')
+      .populate('loadId', 'loadNumber description weight dimensions quantity unit');
+
+    if (!transportJob) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transport job not found'
+      });
+    }
+
+    const data = await buildBillOfLadingData(transportJob);
+    const pdfBuffer = await generateBillOfLadingPdf(data);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${data.bolNumber}.pdf"`);
+    res.setHeader('Content-Length', pdfBuffer.length);
+    res.status(200).send(pdfBuffer);
+  } catch (error) {
+    console.error('Error rendering Bill of Lading PDF:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to render Bill of Lading',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
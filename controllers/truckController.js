@@ -1,6 +1,8 @@
 const Truck = require('../models/Truck');
 const Expense = require('../models/Expense');
 const AuditLog = require('../models/AuditLog');
+const dvirService = require('../utils/dvirService');
+const { TRUCK_STATUS } = require('../constants/status');
 
 /**
  * Create a new truck
@@ -130,6 +132,20 @@ exports.getTruckById = async (req, res) => {
  */
 exports.updateTruck = async (req, res) => {
   try {
+    // A truck with an open out-of-service DVIR defect returns to service through mechanic sign-off only
+    if (req.body.status && req.body.status !== TRUCK_STATUS.OUT_OF_SERVICE) {
+      const outOfServiceInspections = await dvirService.getOpenOutOfServiceInspections(req.params.id);
+      if (outOfServiceInspections.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Truck has out-of-service defects that must be certified repaired before it can return to service',
+          data: {
+            outOfServiceInspections
+          }
+        });
+      }
+    }
+
     const truck = await Truck.findByIdAndUpdate(
       req.params.id,
       req.body,
@@ -0,0 +1,402 @@
+const Route = require('../models/Route');
+const Truck = require('../models/Truck');
+const TruckInspection = require('../models/TruckInspection');
+const AuditLog = require('../models/AuditLog');
+const routeTracker = require('../utils/routeTracker');
+const dvirService = require('../utils/dvirService');
+const { ROUTE_STATUS } = require('../constants/status');
+const { DVIR_TYPES, DVIR_COMPONENTS, DVIR_CONDITIONS, DEFECT_STATUS } = require('../constants/dvir');
+
+const populateInspection = (query) => query
+  .populate('truckId', 'truckNumber licensePlate status')
+  .populate('routeId', 'routeNumber status')
+  .populate('driverId', 'firstName lastName email')
+  .populate('inspectedBy', 'firstName lastName email')
+  .populate('mechanicSignOff.signedBy', 'firstName lastName email');
+
+/**
+ * Get the DVIR components (checklist template for the driver app)
+ */
+exports.getChecklistTemplate = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      inspectionTypes: Object.values(DVIR_TYPES),
+      conditions: Object.values(DVIR_CONDITIONS),
+      components: Object.entries(DVIR_COMPONENTS).map(([component, label]) => ({ component, label }))
+    }
+  });
+};
+
+/**
+ * Record a pre-trip or post-trip truck inspection
+ * Body: {
+ *   inspectionType, routeId? (required for drivers), truckId? (when there's no route),
+ *   checklist: [{ component, condition }], defects: [{ component, description, outOfService, photoUrls }],
+ *   notes?, odometer?, currentLocation?
+ * }
+ */
+exports.createInspection = async (req, res) => {
+  try {
+    const { inspectionType, routeId, checklist, defects, notes, odometer, currentLocation } = req.body;
+    const isDriver = req.user.role === 'ptgDriver';
+
+    if (!Object.values(DVIR_TYPES).includes(inspectionType)) {
+      return res.status(400).json({
+        success: false,
+        message: `inspectionType must be one of: ${Object.values(DVIR_TYPES).join(', ')}`
+      });
+    }
+
+    if (!routeId && (isDriver || !req.body.truckId)) {
+      return res.status(400).json({
+        success: false,
+        message: isDriver ? 'routeId is required' : 'routeId or truckId is required'
+      });
+    }
+
+    let route = null;
+    let truckId = req.body.truckId;
+    if (routeId) {
+      route = await Route.findOne({ _id: routeId, deleted: { $ne: true } }).select('routeNumber status driverId truckId');
+
+      // Drivers can only inspect the trucks of their own routes
+      if (!route || (isDriver && route.driverId?.toString() !== req.user._id.toString())) {
+        return res.status(404).json({
+          success: false,
+          message: 'Route not found or not assigned to you'
+        });
+      }
+
+      if (!route.truckId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Route has no truck assigned'
+        });
+      }
+
+      if (route.status === ROUTE_STATUS.CANCELLED ||
+        (inspectionType === DVIR_TYPES.PRE_TRIP && route.status === ROUTE_STATUS.COMPLETED)) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot record a ${inspectionType.replace('_', '-')} inspection for a route that is ${route.status.toLowerCase()}`
+        });
+      }
+
+      truckId = route.truckId;
+    }
+
+    const truck = await Truck.findById(truckId).select('truckNumber status');
+    if (!truck) {
+      return res.status(404).json({
+        success: false,
+        message: 'Truck not found'
+      });
+    }
+
+    const report = dvirService.normalizeReport(checklist, defects);
+    if (report.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Inspection is incomplete or invalid',
+        errors: report.errors
+      });
+    }
+
+    const inspection = new TruckInspection({
+      inspectionType,
+      truckId: truck._id,
+      routeId: route?._id,
+      driverId: route ? route.driverId : (isDriver ? req.user._id : undefined),
+      inspectedBy: req.user._id,
+      inspectedAt: new Date(),
+      location: currentLocation,
+      odometer,
+      checklist: report.checklist,
+      defects: report.defects,
+      notes,
+      createdBy: req.user._id,
+      lastUpdatedBy: req.user._id
+    });
+    dvirService.applyDefectStatus(inspection);
+    await inspection.save();
+
+    if (inspection.outOfService) {
+      await dvirService.markTruckOutOfService(truck._id);
+    }
+
+    const outOfServiceCount = inspection.defects.filter(defect => defect.outOfService).length;
+    const auditLog = await AuditLog.create({
+      action: 'create_truck_inspection',
+      entityType: 'truckInspection',
+      entityId: inspection._id,
+      userId: req.user._id,
+      driverId: isDriver ? req.user._id : undefined,
+      location: currentLocation,
+      routeId: route?._id,
+      details: {
+        truckId: truck._id,
+        inspectionType,
+        defectCount: inspection.defects.length,
+        outOfServiceCount
+      },
+      notes: `Recorded ${inspectionType.replace('_', '-')} inspection of truck ${truck.truckNumber || truck._id}` +
+        (inspection.defects.length > 0 ? ` with ${inspection.defects.length} defect(s)` : ' - no defects') +
+        (outOfServiceCount > 0 ? ' - truck placed out of service' : '')
+    });
+
+    if (route) {
+      await routeTracker.addActionEntry(route._id, 'truck_inspection', currentLocation, auditLog._id, {
+        inspectionId: inspection._id,
+        inspectionType,
+        defectCount: inspection.defects.length,
+        outOfService: inspection.outOfService
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: inspection.outOfService
+        ? 'Inspection recorded - truck placed out of service until the repair is certified'
+        : 'Inspection recorded successfully',
+      data: {
+        inspection
+      }
+    });
+  } catch (error) {
+    console.error('Error saving truck inspection:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message || 'Failed to save truck inspection',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get truck inspections (filter by truck, route, type, status, out of service)
+ */
+exports.getInspections = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, truckId, routeId, driverId, inspectionType, status, outOfService } = req.query;
+
+    const query = {};
+    if (truckId) query.truckId = truckId;
+    if (routeId) query.routeId = routeId;
+    if (driverId) query.driverId = driverId;
+    if (inspectionType) query.inspectionType = inspectionType;
+    if (status) query.status = status;
+    if (outOfService !== undefined) query.outOfService = outOfService === 'true';
+
+    const inspections = await populateInspection(TruckInspection.find(query))
+      .sort({ inspectedAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await TruckInspection.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        inspections,
+        pagination: {
+          page: parseInt(page),
+          pages: Math.ceil(total / parseInt(limit)),
+          total,
+          limit: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching truck inspections:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to fetch truck inspections',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get single truck inspection by ID
+ */
+exports.getInspectionById = async (req, res) => {
+  try {
+    const inspection = await populateInspection(TruckInspection.findById(req.params.id));
+
+    // Drivers can see the inspections they did or that were done for their routes
+    const driverId = inspection?.driverId?._id || inspection?.driverId;
+    const inspectedBy = inspection?.inspectedBy?._id || inspection?.inspectedBy;
+    if (!inspection || (req.user.role === 'ptgDriver' &&
+      driverId?.toString() !== req.user._id.toString() &&
+      inspectedBy?.toString() !== req.user._id.toString())) {
+      return res.status(404).json({
+        success: false,
+        message: 'Inspection not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        inspection
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching truck inspection:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to fetch truck inspection',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Inspection status of a truck: latest inspection and open out-of-service defects
+ */
+exports.getTruckInspectionStatus = async (req, res) => {
+  try {
+    const truck = await Truck.findById(req.params.truckId).select('truckNumber licensePlate status');
+    if (!truck) {
+      return res.status(404).json({
+        success: false,
+        message: 'Truck not found'
+      });
+    }
+
+    const [latestInspection, outOfServiceInspections] = await Promise.all([
+      populateInspection(TruckInspection.findOne({ truckId: truck._id }).sort({ inspectedAt: -1 })),
+      dvirService.getOpenOutOfServiceInspections(truck._id)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        truck,
+        latestInspection,
+        outOfServiceInspections
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching truck inspection status:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to fetch truck inspection status',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Mechanic sign-off: certify the defects of an inspection as repaired (or not needing repair)
+ * Open defects not listed in `defects` are certified as repaired.
+ * The truck returns to service once no inspection has an open out-of-service defect.
+ * Body: { mechanicName, signatureUrl?, notes?, defects?: [{ defectId, status, repairNotes? }] }
+ */
+exports.signOffInspection = async (req, res) => {
+  try {
+    const { mechanicName, signatureUrl, notes, defects = [] } = req.body;
+
+    if (!mechanicName || !String(mechanicName).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'mechanicName is required'
+      });
+    }
+
+    if (!Array.isArray(defects)) {
+      return res.status(400).json({
+        success: false,
+        message: 'defects must be an array'
+      });
+    }
+
+    const inspection = await TruckInspection.findById(req.params.id);
+    if (!inspection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Inspection not found'
+      });
+    }
+
+    const openDefects = inspection.defects.filter(defect => defect.status === DEFECT_STATUS.OPEN);
+    if (openDefects.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Inspection has no open defects to certify'
+      });
+    }
+
+    const resolutions = new Map();
+    for (const entry of defects) {
+      const defect = inspection.defects.id(entry?.defectId);
+      if (!defect) {
+        return res.status(400).json({
+          success: false,
+          message: `Defect not found: ${entry?.defectId}`
+        });
+      }
+      if (![DEFECT_STATUS.REPAIRED, DEFECT_STATUS.NO_REPAIR_NEEDED].includes(entry.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Defect status must be ${DEFECT_STATUS.REPAIRED} or ${DEFECT_STATUS.NO_REPAIR_NEEDED}`
+        });
+      }
+      resolutions.set(defect._id.toString(), entry);
+    }
+
+    const signedAt = new Date();
+    openDefects.forEach(defect => {
+      const resolution = resolutions.get(defect._id.toString());
+      defect.status = resolution ? resolution.status : DEFECT_STATUS.REPAIRED;
+      defect.repairNotes = resolution?.repairNotes;
+      defect.resolvedAt = signedAt;
+    });
+
+    inspection.mechanicSignOff = {
+      mechanicName: String(mechanicName).trim(),
+      signedBy: req.user._id,
+      signedAt,
+      signatureUrl,
+      notes
+    };
+    inspection.lastUpdatedBy = req.user._id;
+    dvirService.applyDefectStatus(inspection);
+    await inspection.save();
+
+    const truckStatus = await dvirService.restoreTruckIfRepaired(inspection.truckId);
+
+    await AuditLog.create({
+      action: 'certify_truck_inspection',
+      entityType: 'truckInspection',
+      entityId: inspection._id,
+      userId: req.user._id,
+      routeId: inspection.routeId,
+      details: {
+        truckId: inspection.truckId,
+        mechanicName: inspection.mechanicSignOff.mechanicName,
+        certifiedDefects: openDefects.map(defect => ({ defectId: defect._id, component: defect.component, status: defect.status })),
+        truckStatus
+      },
+      notes: `${openDefects.length} defect(s) certified by ${inspection.mechanicSignOff.mechanicName}` +
+        (truckStatus ? ` - truck returned to service (${truckStatus})` : '')
+    });
+
+    res.status(200).json({
+      success: true,
+      message: truckStatus ? 'Repairs certified - truck returned to service' : 'Repairs certified',
+      data: {
+        inspection: await populateInspection(TruckInspection.findById(inspection._id)),
+        truckStatus
+      }
+    });
+  } catch (error) {
+    console.error('Error signing off truck inspection:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message || 'Failed to sign off truck inspection',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -6,6 +6,8 @@ const AuditLog = require('../models/AuditLog');
 const Shipper = require('../models/Shipper');
 const auditService = require('../utils/auditService');
 const { updateVehicleOnCreate } = require('../utils/statusManager');
+const vosSyncService = require('../utils/vosSyncService');
+const vinDecoder = require('../utils/vinDecoder');
 const { calculateVehicleDistance, calculateVehiclesDistances } = require('../utils/vehicleDistanceService');
 
 /**
@@ -26,6 +28,13 @@ exports.createVehicle = async (req, res) => {
       vehicleData.source = vehicleData.source || 'PTG'; // PTG frontend/authenticated users, but allow override
     }
 
+    // Fill missing year/make/model from the VIN and flag details that don't match it
+    let vinCheck = null;
+    if (vehicleData.vin) {
+      vinCheck = await vinDecoder.applyVinDecode(vehicleData);
+      vehicleData.vinDecode = vinCheck.vinDecode;
+    }
+
     // Auto-create or find shipper if shipper details are provided
     if (vehicleData.shipperName && vehicleData.shipperCompany && !vehicleData.shipperId) {
       try {
@@ -109,7 +118,15 @@ exports.createVehicle = async (req, res) => {
     res.status(201).json({
       success: true,
       data: updatedVehicle,
-      message: 'Vehicle created successfully'
+      vinCheck: vinCheck ? {
+        checkDigitValid: vinCheck.decoded.checkDigitValid,
+        filled: vinCheck.filled,
+        mismatches: vinCheck.mismatches,
+        errors: vinCheck.decoded.errors
+      } : undefined,
+      message: vinCheck && vinCheck.vinDecode.hasMismatch
+        ? 'Vehicle created successfully - VIN does not match the vehicle details, please review'
+        : 'Vehicle created successfully'
     });
   } catch (error) {
     console.error('Error creating vehicle:', error);
@@ -129,11 +146,15 @@ exports.createVehicle = async (req, res) => {
  */
 exports.getAllVehicles = async (req, res) => {
   try {
-    const { page = 1, limit = 50, status, search, startDate, endDate } = req.query;
+    const { page = 1, limit = 50, status, search, startDate, endDate, vinMismatch } = req.query;
 
     // Build query
     let query = { deleted: { $ne: true } }; // Exclude deleted vehicles
 
+    if (vinMismatch !== undefined) {
+      query['vinDecode.hasMismatch'] = vinMismatch === 'true' ? true : { $ne: true };
+    }
+
     if (status) {
       // Handle both single status and array of statuses
       if (Array.isArray(status)) {
@@ -343,6 +364,9 @@ exports.updateVehicle = async (req, res) => {
     const updateData = req.body;
     const vehicleId = req.params.id;
 
+    // Sync state is maintained by vosSyncService only
+    delete updateData.vosSync;
+
     // Add update metadata - handle external users from API key authentication
     if (req.authType === 'api-key' && req.externalUser) {
       updateData.externalUserId = req.externalUser.id;
@@ -401,9 +425,20 @@ exports.updateVehicle = async (req, res) => {
       }
     }
 
+    // Synced fields edited in PTG are no longer overwritten by VOS updates
+    let localEdits = [];
+    if (req.authType !== 'api-key') {
+      const currentVehicle = await Vehicle.findById(vehicleId);
+      if (vosSyncService.isVosLinked(currentVehicle)) {
+        localEdits = vosSyncService.getLocalEdits(currentVehicle, updateData);
+      }
+    }
+
     const vehicle = await Vehicle.findByIdAndUpdate(
       vehicleId,
-      updateData,
+      localEdits.length > 0
+        ? { ...updateData, $addToSet: { 'vosSync.localOverrides': { $each: localEdits } } }
+        : updateData,
       { new: true, runValidators: true }
     ).populate('createdBy', 'firstName lastName email')
      .populate('currentTransportJobId');
@@ -448,20 +483,65 @@ exports.importFromVOS = async (req, res) => {
   try {
     const vosTransportData = req.body;
 
-    // Validate required fields
-    if (!vosTransportData.vin || !vosTransportData.year || !vosTransportData.make || !vosTransportData.model) {
+    if (!vosTransportData.vin) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required vehicle information (VIN, year, make, model)'
+        error: 'Missing required vehicle information (VIN)'
       });
     }
 
-    // Check if vehicle with this VIN already exists
+    // Vehicle already in PTG - merge the VOS record into it instead of creating a new one
     const existingVehicle = await Vehicle.findOne({ vin: vosTransportData.vin.toUpperCase() });
-    if (existingVehicle) {
+    if (existingVehicle && existingVehicle.deleted) {
       return res.status(409).json({
         success: false,
-        error: `Vehicle with VIN ${vosTransportData.vin} already exists in PTG system`
+        error: `Vehicle with VIN ${vosTransportData.vin} was deleted in PTG system`
+      });
+    }
+    if (existingVehicle) {
+      const sync = vosSyncService.mergeVosUpdate(existingVehicle, vosTransportData);
+
+      if (!sync.skipped) {
+        await existingVehicle.save();
+
+        await AuditLog.create({
+          action: 'sync_vehicle_from_vos',
+          entityType: 'vehicle',
+          entityId: existingVehicle._id,
+          userId: req.user?._id && mongoose.Types.ObjectId.isValid(req.user._id) ? req.user._id : undefined,
+          details: {
+            vin: existingVehicle.vin,
+            vosTransportId: vosTransportData._id,
+            version: sync.version,
+            applied: sync.applied,
+            conflicts: sync.conflicts.map(conflict => conflict.field)
+          },
+          notes: `Synced vehicle ${existingVehicle.vin} from VOS: ${sync.applied.length} field(s) updated, ${sync.conflicts.length} conflict(s)`
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: existingVehicle,
+        sync,
+        message: sync.skipped
+          ? `Vehicle already up to date - ${sync.reason}`
+          : 'Vehicle updated from Central Dispatch'
+      });
+    }
+
+    // Fill missing year/make/model from the VIN and cross-check the ones VOS sent
+    const vinCheck = await vinDecoder.applyVinDecode(vosTransportData);
+
+    // Validate required fields
+    if (!vosTransportData.year || !vosTransportData.make || !vosTransportData.model) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required vehicle information (VIN, year, make, model) - could not decode the missing fields from the VIN',
+        vinCheck: {
+          filled: vinCheck.filled,
+          errors: vinCheck.decoded.errors
+        }
       });
     }
 
@@ -490,6 +570,12 @@ exports.importFromVOS = async (req, res) => {
       source: 'VOS_IMPORT',
       externalUserId: vosTransportData.createdBy?._id || vosTransportData.createdBy,
       externalUserEmail: vosTransportData.createdBy?.email,
+      vinDecode: vinCheck.vinDecode,
+      vosSync: {
+        vosTransportId: vosTransportData._id ? vosTransportData._id.toString() : undefined,
+        lastSyncedVersion: vosSyncService.getVosVersion(vosTransportData) ?? undefined,
+        lastInboundAt: new Date()
+      },
 
       // Add metadata - handle import context
       createdBy: req.user ? req.user._id : null
@@ -511,7 +597,9 @@ exports.importFromVOS = async (req, res) => {
         make: vehicleData.make,
         model: vehicleData.model,
         source: 'VOS_CENTRAL_DISPATCH',
-        vosTransportId: vosTransportData._id
+        vosTransportId: vosTransportData._id,
+        vinFilledFields: vinCheck.filled,
+        vinMismatches: vinCheck.mismatches
       },
       notes: `Imported vehicle ${vehicleData.vin} from VOS Central Dispatch`
     });
@@ -525,7 +613,15 @@ exports.importFromVOS = async (req, res) => {
     res.status(201).json({
       success: true,
       data: updatedVehicle,
-      message: 'Vehicle successfully imported from Central Dispatch'
+      vinCheck: {
+        checkDigitValid: vinCheck.decoded.checkDigitValid,
+        filled: vinCheck.filled,
+        mismatches: vinCheck.mismatches,
+        errors: vinCheck.decoded.errors
+      },
+      message: vinCheck.vinDecode.hasMismatch
+        ? 'Vehicle imported from Central Dispatch - VIN does not match the vehicle details, please review'
+        : 'Vehicle successfully imported from Central Dispatch'
     });
   } catch (error) {
     console.error('Error importing vehicle from VOS:', error);
@@ -536,6 +632,38 @@ exports.importFromVOS = async (req, res) => {
   }
 };
 
+/**
+ * Decode a VIN: check digit, manufacturer, make and model year (enriched by the configured provider)
+ * Query: enrich=false to skip the provider
+ */
+exports.decodeVin = async (req, res) => {
+  try {
+    const decoded = await vinDecoder.decodeVin(req.params.vin, { enrich: req.query.enrich !== 'false' });
+
+    if (!decoded.validFormat) {
+      return res.status(400).json({
+        success: false,
+        error: decoded.errors[0],
+        data: decoded
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...decoded,
+        provider: vinDecoder.getProviderName()
+      }
+    });
+  } catch (error) {
+    console.error('Error decoding VIN:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to decode VIN'
+    });
+  }
+};
+
 /**
  * Get all unique sources from vehicles
  */
@@ -0,0 +1,269 @@
+const Route = require('../models/Route');
+const TransportJob = require('../models/TransportJob');
+const VehicleInspection = require('../models/VehicleInspection');
+const AuditLog = require('../models/AuditLog');
+const routeTracker = require('../utils/routeTracker');
+const { compareInspections, getLatestInspections, applyComparison } = require('../utils/inspectionService');
+const { ROUTE_STOP_TYPE } = require('../constants/status');
+const { INSPECTION_TYPES } = require('../constants/vehicleInspection');
+
+/**
+ * Create or replace the vehicle inspection of a pickup/drop stop
+ * Body: { routeId, stopId, damages: [{ panel, damageType, severity, notes, photoUrls }], notes?, odometer?, currentLocation? }
+ */
+exports.saveStopInspection = async (req, res) => {
+  try {
+    const { routeId, stopId, damages = [], notes, odometer, currentLocation } = req.body;
+
+    if (!routeId || !stopId) {
+      return res.status(400).json({
+        success: false,
+        message: 'routeId and stopId are required'
+      });
+    }
+
+    if (!Array.isArray(damages)) {
+      return res.status(400).json({
+        success: false,
+        message: 'damages must be an array'
+      });
+    }
+
+    const route = await Route.findById(routeId).select('routeNumber driverId stops');
+
+    // Drivers can only inspect stops on their own routes
+    if (!route || (req.user.role === 'ptgDriver' && route.driverId?.toString() !== req.user._id.toString())) {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found or not assigned to you'
+      });
+    }
+
+    const stop = route.stops.find(entry => entry._id.toString() === stopId.toString());
+    if (!stop) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stop not found'
+      });
+    }
+
+    if (![ROUTE_STOP_TYPE.PICKUP, ROUTE_STOP_TYPE.DROP].includes(stop.stopType) || !stop.transportJobId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Inspections can only be recorded on pickup or drop stops'
+      });
+    }
+
+    const transportJob = await TransportJob.findById(stop.transportJobId).select('jobNumber loadType vehicleId');
+    if (!transportJob || transportJob.loadType !== 'vehicle') {
+      return res.status(400).json({
+        success: false,
+        message: 'Inspections are only recorded for vehicle transport jobs'
+      });
+    }
+
+    const inspectionType = stop.stopType === ROUTE_STOP_TYPE.PICKUP ? INSPECTION_TYPES.PICKUP : INSPECTION_TYPES.DELIVERY;
+
+    let inspection = await VehicleInspection.findOne({ routeId, stopId });
+    const isNew = !inspection;
+    if (isNew) {
+      inspection = new VehicleInspection({
+        inspectionType,
+        transportJobId: transportJob._id,
+        vehicleId: transportJob.vehicleId,
+        routeId,
+        stopId,
+        createdBy: req.user._id
+      });
+    }
+
+    inspection.damages = damages;
+    inspection.notes = notes;
+    inspection.odometer = odometer;
+    inspection.location = currentLocation;
+    inspection.inspectedBy = req.user._id;
+    inspection.inspectedAt = new Date();
+    inspection.lastUpdatedBy = req.user._id;
+
+    // Keep the delivery inspection's damage flag current with the latest pickup inspection
+    let comparison = null;
+    let deliveryInspection = null;
+    if (inspectionType === INSPECTION_TYPES.DELIVERY) {
+      const { pickup } = await getLatestInspections(transportJob._id);
+      comparison = applyComparison(inspection, pickup);
+      deliveryInspection = inspection;
+    } else {
+      const { delivery } = await getLatestInspections(transportJob._id);
+      if (delivery) {
+        comparison = applyComparison(delivery, inspection);
+        deliveryInspection = delivery;
+        await delivery.save();
+      }
+    }
+
+    await inspection.save();
+
+    const auditLog = await AuditLog.create({
+      action: isNew ? 'create_vehicle_inspection' : 'update_vehicle_inspection',
+      entityType: 'vehicleInspection',
+      entityId: inspection._id,
+      userId: req.user._id,
+      driverId: req.user.role === 'ptgDriver' ? req.user._id : undefined,
+      location: currentLocation,
+      routeId,
+      details: {
+        transportJobId: transportJob._id,
+        inspectionType,
+        stopId,
+        damageCount: inspection.damages.length,
+        newDamageCount: deliveryInspection ? deliveryInspection.newDamageCount : undefined
+      },
+      notes: `${isNew ? 'Recorded' : 'Updated'} ${inspectionType} inspection for transport job ${transportJob.jobNumber || transportJob._id}` +
+        (comparison && comparison.flaggedForClaim ? ` - new damage flagged for claim (${deliveryInspection.newDamageCount})` : '')
+    });
+
+    await routeTracker.addActionEntry(routeId, 'vehicle_inspection', currentLocation, auditLog._id, {
+      stopId,
+      stopType: stop.stopType,
+      inspectionType,
+      damageCount: inspection.damages.length
+    });
+
+    res.status(isNew ? 201 : 200).json({
+      success: true,
+      message: `Inspection ${isNew ? 'recorded' : 'updated'} successfully`,
+      data: {
+        inspection,
+        comparison
+      }
+    });
+  } catch (error) {
+    console.error('Error saving vehicle inspection:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message || 'Failed to save inspection',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get inspections (filter by transport job, vehicle, route or claim flag)
+ */
+exports.getInspections = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, transportJobId, vehicleId, routeId, inspectionType, flaggedForClaim } = req.query;
+
+    const query = {};
+    if (transportJobId) query.transportJobId = transportJobId;
+    if (vehicleId) query.vehicleId = vehicleId;
+    if (routeId) query.routeId = routeId;
+    if (inspectionType) query.inspectionType = inspectionType;
+    if (flaggedForClaim !== undefined) query.newDamageDetected = flaggedForClaim === 'true';
+
+    const inspections = await VehicleInspection.find(query)
+      .populate('transportJobId', 'jobNumber status')
+      .populate('vehicleId', 'vin year make model')
+      .populate('inspectedBy', 'firstName lastName email')
+      .sort({ inspectedAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await VehicleInspection.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        inspections,
+        pagination: {
+          page: parseInt(page),
+          pages: Math.ceil(total / parseInt(limit)),
+          total,
+          limit: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching inspections:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to fetch inspections',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get single inspection by ID
+ */
+exports.getInspectionById = async (req, res) => {
+  try {
+    const inspection = await VehicleInspection.findById(req.params.id)
+      .populate('transportJobId', 'jobNumber status')
+      .populate('vehicleId', 'vin year make model')
+      .populate('routeId', 'routeNumber driverId')
+      .populate('inspectedBy', 'firstName lastName email');
+
+    if (!inspection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Inspection not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        inspection
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching inspection:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to fetch inspection',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Compare the pickup and delivery inspections of a transport job and flag new damage
+ */
+exports.compareTransportJobInspections = async (req, res) => {
+  try {
+    const { transportJobId } = req.params;
+
+    const transportJob = await TransportJob.findById(transportJobId)
+      .select('jobNumber status vehicleId')
+      .populate('vehicleId', 'vin year make model');
+
+    if (!transportJob) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transport job not found'
+      });
+    }
+
+    const { pickup, delivery } = await getLatestInspections(transportJobId);
+    const comparison = pickup && delivery ? compareInspections(pickup, delivery) : null;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        transportJob,
+        pickupInspection: pickup,
+        deliveryInspection: delivery,
+        comparison,
+        missingInspections: [!pickup && INSPECTION_TYPES.PICKUP, !delivery && INSPECTION_TYPES.DELIVERY].filter(Boolean)
+      }
+    });
+  } catch (error) {
+    console.error('Error comparing inspections:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to compare inspections',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
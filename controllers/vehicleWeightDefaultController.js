@@ -0,0 +1,168 @@
+const VehicleWeightDefault = require('../models/VehicleWeightDefault');
+const AuditLog = require('../models/AuditLog');
+const { DEFAULT_VEHICLE_WEIGHT, MAKE_WEIGHTS, MODEL_WEIGHTS } = require('../constants/vehicleWeights');
+const { getVehicleWeight, loadWeightDefaults } = require('../utils/capacityService');
+
+// @desc    Get all configured vehicle weight defaults (plus built-in table)
+// @route   GET /api/vehicle-weight-defaults
+// @access  Private
+const getAllVehicleWeightDefaults = async (req, res) => {
+  try {
+    const { make } = req.query;
+    const query = make ? { make: make.toString().trim().toLowerCase() } : {};
+
+    const defaults = await VehicleWeightDefault.find(query)
+      .populate('lastUpdatedBy', 'firstName lastName email')
+      .sort({ make: 1, model: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        defaults,
+        builtIn: {
+          fallbackWeight: DEFAULT_VEHICLE_WEIGHT,
+          makes: MAKE_WEIGHTS,
+          models: MODEL_WEIGHTS
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get vehicle weight defaults error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Resolve the weight used for a make/model
+// @route   GET /api/vehicle-weight-defaults/resolve?make=&model=
+// @access  Private
+const resolveVehicleWeight = async (req, res) => {
+  try {
+    const { make, model } = req.query;
+
+    if (!make) {
+      return res.status(400).json({
+        success: false,
+        message: 'make is required'
+      });
+    }
+
+    const weightDefaults = await loadWeightDefaults();
+    const result = getVehicleWeight({ make, model }, weightDefaults);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Resolve vehicle weight error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Create or update the default weight for a make/model
+// @route   POST /api/vehicle-weight-defaults
+// @access  Private (Admin/Dispatcher)
+const upsertVehicleWeightDefault = async (req, res) => {
+  try {
+    const { make, model = '', weight, notes } = req.body;
+
+    if (!make || weight === undefined || weight === null || isNaN(parseFloat(weight)) || parseFloat(weight) < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'make and a non-negative weight are required'
+      });
+    }
+
+    const makeKey = make.toString().trim().toLowerCase();
+    const modelKey = model ? model.toString().trim().toLowerCase() : '';
+
+    let weightDefault = await VehicleWeightDefault.findOne({ make: makeKey, model: modelKey });
+    const isNew = !weightDefault;
+
+    if (isNew) {
+      weightDefault = new VehicleWeightDefault({
+        make: makeKey,
+        model: modelKey,
+        createdBy: req.user?._id
+      });
+    }
+
+    weightDefault.weight = parseFloat(weight);
+    if (notes !== undefined) {
+      weightDefault.notes = notes;
+    }
+    weightDefault.lastUpdatedBy = req.user?._id;
+    await weightDefault.save();
+
+    await AuditLog.create({
+      action: isNew ? 'create_vehicle_weight_default' : 'update_vehicle_weight_default',
+      entityType: 'vehicleWeightDefault',
+      entityId: weightDefault._id,
+      userId: req.user?._id,
+      details: { make: makeKey, model: modelKey, weight: weightDefault.weight },
+      notes: `${isNew ? 'Created' : 'Updated'} default weight for ${makeKey}${modelKey ? ` ${modelKey}` : ''}: ${weightDefault.weight} lbs`
+    });
+
+    res.status(isNew ? 201 : 200).json({
+      success: true,
+      message: `Vehicle weight default ${isNew ? 'created' : 'updated'} successfully`,
+      data: { weightDefault }
+    });
+  } catch (error) {
+    console.error('Upsert vehicle weight default error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Delete a vehicle weight default
+// @route   DELETE /api/vehicle-weight-defaults/:id
+// @access  Private (Admin)
+const deleteVehicleWeightDefault = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const weightDefault = await VehicleWeightDefault.findByIdAndDelete(id);
+
+    if (!weightDefault) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vehicle weight default not found'
+      });
+    }
+
+    await AuditLog.create({
+      action: 'delete_vehicle_weight_default',
+      entityType: 'vehicleWeightDefault',
+      entityId: id,
+      userId: req.user?._id,
+      notes: `Deleted default weight for ${weightDefault.make}${weightDefault.model ? ` ${weightDefault.model}` : ''}`
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Vehicle weight default deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete vehicle weight default error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  getAllVehicleWeightDefaults,
+  resolveVehicleWeight,
+  upsertVehicleWeightDefault,
+  deleteVehicleWeightDefault
+};
@@ -0,0 +1,247 @@
+const mongoose = require('mongoose');
+const Vehicle = require('../models/Vehicle');
+const VosOutboundMessage = require('../models/VosOutboundMessage');
+const AuditLog = require('../models/AuditLog');
+const vosSyncService = require('../utils/vosSyncService');
+const { VOS_OUTBOUND_MESSAGE_STATUS, VOS_CONFLICT_RESOLUTIONS } = require('../constants/vosSync');
+
+// API key (VOS) requests carry an external user ID that can't be stored as a PTG user reference
+const getAuditUserId = (req) =>
+  req.user?._id && mongoose.Types.ObjectId.isValid(req.user._id) ? req.user._id : undefined;
+
+/**
+ * Overall VOS sync status: outbound queue counts, recent failures and vehicles with open conflicts
+ */
+exports.getSyncStatus = async (req, res) => {
+  try {
+    const [messageCounts, failedMessages, conflictCount, lastInbound, lastOutbound] = await Promise.all([
+      VosOutboundMessage.aggregate([
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]),
+      VosOutboundMessage.find({ status: VOS_OUTBOUND_MESSAGE_STATUS.FAILED })
+        .select('-payload -attempts')
+        .sort({ updatedAt: -1 })
+        .limit(10),
+      Vehicle.countDocuments({ deleted: { $ne: true }, 'vosSync.conflicts.0': { $exists: true } }),
+      Vehicle.findOne({ 'vosSync.lastInboundAt': { $exists: true } })
+        .select('vin vosSync.lastInboundAt')
+        .sort({ 'vosSync.lastInboundAt': -1 }),
+      Vehicle.findOne({ 'vosSync.lastOutboundAt': { $exists: true } })
+        .select('vin vosSync.lastOutboundAt vosSync.lastOutboundStatus')
+        .sort({ 'vosSync.lastOutboundAt': -1 })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        outboundConfigured: vosSyncService.isOutboundConfigured(),
+        outboundQueue: Object.values(VOS_OUTBOUND_MESSAGE_STATUS).reduce((result, status) => ({
+          ...result,
+          [status]: messageCounts.find(entry => entry._id === status)?.count || 0
+        }), {}),
+        failedMessages,
+        vehiclesWithConflicts: conflictCount,
+        lastInboundAt: lastInbound?.vosSync?.lastInboundAt || null,
+        lastOutboundAt: lastOutbound?.vosSync?.lastOutboundAt || null
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching VOS sync status:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to fetch VOS sync status',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get outbound VOS messages (filter by status, vehicle or VIN)
+ */
+exports.getOutboundMessages = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status, vehicleId, vin } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (vehicleId) query.vehicleId = vehicleId;
+    if (vin) query.vin = vin.toUpperCase();
+
+    const messages = await VosOutboundMessage.find(query)
+      .populate('transportJobId', 'jobNumber status')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await VosOutboundMessage.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        messages,
+        pagination: {
+          page: parseInt(page),
+          pages: Math.ceil(total / parseInt(limit)),
+          total,
+          limit: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching VOS outbound messages:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to fetch VOS outbound messages',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Re-queue a failed outbound message and send it again
+ */
+exports.retryOutboundMessage = async (req, res) => {
+  try {
+    const message = await vosSyncService.retryMessage(req.params.messageId, getAuditUserId(req));
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'VOS outbound message not found'
+      });
+    }
+
+    await AuditLog.create({
+      action: 'retry_vos_outbound_message',
+      entityType: 'vosOutboundMessage',
+      entityId: message._id,
+      userId: getAuditUserId(req),
+      details: { vehicleId: message.vehicleId, vin: message.vin, vosStatus: message.vosStatus, status: message.status },
+      notes: `Retried VOS ${message.vosStatus} update for vehicle ${message.vin}`
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `VOS update retried (${message.status})`,
+      data: {
+        message
+      }
+    });
+  } catch (error) {
+    console.error('Error retrying VOS outbound message:', error);
+    res.status(error.message?.startsWith('Only failed') ? 400 : 500).json({
+      success: false,
+      message: error.message || 'Failed to retry VOS outbound message',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Sync state of one vehicle with its recent outbound messages
+ */
+exports.getVehicleSyncStatus = async (req, res) => {
+  try {
+    const vehicle = await Vehicle.findById(req.params.id)
+      .select('vin year make model status source externalUserId externalUserEmail vosSync');
+
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vehicle not found'
+      });
+    }
+
+    const messages = await VosOutboundMessage.find({ vehicleId: vehicle._id })
+      .select('-payload')
+      .populate('transportJobId', 'jobNumber status')
+      .sort({ createdAt: -1 })
+      .limit(20);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        vehicle,
+        vosLinked: vosSyncService.isVosLinked(vehicle),
+        pendingOutbound: messages.filter(message =>
+          [VOS_OUTBOUND_MESSAGE_STATUS.PENDING, VOS_OUTBOUND_MESSAGE_STATUS.RETRYING].includes(message.status)
+        ).length,
+        messages
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching vehicle VOS sync status:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to fetch vehicle VOS sync status',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Resolve a sync conflict on a vehicle
+ * Body: { field, resolution: 'use_vos' | 'keep_ptg' }
+ * use_vos applies the VOS value and lets VOS update the field again; keep_ptg keeps the PTG value
+ */
+exports.resolveConflict = async (req, res) => {
+  try {
+    const { field, resolution } = req.body;
+
+    if (!field || !Object.values(VOS_CONFLICT_RESOLUTIONS).includes(resolution)) {
+      return res.status(400).json({
+        success: false,
+        message: `field and resolution (${Object.values(VOS_CONFLICT_RESOLUTIONS).join(', ')}) are required`
+      });
+    }
+
+    const vehicle = await Vehicle.findById(req.params.id);
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vehicle not found'
+      });
+    }
+
+    const conflict = (vehicle.vosSync?.conflicts || []).find(entry => entry.field === field);
+    if (!conflict) {
+      return res.status(404).json({
+        success: false,
+        message: `No open VOS conflict for ${field}`
+      });
+    }
+
+    if (resolution === VOS_CONFLICT_RESOLUTIONS.USE_VOS) {
+      vehicle[field] = conflict.vosValue;
+      vehicle.vosSync.localOverrides = vehicle.vosSync.localOverrides.filter(entry => entry !== field);
+    } else if (!vehicle.vosSync.localOverrides.includes(field)) {
+      vehicle.vosSync.localOverrides.push(field);
+    }
+    vehicle.vosSync.conflicts = vehicle.vosSync.conflicts.filter(entry => entry.field !== field);
+    await vehicle.save();
+
+    await AuditLog.create({
+      action: 'resolve_vos_sync_conflict',
+      entityType: 'vehicle',
+      entityId: vehicle._id,
+      userId: getAuditUserId(req),
+      details: { field, resolution, vosValue: conflict.vosValue, ptgValue: conflict.ptgValue },
+      notes: `Resolved VOS conflict on ${field} for vehicle ${vehicle.vin} (${resolution})`
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Conflict resolved successfully',
+      data: {
+        vosSync: vehicle.vosSync
+      }
+    });
+  } catch (error) {
+    console.error('Error resolving VOS sync conflict:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message || 'Failed to resolve VOS sync conflict',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -0,0 +1,428 @@
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const AuditLog = require('../models/AuditLog');
+const { generateSecret, replayDelivery } = require('../utils/webhookService');
+const { WEBHOOK_EVENTS, WEBHOOK_ALL_EVENTS } = require('../constants/webhooks');
+
+const VALID_EVENTS = [...Object.values(WEBHOOK_EVENTS), WEBHOOK_ALL_EVENTS];
+
+const validateEvents = (events) => {
+  if (!Array.isArray(events) || events.length === 0) {
+    return 'events must be a non-empty array';
+  }
+  const invalid = events.filter(event => !VALID_EVENTS.includes(event));
+  if (invalid.length > 0) {
+    return `Unknown events: ${invalid.join(', ')}. Valid events: ${VALID_EVENTS.join(', ')}`;
+  }
+  return null;
+};
+
+/**
+ * List the events endpoints can subscribe to
+ */
+exports.getWebhookEvents = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      events: Object.values(WEBHOOK_EVENTS),
+      allEvents: WEBHOOK_ALL_EVENTS
+    }
+  });
+};
+
+/**
+ * Get all webhook endpoints
+ */
+exports.getEndpoints = async (req, res) => {
+  try {
+    const endpoints = await WebhookEndpoint.find({})
+      .populate('createdBy', 'firstName lastName email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        endpoints
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching webhook endpoints:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to fetch webhook endpoints',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get single webhook endpoint with its delivery counts
+ */
+exports.getEndpointById = async (req, res) => {
+  try {
+    const endpoint = await WebhookEndpoint.findById(req.params.id)
+      .populate('createdBy', 'firstName lastName email')
+      .populate('lastUpdatedBy', 'firstName lastName email');
+
+    if (!endpoint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook endpoint not found'
+      });
+    }
+
+    const counts = await WebhookDelivery.aggregate([
+      { $match: { endpointId: endpoint._id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        endpoint,
+        deliveryCounts: counts.reduce((result, entry) => ({ ...result, [entry._id]: entry.count }), {})
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching webhook endpoint:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to fetch webhook endpoint',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Register a webhook endpoint; the signing secret is only returned in this response
+ * Body: { name, url, events, description?, headers?, maxAttempts?, active? }
+ */
+exports.createEndpoint = async (req, res) => {
+  try {
+    const { name, url, events, description, headers, maxAttempts, active } = req.body;
+
+    if (!name || !url) {
+      return res.status(400).json({
+        success: false,
+        message: 'name and url are required'
+      });
+    }
+
+    const eventsError = validateEvents(events);
+    if (eventsError) {
+      return res.status(400).json({
+        success: false,
+        message: eventsError
+      });
+    }
+
+    const secret = generateSecret();
+    const endpoint = await WebhookEndpoint.create({
+      name,
+      url,
+      events,
+      description,
+      headers,
+      maxAttempts,
+      active,
+      secret,
+      createdBy: req.user._id,
+      lastUpdatedBy: req.user._id
+    });
+
+    await AuditLog.create({
+      action: 'create_webhook_endpoint',
+      entityType: 'webhookEndpoint',
+      entityId: endpoint._id,
+      userId: req.user._id,
+      details: { name, url, events },
+      notes: `Registered webhook endpoint ${name} (${url})`
+    });
+
+    const response = endpoint.toObject();
+    delete response.secret;
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook endpoint created successfully. Store the secret now - it will not be shown again.',
+      data: {
+        endpoint: response,
+        secret
+      }
+    });
+  } catch (error) {
+    console.error('Error creating webhook endpoint:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message || 'Failed to create webhook endpoint',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update a webhook endpoint
+ * Body: { name?, url?, events?, description?, headers?, maxAttempts?, active? }
+ */
+exports.updateEndpoint = async (req, res) => {
+  try {
+    const { name, url, events, description, headers, maxAttempts, active } = req.body;
+
+    if (events !== undefined) {
+      const eventsError = validateEvents(events);
+      if (eventsError) {
+        return res.status(400).json({
+          success: false,
+          message: eventsError
+        });
+      }
+    }
+
+    const endpoint = await WebhookEndpoint.findById(req.params.id);
+
+    if (!endpoint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook endpoint not found'
+      });
+    }
+
+    const updates = { name, url, events, description, headers, maxAttempts, active };
+    Object.keys(updates).forEach(key => {
+      if (updates[key] !== undefined) {
+        endpoint[key] = updates[key];
+      }
+    });
+    // Re-enabling an endpoint starts a fresh failure count
+    if (active === true) endpoint.consecutiveFailures = 0;
+    endpoint.lastUpdatedBy = req.user._id;
+    await endpoint.save();
+
+    await AuditLog.create({
+      action: 'update_webhook_endpoint',
+      entityType: 'webhookEndpoint',
+      entityId: endpoint._id,
+      userId: req.user._id,
+      details: req.body,
+      notes: `Updated webhook endpoint ${endpoint.name}`
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook endpoint updated successfully',
+      data: {
+        endpoint
+      }
+    });
+  } catch (error) {
+    console.error('Error updating webhook endpoint:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message || 'Failed to update webhook endpoint',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Generate a new signing secret for an endpoint (returned once)
+ */
+exports.rotateEndpointSecret = async (req, res) => {
+  try {
+    const endpoint = await WebhookEndpoint.findById(req.params.id);
+
+    if (!endpoint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook endpoint not found'
+      });
+    }
+
+    const secret = generateSecret();
+    endpoint.secret = secret;
+    endpoint.lastUpdatedBy = req.user._id;
+    await endpoint.save();
+
+    await AuditLog.create({
+      action: 'update_webhook_endpoint',
+      entityType: 'webhookEndpoint',
+      entityId: endpoint._id,
+      userId: req.user._id,
+      details: { secretRotated: true },
+      notes: `Rotated signing secret of webhook endpoint ${endpoint.name}`
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook secret rotated successfully. Store the secret now - it will not be shown again.',
+      data: {
+        secret
+      }
+    });
+  } catch (error) {
+    console.error('Error rotating webhook secret:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to rotate webhook secret',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Delete a webhook endpoint (its delivery logs are kept)
+ */
+exports.deleteEndpoint = async (req, res) => {
+  try {
+    const endpoint = await WebhookEndpoint.findByIdAndDelete(req.params.id);
+
+    if (!endpoint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook endpoint not found'
+      });
+    }
+
+    await AuditLog.create({
+      action: 'delete_webhook_endpoint',
+      entityType: 'webhookEndpoint',
+      entityId: endpoint._id,
+      userId: req.user._id,
+      details: { name: endpoint.name, url: endpoint.url },
+      notes: `Deleted webhook endpoint ${endpoint.name}`
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook endpoint deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting webhook endpoint:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to delete webhook endpoint',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get webhook delivery logs (filter by endpoint, event, status, date range)
+ */
+exports.getDeliveries = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, endpointId, event, eventId, status, startDate, endDate } = req.query;
+
+    const query = {};
+    if (endpointId) query.endpointId = endpointId;
+    if (event) query.event = event;
+    if (eventId) query.eventId = eventId;
+    if (status) query.status = status;
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const deliveries = await WebhookDelivery.find(query)
+      .select('-payload -attempts.responseBody')
+      .populate('endpointId', 'name url')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await WebhookDelivery.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        deliveries,
+        pagination: {
+          page: parseInt(page),
+          pages: Math.ceil(total / parseInt(limit)),
+          total,
+          limit: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to fetch webhook deliveries',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get single webhook delivery with payload and attempt log
+ */
+exports.getDeliveryById = async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findById(req.params.id)
+      .populate('endpointId', 'name url')
+      .populate('replayedBy', 'firstName lastName email');
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook delivery not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        delivery
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching webhook delivery:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to fetch webhook delivery',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Replay a delivery: sends the same event again as a new delivery
+ */
+exports.replayDelivery = async (req, res) => {
+  try {
+    const replay = await replayDelivery(req.params.id, req.user._id);
+
+    if (!replay) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook delivery not found'
+      });
+    }
+
+    await AuditLog.create({
+      action: 'replay_webhook_delivery',
+      entityType: 'webhookDelivery',
+      entityId: replay._id,
+      userId: req.user._id,
+      details: { replayOf: req.params.id, event: replay.event, status: replay.status },
+      notes: `Replayed webhook ${replay.event} delivery ${req.params.id}`
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Webhook replayed (${replay.status})`,
+      data: {
+        delivery: replay
+      }
+    });
+  } catch (error) {
+    console.error('Error replaying webhook delivery:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to replay webhook delivery',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -6,6 +6,12 @@ const connectDB = require('./config/database');
 // Load environment variables
 dotenv.config();
 
+// Background services read their settings from the environment when loaded, so require them after dotenv
+const webhookService = require('./utils/webhookService');
+const vosSyncService = require('./utils/vosSyncService');
+const complianceService = require('./utils/complianceService');
+const { checkOrganizationMigration, requireOrganizationMigration } = require('./middleware/organizationMigration');
+
 // Connect to MongoDB
 connectDB();
 
@@ -29,7 +35,7 @@ const corsOptions = {
   ].filter(Boolean), // Remove undefined values
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Organization-Id'],
   exposedHeaders: ['Content-Range', 'X-Content-Range']
 };
 
@@ -37,6 +43,9 @@ app.use(cors(corsOptions));
 app.use(express.json({ limit: '50mb' })); // Increase limit for base64 images
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
+// Existing data must be assigned to an organization before the API serves requests
+app.use(requireOrganizationMigration);
+
 // Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/vehicles', require('./routes/vehicle'));
@@ -54,6 +63,20 @@ app.use('/api/reports', require('./routes/report'));
 app.use('/api/vehicle-profit-calculations', require('./routes/vehicleProfitCalculation'));
 app.use('/api/shippers', require('./routes/shipper'));
 app.use('/api/loads', require('./routes/load'));
+app.use('/api/vehicle-weight-defaults', require('./routes/vehicleWeightDefault'));
+app.use('/api/tracking', require('./routes/tracking'));
+app.use('/api/invoices', require('./routes/invoice'));
+app.use('/api/settlements', require('./routes/driverSettlement'));
+app.use('/api/inspections', require('./routes/vehicleInspection'));
+app.use('/api/webhooks', require('./routes/webhook'));
+app.use('/api/hos', require('./routes/hos'));
+app.use('/api/dvirs', require('./routes/truckInspection'));
+app.use('/api/maintenance', require('./routes/maintenance'));
+app.use('/api/compliance', require('./routes/compliance'));
+app.use('/api/fuel-cards', require('./routes/fuelCard'));
+app.use('/api/quotes', require('./routes/quote'));
+app.use('/api/dispatch-board', require('./routes/dispatchBoard'));
+app.use('/api/organizations', require('./routes/organization'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -95,4 +118,13 @@ const PORT = process.env.PORT || 8000;
 
 app.listen(PORT, () => {
   console.log(`PTG Server running on port ${PORT}`);
+
+  checkOrganizationMigration().catch(error => {
+    console.error('Error checking organization migration:', error);
+  });
+
+  // Retry failed webhook deliveries in the background
+  webhookService.startRetryWorker();
+  vosSyncService.startOutboundWorker();
+  complianceService.startExpiryWorker();
 });
@@ -1,5 +1,17 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const organizationService = require('../utils/organizationService');
+const tenantContext = require('../utils/tenantContext');
+const { ORGANIZATION_HEADER } = require('../constants/organization');
+
+// Signed-in user, whatever organization the request is currently scoped to
+const findTokenUser = (id) => tenantContext.runUnscoped(async () => User.findById(id).select('-password'));
+
+// Run the rest of the request within an organization; scoped models only see its data
+const enterOrganization = (req, organization, next) => {
+  req.organization = organization;
+  tenantContext.runWithOrganization(organization._id, next);
+};
 
 // Protect routes - require authentication
 const protect = async (req, res, next) => {
@@ -22,8 +34,8 @@ const protect = async (req, res, next) => {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-      // Get user from token
-      req.user = await User.findById(decoded.id).select('-password');
+      // Get user from token (users are looked up across organizations; see enterOrganization)
+      req.user = await findTokenUser(decoded.id);
 
       if (!req.user) {
         return res.status(401).json({
@@ -33,7 +45,19 @@ const protect = async (req, res, next) => {
         });
       }
 
-      next();
+      const { organization, error, code } = await organizationService.resolveUserOrganization(
+        req.user,
+        req.get(ORGANIZATION_HEADER)
+      );
+      if (error) {
+        return res.status(403).json({
+          success: false,
+          message: error,
+          code
+        });
+      }
+
+      enterOrganization(req, organization, next);
     } catch (error) {
       // Check if token is expired
       if (error.name === 'TokenExpiredError') {
@@ -88,9 +112,16 @@ const optionalAuth = async (req, res, next) => {
     if (token) {
       try {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = await User.findById(decoded.id).select('-password');
+        req.user = await findTokenUser(decoded.id);
         req.authType = 'jwt';
-        return next();
+        const { organization } = req.user
+          ? await organizationService.resolveUserOrganization(req.user, req.get(ORGANIZATION_HEADER))
+          : {};
+        if (organization) {
+          return enterOrganization(req, organization, next);
+        }
+        // User or organization not usable; continue as unauthenticated
+        req.user = null;
       } catch (error) {
         // Token is invalid but we don't fail the request
         req.user = null;
@@ -128,7 +159,9 @@ const optionalAuth = async (req, res, next) => {
           email: externalUserEmail,
           name: externalUserName
         };
-        return next();
+        // API keys belong to the default organization
+        const organization = await organizationService.findPublicOrganization();
+        return organization ? enterOrganization(req, organization, next) : next();
       } else {
         console.warn('Invalid API key attempt:', apiKey.substring(0, 8) + '...');
       }
@@ -137,7 +170,8 @@ const optionalAuth = async (req, res, next) => {
     // No valid authentication found
     req.user = null;
     req.authType = 'none';
-    next();
+    const organization = await organizationService.findPublicOrganization();
+    return organization ? enterOrganization(req, organization, next) : next();
   } catch (error) {
     console.error('Optional auth error:', error);
     req.user = null;
@@ -146,6 +180,48 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Public endpoints of one organization, chosen by slug (?organization= or body.organization);
+// the default organization when none is given
+const publicOrganization = async (req, res, next) => {
+  try {
+    const slug = req.query.organization || req.body?.organization;
+    const organization = await organizationService.findPublicOrganization(slug);
+
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found',
+        code: 'ORGANIZATION_NOT_FOUND'
+      });
+    }
+
+    enterOrganization(req, organization, next);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// Check if user is a super admin (platform operator managing organizations)
+const requireSuperAdmin = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized to access this resource'
+    });
+  }
+
+  if (!req.user.isSuperAdmin) {
+    return res.status(403).json({
+      success: false,
+      message: 'Super admin access required'
+    });
+  }
+
+  next();
+};
 
 // Check if user is PTG Admin
 const isPTG_Admin = (req, res, next) => {
@@ -228,6 +304,8 @@ const authorizeRoles = (...roles) => {
 module.exports = {
   protect,
   optionalAuth,
+  publicOrganization,
+  requireSuperAdmin,
   isPTG_Admin,
   isPTG_Dispatcher,
   isPTG_Driver,
@@ -0,0 +1,66 @@
+const organizationService = require('../utils/organizationService');
+
+// How often a pending migration is checked again, so running it doesn't need a restart
+const RECHECK_INTERVAL_MS = parseInt(process.env.ORGANIZATION_MIGRATION_RECHECK_MS) || 60 * 1000;
+
+// Endpoints that keep working while the migration is pending
+const ALWAYS_AVAILABLE_PATHS = ['/api/health', '/api/test'];
+
+let pendingCounts = null; // null until checked, false once everything belongs to an organization
+let lastCheckedAt = 0;
+let runningCheck = null;
+
+/**
+ * Make sure the default organization exists and look for data not yet assigned to an organization
+ * (existing data must be moved into the default organization with npm run migrate:organizations)
+ * @returns {Promise<Object|false>} Unassigned document counts by model, or false
+ */
+async function checkOrganizationMigration() {
+  await organizationService.getDefaultOrganization({ create: true });
+
+  const counts = await organizationService.getUnmigratedCounts();
+  pendingCounts = Object.keys(counts).length > 0 ? counts : false;
+  lastCheckedAt = Date.now();
+
+  if (pendingCounts) {
+    const summary = Object.entries(pendingCounts).map(([modelName, count]) => `${modelName}: ${count}`).join(', ');
+    console.error(`❌ Data without an organization (${summary}). API requests are refused until you run: npm run migrate:organizations`);
+  }
+  return pendingCounts;
+}
+
+// Refuse API requests (503) while existing data has not been assigned to an organization; without this,
+// unmigrated users get 403s and scoped queries silently return nothing
+const requireOrganizationMigration = async (req, res, next) => {
+  if (pendingCounts === false || ALWAYS_AVAILABLE_PATHS.includes(req.path)) {
+    return next();
+  }
+
+  try {
+    if (Date.now() - lastCheckedAt >= RECHECK_INTERVAL_MS) {
+      runningCheck = runningCheck || checkOrganizationMigration().finally(() => {
+        runningCheck = null;
+      });
+      await runningCheck;
+    }
+  } catch (error) {
+    // Don't block requests on a failed check; try again after the interval
+    console.error('Error checking organization migration:', error);
+    lastCheckedAt = Date.now();
+  }
+
+  if (pendingCounts) {
+    return res.status(503).json({
+      success: false,
+      message: 'Existing data has not been assigned to an organization yet. Run npm run migrate:organizations.',
+      code: 'ORGANIZATION_MIGRATION_REQUIRED'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  checkOrganizationMigration,
+  requireOrganizationMigration
+};
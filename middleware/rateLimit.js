@@ -0,0 +1,46 @@
+// Fixed-window, per-client request limits kept in memory (per process)
+
+/**
+ * Create a middleware that allows at most `max` requests per client IP in each window
+ * and answers 429 with a Retry-After header beyond that
+ * @param {Object} options - { windowMs, max, message }
+ */
+const rateLimit = ({ windowMs, max, message = 'Too many requests, please try again later' }) => {
+  const clients = new Map();
+  let nextCleanupAt = Date.now() + windowMs;
+
+  return (req, res, next) => {
+    const now = Date.now();
+
+    // Forget clients whose window has ended so the map doesn't grow without bound
+    if (now >= nextCleanupAt) {
+      clients.forEach((client, key) => {
+        if (client.resetAt <= now) clients.delete(key);
+      });
+      nextCleanupAt = now + windowMs;
+    }
+
+    const key = req.ip || req.socket?.remoteAddress || 'unknown';
+    let client = clients.get(key);
+    if (!client || client.resetAt <= now) {
+      client = { count: 0, resetAt: now + windowMs };
+      clients.set(key, client);
+    }
+    client.count += 1;
+
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(0, max - client.count)));
+
+    if (client.count > max) {
+      res.set('Retry-After', String(Math.ceil((client.resetAt - now) / 1000)));
+      return res.status(429).json({
+        success: false,
+        message
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = { rateLimit };
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const organizationScope = require('./organizationScope');
 
 const auditLogSchema = new mongoose.Schema({
   action: {
@@ -6,7 +7,9 @@ const auditLogSchema = new mongoose.Schema({
     enum: [
       // Route actions
       'start_route', 'stop_route', 'resume_route', 'complete_route', 'create_route', 'update_route', 'delete_route',
-      'remove_transport_job_from_route',
+      'remove_transport_job_from_route', 'optimize_route', 'add_backhaul_to_route',
+      // Dispatch board actions
+      'move_transport_job', 'assign_transport_job', 'split_route',
       // Photo and file actions
       'upload_vehicle_photo', 'upload_stop_photo', 'upload_file', 'delete_file',
       // Checklist and report actions
@@ -15,16 +18,51 @@ const auditLogSchema = new mongoose.Schema({
       'add_fuel_expense', 'add_maintenance_expense', 'add_expense',
       // Transport job actions
       'create_transport_job', 'update_transport_job', 'delete_transport_job',
+      'create_tracking_link', 'revoke_tracking_link', 'capture_bol_signature', 'generate_bill_of_lading',
+      // Vehicle inspection actions
+      'create_vehicle_inspection', 'update_vehicle_inspection',
       // Vehicle actions
       'create_vehicle', 'update_vehicle', 'delete_vehicle', 'import_vehicle',
       // Load actions
       'create_load', 'update_load', 'delete_load',
       // Vehicle Profit Calculation actions
       'create_vehicle_profit_calculation', 'update_vehicle_profit_calculation', 'delete_vehicle_profit_calculation',
+      // Vehicle weight default actions
+      'create_vehicle_weight_default', 'update_vehicle_weight_default', 'delete_vehicle_weight_default',
+      // Invoice actions
+      'create_invoice', 'update_invoice', 'send_invoice', 'record_invoice_payment', 'delete_invoice_payment',
+      'void_invoice', 'delete_invoice',
+      // Driver pay and settlement actions
+      'update_driver_pay_profile', 'create_driver_settlement', 'update_driver_settlement', 'submit_driver_settlement',
+      'approve_driver_settlement', 'reject_driver_settlement', 'pay_driver_settlement', 'delete_driver_settlement',
+      // Webhook actions
+      'create_webhook_endpoint', 'update_webhook_endpoint', 'delete_webhook_endpoint', 'replay_webhook_delivery',
+      // Bulk import actions
+      'bulk_import_vehicles', 'bulk_import_loads',
+      // Fuel card actions
+      'import_fuel_card_transactions',
+      // VOS sync actions
+      'sync_vehicle_from_vos', 'resolve_vos_sync_conflict', 'retry_vos_outbound_message',
+      // ETA actions
+      'eta_late_alert',
+      // Geofence actions
+      'geofence_arrival', 'geofence_departure',
+      // Hours of service actions
+      'change_duty_status', 'override_hos_limits',
+      // Truck inspection (DVIR) actions
+      'create_truck_inspection', 'certify_truck_inspection',
+      // Maintenance plan actions
+      'create_maintenance_plan', 'update_maintenance_plan', 'delete_maintenance_plan',
+      // Compliance document actions
+      'add_compliance_document', 'update_compliance_document', 'delete_compliance_document', 'compliance_expiry_warning',
+      // Quote actions
+      'create_rate_table', 'update_rate_table', 'create_quote', 'accept_quote', 'decline_quote',
       // Calendar actions
       'create_calendar_event', 'update_calendar_event', 'delete_calendar_event',
       // User management actions
       'create_user', 'update_user', 'update_user_role', 'delete_user',
+      // Organization actions
+      'create_organization', 'update_organization',
       // Shipper actions
       'create_shipper', 'update_shipper', 'delete_shipper',
       // Authentication actions
@@ -44,7 +82,7 @@ const auditLogSchema = new mongoose.Schema({
 
   entityType: {
     type: String,
-    enum: ['route', 'transportJob', 'vehicle', 'load', 'truck', 'expense', 'user', 'file', 'location', 'calendarEvent', 'vehicleProfitCalculation', 'shipper', 'error']
+    enum: ['route', 'transportJob', 'vehicle', 'load', 'truck', 'expense', 'user', 'file', 'location', 'calendarEvent', 'vehicleProfitCalculation', 'shipper', 'vehicleWeightDefault', 'invoice', 'driverPayProfile', 'driverSettlement', 'vehicleInspection', 'webhookEndpoint', 'webhookDelivery', 'vosOutboundMessage', 'dutyStatusLog', 'truckInspection', 'maintenancePlan', 'fuelCardTransaction', 'rateTable', 'quote', 'organization', 'error']
   },
 
   entityId: {
@@ -102,4 +140,6 @@ auditLogSchema.pre('save', function(next) {
   next();
 });
 
+auditLogSchema.plugin(organizationScope);
+
 module.exports = mongoose.model('AuditLog', auditLogSchema);
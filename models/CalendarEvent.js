@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const organizationScope = require('./organizationScope');
 
 const calendarEventSchema = new mongoose.Schema({
   // Event Identity
@@ -90,4 +91,6 @@ calendarEventSchema.index({ vehicleId: 1 });
 calendarEventSchema.index({ startDate: 1, endDate: 1 });
 calendarEventSchema.index({ status: 1 });
 
+calendarEventSchema.plugin(organizationScope);
+
 module.exports = mongoose.model('CalendarEvent', calendarEventSchema);
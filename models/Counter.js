@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Atomic sequence for document numbers (invoices, quotes, settlements). The key carries the
+// organization, so counters are not organization-scoped themselves.
+const counterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Next value of a sequence
+ * @param {string} key - Sequence key, e.g. invoice:<organizationId>:20250101
+ * @param {Function} getStartValue - Async; the last value already used when the sequence is first created
+ *   (so numbers issued before the counter existed are not reissued)
+ * @returns {Promise<number>}
+ */
+counterSchema.statics.nextSequence = async function(key, getStartValue = async () => 0) {
+  const counter = await this.findOneAndUpdate({ key }, { $inc: { seq: 1 } }, { new: true });
+  if (counter) return counter.seq;
+
+  const start = await getStartValue();
+  try {
+    const created = await this.create({ key, seq: start + 1 });
+    return created.seq;
+  } catch (error) {
+    // Another request created the sequence first
+    if (error.code === 11000) return this.nextSequence(key, getStartValue);
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const organizationScope = require('./organizationScope');
+
+const EXPENSE_TYPES = ['fuel', 'maintenance', 'hotel', 'meal', 'toll', 'parking', 'other'];
+
+const driverPayProfileSchema = new mongoose.Schema({
+  // One pay profile per driver
+  driverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Pay rule
+  payType: {
+    type: String,
+    enum: ['per_mile', 'per_load', 'percentage', 'hourly'],
+    required: true
+  },
+  // $ per mile, $ per load, % of carrierPayment or $ per hour depending on payType
+  rate: {
+    type: Number,
+    min: 0,
+    required: true
+  },
+  // Which mileage to pay per-mile drivers on
+  mileageSource: {
+    type: String,
+    enum: ['actual', 'planned'],
+    default: 'actual' // Falls back to planned distance when no actual distance was tracked
+  },
+  // Guaranteed minimum per completed route (0 = none)
+  minimumPerRoute: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  // Default settlement treatment for expenses without an explicit settlementTreatment
+  reimbursableExpenseTypes: [{
+    type: String,
+    enum: EXPENSE_TYPES
+  }],
+  chargeableExpenseTypes: [{
+    type: String,
+    enum: EXPENSE_TYPES
+  }],
+
+  effectiveFrom: {
+    type: Date,
+    default: Date.now
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+
+  notes: {
+    type: String,
+    trim: true
+  },
+
+  // Audit Trail
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastUpdatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+driverPayProfileSchema.index({ driverId: 1 }, { unique: true });
+
+driverPayProfileSchema.plugin(organizationScope);
+
+module.exports = mongoose.model('DriverPayProfile', driverPayProfileSchema);
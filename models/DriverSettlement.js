@@ -0,0 +1,216 @@
+const mongoose = require('mongoose');
+const { SETTLEMENT_STATUS } = require('../constants/status');
+const Counter = require('./Counter');
+const organizationScope = require('./organizationScope');
+
+const roundCurrency = (value) => Math.round((value || 0) * 100) / 100;
+
+const settlementExpenseSchema = new mongoose.Schema({
+  expenseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expense'
+  },
+  routeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route'
+  },
+  type: { type: String },
+  category: String,
+  description: String,
+  date: Date,
+  amount: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+const driverSettlementSchema = new mongoose.Schema({
+  // Settlement Identification
+  settlementNumber: {
+    type: String,
+    trim: true
+  },
+
+  driverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Pay period
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+
+  // Pay rule used (snapshot of the driver's pay profile at generation time)
+  payProfile: {
+    payProfileId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DriverPayProfile'
+    },
+    payType: String,
+    rate: Number,
+    mileageSource: String,
+    minimumPerRoute: Number
+  },
+
+  // Completed routes paid in this settlement
+  routes: [{
+    routeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Route'
+    },
+    routeNumber: String,
+    completedAt: Date,
+    miles: Number,
+    loads: Number,
+    hours: Number,
+    revenue: Number, // carrierPayment of jobs delivered on the route
+    quantity: Number, // Units the rate was applied to (miles, loads, $ revenue or hours)
+    amount: {
+      type: Number,
+      required: true
+    }
+  }],
+
+  // Expenses paid by the driver (added) and charged back to the driver (deducted)
+  reimbursements: [settlementExpenseSchema],
+  deductions: [settlementExpenseSchema],
+
+  // Manual adjustments (bonuses are positive, advances/other deductions negative)
+  adjustments: [{
+    description: {
+      type: String,
+      trim: true,
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+
+  // Totals (calculated on save)
+  grossPay: {
+    type: Number,
+    default: 0
+  },
+  totalReimbursements: {
+    type: Number,
+    default: 0
+  },
+  totalDeductions: {
+    type: Number,
+    default: 0
+  },
+  totalAdjustments: {
+    type: Number,
+    default: 0
+  },
+  netPay: {
+    type: Number,
+    default: 0
+  },
+
+  // Approval workflow
+  status: {
+    type: String,
+    enum: Object.values(SETTLEMENT_STATUS),
+    default: SETTLEMENT_STATUS.DRAFT
+  },
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  submittedAt: Date,
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: Date,
+  rejectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  rejectedAt: Date,
+  rejectionReason: {
+    type: String,
+    trim: true
+  },
+  paidAt: Date,
+  paymentReference: {
+    type: String,
+    trim: true
+  },
+
+  notes: {
+    type: String,
+    trim: true
+  },
+
+  // Audit Trail
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastUpdatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+// Numbers are unique within an organization (different carriers have their own sequences)
+driverSettlementSchema.index({ organizationId: 1, settlementNumber: 1 }, { unique: true });
+driverSettlementSchema.index({ driverId: 1, periodStart: -1 });
+driverSettlementSchema.index({ status: 1 });
+driverSettlementSchema.index({ 'routes.routeId': 1 });
+driverSettlementSchema.index({ 'reimbursements.expenseId': 1 });
+driverSettlementSchema.index({ 'deductions.expenseId': 1 });
+
+/**
+ * Recalculate gross pay, expense totals, adjustments and net pay
+ */
+driverSettlementSchema.methods.recalculateTotals = function() {
+  const sum = (items) => items.reduce((total, item) => total + (item.amount || 0), 0);
+
+  this.grossPay = roundCurrency(sum(this.routes));
+  this.totalReimbursements = roundCurrency(sum(this.reimbursements));
+  this.totalDeductions = roundCurrency(sum(this.deductions));
+  this.totalAdjustments = roundCurrency(sum(this.adjustments));
+  this.netPay = roundCurrency(this.grossPay + this.totalReimbursements - this.totalDeductions + this.totalAdjustments);
+};
+
+// Pre-save middleware to generate settlement number and totals
+driverSettlementSchema.pre('save', async function(next) {
+  if (this.isNew && !this.settlementNumber) {
+    const date = new Date();
+    const dateStr = date.toISOString().slice(0, 10).replace(/-/g, '');
+    // Numbered per organization and day; the count seeds the sequence when the day's counter is created
+    const sequence = await Counter.nextSequence(`settlement:${this.organizationId || 'none'}:${dateStr}`, () => mongoose.model('DriverSettlement').countDocuments({
+      createdAt: {
+        $gte: new Date(date.getFullYear(), date.getMonth(), date.getDate()),
+        $lt: new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1)
+      }
+    }));
+    this.settlementNumber = `STL-${dateStr}-${String(sequence).padStart(3, '0')}`;
+  }
+
+  this.recalculateTotals();
+  next();
+});
+
+driverSettlementSchema.plugin(organizationScope);
+
+module.exports = mongoose.model('DriverSettlement', driverSettlementSchema);
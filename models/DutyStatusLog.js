@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const { DUTY_STATUS, DUTY_STATUS_SOURCES } = require('../constants/hos');
+const organizationScope = require('./organizationScope');
+
+// One duty status period of a driver; the current period has no endTime
+const dutyStatusLogSchema = new mongoose.Schema({
+  driverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(DUTY_STATUS),
+    required: true
+  },
+  startTime: {
+    type: Date,
+    required: true
+  },
+  endTime: {
+    type: Date,
+    default: null
+  },
+
+  // What caused the change
+  source: {
+    type: String,
+    enum: DUTY_STATUS_SOURCES,
+    default: 'manual'
+  },
+  routeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route'
+  },
+  truckId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Truck'
+  },
+  // Route stop that caused the change (rest/break and geofence events)
+  stopId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  location: {
+    latitude: Number,
+    longitude: Number,
+    formattedAddress: String
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  auditLogId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AuditLog'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+dutyStatusLogSchema.index({ driverId: 1, startTime: -1 });
+dutyStatusLogSchema.index({ driverId: 1, endTime: 1 });
+
+dutyStatusLogSchema.plugin(organizationScope);
+
+module.exports = mongoose.model('DutyStatusLog', dutyStatusLogSchema);
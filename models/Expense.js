@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const organizationScope = require('./organizationScope');
 
 const expenseSchema = new mongoose.Schema({
   type: {
@@ -67,6 +68,14 @@ const expenseSchema = new mongoose.Schema({
     placeId: String
   },
 
+  // Driver settlement handling: 'reimbursable' = paid by the driver and added to their pay,
+  // 'chargeable' = paid by the company and deducted from their pay, 'company' = neither.
+  // When unset, the driver's pay profile defaults for the expense type apply.
+  settlementTreatment: {
+    type: String,
+    enum: ['company', 'reimbursable', 'chargeable']
+  },
+
   // References
   routeId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -111,4 +120,6 @@ expenseSchema.pre('save', function(next) {
   next();
 });
 
+expenseSchema.plugin(organizationScope);
+
 module.exports = mongoose.model('Expense', expenseSchema);
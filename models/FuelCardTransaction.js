@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const { FUEL_CARD_MATCH_STATUS } = require('../constants/fuelCard');
+const organizationScope = require('./organizationScope');
+
+// One fuel purchase of an imported fuel card statement and the fuel expense it was reconciled with
+const fuelCardTransactionSchema = new mongoose.Schema({
+  // All transactions of one import share the importId
+  importId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  fileName: String,
+  rowNumber: Number,
+
+  // Statement data
+  transactionDate: {
+    type: Date,
+    required: true
+  },
+  transactionId: {
+    type: String,
+    trim: true
+  },
+  cardLast4: String, // Only the last 4 digits of the card number are kept
+  unitNumber: {
+    type: String,
+    trim: true
+  },
+  driverName: {
+    type: String,
+    trim: true
+  },
+  merchant: {
+    type: String,
+    trim: true
+  },
+  city: String,
+  state: String,
+  product: String,
+  gallons: Number,
+  pricePerGallon: Number,
+  amount: {
+    type: Number,
+    required: true
+  },
+  odometer: Number,
+
+  // Identifies the transaction across imports (card + transaction id, else card + unit + time + amount)
+  fingerprint: {
+    type: String,
+    required: true
+  },
+
+  // Resolved from the unit number / driver name, else from the route in progress at the time
+  truckId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Truck'
+  },
+  driverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  routeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route'
+  },
+
+  // Reconciliation
+  matchStatus: {
+    type: String,
+    enum: Object.values(FUEL_CARD_MATCH_STATUS),
+    required: true
+  },
+  expenseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expense'
+  },
+  // Card amount/gallons minus the matched expense's totalCost/gallons
+  amountDifference: Number,
+  gallonsDifference: Number,
+  // Other fuel expenses that also match the transaction (likely entered twice)
+  possibleDuplicateExpenseIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expense'
+  }],
+  // Transaction this one repeats (duplicate status)
+  duplicateOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FuelCardTransaction'
+  },
+  notes: [String],
+
+  importedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+// Only the first import of a transaction is kept as the original; repeats are stored as duplicates
+// (per organization; scripts/migrateOrganizations.js drops the older fingerprint-only index)
+fuelCardTransactionSchema.index(
+  { organizationId: 1, fingerprint: 1 },
+  { unique: true, partialFilterExpression: { matchStatus: { $ne: FUEL_CARD_MATCH_STATUS.DUPLICATE } } }
+);
+fuelCardTransactionSchema.index({ driverId: 1, transactionDate: -1 });
+fuelCardTransactionSchema.index({ truckId: 1, transactionDate: -1 });
+fuelCardTransactionSchema.index({ expenseId: 1 });
+fuelCardTransactionSchema.index({ importId: 1 });
+fuelCardTransactionSchema.index({ matchStatus: 1, transactionDate: -1 });
+
+fuelCardTransactionSchema.plugin(organizationScope);
+
+module.exports = mongoose.model('FuelCardTransaction', fuelCardTransactionSchema);
@@ -0,0 +1,261 @@
+const mongoose = require('mongoose');
+const { INVOICE_STATUS } = require('../constants/status');
+const Counter = require('./Counter');
+const organizationScope = require('./organizationScope');
+
+const ACCESSORIAL_TYPES = ['detention', 'layover', 'tonu', 'inoperable', 'enclosed', 'storage', 'fuel_surcharge', 'other'];
+const PAYMENT_METHODS = ['check', 'ach', 'wire', 'card', 'cash', 'other'];
+
+const roundCurrency = (value) => Math.round((value || 0) * 100) / 100;
+
+const invoiceSchema = new mongoose.Schema({
+  // Invoice Identification
+  invoiceNumber: {
+    type: String,
+    trim: true
+  },
+
+  // Shipper being billed
+  shipperId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shipper',
+    required: true
+  },
+
+  // Bill-to snapshot (kept as issued even if the shipper record changes later)
+  billTo: {
+    name: { type: String, trim: true },
+    company: { type: String, trim: true },
+    email: { type: String, trim: true, lowercase: true },
+    phone: { type: String, trim: true },
+    address: { type: String, trim: true },
+    city: { type: String, trim: true },
+    state: { type: String, trim: true },
+    zipCode: { type: String, trim: true }
+  },
+
+  // Billing period (delivery dates of the included jobs)
+  periodStart: {
+    type: Date
+  },
+  periodEnd: {
+    type: Date
+  },
+
+  // Dates and terms
+  issueDate: {
+    type: Date,
+    default: Date.now
+  },
+  paymentTermsDays: {
+    type: Number,
+    min: 0,
+    default: 30
+  },
+  dueDate: {
+    type: Date
+  },
+
+  // One line item per delivered transport job
+  lineItems: [{
+    transportJobId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TransportJob'
+    },
+    jobNumber: {
+      type: String,
+      trim: true
+    },
+    description: {
+      type: String,
+      trim: true,
+      required: true
+    },
+    pickupLocation: {
+      type: String,
+      trim: true
+    },
+    dropLocation: {
+      type: String,
+      trim: true
+    },
+    deliveredAt: {
+      type: Date
+    },
+    amount: {
+      type: Number,
+      required: true,
+      default: 0
+    }
+  }],
+
+  // Accessorial charges (detention, TONU, surcharges, ...)
+  accessorialCharges: [{
+    type: {
+      type: String,
+      enum: ACCESSORIAL_TYPES,
+      default: 'other'
+    },
+    description: {
+      type: String,
+      trim: true
+    },
+    transportJobId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TransportJob'
+    },
+    amount: {
+      type: Number,
+      required: true,
+      default: 0
+    }
+  }],
+
+  // Totals (calculated on save)
+  taxRate: {
+    type: Number,
+    min: 0,
+    default: 0 // Percentage, e.g. 8.25
+  },
+  subtotal: {
+    type: Number,
+    default: 0
+  },
+  accessorialTotal: {
+    type: Number,
+    default: 0
+  },
+  taxAmount: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  amountPaid: {
+    type: Number,
+    default: 0
+  },
+  balanceDue: {
+    type: Number,
+    default: 0
+  },
+
+  // Payments received (partial payments allowed)
+  payments: [{
+    amount: {
+      type: Number,
+      required: true,
+      min: 0.01
+    },
+    paidAt: {
+      type: Date,
+      default: Date.now
+    },
+    method: {
+      type: String,
+      enum: PAYMENT_METHODS,
+      default: 'other'
+    },
+    reference: {
+      type: String,
+      trim: true
+    },
+    notes: {
+      type: String,
+      trim: true
+    },
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+
+  // Status
+  status: {
+    type: String,
+    enum: Object.values(INVOICE_STATUS),
+    default: INVOICE_STATUS.DRAFT
+  },
+  sentAt: {
+    type: Date
+  },
+  paidAt: {
+    type: Date
+  },
+  voidedAt: {
+    type: Date
+  },
+  voidReason: {
+    type: String,
+    trim: true
+  },
+
+  notes: {
+    type: String,
+    trim: true
+  },
+
+  // Audit Trail
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastUpdatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+// Numbers are unique within an organization (different carriers have their own sequences)
+invoiceSchema.index({ organizationId: 1, invoiceNumber: 1 }, { unique: true });
+invoiceSchema.index({ shipperId: 1, status: 1 });
+invoiceSchema.index({ status: 1, dueDate: 1 });
+invoiceSchema.index({ 'lineItems.transportJobId': 1 });
+invoiceSchema.index({ createdAt: -1 });
+
+/**
+ * Recalculate subtotal, tax, total, amount paid and balance due
+ */
+invoiceSchema.methods.recalculateTotals = function() {
+  this.subtotal = roundCurrency(this.lineItems.reduce((sum, item) => sum + (item.amount || 0), 0));
+  this.accessorialTotal = roundCurrency(this.accessorialCharges.reduce((sum, charge) => sum + (charge.amount || 0), 0));
+  this.taxAmount = roundCurrency((this.subtotal + this.accessorialTotal) * ((this.taxRate || 0) / 100));
+  this.total = roundCurrency(this.subtotal + this.accessorialTotal + this.taxAmount);
+  this.amountPaid = roundCurrency(this.payments.reduce((sum, payment) => sum + (payment.amount || 0), 0));
+  this.balanceDue = this.status === INVOICE_STATUS.VOID ? 0 : roundCurrency(this.total - this.amountPaid);
+};
+
+// Pre-save middleware to generate invoice number, due date and totals
+invoiceSchema.pre('save', async function(next) {
+  if (this.isNew && !this.invoiceNumber) {
+    const date = new Date();
+    const dateStr = date.toISOString().slice(0, 10).replace(/-/g, '');
+    // Numbered per organization and day; the count seeds the sequence when the day's counter is created
+    const sequence = await Counter.nextSequence(`invoice:${this.organizationId || 'none'}:${dateStr}`, () => mongoose.model('Invoice').countDocuments({
+      createdAt: {
+        $gte: new Date(date.getFullYear(), date.getMonth(), date.getDate()),
+        $lt: new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1)
+      }
+    }));
+    this.invoiceNumber = `INV-${dateStr}-${String(sequence).padStart(3, '0')}`;
+  }
+
+  // Due date follows the payment terms unless it was set explicitly
+  const termsChanged = this.isModified('issueDate') || this.isModified('paymentTermsDays');
+  if (!this.dueDate || (termsChanged && !this.isModified('dueDate'))) {
+    const issueDate = this.issueDate || new Date();
+    this.dueDate = new Date(issueDate.getTime() + (this.paymentTermsDays || 0) * 24 * 60 * 60 * 1000);
+  }
+
+  this.recalculateTotals();
+  next();
+});
+
+invoiceSchema.plugin(organizationScope);
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
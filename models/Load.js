@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const { LOAD_STATUS } = require('../constants/status');
+const organizationScope = require('./organizationScope');
 
 const loadSchema = new mongoose.Schema({
   // Load Identification
@@ -362,5 +363,7 @@ loadSchema.pre('save', async function(next) {
   next();
 });
 
+loadSchema.plugin(organizationScope);
+
 module.exports = mongoose.model('Load', loadSchema);
 
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const { MAINTENANCE_STATUS, SERVICE_EXPENSE_CATEGORIES } = require('../constants/maintenance');
+const organizationScope = require('./organizationScope');
+
+const maintenancePlanSchema = new mongoose.Schema({
+  truckId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Truck',
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    required: true
+  },
+  // Key of the template in constants/maintenance the plan was created from (if any)
+  template: {
+    type: String,
+    trim: true
+  },
+
+  // Interval - service is due at whichever comes first
+  intervalMiles: {
+    type: Number,
+    min: 1
+  },
+  intervalDays: {
+    type: Number,
+    min: 1
+  },
+
+  // Expenses of these categories (on this truck) count as the service being done
+  expenseCategories: [{
+    type: String,
+    enum: SERVICE_EXPENSE_CATEGORIES
+  }],
+  // Only expenses whose description contains this (case-insensitive) count, e.g. "inspection"
+  descriptionKeyword: {
+    type: String,
+    trim: true
+  },
+
+  // Last service before any matching expense was recorded (set when the plan is created)
+  baselineServiceDate: {
+    type: Date
+  },
+
+  // Last evaluation (refreshed on route completion, service expenses and plan reads)
+  lastServiceDate: Date,
+  lastServiceExpenseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expense'
+  },
+  milesSinceService: {
+    type: Number,
+    default: 0
+  },
+  dueDate: Date,
+  status: {
+    type: String,
+    enum: Object.values(MAINTENANCE_STATUS),
+    default: MAINTENANCE_STATUS.OK
+  },
+  evaluatedAt: Date,
+
+  // Calendar event of the next service
+  calendarEventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CalendarEvent'
+  },
+
+  active: {
+    type: Boolean,
+    default: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+
+  // Audit Trail
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastUpdatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+maintenancePlanSchema.pre('validate', function(next) {
+  if (!this.intervalMiles && !this.intervalDays) {
+    this.invalidate('intervalMiles', 'A maintenance plan needs intervalMiles and/or intervalDays');
+  }
+  if (!this.expenseCategories || this.expenseCategories.length === 0) {
+    this.invalidate('expenseCategories', 'A maintenance plan needs at least one expense category');
+  }
+  next();
+});
+
+// Indexes
+maintenancePlanSchema.index({ truckId: 1, active: 1 });
+maintenancePlanSchema.index({ status: 1 });
+
+maintenancePlanSchema.plugin(organizationScope);
+
+module.exports = mongoose.model('MaintenancePlan', maintenancePlanSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const { ORGANIZATION_SLUG_PATTERN } = require('../constants/organization');
+
+const organizationSchema = new mongoose.Schema({
+  // Carrier company
+  name: {
+    type: String,
+    trim: true,
+    required: true
+  },
+  // Short identifier used in public quote links and registration
+  slug: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    required: true,
+    unique: true,
+    match: ORGANIZATION_SLUG_PATTERN
+  },
+  // Value stored in TransportJob.carrier for jobs this organization hauls itself
+  carrierCode: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  dotNumber: {
+    type: String,
+    trim: true
+  },
+  mcNumber: {
+    type: String,
+    trim: true
+  },
+
+  // Contact
+  contactName: {
+    type: String,
+    trim: true
+  },
+  contactEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  contactPhone: {
+    type: String,
+    trim: true
+  },
+
+  // Inactive organizations cannot sign in or use the API
+  active: {
+    type: Boolean,
+    default: true
+  },
+
+  // Audit Trail
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastUpdatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Organization', organizationSchema);
@@ -0,0 +1,207 @@
+const mongoose = require('mongoose');
+const { QUOTE_STATUS, QUOTE_SOURCE, QUOTE_VEHICLE_TYPES } = require('../constants/quote');
+const Counter = require('./Counter');
+const organizationScope = require('./organizationScope');
+
+const quoteLocationSchema = new mongoose.Schema({
+  zip: {
+    type: String,
+    trim: true,
+    required: true
+  },
+  locationName: {
+    type: String,
+    trim: true
+  },
+  city: {
+    type: String,
+    trim: true
+  },
+  state: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  contactName: {
+    type: String,
+    trim: true
+  },
+  contactPhone: {
+    type: String,
+    trim: true
+  },
+  latitude: Number,
+  longitude: Number
+}, { _id: false });
+
+const quoteSchema = new mongoose.Schema({
+  quoteNumber: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(QUOTE_STATUS),
+    default: QUOTE_STATUS.OPEN
+  },
+  source: {
+    type: String,
+    enum: Object.values(QUOTE_SOURCE),
+    default: QUOTE_SOURCE.DISPATCHER
+  },
+
+  // Customer (becomes the Shipper on acceptance)
+  shipperName: {
+    type: String,
+    trim: true
+  },
+  shipperCompany: {
+    type: String,
+    trim: true
+  },
+  shipperEmail: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  shipperPhone: {
+    type: String,
+    trim: true
+  },
+
+  pickup: {
+    type: quoteLocationSchema,
+    required: true
+  },
+  drop: {
+    type: quoteLocationSchema,
+    required: true
+  },
+  pickupDate: Date,
+
+  // Vehicles
+  vehicleCount: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  vehicleType: {
+    type: String,
+    enum: QUOTE_VEHICLE_TYPES,
+    default: 'sedan'
+  },
+  operable: {
+    type: Boolean,
+    default: true
+  },
+  enclosed: {
+    type: Boolean,
+    default: false
+  },
+
+  // Pricing (see utils/quoteService.js priceQuote)
+  miles: {
+    type: Number,
+    min: 0
+  },
+  // 'google', 'estimated' (straight line x circuity) or 'manual'
+  milesSource: {
+    type: String,
+    enum: ['google', 'estimated', 'manual']
+  },
+  rateTableId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RateTable'
+  },
+  pricing: {
+    lane: String, // e.g. "TX-OK", "TX-*" or "default"
+    ratePerMile: Number,
+    vehicleTypeMultiplier: Number,
+    minimumApplied: Boolean,
+    linehaul: Number, // per vehicle
+    inoperableSurcharge: Number, // per vehicle
+    enclosedSurcharge: Number, // per vehicle
+    fuelPpg: Number,
+    fuelPpgSource: String, // 'rate_table', 'expenses' or 'none'
+    fuelSurchargePercent: Number,
+    fuelSurcharge: Number, // per vehicle
+    pricePerVehicle: Number
+  },
+  totalPrice: {
+    type: Number,
+    min: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Outcome
+  acceptedAt: Date,
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  declinedAt: Date,
+  declineReason: {
+    type: String,
+    trim: true
+  },
+  shipperId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shipper'
+  },
+  vehicleIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle'
+  }],
+  transportJobIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TransportJob'
+  }],
+
+  notes: {
+    type: String,
+    trim: true
+  },
+
+  // Audit Trail
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastUpdatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+// Numbers are unique within an organization (different carriers have their own sequences)
+quoteSchema.index({ organizationId: 1, quoteNumber: 1 }, { unique: true });
+quoteSchema.index({ status: 1, expiresAt: 1 });
+quoteSchema.index({ createdAt: -1 });
+
+// Pre-save middleware to generate the quote number
+quoteSchema.pre('save', async function(next) {
+  if (this.isNew && !this.quoteNumber) {
+    // Generate quote number like Q-20241222-001
+    const date = new Date();
+    const dateStr = date.toISOString().slice(0, 10).replace(/-/g, '');
+    // Numbered per organization and day; the count seeds the sequence when the day's counter is created
+    const sequence = await Counter.nextSequence(`quote:${this.organizationId || 'none'}:${dateStr}`, () => mongoose.model('Quote').countDocuments({
+      createdAt: {
+        $gte: new Date(date.getFullYear(), date.getMonth(), date.getDate()),
+        $lt: new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1)
+      }
+    }));
+    this.quoteNumber = `Q-${dateStr}-${String(sequence).padStart(3, '0')}`;
+  }
+  next();
+});
+
+quoteSchema.plugin(organizationScope);
+
+module.exports = mongoose.model('Quote', quoteSchema);
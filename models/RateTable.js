@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+const { QUOTE_VEHICLE_TYPES } = require('../constants/quote');
+const organizationScope = require('./organizationScope');
+
+// Lane rate between two states ('*' matches any state)
+const laneRateSchema = new mongoose.Schema({
+  originState: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    required: true
+  },
+  destinationState: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    required: true
+  },
+  ratePerMile: {
+    type: Number,
+    min: 0,
+    required: true
+  },
+  // Overrides the table minimum for this lane
+  minimumCharge: {
+    type: Number,
+    min: 0
+  }
+}, { _id: false });
+
+const rateTableSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    required: true
+  },
+  // Only one rate table is active at a time; quotes are priced with it
+  active: {
+    type: Boolean,
+    default: false
+  },
+
+  // Per vehicle, used when no lane matches
+  defaultRatePerMile: {
+    type: Number,
+    min: 0,
+    required: true
+  },
+  // Minimum line haul per vehicle
+  minimumCharge: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  lanes: [laneRateSchema],
+
+  // Line haul multiplier per vehicle type (1 when not listed)
+  vehicleTypeMultipliers: [{
+    _id: false,
+    vehicleType: {
+      type: String,
+      enum: QUOTE_VEHICLE_TYPES,
+      required: true
+    },
+    multiplier: {
+      type: Number,
+      min: 0,
+      required: true
+    }
+  }],
+
+  // Flat amount per inoperable vehicle (needs a winch)
+  inoperableSurcharge: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Percent of the line haul for enclosed transport
+  enclosedSurchargePercent: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  // Percent of the line haul: percentPerStep for every stepPpg the diesel price is above basePpg
+  fuelSurcharge: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    basePpg: {
+      type: Number,
+      min: 0,
+      default: 3.5
+    },
+    stepPpg: {
+      type: Number,
+      min: 0.01,
+      default: 0.1
+    },
+    percentPerStep: {
+      type: Number,
+      min: 0,
+      default: 1
+    },
+    maxPercent: {
+      type: Number,
+      min: 0
+    },
+    // Current diesel price; when unset the average of recent diesel expenses is used
+    currentPpg: {
+      type: Number,
+      min: 0
+    },
+    currentPpgUpdatedAt: Date
+  },
+
+  notes: {
+    type: String,
+    trim: true
+  },
+
+  // Audit Trail
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastUpdatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+rateTableSchema.index({ active: 1 });
+
+rateTableSchema.plugin(organizationScope);
+
+module.exports = mongoose.model('RateTable', rateTableSchema);
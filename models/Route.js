@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const { ROUTE_STATUS, ROUTE_STOP_STATUS, ROUTE_STATE, ROUTE_STOP_TYPE } = require('../constants/status');
+const { VEHICLE_PANELS } = require('../constants/vehicleInspection');
+const organizationScope = require('./organizationScope');
 
 const routeSchema = new mongoose.Schema({
   // Route Identification
@@ -209,23 +211,7 @@ const routeSchema = new mongoose.Schema({
       },
       photoCategory: {
         type: String,
-        enum: [
-          'vehicle-front-upper',
-          'vehicle-front-lower',
-          'vehicle-side-upper',
-          'vehicle-side-lower',
-          'vehicle-rear-driver-side-upper',
-          'vehicle-rear-driver-side-lower',
-          'vehicle-rear-passenger-side-upper',
-          'vehicle-rear-passenger-side-lower',
-          'engine',
-          'vehicle-roof',
-          'vehicle-bottom',
-          'interior-dashboard',
-          'interior-front',
-          'interior-rear',
-          'mirrors'
-        ]
+        enum: VEHICLE_PANELS
       }
     }],
 
@@ -270,6 +256,58 @@ const routeSchema = new mongoose.Schema({
       value: Number // seconds
     },
 
+    // Estimated arrival, recomputed on every driver location update (see utils/etaService.js)
+    eta: {
+      estimatedArrival: Date,
+      remainingMiles: Number,
+      remainingMinutes: Number,
+      // Average speed used for the first leg and whether it came from tracking history
+      speedMph: Number,
+      speedSource: {
+        type: String,
+        enum: ['history', 'default']
+      },
+      // Minutes past the end of the scheduled window (negative = early), null without a window
+      minutesLate: Number,
+      late: {
+        type: Boolean,
+        default: false
+      },
+      // Set when the late alert is raised, cleared when the ETA is back within the window
+      lateAlertedAt: Date,
+      updatedAt: Date
+    },
+
+    // Geofence arrival/departure detected from driver locations (see utils/geofenceService.js)
+    geofence: {
+      // Overrides GEOFENCE_RADIUS_METERS for this stop
+      radiusMeters: {
+        type: Number,
+        min: 1
+      },
+      inside: {
+        type: Boolean,
+        default: false
+      },
+      // First arrival and last departure; lastEnteredAt is the start of the current visit
+      arrivedAt: Date,
+      lastEnteredAt: Date,
+      departedAt: Date,
+      visits: {
+        type: Number,
+        default: 0
+      },
+      // Total minutes inside the geofence over all completed visits
+      dwellMinutes: {
+        type: Number,
+        default: 0
+      },
+      detentionMinutes: {
+        type: Number,
+        default: 0
+      }
+    },
+
     // Stop Status
     status: {
       type: String,
@@ -441,5 +479,7 @@ routeSchema.pre('save', async function(next) {
   next();
 });
 
+routeSchema.plugin(organizationScope);
+
 module.exports = mongoose.model('Route', routeSchema);
 
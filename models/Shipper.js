@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const organizationScope = require('./organizationScope');
 
 const shipperSchema = new mongoose.Schema({
   // Shipper Identity
@@ -101,5 +102,7 @@ shipperSchema.pre('save', function(next) {
   next();
 });
 
+shipperSchema.plugin(organizationScope);
+
 module.exports = mongoose.model('Shipper', shipperSchema);
 
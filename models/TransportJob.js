@@ -1,5 +1,36 @@
 const mongoose = require('mongoose');
 const { TRANSPORT_JOB_STATUS } = require('../constants/status');
+const organizationScope = require('./organizationScope');
+
+// Signature captured on the Bill of Lading (image stored in Cloudinary)
+const bolSignatureSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true
+  },
+  url: {
+    type: String,
+    trim: true,
+    required: true
+  },
+  publicId: {
+    type: String,
+    trim: true
+  },
+  signedAt: {
+    type: Date,
+    default: Date.now
+  },
+  capturedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  location: {
+    latitude: Number,
+    longitude: Number,
+    accuracy: Number
+  }
+}, { _id: false });
 
 const transportJobSchema = new mongoose.Schema({
   // Job Identification
@@ -243,12 +274,48 @@ const transportJobSchema = new mongoose.Schema({
     trim: true
   },
 
+  // Electronic Bill of Lading (billOfLading holds the URL of the latest generated PDF)
+  billOfLadingDetails: {
+    bolNumber: {
+      type: String,
+      trim: true
+    },
+    shipperSignature: bolSignatureSchema,
+    receiverSignature: bolSignatureSchema,
+    pickupDamageNotes: {
+      type: String,
+      trim: true
+    },
+    deliveryDamageNotes: {
+      type: String,
+      trim: true
+    },
+    pdfPublicId: {
+      type: String,
+      trim: true
+    },
+    generatedAt: {
+      type: Date
+    },
+    generatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+
 
   // Pricing
   carrierPayment: {
     type: Number
   },
 
+  // Invoice the job is billed on; claimed with a conditional update so a job can't be billed twice
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    default: null
+  },
+
   // Deletion tracking (for vehicle deletion)
   vehicleDeleted: {
     type: Boolean,
@@ -284,6 +351,44 @@ const transportJobSchema = new mongoose.Schema({
     type: Date
   },
 
+  // Customer tracking links (the signed token itself is never stored, only its ID)
+  trackingShares: [{
+    tokenId: {
+      type: String,
+      required: true
+    },
+    label: {
+      type: String,
+      trim: true
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    },
+    revokedAt: {
+      type: Date
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    lastAccessedAt: {
+      type: Date
+    },
+    accessCount: {
+      type: Number,
+      default: 0
+    }
+  }],
+
   // Audit Trail
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -318,6 +423,8 @@ transportJobSchema.index({ pickupRouteId: 1 });
 transportJobSchema.index({ dropRouteId: 1 });
 transportJobSchema.index({ createdAt: -1 });
 transportJobSchema.index({ deleted: 1 });
+transportJobSchema.index({ 'trackingShares.tokenId': 1 });
+transportJobSchema.index({ invoiceId: 1 });
 
 // Pre-save middleware to generate job number and populate formattedAddress fields
 transportJobSchema.pre('save', async function(next) {
@@ -367,4 +474,6 @@ transportJobSchema.pre('save', async function(next) {
   next();
 });
 
+transportJobSchema.plugin(organizationScope);
+
 module.exports = mongoose.model('TransportJob', transportJobSchema);
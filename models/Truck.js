@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const { TRUCK_STATUS } = require('../constants/status');
+const complianceDocumentSchema = require('./complianceDocumentSchema');
+const organizationScope = require('./organizationScope');
 
 const truckSchema = new mongoose.Schema({
   // Truck Identification
@@ -50,6 +52,38 @@ const truckSchema = new mongoose.Schema({
     ref: 'User'
   },
 
+  // Home terminal (where the truck returns between routes; used by the backhaul finder)
+  homeLocation: {
+    name: {
+      type: String,
+      trim: true
+    },
+    address: {
+      type: String,
+      trim: true
+    },
+    city: {
+      type: String,
+      trim: true
+    },
+    state: {
+      type: String,
+      trim: true
+    },
+    zip: {
+      type: String,
+      trim: true
+    },
+    formattedAddress: {
+      type: String,
+      trim: true
+    },
+    coordinates: {
+      latitude: Number,
+      longitude: Number
+    }
+  },
+
   // Notes
   notes: {
     type: String,
@@ -61,7 +95,10 @@ const truckSchema = new mongoose.Schema({
     totalLoadsMoved: { type: Number, default: 0 },
     totalDistanceTraveled: { type: Number, default: 0 } // in miles
     // Note: Expenses are now stored in separate Expense collection
-  }
+  },
+
+  // Compliance documents (registration, insurance certificate)
+  complianceDocuments: [complianceDocumentSchema]
 }, {
   timestamps: true
 });
@@ -72,4 +109,6 @@ truckSchema.index({ status: 1 });
 truckSchema.index({ capacity: 1 });
 truckSchema.index({ verizonConnectDeviceId: 1 });
 
+truckSchema.plugin(organizationScope);
+
 module.exports = mongoose.model('Truck', truckSchema);
@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const {
+  DVIR_TYPES,
+  DVIR_COMPONENTS,
+  DVIR_CONDITIONS,
+  DVIR_STATUS,
+  DEFECT_STATUS
+} = require('../constants/dvir');
+const organizationScope = require('./organizationScope');
+
+const checklistItemSchema = new mongoose.Schema({
+  component: {
+    type: String,
+    enum: Object.keys(DVIR_COMPONENTS),
+    required: true
+  },
+  condition: {
+    type: String,
+    enum: Object.values(DVIR_CONDITIONS),
+    required: true
+  }
+}, { _id: false });
+
+const defectSchema = new mongoose.Schema({
+  component: {
+    type: String,
+    enum: Object.keys(DVIR_COMPONENTS),
+    required: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    required: true
+  },
+  // Out-of-service defects take the truck off the road until a mechanic certifies the repair
+  outOfService: {
+    type: Boolean,
+    default: false
+  },
+  photoUrls: [{
+    type: String,
+    trim: true
+  }],
+  status: {
+    type: String,
+    enum: Object.values(DEFECT_STATUS),
+    default: DEFECT_STATUS.OPEN
+  },
+  repairNotes: {
+    type: String,
+    trim: true
+  },
+  resolvedAt: {
+    type: Date
+  }
+});
+
+const truckInspectionSchema = new mongoose.Schema({
+  // Inspection Identification
+  inspectionType: {
+    type: String,
+    enum: Object.values(DVIR_TYPES),
+    required: true
+  },
+
+  // References
+  truckId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Truck',
+    required: true
+  },
+  // Route the inspection was done for (pre-trip before start, post-trip at completion)
+  routeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route'
+  },
+  driverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Inspection Details
+  inspectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  inspectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  location: {
+    latitude: Number,
+    longitude: Number,
+    accuracy: Number
+  },
+  odometer: {
+    type: Number,
+    min: 0
+  },
+
+  checklist: [checklistItemSchema],
+  defects: [defectSchema],
+
+  notes: {
+    type: String,
+    trim: true
+  },
+
+  status: {
+    type: String,
+    enum: Object.values(DVIR_STATUS),
+    default: DVIR_STATUS.SATISFACTORY
+  },
+  // True while an out-of-service defect is waiting for mechanic sign-off
+  outOfService: {
+    type: Boolean,
+    default: false
+  },
+
+  // Mechanic sign-off certifying the defects were repaired (or need no repair)
+  mechanicSignOff: {
+    mechanicName: { type: String, trim: true },
+    signedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    signedAt: Date,
+    signatureUrl: { type: String, trim: true },
+    notes: { type: String, trim: true }
+  },
+
+  // Audit Trail
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastUpdatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+truckInspectionSchema.index({ truckId: 1, inspectedAt: -1 });
+truckInspectionSchema.index({ truckId: 1, outOfService: 1 });
+truckInspectionSchema.index({ routeId: 1, inspectionType: 1 });
+truckInspectionSchema.index({ status: 1 });
+
+truckInspectionSchema.plugin(organizationScope);
+
+module.exports = mongoose.model('TruckInspection', truckInspectionSchema);
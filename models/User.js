@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const complianceDocumentSchema = require('./complianceDocumentSchema');
+const organizationScope = require('./organizationScope');
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -51,6 +53,12 @@ const userSchema = new mongoose.Schema({
     enum: ['ptgAdmin', 'ptgDispatcher', 'ptgDriver'],
     default: 'ptgDriver'
   },
+  // Platform operator: manages organizations and can act within any of them.
+  // Not settable through the API; granted with scripts/migrateOrganizations.js --super-admin=<email>
+  isSuperAdmin: {
+    type: Boolean,
+    default: false
+  },
   resetPasswordToken: String,
   resetPasswordExpires: Date,
   emailVerified: {
@@ -77,7 +85,10 @@ const userSchema = new mongoose.Schema({
     totalLoadsMoved: { type: Number, default: 0 },
     totalDistanceTraveled: { type: Number, default: 0 } // in miles
     // Note: Expenses are now stored in separate Expense collection
-  }
+  },
+
+  // Compliance documents (CDL, DOT medical card) - only for ptgDriver role
+  complianceDocuments: [complianceDocumentSchema]
 }, {
   timestamps: true
 });
@@ -136,4 +147,6 @@ userSchema.methods.toJSON = function() {
   return userObject;
 };
 
+userSchema.plugin(organizationScope);
+
 module.exports = mongoose.model('User', userSchema);
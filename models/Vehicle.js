@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const { VEHICLE_STATUS } = require('../constants/status');
+const organizationScope = require('./organizationScope');
 
 const vehicleSchema = new mongoose.Schema({
   // Vehicle Identity
@@ -20,6 +21,36 @@ const vehicleSchema = new mongoose.Schema({
     trim: true
   },
 
+  // Result of decoding the VIN when the vehicle was created (see utils/vinDecoder.js)
+  vinDecode: {
+    checkDigitValid: Boolean,
+    decodedYear: Number,
+    decodedMake: String,
+    decodedModel: String,
+    sources: [String],
+    // Fields filled from the VIN because they were not provided
+    filledFields: [String],
+    // Provided year/make/model that don't match the VIN
+    mismatches: [{
+      _id: false,
+      field: String,
+      provided: mongoose.Schema.Types.Mixed,
+      decoded: mongoose.Schema.Types.Mixed
+    }],
+    // Mismatch or invalid check digit - needs a look before matching with VOS
+    hasMismatch: {
+      type: Boolean,
+      default: false
+    },
+    decodedAt: Date
+  },
+
+  // Weight (in lbs) - overrides the make/model default in truck capacity calculations
+  weight: {
+    type: Number,
+    min: 0
+  },
+
   // Shipper Details
   shipperId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -158,6 +189,48 @@ const vehicleSchema = new mongoose.Schema({
     type: String,
     default: 'PTG'
   },
+
+  // VOS synchronization state (vehicles imported from / updated by VOS)
+  vosSync: {
+    vosTransportId: {
+      type: String,
+      trim: true
+    },
+    // Version (or updatedAt in ms) of the last VOS record merged - older updates are ignored
+    lastSyncedVersion: {
+      type: Number
+    },
+    lastInboundAt: {
+      type: Date
+    },
+    lastOutboundAt: {
+      type: Date
+    },
+    lastOutboundStatus: {
+      type: String
+    },
+    lastOutboundError: {
+      type: String
+    },
+    // Synced fields edited in PTG - VOS no longer overwrites them
+    localOverrides: [{
+      type: String
+    }],
+    // VOS values that were not applied because of a field rule, waiting to be resolved
+    conflicts: [{
+      field: {
+        type: String,
+        required: true
+      },
+      vosValue: mongoose.Schema.Types.Mixed,
+      ptgValue: mongoose.Schema.Types.Mixed,
+      rule: String,
+      detectedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
   // Notes section
   notes: {
     type: String,
@@ -286,5 +359,8 @@ vehicleSchema.pre('save', function(next) {
 vehicleSchema.index({ vin: 1 });
 vehicleSchema.index({ status: 1 });
 vehicleSchema.index({ deleted: 1 });
+vehicleSchema.index({ 'vosSync.vosTransportId': 1 });
+
+vehicleSchema.plugin(organizationScope);
 
 module.exports = mongoose.model('Vehicle', vehicleSchema);
@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const { VEHICLE_PANELS, DAMAGE_TYPES, DAMAGE_SEVERITIES, INSPECTION_TYPES } = require('../constants/vehicleInspection');
+const organizationScope = require('./organizationScope');
+
+const damageSchema = new mongoose.Schema({
+  panel: {
+    type: String,
+    enum: VEHICLE_PANELS,
+    required: true
+  },
+  damageType: {
+    type: String,
+    enum: DAMAGE_TYPES,
+    required: true
+  },
+  severity: {
+    type: String,
+    enum: DAMAGE_SEVERITIES,
+    default: 'minor'
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  // Photos documenting this damage (usually the stop photo with the same photoCategory)
+  photoUrls: [{
+    type: String,
+    trim: true
+  }]
+});
+
+const vehicleInspectionSchema = new mongoose.Schema({
+  // Inspection Identification
+  inspectionType: {
+    type: String,
+    enum: Object.values(INSPECTION_TYPES),
+    required: true
+  },
+
+  // References
+  transportJobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TransportJob',
+    required: true
+  },
+  vehicleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle'
+  },
+  routeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route',
+    required: true
+  },
+  // Pickup or drop stop on the route the inspection was done at
+  stopId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+
+  // Inspection Details
+  inspectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  inspectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  location: {
+    latitude: Number,
+    longitude: Number,
+    accuracy: Number
+  },
+  odometer: {
+    type: Number,
+    min: 0
+  },
+
+  // Damage marked per panel (empty when the vehicle has no damage)
+  damages: [damageSchema],
+
+  notes: {
+    type: String,
+    trim: true
+  },
+
+  // Delivery inspections: result of the comparison against the pickup inspection
+  newDamageDetected: {
+    type: Boolean,
+    default: false
+  },
+  newDamageCount: {
+    type: Number,
+    default: 0
+  },
+  comparedAt: {
+    type: Date
+  },
+
+  // Audit Trail
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastUpdatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+vehicleInspectionSchema.index({ routeId: 1, stopId: 1 }, { unique: true });
+vehicleInspectionSchema.index({ transportJobId: 1, inspectionType: 1, inspectedAt: -1 });
+vehicleInspectionSchema.index({ vehicleId: 1 });
+vehicleInspectionSchema.index({ newDamageDetected: 1 });
+
+vehicleInspectionSchema.plugin(organizationScope);
+
+module.exports = mongoose.model('VehicleInspection', vehicleInspectionSchema);
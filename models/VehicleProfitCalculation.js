@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const organizationScope = require('./organizationScope');
 
 const vehicleProfitCalculationSchema = new mongoose.Schema({
   // Vehicle Reference (Required - One calculation per vehicle)
@@ -218,5 +219,7 @@ vehicleProfitCalculationSchema.pre('save', function(next) {
   next();
 });
 
+vehicleProfitCalculationSchema.plugin(organizationScope);
+
 module.exports = mongoose.model('VehicleProfitCalculation', vehicleProfitCalculationSchema);
 
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const organizationScope = require('./organizationScope');
+
+const vehicleWeightDefaultSchema = new mongoose.Schema({
+  // Make (required) and model (optional - empty model applies to every model of the make)
+  make: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    required: true
+  },
+  model: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: ''
+  },
+
+  // Default weight (in lbs) used for capacity calculations
+  weight: {
+    type: Number,
+    min: 0,
+    required: true
+  },
+
+  notes: {
+    type: String,
+    trim: true
+  },
+
+  // Audit Trail
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastUpdatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// One default per make/model combination per organization
+// (scripts/migrateOrganizations.js drops the older make/model-only index)
+vehicleWeightDefaultSchema.index({ organizationId: 1, make: 1, model: 1 }, { unique: true });
+
+vehicleWeightDefaultSchema.plugin(organizationScope);
+
+module.exports = mongoose.model('VehicleWeightDefault', vehicleWeightDefaultSchema);
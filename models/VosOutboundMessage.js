@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const { VOS_OUTBOUND_MESSAGE_STATUS } = require('../constants/vosSync');
+const organizationScope = require('./organizationScope');
+
+const vosOutboundMessageSchema = new mongoose.Schema({
+  // References
+  vehicleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle',
+    required: true
+  },
+  transportJobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TransportJob'
+  },
+  vin: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+
+  // Status reported to VOS (see VOS_OUTBOUND_STATUSES)
+  vosStatus: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  // Delivery state
+  status: {
+    type: String,
+    enum: Object.values(VOS_OUTBOUND_MESSAGE_STATUS),
+    default: VOS_OUTBOUND_MESSAGE_STATUS.PENDING
+  },
+  attemptCount: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 8
+  },
+  nextAttemptAt: {
+    type: Date
+  },
+  sentAt: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  },
+
+  // One entry per HTTP attempt
+  attempts: [{
+    attemptedAt: {
+      type: Date,
+      default: Date.now
+    },
+    statusCode: Number,
+    durationMs: Number,
+    error: String
+  }],
+
+  // Set when an admin re-queues a failed message
+  retriedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+vosOutboundMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+vosOutboundMessageSchema.index({ vehicleId: 1, createdAt: 1 });
+
+vosOutboundMessageSchema.plugin(organizationScope);
+
+module.exports = mongoose.model('VosOutboundMessage', vosOutboundMessageSchema);
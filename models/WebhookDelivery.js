@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const { WEBHOOK_DELIVERY_STATUS } = require('../constants/webhooks');
+const organizationScope = require('./organizationScope');
+
+const webhookDeliverySchema = new mongoose.Schema({
+  endpointId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookEndpoint',
+    required: true
+  },
+
+  // Event
+  event: {
+    type: String,
+    required: true
+  },
+  // Same for every endpoint (and replay) of one event, so receivers can de-duplicate
+  eventId: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  // Delivery state
+  status: {
+    type: String,
+    enum: Object.values(WEBHOOK_DELIVERY_STATUS),
+    default: WEBHOOK_DELIVERY_STATUS.PENDING
+  },
+  attemptCount: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 6
+  },
+  nextAttemptAt: {
+    type: Date
+  },
+  deliveredAt: {
+    type: Date
+  },
+
+  // One entry per HTTP attempt
+  attempts: [{
+    attemptedAt: {
+      type: Date,
+      default: Date.now
+    },
+    statusCode: Number,
+    durationMs: Number,
+    responseBody: String, // Truncated
+    error: String
+  }],
+
+  // Replays are new deliveries pointing at the original
+  replayOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery'
+  },
+  replayedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ endpointId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ event: 1, createdAt: -1 });
+webhookDeliverySchema.index({ eventId: 1 });
+
+webhookDeliverySchema.plugin(organizationScope);
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const { WEBHOOK_EVENTS, WEBHOOK_ALL_EVENTS } = require('../constants/webhooks');
+const organizationScope = require('./organizationScope');
+
+const webhookEndpointSchema = new mongoose.Schema({
+  // Endpoint Identity
+  name: {
+    type: String,
+    trim: true,
+    required: true
+  },
+  url: {
+    type: String,
+    trim: true,
+    required: true,
+    match: [/^https?:\/\/\S+$/i, 'Webhook URL must be an http(s) URL']
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+
+  // Events this endpoint receives ('*' = all events)
+  events: [{
+    type: String,
+    enum: [...Object.values(WEBHOOK_EVENTS), WEBHOOK_ALL_EVENTS]
+  }],
+
+  // HMAC-SHA256 signing secret (only returned when the endpoint is created or the secret rotated)
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  // Extra headers sent with every delivery (e.g. an API key expected by the receiver)
+  headers: {
+    type: Map,
+    of: String
+  },
+
+  active: {
+    type: Boolean,
+    default: true
+  },
+
+  // Retry policy
+  maxAttempts: {
+    type: Number,
+    min: 1,
+    max: 10,
+    default: 6
+  },
+
+  // Delivery statistics
+  lastDeliveryAt: {
+    type: Date
+  },
+  lastSuccessAt: {
+    type: Date
+  },
+  lastFailureAt: {
+    type: Date
+  },
+  consecutiveFailures: {
+    type: Number,
+    default: 0
+  },
+
+  // Audit Trail
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastUpdatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+webhookEndpointSchema.index({ active: 1, events: 1 });
+
+webhookEndpointSchema.plugin(organizationScope);
+
+module.exports = mongoose.model('WebhookEndpoint', webhookEndpointSchema);
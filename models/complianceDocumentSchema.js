@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+/**
+ * Compliance document (CDL, medical card, registration, insurance...) embedded in User and Truck.
+ * documentType is validated against DRIVER_DOCUMENT_TYPES / TRUCK_DOCUMENT_TYPES by the owner.
+ */
+const complianceDocumentSchema = new mongoose.Schema({
+  documentType: {
+    type: String,
+    trim: true,
+    required: true
+  },
+  documentNumber: {
+    type: String,
+    trim: true
+  },
+  // Issuing state or authority
+  issuedBy: {
+    type: String,
+    trim: true
+  },
+  issueDate: {
+    type: Date
+  },
+  expiryDate: {
+    type: Date,
+    required: true
+  },
+
+  // File uploaded through /api/upload/image
+  file: {
+    url: { type: String, trim: true },
+    publicId: { type: String, trim: true },
+    fileName: { type: String, trim: true },
+    fileType: { type: String, trim: true }
+  },
+
+  notes: {
+    type: String,
+    trim: true
+  },
+
+  // Expiry warnings already emailed for the current expiry date (days before expiry, see EXPIRY_WARNING_DAYS)
+  warningsSent: [{
+    type: Number
+  }],
+
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = complianceDocumentSchema;
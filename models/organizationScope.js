@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const { getOrganizationId } = require('../utils/tenantContext');
+
+// Query operations limited to the current organization
+const SCOPED_QUERY_OPERATIONS = [
+  'countDocuments',
+  'deleteMany',
+  'deleteOne',
+  'distinct',
+  'find',
+  'findOne',
+  'findOneAndDelete',
+  'findOneAndReplace',
+  'findOneAndUpdate',
+  'replaceOne',
+  'updateMany',
+  'updateOne'
+];
+
+// Updates never move a document to another organization
+const stripOrganizationUpdate = (update) => {
+  if (!update || Array.isArray(update)) return;
+  delete update.organizationId;
+  ['$set', '$unset', '$setOnInsert', '$rename'].forEach(operator => {
+    if (update[operator]) delete update[operator].organizationId;
+  });
+};
+
+/**
+ * Organization scope plugin for tenant collections
+ *
+ * Adds organizationId and, while a tenant context is active (see utils/tenantContext.js):
+ * - limits queries, updates, deletes and aggregations to the current organization
+ * - stamps new documents (save, create, insertMany) with the current organization
+ * - ignores organizationId in update payloads and rejects changing it on a saved document
+ * - rejects bulkWrite and estimatedDocumentCount, which can't be filtered
+ * Without a context (workers, scripts, public token lookups) nothing is filtered.
+ */
+function organizationScope(schema) {
+  schema.add({
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      index: true
+    }
+  });
+
+  schema.pre(SCOPED_QUERY_OPERATIONS, function() {
+    const organizationId = getOrganizationId();
+    if (!organizationId) return;
+
+    this.where({ organizationId });
+    if (typeof this.getUpdate === 'function') {
+      stripOrganizationUpdate(this.getUpdate());
+    }
+  });
+
+  // Can't be limited to one organization; use countDocuments / individual writes instead
+  schema.pre('estimatedDocumentCount', function() {
+    if (getOrganizationId()) {
+      throw new Error(`estimatedDocumentCount is not organization-scoped; use countDocuments on ${this.model.modelName}`);
+    }
+  });
+
+  schema.pre('bulkWrite', function(next) {
+    if (getOrganizationId()) {
+      return next(new Error(`bulkWrite is not organization-scoped; use individual writes on ${this.modelName}`));
+    }
+    next();
+  });
+
+  schema.pre('aggregate', function() {
+    const organizationId = getOrganizationId();
+    if (!organizationId) return;
+    this.pipeline().unshift({ $match: { organizationId } });
+  });
+
+  schema.pre('validate', function() {
+    const organizationId = getOrganizationId();
+    if (!organizationId) return;
+
+    if (this.isNew) {
+      this.organizationId = organizationId;
+    } else if (this.isModified('organizationId')) {
+      this.invalidate('organizationId', 'Organization cannot be changed');
+    }
+  });
+
+  schema.pre('insertMany', function(next, docs) {
+    const organizationId = getOrganizationId();
+    if (organizationId && Array.isArray(docs)) {
+      docs.forEach(doc => {
+        doc.organizationId = organizationId;
+      });
+    }
+    next();
+  });
+}
+
+module.exports = organizationScope;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const organizationScope = require('./organizationScope');
 
 const HistorySchema = new mongoose.Schema(
   {
@@ -78,4 +79,6 @@ const RouteTrackingSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+RouteTrackingSchema.plugin(organizationScope);
+
 module.exports = mongoose.model("RouteTracking", RouteTrackingSchema);
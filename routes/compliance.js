@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const complianceController = require('../controllers/complianceController');
+const { protect, authorizeRoles } = require('../middleware/auth');
+
+// All compliance routes require authentication
+router.use(protect);
+
+// Routes for driver and truck compliance documents (drivers can only access their own)
+
+// GET /api/compliance/expiring - Documents expiring within `days` (default 30) or expired
+router.get('/expiring', authorizeRoles('ptgAdmin', 'ptgDispatcher'), complianceController.getExpiringDocuments);
+
+// POST /api/compliance/run-expiry-check - Send due expiry warnings now
+router.post('/run-expiry-check', authorizeRoles('ptgAdmin'), complianceController.runExpiryCheck);
+
+// GET /api/compliance/:ownerType/:ownerId/documents - Documents of a driver or truck (ownerType: drivers, trucks)
+router.get('/:ownerType/:ownerId/documents', complianceController.getDocuments);
+
+// POST /api/compliance/:ownerType/:ownerId/documents - Add a document
+router.post('/:ownerType/:ownerId/documents', complianceController.addDocument);
+
+// PUT /api/compliance/:ownerType/:ownerId/documents/:documentId - Update a document
+router.put('/:ownerType/:ownerId/documents/:documentId', authorizeRoles('ptgAdmin', 'ptgDispatcher'), complianceController.updateDocument);
+
+// DELETE /api/compliance/:ownerType/:ownerId/documents/:documentId - Delete a document
+router.delete('/:ownerType/:ownerId/documents/:documentId', authorizeRoles('ptgAdmin', 'ptgDispatcher'), complianceController.deleteDocument);
+
+module.exports = router;
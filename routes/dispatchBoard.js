@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const dispatchBoardController = require('../controllers/dispatchBoardController');
+const { protect, authorizeRoles } = require('../middleware/auth');
+
+// All dispatch board routes require authentication and admin/dispatcher access
+router.use(protect);
+router.use(authorizeRoles('ptgAdmin', 'ptgDispatcher'));
+
+// GET /api/dispatch-board - Routes per truck and driver for a date range plus the Needs Dispatch pool
+router.get('/', dispatchBoardController.getBoard);
+
+// POST /api/dispatch-board/move - Move a transport job to another route (or assign it from the pool)
+router.post('/move', dispatchBoardController.moveTransportJob);
+
+// POST /api/dispatch-board/split - Split a route after a stop into a new route
+router.post('/split', dispatchBoardController.splitRoute);
+
+module.exports = router;
@@ -0,0 +1,58 @@
+const express = require('express');
+const router = express.Router();
+const driverSettlementController = require('../controllers/driverSettlementController');
+const { protect, authorizeRoles } = require('../middleware/auth');
+
+// All settlement routes require authentication
+router.use(protect);
+
+// Routes for driver pay profiles
+
+// GET /api/settlements/pay-profiles - Get pay profiles for all drivers
+router.get('/pay-profiles', authorizeRoles('ptgAdmin', 'ptgDispatcher'), driverSettlementController.getPayProfiles);
+
+// GET /api/settlements/pay-profiles/:driverId - Get a driver's pay profile
+router.get('/pay-profiles/:driverId', driverSettlementController.getPayProfile);
+
+// PUT /api/settlements/pay-profiles/:driverId - Create or update a driver's pay profile
+router.put('/pay-profiles/:driverId', authorizeRoles('ptgAdmin'), driverSettlementController.upsertPayProfile);
+
+// Routes for driver settlements
+
+// GET /api/settlements - Get settlements (drivers see their own approved/paid settlements)
+router.get('/', driverSettlementController.getAllSettlements);
+
+// POST /api/settlements/preview - Preview a settlement without saving it
+router.post('/preview', authorizeRoles('ptgAdmin', 'ptgDispatcher'), driverSettlementController.previewSettlement);
+
+// POST /api/settlements/generate - Generate a draft settlement for a pay period
+router.post('/generate', authorizeRoles('ptgAdmin', 'ptgDispatcher'), driverSettlementController.generateSettlement);
+
+// GET /api/settlements/:id - Get single settlement
+router.get('/:id', driverSettlementController.getSettlementById);
+
+// GET /api/settlements/:id/pdf - Download settlement statement PDF
+router.get('/:id/pdf', driverSettlementController.downloadSettlementPdf);
+
+// PUT /api/settlements/:id - Update adjustments/notes (draft or rejected only)
+router.put('/:id', authorizeRoles('ptgAdmin', 'ptgDispatcher'), driverSettlementController.updateSettlement);
+
+// POST /api/settlements/:id/recalculate - Rebuild route pay and expenses (draft or rejected only)
+router.post('/:id/recalculate', authorizeRoles('ptgAdmin', 'ptgDispatcher'), driverSettlementController.recalculateSettlement);
+
+// POST /api/settlements/:id/submit - Submit settlement for approval
+router.post('/:id/submit', authorizeRoles('ptgAdmin', 'ptgDispatcher'), driverSettlementController.submitSettlement);
+
+// POST /api/settlements/:id/approve - Approve settlement
+router.post('/:id/approve', authorizeRoles('ptgAdmin'), driverSettlementController.approveSettlement);
+
+// POST /api/settlements/:id/reject - Reject settlement
+router.post('/:id/reject', authorizeRoles('ptgAdmin'), driverSettlementController.rejectSettlement);
+
+// POST /api/settlements/:id/mark-paid - Mark approved settlement as paid
+router.post('/:id/mark-paid', authorizeRoles('ptgAdmin'), driverSettlementController.markSettlementPaid);
+
+// DELETE /api/settlements/:id - Delete draft or rejected settlement
+router.delete('/:id', authorizeRoles('ptgAdmin', 'ptgDispatcher'), driverSettlementController.deleteSettlement);
+
+module.exports = router;
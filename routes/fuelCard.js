@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const fuelCardController = require('../controllers/fuelCardController');
+const { protect, authorizeRoles } = require('../middleware/auth');
+
+// All fuel card routes require authentication and admin/dispatcher access
+router.use(protect);
+router.use(authorizeRoles('ptgAdmin', 'ptgDispatcher'));
+
+// GET /api/fuel-cards/import/columns - Columns accepted by the fuel card import
+router.get('/import/columns', fuelCardController.getImportColumns);
+
+// POST /api/fuel-cards/import - Import a fuel card statement (dryRun by default) and match it to fuel expenses
+router.post('/import', fuelCardController.importTransactions);
+
+// GET /api/fuel-cards/transactions - Imported transactions with their match status
+router.get('/transactions', fuelCardController.getTransactions);
+
+// GET /api/fuel-cards/reconciliation - Discrepancies per driver
+router.get('/reconciliation', fuelCardController.getReconciliationReport);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const hosController = require('../controllers/hosController');
+const { protect, authorizeRoles } = require('../middleware/auth');
+
+// All hours-of-service routes require authentication
+router.use(protect);
+
+// Routes for hours of service (drivers can only access their own)
+
+// GET /api/hos/drivers - HOS clocks of every driver
+router.get('/drivers', authorizeRoles('ptgAdmin', 'ptgDispatcher'), hosController.getDriversHosSummary);
+
+// GET /api/hos/drivers/:driverId/clocks - Remaining 11/14/70 hour clocks
+router.get('/drivers/:driverId/clocks', hosController.getDriverClocks);
+
+// GET /api/hos/drivers/:driverId/logs - Duty status log entries (startDate, endDate)
+router.get('/drivers/:driverId/logs', hosController.getDutyStatusLogs);
+
+// POST /api/hos/drivers/:driverId/status - Change duty status manually
+router.post('/drivers/:driverId/status', hosController.changeDutyStatus);
+
+// GET /api/hos/drivers/:driverId/daily-log - Daily log for a date (YYYY-MM-DD)
+router.get('/drivers/:driverId/daily-log', hosController.getDailyLog);
+
+// GET /api/hos/drivers/:driverId/daily-log/pdf - Download the daily log sheet PDF
+router.get('/drivers/:driverId/daily-log/pdf', hosController.downloadDailyLogPdf);
+
+module.exports = router;
@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+const invoiceController = require('../controllers/invoiceController');
+const { protect, authorizeRoles } = require('../middleware/auth');
+
+// All invoice routes require authentication and billing access
+router.use(protect);
+router.use(authorizeRoles('ptgAdmin', 'ptgDispatcher'));
+
+// Routes for shipper invoices
+
+// GET /api/invoices - Get all invoices (with pagination and filters)
+router.get('/', invoiceController.getAllInvoices);
+
+// GET /api/invoices/billable-jobs?shipperId=&startDate=&endDate= - Preview delivered, uninvoiced jobs
+router.get('/billable-jobs', invoiceController.getBillableTransportJobs);
+
+// POST /api/invoices/generate - Generate a draft invoice for a shipper
+router.post('/generate', invoiceController.generateInvoice);
+
+// GET /api/invoices/:id - Get single invoice
+router.get('/:id', invoiceController.getInvoiceById);
+
+// GET /api/invoices/:id/pdf - Download invoice PDF
+router.get('/:id/pdf', invoiceController.downloadInvoicePdf);
+
+// PUT /api/invoices/:id - Update invoice (charges/tax/terms only while draft)
+router.put('/:id', invoiceController.updateInvoice);
+
+// POST /api/invoices/:id/send - Mark invoice as sent and email it to the shipper
+router.post('/:id/send', invoiceController.sendInvoice);
+
+// POST /api/invoices/:id/payments - Record a full or partial payment
+router.post('/:id/payments', invoiceController.recordPayment);
+
+// DELETE /api/invoices/:id/payments/:paymentId - Remove a payment recorded in error
+router.delete('/:id/payments/:paymentId', authorizeRoles('ptgAdmin'), invoiceController.deletePayment);
+
+// POST /api/invoices/:id/void - Void invoice
+router.post('/:id/void', authorizeRoles('ptgAdmin'), invoiceController.voidInvoice);
+
+// DELETE /api/invoices/:id - Delete draft invoice
+router.delete('/:id', invoiceController.deleteInvoice);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const loadController = require('../controllers/loadController');
+const bulkImportController = require('../controllers/bulkImportController');
 const { protect, optionalAuth, authorizeRoles } = require('../middleware/auth');
 
 // Apply optional auth for API key authentication
@@ -14,6 +15,12 @@ router.get('/', loadController.getAllLoads);
 // POST /api/loads - Create new load
 router.post('/', loadController.createLoad);
 
+// GET /api/loads/import/columns - Columns accepted by the bulk import
+router.get('/import/columns', authorizeRoles('ptgAdmin', 'ptgDispatcher'), bulkImportController.getLoadImportColumns);
+
+// POST /api/loads/import - Bulk import loads from CSV/XLSX (dry-run preview by default)
+router.post('/import', authorizeRoles('ptgAdmin', 'ptgDispatcher'), bulkImportController.importLoads);
+
 // GET /api/loads/:id - Get single load
 router.get('/:id', loadController.getLoadById);
 
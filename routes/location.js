@@ -27,6 +27,9 @@ router.put('/routes/:routeId/stops/:stopId/coordinates', locationController.upda
 // Calculate and save route distances
 router.post('/routes/:routeId/distances', locationController.calculateRouteDistances);
 
+// Get the ETA of each route stop (?refresh=true recomputes from the driver's location)
+router.get('/routes/:routeId/eta', locationController.getRouteEtas);
+
 // Get driver current location and route info
 router.get('/drivers/:driverId/location', locationController.getDriverLocation);
 
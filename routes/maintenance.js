@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const maintenancePlanController = require('../controllers/maintenancePlanController');
+const { protect, authorizeRoles } = require('../middleware/auth');
+
+// All maintenance routes require authentication and admin/dispatcher role
+router.use(protect);
+router.use(authorizeRoles('ptgAdmin', 'ptgDispatcher'));
+
+// Routes for preventive maintenance plans
+
+// GET /api/maintenance/templates - Built-in plan templates (oil change, tire rotation, DOT inspection...)
+router.get('/templates', maintenancePlanController.getTemplates);
+
+// GET /api/maintenance/plans - Get plans (filter by truckId, status; refresh=true re-evaluates)
+router.get('/plans', maintenancePlanController.getPlans);
+
+// POST /api/maintenance/plans - Create a plan for a truck
+router.post('/plans', maintenancePlanController.createPlan);
+
+// PUT /api/maintenance/plans/:id - Update a plan
+router.put('/plans/:id', maintenancePlanController.updatePlan);
+
+// DELETE /api/maintenance/plans/:id - Delete a plan
+router.delete('/plans/:id', maintenancePlanController.deletePlan);
+
+// GET /api/maintenance/trucks/:truckId - Due/overdue status of a truck's plans
+router.get('/trucks/:truckId', maintenancePlanController.getTruckMaintenance);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const organizationController = require('../controllers/organizationController');
+const { protect, requireSuperAdmin } = require('../middleware/auth');
+
+// All organization routes require authentication and super admin access
+router.use(protect);
+router.use(requireSuperAdmin);
+
+// GET /api/organizations - List organizations with user, truck, route and job counts
+router.get('/', organizationController.getOrganizations);
+
+// POST /api/organizations - Create an organization (optionally with its first admin)
+router.post('/', organizationController.createOrganization);
+
+// GET /api/organizations/:id - Get single organization
+router.get('/:id', organizationController.getOrganizationById);
+
+// PUT /api/organizations/:id - Update an organization (active: false suspends it)
+router.put('/:id', organizationController.updateOrganization);
+
+module.exports = router;
@@ -0,0 +1,49 @@
+const express = require('express');
+const router = express.Router();
+const quoteController = require('../controllers/quoteController');
+const { protect, authorizeRoles, publicOrganization } = require('../middleware/auth');
+
+// Public quote request (only when QUOTE_PUBLIC_ENABLED=true)
+
+// POST /api/quotes/public - Price and save a customer quote request
+// (for the carrier given by ?organization=<slug> or body.organization, default carrier otherwise)
+router.post('/public', publicOrganization, quoteController.createPublicQuote);
+
+// All other quote routes require authentication and admin/dispatcher access
+router.use(protect);
+router.use(authorizeRoles('ptgAdmin', 'ptgDispatcher'));
+
+// GET /api/quotes/rate-tables - Get rate tables and the active one
+router.get('/rate-tables', quoteController.getRateTables);
+
+// POST /api/quotes/rate-tables - Create a rate table
+router.post('/rate-tables', quoteController.createRateTable);
+
+// PUT /api/quotes/rate-tables/:id - Update a rate table (activate, lanes, surcharges, fuel price)
+router.put('/rate-tables/:id', quoteController.updateRateTable);
+
+// POST /api/quotes/calculate - Price a quote request without saving it
+router.post('/calculate', quoteController.calculateQuote);
+
+// GET /api/quotes/rate-suggestion - Suggested rate from the lane's delivered jobs
+router.get('/rate-suggestion', quoteController.getRateSuggestion);
+
+// GET /api/quotes/reports/conversion - Quote conversion report
+router.get('/reports/conversion', quoteController.getConversionReport);
+
+// GET /api/quotes - Get quotes
+router.get('/', quoteController.getQuotes);
+
+// POST /api/quotes - Create a quote
+router.post('/', quoteController.createQuote);
+
+// GET /api/quotes/:id - Get a quote
+router.get('/:id', quoteController.getQuoteById);
+
+// POST /api/quotes/:id/accept - Accept a quote (creates shipper, vehicles and transport jobs)
+router.post('/:id/accept', quoteController.acceptQuote);
+
+// POST /api/quotes/:id/decline - Decline a quote
+router.post('/:id/decline', quoteController.declineQuote);
+
+module.exports = router;
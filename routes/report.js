@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const reportController = require('../controllers/reportController');
+const iftaController = require('../controllers/iftaController');
+const profitabilityController = require('../controllers/profitabilityController');
+const laneController = require('../controllers/laneController');
 const { protect, authorizeRoles } = require('../middleware/auth');
 
 // All report routes require authentication and admin/dispatcher access
@@ -19,6 +22,15 @@ router.get('/trucks/:truckId', reportController.getTruckReport);
 router.get('/routes', reportController.getAllRoutesReport);
 router.get('/routes/:routeId', reportController.getRouteReport);
 
+// IFTA fuel tax report (format=json|csv|pdf)
+router.get('/ifta', iftaController.getIftaReport);
+
+// Estimated vs actual profitability of delivered vehicles (per vehicle, shipper and route)
+router.get('/profitability', profitabilityController.getProfitabilityReport);
+
+// Lane rate history and market rates (by state or 3-digit ZIP pairs)
+router.get('/lanes', laneController.getLaneReport);
+
 // Overall summary
 router.get('/summary', reportController.getOverallSummary);
 
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const routeController = require('../controllers/routeController');
+const backhaulController = require('../controllers/backhaulController');
 const { protect, authorizeRoles } = require('../middleware/auth');
 
 // All route routes require authentication
@@ -14,6 +15,9 @@ router.get('/', routeController.getAllRoutes);
 // POST /api/routes - Create new route
 router.post('/', authorizeRoles('ptgAdmin', 'ptgDispatcher'), routeController.createRoute);
 
+// GET /api/routes/backhauls - Backhaul candidates for a truck's route on a date (?truckId&date)
+router.get('/backhauls', authorizeRoles('ptgAdmin', 'ptgDispatcher'), backhaulController.getTruckBackhauls);
+
 // GET /api/routes/:id - Get single route
 router.get('/:id', routeController.getRouteById);
 
@@ -23,6 +27,15 @@ router.put('/:id', authorizeRoles('ptgAdmin', 'ptgDispatcher'), routeController.
 // DELETE /api/routes/:id - Delete route
 router.delete('/:id', authorizeRoles('ptgAdmin'), routeController.deleteRoute);
 
+// POST /api/routes/:id/optimize - Preview or apply an optimized stop sequence
+router.post('/:id/optimize', authorizeRoles('ptgAdmin', 'ptgDispatcher'), routeController.optimizeRoute);
+
+// GET /api/routes/:id/backhauls - Needs Dispatch jobs ranked as backhauls for this route
+router.get('/:id/backhauls', authorizeRoles('ptgAdmin', 'ptgDispatcher'), backhaulController.getRouteBackhauls);
+
+// POST /api/routes/:id/backhauls/:transportJobId - Append a backhaul job's pickup and drop stops to the route
+router.post('/:id/backhauls/:transportJobId', authorizeRoles('ptgAdmin', 'ptgDispatcher'), backhaulController.addBackhaulToRoute);
+
 // POST /api/routes/:routeId/remove-transport-job - Remove transport job from route
 router.post('/:routeId/remove-transport-job', authorizeRoles('ptgAdmin', 'ptgDispatcher'), routeController.removeTransportJobFromRoute);
 
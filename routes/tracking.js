@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const trackingController = require('../controllers/trackingController');
+const { rateLimit } = require('../middleware/rateLimit');
+
+// Public customer tracking routes - access is granted by the signed share token
+
+// Unauthenticated, so limit how fast one client can hit it
+const trackingRateLimit = rateLimit({
+  windowMs: parseInt(process.env.TRACKING_RATE_LIMIT_WINDOW_MS) || 60 * 1000,
+  max: parseInt(process.env.TRACKING_RATE_LIMIT_MAX) || 60,
+  message: 'Too many tracking requests, please try again later'
+});
+
+// GET /api/tracking/:token - Get shipment status, progress, ETA and delivery photos
+router.get('/:token', trackingRateLimit, trackingController.getShipmentTracking);
+
+module.exports = router;
@@ -20,6 +20,23 @@ router.get('/:id', transportJobController.getTransportJobById);
 // PUT /api/transport-jobs/:id - Update transport job
 router.put('/:id', authorizeRoles('ptgAdmin', 'ptgDispatcher'), transportJobController.updateTransportJob);
 
+// GET /api/transport-jobs/:id/tracking-links - List customer tracking links
+router.get('/:id/tracking-links', authorizeRoles('ptgAdmin', 'ptgDispatcher'), transportJobController.getTrackingLinks);
+
+// POST /api/transport-jobs/:id/tracking-links - Create a customer tracking link
+router.post('/:id/tracking-links', authorizeRoles('ptgAdmin', 'ptgDispatcher'), transportJobController.createTrackingLink);
+
+// DELETE /api/transport-jobs/:id/tracking-links/:tokenId - Revoke a customer tracking link
+router.delete('/:id/tracking-links/:tokenId', authorizeRoles('ptgAdmin', 'ptgDispatcher'), transportJobController.revokeTrackingLink);
+
+// POST /api/transport-jobs/:id/bol/signatures - Capture shipper or receiver BOL signature
+router.post('/:id/bol/signatures', transportJobController.captureBolSignature);
+
+// POST /api/transport-jobs/:id/bol - Generate the Bill of Lading PDF and store its URL on the job
+router.post('/:id/bol', transportJobController.generateBillOfLading);
+
+// GET /api/transport-jobs/:id/bol/pdf - Download the current Bill of Lading PDF
+router.get('/:id/bol/pdf', transportJobController.downloadBillOfLadingPdf);
 
 // DELETE /api/transport-jobs/:id - Delete transport job
 router.delete('/:id', authorizeRoles('ptgAdmin'), transportJobController.deleteTransportJob);
@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const truckInspectionController = require('../controllers/truckInspectionController');
+const { protect, authorizeRoles } = require('../middleware/auth');
+
+// All DVIR routes require authentication
+router.use(protect);
+
+// Routes for driver vehicle inspection reports (pre-trip/post-trip truck inspections)
+
+// GET /api/dvirs/checklist - Components to inspect
+router.get('/checklist', truckInspectionController.getChecklistTemplate);
+
+// GET /api/dvirs - Get inspections (filter by truckId, routeId, driverId, inspectionType, status, outOfService)
+router.get('/', authorizeRoles('ptgAdmin', 'ptgDispatcher'), truckInspectionController.getInspections);
+
+// POST /api/dvirs - Record a pre-trip or post-trip inspection
+router.post('/', authorizeRoles('ptgAdmin', 'ptgDispatcher', 'ptgDriver'), truckInspectionController.createInspection);
+
+// GET /api/dvirs/trucks/:truckId/status - Latest inspection and open out-of-service defects of a truck
+router.get('/trucks/:truckId/status', truckInspectionController.getTruckInspectionStatus);
+
+// GET /api/dvirs/:id - Get single inspection
+router.get('/:id', truckInspectionController.getInspectionById);
+
+// POST /api/dvirs/:id/sign-off - Mechanic certifies the defects repaired
+router.post('/:id/sign-off', authorizeRoles('ptgAdmin', 'ptgDispatcher'), truckInspectionController.signOffInspection);
+
+module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const vehicleController = require('../controllers/vehicleController');
+const vosSyncController = require('../controllers/vosSyncController');
+const bulkImportController = require('../controllers/bulkImportController');
 const { protect, optionalAuth, authorizeRoles } = require('../middleware/auth');
 
 // Apply optional auth for API key authentication from VOS
@@ -14,15 +16,39 @@ router.get('/', vehicleController.getAllVehicles);
 // GET /api/vehicles/sources - Get all unique sources
 router.get('/sources', vehicleController.getVehicleSources);
 
+// GET /api/vehicles/decode/:vin - Decode a VIN (check digit, make, model year)
+router.get('/decode/:vin', vehicleController.decodeVin);
+
 // GET /api/vehicles/vin/:vin - Get vehicle by VIN
 router.get('/vin/:vin', vehicleController.getVehicleByVin);
 
 // POST /api/vehicles - Create new vehicle
 router.post('/', vehicleController.createVehicle);
 
-// POST /api/vehicles/import-vos - Import vehicle from VOS Central Dispatch
+// POST /api/vehicles/import-vos - Import vehicle from VOS Central Dispatch (merges into an existing VIN)
 router.post('/import-vos', vehicleController.importFromVOS);
 
+// GET /api/vehicles/import/columns - Columns accepted by the bulk import
+router.get('/import/columns', authorizeRoles('ptgAdmin', 'ptgDispatcher'), bulkImportController.getVehicleImportColumns);
+
+// POST /api/vehicles/import - Bulk import vehicles from CSV/XLSX (dry-run preview by default)
+router.post('/import', authorizeRoles('ptgAdmin', 'ptgDispatcher'), bulkImportController.importVehicles);
+
+// GET /api/vehicles/vos-sync/status - VOS sync overview (outbound queue, conflicts)
+router.get('/vos-sync/status', authorizeRoles('ptgAdmin', 'ptgDispatcher'), vosSyncController.getSyncStatus);
+
+// GET /api/vehicles/vos-sync/outbound - Get outbound VOS status messages
+router.get('/vos-sync/outbound', authorizeRoles('ptgAdmin', 'ptgDispatcher'), vosSyncController.getOutboundMessages);
+
+// POST /api/vehicles/vos-sync/outbound/:messageId/retry - Retry a failed outbound message
+router.post('/vos-sync/outbound/:messageId/retry', authorizeRoles('ptgAdmin'), vosSyncController.retryOutboundMessage);
+
+// GET /api/vehicles/:id/vos-sync - Get VOS sync state of a vehicle
+router.get('/:id/vos-sync', authorizeRoles('ptgAdmin', 'ptgDispatcher'), vosSyncController.getVehicleSyncStatus);
+
+// POST /api/vehicles/:id/vos-sync/resolve - Resolve a VOS sync conflict
+router.post('/:id/vos-sync/resolve', authorizeRoles('ptgAdmin', 'ptgDispatcher'), vosSyncController.resolveConflict);
+
 // GET /api/vehicles/:id - Get single vehicle
 router.get('/:id', vehicleController.getVehicleById);
 
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const vehicleInspectionController = require('../controllers/vehicleInspectionController');
+const { protect, authorizeRoles } = require('../middleware/auth');
+
+// All inspection routes require authentication
+router.use(protect);
+
+// Routes for vehicle damage inspections
+
+// GET /api/inspections - Get inspections (filter by transportJobId, vehicleId, routeId, flaggedForClaim)
+router.get('/', authorizeRoles('ptgAdmin', 'ptgDispatcher'), vehicleInspectionController.getInspections);
+
+// POST /api/inspections - Record or replace the inspection of a pickup/drop stop
+router.post('/', authorizeRoles('ptgAdmin', 'ptgDispatcher', 'ptgDriver'), vehicleInspectionController.saveStopInspection);
+
+// GET /api/inspections/transport-jobs/:transportJobId/comparison - Compare pickup vs delivery inspection
+router.get('/transport-jobs/:transportJobId/comparison', authorizeRoles('ptgAdmin', 'ptgDispatcher'), vehicleInspectionController.compareTransportJobInspections);
+
+// GET /api/inspections/:id - Get single inspection
+router.get('/:id', authorizeRoles('ptgAdmin', 'ptgDispatcher'), vehicleInspectionController.getInspectionById);
+
+module.exports = router;
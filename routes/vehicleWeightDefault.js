@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const vehicleWeightDefaultController = require('../controllers/vehicleWeightDefaultController');
+const { protect, authorizeRoles } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(protect);
+
+// Routes for vehicle weight defaults (used by truck capacity checks)
+
+// GET /api/vehicle-weight-defaults - Get configured and built-in defaults
+router.get('/', vehicleWeightDefaultController.getAllVehicleWeightDefaults);
+
+// GET /api/vehicle-weight-defaults/resolve?make=&model= - Resolve the weight used for a make/model
+router.get('/resolve', vehicleWeightDefaultController.resolveVehicleWeight);
+
+// POST /api/vehicle-weight-defaults - Create or update default for a make/model
+router.post('/', authorizeRoles('ptgAdmin', 'ptgDispatcher'), vehicleWeightDefaultController.upsertVehicleWeightDefault);
+
+// DELETE /api/vehicle-weight-defaults/:id - Delete default
+router.delete('/:id', authorizeRoles('ptgAdmin'), vehicleWeightDefaultController.deleteVehicleWeightDefault);
+
+module.exports = router;
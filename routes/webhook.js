@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhookController');
+const { protect, authorizeRoles } = require('../middleware/auth');
+
+// All webhook routes require authentication and admin role
+router.use(protect);
+router.use(authorizeRoles('ptgAdmin'));
+
+// Routes for webhook endpoints
+
+// GET /api/webhooks/events - List subscribable events
+router.get('/events', webhookController.getWebhookEvents);
+
+// GET /api/webhooks/endpoints - Get all webhook endpoints
+router.get('/endpoints', webhookController.getEndpoints);
+
+// POST /api/webhooks/endpoints - Register a webhook endpoint
+router.post('/endpoints', webhookController.createEndpoint);
+
+// GET /api/webhooks/endpoints/:id - Get single webhook endpoint
+router.get('/endpoints/:id', webhookController.getEndpointById);
+
+// PUT /api/webhooks/endpoints/:id - Update webhook endpoint
+router.put('/endpoints/:id', webhookController.updateEndpoint);
+
+// POST /api/webhooks/endpoints/:id/rotate-secret - Generate a new signing secret
+router.post('/endpoints/:id/rotate-secret', webhookController.rotateEndpointSecret);
+
+// DELETE /api/webhooks/endpoints/:id - Delete webhook endpoint
+router.delete('/endpoints/:id', webhookController.deleteEndpoint);
+
+// Routes for webhook delivery logs
+
+// GET /api/webhooks/deliveries - Get delivery logs (with pagination and filters)
+router.get('/deliveries', webhookController.getDeliveries);
+
+// GET /api/webhooks/deliveries/:id - Get single delivery with payload and attempts
+router.get('/deliveries/:id', webhookController.getDeliveryById);
+
+// POST /api/webhooks/deliveries/:id/replay - Replay a delivery
+router.post('/deliveries/:id/replay', webhookController.replayDelivery);
+
+module.exports = router;
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const { getDefaultOrganization } = require('../utils/organizationService');
+const { DEFAULT_ORGANIZATION } = require('../constants/organization');
+
+// Load environment variables
+dotenv.config();
+
+// Global indexes replaced by per-organization ones ({ organizationId, ... }) in the models
+const LEGACY_INDEXES = [
+  { modelName: 'FuelCardTransaction', index: 'fingerprint_1' },
+  { modelName: 'Invoice', index: 'invoiceNumber_1' },
+  { modelName: 'Quote', index: 'quoteNumber_1' },
+  { modelName: 'DriverSettlement', index: 'settlementNumber_1' },
+  { modelName: 'VehicleWeightDefault', index: 'make_1_model_1' }
+];
+
+/**
+ * Migration script to move existing data into the default organization
+ * This script:
+ * 1. Creates the default organization (Premium Transport Group, slug "ptg") if it doesn't exist
+ * 2. Assigns every document without an organization, in every organization-scoped collection, to it
+ * 3. Replaces global indexes (fuel card fingerprint, document numbers, vehicle weight defaults) with per-organization ones
+ * 4. Optionally grants super admin access: --super-admin=<email>
+ * Run with --dry-run to only report what would change. Safe to run more than once.
+ */
+async function migrateOrganizations({ dryRun = false, superAdminEmail = null } = {}) {
+  console.log(`🚀 Starting organization migration${dryRun ? ' (dry run)' : ''}...\n`);
+
+  // Connect to MongoDB
+  const connectDB = require('../config/database');
+  await connectDB();
+  console.log('✅ Connected to MongoDB\n');
+
+  // Register every model so all scoped collections are migrated
+  const modelsDir = path.join(__dirname, '..', 'models');
+  fs.readdirSync(modelsDir)
+    .filter(file => file.endsWith('.js'))
+    .forEach(file => require(path.join(modelsDir, file)));
+  const scopedModels = mongoose.modelNames()
+    .map(name => mongoose.model(name))
+    .filter(Model => Model.schema.path('organizationId'));
+
+  const organization = await getDefaultOrganization({ create: !dryRun });
+  if (organization) {
+    console.log(`🏢 Default organization: ${organization.name} (${organization.slug}, ${organization._id})\n`);
+  } else {
+    console.log(`🏢 Default organization ${DEFAULT_ORGANIZATION.NAME} (${DEFAULT_ORGANIZATION.SLUG}) would be created\n`);
+  }
+
+  let totalAssigned = 0;
+  for (const Model of scopedModels) {
+    const filter = { organizationId: null };
+    const count = await Model.countDocuments(filter);
+    if (count === 0) {
+      console.log(`   ${Model.modelName}: nothing to migrate`);
+      continue;
+    }
+
+    if (!dryRun) {
+      await Model.updateMany(filter, { $set: { organizationId: organization._id } }, { timestamps: false });
+    }
+    console.log(`   ${Model.modelName}: ${count} ${dryRun ? 'would be assigned' : 'assigned'}`);
+    totalAssigned += count;
+  }
+
+  // Replace global indexes (the unique fuel card fingerprint would block other organizations importing the same transactions)
+  for (const { modelName, index } of LEGACY_INDEXES) {
+    const Model = mongoose.model(modelName);
+    const hasLegacyIndex = await Model.collection.indexExists(index).catch(() => false);
+    if (!hasLegacyIndex) continue;
+
+    if (!dryRun) {
+      await Model.collection.dropIndex(index);
+      await Model.createIndexes();
+    }
+    console.log(`\n🔑 ${modelName} index ${index} ${dryRun ? 'would be' : 'was'} replaced with a per-organization index`);
+  }
+
+  if (superAdminEmail) {
+    const User = mongoose.model('User');
+    const users = await User.find({ email: superAdminEmail.toLowerCase().trim() }).select('_id');
+    if (users.length === 0) {
+      console.log(`\n⚠️  No user found with email ${superAdminEmail}; super admin not granted`);
+    } else {
+      if (!dryRun) {
+        await User.updateMany({ _id: { $in: users.map(user => user._id) } }, { $set: { isSuperAdmin: true } });
+      }
+      console.log(`\n👑 ${superAdminEmail} ${dryRun ? 'would be' : 'is now'} a super admin`);
+    }
+  }
+
+  console.log('\n' + '='.repeat(60));
+  console.log('📋 MIGRATION SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`Scoped collections checked: ${scopedModels.length}`);
+  console.log(`Documents ${dryRun ? 'to assign' : 'assigned'} to the default organization: ${totalAssigned}`);
+  console.log('='.repeat(60) + '\n');
+
+  console.log(dryRun ? '✅ Dry run completed (no changes made)' : '✅ Migration completed successfully!');
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const superAdminArg = args.find(arg => arg.startsWith('--super-admin='));
+
+  migrateOrganizations({
+    dryRun: args.includes('--dry-run'),
+    superAdminEmail: superAdminArg ? superAdminArg.split('=')[1] : null
+  })
+    .then(() => {
+      console.log('Migration script finished');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('❌ Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrateOrganizations };
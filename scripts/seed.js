@@ -14,6 +14,8 @@ const Route = require('../models/Route');
 const Expense = require('../models/Expense');
 const CalendarEvent = require('../models/CalendarEvent');
 const RouteTracking = require('../models/routeTracker');
+const { getDefaultOrganization } = require('../utils/organizationService');
+const { enterOrganization } = require('../utils/tenantContext');
 
 // Connect to MongoDB
 const connectDB = async () => {
@@ -34,6 +36,11 @@ const seedDatabase = async () => {
   try {
     await connectDB();
 
+    // Seed data belongs to the default organization
+    const organization = await getDefaultOrganization({ create: true });
+    enterOrganization(organization._id);
+    console.log(`Seeding organization ${organization.name}`);
+
     // Clear existing data (optional - comment out if you want to keep existing data)
     console.log('Clearing existing data...');
     await User.deleteMany({});
@@ -9,6 +9,8 @@ const Shipper = require('../models/Shipper');
 const Vehicle = require('../models/Vehicle');
 const TransportJob = require('../models/TransportJob');
 const { VEHICLE_STATUS, TRANSPORT_JOB_STATUS } = require('../constants/status');
+const { getDefaultOrganization } = require('../utils/organizationService');
+const { enterOrganization } = require('../utils/tenantContext');
 
 // Connect to MongoDB
 const connectDB = async () => {
@@ -42,6 +44,11 @@ const seedDatabase = async () => {
   try {
     await connectDB();
 
+    // Seed data belongs to the default organization
+    const organization = await getDefaultOrganization({ create: true });
+    enterOrganization(organization._id);
+    console.log(`Seeding organization ${organization.name}`);
+
     // Clear existing data (optional - comment out if you want to keep existing data)
     console.log('Clearing existing data...');
     await Vehicle.deleteMany({});
@@ -0,0 +1,177 @@
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const ExcelJS = require('exceljs');
+
+const Vehicle = require('../models/Vehicle');
+const Shipper = require('../models/Shipper');
+const {
+  detectFormat,
+  parseSpreadsheet,
+  buildColumnMapping,
+  convertValue,
+  previewImport
+} = require('../utils/bulkImportService');
+const { IMPORT_COLUMNS } = require('../constants/bulkImport');
+const { fakeQuery } = require('./helpers/fakeQuery');
+
+const column = (entityType, field) => IMPORT_COLUMNS[entityType].find(entry => entry.field === field);
+
+const csv = (lines) => Buffer.from(lines.join('\n'));
+
+describe('detectFormat', () => {
+  test('uses the file extension, then the data URL type', () => {
+    assert.strictEqual(detectFormat('vehicles.XLSX'), 'xlsx');
+    assert.strictEqual(detectFormat('vehicles.csv'), 'csv');
+    assert.strictEqual(detectFormat('', 'data:application/vnd.openxmlformats-officedocument.spreadsheetml.sheet;base64'), 'xlsx');
+    assert.strictEqual(detectFormat('upload', 'data:text/csv;base64'), 'csv');
+    assert.strictEqual(detectFormat('vehicles.pdf', 'data:application/pdf;base64'), null);
+  });
+});
+
+describe('parseSpreadsheet', () => {
+  test('reads CSV values as text and skips blank rows', async () => {
+    const { headers, rows } = await parseSpreadsheet(csv([
+      'VIN,Pickup Zip',
+      '1HGCM82633A004352,01234',
+      ',',
+      '5YJ3E1EA7KF317000,02115'
+    ]), 'csv');
+
+    assert.deepStrictEqual(headers, ['VIN', 'Pickup Zip']);
+    assert.deepStrictEqual(rows, [
+      { rowNumber: 2, values: ['1HGCM82633A004352', '01234'] },
+      { rowNumber: 4, values: ['5YJ3E1EA7KF317000', '02115'] }
+    ]);
+  });
+
+  test('reads the first worksheet of an XLSX file', async () => {
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Loads');
+    worksheet.addRow(['Description', 'Qty']);
+    worksheet.addRow([{ richText: [{ text: 'Steel ' }, { text: 'coils' }] }, 4]);
+    workbook.addWorksheet('Notes').addRow(['ignored']);
+
+    const { headers, rows } = await parseSpreadsheet(await workbook.xlsx.writeBuffer(), 'xlsx');
+    assert.deepStrictEqual(headers, ['Description', 'Qty']);
+    assert.deepStrictEqual(rows, [{ rowNumber: 2, values: ['Steel coils', 4] }]);
+  });
+});
+
+describe('buildColumnMapping', () => {
+  test('matches field names, names without the initial prefix and aliases', () => {
+    const { mapping, unmappedColumns, missingRequiredFields } = buildColumnMapping(
+      ['VIN', 'Model Year', 'Make', 'Pickup City', 'Dealer', 'Color'],
+      'vehicle'
+    );
+
+    assert.deepStrictEqual(mapping, {
+      VIN: 'vin',
+      'Model Year': 'year',
+      Make: 'make',
+      'Pickup City': 'initialPickupCity',
+      Dealer: 'shipperCompany'
+    });
+    assert.deepStrictEqual(unmappedColumns, ['Color']);
+    assert.deepStrictEqual(missingRequiredFields, ['model']);
+  });
+
+  test('applies overrides and reads each field from one column only', () => {
+    const { mapping, unmappedColumns } = buildColumnMapping(
+      ['Description', 'Item', 'Type', 'Qty'],
+      'load',
+      { Type: null, Qty: 'quantity' }
+    );
+
+    assert.deepStrictEqual(mapping, { Description: 'description', Qty: 'quantity' });
+    assert.deepStrictEqual(unmappedColumns, ['Item', 'Type']);
+  });
+});
+
+describe('convertValue', () => {
+  test('normalizes VINs and warns about a wrong check digit', () => {
+    assert.deepStrictEqual(convertValue(column('vehicle', 'vin'), ' 1hgcm82633a004352 '),
+      { value: '1HGCM82633A004352', error: null, warning: null });
+    assert.match(convertValue(column('vehicle', 'vin'), '1HGCM82633A004353').warning, /Check digit/);
+    assert.match(convertValue(column('vehicle', 'vin'), '1HGCM826').error, /17 characters/);
+  });
+
+  test('validates years', () => {
+    assert.deepStrictEqual(convertValue(column('vehicle', 'year'), '2019'), { value: 2019, error: null });
+    assert.match(convertValue(column('vehicle', 'year'), '1850').error, /Year must be between 1900/);
+  });
+
+  test('parses numbers with currency formatting and rejects negatives and fractions', () => {
+    assert.deepStrictEqual(convertValue(column('vehicle', 'carrierPayment'), '$1,250.50'), { value: 1250.5, error: null });
+    assert.strictEqual(convertValue(column('vehicle', 'weight'), '-5').error, 'weight must be a number of 0 or more');
+    assert.strictEqual(convertValue(column('load', 'quantity'), '2.5').error, 'quantity must be a whole number of 0 or more');
+  });
+
+  test('validates dates, emails and enums', () => {
+    assert.ok(convertValue(column('vehicle', 'pickupDateStart'), '2025-05-05').value instanceof Date);
+    assert.strictEqual(convertValue(column('vehicle', 'pickupDateStart'), 'soon').error, 'pickupDateStart is not a valid date');
+    assert.deepStrictEqual(convertValue(column('vehicle', 'shipperEmail'), 'Ops@Dealer.com'), { value: 'ops@dealer.com', error: null });
+    assert.match(convertValue(column('vehicle', 'shipperEmail'), 'dealer').error, /not a valid email/);
+    assert.deepStrictEqual(convertValue(column('vehicle', 'deliveryPriority'), 'urgent'), { value: 'Urgent', error: null });
+    assert.match(convertValue(column('vehicle', 'deliveryPriority'), 'asap').error, /must be one of: Low, Normal, High, Urgent/);
+  });
+});
+
+describe('previewImport', () => {
+  let existingVins;
+  let existingShippers;
+
+  beforeEach(() => {
+    existingVins = [];
+    existingShippers = [];
+    mock.method(Vehicle, 'find', (filter) => fakeQuery(existingVins
+      .filter(vin => filter.vin.$in.includes(vin))
+      .map(vin => ({ _id: `vehicle-${vin}`, vin }))));
+    mock.method(Shipper, 'findOne', (filter) => fakeQuery(existingShippers
+      .find(shipper => shipper.shipperCompany === filter.shipperCompany) || null));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  test('validates rows and flags duplicate and existing VINs', async () => {
+    existingVins = ['5YJ3E1EA7KF317000'];
+
+    const preview = await previewImport('vehicle', csv([
+      'VIN,Year,Make,Model,Rate',
+      '1HGCM82633A004352,2003,Honda,Accord,850',
+      '1hgcm82633a004352,2003,Honda,Accord,850',
+      '5YJ3E1EA7KF317000,2019,Tesla,Model 3,900',
+      '1M8GDM9AXKP042788,1850,,Bus,free'
+    ]), 'csv');
+
+    assert.strictEqual(preview.totalRows, 4);
+    assert.strictEqual(preview.validRows, 1);
+    assert.deepStrictEqual(preview.rows.map(row => row.status), ['valid', 'invalid', 'invalid', 'invalid']);
+    assert.deepStrictEqual(preview.rows[0].data, { vin: '1HGCM82633A004352', year: 2003, make: 'Honda', model: 'Accord' });
+    assert.deepStrictEqual(preview.rows[0].transportJob, { carrierPayment: 850 });
+    assert.strictEqual(preview.rows[1].errors[0].message, 'Duplicate VIN in file (first seen on row 2)');
+    assert.strictEqual(preview.rows[2].errors[0].existingVehicleId, 'vehicle-5YJ3E1EA7KF317000');
+    assert.deepStrictEqual(preview.rows[3].errors.map(error => error.field), ['year', 'carrierPayment', 'make']);
+  });
+
+  test('shows which shippers will be reused or created', async () => {
+    existingShippers = [{ _id: 'shipper1', shipperCompany: 'Metro Motors' }];
+
+    const preview = await previewImport('load', csv([
+      'Description,Shipper,Company',
+      'Steel coils,Ann,Metro Motors',
+      'Lumber,Bob,New Dealer',
+      'Pipes,Bob,New Dealer',
+      'Tiles,,Lonely Dealer'
+    ]), 'csv');
+
+    assert.deepStrictEqual(preview.rows[0].shipper, { action: 'use_existing', shipperId: 'shipper1', shipperCompany: 'Metro Motors' });
+    assert.deepStrictEqual(preview.rows[1].shipper, { action: 'create', shipperCompany: 'New Dealer' });
+    assert.strictEqual(preview.rows[3].shipper, undefined);
+    assert.match(preview.rows[3].warnings[0], /Shipper name and company are both needed/);
+    assert.strictEqual(preview.shippersToCreate, 1);
+  });
+
+  test('rejects files without data rows', async () => {
+    await assert.rejects(previewImport('vehicle', csv(['VIN,Year']), 'csv'), /no data rows/);
+  });
+});
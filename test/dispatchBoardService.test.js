@@ -0,0 +1,290 @@
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+
+const Route = require('../models/Route');
+const Truck = require('../models/Truck');
+const TransportJob = require('../models/TransportJob');
+const VehicleWeightDefault = require('../models/VehicleWeightDefault');
+const complianceService = require('../utils/complianceService');
+const {
+  CONFLICT_TYPES,
+  windowsOverlap,
+  findPrecedenceViolation,
+  getBlockingConflicts,
+  detectConflicts,
+  planMove
+} = require('../utils/dispatchBoardService');
+const { ROUTE_STATUS, ROUTE_STOP_STATUS, ROUTE_STOP_TYPE, TRANSPORT_JOB_STATUS, TRUCK_STATUS } = require('../constants/status');
+const { fakeQuery } = require('./helpers/fakeQuery');
+
+// In-memory documents the mocked model methods read from
+let db;
+
+beforeEach(() => {
+  db = { routes: [], trucks: [], jobs: [] };
+  const byId = (documents) => (id) => fakeQuery(documents().find(document => document._id === String(id)) || null);
+
+  mock.method(Route, 'findById', byId(() => db.routes));
+  mock.method(Route, 'find', (filter) => fakeQuery(db.routes.filter(route =>
+    !filter._id.$nin.map(String).includes(route._id))));
+  mock.method(Truck, 'findById', byId(() => db.trucks));
+  mock.method(TransportJob, 'findById', byId(() => db.jobs));
+  mock.method(TransportJob, 'find', (filter) => fakeQuery(db.jobs.filter(job =>
+    filter._id.$in.map(String).includes(job._id))));
+  mock.method(VehicleWeightDefault, 'find', () => fakeQuery([]));
+  mock.method(complianceService, 'checkRouteAssignment', async () => ({ allowed: true, message: null, expired: [] }));
+});
+
+afterEach(() => mock.restoreAll());
+
+const day = (date) => new Date(`${date}T12:00:00`);
+
+const stop = (id, stopType, sequence, fields = {}) => ({
+  _id: id,
+  stopType,
+  sequence,
+  status: ROUTE_STOP_STATUS.PENDING,
+  ...fields
+});
+
+const makeRoute = (id, fields = {}) => ({
+  _id: id,
+  routeNumber: id.toUpperCase(),
+  status: ROUTE_STATUS.PLANNED,
+  driverId: 'driver1',
+  truckId: 'truck1',
+  plannedStartDate: day('2025-05-05'),
+  plannedEndDate: day('2025-05-07'),
+  stops: [
+    stop(`${id}-start`, ROUTE_STOP_TYPE.START, 1),
+    stop(`${id}-end`, ROUTE_STOP_TYPE.END, 2)
+  ],
+  ...fields
+});
+
+const makeJob = (id, fields = {}) => ({
+  _id: id,
+  status: TRANSPORT_JOB_STATUS.NEEDS_DISPATCH,
+  loadType: 'vehicle',
+  pickupCity: 'Dallas',
+  pickupState: 'TX',
+  dropCity: 'Austin',
+  dropState: 'TX',
+  ...fields
+});
+
+describe('windowsOverlap', () => {
+  test('detects overlapping windows but not back-to-back ones', () => {
+    const a = { start: day('2025-05-05'), end: day('2025-05-07') };
+    assert.strictEqual(windowsOverlap(a, { start: day('2025-05-06'), end: day('2025-05-08') }), true);
+    assert.strictEqual(windowsOverlap(a, { start: day('2025-05-07'), end: day('2025-05-08') }), false);
+  });
+});
+
+describe('getBlockingConflicts', () => {
+  const conflicts = [
+    { type: 'a', blocking: true, overridable: true },
+    { type: 'b', blocking: true, overridable: false },
+    { type: 'c', blocking: false, overridable: true }
+  ];
+
+  test('returns every blocking conflict', () => {
+    assert.deepStrictEqual(getBlockingConflicts(conflicts).map(conflict => conflict.type), ['a', 'b']);
+  });
+
+  test('lets force override only overridable conflicts', () => {
+    assert.deepStrictEqual(getBlockingConflicts(conflicts, true).map(conflict => conflict.type), ['b']);
+  });
+});
+
+describe('findPrecedenceViolation', () => {
+  test('finds a drop ahead of its pickup', () => {
+    assert.strictEqual(findPrecedenceViolation([
+      stop('p', ROUTE_STOP_TYPE.PICKUP, 2, { transportJobId: 'job1' }),
+      stop('d', ROUTE_STOP_TYPE.DROP, 1, { transportJobId: 'job1' })
+    ]), 'job1');
+  });
+
+  test('accepts pickups before drops and drops picked up on another route', () => {
+    assert.strictEqual(findPrecedenceViolation([
+      stop('d2', ROUTE_STOP_TYPE.DROP, 1, { transportJobId: 'job2' }),
+      stop('p', ROUTE_STOP_TYPE.PICKUP, 2, { transportJobId: 'job1' }),
+      stop('d', ROUTE_STOP_TYPE.DROP, 3, { transportJobId: 'job1' })
+    ]), null);
+  });
+});
+
+describe('detectConflicts', () => {
+  test('reports a driver and truck on another route at the same time', async () => {
+    db.routes = [
+      makeRoute('overlapping', { plannedStartDate: day('2025-05-06'), plannedEndDate: day('2025-05-08') }),
+      makeRoute('next', { plannedStartDate: day('2025-05-07'), plannedEndDate: day('2025-05-09') })
+    ];
+
+    const conflicts = await detectConflicts(makeRoute('route1'));
+    assert.deepStrictEqual(conflicts.map(conflict => [conflict.type, conflict.conflictingRouteId]), [
+      [CONFLICT_TYPES.DRIVER_DOUBLE_BOOKED, 'overlapping'],
+      [CONFLICT_TYPES.TRUCK_DOUBLE_BOOKED, 'overlapping']
+    ]);
+    assert.ok(conflicts.every(conflict => conflict.blocking && conflict.overridable));
+  });
+
+  test('compares with draft routes instead of the saved routes they replace', async () => {
+    db.routes = [makeRoute('route2')];
+    const draft = makeRoute('draft', { driverId: 'driver2' });
+
+    const conflicts = await detectConflicts(makeRoute('route1'), { excludeRouteIds: ['route2'], otherRoutes: [draft] });
+    assert.deepStrictEqual(conflicts.map(conflict => conflict.type), [CONFLICT_TYPES.TRUCK_DOUBLE_BOOKED]);
+  });
+
+  test('reports a truck in maintenance', async () => {
+    db.trucks = [{ _id: 'truck1', truckNumber: 'T-1', status: TRUCK_STATUS.MAINTENANCE }];
+
+    const [conflict] = await detectConflicts(makeRoute('route1'));
+    assert.strictEqual(conflict.type, CONFLICT_TYPES.TRUCK_UNAVAILABLE);
+    assert.strictEqual(conflict.message, 'Truck T-1 is Maintenance');
+  });
+
+  test('reports an overloaded truck', async () => {
+    db.trucks = [{ _id: 'truck1', truckNumber: 'T-1', status: TRUCK_STATUS.AVAILABLE, loadCapacity: 1000 }];
+    db.jobs = [makeJob('job1', { loadType: 'load', loadId: { weight: 1500, quantity: 1 } })];
+    const route = makeRoute('route1');
+    route.stops.splice(1, 0,
+      stop('p', ROUTE_STOP_TYPE.PICKUP, 1.5, { transportJobId: 'job1' }),
+      stop('d', ROUTE_STOP_TYPE.DROP, 1.6, { transportJobId: 'job1' }));
+
+    const [conflict] = await detectConflicts(route);
+    assert.strictEqual(conflict.type, CONFLICT_TYPES.OVER_CAPACITY);
+    assert.strictEqual(conflict.blocking, true);
+    assert.strictEqual(conflict.capacity.maxOnboardWeight, 1500);
+  });
+
+  test('reports expired compliance documents as not overridable', async () => {
+    complianceService.checkRouteAssignment.mock.mockImplementation(async () => ({
+      allowed: false,
+      message: 'Expired compliance documents: driver Jane Doe CDL',
+      expired: [{ ownerType: 'driver' }]
+    }));
+
+    const [conflict] = await detectConflicts(makeRoute('route1'));
+    assert.strictEqual(conflict.type, CONFLICT_TYPES.COMPLIANCE_EXPIRED);
+    assert.strictEqual(conflict.overridable, false);
+    assert.deepStrictEqual(getBlockingConflicts([conflict], true), [conflict]);
+  });
+
+  test('reports moved stops scheduled outside the route dates', async () => {
+    const movedStops = [
+      stop('p', ROUTE_STOP_TYPE.PICKUP, 2, { transportJobId: 'job1', scheduledDate: day('2025-05-07') }),
+      stop('d', ROUTE_STOP_TYPE.DROP, 3, { transportJobId: 'job1', scheduledDate: day('2025-05-09') })
+    ];
+
+    const conflicts = await detectConflicts(makeRoute('route1'), { movedStops });
+    assert.deepStrictEqual(conflicts.map(conflict => [conflict.type, conflict.stopType]), [
+      [CONFLICT_TYPES.OUTSIDE_ROUTE_DATES, ROUTE_STOP_TYPE.DROP]
+    ]);
+  });
+});
+
+describe('planMove', () => {
+  test('assigns a pool job to a route ahead of its end stop', async () => {
+    db.jobs = [makeJob('job1', { pickupDateStart: day('2025-05-05'), dropDateStart: day('2025-05-06') })];
+    db.routes = [makeRoute('route1')];
+
+    const plan = await planMove({ transportJobId: 'job1', toRouteId: 'route1' });
+    assert.strictEqual(plan.error, undefined);
+    assert.strictEqual(plan.fromStops, null);
+    assert.deepStrictEqual(plan.toStops.map(item => [item.stopType, item.sequence]), [
+      [ROUTE_STOP_TYPE.START, 1],
+      [ROUTE_STOP_TYPE.PICKUP, 2],
+      [ROUTE_STOP_TYPE.DROP, 3],
+      [ROUTE_STOP_TYPE.END, 4]
+    ]);
+    assert.strictEqual(plan.toStops[1].location.city, 'Dallas');
+    assert.deepStrictEqual(plan.conflicts, []);
+  });
+
+  test('moves a job between routes and renumbers both', async () => {
+    db.jobs = [makeJob('job1', { status: TRANSPORT_JOB_STATUS.DISPATCHED })];
+    db.routes = [
+      makeRoute('from', {
+        driverId: 'driver2',
+        truckId: 'truck2',
+        stops: [
+          stop('start', ROUTE_STOP_TYPE.START, 1),
+          stop('p1', ROUTE_STOP_TYPE.PICKUP, 2, { transportJobId: 'job1', eta: new Date() }),
+          stop('p2', ROUTE_STOP_TYPE.PICKUP, 3, { transportJobId: 'job2' }),
+          stop('d1', ROUTE_STOP_TYPE.DROP, 4, { transportJobId: 'job1' }),
+          stop('d2', ROUTE_STOP_TYPE.DROP, 5, { transportJobId: 'job2' })
+        ]
+      }),
+      makeRoute('to')
+    ];
+
+    const plan = await planMove({ transportJobId: 'job1', fromRouteId: 'from', toRouteId: 'to', position: '2' });
+    assert.deepStrictEqual(plan.fromStops.map(item => [item._id, item.sequence]), [['start', 1], ['p2', 2], ['d2', 3]]);
+    assert.deepStrictEqual(plan.toStops.map(item => item._id), ['to-start', 'p1', 'd1', 'to-end']);
+    assert.strictEqual(plan.movedStops[0].eta, undefined);
+  });
+
+  test('rejects a move that places a drop before its pickup', async () => {
+    db.jobs = [makeJob('job1', { status: TRANSPORT_JOB_STATUS.DISPATCHED })];
+    db.routes = [
+      makeRoute('from', {
+        stops: [stop('d1', ROUTE_STOP_TYPE.DROP, 1, { transportJobId: 'job1' })]
+      }),
+      makeRoute('to', {
+        stops: [
+          stop('start', ROUTE_STOP_TYPE.START, 1),
+          stop('p1', ROUTE_STOP_TYPE.PICKUP, 2, { transportJobId: 'job1' })
+        ]
+      })
+    ];
+
+    const plan = await planMove({ transportJobId: 'job1', fromRouteId: 'from', toRouteId: 'to', position: 2 });
+    assert.deepStrictEqual(plan, { error: 'Stop order places a drop before its pickup' });
+  });
+
+  test('only moves pending stops', async () => {
+    db.jobs = [makeJob('job1', { status: TRANSPORT_JOB_STATUS.IN_TRANSIT })];
+    db.routes = [
+      makeRoute('from', {
+        stops: [
+          stop('p1', ROUTE_STOP_TYPE.PICKUP, 1, { transportJobId: 'job1', status: ROUTE_STOP_STATUS.COMPLETED }),
+          stop('d1', ROUTE_STOP_TYPE.DROP, 2, { transportJobId: 'job1' })
+        ]
+      }),
+      makeRoute('to')
+    ];
+
+    const plan = await planMove({ transportJobId: 'job1', fromRouteId: 'from', toRouteId: 'to' });
+    assert.match(plan.error, /Only pending stops can be moved/);
+  });
+
+  test('rejects invalid sources and targets', async () => {
+    db.jobs = [
+      makeJob('job1'),
+      makeJob('job2', { status: TRANSPORT_JOB_STATUS.DISPATCHED, pickupRouteId: 'route1' })
+    ];
+    db.routes = [makeRoute('route1'), makeRoute('done', { status: ROUTE_STATUS.COMPLETED })];
+
+    assert.deepStrictEqual(await planMove({ transportJobId: 'missing', toRouteId: 'route1' }),
+      { error: 'Transport job not found', notFound: true });
+    assert.deepStrictEqual(await planMove({ transportJobId: 'job1', toRouteId: 'missing' }),
+      { error: 'Target route not found', notFound: true });
+    assert.deepStrictEqual(await planMove({ transportJobId: 'job1', toRouteId: 'done' }),
+      { error: 'Cannot move a transport job to a route that is completed' });
+    assert.deepStrictEqual(await planMove({ transportJobId: 'job1', fromRouteId: 'route1', toRouteId: 'route1' }),
+      { error: 'Source and target route are the same' });
+    assert.match((await planMove({ transportJobId: 'job2', toRouteId: 'route1' })).error, /Only Needs Dispatch/);
+  });
+
+  test('rejects a job already on the target route', async () => {
+    db.jobs = [makeJob('job1')];
+    const route = makeRoute('route1');
+    route.stops.push(stop('p1', ROUTE_STOP_TYPE.PICKUP, 3, { transportJobId: 'job1' }));
+    db.routes = [route];
+
+    const plan = await planMove({ transportJobId: 'job1', toRouteId: 'route1' });
+    assert.deepStrictEqual(plan, { error: 'Target route already has a pickup stop for this transport job' });
+  });
+});
@@ -0,0 +1,202 @@
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const Route = require('../models/Route');
+const RouteTracking = require('../models/routeTracker');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const emailService = require('../utils/emailService');
+const {
+  LATE_MARGIN_MINUTES,
+  getWindowEnd,
+  calculateObservedSpeed,
+  computeStopEtas,
+  updateRouteEtas
+} = require('../utils/etaService');
+const { DEFAULT_SERVICE_TIME_SECONDS } = require('../utils/routeOptimizer');
+const { ROUTE_STATUS, ROUTE_STOP_STATUS, ROUTE_STOP_TYPE } = require('../constants/status');
+const { fakeQuery } = require('./helpers/fakeQuery');
+
+const MINUTE_MS = 60 * 1000;
+const NOW = new Date('2025-05-05T12:00:00Z');
+const SERVICE_MINUTES = DEFAULT_SERVICE_TIME_SECONDS / 60;
+
+const minutesFromNow = (minutes) => new Date(NOW.getTime() + minutes * MINUTE_MS);
+
+// One degree of latitude is about 69 miles
+const fix = (minutesAgo, latitude) => ({
+  type: 'location',
+  latitude,
+  longitude: -97,
+  timestamp: minutesFromNow(-minutesAgo)
+});
+
+const stop = (id, sequence, fields = {}) => ({
+  _id: id,
+  stopType: ROUTE_STOP_TYPE.DROP,
+  sequence,
+  status: ROUTE_STOP_STATUS.PENDING,
+  location: { coordinates: { latitude: 32, longitude: -97 } },
+  ...fields
+});
+
+// Second stop 50 planned miles / 1 hour after the first
+const plannedLeg = { distanceFromPrevious: { value: 50 }, durationFromPrevious: { value: 3600 } };
+
+describe('getWindowEnd', () => {
+  test('uses the window end, else its start', () => {
+    assert.strictEqual(getWindowEnd({ scheduledTimeStart: 'start', scheduledTimeEnd: 'end' }), 'end');
+    assert.strictEqual(getWindowEnd({ scheduledTimeStart: 'start' }), 'start');
+    assert.strictEqual(getWindowEnd({}), null);
+  });
+});
+
+describe('calculateObservedSpeed', () => {
+  test('averages the moving speed over the recent history', () => {
+    // 0.01 degrees (~0.69 mi) every minute for 20 minutes: ~41 mph
+    const history = Array.from({ length: 21 }, (_, index) => fix(20 - index, 32 + index * 0.01));
+
+    const observed = calculateObservedSpeed(history, NOW);
+    assert.strictEqual(observed.sampleMinutes, 20);
+    assert.ok(observed.speedMph > 41 && observed.speedMph < 42, `got ${observed.speedMph}`);
+  });
+
+  test('ignores stationary time and gaps in the history', () => {
+    const history = [
+      ...Array.from({ length: 11 }, (_, index) => fix(45 - index, 32 + index * 0.01)),
+      // Parked for 10 minutes, then a 15 minute gap
+      fix(30, 32.1),
+      fix(25, 32.1),
+      fix(10, 32.3)
+    ];
+
+    const observed = calculateObservedSpeed(history, NOW);
+    assert.strictEqual(observed.sampleMinutes, 10);
+    assert.ok(observed.speedMph > 41 && observed.speedMph < 42, `got ${observed.speedMph}`);
+  });
+
+  test('needs at least 10 minutes of movement in the window', () => {
+    const recent = Array.from({ length: 6 }, (_, index) => fix(5 - index, 32 + index * 0.01));
+    const old = Array.from({ length: 21 }, (_, index) => fix(120 - index, 32 + index * 0.01));
+
+    assert.strictEqual(calculateObservedSpeed([...recent, ...old], NOW), null);
+    assert.strictEqual(calculateObservedSpeed([], NOW), null);
+  });
+
+  test('clamps unrealistic speeds', () => {
+    const history = Array.from({ length: 21 }, (_, index) => fix(20 - index, 32 + index * 0.05));
+    assert.strictEqual(calculateObservedSpeed(history, NOW).speedMph, 75);
+  });
+});
+
+describe('computeStopEtas', () => {
+  const driverLocation = { latitude: 32, longitude: -97 };
+
+  test('adds service time and planned legs after the first stop', () => {
+    const route = { stops: [stop('b', 2, plannedLeg), stop('a', 1)] };
+
+    const etas = computeStopEtas(route, driverLocation, null, NOW);
+    assert.deepStrictEqual(etas.map(({ stop: { _id }, eta }) => [_id, eta.remainingMinutes, eta.remainingMiles]), [
+      ['a', 0, 0],
+      ['b', SERVICE_MINUTES + 60, 50]
+    ]);
+    assert.deepStrictEqual(etas[1].eta.estimatedArrival, minutesFromNow(SERVICE_MINUTES + 60));
+    assert.strictEqual(etas[1].eta.speedSource, 'default');
+  });
+
+  test('blends the observed speed into planned legs', () => {
+    const route = { stops: [stop('a', 1), stop('b', 2, plannedLeg)] };
+
+    // Planned 50 mph and observed 25 mph: 50 miles at 37.5 mph take 80 minutes
+    const etas = computeStopEtas(route, driverLocation, 25, NOW);
+    assert.strictEqual(etas[1].eta.remainingMinutes, SERVICE_MINUTES + 80);
+    assert.strictEqual(etas[1].eta.speedSource, 'history');
+  });
+
+  test('skips done stops and starts after the stop in progress', () => {
+    const route = {
+      stops: [
+        stop('done', 1, { status: ROUTE_STOP_STATUS.COMPLETED }),
+        stop('current', 2, { status: ROUTE_STOP_STATUS.IN_PROGRESS }),
+        stop('next', 3, plannedLeg)
+      ]
+    };
+
+    const etas = computeStopEtas(route, { latitude: 40, longitude: -100 }, null, NOW);
+    assert.deepStrictEqual(etas.map(({ stop: { _id }, eta }) => [_id, eta.remainingMinutes]), [['next', SERVICE_MINUTES + 60]]);
+  });
+
+  test('marks stops late past the window end plus the margin', () => {
+    const arrival = SERVICE_MINUTES + 60;
+    const route = {
+      stops: [
+        stop('a', 1),
+        stop('late', 2, { ...plannedLeg, scheduledTimeEnd: minutesFromNow(arrival - LATE_MARGIN_MINUTES - 1) }),
+        stop('onTime', 3, { ...plannedLeg, scheduledTimeStart: minutesFromNow(2 * arrival - LATE_MARGIN_MINUTES) })
+      ]
+    };
+
+    const etas = computeStopEtas(route, driverLocation, null, NOW);
+    assert.deepStrictEqual(etas.map(({ eta }) => [eta.minutesLate, eta.late]), [
+      [null, false],
+      [LATE_MARGIN_MINUTES + 1, true],
+      [LATE_MARGIN_MINUTES, false]
+    ]);
+  });
+
+  test('stops estimating at a stop without a location', () => {
+    const route = {
+      stops: [
+        stop('a', 1),
+        stop('unlocated', 2, { location: { name: 'Unknown' } }),
+        stop('c', 3)
+      ]
+    };
+
+    assert.deepStrictEqual(computeStopEtas(route, driverLocation, null, NOW).map(({ stop: { _id } }) => _id), ['a']);
+    assert.deepStrictEqual(computeStopEtas(route, { latitude: null }, null, NOW), []);
+  });
+});
+
+describe('updateRouteEtas', () => {
+  const ORG = new mongoose.Types.ObjectId();
+  let route;
+
+  beforeEach(() => {
+    // Driver is ~69 miles from a stop whose window already closed
+    route = {
+      _id: 'route1',
+      organizationId: ORG,
+      routeNumber: 'RT-1',
+      status: ROUTE_STATUS.IN_PROGRESS,
+      stops: [stop('a', 1, { scheduledTimeEnd: new Date(Date.now() - 60 * MINUTE_MS) })]
+    };
+    mock.method(Route, 'findOne', () => fakeQuery(route));
+    mock.method(Route, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(RouteTracking, 'findOne', () => fakeQuery(null));
+    mock.method(AuditLog, 'create', async () => ({ _id: 'log1' }));
+    mock.method(User, 'find', () => fakeQuery([{ email: 'dispatch@carrier.com' }]));
+    mock.method(emailService, 'sendLateArrivalAlertEmail', async () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  test('sends late alerts to the dispatchers of the route\'s organization', async () => {
+    const result = await updateRouteEtas('route1', { latitude: 31, longitude: -97 });
+
+    assert.strictEqual(result.alerts.length, 1);
+    assert.deepStrictEqual(User.find.mock.calls[0].arguments[0], { organizationId: ORG, role: 'ptgDispatcher' });
+    assert.deepStrictEqual(emailService.sendLateArrivalAlertEmail.mock.calls[0].arguments[0], ['dispatch@carrier.com']);
+  });
+
+  test('emails nobody for a route without an organization', async () => {
+    delete route.organizationId;
+
+    const result = await updateRouteEtas('route1', { latitude: 31, longitude: -97 });
+
+    assert.strictEqual(result.alerts.length, 1);
+    assert.strictEqual(User.find.mock.callCount(), 0);
+    assert.strictEqual(emailService.sendLateArrivalAlertEmail.mock.callCount(), 0);
+  });
+});
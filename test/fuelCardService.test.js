@@ -0,0 +1,159 @@
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+
+const Route = require('../models/Route');
+const Truck = require('../models/Truck');
+const User = require('../models/User');
+const Expense = require('../models/Expense');
+const FuelCardTransaction = require('../models/FuelCardTransaction');
+const {
+  buildFingerprint,
+  matchTransaction,
+  previewFuelCardImport
+} = require('../utils/fuelCardService');
+const { FUEL_CARD_MATCH_STATUS } = require('../constants/fuelCard');
+const { fakeQuery } = require('./helpers/fakeQuery');
+
+const TRANSACTION_TIME = new Date('2025-05-01T14:30:00Z');
+
+const expense = (id, fields = {}) => ({
+  _id: id,
+  totalCost: 400,
+  gallons: 100,
+  truckId: 'truck1',
+  driverId: 'driver1',
+  createdAt: new Date(TRANSACTION_TIME.getTime() + 30 * 60 * 1000),
+  ...fields
+});
+
+const transaction = (fields = {}) => ({
+  transactionDate: TRANSACTION_TIME,
+  amount: 400,
+  gallons: 100,
+  truckId: 'truck1',
+  driverId: 'driver1',
+  ...fields
+});
+
+describe('buildFingerprint', () => {
+  test('uses the card and the normalized transaction id when there is one', () => {
+    const a = buildFingerprint({ cardLast4: '1234', transactionId: 'TX-00042', amount: 400 });
+    const b = buildFingerprint({ cardLast4: '1234', transactionId: 'tx 00042', amount: 410 });
+
+    assert.strictEqual(a, '1234|id|tx00042');
+    assert.strictEqual(a, b);
+  });
+
+  test('falls back to unit, minute, amount and gallons', () => {
+    const base = { cardLast4: '1234', unitNumber: '0107', transactionDate: TRANSACTION_TIME, amount: 400, gallons: 100 };
+
+    assert.strictEqual(buildFingerprint(base), '1234|107|2025-05-01T14:30|400.00|100');
+    assert.strictEqual(buildFingerprint({ ...base, transactionDate: new Date('2025-05-01T14:30:45Z') }), buildFingerprint(base));
+    assert.notStrictEqual(buildFingerprint({ ...base, amount: 400.01 }), buildFingerprint(base));
+    assert.notStrictEqual(buildFingerprint({ ...base, cardLast4: '9999' }), buildFingerprint(base));
+  });
+});
+
+describe('matchTransaction', () => {
+  test('matches an expense with the same amount and gallons', () => {
+    const result = matchTransaction(transaction(), [expense('e1', { totalCost: 399.5 })]);
+
+    assert.strictEqual(result.status, FUEL_CARD_MATCH_STATUS.MATCHED);
+    assert.strictEqual(result.expense._id, 'e1');
+    assert.strictEqual(result.amountDifference, 0.5);
+  });
+
+  test('reports a discrepancy when the driver entered a different amount', () => {
+    const result = matchTransaction(transaction(), [expense('e1', { totalCost: 360 })]);
+
+    assert.strictEqual(result.status, FUEL_CARD_MATCH_STATUS.DISCREPANCY);
+    assert.strictEqual(result.amountDifference, 40);
+  });
+
+  test('reports a discrepancy when the amounts agree but the gallons do not', () => {
+    const result = matchTransaction(transaction(), [expense('e1', { gallons: 90 })]);
+
+    assert.strictEqual(result.status, FUEL_CARD_MATCH_STATUS.DISCREPANCY);
+    assert.strictEqual(result.gallonsDifference, 10);
+  });
+
+  test('leaves the transaction unmatched when no amount is close', () => {
+    const result = matchTransaction(transaction(), [expense('e1', { totalCost: 150, gallons: 40 })]);
+
+    assert.strictEqual(result.status, FUEL_CARD_MATCH_STATUS.UNMATCHED);
+    assert.strictEqual(result.expense, null);
+  });
+
+  test('prefers the exact amount, then the same truck and driver, then the closest time', () => {
+    const candidates = [
+      expense('close', { totalCost: 395 }),
+      expense('otherTruck', { truckId: 'truck2', driverId: 'driver2' }),
+      expense('later', { createdAt: new Date(TRANSACTION_TIME.getTime() + 5 * 60 * 60 * 1000) }),
+      expense('best')
+    ];
+
+    const result = matchTransaction(transaction(), candidates);
+
+    assert.strictEqual(result.expense._id, 'best');
+    assert.deepStrictEqual(result.possibleDuplicateExpenseIds, ['later', 'otherTruck', 'close']);
+  });
+
+  test('skips expenses claimed by other transactions', () => {
+    const result = matchTransaction(transaction(), [expense('e1'), expense('e2')], new Set(['e1']));
+
+    assert.strictEqual(result.expense._id, 'e2');
+    assert.deepStrictEqual(result.possibleDuplicateExpenseIds, []);
+  });
+});
+
+describe('previewFuelCardImport', () => {
+  let imported;
+
+  beforeEach(() => {
+    imported = [];
+    mock.method(FuelCardTransaction, 'find', (filter) => fakeQuery(imported.filter(entry =>
+      filter.fingerprint.$in.includes(entry.fingerprint))));
+    mock.method(FuelCardTransaction, 'distinct', async () => []);
+    mock.method(Truck, 'find', () => fakeQuery([{ _id: 'truck1', truckNumber: '107' }]));
+    mock.method(User, 'find', () => fakeQuery([]));
+    mock.method(Route, 'findOne', () => fakeQuery(null));
+    mock.method(Expense, 'find', () => fakeQuery([expense('e1')]));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const statement = Buffer.from([
+    'Date,Time,Transaction,Card,Unit,Product,Gallons,Amount',
+    '05/01/2025,14:30,TX-1,0000001234,107,Diesel,100,400.00',
+    '05/01/2025,14:30,TX-1,0000001234,107,Diesel,100,400.00',
+    '05/02/2025,09:10,TX-2,0000001234,107,Diesel,80,320.00',
+    '05/02/2025,09:15,TX-3,0000001234,107,DEF,2,15.00'
+  ].join('\n'));
+
+  test('flags transactions repeated in the file', async () => {
+    const preview = await previewFuelCardImport(statement, 'csv');
+
+    assert.strictEqual(preview.transactions, 3);
+    assert.strictEqual(preview.skippedRows, 1);
+    assert.strictEqual(preview.duplicates, 1);
+    assert.deepStrictEqual(preview.rows[1].match, {
+      status: FUEL_CARD_MATCH_STATUS.DUPLICATE,
+      duplicateOf: undefined,
+      duplicateOfRow: preview.rows[0].rowNumber
+    });
+    assert.strictEqual(preview.rows[0].match.status, FUEL_CARD_MATCH_STATUS.MATCHED);
+    assert.strictEqual(preview.rows[0].match.expenseId, 'e1');
+  });
+
+  test('flags transactions imported from an earlier statement', async () => {
+    imported = [{ _id: 'txn1', fingerprint: '1234|id|tx2', fileName: 'april.csv' }];
+
+    const preview = await previewFuelCardImport(statement, 'csv');
+    const row = preview.rows[2];
+
+    assert.strictEqual(preview.duplicates, 2);
+    assert.strictEqual(row.match.status, FUEL_CARD_MATCH_STATUS.DUPLICATE);
+    assert.strictEqual(row.match.duplicateOf, 'txn1');
+    assert.ok(row.warnings.includes('Transaction already imported from april.csv'));
+  });
+});
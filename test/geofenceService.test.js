@@ -0,0 +1,99 @@
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+
+const Route = require('../models/Route');
+const AuditLog = require('../models/AuditLog');
+const hosService = require('../utils/hosService');
+const { GEOFENCE_EVENTS, getFixTime, processLocation } = require('../utils/geofenceService');
+const { ROUTE_STATUS, ROUTE_STOP_STATUS, ROUTE_STOP_TYPE } = require('../constants/status');
+const { fakeQuery } = require('./helpers/fakeQuery');
+
+const MINUTE_MS = 60 * 1000;
+const DEALER = { latitude: 32.7767, longitude: -96.797 };
+// About 1.1 km north of the dealer, outside the exit radius
+const NEARBY = { latitude: 32.7867, longitude: -96.797 };
+
+const stop = (stopType, fields = {}) => ({
+  _id: `${stopType}1`,
+  stopType,
+  sequence: 1,
+  status: ROUTE_STOP_STATUS.IN_PROGRESS,
+  location: { name: 'Dealer', coordinates: DEALER },
+  ...fields
+});
+
+describe('getFixTime', () => {
+  const now = new Date('2025-05-05T12:00:00Z');
+
+  test('keeps recent fix times', () => {
+    const time = new Date(now.getTime() - 5 * MINUTE_MS);
+    assert.deepStrictEqual(getFixTime(time.toISOString(), now), time);
+  });
+
+  test('uses the server time for future, stale, invalid and missing fix times', () => {
+    assert.strictEqual(getFixTime(new Date(now.getTime() + MINUTE_MS), now), now);
+    assert.strictEqual(getFixTime(new Date(now.getTime() - 60 * MINUTE_MS), now), now);
+    assert.strictEqual(getFixTime('yesterday', now), now);
+    assert.strictEqual(getFixTime(undefined, now), now);
+  });
+});
+
+describe('processLocation', () => {
+  let route;
+
+  beforeEach(() => {
+    route = { _id: 'route1', routeNumber: 'RT-1', status: ROUTE_STATUS.IN_PROGRESS, driverId: 'driver1', stops: [] };
+    mock.method(Route, 'findOne', () => fakeQuery(route));
+    mock.method(Route, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(AuditLog, 'create', async () => ({ _id: 'log1' }));
+    mock.method(hosService, 'recordRouteEvent', async () => null);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const updateOf = (call) => Route.updateOne.mock.calls[call].arguments[1].$set;
+
+  test('records the arrival as the actual time of a pickup', async () => {
+    route.stops = [stop(ROUTE_STOP_TYPE.PICKUP)];
+    const timestamp = new Date(Date.now() - MINUTE_MS);
+
+    const events = await processLocation('route1', { ...DEALER, timestamp });
+
+    assert.deepStrictEqual(events.map(event => event.type), [GEOFENCE_EVENTS.ARRIVAL]);
+    assert.deepStrictEqual(updateOf(0)['stops.$.actualDate'], timestamp);
+    assert.deepStrictEqual(updateOf(0)['stops.$.actualTime'], timestamp);
+    assert.deepStrictEqual(updateOf(0)['stops.$.geofence.arrivedAt'], timestamp);
+  });
+
+  test('keeps an actual time the driver already entered', async () => {
+    route.stops = [stop(ROUTE_STOP_TYPE.PICKUP, { actualTime: new Date('2025-05-05T08:00:00Z') })];
+
+    await processLocation('route1', { ...DEALER });
+
+    assert.strictEqual('stops.$.actualDate' in updateOf(0), false);
+    assert.strictEqual('stops.$.actualTime' in updateOf(0), false);
+  });
+
+  test('records the departure as the actual time of a drop', async () => {
+    const enteredAt = new Date(Date.now() - 30 * MINUTE_MS);
+    route.stops = [stop(ROUTE_STOP_TYPE.DROP)];
+    await processLocation('route1', { ...DEALER });
+    assert.strictEqual('stops.$.actualTime' in updateOf(0), false);
+
+    route.stops = [stop(ROUTE_STOP_TYPE.DROP, { geofence: { inside: true, arrivedAt: enteredAt, lastEnteredAt: enteredAt } })];
+    const events = await processLocation('route1', { ...NEARBY });
+
+    assert.deepStrictEqual(events.map(event => event.type), [GEOFENCE_EVENTS.DEPARTURE]);
+    assert.ok(updateOf(1)['stops.$.actualTime'] instanceof Date);
+    assert.deepStrictEqual(updateOf(1)['stops.$.actualDate'], updateOf(1)['stops.$.geofence.departedAt']);
+  });
+
+  test('does not backdate a stop with a client timestamp', async () => {
+    route.stops = [stop(ROUTE_STOP_TYPE.PICKUP)];
+    const before = Date.now();
+
+    await processLocation('route1', { ...DEALER, timestamp: '2020-01-01T00:00:00Z' });
+
+    assert.ok(updateOf(0)['stops.$.actualTime'].getTime() >= before);
+  });
+});
@@ -0,0 +1,18 @@
+/**
+ * Test helpers shared by the service tests
+ */
+
+// Resolves like a Mongoose query, whatever is chained onto it
+const fakeQuery = (result) => {
+  const query = {
+    select: () => query,
+    populate: () => query,
+    sort: () => query,
+    limit: () => query,
+    lean: () => query,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return query;
+};
+
+module.exports = { fakeQuery };
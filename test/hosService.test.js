@@ -0,0 +1,204 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const { calculateClocks, deriveDutyStatus, getCycle } = require('../utils/hosService');
+const { DUTY_STATUS } = require('../constants/hos');
+const { ROUTE_STATE, ROUTE_STOP_STATUS, ROUTE_STOP_TYPE } = require('../constants/status');
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = new Date('2025-03-10T12:00:00Z');
+const CYCLE_70_8 = { type: '70_8', hours: 70, days: 8 };
+const CYCLE_60_7 = { type: '60_7', hours: 60, days: 7 };
+
+const hoursAgo = (hours) => new Date(NOW.getTime() - hours * HOUR_MS);
+
+// Duty status entry from `from` hours ago to `to` hours ago (still open when `to` is null)
+const entry = (status, from, to = null) => ({
+  status,
+  startTime: hoursAgo(from),
+  endTime: to === null ? null : hoursAgo(to)
+});
+
+// Days with `hours` on duty each, starting `firstDay` days ago and going back `days` days
+const workDays = (firstDay, days, hours) => Array.from({ length: days }, (_, index) => {
+  const start = (firstDay + index) * 24;
+  return entry(DUTY_STATUS.ON_DUTY, start, start - hours);
+});
+
+describe('calculateClocks', () => {
+  test('gives full clocks to a rested driver', () => {
+    const clocks = calculateClocks([], NOW, CYCLE_70_8);
+
+    assert.strictEqual(clocks.currentStatus, DUTY_STATUS.OFF_DUTY);
+    assert.strictEqual(clocks.shiftStarted, false);
+    assert.strictEqual(clocks.driving.remainingMinutes, 11 * 60);
+    assert.strictEqual(clocks.window.remainingMinutes, 14 * 60);
+    assert.strictEqual(clocks.cycle.remainingMinutes, 70 * 60);
+    assert.strictEqual(clocks.availableDrivingMinutes, 11 * 60);
+  });
+
+  test('counts driving and the on-duty window since the last 10 hour rest', () => {
+    const clocks = calculateClocks([
+      entry(DUTY_STATUS.DRIVING, 9, 3),
+      entry(DUTY_STATUS.ON_DUTY, 3, 2.75),
+      entry(DUTY_STATUS.DRIVING, 2.75)
+    ], NOW, CYCLE_70_8);
+
+    assert.strictEqual(clocks.currentStatus, DUTY_STATUS.DRIVING);
+    assert.deepStrictEqual(clocks.currentStatusSince, hoursAgo(2.75));
+    assert.deepStrictEqual(clocks.shiftStart, hoursAgo(9));
+    assert.deepStrictEqual(clocks.windowEndsAt, hoursAgo(-5));
+    assert.deepStrictEqual(clocks.driving, { usedMinutes: 525, limitMinutes: 660, remainingMinutes: 135 });
+    assert.deepStrictEqual(clocks.window, { usedMinutes: 540, limitMinutes: 840, remainingMinutes: 300 });
+    assert.strictEqual(clocks.cycle.usedMinutes, 540);
+    assert.strictEqual(clocks.availableDrivingMinutes, 135);
+  });
+
+  test('ends driving when the 14 hour window closes', () => {
+    const clocks = calculateClocks([
+      entry(DUTY_STATUS.ON_DUTY, 15, 10),
+      entry(DUTY_STATUS.DRIVING, 10, 8),
+      entry(DUTY_STATUS.ON_DUTY, 8)
+    ], NOW, CYCLE_70_8);
+
+    assert.strictEqual(clocks.driving.remainingMinutes, 9 * 60);
+    assert.strictEqual(clocks.window.remainingMinutes, 0);
+    assert.strictEqual(clocks.availableDrivingMinutes, 0);
+  });
+
+  test('starts a new shift after 10 hours off duty or in the sleeper berth', () => {
+    const clocks = calculateClocks([
+      entry(DUTY_STATUS.DRIVING, 23, 13),
+      entry(DUTY_STATUS.OFF_DUTY, 13, 8),
+      entry(DUTY_STATUS.SLEEPER_BERTH, 8, 2),
+      entry(DUTY_STATUS.DRIVING, 2)
+    ], NOW, CYCLE_70_8);
+
+    assert.deepStrictEqual(clocks.shiftStart, hoursAgo(2));
+    assert.strictEqual(clocks.driving.usedMinutes, 120);
+    assert.strictEqual(clocks.cycle.usedMinutes, 12 * 60);
+  });
+
+  test('does not start the shift while the rest is still running', () => {
+    const clocks = calculateClocks([
+      entry(DUTY_STATUS.DRIVING, 20, 11),
+      entry(DUTY_STATUS.SLEEPER_BERTH, 11)
+    ], NOW, CYCLE_70_8);
+
+    assert.strictEqual(clocks.shiftStarted, false);
+    assert.strictEqual(clocks.shiftStart, null);
+    assert.strictEqual(clocks.driving.usedMinutes, 0);
+    assert.strictEqual(clocks.window.usedMinutes, 0);
+    assert.strictEqual(clocks.cycle.usedMinutes, 9 * 60);
+  });
+
+  test('requires a 30 minute break after 8 hours of driving', () => {
+    const clocks = calculateClocks([
+      entry(DUTY_STATUS.DRIVING, 9, 3),
+      entry(DUTY_STATUS.ON_DUTY, 3, 2.75),
+      entry(DUTY_STATUS.DRIVING, 2.75)
+    ], NOW, CYCLE_70_8);
+
+    // 15 minutes on duty is not long enough to count as the break
+    assert.strictEqual(clocks.break.drivingSinceBreakMinutes, 525);
+    assert.strictEqual(clocks.break.remainingMinutes, 0);
+    assert.strictEqual(clocks.break.required, true);
+  });
+
+  test('resets the break clock after 30 minutes not driving', () => {
+    const clocks = calculateClocks([
+      entry(DUTY_STATUS.DRIVING, 9, 5),
+      entry(DUTY_STATUS.ON_DUTY, 5, 4.5),
+      entry(DUTY_STATUS.DRIVING, 4.5)
+    ], NOW, CYCLE_70_8);
+
+    assert.strictEqual(clocks.driving.usedMinutes, 510);
+    assert.strictEqual(clocks.break.drivingSinceBreakMinutes, 270);
+    assert.strictEqual(clocks.break.remainingMinutes, 210);
+    assert.strictEqual(clocks.break.required, false);
+  });
+
+  test('stops driving at 70 hours on duty in 8 days', () => {
+    const clocks = calculateClocks(workDays(1, 7, 10), NOW, CYCLE_70_8);
+
+    assert.strictEqual(clocks.cycle.type, '70_8');
+    assert.strictEqual(clocks.cycle.usedMinutes, 70 * 60);
+    assert.strictEqual(clocks.cycle.remainingMinutes, 0);
+    assert.strictEqual(clocks.availableDrivingMinutes, 0);
+  });
+
+  test('only counts the last 7 days on the 60 hour cycle', () => {
+    // The 8th day back falls outside the 7 day cycle
+    const clocks = calculateClocks(workDays(1, 8, 8), NOW, CYCLE_60_7);
+
+    assert.strictEqual(clocks.cycle.type, '60_7');
+    assert.strictEqual(clocks.cycle.usedMinutes, 7 * 8 * 60);
+    assert.strictEqual(clocks.cycle.remainingMinutes, 4 * 60);
+  });
+
+  test('restarts the cycle after 34 hours off duty', () => {
+    const clocks = calculateClocks([
+      ...workDays(3, 5, 10),
+      entry(DUTY_STATUS.DRIVING, 2)
+    ], NOW, CYCLE_70_8);
+
+    assert.deepStrictEqual(clocks.cycle.lastRestartAt, hoursAgo(2));
+    assert.strictEqual(clocks.cycle.usedMinutes, 120);
+    assert.strictEqual(clocks.cycle.remainingMinutes, 68 * 60);
+  });
+});
+
+describe('getCycle', () => {
+  test('uses HOS_CYCLE and falls back to 70 hours in 8 days', () => {
+    const original = process.env.HOS_CYCLE;
+    try {
+      process.env.HOS_CYCLE = '60_7';
+      assert.deepStrictEqual(getCycle(), CYCLE_60_7);
+      process.env.HOS_CYCLE = 'unknown';
+      assert.deepStrictEqual(getCycle(), CYCLE_70_8);
+    } finally {
+      if (original === undefined) delete process.env.HOS_CYCLE;
+      else process.env.HOS_CYCLE = original;
+    }
+  });
+});
+
+describe('deriveDutyStatus', () => {
+  const route = (fields = {}) => ({
+    state: ROUTE_STATE.STARTED,
+    stops: [
+      { _id: 'rest', stopType: ROUTE_STOP_TYPE.REST, status: ROUTE_STOP_STATUS.PENDING },
+      { _id: 'pickup', stopType: ROUTE_STOP_TYPE.PICKUP, status: ROUTE_STOP_STATUS.PENDING }
+    ],
+    ...fields
+  });
+
+  test('maps route events to duty statuses', () => {
+    assert.strictEqual(deriveDutyStatus('start_route', route()), DUTY_STATUS.DRIVING);
+    assert.strictEqual(deriveDutyStatus('resume_route', route()), DUTY_STATUS.DRIVING);
+    assert.strictEqual(deriveDutyStatus('complete_route', route()), DUTY_STATUS.OFF_DUTY);
+    assert.strictEqual(deriveDutyStatus('stop_route', route()), DUTY_STATUS.ON_DUTY);
+    assert.strictEqual(deriveDutyStatus('unknown', route()), null);
+  });
+
+  test('uses the stop type or an explicit status when stopping', () => {
+    const atRestStop = route();
+    atRestStop.stops[0].status = ROUTE_STOP_STATUS.IN_PROGRESS;
+
+    assert.strictEqual(deriveDutyStatus('stop_route', atRestStop), DUTY_STATUS.SLEEPER_BERTH);
+    assert.strictEqual(
+      deriveDutyStatus('stop_route', atRestStop, { dutyStatus: DUTY_STATUS.OFF_DUTY }),
+      DUTY_STATUS.OFF_DUTY
+    );
+    assert.strictEqual(deriveDutyStatus('geofence_arrival', route(), { stopId: 'rest' }), DUTY_STATUS.SLEEPER_BERTH);
+    assert.strictEqual(deriveDutyStatus('geofence_arrival', route(), { stopId: 'pickup' }), DUTY_STATUS.ON_DUTY);
+  });
+
+  test('ignores geofence events on a stopped route', () => {
+    const stopped = route({ state: ROUTE_STATE.STOPPED });
+
+    assert.strictEqual(deriveDutyStatus('geofence_arrival', stopped, { stopId: 'pickup' }), null);
+    assert.strictEqual(deriveDutyStatus('geofence_departure', stopped), null);
+    assert.strictEqual(deriveDutyStatus('geofence_departure', route()), DUTY_STATUS.DRIVING);
+  });
+});
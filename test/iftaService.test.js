@@ -0,0 +1,147 @@
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+
+const Route = require('../models/Route');
+const Expense = require('../models/Expense');
+const RouteTracking = require('../models/routeTracker');
+const {
+  getQuarterRange,
+  getTruckMilesByState,
+  getTruckFuelByState,
+  summarizeIfta,
+  toIftaCsv
+} = require('../utils/iftaService');
+const { splitSegmentByState } = require('../utils/stateLookup');
+const { fakeQuery } = require('./helpers/fakeQuery');
+
+const { start: START, end: END } = getQuarterRange(2025, 2);
+
+const DALLAS = { latitude: 32.7767, longitude: -96.797 };
+const OKLAHOMA_CITY = { latitude: 35.4676, longitude: -97.5164 };
+
+const fix = (point, timestamp, fields = {}) => ({
+  type: 'location',
+  latitude: point.latitude,
+  longitude: point.longitude,
+  timestamp: new Date(timestamp),
+  ...fields
+});
+
+describe('getQuarterRange', () => {
+  test('covers the three months of the quarter', () => {
+    const { start, end } = getQuarterRange(2025, 4);
+    assert.deepStrictEqual(start, new Date(2025, 9, 1));
+    assert.deepStrictEqual(end, new Date(2026, 0, 1));
+  });
+});
+
+describe('summarizeIfta', () => {
+  test('splits taxable gallons by state at the fleet MPG', () => {
+    const { totals, jurisdictions } = summarizeIfta(
+      { TX: 600, OK: 400, UNKNOWN: 50, DC: 50 },
+      { TX: 150, OK: 50 }
+    );
+
+    // 1,100 miles on 200 gallons
+    assert.strictEqual(totals.mpg, 5.5);
+    assert.strictEqual(totals.totalMiles, 1100);
+    assert.strictEqual(totals.taxableMiles, 1000);
+    assert.deepStrictEqual(jurisdictions.map(entry => entry.state), ['DC', 'OK', 'TX', 'UNKNOWN']);
+
+    const byState = Object.fromEntries(jurisdictions.map(entry => [entry.state, entry]));
+    assert.deepStrictEqual(
+      [byState.TX.taxableGallons, byState.TX.taxPaidGallons, byState.TX.netTaxableGallons],
+      [109.09, 150, -40.91]
+    );
+    assert.deepStrictEqual(
+      [byState.OK.taxableGallons, byState.OK.taxPaidGallons, byState.OK.netTaxableGallons],
+      [72.73, 50, 22.73]
+    );
+    assert.deepStrictEqual([byState.DC.iftaMember, byState.DC.taxableMiles], [false, 0]);
+    assert.deepStrictEqual([byState.UNKNOWN.iftaMember, byState.UNKNOWN.name], [false, 'Unknown / outside the US']);
+  });
+
+  test('has no MPG or taxable gallons without fuel purchases', () => {
+    const { totals, jurisdictions } = summarizeIfta({ TX: 100 }, {});
+    assert.strictEqual(totals.mpg, null);
+    assert.strictEqual(jurisdictions[0].taxableGallons, 0);
+  });
+});
+
+describe('getTruckMilesByState', () => {
+  let trackers;
+
+  beforeEach(() => {
+    trackers = [];
+    mock.method(Route, 'find', () => fakeQuery([{ _id: 'route1' }]));
+    mock.method(RouteTracking, 'find', () => fakeQuery(trackers));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  test('splits tracked segments by state and skips inaccurate fixes, jitter and other quarters', async () => {
+    const jitter = { latitude: DALLAS.latitude + 0.0001, longitude: DALLAS.longitude };
+    trackers = [{
+      routeId: 'route1',
+      history: [
+        fix(OKLAHOMA_CITY, '2025-05-01T16:00:00'),
+        fix(DALLAS, '2025-05-01T12:00:00'),
+        fix(jitter, '2025-05-01T12:05:00'),
+        fix({ latitude: 40, longitude: -90 }, '2025-05-01T13:00:00', { accuracy: 5000 }),
+        fix({ latitude: 40, longitude: -90 }, '2025-07-01T12:00:00'),
+        { type: 'stop', latitude: 40, longitude: -90, timestamp: new Date('2025-05-01T14:00:00') }
+      ]
+    }];
+
+    const expected = splitSegmentByState(DALLAS, OKLAHOMA_CITY);
+    const result = await getTruckMilesByState('truck1', START, END);
+    assert.strictEqual(result.routes, 1);
+    assert.ok(Math.abs(result.totalMiles - expected.miles) < 1e-9);
+    assert.ok(Math.abs(result.states.TX - expected.states.TX) < 1e-9);
+    assert.ok(Math.abs(result.states.OK - expected.states.OK) < 1e-9);
+    // One fix four hours apart: longer than the gap threshold
+    assert.strictEqual(result.gapMiles, result.totalMiles);
+  });
+});
+
+describe('getTruckFuelByState', () => {
+  afterEach(() => mock.restoreAll());
+
+  test('locates purchases by GPS, then entered coordinates, then entered state', async () => {
+    mock.method(Expense, 'find', () => fakeQuery([
+      { gallons: 100, totalCost: 350, backgroundLocation: DALLAS, askedLocation: { state: 'OK' } },
+      { gallons: 50, totalCost: 180, askedLocation: { ...OKLAHOMA_CITY, state: 'TX' } },
+      { gallons: 20, totalCost: 70, askedLocation: { state: 'Kansas' } },
+      { gallons: 10, totalCost: 35 },
+      { totalCost: 40 }
+    ]));
+
+    const result = await getTruckFuelByState('truck1', START, END);
+    assert.deepStrictEqual(result, {
+      states: { TX: 100, OK: 50, KS: 20, UNKNOWN: 10 },
+      totalGallons: 180,
+      fuelCost: 675,
+      purchases: 5,
+      missingGallons: 1
+    });
+  });
+});
+
+describe('toIftaCsv', () => {
+  test('writes a row per jurisdiction and a total per truck and for the fleet', () => {
+    const section = summarizeIfta({ TX: 550 }, { TX: 100 });
+    const csv = toIftaCsv({
+      year: 2025,
+      quarter: 2,
+      trucks: [{ truck: { _id: 'truck1', truckNumber: 'T-1, East', licensePlate: 'ABC123' }, ...section }],
+      fleet: section
+    });
+
+    assert.deepStrictEqual(csv.trim().split('\n').slice(1), [
+      '2025 Q2,"T-1, East",ABC123,TX,Yes,550,550,100,100,0,5.5',
+      '2025 Q2,"T-1, East",ABC123,TOTAL,,550,550,100,100,0,5.5',
+      '2025 Q2,FLEET,,TX,Yes,550,550,100,100,0,5.5',
+      '2025 Q2,FLEET,,TOTAL,,550,550,100,100,0,5.5'
+    ]);
+  });
+});
@@ -0,0 +1,77 @@
+const { test, describe, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const TransportJob = require('../models/TransportJob');
+const Invoice = require('../models/Invoice');
+const Vehicle = require('../models/Vehicle');
+const Load = require('../models/Load');
+const { findBillableTransportJobs, claimTransportJobs, releaseTransportJobs } = require('../utils/invoiceService');
+const { fakeQuery } = require('./helpers/fakeQuery');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const deliveredJob = (overrides = {}) => ({
+  _id: objectId(),
+  jobNumber: 'TJ-20250505-001',
+  loadType: 'vehicle',
+  carrierPayment: 450,
+  updatedAt: new Date('2025-05-05T12:00:00Z'),
+  invoiceId: null,
+  ...overrides
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('findBillableTransportJobs', () => {
+  test('treats jobs claimed by an invoice as invoiced', async () => {
+    const open = deliveredJob();
+    const claimed = deliveredJob({ jobNumber: 'TJ-20250505-002', invoiceId: objectId() });
+
+    mock.method(Vehicle, 'find', () => ({ distinct: async () => [objectId()] }));
+    mock.method(Load, 'find', () => ({ distinct: async () => [] }));
+    mock.method(TransportJob, 'find', () => fakeQuery([open, claimed]));
+    mock.method(Invoice, 'find', () => fakeQuery([]));
+
+    const billable = await findBillableTransportJobs(objectId());
+    assert.deepStrictEqual(billable.map(entry => entry.transportJob), [open]);
+
+    const all = await findBillableTransportJobs(objectId(), { includeInvoiced: true });
+    assert.strictEqual(all.find(entry => entry.transportJob === claimed).invoiceId, claimed.invoiceId);
+  });
+});
+
+describe('claimTransportJobs', () => {
+  test('claims only unclaimed jobs and leaves out those claimed concurrently', async () => {
+    const invoiceId = objectId();
+    const free = { transportJob: deliveredJob() };
+    const taken = { transportJob: deliveredJob() };
+    const updateOne = mock.method(TransportJob, 'updateOne', async (filter) => ({
+      modifiedCount: filter._id === taken.transportJob._id ? 0 : 1
+    }));
+
+    const claimed = await claimTransportJobs(invoiceId, [free, taken]);
+
+    assert.deepStrictEqual(claimed, [free]);
+    assert.strictEqual(updateOne.mock.callCount(), 2);
+    const [filter, update] = updateOne.mock.calls[0].arguments;
+    assert.deepStrictEqual(filter, { _id: free.transportJob._id, invoiceId: null });
+    assert.deepStrictEqual(update, { $set: { invoiceId } });
+  });
+});
+
+describe('releaseTransportJobs', () => {
+  test('releases the jobs no longer billed on the invoice', async () => {
+    const invoiceId = objectId();
+    const kept = objectId();
+    const updateMany = mock.method(TransportJob, 'updateMany', async () => ({ modifiedCount: 1 }));
+
+    await releaseTransportJobs(invoiceId, [kept]);
+
+    const [filter, update] = updateMany.mock.calls[0].arguments;
+    assert.deepStrictEqual(filter, { invoiceId, _id: { $nin: [kept] } });
+    assert.deepStrictEqual(update, { $set: { invoiceId: null } });
+  });
+});
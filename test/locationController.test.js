@@ -0,0 +1,118 @@
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const Route = require('../models/Route');
+const RouteTracking = require('../models/routeTracker');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const DutyStatusLog = require('../models/DutyStatusLog');
+const locationService = require('../utils/locationService');
+const etaService = require('../utils/etaService');
+const { getOrganizationId } = require('../utils/tenantContext');
+const locationController = require('../controllers/locationController');
+const { ROUTE_STATUS, ROUTE_STOP_STATUS, ROUTE_STOP_TYPE } = require('../constants/status');
+const { DUTY_STATUS } = require('../constants/hos');
+const { fakeQuery } = require('./helpers/fakeQuery');
+
+const ORG = new mongoose.Types.ObjectId();
+const DRIVER = new mongoose.Types.ObjectId();
+const STOP = new mongoose.Types.ObjectId();
+const PICKUP = { latitude: 32.7767, longitude: -96.797 };
+
+const route = {
+  _id: new mongoose.Types.ObjectId(),
+  organizationId: ORG,
+  routeNumber: 'RT-1',
+  status: ROUTE_STATUS.IN_PROGRESS,
+  driverId: DRIVER,
+  stops: [{
+    _id: STOP,
+    stopType: ROUTE_STOP_TYPE.PICKUP,
+    sequence: 1,
+    status: ROUTE_STOP_STATUS.PENDING,
+    location: { name: 'Dealer', coordinates: PICKUP }
+  }]
+};
+
+const response = () => {
+  const res = { statusCode: 200 };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+describe('updateRouteTracking', () => {
+  // Documents that reached the driver
+  let inserted;
+
+  beforeEach(() => {
+    inserted = [];
+    const capture = (collection) => (doc) => {
+      inserted.push({ collection, doc });
+      return Promise.resolve({ acknowledged: true, insertedId: doc._id });
+    };
+
+    mock.method(Route, 'findById', () => fakeQuery(route));
+    mock.method(Route, 'findOne', () => fakeQuery(route));
+    mock.method(Route, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(RouteTracking, 'findOne', () => fakeQuery({ _id: 'tracker1', status: 'active' }));
+    mock.method(RouteTracking, 'findByIdAndUpdate', () => fakeQuery({ _id: 'tracker1' }));
+    mock.method(User, 'findOne', () => fakeQuery(null));
+    mock.method(DutyStatusLog, 'findOne', () => fakeQuery(null));
+    mock.method(DutyStatusLog, 'updateMany', async () => ({ modifiedCount: 0 }));
+    mock.method(AuditLog.collection, 'insertOne', capture('auditlogs'));
+    mock.method(DutyStatusLog.collection, 'insertOne', capture('dutystatuslogs'));
+    mock.method(locationService, 'updateDriverLocation', async () => ({ _id: DRIVER }));
+    mock.method(etaService, 'updateRouteEtas', async () => null);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  test('records a geofence arrival in the route\'s organization', async () => {
+    const res = response();
+
+    await locationController.updateRouteTracking({
+      params: { routeId: route._id.toString() },
+      body: { ...PICKUP, accuracy: 10 }
+    }, res);
+
+    assert.strictEqual(res.statusCode, 200);
+
+    const dutyStatus = inserted.find(entry => entry.collection === 'dutystatuslogs');
+    assert.ok(dutyStatus, 'arrival should change the duty status');
+    assert.strictEqual(dutyStatus.doc.status, DUTY_STATUS.ON_DUTY);
+    assert.strictEqual(dutyStatus.doc.source, 'geofence_arrival');
+    assert.ok(dutyStatus.doc.organizationId.equals(ORG));
+
+    const auditLog = inserted.find(entry => entry.collection === 'auditlogs');
+    assert.strictEqual(auditLog.doc.action, 'geofence_arrival');
+    assert.ok(auditLog.doc.organizationId.equals(ORG));
+  });
+
+  test('updates the driver location and ETAs in the route\'s organization', async () => {
+    let locationOrganizationId;
+    let etaOrganizationId;
+    locationService.updateDriverLocation.mock.mockImplementation(async () => {
+      locationOrganizationId = getOrganizationId();
+      return { _id: DRIVER };
+    });
+    etaService.updateRouteEtas.mock.mockImplementation(async () => {
+      etaOrganizationId = getOrganizationId();
+    });
+
+    await locationController.updateRouteTracking({
+      params: { routeId: route._id.toString() },
+      body: { latitude: 33.5, longitude: -97.1 }
+    }, response());
+
+    assert.ok(locationOrganizationId.equals(ORG));
+    assert.ok(etaOrganizationId.equals(ORG));
+  });
+});
@@ -0,0 +1,141 @@
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+
+const Route = require('../models/Route');
+const Expense = require('../models/Expense');
+const { DUE_SOON_MILES, DUE_SOON_DAYS, calculatePlanStatus, evaluatePlan } = require('../utils/maintenanceService');
+const { MAINTENANCE_STATUS } = require('../constants/maintenance');
+const { fakeQuery } = require('./helpers/fakeQuery');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2025-05-05T12:00:00Z');
+
+const daysAgo = (days) => new Date(NOW.getTime() - days * DAY_MS);
+
+const oilChange = { intervalMiles: 15000, intervalDays: 90 };
+
+describe('calculatePlanStatus', () => {
+  test('is ok well within both intervals', () => {
+    const result = calculatePlanStatus(oilChange, {
+      lastServiceDate: daysAgo(10),
+      milesSinceService: 2000,
+      averageDailyMiles: 100
+    }, NOW);
+
+    assert.strictEqual(result.status, MAINTENANCE_STATUS.OK);
+    assert.strictEqual(result.milesRemaining, 13000);
+    assert.strictEqual(result.daysRemaining, 80);
+    // 80 days away by date, 130 days at 100 miles a day
+    assert.strictEqual(result.dueBy, 'days');
+    assert.deepStrictEqual(result.dueDate, new Date(daysAgo(10).getTime() + 90 * DAY_MS));
+  });
+
+  test('projects the due date from the average daily miles when that comes first', () => {
+    const result = calculatePlanStatus(oilChange, {
+      lastServiceDate: daysAgo(10),
+      milesSinceService: 5000,
+      averageDailyMiles: 400
+    }, NOW);
+
+    assert.strictEqual(result.dueBy, 'miles');
+    assert.deepStrictEqual(result.dueDate, new Date(NOW.getTime() + 25 * DAY_MS));
+  });
+
+  test('is due soon near either limit', () => {
+    const byMiles = calculatePlanStatus(oilChange, {
+      lastServiceDate: daysAgo(10),
+      milesSinceService: 15000 - DUE_SOON_MILES,
+      averageDailyMiles: 0
+    }, NOW);
+    const byDays = calculatePlanStatus(oilChange, {
+      lastServiceDate: daysAgo(90 - DUE_SOON_DAYS),
+      milesSinceService: 0
+    }, NOW);
+
+    assert.strictEqual(byMiles.status, MAINTENANCE_STATUS.DUE_SOON);
+    assert.strictEqual(byDays.status, MAINTENANCE_STATUS.DUE_SOON);
+  });
+
+  test('is overdue past either limit', () => {
+    const byMiles = calculatePlanStatus(oilChange, {
+      lastServiceDate: daysAgo(10),
+      milesSinceService: 15200.4
+    }, NOW);
+    const byDays = calculatePlanStatus(oilChange, {
+      lastServiceDate: daysAgo(92),
+      milesSinceService: 0
+    }, NOW);
+
+    assert.strictEqual(byMiles.status, MAINTENANCE_STATUS.OVERDUE);
+    assert.strictEqual(byMiles.milesRemaining, -200);
+    assert.deepStrictEqual(byMiles.dueDate, NOW);
+    assert.strictEqual(byDays.status, MAINTENANCE_STATUS.OVERDUE);
+    assert.strictEqual(byDays.daysRemaining, -2);
+  });
+
+  test('supports mileage-only and time-only plans', () => {
+    const tires = calculatePlanStatus({ intervalMiles: 12000 }, { lastServiceDate: daysAgo(400), milesSinceService: 100 }, NOW);
+    assert.strictEqual(tires.status, MAINTENANCE_STATUS.OK);
+    assert.strictEqual(tires.daysRemaining, null);
+    assert.strictEqual(tires.dueDate, null);
+
+    const inspection = calculatePlanStatus({ intervalDays: 365 }, { lastServiceDate: daysAgo(400), milesSinceService: 90000 }, NOW);
+    assert.strictEqual(inspection.status, MAINTENANCE_STATUS.OVERDUE);
+    assert.strictEqual(inspection.milesRemaining, null);
+    assert.strictEqual(inspection.dueBy, 'days');
+  });
+});
+
+describe('evaluatePlan', () => {
+  let lastExpense;
+  let routeQueries;
+
+  beforeEach(() => {
+    lastExpense = null;
+    routeQueries = [];
+    mock.method(Expense, 'findOne', () => fakeQuery(lastExpense));
+    mock.method(Route, 'find', (filter) => {
+      routeQueries.push(filter);
+      return fakeQuery([{ actualDistanceTraveled: 800 }, { totalDistance: { value: 450 } }]);
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const makePlan = (fields = {}) => {
+    const plan = {
+      _id: 'plan1',
+      truckId: 'truck1',
+      name: 'Oil change',
+      active: false,
+      expenseCategories: ['oil_change'],
+      baselineServiceDate: daysAgo(60),
+      ...oilChange,
+      ...fields,
+      save: async () => plan
+    };
+    plan.toObject = () => ({ ...plan });
+    return plan;
+  };
+
+  test('counts miles since the baseline date when there is no service expense', async () => {
+    const plan = makePlan();
+
+    const evaluation = await evaluatePlan(plan, { truck: { truckNumber: 'T-1' }, averageDailyMiles: 0, now: NOW });
+    assert.strictEqual(evaluation.milesSinceService, 1250);
+    assert.deepStrictEqual(routeQueries[0].$or[0], { actualEndDate: { $gt: daysAgo(60) } });
+    assert.deepStrictEqual(plan.lastServiceDate, daysAgo(60));
+    assert.strictEqual(plan.lastServiceExpenseId, null);
+    assert.strictEqual(plan.status, MAINTENANCE_STATUS.OK);
+  });
+
+  test('resets from a later service expense', async () => {
+    lastExpense = { _id: 'expense1', createdAt: daysAgo(5) };
+    const plan = makePlan();
+
+    await evaluatePlan(plan, { truck: { truckNumber: 'T-1' }, averageDailyMiles: 0, now: NOW });
+    assert.deepStrictEqual(plan.lastServiceDate, daysAgo(5));
+    assert.strictEqual(plan.lastServiceExpenseId, 'expense1');
+    assert.deepStrictEqual(plan.dueDate, new Date(daysAgo(5).getTime() + 90 * DAY_MS));
+  });
+});
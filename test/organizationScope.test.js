@@ -0,0 +1,162 @@
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const organizationScope = require('../models/organizationScope');
+const { runWithOrganization, runUnscoped, getOrganizationId } = require('../utils/tenantContext');
+
+const ORG_A = new mongoose.Types.ObjectId();
+const ORG_B = new mongoose.Types.ObjectId();
+
+// Tenant model used only here; its driver collection is mocked in every test
+const itemSchema = new mongoose.Schema({ name: String });
+itemSchema.plugin(organizationScope);
+const ScopeTestItem = mongoose.model('ScopeTestItem', itemSchema);
+
+// Filters, updates and documents that reached the driver
+let sent;
+
+beforeEach(() => {
+  sent = [];
+  const record = (operation, result) => (...args) => {
+    sent.push({ operation, args });
+    return Promise.resolve(result);
+  };
+  const { collection } = ScopeTestItem;
+  mock.method(collection, 'find', record('find', { toArray: async () => [] }));
+  mock.method(collection, 'findOne', record('findOne', null));
+  mock.method(collection, 'countDocuments', record('countDocuments', 0));
+  mock.method(collection, 'updateOne', record('updateOne', { acknowledged: true, matchedCount: 0, modifiedCount: 0 }));
+  mock.method(collection, 'findOneAndUpdate', record('findOneAndUpdate', null));
+  mock.method(collection, 'deleteMany', record('deleteMany', { acknowledged: true, deletedCount: 0 }));
+  mock.method(collection, 'insertOne', record('insertOne', { acknowledged: true }));
+  mock.method(collection, 'insertMany', (docs) => {
+    sent.push({ operation: 'insertMany', args: [docs] });
+    return Promise.resolve({ acknowledged: true, insertedCount: docs.length, insertedIds: {} });
+  });
+  mock.method(collection, 'aggregate', record('aggregate', { toArray: async () => [] }));
+  mock.method(collection, 'bulkWrite', record('bulkWrite', { acknowledged: true }));
+  mock.method(collection, 'estimatedDocumentCount', record('estimatedDocumentCount', 0));
+});
+
+afterEach(() => mock.restoreAll());
+
+const lastSent = (operation) => sent.filter(entry => entry.operation === operation).pop();
+
+describe('tenantContext', () => {
+  test('carries the organization through async calls', async () => {
+    const seen = await runWithOrganization(ORG_A.toString(), async () => {
+      await new Promise(resolve => setImmediate(resolve));
+      return getOrganizationId();
+    });
+
+    assert.ok(seen.equals(ORG_A));
+    assert.strictEqual(getOrganizationId(), null);
+  });
+
+  test('runUnscoped clears the organization inside a scoped context', () => {
+    runWithOrganization(ORG_A, () => {
+      assert.strictEqual(runUnscoped(getOrganizationId), null);
+      assert.ok(getOrganizationId().equals(ORG_A));
+    });
+  });
+});
+
+describe('organizationScope queries', () => {
+  test('limits reads to the current organization', async () => {
+    await runWithOrganization(ORG_A, async () => {
+      await ScopeTestItem.find({ name: 'a' });
+      await ScopeTestItem.findOne({ name: 'b' });
+      await ScopeTestItem.countDocuments();
+    });
+
+    assert.deepStrictEqual(lastSent('find').args[0], { name: 'a', organizationId: ORG_A });
+    assert.deepStrictEqual(lastSent('findOne').args[0], { name: 'b', organizationId: ORG_A });
+    assert.deepStrictEqual(lastSent('countDocuments').args[0], { organizationId: ORG_A });
+  });
+
+  test('limits updates and deletes to the current organization', async () => {
+    await runWithOrganization(ORG_A, async () => {
+      await ScopeTestItem.updateOne({ name: 'a' }, { name: 'b' });
+      await ScopeTestItem.deleteMany({});
+    });
+
+    assert.deepStrictEqual(lastSent('updateOne').args[0], { name: 'a', organizationId: ORG_A });
+    assert.deepStrictEqual(lastSent('deleteMany').args[0], { organizationId: ORG_A });
+  });
+
+  test('does not let a filter on another organization escape the scope', async () => {
+    await runWithOrganization(ORG_A, async () => ScopeTestItem.find({ organizationId: ORG_B }));
+
+    assert.deepStrictEqual(lastSent('find').args[0].organizationId, ORG_A);
+  });
+
+  test('leaves queries outside a context unfiltered', async () => {
+    await ScopeTestItem.find({ name: 'a' });
+    await runUnscoped(() => ScopeTestItem.find({ name: 'b' }));
+
+    assert.deepStrictEqual(sent.map(entry => entry.args[0]), [{ name: 'a' }, { name: 'b' }]);
+  });
+
+  test('strips organizationId from update payloads', async () => {
+    await runWithOrganization(ORG_A, async () => {
+      await ScopeTestItem.updateOne({ name: 'a' }, { $set: { name: 'b', organizationId: ORG_B } });
+      await ScopeTestItem.findOneAndUpdate({ name: 'a' }, { name: 'c', organizationId: ORG_B, $unset: { organizationId: 1 } });
+    });
+
+    assert.deepStrictEqual(lastSent('updateOne').args[1], { $set: { name: 'b' } });
+    assert.strictEqual(JSON.stringify(lastSent('findOneAndUpdate').args[1]).includes('organizationId'), false);
+  });
+
+  test('prepends an organization $match to aggregations', async () => {
+    await runWithOrganization(ORG_A, async () => ScopeTestItem.aggregate([{ $group: { _id: '$name' } }]));
+
+    assert.deepStrictEqual(lastSent('aggregate').args[0], [
+      { $match: { organizationId: ORG_A } },
+      { $group: { _id: '$name' } }
+    ]);
+  });
+
+  test('rejects bulkWrite and estimatedDocumentCount inside a context', async () => {
+    await runWithOrganization(ORG_A, async () => {
+      await assert.rejects(
+        ScopeTestItem.bulkWrite([{ deleteMany: { filter: {} } }]),
+        /bulkWrite is not organization-scoped/
+      );
+      await assert.rejects(ScopeTestItem.estimatedDocumentCount(), /estimatedDocumentCount is not organization-scoped/);
+    });
+
+    assert.strictEqual(lastSent('bulkWrite'), undefined);
+    assert.strictEqual(lastSent('estimatedDocumentCount'), undefined);
+  });
+});
+
+describe('organizationScope documents', () => {
+  test('stamps new documents with the current organization', async () => {
+    await runWithOrganization(ORG_A, async () => {
+      await ScopeTestItem.create({ name: 'a', organizationId: ORG_B });
+      await ScopeTestItem.insertMany([{ name: 'b' }, { name: 'c', organizationId: ORG_B }]);
+    });
+
+    assert.ok(lastSent('insertOne').args[0].organizationId.equals(ORG_A));
+    assert.deepStrictEqual(lastSent('insertMany').args[0].map(doc => doc.organizationId.toString()), [
+      ORG_A.toString(),
+      ORG_A.toString()
+    ]);
+  });
+
+  test('keeps the given organization outside a context', async () => {
+    await ScopeTestItem.create({ name: 'a', organizationId: ORG_B });
+
+    assert.ok(lastSent('insertOne').args[0].organizationId.equals(ORG_B));
+  });
+
+  test('rejects moving a saved document to another organization', async () => {
+    const item = ScopeTestItem.hydrate({ _id: new mongoose.Types.ObjectId(), name: 'a', organizationId: ORG_A });
+
+    await runWithOrganization(ORG_A, async () => {
+      item.organizationId = ORG_B;
+      await assert.rejects(item.validate(), /Organization cannot be changed/);
+    });
+  });
+});
@@ -0,0 +1,147 @@
+const { test, describe, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const Quote = require('../models/Quote');
+const Vehicle = require('../models/Vehicle');
+const transactionService = require('../utils/transactionService');
+const { findLaneRate, calculatePrice, acceptQuote } = require('../utils/quoteService');
+const { QUOTE_STATUS } = require('../constants/quote');
+const { fakeQuery } = require('./helpers/fakeQuery');
+const { DEFAULT_RATE_TABLE } = require('../constants/quote');
+
+const NO_FUEL = { ppg: null, source: 'none' };
+
+const request = (fields = {}) => ({
+  miles: 1000,
+  pickupState: 'TX',
+  dropState: 'GA',
+  vehicleCount: 1,
+  vehicleType: 'sedan',
+  operable: true,
+  enclosed: false,
+  ...fields
+});
+
+const rateTable = {
+  ...DEFAULT_RATE_TABLE,
+  lanes: [
+    { originState: 'TX', destinationState: 'GA', ratePerMile: 1.2, minimumCharge: 400 },
+    { originState: 'TX', destinationState: '*', ratePerMile: 1.3 },
+    { originState: '*', destinationState: 'GA', ratePerMile: 1.4 },
+    { originState: '*', destinationState: '*', ratePerMile: 1.6 }
+  ]
+};
+
+describe('findLaneRate', () => {
+  test('prefers the exact lane, then origin to any, any to destination and any to any', () => {
+    assert.strictEqual(findLaneRate(rateTable, 'TX', 'GA').key, 'TX-GA');
+    assert.strictEqual(findLaneRate(rateTable, 'TX', 'FL').key, 'TX-*');
+    assert.strictEqual(findLaneRate(rateTable, 'CA', 'GA').key, '*-GA');
+    assert.strictEqual(findLaneRate(rateTable, 'CA', 'FL').key, '*-*');
+    assert.strictEqual(findLaneRate(DEFAULT_RATE_TABLE, 'TX', 'GA'), null);
+  });
+});
+
+describe('calculatePrice', () => {
+  test('charges the lane rate per mile times the vehicle type multiplier', () => {
+    const { pricing, totalPrice } = calculatePrice(rateTable, request({ vehicleType: 'suv', vehicleCount: 3 }), NO_FUEL);
+
+    assert.strictEqual(pricing.lane, 'TX-GA');
+    assert.strictEqual(pricing.vehicleTypeMultiplier, 1.1);
+    assert.strictEqual(pricing.linehaul, 1320);
+    assert.strictEqual(pricing.pricePerVehicle, 1320);
+    assert.strictEqual(totalPrice, 3960);
+  });
+
+  test('applies the lane minimum, else the table minimum, to short moves', () => {
+    const lane = calculatePrice(rateTable, request({ miles: 100 }), NO_FUEL).pricing;
+    const table = calculatePrice(DEFAULT_RATE_TABLE, request({ miles: 100 }), NO_FUEL).pricing;
+
+    assert.strictEqual(lane.minimumApplied, true);
+    assert.strictEqual(lane.linehaul, 400);
+    assert.strictEqual(table.lane, 'default');
+    assert.strictEqual(table.linehaul, 250);
+  });
+
+  test('adds the inoperable and enclosed surcharges', () => {
+    const { pricing } = calculatePrice(DEFAULT_RATE_TABLE, request({ operable: false, enclosed: true }), NO_FUEL);
+
+    assert.strictEqual(pricing.linehaul, 1500);
+    assert.strictEqual(pricing.inoperableSurcharge, 150);
+    assert.strictEqual(pricing.enclosedSurcharge, 600);
+    assert.strictEqual(pricing.pricePerVehicle, 2250);
+  });
+
+  test('adds one fuel surcharge step per full step above the base price', () => {
+    const { pricing } = calculatePrice(DEFAULT_RATE_TABLE, request(), { ppg: 3.85, source: 'rate_table' });
+
+    assert.strictEqual(pricing.fuelSurchargePercent, 3);
+    assert.strictEqual(pricing.fuelSurcharge, 45);
+    assert.strictEqual(pricing.pricePerVehicle, 1545);
+  });
+
+  test('counts a step that lands exactly on the price', () => {
+    const { pricing } = calculatePrice(DEFAULT_RATE_TABLE, request(), { ppg: 3.8, source: 'rate_table' });
+
+    assert.strictEqual(pricing.fuelSurchargePercent, 3);
+  });
+
+  test('caps the fuel surcharge at maxPercent', () => {
+    const { pricing } = calculatePrice(DEFAULT_RATE_TABLE, request(), { ppg: 9, source: 'expenses' });
+
+    assert.strictEqual(pricing.fuelSurchargePercent, 25);
+    assert.strictEqual(pricing.fuelSurcharge, 375);
+  });
+
+  test('charges no fuel surcharge at or below the base price, without a price or when disabled', () => {
+    const disabled = { ...DEFAULT_RATE_TABLE, fuelSurcharge: { ...DEFAULT_RATE_TABLE.fuelSurcharge, enabled: false } };
+
+    assert.strictEqual(calculatePrice(DEFAULT_RATE_TABLE, request(), { ppg: 3.5, source: 'rate_table' }).pricing.fuelSurcharge, 0);
+    assert.strictEqual(calculatePrice(DEFAULT_RATE_TABLE, request(), NO_FUEL).pricing.fuelSurcharge, 0);
+    assert.strictEqual(calculatePrice(disabled, request(), { ppg: 5, source: 'rate_table' }).pricing.fuelSurcharge, 0);
+  });
+
+  test('applies the enclosed and fuel surcharges to the minimum charge', () => {
+    const { pricing } = calculatePrice(DEFAULT_RATE_TABLE, request({ miles: 50, enclosed: true }), { ppg: 4, source: 'rate_table' });
+
+    assert.strictEqual(pricing.linehaul, 250);
+    assert.strictEqual(pricing.enclosedSurcharge, 100);
+    assert.strictEqual(pricing.fuelSurcharge, 12.5);
+    assert.strictEqual(pricing.pricePerVehicle, 362.5);
+  });
+});
+
+describe('acceptQuote', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('runs in a transaction and returns validation errors without cleaning up by hand', async () => {
+    const runInTransaction = mock.method(transactionService, 'runInTransaction', async (fn) => fn());
+    mock.method(Quote, 'findOneAndUpdate', () => fakeQuery({
+      _id: new mongoose.Types.ObjectId(),
+      quoteNumber: 'Q-0001',
+      pickup: { city: 'Dallas', state: 'TX', zip: '75201' },
+      drop: { city: 'Atlanta', state: 'GA', zip: '30301' }
+    }));
+    const deleteMany = mock.method(Vehicle, 'deleteMany', async () => ({}));
+
+    const result = await acceptQuote(new mongoose.Types.ObjectId(), { userId: new mongoose.Types.ObjectId() });
+
+    assert.deepStrictEqual(result, { error: 'A shipper name or company is required to accept the quote' });
+    assert.strictEqual(runInTransaction.mock.callCount(), 1);
+    assert.strictEqual(deleteMany.mock.callCount(), 0);
+  });
+
+  test('reports why a quote that is no longer open cannot be accepted', async () => {
+    mock.method(transactionService, 'runInTransaction', async (fn) => fn());
+    mock.method(Quote, 'findOneAndUpdate', () => fakeQuery(null));
+    mock.method(Quote, 'updateMany', async () => ({ modifiedCount: 0 }));
+    mock.method(Quote, 'findById', () => fakeQuery({ status: QUOTE_STATUS.ACCEPTED }));
+
+    const result = await acceptQuote(new mongoose.Types.ObjectId(), { userId: new mongoose.Types.ObjectId() });
+
+    assert.deepStrictEqual(result, { error: `Quote is ${QUOTE_STATUS.ACCEPTED}`, notFound: false });
+  });
+});
@@ -0,0 +1,72 @@
+const { test, describe, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+
+const { rateLimit } = require('../middleware/rateLimit');
+
+const fakeResponse = () => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set: (name, value) => {
+      res.headers[name] = value;
+      return res;
+    },
+    status: (code) => {
+      res.statusCode = code;
+      return res;
+    },
+    json: (body) => {
+      res.body = body;
+      return res;
+    }
+  };
+  return res;
+};
+
+// Runs the middleware once and reports whether the request was let through
+const hit = (limiter, ip) => {
+  const res = fakeResponse();
+  let passed = false;
+  limiter({ ip }, res, () => {
+    passed = true;
+  });
+  return { passed, res };
+};
+
+describe('rateLimit', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('allows max requests per client in a window and answers 429 after that', () => {
+    mock.method(Date, 'now', () => 1000);
+    const limiter = rateLimit({ windowMs: 60 * 1000, max: 2 });
+
+    assert.strictEqual(hit(limiter, '10.0.0.1').passed, true);
+    assert.strictEqual(hit(limiter, '10.0.0.1').passed, true);
+
+    const blocked = hit(limiter, '10.0.0.1');
+    assert.strictEqual(blocked.passed, false);
+    assert.strictEqual(blocked.res.statusCode, 429);
+    assert.strictEqual(blocked.res.headers['Retry-After'], '60');
+    assert.strictEqual(blocked.res.body.success, false);
+
+    // Other clients have their own count
+    assert.strictEqual(hit(limiter, '10.0.0.2').passed, true);
+  });
+
+  test('starts a new window once the current one has ended', () => {
+    let now = 1000;
+    mock.method(Date, 'now', () => now);
+    const limiter = rateLimit({ windowMs: 60 * 1000, max: 1 });
+
+    assert.strictEqual(hit(limiter, '10.0.0.1').passed, true);
+    assert.strictEqual(hit(limiter, '10.0.0.1').passed, false);
+
+    now += 60 * 1000;
+    const next = hit(limiter, '10.0.0.1');
+    assert.strictEqual(next.passed, true);
+    assert.strictEqual(next.res.headers['RateLimit-Remaining'], '0');
+  });
+});
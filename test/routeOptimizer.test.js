@@ -0,0 +1,182 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+// Offline distance estimates only
+delete process.env.GOOGLE_MAPS_API_KEY;
+
+const { evaluateSequence, partitionStops, optimizeRouteStops } = require('../utils/routeOptimizer');
+const { ROUTE_STOP_STATUS, ROUTE_STOP_TYPE } = require('../constants/status');
+
+const HOUR = 3600;
+
+const makeStop = (id, stopType, position, fields = {}) => ({
+  _id: id,
+  stopType,
+  sequence: position,
+  status: ROUTE_STOP_STATUS.PENDING,
+  location: { coordinates: { latitude: 40, longitude: -100 + position * 0.5 } },
+  ...fields
+});
+
+// Stops laid out on a line: one mile and one hour per position between any two stops
+const makeContext = (stops, fields = {}) => {
+  const indexByStopId = new Map(stops.map((stop, index) => [stop._id, index]));
+  const matrix = stops.map(from => stops.map(to => {
+    const miles = Math.abs(from.sequence - to.sequence);
+    return {
+      distance: { text: `${miles} mi`, value: miles },
+      duration: { text: `${miles} h`, value: miles * HOUR }
+    };
+  }));
+  const pickupJobIds = new Set(stops
+    .filter(stop => stop.stopType === ROUTE_STOP_TYPE.PICKUP)
+    .map(stop => stop.transportJobId));
+
+  return { matrix, indexByStopId, pickupJobIds, startTime: null, notBefore: null, serviceTimeSeconds: 0, ...fields };
+};
+
+describe('evaluateSequence', () => {
+  test('flags a drop visited before its pickup', () => {
+    const pickup = makeStop('p1', ROUTE_STOP_TYPE.PICKUP, 1, { transportJobId: 'job1' });
+    const drop = makeStop('d1', ROUTE_STOP_TYPE.DROP, 2, { transportJobId: 'job1' });
+    const context = makeContext([pickup, drop]);
+
+    assert.strictEqual(evaluateSequence([pickup, drop], context).feasible, true);
+
+    const reversed = evaluateSequence([drop, pickup], context);
+    assert.strictEqual(reversed.feasible, false);
+    assert.deepStrictEqual(reversed.violations.map(v => [v.type, v.stopId]), [['precedence', 'd1']]);
+  });
+
+  test('ignores drops whose pickup is not on the route', () => {
+    const drop = makeStop('d1', ROUTE_STOP_TYPE.DROP, 1, { transportJobId: 'job1' });
+    const context = makeContext([drop]);
+
+    assert.strictEqual(evaluateSequence([drop], context).feasible, true);
+  });
+
+  test('flags arrivals after the scheduled window', () => {
+    const startTime = new Date('2025-01-06T08:00:00Z');
+    const start = makeStop('s', ROUTE_STOP_TYPE.START, 0);
+    const pickup = makeStop('p1', ROUTE_STOP_TYPE.PICKUP, 2, {
+      transportJobId: 'job1',
+      scheduledTimeEnd: new Date('2025-01-06T09:00:00Z')
+    });
+    const context = makeContext([start, pickup], { startTime });
+
+    const result = evaluateSequence([start, pickup], context);
+    assert.deepStrictEqual(result.violations.map(v => [v.type, v.stopId]), [['time_window', 'p1']]);
+    assert.strictEqual(result.stops[1].estimatedArrival.toISOString(), '2025-01-06T10:00:00.000Z');
+    assert.strictEqual(result.totalDistance.value, 2);
+    assert.strictEqual(result.totalDuration.value, 2 * HOUR);
+  });
+
+  test('waits for a window to open and adds service time', () => {
+    const startTime = new Date('2025-01-06T08:00:00Z');
+    const start = makeStop('s', ROUTE_STOP_TYPE.START, 0);
+    const pickup = makeStop('p1', ROUTE_STOP_TYPE.PICKUP, 1, {
+      transportJobId: 'job1',
+      scheduledTimeStart: new Date('2025-01-06T12:00:00Z')
+    });
+    const drop = makeStop('d1', ROUTE_STOP_TYPE.DROP, 2, {
+      transportJobId: 'job1',
+      scheduledTimeEnd: new Date('2025-01-06T13:00:00Z')
+    });
+    const context = makeContext([start, pickup, drop], { startTime, serviceTimeSeconds: 30 * 60 });
+
+    const result = evaluateSequence([start, pickup, drop], context);
+    // Waits until 12:00, loads for 30 min, drives an hour: 13:30 at the drop
+    assert.strictEqual(result.stops[2].estimatedArrival.toISOString(), '2025-01-06T13:30:00.000Z');
+    assert.deepStrictEqual(result.violations.map(v => [v.type, v.stopId]), [['time_window', 'd1']]);
+  });
+});
+
+describe('partitionStops', () => {
+  test('keeps start, end and visited stops fixed', () => {
+    const stops = [
+      makeStop('e', ROUTE_STOP_TYPE.END, 4),
+      makeStop('p2', ROUTE_STOP_TYPE.PICKUP, 3, { transportJobId: 'job2' }),
+      makeStop('p1', ROUTE_STOP_TYPE.PICKUP, 2, { transportJobId: 'job1', status: ROUTE_STOP_STATUS.COMPLETED }),
+      makeStop('s', ROUTE_STOP_TYPE.START, 1)
+    ];
+
+    const { sortedStops, head, movable, tail } = partitionStops(stops);
+    assert.deepStrictEqual(sortedStops.map(stop => stop._id), ['s', 'p1', 'p2', 'e']);
+    assert.deepStrictEqual(head.map(stop => stop._id), ['s', 'p1']);
+    assert.deepStrictEqual(movable.map(stop => stop._id), ['p2']);
+    assert.deepStrictEqual(tail.map(stop => stop._id), ['e']);
+  });
+});
+
+describe('optimizeRouteStops', () => {
+  // Stop positions on the map differ from their current sequence
+  const placeStop = (id, stopType, sequence, position, fields) => ({
+    ...makeStop(id, stopType, sequence, fields),
+    location: { coordinates: { latitude: 40, longitude: -100 + position * 0.5 } }
+  });
+
+  test('moves drops after their pickups and keeps start and end in place', async () => {
+    const route = {
+      stops: [
+        placeStop('s', ROUTE_STOP_TYPE.START, 1, 0),
+        placeStop('d1', ROUTE_STOP_TYPE.DROP, 2, 1, { transportJobId: 'job1' }),
+        placeStop('p1', ROUTE_STOP_TYPE.PICKUP, 3, 2, { transportJobId: 'job1' }),
+        placeStop('e', ROUTE_STOP_TYPE.END, 4, 3)
+      ]
+    };
+
+    const result = await optimizeRouteStops(route);
+    assert.strictEqual(result.before.feasible, false);
+    assert.strictEqual(result.after.feasible, true);
+    assert.deepStrictEqual(result.stopOrder, ['s', 'p1', 'd1', 'e']);
+    assert.strictEqual(result.improvement.violationsResolved, 1);
+    assert.strictEqual(result.usedEstimatedDistances, true);
+  });
+
+  test('shortens a zig-zag route', async () => {
+    const route = {
+      stops: [
+        placeStop('s', ROUTE_STOP_TYPE.START, 1, 0),
+        placeStop('p3', ROUTE_STOP_TYPE.PICKUP, 2, 3, { transportJobId: 'job3' }),
+        placeStop('p1', ROUTE_STOP_TYPE.PICKUP, 3, 1, { transportJobId: 'job1' }),
+        placeStop('p4', ROUTE_STOP_TYPE.PICKUP, 4, 4, { transportJobId: 'job4' }),
+        placeStop('p2', ROUTE_STOP_TYPE.PICKUP, 5, 2, { transportJobId: 'job2' })
+      ]
+    };
+
+    const result = await optimizeRouteStops(route);
+    assert.deepStrictEqual(result.stopOrder, ['s', 'p1', 'p2', 'p3', 'p4']);
+    assert.ok(result.improvement.distanceSaved > 0);
+    assert.strictEqual(result.improvement.changed, true);
+  });
+
+  test('keeps the current order when it is already best', async () => {
+    const route = {
+      stops: [
+        placeStop('s', ROUTE_STOP_TYPE.START, 1, 0),
+        placeStop('p1', ROUTE_STOP_TYPE.PICKUP, 2, 1, { transportJobId: 'job1' }),
+        placeStop('d1', ROUTE_STOP_TYPE.DROP, 3, 2, { transportJobId: 'job1' })
+      ]
+    };
+
+    const result = await optimizeRouteStops(route);
+    assert.deepStrictEqual(result.stopOrder, ['s', 'p1', 'd1']);
+    assert.strictEqual(result.improvement.changed, false);
+  });
+
+  test('rejects a proposed order that moves fixed stops', async () => {
+    const route = {
+      stops: [
+        placeStop('s', ROUTE_STOP_TYPE.START, 1, 0),
+        placeStop('p1', ROUTE_STOP_TYPE.PICKUP, 2, 1, { transportJobId: 'job1' }),
+        placeStop('e', ROUTE_STOP_TYPE.END, 3, 2)
+      ]
+    };
+
+    const moved = await optimizeRouteStops(route, { stopOrder: ['p1', 's', 'e'] });
+    assert.strictEqual(moved.invalidStopOrder, 'Start, end and already visited stops cannot be reordered');
+
+    const incomplete = await optimizeRouteStops(route, { stopOrder: ['s', 'e'] });
+    assert.strictEqual(incomplete.invalidStopOrder, 'stopOrder must list every stop of the route exactly once');
+  });
+});
@@ -0,0 +1,53 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const { getStateAt, normalizeStateCode, splitSegmentByState } = require('../utils/stateLookup');
+
+const DALLAS = { latitude: 32.7767, longitude: -96.797 };
+const OKLAHOMA_CITY = { latitude: 35.4676, longitude: -97.5164 };
+
+describe('getStateAt', () => {
+  test('finds the state of a point', () => {
+    assert.strictEqual(getStateAt(DALLAS.latitude, DALLAS.longitude), 'TX');
+    assert.strictEqual(getStateAt(OKLAHOMA_CITY.latitude, OKLAHOMA_CITY.longitude), 'OK');
+    assert.strictEqual(getStateAt(38.9, -77.03), 'DC');
+  });
+
+  test('returns null outside the US', () => {
+    assert.strictEqual(getStateAt(30, -60), null);
+  });
+});
+
+describe('normalizeStateCode', () => {
+  test('accepts codes and names in any case', () => {
+    assert.strictEqual(normalizeStateCode(' ok '), 'OK');
+    assert.strictEqual(normalizeStateCode('Texas'), 'TX');
+    assert.strictEqual(normalizeStateCode('Atlantis'), null);
+  });
+});
+
+describe('splitSegmentByState', () => {
+  test('splits a segment crossing a border between both states', () => {
+    const segment = splitSegmentByState(DALLAS, OKLAHOMA_CITY);
+
+    assert.deepStrictEqual(Object.keys(segment.states).sort(), ['OK', 'TX']);
+    assert.ok(Math.abs(segment.states.TX + segment.states.OK - segment.miles) < 1e-9);
+    // The Red River is roughly 70 miles north of Dallas on this line
+    assert.ok(segment.states.TX > 60 && segment.states.TX < 80, `got ${segment.states.TX}`);
+    assert.strictEqual(segment.endState, 'OK');
+  });
+
+  test('keeps a short segment within one state in that state', () => {
+    const to = { latitude: DALLAS.latitude + 0.05, longitude: DALLAS.longitude };
+    const segment = splitSegmentByState(DALLAS, to);
+
+    assert.deepStrictEqual(Object.keys(segment.states), ['TX']);
+    assert.strictEqual(segment.states.TX, segment.miles);
+  });
+
+  test('reports miles outside the US as UNKNOWN', () => {
+    const segment = splitSegmentByState({ latitude: 30, longitude: -60 }, { latitude: 30.01, longitude: -60 });
+    assert.deepStrictEqual(Object.keys(segment.states), ['UNKNOWN']);
+    assert.strictEqual(segment.endState, null);
+  });
+});
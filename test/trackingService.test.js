@@ -0,0 +1,87 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+
+process.env.TRACKING_TOKEN_SECRET = 'tracking-test-secret';
+
+const {
+  MAX_TRACKING_LINK_DAYS,
+  generateTrackingToken,
+  verifyTrackingToken,
+  findActiveShare
+} = require('../utils/trackingService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const JOB_ID = '64b000000000000000000001';
+
+describe('generateTrackingToken', () => {
+  test('issues a token for the job that verifies with its token ID', () => {
+    const issued = generateTrackingToken(JOB_ID, 7);
+
+    assert.match(issued.tokenId, /^[0-9a-f]{32}$/);
+    assert.ok(issued.url.endsWith(`/${issued.token}`));
+    assert.ok(Math.abs(issued.expiresAt.getTime() - (Date.now() + 7 * DAY_MS)) < 5000);
+    assert.deepStrictEqual(verifyTrackingToken(issued.token), {
+      valid: true,
+      jobId: JOB_ID,
+      tokenId: issued.tokenId
+    });
+  });
+
+  test('caps the lifetime at MAX_TRACKING_LINK_DAYS', () => {
+    const issued = generateTrackingToken(JOB_ID, 365);
+    const { exp, iat } = jwt.decode(issued.token);
+
+    assert.strictEqual(exp - iat, MAX_TRACKING_LINK_DAYS * 24 * 60 * 60);
+  });
+
+  test('issues a different token ID for every link', () => {
+    assert.notStrictEqual(generateTrackingToken(JOB_ID).tokenId, generateTrackingToken(JOB_ID).tokenId);
+  });
+});
+
+describe('verifyTrackingToken', () => {
+  const sign = (payload, options = {}) =>
+    jwt.sign({ type: 'shipment_tracking', jobId: JOB_ID, tid: 'abc', ...payload }, process.env.TRACKING_TOKEN_SECRET, options);
+
+  test('reports expired tokens as expired', () => {
+    const token = sign({ exp: Math.floor(Date.now() / 1000) - 60 });
+
+    assert.deepStrictEqual(verifyTrackingToken(token), { valid: false, expired: true });
+  });
+
+  test('rejects tokens signed with another secret', () => {
+    const token = jwt.sign({ type: 'shipment_tracking', jobId: JOB_ID, tid: 'abc' }, 'another-secret');
+
+    assert.deepStrictEqual(verifyTrackingToken(token), { valid: false, expired: false });
+  });
+
+  test('rejects other token types signed with the same secret', () => {
+    assert.deepStrictEqual(verifyTrackingToken(sign({ type: 'session' })), { valid: false });
+    assert.deepStrictEqual(verifyTrackingToken(sign({ tid: undefined })), { valid: false });
+  });
+
+  test('rejects malformed tokens', () => {
+    assert.deepStrictEqual(verifyTrackingToken('not-a-token'), { valid: false, expired: false });
+  });
+});
+
+describe('findActiveShare', () => {
+  const job = (share) => ({ trackingShares: [{ tokenId: 'other' }, { tokenId: 'abc', ...share }] });
+
+  test('finds the share of a token ID', () => {
+    const share = findActiveShare(job({ expiresAt: new Date(Date.now() + DAY_MS) }), 'abc');
+
+    assert.strictEqual(share.tokenId, 'abc');
+  });
+
+  test('ignores revoked and expired shares', () => {
+    assert.strictEqual(findActiveShare(job({ revokedAt: new Date() }), 'abc'), null);
+    assert.strictEqual(findActiveShare(job({ expiresAt: new Date(Date.now() - 1000) }), 'abc'), null);
+  });
+
+  test('returns null for unknown token IDs', () => {
+    assert.strictEqual(findActiveShare(job({}), 'missing'), null);
+    assert.strictEqual(findActiveShare({}, 'abc'), null);
+  });
+});
@@ -0,0 +1,144 @@
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  calculateCheckDigit,
+  validateVin,
+  decodeVinLocal,
+  decodeVin,
+  findMismatches,
+  applyVinDecode,
+  setProvider
+} = require('../utils/vinDecoder');
+
+describe('calculateCheckDigit', () => {
+  test('computes numeric check digits', () => {
+    assert.strictEqual(calculateCheckDigit('1HGCM82633A004352'), '3');
+  });
+
+  test('uses X for a remainder of 10', () => {
+    assert.strictEqual(calculateCheckDigit('1M8GDM9AXKP042788'), 'X');
+  });
+});
+
+describe('validateVin', () => {
+  test('accepts a valid VIN, ignoring case, spaces and dashes', () => {
+    const result = validateVin(' 1hgcm826-33a004352 ');
+    assert.strictEqual(result.vin, '1HGCM82633A004352');
+    assert.strictEqual(result.validFormat, true);
+    assert.strictEqual(result.checkDigitValid, true);
+    assert.deepStrictEqual(result.errors, []);
+  });
+
+  test('reports a wrong check digit', () => {
+    const result = validateVin('1HGCM82633A004353');
+    assert.strictEqual(result.validFormat, true);
+    assert.strictEqual(result.checkDigitValid, false);
+    assert.strictEqual(result.expectedCheckDigit, '5');
+    assert.match(result.errors[0], /expected 5/);
+  });
+
+  test('rejects the wrong length', () => {
+    const result = validateVin('1HGCM82633A00435');
+    assert.strictEqual(result.validFormat, false);
+    assert.deepStrictEqual(result.errors, ['VIN must be 17 characters (got 16)']);
+  });
+
+  test('rejects I, O and Q', () => {
+    const result = validateVin('1HGCM82633A00435O');
+    assert.strictEqual(result.validFormat, false);
+    assert.deepStrictEqual(result.errors, ['VIN can only contain letters and digits, excluding I, O and Q']);
+  });
+});
+
+describe('decodeVinLocal', () => {
+  test('decodes make, country and model year from the VIN', () => {
+    const decoded = decodeVinLocal('1HGCM82633A004352');
+    assert.strictEqual(decoded.wmi, '1HG');
+    assert.strictEqual(decoded.make, 'Honda');
+    assert.strictEqual(decoded.country, 'United States');
+    assert.strictEqual(decoded.modelYear, 2003);
+    assert.deepStrictEqual(decoded.possibleModelYears, [2003, 2033]);
+    assert.strictEqual(decoded.serialNumber, '004352');
+  });
+
+  test('uses the 2010-2039 cycle when position 7 is a letter', () => {
+    assert.strictEqual(decodeVinLocal('5YJ3E1EA7KF317000').modelYear, 2019);
+  });
+
+  test('leaves invalid VINs undecoded', () => {
+    const decoded = decodeVinLocal('TOOSHORT');
+    assert.strictEqual(decoded.make, null);
+    assert.strictEqual(decoded.modelYear, null);
+  });
+});
+
+describe('decodeVin with a provider', () => {
+  afterEach(() => setProvider(null));
+
+  test('enriches the local result', async () => {
+    setProvider({
+      name: 'test',
+      decode: async () => ({ make: 'Honda', model: 'Accord', year: 2003, trim: 'EX' })
+    });
+
+    const decoded = await decodeVin('1HGCM82633A004352');
+    assert.deepStrictEqual(decoded.sources, ['local', 'test']);
+    assert.strictEqual(decoded.model, 'Accord');
+    assert.strictEqual(decoded.trim, 'EX');
+  });
+
+  test('reports provider failures instead of throwing', async () => {
+    setProvider({
+      name: 'test',
+      decode: async () => { throw new Error('unavailable'); }
+    });
+
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+      const decoded = await decodeVin('1HGCM82633A004352');
+      assert.strictEqual(decoded.providerError, 'unavailable');
+      assert.strictEqual(decoded.make, 'Honda');
+    } finally {
+      console.error = originalError;
+    }
+  });
+
+  test('rejects unknown provider names', () => {
+    assert.throws(() => setProvider('unknown'), /Unknown VIN decoder provider/);
+  });
+});
+
+describe('findMismatches', () => {
+  test('flags a year and make that do not match the VIN', () => {
+    const decoded = decodeVinLocal('1HGCM82633A004352');
+    assert.deepStrictEqual(findMismatches(decoded, { year: 2005, make: 'Toyota' }), [
+      { field: 'year', provided: 2005, decoded: 2003 },
+      { field: 'make', provided: 'Toyota', decoded: 'Honda' }
+    ]);
+  });
+
+  test('accepts either model year cycle from local data', () => {
+    const decoded = decodeVinLocal('1HGCM82633A004352');
+    assert.deepStrictEqual(findMismatches(decoded, { year: 2033, make: 'honda' }), []);
+  });
+});
+
+describe('applyVinDecode', () => {
+  test('fills missing year and make', async () => {
+    const data = { vin: '1HGCM82633A004352', model: 'Accord' };
+    const { filled, vinDecode } = await applyVinDecode(data, { enrich: false });
+
+    assert.deepStrictEqual(filled, ['year', 'make']);
+    assert.strictEqual(data.year, 2003);
+    assert.strictEqual(data.make, 'Honda');
+    assert.strictEqual(vinDecode.hasMismatch, false);
+  });
+
+  test('marks a bad check digit as a mismatch', async () => {
+    const { vinDecode } = await applyVinDecode({ vin: '1HGCM82633A004353' }, { enrich: false });
+    assert.strictEqual(vinDecode.checkDigitValid, false);
+    assert.strictEqual(vinDecode.hasMismatch, true);
+  });
+});
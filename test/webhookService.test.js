@@ -0,0 +1,173 @@
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const axios = require('axios');
+const mongoose = require('mongoose');
+
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { signPayload, getRetryDelay, attemptDelivery, emitEvent } = require('../utils/webhookService');
+const { WEBHOOK_ALL_EVENTS, WEBHOOK_DELIVERY_STATUS, WEBHOOK_EVENTS } = require('../constants/webhooks');
+const { fakeQuery } = require('./helpers/fakeQuery');
+
+const SECRET = 'whsec_test';
+const BASE_DELAY_MS = 30 * 1000;
+const MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+
+describe('signPayload', () => {
+  test('signs "<timestamp>.<body>" with HMAC-SHA256 of the endpoint secret', () => {
+    const body = JSON.stringify({ id: 'evt_1', event: 'route.started' });
+    const expected = crypto.createHmac('sha256', SECRET).update(`1700000000.${body}`).digest('hex');
+
+    assert.strictEqual(signPayload(SECRET, body, 1700000000), `t=1700000000,v1=${expected}`);
+  });
+
+  test('changes with the body, the timestamp and the secret', () => {
+    const signature = signPayload(SECRET, '{"a":1}', 1700000000);
+
+    assert.notStrictEqual(signPayload(SECRET, '{"a":2}', 1700000000), signature);
+    assert.notStrictEqual(signPayload(SECRET, '{"a":1}', 1700000001).split(',v1=')[1], signature.split(',v1=')[1]);
+    assert.notStrictEqual(signPayload('whsec_other', '{"a":1}', 1700000000), signature);
+  });
+});
+
+describe('getRetryDelay', () => {
+  afterEach(() => mock.restoreAll());
+
+  test('doubles the delay after every attempt', () => {
+    mock.method(Math, 'random', () => 0);
+
+    assert.deepStrictEqual([1, 2, 3, 4].map(getRetryDelay), [BASE_DELAY_MS, 2 * BASE_DELAY_MS, 4 * BASE_DELAY_MS, 8 * BASE_DELAY_MS]);
+  });
+
+  test('adds at most 10% jitter', () => {
+    mock.method(Math, 'random', () => 0.999);
+
+    const delay = getRetryDelay(3);
+    assert.ok(delay > 4 * BASE_DELAY_MS && delay <= 4.4 * BASE_DELAY_MS);
+  });
+
+  test('caps the delay at six hours before jitter', () => {
+    mock.method(Math, 'random', () => 0);
+
+    assert.strictEqual(getRetryDelay(20), MAX_DELAY_MS);
+  });
+});
+
+describe('attemptDelivery', () => {
+  let endpoint;
+
+  const delivery = (fields = {}) => ({
+    _id: 'delivery1',
+    endpointId: 'endpoint1',
+    event: 'route.started',
+    eventId: 'evt_1',
+    payload: { id: 'evt_1', event: 'route.started', data: { routeNumber: 'RT-1' } },
+    status: WEBHOOK_DELIVERY_STATUS.PENDING,
+    attempts: [],
+    attemptCount: 0,
+    maxAttempts: 3,
+    save: mock.fn(async () => {}),
+    ...fields
+  });
+
+  beforeEach(() => {
+    endpoint = { _id: 'endpoint1', url: 'https://example.com/hooks', secret: SECRET };
+    mock.method(WebhookEndpoint, 'findById', () => fakeQuery(endpoint));
+    mock.method(WebhookEndpoint, 'findByIdAndUpdate', async () => endpoint);
+    mock.method(Math, 'random', () => 0);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  test('sends the exact body with a signature the receiver can verify', async () => {
+    const post = mock.method(axios, 'post', async () => ({ status: 204, data: '' }));
+
+    const result = await attemptDelivery(delivery());
+
+    const [url, body, options] = post.mock.calls[0].arguments;
+    const [, timestamp, signature] = options.headers['X-PTG-Signature'].match(/^t=(\d+),v1=([0-9a-f]+)$/);
+    assert.strictEqual(url, endpoint.url);
+    assert.strictEqual(body, JSON.stringify(delivery().payload));
+    assert.strictEqual(signature, crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex'));
+    assert.strictEqual(options.headers['X-PTG-Event'], 'route.started');
+    assert.strictEqual(result.status, WEBHOOK_DELIVERY_STATUS.SUCCEEDED);
+    assert.strictEqual(result.nextAttemptAt, undefined);
+    assert.strictEqual(result.save.mock.callCount(), 1);
+  });
+
+  test('schedules a retry with backoff after a failed attempt', async () => {
+    mock.method(axios, 'post', async () => ({ status: 500, data: 'boom' }));
+    const before = Date.now();
+
+    const result = await attemptDelivery(delivery({ attemptCount: 1 }));
+
+    assert.strictEqual(result.status, WEBHOOK_DELIVERY_STATUS.RETRYING);
+    assert.strictEqual(result.attemptCount, 2);
+    assert.strictEqual(result.attempts[0].statusCode, 500);
+    assert.strictEqual(result.attempts[0].error, 'Endpoint responded with HTTP 500');
+    const delay = result.nextAttemptAt.getTime() - before;
+    assert.ok(delay >= 2 * BASE_DELAY_MS && delay < 2 * BASE_DELAY_MS + 1000);
+    assert.deepStrictEqual(WebhookEndpoint.findByIdAndUpdate.mock.calls[0].arguments[1].$inc, { consecutiveFailures: 1 });
+  });
+
+  test('fails the delivery once maxAttempts is reached', async () => {
+    mock.method(axios, 'post', async () => {
+      throw Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+    });
+
+    const result = await attemptDelivery(delivery({ attemptCount: 2 }));
+
+    assert.strictEqual(result.status, WEBHOOK_DELIVERY_STATUS.FAILED);
+    assert.strictEqual(result.attemptCount, 3);
+    assert.strictEqual(result.nextAttemptAt, undefined);
+    assert.strictEqual(result.attempts[0].error, 'ECONNREFUSED: connect ECONNREFUSED');
+  });
+
+  test('fails without sending when the endpoint was deleted', async () => {
+    endpoint = null;
+    const post = mock.method(axios, 'post', async () => ({ status: 200 }));
+
+    const result = await attemptDelivery(delivery());
+
+    assert.strictEqual(post.mock.callCount(), 0);
+    assert.strictEqual(result.status, WEBHOOK_DELIVERY_STATUS.FAILED);
+    assert.strictEqual(result.attempts[0].error, 'Webhook endpoint no longer exists');
+  });
+});
+
+describe('emitEvent', () => {
+  const ORG = new mongoose.Types.ObjectId();
+
+  beforeEach(() => {
+    mock.method(WebhookEndpoint, 'find', () => fakeQuery([{ _id: 'endpoint1', maxAttempts: 5 }]));
+    mock.method(WebhookDelivery, 'insertMany', async (docs) => docs.map((doc, index) => ({ _id: `delivery${index}`, ...doc })));
+    // The background attempt finds nothing to send
+    mock.method(WebhookDelivery, 'findById', () => fakeQuery(null));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  test('only delivers to subscribed endpoints of the event\'s organization', async () => {
+    const deliveries = await emitEvent(WEBHOOK_EVENTS.ROUTE_STARTED, { routeNumber: 'RT-1' }, ORG);
+
+    assert.deepStrictEqual(WebhookEndpoint.find.mock.calls[0].arguments[0], {
+      organizationId: ORG,
+      active: true,
+      events: { $in: [WEBHOOK_EVENTS.ROUTE_STARTED, WEBHOOK_ALL_EVENTS] }
+    });
+    assert.strictEqual(deliveries.length, 1);
+    assert.strictEqual(deliveries[0].organizationId, ORG);
+    assert.strictEqual(deliveries[0].endpointId, 'endpoint1');
+    assert.deepStrictEqual(deliveries[0].payload.data, { routeNumber: 'RT-1' });
+  });
+
+  test('sends nothing for an event without an organization', async () => {
+    mock.method(console, 'error', () => {});
+
+    const deliveries = await emitEvent(WEBHOOK_EVENTS.ROUTE_STARTED, { routeNumber: 'RT-1' });
+
+    assert.deepStrictEqual(deliveries, []);
+    assert.strictEqual(WebhookEndpoint.find.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,387 @@
+/**
+ * Backhaul Finder
+ *
+ * Finds Needs Dispatch transport jobs that fill a truck's empty return leg:
+ * - anchor: the route's last drop (else its end location)
+ * - target: the start of the truck's next planned route, else the truck's home location,
+ *   else the route's start location
+ * A candidate's pickup must be near the anchor and its drop near the target. Candidates are
+ * ranked by carrierPayment per added mile, where added miles are the extra driving compared
+ * to running empty from the anchor to the target.
+ *
+ * Distances are road estimates from coordinates (see locationService.estimateDrivingDistance);
+ * job addresses are geocoded once per search.
+ */
+
+const Route = require('../models/Route');
+const Truck = require('../models/Truck');
+const TransportJob = require('../models/TransportJob');
+const locationService = require('./locationService');
+const { resolveStopCoordinates } = require('./routeOptimizer');
+const { getDefaultChecklist } = require('./checklistDefaults');
+const { ROUTE_STATUS, ROUTE_STOP_STATUS, ROUTE_STOP_TYPE, TRANSPORT_JOB_STATUS } = require('../constants/status');
+
+// Maximum distance from the route's last drop to a candidate pickup (miles)
+const PICKUP_RADIUS_MILES = parseInt(process.env.BACKHAUL_PICKUP_RADIUS_MILES) || 100;
+// Maximum distance from a candidate drop to the truck's home or next route start (miles)
+const DROP_RADIUS_MILES = parseInt(process.env.BACKHAUL_DROP_RADIUS_MILES) || 150;
+// Needs Dispatch jobs geocoded per search
+const MAX_CANDIDATES = parseInt(process.env.BACKHAUL_MAX_CANDIDATES) || 100;
+// Added miles below this count as one mile when ranking (avoids dividing by zero)
+const MIN_RANKING_MILES = 1;
+
+const round = (value, decimals = 2) => Math.round((value || 0) * 10 ** decimals) / 10 ** decimals;
+
+const hasValidCoordinates = (coordinates) =>
+  coordinates &&
+  coordinates.latitude !== undefined &&
+  coordinates.longitude !== undefined &&
+  coordinates.latitude !== null &&
+  coordinates.longitude !== null &&
+  !isNaN(coordinates.latitude) &&
+  !isNaN(coordinates.longitude);
+
+const estimateMiles = (origin, destination) => locationService.estimateDrivingDistance(origin, destination).distance.value;
+
+const getJobLocation = (job, prefix) => ({
+  name: job[`${prefix}LocationName`],
+  city: job[`${prefix}City`],
+  state: job[`${prefix}State`],
+  zip: job[`${prefix}Zip`],
+  formattedAddress: job[`${prefix}FormattedAddress`]
+});
+
+/**
+ * Coordinates of a stored location (route journey location, truck home), geocoding its address when needed
+ * @param {Object} location - { address?, name?, city?, state?, zip?, coordinates? }
+ * @param {Map} cache - Address → coordinates cache for this search
+ * @returns {Promise<{latitude: number, longitude: number}|null>}
+ */
+async function resolveLocationCoordinates(location, cache) {
+  if (!location) return null;
+  if (hasValidCoordinates(location.coordinates)) {
+    return { latitude: location.coordinates.latitude, longitude: location.coordinates.longitude };
+  }
+
+  const address = location.formattedAddress || locationService.buildAddress(location);
+  if (!address) return null;
+  if (cache.has(address)) return cache.get(address);
+
+  let coordinates = null;
+  try {
+    coordinates = await locationService.geocodeAddress(address);
+  } catch (error) {
+    coordinates = null;
+  }
+  cache.set(address, coordinates);
+  return coordinates;
+}
+
+const sortBySequence = (stops) => [...stops].sort((a, b) => (a.sequence || 0) - (b.sequence || 0));
+
+/**
+ * Where the truck is empty on this route: its last drop, else its end location
+ * @returns {Promise<{type: string, location: Object, coordinates: Object|null, date: Date|null}>}
+ */
+async function getAnchor(route, cache) {
+  const drops = sortBySequence(route.stops || []).filter(stop => stop.stopType === ROUTE_STOP_TYPE.DROP);
+  const lastDrop = drops[drops.length - 1];
+  if (lastDrop) {
+    return {
+      type: 'lastDrop',
+      stopId: lastDrop._id,
+      location: lastDrop.location,
+      coordinates: await resolveStopCoordinates(lastDrop),
+      date: lastDrop.scheduledDate || null
+    };
+  }
+
+  return {
+    type: 'routeEnd',
+    location: route.journeyEndLocation,
+    coordinates: await resolveLocationCoordinates(route.journeyEndLocation, cache),
+    date: route.plannedEndDate || null
+  };
+}
+
+/**
+ * Where the truck heads after this route: the start of its next planned route, else its home,
+ * else the start of this route
+ * @returns {Promise<{type: string, location: Object, coordinates: Object|null, routeId?, routeNumber?}|null>}
+ */
+async function getTarget(route, cache) {
+  const truckId = route.truckId?._id || route.truckId;
+  if (!truckId) return null;
+
+  const nextRoute = await Route.findOne({
+    _id: { $ne: route._id },
+    truckId,
+    deleted: { $ne: true },
+    status: ROUTE_STATUS.PLANNED,
+    plannedStartDate: { $gte: route.plannedEndDate || route.plannedStartDate }
+  })
+    .sort({ plannedStartDate: 1 })
+    .select('routeNumber plannedStartDate journeyStartLocation stops');
+
+  if (nextRoute) {
+    const firstStop = sortBySequence(nextRoute.stops || []).find(stop => stop.stopType !== ROUTE_STOP_TYPE.START);
+    let coordinates = await resolveLocationCoordinates(nextRoute.journeyStartLocation, cache);
+    let location = nextRoute.journeyStartLocation;
+    if (!coordinates && firstStop) {
+      coordinates = await resolveStopCoordinates(firstStop);
+      location = firstStop.location;
+    }
+    if (coordinates) {
+      return {
+        type: 'nextRoute',
+        routeId: nextRoute._id,
+        routeNumber: nextRoute.routeNumber,
+        plannedStartDate: nextRoute.plannedStartDate,
+        location,
+        coordinates
+      };
+    }
+  }
+
+  const truck = await Truck.findById(truckId).select('truckNumber homeLocation');
+  const homeCoordinates = await resolveLocationCoordinates(truck?.homeLocation, cache);
+  if (homeCoordinates) {
+    return { type: 'truckHome', location: truck.homeLocation, coordinates: homeCoordinates };
+  }
+
+  const startCoordinates = await resolveLocationCoordinates(route.journeyStartLocation, cache);
+  if (startCoordinates) {
+    return { type: 'routeStart', location: route.journeyStartLocation, coordinates: startCoordinates };
+  }
+  return null;
+}
+
+/**
+ * Added miles and pay of hauling a job from the anchor to the target instead of running empty
+ * @param {Object} anchor - {latitude, longitude}
+ * @param {Object} pickup - {latitude, longitude}
+ * @param {Object} drop - {latitude, longitude}
+ * @param {Object} target - {latitude, longitude}
+ * @param {number} carrierPayment
+ */
+function scoreBackhaul(anchor, pickup, drop, target, carrierPayment) {
+  const emptyMilesBefore = estimateMiles(anchor, target);
+  const deadheadToPickup = estimateMiles(anchor, pickup);
+  const loadedMiles = estimateMiles(pickup, drop);
+  const deadheadFromDrop = estimateMiles(drop, target);
+  const addedMiles = deadheadToPickup + loadedMiles + deadheadFromDrop - emptyMilesBefore;
+  const payment = carrierPayment || 0;
+
+  return {
+    deadheadToPickup: round(deadheadToPickup, 1),
+    loadedMiles: round(loadedMiles, 1),
+    deadheadFromDrop: round(deadheadFromDrop, 1),
+    emptyMilesBefore: round(emptyMilesBefore, 1),
+    emptyMilesAfter: round(deadheadToPickup + deadheadFromDrop, 1),
+    addedMiles: round(addedMiles, 1),
+    carrierPayment: payment,
+    paymentPerAddedMile: round(payment / Math.max(addedMiles, MIN_RANKING_MILES))
+  };
+}
+
+/**
+ * Rank scored candidates: most carrierPayment per added mile first, then fewest added miles
+ */
+function rankBackhauls(candidates) {
+  return [...candidates].sort((a, b) =>
+    b.metrics.paymentPerAddedMile - a.metrics.paymentPerAddedMile ||
+    a.metrics.addedMiles - b.metrics.addedMiles
+  );
+}
+
+/**
+ * Route of a truck on a date (a non-cancelled route whose planned dates include that day)
+ * @param {string} truckId - Truck ID
+ * @param {string|Date} date - Day to search
+ * @returns {Promise<Object|null>}
+ */
+async function findTruckRouteOnDate(truckId, date) {
+  const dayStart = new Date(date);
+  dayStart.setHours(0, 0, 0, 0);
+  const dayEnd = new Date(dayStart);
+  dayEnd.setDate(dayEnd.getDate() + 1);
+
+  return Route.findOne({
+    truckId,
+    deleted: { $ne: true },
+    status: { $ne: ROUTE_STATUS.CANCELLED },
+    plannedStartDate: { $lt: dayEnd },
+    $or: [
+      { plannedEndDate: { $gte: dayStart } },
+      { plannedEndDate: null, plannedStartDate: { $gte: dayStart } }
+    ]
+  }).sort({ plannedStartDate: -1 });
+}
+
+/**
+ * Backhaul candidates for a route
+ * @param {Object} route - Route document
+ * @param {Object} options - { pickupRadius?, dropRadius?, limit? }
+ * @returns {Promise<Object>} { route, anchor, target, radius, candidates, skipped } or { error }
+ */
+async function findBackhauls(route, { pickupRadius = PICKUP_RADIUS_MILES, dropRadius = DROP_RADIUS_MILES, limit = 20 } = {}) {
+  const cache = new Map();
+  const anchor = await getAnchor(route, cache);
+  if (!anchor.coordinates) {
+    return { error: 'Unable to determine the location of the route\'s last drop' };
+  }
+  const target = await getTarget(route, cache);
+  if (!target) {
+    return { error: 'Unable to determine where the truck heads next. Set the truck\'s home location or plan its next route.' };
+  }
+
+  const routeJobIds = new Set((route.stops || [])
+    .filter(stop => stop.transportJobId)
+    .map(stop => (stop.transportJobId._id || stop.transportJobId).toString()));
+
+  const jobs = await TransportJob.find({
+    status: TRANSPORT_JOB_STATUS.NEEDS_DISPATCH,
+    deleted: { $ne: true },
+    pickupRouteId: null,
+    dropRouteId: null
+  })
+    .sort({ pickupDateStart: 1, createdAt: 1 })
+    .limit(MAX_CANDIDATES)
+    .select('jobNumber loadType vehicleId loadId transportPurpose carrierPayment pickupLocationName pickupCity pickupState pickupZip pickupFormattedAddress pickupDateStart pickupDateEnd dropLocationName dropCity dropState dropZip dropFormattedAddress dropDateStart dropDateEnd')
+    .populate('vehicleId', 'vin year make model')
+    .populate('loadId', 'loadNumber loadType description');
+
+  const skipped = { unresolvedLocation: 0, pickupTooFar: 0, dropTooFar: 0, pickupWindowMissed: 0 };
+  const candidates = [];
+
+  for (const job of jobs) {
+    if (routeJobIds.has(job._id.toString())) continue;
+
+    // Pickup window closes before the truck is empty
+    if (anchor.date && job.pickupDateEnd && new Date(job.pickupDateEnd) < new Date(anchor.date)) {
+      skipped.pickupWindowMissed++;
+      continue;
+    }
+
+    const pickup = await resolveLocationCoordinates(getJobLocation(job, 'pickup'), cache);
+    const drop = pickup ? await resolveLocationCoordinates(getJobLocation(job, 'drop'), cache) : null;
+    if (!pickup || !drop) {
+      skipped.unresolvedLocation++;
+      continue;
+    }
+
+    const metrics = scoreBackhaul(anchor.coordinates, pickup, drop, target.coordinates, job.carrierPayment);
+    if (metrics.deadheadToPickup > pickupRadius) {
+      skipped.pickupTooFar++;
+      continue;
+    }
+    if (metrics.deadheadFromDrop > dropRadius) {
+      skipped.dropTooFar++;
+      continue;
+    }
+
+    candidates.push({
+      transportJob: job,
+      pickup: { ...getJobLocation(job, 'pickup'), coordinates: pickup },
+      drop: { ...getJobLocation(job, 'drop'), coordinates: drop },
+      metrics
+    });
+  }
+
+  return {
+    route: {
+      _id: route._id,
+      routeNumber: route.routeNumber,
+      truckId: route.truckId,
+      status: route.status,
+      plannedStartDate: route.plannedStartDate,
+      plannedEndDate: route.plannedEndDate
+    },
+    anchor,
+    target,
+    radius: { pickup: pickupRadius, drop: dropRadius },
+    searchedJobs: jobs.length,
+    skipped,
+    candidates: rankBackhauls(candidates).slice(0, limit)
+  };
+}
+
+/**
+ * New pending pickup and drop stops for a transport job (sequence is set when they are inserted)
+ * @param {Object} job - TransportJob document
+ * @param {Date} fallbackDate - Scheduled date for a stop whose job has no pickup/drop start date
+ * @returns {Array} [pickupStop, dropStop]
+ */
+function buildTransportJobStops(job, fallbackDate) {
+  const isLoad = (job.loadId && !job.vehicleId) || job.loadType === 'load';
+
+  return [[ROUTE_STOP_TYPE.PICKUP, 'pickup'], [ROUTE_STOP_TYPE.DROP, 'drop']].map(([stopType, prefix]) => {
+    const location = getJobLocation(job, prefix);
+    locationService.populateFormattedAddress(location);
+    return {
+      stopType,
+      transportJobId: job._id,
+      location,
+      scheduledDate: job[`${prefix}DateStart`] || fallbackDate,
+      status: ROUTE_STOP_STATUS.PENDING,
+      checklist: getDefaultChecklist(stopType, isLoad)
+    };
+  });
+}
+
+/**
+ * Insert stops into a route's stop list and renumber sequences
+ * @param {Object} route - Route document
+ * @param {Array} newStops - Stops to insert, in order
+ * @param {number} position - Optional 1-based sequence for the first inserted stop; defaults to
+ *   ahead of the end stop. Always kept after the start stop and before the end stop.
+ * @returns {Array} Plain stop objects
+ */
+function insertStops(route, newStops, position) {
+  const stops = sortBySequence(route.stops || []).map(stop => (stop.toObject ? stop.toObject() : { ...stop }));
+  const startCount = stops.filter(stop => stop.stopType === ROUTE_STOP_TYPE.START).length;
+  const endIndex = stops.findIndex(stop => stop.stopType === ROUTE_STOP_TYPE.END);
+  const maxIndex = endIndex === -1 ? stops.length : endIndex;
+  const insertAt = position ? Math.min(Math.max(position - 1, startCount), maxIndex) : maxIndex;
+
+  stops.splice(insertAt, 0, ...newStops);
+  stops.forEach((stop, index) => {
+    stop.sequence = index + 1;
+  });
+  return stops;
+}
+
+/**
+ * Latest scheduled date among a route's stops before its end stop (else its planned dates)
+ */
+function getLastScheduledDate(route) {
+  const dates = (route.stops || [])
+    .filter(stop => stop.stopType !== ROUTE_STOP_TYPE.END && stop.scheduledDate)
+    .map(stop => new Date(stop.scheduledDate).getTime());
+  return dates.length > 0 ? new Date(Math.max(...dates)) : (route.plannedEndDate || route.plannedStartDate);
+}
+
+/**
+ * Append a backhaul job's pickup and drop to a route, ahead of its end stop
+ * Stops are scheduled on the job's pickup/drop start dates, else on the route's last scheduled date.
+ * The caller saves the route and applies the status side effects.
+ * @param {Object} route - Route document
+ * @param {Object} job - TransportJob document
+ * @returns {Array} The route's stops with the backhaul stops inserted and sequences renumbered
+ */
+function buildBackhaulStops(route, job) {
+  return insertStops(route, buildTransportJobStops(job, getLastScheduledDate(route)));
+}
+
+module.exports = {
+  PICKUP_RADIUS_MILES,
+  DROP_RADIUS_MILES,
+  scoreBackhaul,
+  rankBackhauls,
+  findTruckRouteOnDate,
+  findBackhauls,
+  buildTransportJobStops,
+  insertStops,
+  getLastScheduledDate,
+  buildBackhaulStops
+};
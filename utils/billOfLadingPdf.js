@@ -0,0 +1,222 @@
+/**
+ * Bill of Lading PDF Renderer
+ *
+ * Renders the electronic BOL for a transport job: shipper/consignee, carrier,
+ * description of the vehicle or load, pickup/delivery condition with damage notes
+ * and photo references, and the shipper/receiver signatures.
+ */
+
+const {
+  PAGE_MARGIN,
+  formatDate,
+  formatLabel,
+  drawRow,
+  ensureSpace,
+  drawDocumentHeader,
+  renderPdf
+} = require('./pdfHelpers');
+const { CARRIER } = require('../constants/status');
+
+const SIGNATURE_BOX_HEIGHT = 60;
+
+const formatDateTime = (value) => (value
+  ? new Date(value).toLocaleString('en-US', { year: 'numeric', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })
+  : '-');
+
+/**
+ * Draw a section title; returns the y position below it
+ */
+function drawSectionTitle(doc, y, title) {
+  y = ensureSpace(doc, y + 12, 60);
+  doc.font('Helvetica-Bold').fontSize(10).text(title, PAGE_MARGIN, y);
+  const pageWidth = doc.page.width - PAGE_MARGIN * 2;
+  doc.moveTo(PAGE_MARGIN, doc.y + 2).lineTo(PAGE_MARGIN + pageWidth, doc.y + 2).stroke();
+  return doc.y + 8;
+}
+
+/**
+ * Draw a labelled address block at (x, y); returns the y position below it
+ */
+function drawPartyBlock(doc, x, y, width, title, lines) {
+  doc.font('Helvetica-Bold').fontSize(9).text(title, x, y, { width });
+  doc.font('Helvetica').fontSize(9);
+  lines.filter(Boolean).forEach(line => doc.text(line, x, doc.y, { width }));
+  return doc.y;
+}
+
+/**
+ * Rows describing the goods moved (vehicle or load)
+ */
+function getGoodsRows(transportJob) {
+  if (transportJob.loadType === 'load') {
+    const load = transportJob.loadId && typeof transportJob.loadId === 'object' ? transportJob.loadId : {};
+    const dimensions = load.dimensions && (load.dimensions.length || load.dimensions.width || load.dimensions.height)
+      ? `${load.dimensions.length || 0} x ${load.dimensions.width || 0} x ${load.dimensions.height || 0} in`
+      : '-';
+    return {
+      header: ['Load #', 'Description', 'Quantity', 'Dimensions', 'Weight'],
+      rows: [[
+        load.loadNumber || '-',
+        load.description || '-',
+        `${load.quantity || 1} ${load.unit || 'piece'}`,
+        dimensions,
+        load.weight ? `${load.weight.toLocaleString('en-US')} lbs` : '-'
+      ]]
+    };
+  }
+
+  const vehicle = transportJob.vehicleId && typeof transportJob.vehicleId === 'object' ? transportJob.vehicleId : {};
+  return {
+    header: ['VIN', 'Year', 'Make', 'Model', 'Weight'],
+    rows: [[
+      vehicle.vin || '-',
+      vehicle.year ? String(vehicle.year) : '-',
+      vehicle.make || '-',
+      vehicle.model || '-',
+      vehicle.weight ? `${vehicle.weight.toLocaleString('en-US')} lbs` : '-'
+    ]]
+  };
+}
+
+/**
+ * Draw the condition section for pickup or delivery; returns the y position below it
+ */
+function drawConditionSection(doc, y, title, side, pageWidth) {
+  y = drawSectionTitle(doc, y, title);
+  doc.font('Helvetica').fontSize(9);
+
+  const completedAt = side.stop?.actualDate || side.stop?.actualTime;
+  doc.text(`Completed: ${completedAt ? formatDateTime(completedAt) : 'Not yet completed'}`, PAGE_MARGIN, y, { width: pageWidth });
+  doc.font('Helvetica-Bold').text('Damage notes:', { width: pageWidth });
+  doc.font('Helvetica').text(side.damageNotes || 'No damage noted', { width: pageWidth });
+  if (side.stopNotes) {
+    doc.font('Helvetica-Bold').text('Driver notes:', { width: pageWidth });
+    doc.font('Helvetica').text(side.stopNotes, { width: pageWidth });
+  }
+
+  y = doc.y + 6;
+  if (side.photos.length === 0) {
+    doc.text('Photos: none on file', PAGE_MARGIN, y, { width: pageWidth });
+    return doc.y;
+  }
+
+  doc.font('Helvetica-Bold').text(`Photos (${side.photos.length}):`, PAGE_MARGIN, y, { width: pageWidth });
+  y = doc.y + 4;
+  side.photos.forEach((photo, index) => {
+    y = ensureSpace(doc, y, 30);
+    y = drawRow(doc, y, [
+      { x: PAGE_MARGIN, width: 20, text: `${index + 1}.` },
+      { x: PAGE_MARGIN + 20, width: 130, text: photo.category ? formatLabel(photo.category.replace(/-/g, ' ')) : 'Photo' },
+      { x: PAGE_MARGIN + 155, width: pageWidth - 155, text: [photo.url, photo.notes].filter(Boolean).join('\n') }
+    ]);
+  });
+
+  return y;
+}
+
+/**
+ * Draw one signature box at (x, y)
+ */
+function drawSignatureBox(doc, x, y, width, title, signature) {
+  doc.font('Helvetica-Bold').fontSize(9).text(title, x, y, { width });
+  const boxTop = doc.y + 4;
+  doc.rect(x, boxTop, width, SIGNATURE_BOX_HEIGHT).stroke();
+
+  if (signature?.image) {
+    try {
+      doc.image(signature.image, x + 5, boxTop + 5, { fit: [width - 10, SIGNATURE_BOX_HEIGHT - 10], align: 'center', valign: 'center' });
+    } catch (error) {
+      console.error('Failed to embed BOL signature image:', error.message);
+      doc.font('Helvetica-Oblique').fontSize(9).text('Signed electronically', x + 5, boxTop + 25, { width: width - 10, align: 'center' });
+    }
+  } else if (signature) {
+    doc.font('Helvetica-Oblique').fontSize(9).text('Signed electronically', x + 5, boxTop + 25, { width: width - 10, align: 'center' });
+  }
+
+  doc.font('Helvetica').fontSize(8);
+  doc.text(`Name: ${signature?.name || '________________________'}`, x, boxTop + SIGNATURE_BOX_HEIGHT + 4, { width });
+  doc.text(`Date: ${signature ? formatDateTime(signature.signedAt) : '________________________'}`, x, doc.y, { width });
+  return doc.y;
+}
+
+/**
+ * Render a Bill of Lading as a PDF
+ * @param {Object} data - Output of billOfLadingService.buildBillOfLadingData
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+function generateBillOfLadingPdf(data) {
+  const { transportJob, route, carrierName } = data;
+
+  return renderPdf(doc => {
+    const pageWidth = doc.page.width - PAGE_MARGIN * 2;
+    const columnWidth = (pageWidth - 20) / 2;
+
+    const headerBottom = drawDocumentHeader(doc, 'BILL OF LADING', [
+      `BOL #: ${data.bolNumber}`,
+      `Job #: ${transportJob.jobNumber || '-'}`,
+      `Date: ${formatDate(new Date())}`,
+      transportJob.transportPurpose && `Purpose: ${formatLabel(transportJob.transportPurpose)}`
+    ]);
+
+    // Shipper (pickup) and consignee (drop)
+    let y = Math.max(headerBottom, 130) + 10;
+    const shipperBottom = drawPartyBlock(doc, PAGE_MARGIN, y, columnWidth, 'SHIPPER / PICKUP', [
+      transportJob.pickupLocationName,
+      transportJob.pickupFormattedAddress || [transportJob.pickupCity, transportJob.pickupState, transportJob.pickupZip].filter(Boolean).join(', '),
+      transportJob.pickupContactName && `Contact: ${transportJob.pickupContactName}`,
+      transportJob.pickupContactPhone && `Phone: ${transportJob.pickupContactPhone}`,
+      transportJob.pickupDateStart && `Scheduled: ${formatDate(transportJob.pickupDateStart)}`
+    ]);
+    const consigneeBottom = drawPartyBlock(doc, PAGE_MARGIN + columnWidth + 20, y, columnWidth, 'CONSIGNEE / DELIVERY', [
+      transportJob.dropLocationName,
+      transportJob.dropFormattedAddress || [transportJob.dropCity, transportJob.dropState, transportJob.dropZip].filter(Boolean).join(', '),
+      transportJob.dropContactName && `Contact: ${transportJob.dropContactName}`,
+      transportJob.dropContactPhone && `Phone: ${transportJob.dropContactPhone}`,
+      transportJob.dropDateStart && `Scheduled: ${formatDate(transportJob.dropDateStart)}`
+    ]);
+
+    // Carrier
+    y = drawSectionTitle(doc, Math.max(shipperBottom, consigneeBottom), 'CARRIER');
+    const driver = route?.driverId && typeof route.driverId === 'object' ? route.driverId : null;
+    const truck = route?.truckId && typeof route.truckId === 'object' ? route.truckId : null;
+    doc.font('Helvetica').fontSize(9);
+    [
+      transportJob.carrier === CARRIER.PTG ? (carrierName || process.env.BRAND_NAME || 'PTG') : (transportJob.externalCarrierName || transportJob.carrier),
+      route && `Route: ${route.routeNumber}`,
+      driver && `Driver: ${[driver.firstName, driver.lastName].filter(Boolean).join(' ')}`,
+      truck && `Truck: ${truck.truckNumber}${truck.licensePlate ? ` (${truck.licensePlate})` : ''}`
+    ].filter(Boolean).forEach((line, index) => doc.text(line, PAGE_MARGIN, index === 0 ? y : doc.y, { width: pageWidth }));
+
+    // Description of goods
+    y = drawSectionTitle(doc, doc.y, 'DESCRIPTION OF GOODS');
+    const goods = getGoodsRows(transportJob);
+    const goodsColumns = transportJob.loadType === 'load'
+      ? [{ width: 80 }, { width: 180 }, { width: 70 }, { width: 100 }, { width: 70, align: 'right' }]
+      : [{ width: 150 }, { width: 50 }, { width: 110 }, { width: 120 }, { width: 70, align: 'right' }];
+    let x = PAGE_MARGIN;
+    const positionedColumns = goodsColumns.map(column => {
+      const positioned = { ...column, x };
+      x += column.width + 2;
+      return positioned;
+    });
+
+    y = drawRow(doc, y, positionedColumns.map((column, index) => ({ ...column, text: goods.header[index] })), { bold: true });
+    goods.rows.forEach(row => {
+      y = drawRow(doc, y, positionedColumns.map((column, index) => ({ ...column, text: row[index] })));
+    });
+
+    // Condition at pickup and delivery
+    y = drawConditionSection(doc, y, 'CONDITION AT PICKUP', data.pickup, pageWidth);
+    y = drawConditionSection(doc, y, 'CONDITION AT DELIVERY', data.delivery, pageWidth);
+
+    // Signatures
+    y = drawSectionTitle(doc, y, 'SIGNATURES');
+    y = ensureSpace(doc, y, SIGNATURE_BOX_HEIGHT + 50);
+    drawSignatureBox(doc, PAGE_MARGIN, y, columnWidth, 'Shipper (received in apparent good order)', data.shipperSignature);
+    drawSignatureBox(doc, PAGE_MARGIN + columnWidth + 20, y, columnWidth, 'Receiver (received in apparent good order)', data.receiverSignature);
+  });
+}
+
+module.exports = {
+  generateBillOfLadingPdf
+};
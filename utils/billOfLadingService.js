@@ -0,0 +1,223 @@
+/**
+ * Bill of Lading Service
+ *
+ * Electronic Bill of Lading for a transport job:
+ * - captures shipper (pickup) and receiver (delivery) signatures as Cloudinary images
+ * - gathers pickup/delivery stop details, damage notes and photo references from the job's routes
+ * - renders the BOL PDF, uploads it and stores its URL on transportJob.billOfLading
+ */
+
+const axios = require('axios');
+const Route = require('../models/Route');
+const Organization = require('../models/Organization');
+const { uploadFromBase64, deleteImage } = require('../config/cloudinary');
+const { generateBillOfLadingPdf } = require('./billOfLadingPdf');
+const { ROUTE_STOP_TYPE } = require('../constants/status');
+
+const SIGNATURE_PARTIES = {
+  shipper: 'shipperSignature',
+  receiver: 'receiverSignature'
+};
+
+const BOL_FOLDER = 'vos-ptg/bills-of-lading';
+
+/**
+ * Find the pickup and drop stops of a transport job on its routes
+ * @param {Object} transportJob - TransportJob document
+ * @returns {Promise<{pickupStop: Object|null, dropStop: Object|null, pickupRoute: Object|null, dropRoute: Object|null}>}
+ */
+async function getJobStops(transportJob) {
+  const pickupRouteId = transportJob.pickupRouteId || transportJob.routeId;
+  const dropRouteId = transportJob.dropRouteId || transportJob.routeId;
+  const routeIds = [...new Set([pickupRouteId, dropRouteId].filter(Boolean).map(id => id.toString()))];
+
+  const routes = routeIds.length > 0
+    ? await Route.find({ _id: { $in: routeIds } })
+      .select('routeNumber driverId truckId stops')
+      .populate('driverId', 'firstName lastName')
+      .populate('truckId', 'truckNumber licensePlate')
+    : [];
+
+  const findStop = (routeId, stopType) => {
+    const route = routeId && routes.find(entry => entry._id.toString() === routeId.toString());
+    const stop = route && route.stops.find(entry =>
+      entry.stopType === stopType &&
+      entry.transportJobId &&
+      entry.transportJobId.toString() === transportJob._id.toString()
+    );
+    return { route: stop ? route : null, stop: stop || null };
+  };
+
+  const pickup = findStop(pickupRouteId, ROUTE_STOP_TYPE.PICKUP);
+  const drop = findStop(dropRouteId, ROUTE_STOP_TYPE.DROP);
+
+  return {
+    pickupStop: pickup.stop,
+    pickupRoute: pickup.route,
+    dropStop: drop.stop,
+    dropRoute: drop.route
+  };
+}
+
+/**
+ * Upload a signature image and set it on the job (the caller saves the job)
+ * @param {Object} transportJob - TransportJob document
+ * @param {string} party - 'shipper' or 'receiver'
+ * @param {Object} data - { signature: base64 image, name, location? }
+ * @param {string} userId - User capturing the signature
+ * @returns {Promise<Object>} The stored signature
+ */
+async function captureSignature(transportJob, party, data, userId) {
+  const field = SIGNATURE_PARTIES[party];
+  if (!field) {
+    throw new Error(`Invalid signature party: ${party}`);
+  }
+  if (!data.signature || typeof data.signature !== 'string') {
+    throw new Error('Signature image (base64) is required');
+  }
+
+  const result = await uploadFromBase64(data.signature, `${BOL_FOLDER}/signatures`, {
+    context: {
+      uploaded_by: userId ? userId.toString() : 'unknown',
+      document_type: 'bol_signature',
+      file_name: `${transportJob.jobNumber || transportJob._id}-${party}-signature.png`,
+      timestamp: new Date().toISOString()
+    }
+  });
+
+  const previous = transportJob.billOfLadingDetails[field];
+  transportJob.billOfLadingDetails[field] = {
+    name: data.name,
+    url: result.url,
+    publicId: result.public_id,
+    signedAt: new Date(),
+    capturedBy: userId,
+    location: data.location
+  };
+
+  // A re-signed BOL replaces the previous signature image
+  if (previous && previous.publicId) {
+    deleteImage(previous.publicId).catch(error => {
+      console.error('Failed to delete previous BOL signature:', error.message);
+    });
+  }
+
+  return transportJob.billOfLadingDetails[field];
+}
+
+/**
+ * Download a signature image for embedding in the PDF
+ * pdfkit only embeds PNG and JPEG, so the image is requested from Cloudinary as PNG
+ * @returns {Promise<Buffer|null>} Image bytes, or null when unavailable
+ */
+async function fetchSignatureImage(url) {
+  if (!url) return null;
+
+  try {
+    const imageUrl = url.includes('/upload/') ? url.replace('/upload/', '/upload/f_png/') : url;
+    const response = await axios.get(imageUrl, { responseType: 'arraybuffer', timeout: 10000 });
+    const buffer = Buffer.from(response.data);
+    const isPng = buffer.slice(0, 4).toString('hex') === '89504e47';
+    const isJpeg = buffer.slice(0, 2).toString('hex') === 'ffd8';
+    return isPng || isJpeg ? buffer : null;
+  } catch (error) {
+    console.error('Failed to fetch BOL signature image:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Photo references for one side of the move: vehicle photos taken at the stop plus job photos
+ */
+function collectPhotoReferences(stop, jobPhotos = []) {
+  const references = (stop?.photos || []).map(photo => ({
+    url: photo.url,
+    category: photo.photoCategory || photo.photoType,
+    notes: photo.notes,
+    timestamp: photo.timestamp
+  }));
+
+  jobPhotos.forEach(url => {
+    if (url && !references.some(reference => reference.url === url)) {
+      references.push({ url });
+    }
+  });
+
+  return references;
+}
+
+/**
+ * Build the data rendered on the BOL
+ * @param {Object} transportJob - TransportJob with vehicleId/loadId populated
+ */
+async function buildBillOfLadingData(transportJob) {
+  const { pickupStop, pickupRoute, dropStop, dropRoute } = await getJobStops(transportJob);
+  const details = transportJob.billOfLadingDetails || {};
+
+  const [shipperSignatureImage, receiverSignatureImage] = await Promise.all([
+    fetchSignatureImage(details.shipperSignature?.url),
+    fetchSignatureImage(details.receiverSignature?.url)
+  ]);
+
+  // Jobs the organization hauls itself list the organization as the carrier
+  const organization = transportJob.organizationId
+    ? await Organization.findById(transportJob.organizationId).select('name')
+    : null;
+
+  return {
+    transportJob,
+    carrierName: organization?.name,
+    bolNumber: details.bolNumber || `BOL-${transportJob.jobNumber || transportJob._id}`,
+    route: pickupRoute || dropRoute,
+    pickup: {
+      stop: pickupStop,
+      damageNotes: details.pickupDamageNotes,
+      stopNotes: pickupStop?.notes,
+      photos: collectPhotoReferences(pickupStop, transportJob.pickupPhotos)
+    },
+    delivery: {
+      stop: dropStop,
+      damageNotes: details.deliveryDamageNotes,
+      stopNotes: dropStop?.notes,
+      photos: collectPhotoReferences(dropStop, transportJob.deliveryPhotos)
+    },
+    shipperSignature: details.shipperSignature ? { ...details.shipperSignature, image: shipperSignatureImage } : null,
+    receiverSignature: details.receiverSignature ? { ...details.receiverSignature, image: receiverSignatureImage } : null
+  };
+}
+
+/**
+ * Render the BOL PDF, upload it and store the URL on the job (the caller saves the job)
+ * @param {Object} transportJob - TransportJob document with vehicleId/loadId populated
+ * @param {string} userId - User generating the BOL
+ * @returns {Promise<{url: string, pdfBuffer: Buffer}>}
+ */
+async function publishBillOfLading(transportJob, userId) {
+  const data = await buildBillOfLadingData(transportJob);
+  const pdfBuffer = await generateBillOfLadingPdf(data);
+
+  const result = await uploadFromBase64(`data:application/pdf;base64,${pdfBuffer.toString('base64')}`, BOL_FOLDER, {
+    context: {
+      uploaded_by: userId ? userId.toString() : 'unknown',
+      document_type: 'bill_of_lading',
+      file_name: `${data.bolNumber}.pdf`,
+      timestamp: new Date().toISOString()
+    }
+  });
+
+  transportJob.billOfLading = result.url;
+  transportJob.billOfLadingDetails.bolNumber = data.bolNumber;
+  transportJob.billOfLadingDetails.pdfPublicId = result.public_id;
+  transportJob.billOfLadingDetails.generatedAt = new Date();
+  transportJob.billOfLadingDetails.generatedBy = userId;
+
+  return { url: result.url, pdfBuffer };
+}
+
+module.exports = {
+  SIGNATURE_PARTIES,
+  getJobStops,
+  captureSignature,
+  buildBillOfLadingData,
+  publishBillOfLading
+};
@@ -0,0 +1,488 @@
+/**
+ * Bulk Import Service
+ *
+ * Imports vehicles or loads from a CSV / XLSX spreadsheet in two steps:
+ * - previewImport(): parses the file, maps columns to model fields (constants/bulkImport.js),
+ *   validates every row (required fields, types, VIN format and check digit, VINs duplicated in
+ *   the file or already in PTG) and shows which shippers will be reused or created - nothing is written
+ * - commitImport(): creates the valid rows of a preview one by one, resolving shippers with
+ *   shipperService.findOrCreateShipper and optionally creating a transport job per record
+ */
+
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const Vehicle = require('../models/Vehicle');
+const Load = require('../models/Load');
+const TransportJob = require('../models/TransportJob');
+const AuditLog = require('../models/AuditLog');
+const { findShipper, findOrCreateShipper } = require('./shipperService');
+const { validateVin, applyVinDecode } = require('./vinDecoder');
+const { updateVehicleOnCreate, updateLoadOnCreate, updateStatusOnTransportJobCreate } = require('./statusManager');
+const { IMPORT_COLUMNS, MAX_IMPORT_ROWS } = require('../constants/bulkImport');
+
+const IMPORT_FORMATS = ['csv', 'xlsx'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Plain value of a spreadsheet cell (rich text, hyperlinks and formulas are reduced to their text/result)
+ */
+function getCellValue(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return getCellValue(value.text);
+    if (value.result !== undefined) return getCellValue(value.result);
+    return '';
+  }
+  return value;
+}
+
+/**
+ * Detect the file format from the file name or data URL
+ */
+function detectFormat(fileName = '', dataUrlPrefix = '') {
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (IMPORT_FORMATS.includes(extension)) return extension;
+  if (dataUrlPrefix.includes('spreadsheetml')) return 'xlsx';
+  if (dataUrlPrefix.includes('csv') || dataUrlPrefix.includes('text/plain')) return 'csv';
+  return null;
+}
+
+/**
+ * Parse a CSV or XLSX file (first worksheet, first row is the header)
+ * @param {Buffer} buffer - File contents
+ * @param {string} format - 'csv' | 'xlsx'
+ * @returns {Promise<{headers: string[], rows: Array<{rowNumber: number, values: Array}>}>}
+ */
+async function parseSpreadsheet(buffer, format) {
+  const workbook = new ExcelJS.Workbook();
+  let worksheet;
+
+  if (format === 'csv') {
+    // Keep every value as text (ZIP codes like 01234 must not become numbers)
+    worksheet = await workbook.csv.read(Readable.from([buffer]), { map: value => value });
+  } else {
+    await workbook.xlsx.load(buffer);
+    worksheet = workbook.worksheets[0];
+  }
+
+  if (!worksheet || worksheet.rowCount === 0) {
+    return { headers: [], rows: [] };
+  }
+
+  const headers = [];
+  worksheet.getRow(1).eachCell({ includeEmpty: true }, (cell, columnNumber) => {
+    headers[columnNumber - 1] = String(getCellValue(cell.value)).trim();
+  });
+
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const values = headers.map((header, index) => getCellValue(row.getCell(index + 1).value));
+    if (values.every(isBlank)) return;
+    rows.push({ rowNumber, values });
+  });
+
+  return { headers, rows };
+}
+
+/**
+ * Map spreadsheet headers to import fields
+ * @param {string[]} headers - Header row
+ * @param {string|Array} entityType - 'vehicle' | 'load', or the column definitions of another import
+ * @param {Object} overrides - Explicit mapping { header: field } (field null/'' ignores the column)
+ * @returns {{mapping: Object, unmappedColumns: string[], missingRequiredFields: string[]}}
+ */
+function buildColumnMapping(headers, entityType, overrides = {}) {
+  const columns = Array.isArray(entityType) ? entityType : IMPORT_COLUMNS[entityType];
+  const lookup = new Map();
+  columns.forEach(column => {
+    const names = [column.field, column.field.replace(/^initial/, ''), column.field.replace(/^dimensions\./, ''), ...(column.aliases || [])];
+    names.forEach(name => {
+      const key = normalizeHeader(name);
+      if (!lookup.has(key)) lookup.set(key, column.field);
+    });
+  });
+
+  const mapping = {};
+  const unmappedColumns = [];
+  const usedFields = new Set();
+
+  headers.forEach(header => {
+    if (!header) return;
+    let field;
+    if (Object.prototype.hasOwnProperty.call(overrides, header)) {
+      field = overrides[header] || null;
+    } else {
+      field = lookup.get(normalizeHeader(header)) || null;
+    }
+
+    // Each field is read from one column only
+    if (field && columns.some(column => column.field === field) && !usedFields.has(field)) {
+      mapping[header] = field;
+      usedFields.add(field);
+    } else {
+      unmappedColumns.push(header);
+    }
+  });
+
+  const missingRequiredFields = columns
+    .filter(column => column.required && !usedFields.has(column.field))
+    .map(column => column.field);
+
+  return { mapping, unmappedColumns, missingRequiredFields };
+}
+
+/**
+ * Convert and validate one cell for its column definition
+ * @returns {{value: *, error: string|null, warning?: string|null}}
+ */
+function convertValue(column, rawValue) {
+  const text = String(rawValue).trim();
+
+  switch (column.type) {
+    case 'vin': {
+      const validation = validateVin(text);
+      if (!validation.validFormat) {
+        return { value: validation.vin, error: validation.errors[0] };
+      }
+      // A wrong check digit is usually a typo, but some non-North American VINs don't use one
+      return { value: validation.vin, error: null, warning: validation.checkDigitValid ? null : validation.errors[0] };
+    }
+    case 'year': {
+      const year = Number(text);
+      const maxYear = new Date().getFullYear() + 2;
+      return Number.isInteger(year) && year >= 1900 && year <= maxYear
+        ? { value: year, error: null }
+        : { value: text, error: `Year must be between 1900 and ${maxYear}` };
+    }
+    case 'number':
+    case 'integer': {
+      const number = Number(text.replace(/[$,]/g, ''));
+      if (isNaN(number) || number < 0 || (column.type === 'integer' && !Number.isInteger(number))) {
+        return { value: text, error: `${column.field} must be a ${column.type === 'integer' ? 'whole ' : ''}number of 0 or more` };
+      }
+      return { value: number, error: null };
+    }
+    case 'date': {
+      const date = new Date(text);
+      return isNaN(date.getTime())
+        ? { value: text, error: `${column.field} is not a valid date` }
+        : { value: date, error: null };
+    }
+    case 'email':
+      return EMAIL_PATTERN.test(text)
+        ? { value: text.toLowerCase(), error: null }
+        : { value: text, error: `${column.field} is not a valid email address` };
+    case 'enum': {
+      const match = column.values.find(value => value.toLowerCase() === text.toLowerCase());
+      return match
+        ? { value: match, error: null }
+        : { value: text, error: `${column.field} must be one of: ${column.values.join(', ')}` };
+    }
+    default:
+      return { value: text, error: null };
+  }
+}
+
+const setPath = (target, path, value) => {
+  const keys = path.split('.');
+  let node = target;
+  keys.slice(0, -1).forEach(key => {
+    node[key] = node[key] || {};
+    node = node[key];
+  });
+  node[keys[keys.length - 1]] = value;
+};
+
+/**
+ * Build and validate the record (and transport job fields) of one spreadsheet row
+ */
+function buildRow(entityType, headers, mapping, sourceRow) {
+  const columns = IMPORT_COLUMNS[entityType];
+  const row = {
+    rowNumber: sourceRow.rowNumber,
+    status: 'valid',
+    data: {},
+    transportJob: {},
+    errors: [],
+    warnings: []
+  };
+
+  headers.forEach((header, index) => {
+    const field = mapping[header];
+    const rawValue = sourceRow.values[index];
+    if (!field || isBlank(rawValue)) return;
+
+    const column = columns.find(entry => entry.field === field);
+    const { value, error, warning } = convertValue(column, rawValue);
+    if (error) {
+      row.errors.push({ column: header, field, message: error });
+    }
+    if (warning) {
+      row.warnings.push(warning);
+    }
+    setPath(column.target === 'transportJob' ? row.transportJob : row.data, field, value);
+  });
+
+  columns.filter(column => column.required).forEach(column => {
+    if (isBlank(row.data[column.field])) {
+      row.errors.push({ field: column.field, message: `${column.field} is required` });
+    }
+  });
+
+  if (Boolean(row.data.shipperName) !== Boolean(row.data.shipperCompany)) {
+    row.warnings.push('Shipper name and company are both needed to link a shipper; the shipper will not be linked');
+  }
+
+  return row;
+}
+
+const shipperKey = (data) => data.shipperEmail
+  ? `${data.shipperCompany.trim().toLowerCase()}|email|${data.shipperEmail}`
+  : `${data.shipperCompany.trim().toLowerCase()}|name|${data.shipperName.trim().toLowerCase()}`;
+
+/**
+ * Parse, map and validate an import file without writing anything
+ * @param {string} entityType - 'vehicle' | 'load'
+ * @param {Buffer} buffer - File contents
+ * @param {string} format - 'csv' | 'xlsx'
+ * @param {Object} columnMapping - Optional explicit { header: field } mapping
+ * @returns {Promise<Object>} Preview with per-row status, errors and warnings
+ */
+async function previewImport(entityType, buffer, format, columnMapping = {}) {
+  const { headers, rows: sourceRows } = await parseSpreadsheet(buffer, format);
+
+  if (headers.length === 0 || sourceRows.length === 0) {
+    throw new Error('The file has no data rows (the first row must contain the column headers)');
+  }
+  if (sourceRows.length > MAX_IMPORT_ROWS) {
+    throw new Error(`The file has ${sourceRows.length} rows; at most ${MAX_IMPORT_ROWS} rows can be imported at once`);
+  }
+
+  const { mapping, unmappedColumns, missingRequiredFields } = buildColumnMapping(headers, entityType, columnMapping);
+  const rows = sourceRows.map(sourceRow => buildRow(entityType, headers, mapping, sourceRow));
+
+  if (entityType === 'vehicle') {
+    // VINs repeated in the file: the first occurrence is imported, later ones are errors
+    const firstRowByVin = new Map();
+    rows.forEach(row => {
+      const vin = row.data.vin;
+      if (!vin) return;
+      if (firstRowByVin.has(vin)) {
+        row.errors.push({ field: 'vin', message: `Duplicate VIN in file (first seen on row ${firstRowByVin.get(vin)})` });
+      } else {
+        firstRowByVin.set(vin, row.rowNumber);
+      }
+    });
+
+    const existing = await Vehicle.find({ vin: { $in: [...firstRowByVin.keys()] }, deleted: { $ne: true } }).select('vin');
+    const existingByVin = new Map(existing.map(vehicle => [vehicle.vin, vehicle._id]));
+    rows.forEach(row => {
+      if (row.data.vin && existingByVin.has(row.data.vin)) {
+        row.errors.push({ field: 'vin', message: 'A vehicle with this VIN already exists in PTG', existingVehicleId: existingByVin.get(row.data.vin) });
+      }
+    });
+  }
+
+  // Show which shippers will be reused and which will be created
+  const shipperCache = new Map();
+  for (const row of rows) {
+    row.status = row.errors.length > 0 ? 'invalid' : 'valid';
+    if (row.status !== 'valid' || !row.data.shipperName || !row.data.shipperCompany) continue;
+
+    const key = shipperKey(row.data);
+    if (!shipperCache.has(key)) {
+      const shipper = await findShipper(row.data);
+      shipperCache.set(key, shipper
+        ? { action: 'use_existing', shipperId: shipper._id, shipperCompany: shipper.shipperCompany }
+        : { action: 'create', shipperCompany: row.data.shipperCompany.trim() });
+    }
+    row.shipper = shipperCache.get(key);
+  }
+
+  const validRows = rows.filter(row => row.status === 'valid').length;
+
+  return {
+    entityType,
+    format,
+    totalRows: rows.length,
+    validRows,
+    invalidRows: rows.length - validRows,
+    columnMapping: mapping,
+    unmappedColumns,
+    missingRequiredFields,
+    shippersToCreate: [...shipperCache.values()].filter(shipper => shipper.action === 'create').length,
+    rows
+  };
+}
+
+/**
+ * Create a transport job for an imported record, copying its initial pickup/drop locations
+ */
+async function createImportTransportJob(entityType, record, jobFields, userId) {
+  const jobData = {
+    loadType: entityType,
+    vehicleId: entityType === 'vehicle' ? record._id : undefined,
+    loadId: entityType === 'load' ? record._id : undefined,
+    pickupLocationName: record.initialPickupLocationName,
+    pickupCity: record.initialPickupCity,
+    pickupState: record.initialPickupState,
+    pickupZip: record.initialPickupZip,
+    pickupContactName: record.initialPickupContactName,
+    pickupContactPhone: record.initialPickupContactPhone,
+    dropDestinationType: record.initialDropDestinationType,
+    dropLocationName: record.initialDropLocationName,
+    dropCity: record.initialDropCity,
+    dropState: record.initialDropState,
+    dropZip: record.initialDropZip,
+    dropContactName: record.initialDropContactName,
+    dropContactPhone: record.initialDropContactPhone,
+    ...jobFields,
+    createdBy: userId,
+    lastUpdatedBy: userId
+  };
+
+  const transportJob = await TransportJob.create(jobData);
+
+  await AuditLog.create({
+    action: 'create_transport_job',
+    entityType: 'transportJob',
+    entityId: transportJob._id,
+    userId,
+    details: {
+      jobNumber: transportJob.jobNumber,
+      vehicleId: jobData.vehicleId,
+      loadId: jobData.loadId,
+      loadType: entityType,
+      carrier: transportJob.carrier,
+      status: transportJob.status
+    },
+    notes: `Created transport job ${transportJob.jobNumber} from bulk import`
+  });
+
+  const Model = entityType === 'vehicle' ? Vehicle : Load;
+  await Model.findByIdAndUpdate(record._id, {
+    $push: {
+      transportJobs: {
+        transportJobId: transportJob._id,
+        routeId: null, // Will be set when route is created
+        status: 'pending',
+        transportPurpose: transportJob.transportPurpose,
+        createdAt: new Date()
+      }
+    },
+    $inc: { totalTransports: 1 },
+    currentTransportJobId: transportJob._id,
+    lastTransportDate: new Date(),
+    isAvailableForTransport: false
+  });
+
+  await updateStatusOnTransportJobCreate(transportJob._id, record._id, entityType);
+
+  return transportJob;
+}
+
+/**
+ * Create the valid rows of a preview
+ * @param {Object} preview - Result of previewImport
+ * @param {Object} options - { userId, createTransportJobs, transportJobDefaults: { carrier, transportPurpose, carrierPayment } }
+ * @returns {Promise<Object>} { created, failed, skipped, shippersCreated, transportJobsCreated, rows }
+ */
+async function commitImport(preview, { userId, createTransportJobs = false, transportJobDefaults = {} } = {}) {
+  const { entityType } = preview;
+  const Model = entityType === 'vehicle' ? Vehicle : Load;
+  const results = [];
+  let shippersCreated = 0;
+  let transportJobsCreated = 0;
+
+  // Sequential on purpose: job and load numbers are generated from document counts
+  for (const row of preview.rows) {
+    if (row.status !== 'valid') {
+      results.push({ rowNumber: row.rowNumber, status: 'skipped', errors: row.errors });
+      continue;
+    }
+
+    try {
+      const data = {
+        ...row.data,
+        source: entityType === 'vehicle' ? 'BULK_IMPORT' : 'bulk_import',
+        createdBy: userId,
+        lastUpdatedBy: userId
+      };
+
+      if (entityType === 'vehicle') {
+        const { vinDecode } = await applyVinDecode(data);
+        data.vinDecode = vinDecode;
+      }
+
+      if (data.shipperName && data.shipperCompany) {
+        const { shipper, created } = await findOrCreateShipper(data, userId,
+          `Auto-created shipper ${data.shipperCompany.trim()} from ${entityType} bulk import`);
+        data.shipperId = shipper._id;
+        if (created) shippersCreated += 1;
+      }
+
+      const record = await Model.create(data);
+
+      await AuditLog.create({
+        action: entityType === 'vehicle' ? 'create_vehicle' : 'create_load',
+        entityType,
+        entityId: record._id,
+        userId,
+        details: entityType === 'vehicle'
+          ? { vin: record.vin, year: record.year, make: record.make, model: record.model, source: data.source, shipperCompany: data.shipperCompany }
+          : { loadNumber: record.loadNumber, loadType: record.loadType, description: record.description, shipperCompany: data.shipperCompany },
+        notes: entityType === 'vehicle'
+          ? `Created vehicle ${record.vin} (${record.year} ${record.make} ${record.model}) from bulk import`
+          : `Created load ${record.loadNumber} (${record.loadType}) from bulk import`
+      });
+
+      if (entityType === 'vehicle') {
+        await updateVehicleOnCreate(record._id);
+      } else {
+        await updateLoadOnCreate(record._id);
+      }
+
+      const result = { rowNumber: row.rowNumber, status: 'created', id: record._id };
+      if (entityType === 'vehicle') result.vin = record.vin;
+      else result.loadNumber = record.loadNumber;
+
+      if (createTransportJobs) {
+        const transportJob = await createImportTransportJob(entityType, record, { ...transportJobDefaults, ...row.transportJob }, userId);
+        result.transportJobId = transportJob._id;
+        result.jobNumber = transportJob.jobNumber;
+        transportJobsCreated += 1;
+      }
+
+      results.push(result);
+    } catch (error) {
+      console.error(`Error importing ${entityType} row ${row.rowNumber}:`, error);
+      results.push({ rowNumber: row.rowNumber, status: 'failed', errors: [{ message: error.message }] });
+    }
+  }
+
+  return {
+    created: results.filter(result => result.status === 'created').length,
+    failed: results.filter(result => result.status === 'failed').length,
+    skipped: results.filter(result => result.status === 'skipped').length,
+    shippersCreated,
+    transportJobsCreated,
+    rows: results
+  };
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  detectFormat,
+  parseSpreadsheet,
+  buildColumnMapping,
+  convertValue,
+  previewImport,
+  commitImport
+};
@@ -0,0 +1,236 @@
+/**
+ * Truck Capacity Simulator
+ *
+ * Walks a route's stops in sequence, adding cargo weight at each pickup and removing it
+ * at each drop, and reports the onboard weight after every stop against the truck's
+ * loadCapacity (lbs).
+ *
+ * Cargo weight per transport job:
+ * - Loads: weight x quantity
+ * - Vehicles: vehicle.weight, else a VehicleWeightDefault for its make/model (or make),
+ *   else the built-in table in constants/vehicleWeights
+ *
+ * Jobs that are only dropped on this route (picked up on an earlier route) are treated
+ * as onboard from the start of the route.
+ */
+
+const TransportJob = require('../models/TransportJob');
+const Truck = require('../models/Truck');
+const VehicleWeightDefault = require('../models/VehicleWeightDefault');
+const { ROUTE_STOP_TYPE } = require('../constants/status');
+const { normalizeKey, getBuiltInVehicleWeight } = require('../constants/vehicleWeights');
+
+const getJobIdFromStop = (stop) => {
+  if (!stop.transportJobId) return null;
+  if (typeof stop.transportJobId === 'object') {
+    return (stop.transportJobId._id || stop.transportJobId.id || stop.transportJobId).toString();
+  }
+  return stop.transportJobId.toString();
+};
+
+/**
+ * Load the configured make/model weight defaults into a lookup map
+ * @returns {Promise<Map<string, number>>} Keyed by "make|model" ("make|" for make-wide defaults)
+ */
+async function loadWeightDefaults() {
+  const defaults = await VehicleWeightDefault.find({}).select('make model weight').lean();
+  return new Map(defaults.map(entry => [`${entry.make}|${entry.model || ''}`, entry.weight]));
+}
+
+/**
+ * Resolve the weight of a vehicle
+ * @param {Object} vehicle - Vehicle document (make, model, weight)
+ * @param {Map<string, number>} weightDefaults - Result of loadWeightDefaults()
+ * @returns {{weight: number, source: string}}
+ */
+function getVehicleWeight(vehicle, weightDefaults = new Map()) {
+  if (vehicle.weight !== undefined && vehicle.weight !== null && vehicle.weight > 0) {
+    return { weight: vehicle.weight, source: 'vehicle' };
+  }
+
+  const makeKey = normalizeKey(vehicle.make);
+  const modelKey = normalizeKey(vehicle.model);
+
+  if (weightDefaults.has(`${makeKey}|${modelKey}`)) {
+    return { weight: weightDefaults.get(`${makeKey}|${modelKey}`), source: 'model_default' };
+  }
+  if (weightDefaults.has(`${makeKey}|`)) {
+    return { weight: weightDefaults.get(`${makeKey}|`), source: 'make_default' };
+  }
+
+  return getBuiltInVehicleWeight(vehicle.make, vehicle.model);
+}
+
+/**
+ * Resolve the cargo weight of a transport job
+ * @param {Object} job - TransportJob with vehicleId/loadId populated
+ * @param {Map<string, number>} weightDefaults - Result of loadWeightDefaults()
+ * @returns {{weight: number, source: string}}
+ */
+function getTransportJobWeight(job, weightDefaults = new Map()) {
+  if (job.loadType === 'load') {
+    const load = job.loadId;
+    if (load && typeof load === 'object' && load.weight) {
+      return { weight: load.weight * (load.quantity || 1), source: 'load' };
+    }
+    return { weight: 0, source: 'unknown' };
+  }
+
+  if (job.vehicleId && typeof job.vehicleId === 'object') {
+    return getVehicleWeight(job.vehicleId, weightDefaults);
+  }
+
+  return getBuiltInVehicleWeight();
+}
+
+/**
+ * Simulate the onboard weight along a route's stops
+ * @param {Array} stops - Route stops (documents or plain objects); ordered by sequence, falling back to array order
+ * @param {Object|null} truck - Truck document (uses loadCapacity)
+ * @returns {Promise<Object>} Capacity report with per-stop onboard weight
+ */
+async function simulateRouteCapacity(stops, truck) {
+  const orderedStops = (stops || [])
+    .map((stop, index) => ({ stop, order: stop.sequence !== undefined && stop.sequence !== null ? stop.sequence : index + 1 }))
+    .sort((a, b) => a.order - b.order)
+    .map(entry => entry.stop);
+
+  const jobIds = [...new Set(orderedStops.map(getJobIdFromStop).filter(Boolean))];
+  const jobs = jobIds.length > 0
+    ? await TransportJob.find({ _id: { $in: jobIds } })
+      .select('jobNumber loadType vehicleId loadId')
+      .populate('vehicleId', 'vin year make model weight')
+      .populate('loadId', 'loadNumber description weight quantity unit dimensions')
+    : [];
+  const weightDefaults = await loadWeightDefaults();
+
+  const cargoByJobId = new Map(jobs.map(job => {
+    const { weight, source } = getTransportJobWeight(job, weightDefaults);
+    return [job._id.toString(), {
+      transportJobId: job._id.toString(),
+      jobNumber: job.jobNumber,
+      loadType: job.loadType,
+      description: job.loadType === 'load'
+        ? job.loadId?.description
+        : [job.vehicleId?.year, job.vehicleId?.make, job.vehicleId?.model].filter(Boolean).join(' '),
+      dimensions: job.loadType === 'load' ? job.loadId?.dimensions : undefined,
+      weight,
+      weightSource: source
+    }];
+  }));
+
+  const pickupJobIds = new Set(orderedStops
+    .filter(stop => stop.stopType === ROUTE_STOP_TYPE.PICKUP)
+    .map(getJobIdFromStop)
+    .filter(Boolean));
+
+  // Cargo already onboard at the start (dropped here, picked up on another route)
+  const onboard = new Map();
+  orderedStops
+    .filter(stop => stop.stopType === ROUTE_STOP_TYPE.DROP)
+    .map(getJobIdFromStop)
+    .filter(jobId => jobId && !pickupJobIds.has(jobId) && cargoByJobId.has(jobId))
+    .forEach(jobId => onboard.set(jobId, cargoByJobId.get(jobId).weight));
+
+  const sumOnboard = () => [...onboard.values()].reduce((total, weight) => total + weight, 0);
+
+  const loadCapacity = truck && truck.loadCapacity !== undefined ? truck.loadCapacity : null;
+  const initialWeight = sumOnboard();
+  let maxOnboardWeight = initialWeight;
+  const warnings = [];
+
+  const stopReports = orderedStops.map((stop, index) => {
+    const jobId = getJobIdFromStop(stop);
+    const cargo = jobId ? cargoByJobId.get(jobId) : null;
+    let weightChange = 0;
+
+    if (cargo && stop.stopType === ROUTE_STOP_TYPE.PICKUP && !onboard.has(jobId)) {
+      onboard.set(jobId, cargo.weight);
+      weightChange = cargo.weight;
+    } else if (cargo && stop.stopType === ROUTE_STOP_TYPE.DROP && onboard.has(jobId)) {
+      weightChange = -onboard.get(jobId);
+      onboard.delete(jobId);
+    }
+
+    if (cargo && cargo.weightSource === 'unknown' && stop.stopType === ROUTE_STOP_TYPE.PICKUP) {
+      warnings.push(`Load ${cargo.jobNumber || jobId} has no weight; it is counted as 0 lbs`);
+    }
+
+    const onboardWeight = sumOnboard();
+    maxOnboardWeight = Math.max(maxOnboardWeight, onboardWeight);
+    const overloaded = loadCapacity !== null && onboardWeight > loadCapacity;
+
+    return {
+      stopId: stop._id ? stop._id.toString() : undefined,
+      sequence: stop.sequence !== undefined ? stop.sequence : index + 1,
+      stopType: stop.stopType,
+      transportJobId: jobId,
+      cargo: cargo || undefined,
+      weightChange,
+      onboardWeight,
+      onboardCount: onboard.size,
+      remainingCapacity: loadCapacity !== null ? loadCapacity - onboardWeight : null,
+      utilizationPercent: loadCapacity ? Math.round((onboardWeight / loadCapacity) * 1000) / 10 : null,
+      overloaded
+    };
+  });
+
+  const overloadedStops = stopReports.filter(report => report.overloaded);
+  if (loadCapacity === null) {
+    warnings.push('Truck load capacity is not set; overload cannot be checked');
+  }
+
+  return {
+    truckId: truck?._id,
+    loadCapacity,
+    initialWeight,
+    maxOnboardWeight,
+    maxUtilizationPercent: loadCapacity ? Math.round((maxOnboardWeight / loadCapacity) * 1000) / 10 : null,
+    overloaded: overloadedStops.length > 0 || (loadCapacity !== null && initialWeight > loadCapacity),
+    overloadedStops: overloadedStops.map(report => ({
+      stopId: report.stopId,
+      sequence: report.sequence,
+      stopType: report.stopType,
+      onboardWeight: report.onboardWeight,
+      overBy: report.onboardWeight - loadCapacity
+    })),
+    stops: stopReports,
+    warnings
+  };
+}
+
+/**
+ * Simulate capacity for a set of stops and a truck ID
+ * @param {Array} stops - Route stops
+ * @param {string} truckId - Truck ID
+ * @returns {Promise<Object>} Capacity report (see simulateRouteCapacity)
+ */
+async function checkRouteCapacity(stops, truckId) {
+  const truck = truckId ? await Truck.findById(truckId).select('truckNumber loadCapacity') : null;
+  return simulateRouteCapacity(stops, truck);
+}
+
+/**
+ * Build a human-readable overload message for API responses
+ */
+function formatOverloadMessage(capacityReport) {
+  const worst = capacityReport.overloadedStops.reduce(
+    (max, stop) => (!max || stop.overBy > max.overBy ? stop : max),
+    null
+  );
+  if (!worst) {
+    return `Truck would be overloaded (${capacityReport.initialWeight} lbs onboard at start, capacity ${capacityReport.loadCapacity} lbs)`;
+  }
+  return `Truck would be overloaded at ${capacityReport.overloadedStops.length} stop(s); ` +
+    `worst at stop ${worst.sequence} (${worst.stopType}) with ${Math.round(worst.onboardWeight)} lbs onboard ` +
+    `against a capacity of ${capacityReport.loadCapacity} lbs`;
+}
+
+module.exports = {
+  loadWeightDefaults,
+  getVehicleWeight,
+  getTransportJobWeight,
+  simulateRouteCapacity,
+  checkRouteCapacity,
+  formatOverloadMessage
+};
@@ -0,0 +1,302 @@
+/**
+ * Compliance Document Service
+ *
+ * Tracks the expiry of driver documents (CDL, DOT medical card) and truck documents
+ * (registration, insurance certificate) stored in User/Truck.complianceDocuments.
+ * - Only the latest document of each type counts (renewals are added as new documents)
+ * - A daily job emails warnings EXPIRY_WARNING_DAYS (30/14/0) days before expiry, once per threshold,
+ *   to the admins and dispatchers of the document owner's organization
+ * - Route assignment is rejected while the driver or truck has an expired document
+ */
+
+const User = require('../models/User');
+const Truck = require('../models/Truck');
+const AuditLog = require('../models/AuditLog');
+const Organization = require('../models/Organization');
+const emailService = require('./emailService');
+const tenantContext = require('./tenantContext');
+const {
+  DRIVER_DOCUMENT_TYPES,
+  TRUCK_DOCUMENT_TYPES,
+  COMPLIANCE_DOCUMENT_STATUS,
+  EXPIRY_WARNING_DAYS
+} = require('../constants/compliance');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CHECK_INTERVAL_MS = DAY_MS;
+// First run shortly after startup so a restart doesn't skip a day
+const INITIAL_CHECK_DELAY_MS = parseInt(process.env.COMPLIANCE_INITIAL_CHECK_DELAY_MS) || 60 * 1000;
+
+const OWNER_TYPES = {
+  DRIVER: 'driver',
+  TRUCK: 'truck'
+};
+
+let checkTimer = null;
+let initialTimer = null;
+let runningCheck = false;
+
+const getId = (value) => (value && typeof value === 'object' ? (value._id || value.id) : value);
+
+const getDocumentTypes = (ownerType) =>
+  (ownerType === OWNER_TYPES.TRUCK ? TRUCK_DOCUMENT_TYPES : DRIVER_DOCUMENT_TYPES);
+
+const getOwnerName = (ownerType, owner) => (ownerType === OWNER_TYPES.TRUCK
+  ? owner.truckNumber || owner.licensePlate || String(owner._id)
+  : `${owner.firstName || ''} ${owner.lastName || ''}`.trim() || owner.email);
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Whole days until a document expires (0 on the expiry day, negative once expired)
+ */
+function getDaysUntilExpiry(expiryDate, now = new Date()) {
+  return Math.round((startOfDay(expiryDate) - startOfDay(now)) / DAY_MS);
+}
+
+/**
+ * Expiry status of a document; a document is valid through its expiry date
+ */
+function getDocumentStatus(document, now = new Date()) {
+  const daysUntilExpiry = getDaysUntilExpiry(document.expiryDate, now);
+  let status = COMPLIANCE_DOCUMENT_STATUS.VALID;
+  if (daysUntilExpiry < 0) {
+    status = COMPLIANCE_DOCUMENT_STATUS.EXPIRED;
+  } else if (daysUntilExpiry <= Math.max(...EXPIRY_WARNING_DAYS)) {
+    status = COMPLIANCE_DOCUMENT_STATUS.EXPIRING;
+  }
+  return { status, daysUntilExpiry };
+}
+
+/**
+ * The latest document (by expiry date) of each type - older ones were renewed
+ */
+function getCurrentDocuments(documents = []) {
+  const latest = new Map();
+  documents.forEach(document => {
+    const existing = latest.get(document.documentType);
+    if (!existing || new Date(document.expiryDate) > new Date(existing.expiryDate)) {
+      latest.set(document.documentType, document);
+    }
+  });
+  return [...latest.values()];
+}
+
+/**
+ * Current documents of an owner with their status
+ */
+function summarizeDocuments(ownerType, documents, now = new Date()) {
+  const labels = getDocumentTypes(ownerType);
+  return getCurrentDocuments(documents).map(document => ({
+    documentId: document._id,
+    documentType: document.documentType,
+    documentLabel: labels[document.documentType] || document.documentType,
+    documentNumber: document.documentNumber,
+    expiryDate: document.expiryDate,
+    ...getDocumentStatus(document, now)
+  }));
+}
+
+/**
+ * Check that the driver and truck of a route assignment have no expired document
+ * @param {Object} assignment - { driverId?, truckId? }
+ * @returns {Promise<{allowed: boolean, message: string|null, expired: Array}>}
+ */
+async function checkRouteAssignment({ driverId, truckId }) {
+  const [driver, truck] = await Promise.all([
+    driverId ? User.findById(getId(driverId)).select('firstName lastName email complianceDocuments') : null,
+    truckId ? Truck.findById(getId(truckId)).select('truckNumber licensePlate complianceDocuments') : null
+  ]);
+
+  const expired = [
+    ...(driver ? summarizeDocuments(OWNER_TYPES.DRIVER, driver.complianceDocuments)
+      .map(document => ({ ...document, ownerType: OWNER_TYPES.DRIVER, ownerId: driver._id, ownerName: getOwnerName(OWNER_TYPES.DRIVER, driver) })) : []),
+    ...(truck ? summarizeDocuments(OWNER_TYPES.TRUCK, truck.complianceDocuments)
+      .map(document => ({ ...document, ownerType: OWNER_TYPES.TRUCK, ownerId: truck._id, ownerName: getOwnerName(OWNER_TYPES.TRUCK, truck) })) : [])
+  ].filter(document => document.status === COMPLIANCE_DOCUMENT_STATUS.EXPIRED);
+
+  return {
+    allowed: expired.length === 0,
+    message: expired.length === 0 ? null : `Expired compliance documents: ${expired
+      .map(document => `${document.ownerType} ${document.ownerName} ${document.documentLabel} (expired ${new Date(document.expiryDate).toLocaleDateString('en-US')})`)
+      .join('; ')}`,
+    expired
+  };
+}
+
+/**
+ * Email addresses for compliance warnings: every admin and dispatcher of the organization
+ */
+async function getAlertRecipients(organizationId) {
+  if (!organizationId) return [];
+  const users = await User.find({ organizationId, role: { $in: ['ptgAdmin', 'ptgDispatcher'] } }).select('email');
+  return users.map(user => user.email).filter(Boolean);
+}
+
+/**
+ * The warning threshold a document has reached and not been warned about yet
+ * (only the closest one, so a document added 10 days before expiry gets one email, not two)
+ */
+function getDueWarningThreshold(document, now = new Date()) {
+  const daysUntilExpiry = getDaysUntilExpiry(document.expiryDate, now);
+  const reached = EXPIRY_WARNING_DAYS.filter(days => daysUntilExpiry <= days);
+  if (reached.length === 0) return null;
+
+  const threshold = Math.min(...reached);
+  return (document.warningsSent || []).includes(threshold) ? null : threshold;
+}
+
+/**
+ * Send the due expiry warnings of one owner's documents
+ */
+async function sendOwnerWarnings(ownerType, owner, recipients, now) {
+  const Model = ownerType === OWNER_TYPES.TRUCK ? Truck : User;
+  const labels = getDocumentTypes(ownerType);
+  let sent = 0;
+
+  for (const document of getCurrentDocuments(owner.complianceDocuments)) {
+    const threshold = getDueWarningThreshold(document, now);
+    if (threshold === null) continue;
+
+    // Claim the warning first so overlapping runs don't send it twice; all thresholds down to
+    // this one are marked so a late run doesn't send the skipped ones afterwards
+    const thresholds = EXPIRY_WARNING_DAYS.filter(days => days >= threshold);
+    const claim = await Model.updateOne(
+      { _id: owner._id, complianceDocuments: { $elemMatch: { _id: document._id, warningsSent: { $ne: threshold } } } },
+      { $addToSet: { 'complianceDocuments.$.warningsSent': { $each: thresholds } } }
+    );
+    if (claim.modifiedCount !== 1) continue;
+
+    const warning = {
+      ownerType,
+      ownerId: owner._id,
+      ownerName: getOwnerName(ownerType, owner),
+      documentId: document._id,
+      documentType: document.documentType,
+      documentLabel: labels[document.documentType] || document.documentType,
+      documentNumber: document.documentNumber,
+      expiryDate: document.expiryDate,
+      daysUntilExpiry: getDaysUntilExpiry(document.expiryDate, now),
+      threshold
+    };
+
+    const to = [...new Set([...recipients, ownerType === OWNER_TYPES.DRIVER ? owner.email : null].filter(Boolean))];
+    try {
+      if (to.length > 0) {
+        await emailService.sendComplianceExpiryEmail(to, warning);
+      }
+    } catch (error) {
+      console.error('Error sending compliance expiry email:', error);
+    }
+
+    try {
+      await AuditLog.create({
+        action: 'compliance_expiry_warning',
+        entityType: ownerType === OWNER_TYPES.TRUCK ? 'truck' : 'user',
+        entityId: owner._id,
+        driverId: ownerType === OWNER_TYPES.DRIVER ? owner._id : undefined,
+        details: { ...warning, recipients: to },
+        notes: `${warning.documentLabel} of ${ownerType} ${warning.ownerName} expires ${new Date(document.expiryDate).toLocaleDateString('en-US')} (${warning.daysUntilExpiry} days)`
+      });
+    } catch (error) {
+      console.error('Error logging compliance expiry warning:', error);
+    }
+    sent++;
+  }
+
+  return sent;
+}
+
+/**
+ * Send the due warnings of the current organization's drivers and trucks
+ */
+async function checkExpiringDocuments(now) {
+  // Documents expiring within the largest warning window (or already expired)
+  const horizon = new Date(startOfDay(now).getTime() + (Math.max(...EXPIRY_WARNING_DAYS) + 1) * DAY_MS);
+  const query = { 'complianceDocuments.expiryDate': { $lt: horizon } };
+
+  const [drivers, trucks, recipients] = await Promise.all([
+    User.find({ ...query, role: 'ptgDriver' }).select('firstName lastName email complianceDocuments'),
+    Truck.find(query).select('truckNumber licensePlate complianceDocuments'),
+    getAlertRecipients(tenantContext.getOrganizationId())
+  ]);
+
+  let sent = 0;
+  for (const driver of drivers) {
+    sent += await sendOwnerWarnings(OWNER_TYPES.DRIVER, driver, recipients, now);
+  }
+  for (const truck of trucks) {
+    sent += await sendOwnerWarnings(OWNER_TYPES.TRUCK, truck, recipients, now);
+  }
+  return sent;
+}
+
+/**
+ * Email the due expiry warnings of every driver and truck (never throws)
+ * Within a request only the caller's organization is checked; the worker checks each
+ * active organization so warnings go to that organization's admins and dispatchers.
+ * @returns {Promise<number>} Number of warnings sent
+ */
+async function runExpiryCheck(now = new Date()) {
+  if (runningCheck) return 0;
+  runningCheck = true;
+
+  try {
+    if (tenantContext.getOrganizationId()) {
+      return await checkExpiringDocuments(now);
+    }
+
+    const organizations = await Organization.find({ active: true }).select('_id');
+    let sent = 0;
+    for (const organization of organizations) {
+      sent += await tenantContext.runWithOrganization(organization._id, () => checkExpiringDocuments(now));
+    }
+    return sent;
+  } catch (error) {
+    console.error('Error running compliance expiry check:', error);
+    return 0;
+  } finally {
+    runningCheck = false;
+  }
+}
+
+/**
+ * Run the expiry check daily (no-op if already running)
+ */
+function startExpiryWorker() {
+  if (checkTimer) return;
+  initialTimer = setTimeout(runExpiryCheck, INITIAL_CHECK_DELAY_MS);
+  checkTimer = setInterval(runExpiryCheck, CHECK_INTERVAL_MS);
+  // Don't keep the process alive just for the expiry check
+  if (initialTimer.unref) initialTimer.unref();
+  if (checkTimer.unref) checkTimer.unref();
+}
+
+function stopExpiryWorker() {
+  if (initialTimer) {
+    clearTimeout(initialTimer);
+    initialTimer = null;
+  }
+  if (checkTimer) {
+    clearInterval(checkTimer);
+    checkTimer = null;
+  }
+}
+
+module.exports = {
+  OWNER_TYPES,
+  getDocumentTypes,
+  getDaysUntilExpiry,
+  getDocumentStatus,
+  getCurrentDocuments,
+  summarizeDocuments,
+  checkRouteAssignment,
+  getDueWarningThreshold,
+  runExpiryCheck,
+  startExpiryWorker,
+  stopExpiryWorker
+};
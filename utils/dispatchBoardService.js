@@ -0,0 +1,678 @@
+/**
+ * Dispatch Board Service
+ *
+ * Board view for a date range: every truck's and driver's routes as a timeline plus the pool of
+ * Needs Dispatch transport jobs. Board operations are planned first (validation and conflict
+ * detection, also used for dry runs) and then applied in one transaction together with their
+ * statusManager side effects:
+ * - move: a transport job's stops from one route to another, or from the pool onto a route
+ * - split: the stops after a given stop become a new route (optionally with another driver/truck)
+ *
+ * Conflicts: driver or truck on another route with overlapping planned dates, truck in Maintenance
+ * or Out of Service, truck over capacity, expired compliance documents, and moved stops scheduled
+ * outside the route's planned dates.
+ */
+
+const Route = require('../models/Route');
+const Truck = require('../models/Truck');
+const User = require('../models/User');
+const TransportJob = require('../models/TransportJob');
+const RouteTracking = require('../models/routeTracker');
+const CalendarEvent = require('../models/CalendarEvent');
+const AuditLog = require('../models/AuditLog');
+const locationService = require('./locationService');
+const complianceService = require('./complianceService');
+const transactionService = require('./transactionService');
+const { checkRouteCapacity, formatOverloadMessage } = require('./capacityService');
+const { buildTransportJobStops, insertStops, getLastScheduledDate } = require('./backhaulService');
+const {
+  updateStatusOnRouteCreate,
+  updateStatusOnStopsSetup,
+  updateTransportJobRouteReferences
+} = require('./statusManager');
+const { ROUTE_STATUS, ROUTE_STOP_STATUS, ROUTE_STOP_TYPE, TRANSPORT_JOB_STATUS, TRUCK_STATUS } = require('../constants/status');
+
+const CONFLICT_TYPES = {
+  DRIVER_DOUBLE_BOOKED: 'driver_double_booked',
+  TRUCK_DOUBLE_BOOKED: 'truck_double_booked',
+  TRUCK_UNAVAILABLE: 'truck_unavailable',
+  OVER_CAPACITY: 'over_capacity',
+  COMPLIANCE_EXPIRED: 'compliance_expired',
+  OUTSIDE_ROUTE_DATES: 'outside_route_dates'
+};
+
+// Routes that occupy their driver and truck
+const ACTIVE_ROUTE_STATUSES = [ROUTE_STATUS.PLANNED, ROUTE_STATUS.IN_PROGRESS];
+const UNAVAILABLE_TRUCK_STATUSES = [TRUCK_STATUS.MAINTENANCE, TRUCK_STATUS.OUT_OF_SERVICE];
+const MAX_BOARD_DAYS = 62;
+
+// Same enforcement switch as route create/update (see routeController)
+const isCapacityEnforced = () => process.env.ROUTE_CAPACITY_ENFORCEMENT !== 'warn';
+
+const getId = (value) => (value && typeof value === 'object' ? (value._id || value.id) : value);
+
+const sameId = (a, b) => !!a && !!b && getId(a).toString() === getId(b).toString();
+
+const getJobIdFromStop = (stop) => (stop.transportJobId ? getId(stop.transportJobId).toString() : null);
+
+const sortBySequence = (stops) => [...stops].sort((a, b) => (a.sequence || 0) - (b.sequence || 0));
+
+const toPlainStop = (stop) => (stop.toObject ? stop.toObject() : { ...stop });
+
+const getRouteWindow = (route) => ({
+  start: new Date(route.plannedStartDate),
+  end: new Date(route.plannedEndDate || route.plannedStartDate)
+});
+
+// Back-to-back routes (one ends when the next starts) don't overlap
+const windowsOverlap = (a, b) => a.start < b.end && b.start < a.end;
+
+const getRouteLabel = (route) => route.routeNumber || (route._id ? route._id.toString() : 'new route');
+
+const getJobIdsFromStops = (stops) => [...new Set(stops.map(getJobIdFromStop).filter(Boolean))];
+
+const pickLocation = (location) => location && {
+  name: location.name,
+  address: location.address,
+  city: location.city,
+  state: location.state,
+  zip: location.zip,
+  formattedAddress: location.formattedAddress,
+  coordinates: location.coordinates
+};
+
+/**
+ * Conflicts of a route (saved or draft) with the given stops
+ * @param {Object} route - { _id?, routeNumber?, driverId, truckId, plannedStartDate, plannedEndDate }
+ * @param {Object} options - { stops?, movedStops? (checked against the route's dates),
+ *   excludeRouteIds? (saved routes replaced by otherRoutes), otherRoutes? (draft routes to compare with) }
+ * @returns {Promise<Array<{type, message, blocking: boolean, overridable: boolean}>>}
+ */
+async function detectConflicts(route, { stops = route.stops || [], movedStops = [], excludeRouteIds = [], otherRoutes = [] } = {}) {
+  const conflicts = [];
+  const driverId = getId(route.driverId);
+  const truckId = getId(route.truckId);
+  const window = getRouteWindow(route);
+  const label = getRouteLabel(route);
+
+  // Driver or truck on another route at the same time
+  const owners = [driverId && { driverId }, truckId && { truckId }].filter(Boolean);
+  const savedRoutes = owners.length === 0 ? [] : await Route.find({
+    _id: { $nin: [route._id, ...excludeRouteIds].filter(Boolean) },
+    deleted: { $ne: true },
+    status: { $in: ACTIVE_ROUTE_STATUSES },
+    plannedStartDate: { $lt: window.end },
+    plannedEndDate: { $gt: window.start },
+    $or: owners
+  }).select('routeNumber driverId truckId plannedStartDate plannedEndDate status');
+
+  [...savedRoutes, ...otherRoutes]
+    .filter(other => windowsOverlap(window, getRouteWindow(other)))
+    .forEach(other => {
+      const overlap = {
+        conflictingRouteId: other._id,
+        conflictingRouteNumber: other.routeNumber,
+        plannedStartDate: other.plannedStartDate,
+        plannedEndDate: other.plannedEndDate
+      };
+      if (sameId(other.driverId, driverId)) {
+        conflicts.push({
+          type: CONFLICT_TYPES.DRIVER_DOUBLE_BOOKED,
+          message: `Driver is also on route ${getRouteLabel(other)} during ${label}`,
+          blocking: true,
+          overridable: true,
+          ...overlap
+        });
+      }
+      if (sameId(other.truckId, truckId)) {
+        conflicts.push({
+          type: CONFLICT_TYPES.TRUCK_DOUBLE_BOOKED,
+          message: `Truck is also on route ${getRouteLabel(other)} during ${label}`,
+          blocking: true,
+          overridable: true,
+          ...overlap
+        });
+      }
+    });
+
+  if (truckId) {
+    const truck = await Truck.findById(truckId).select('truckNumber licensePlate status');
+    if (truck && UNAVAILABLE_TRUCK_STATUSES.includes(truck.status)) {
+      conflicts.push({
+        type: CONFLICT_TYPES.TRUCK_UNAVAILABLE,
+        message: `Truck ${truck.truckNumber || truck.licensePlate || truck._id} is ${truck.status}`,
+        blocking: true,
+        overridable: true,
+        truckStatus: truck.status
+      });
+    }
+
+    const capacity = await checkRouteCapacity(stops, truckId);
+    if (capacity.overloaded) {
+      conflicts.push({
+        type: CONFLICT_TYPES.OVER_CAPACITY,
+        message: formatOverloadMessage(capacity),
+        // In warn mode an overload is reported but never blocks
+        blocking: isCapacityEnforced(),
+        overridable: true,
+        capacity
+      });
+    }
+  }
+
+  // Same rule as route create: expired documents can't be overridden
+  const compliance = await complianceService.checkRouteAssignment({ driverId, truckId });
+  if (!compliance.allowed) {
+    conflicts.push({
+      type: CONFLICT_TYPES.COMPLIANCE_EXPIRED,
+      message: compliance.message,
+      blocking: true,
+      overridable: false,
+      expired: compliance.expired
+    });
+  }
+
+  // Moved stops are compared by day with the route's planned dates
+  const firstDay = new Date(window.start);
+  firstDay.setHours(0, 0, 0, 0);
+  const lastDay = new Date(window.end);
+  lastDay.setHours(23, 59, 59, 999);
+  movedStops
+    .filter(stop => stop.scheduledDate && (new Date(stop.scheduledDate) < firstDay || new Date(stop.scheduledDate) > lastDay))
+    .forEach(stop => {
+      conflicts.push({
+        type: CONFLICT_TYPES.OUTSIDE_ROUTE_DATES,
+        message: `${stop.stopType} stop scheduled ${new Date(stop.scheduledDate).toLocaleDateString('en-US')} is outside route ${label}'s planned dates`,
+        blocking: true,
+        overridable: true,
+        stopType: stop.stopType,
+        transportJobId: stop.transportJobId,
+        scheduledDate: stop.scheduledDate
+      });
+    });
+
+  return conflicts;
+}
+
+/**
+ * Conflicts that stop an operation: every blocking conflict, except overridable ones when forced
+ */
+function getBlockingConflicts(conflicts, force = false) {
+  return conflicts.filter(conflict => conflict.blocking && (!force || !conflict.overridable));
+}
+
+/**
+ * A drop placed ahead of its pickup on the same route
+ * @returns {string|null} Transport job ID of the first violation
+ */
+function findPrecedenceViolation(stops) {
+  const pickedUp = new Set();
+  const pickupJobIds = new Set(stops.filter(stop => stop.stopType === ROUTE_STOP_TYPE.PICKUP).map(getJobIdFromStop));
+  for (const stop of sortBySequence(stops)) {
+    const jobId = getJobIdFromStop(stop);
+    if (!jobId) continue;
+    if (stop.stopType === ROUTE_STOP_TYPE.PICKUP) pickedUp.add(jobId);
+    if (stop.stopType === ROUTE_STOP_TYPE.DROP && pickupJobIds.has(jobId) && !pickedUp.has(jobId)) return jobId;
+  }
+  return null;
+}
+
+const renumberStops = (stops) => sortBySequence(stops).map((stop, index) => ({ ...toPlainStop(stop), sequence: index + 1 }));
+
+// Distances and ETAs of moved stops are recalculated for their new route
+const resetMovedStop = (stop) => {
+  const plain = toPlainStop(stop);
+  delete plain.distanceFromPrevious;
+  delete plain.durationFromPrevious;
+  delete plain.eta;
+  return plain;
+};
+
+const isEditableRoute = (route) => ACTIVE_ROUTE_STATUSES.includes(route.status);
+
+/**
+ * Board data for a date range
+ * @param {Object} filters - { startDate, endDate, truckId?, driverId? }
+ * @returns {Promise<{period, routes, trucks, drivers, pool, conflicts}>}
+ */
+async function getBoard({ startDate, endDate, truckId, driverId }) {
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+
+  const routeQuery = {
+    deleted: { $ne: true },
+    status: { $ne: ROUTE_STATUS.CANCELLED },
+    plannedStartDate: { $lte: end },
+    plannedEndDate: { $gte: start }
+  };
+  if (truckId) routeQuery.truckId = truckId;
+  if (driverId) routeQuery.driverId = driverId;
+
+  const routes = await Route.find(routeQuery)
+    .select('routeNumber status state driverId truckId plannedStartDate plannedEndDate actualStartDate actualEndDate totalDistance stops')
+    .populate('driverId', 'firstName lastName email phoneNumber')
+    .populate('truckId', 'truckNumber licensePlate make model status loadCapacity')
+    .populate('stops.transportJobId', 'jobNumber status loadType carrierPayment vehicleId loadId')
+    .sort({ plannedStartDate: 1 });
+
+  const truckQuery = truckId ? { _id: truckId } : {};
+  const trucks = await Truck.find(truckQuery)
+    .select('truckNumber licensePlate make model status loadCapacity currentDriver homeLocation')
+    .sort({ truckNumber: 1 });
+
+  const driverQuery = driverId ? { _id: driverId } : { role: 'ptgDriver' };
+  const drivers = await User.find(driverQuery)
+    .select('firstName lastName email phoneNumber')
+    .sort({ firstName: 1, lastName: 1 });
+
+  const pool = await TransportJob.find({
+    status: TRANSPORT_JOB_STATUS.NEEDS_DISPATCH,
+    deleted: { $ne: true }
+  })
+    .select('jobNumber status loadType transportPurpose carrierPayment vehicleId loadId pickupRouteId dropRouteId pickupLocationName pickupCity pickupState pickupZip pickupDateStart pickupDateEnd dropLocationName dropCity dropState dropZip dropDateStart dropDateEnd')
+    .populate('vehicleId', 'vin year make model status')
+    .populate('loadId', 'loadNumber loadType description weight')
+    .sort({ pickupDateStart: 1, createdAt: 1 });
+
+  // Conflicts between the routes on the board (operations check capacity and compliance too)
+  const conflicts = [];
+  const activeRoutes = routes.filter(isEditableRoute);
+  activeRoutes.forEach((route, index) => {
+    activeRoutes.slice(index + 1)
+      .filter(other => windowsOverlap(getRouteWindow(route), getRouteWindow(other)))
+      .forEach(other => {
+        if (sameId(route.driverId, other.driverId)) {
+          conflicts.push({
+            type: CONFLICT_TYPES.DRIVER_DOUBLE_BOOKED,
+            routeIds: [route._id, other._id],
+            message: `Driver is on routes ${getRouteLabel(route)} and ${getRouteLabel(other)} at the same time`
+          });
+        }
+        if (sameId(route.truckId, other.truckId)) {
+          conflicts.push({
+            type: CONFLICT_TYPES.TRUCK_DOUBLE_BOOKED,
+            routeIds: [route._id, other._id],
+            message: `Truck is on routes ${getRouteLabel(route)} and ${getRouteLabel(other)} at the same time`
+          });
+        }
+      });
+    if (route.truckId && UNAVAILABLE_TRUCK_STATUSES.includes(route.truckId.status)) {
+      conflicts.push({
+        type: CONFLICT_TYPES.TRUCK_UNAVAILABLE,
+        routeIds: [route._id],
+        message: `Truck ${route.truckId.truckNumber || route.truckId.licensePlate || route.truckId._id} on route ${getRouteLabel(route)} is ${route.truckId.status}`
+      });
+    }
+  });
+
+  const summarizeRoute = (route) => ({
+    _id: route._id,
+    routeNumber: route.routeNumber,
+    status: route.status,
+    state: route.state,
+    driver: route.driverId,
+    truck: route.truckId,
+    plannedStartDate: route.plannedStartDate,
+    plannedEndDate: route.plannedEndDate,
+    actualStartDate: route.actualStartDate,
+    actualEndDate: route.actualEndDate,
+    totalDistance: route.totalDistance?.value || 0,
+    stops: sortBySequence(route.stops || []).map(stop => ({
+      _id: stop._id,
+      sequence: stop.sequence,
+      stopType: stop.stopType,
+      status: stop.status,
+      scheduledDate: stop.scheduledDate,
+      city: stop.location?.city,
+      state: stop.location?.state,
+      transportJob: stop.transportJobId
+    })),
+    conflictCount: conflicts.filter(conflict => conflict.routeIds.some(id => sameId(id, route._id))).length
+  });
+
+  const routeIdsFor = (field, id) => routes.filter(route => sameId(route[field], id)).map(route => route._id);
+
+  return {
+    period: { startDate: start, endDate: end },
+    routes: routes.map(summarizeRoute),
+    trucks: trucks.map(truck => ({
+      truck,
+      available: !UNAVAILABLE_TRUCK_STATUSES.includes(truck.status),
+      routeIds: routeIdsFor('truckId', truck._id)
+    })),
+    drivers: drivers.map(driver => ({
+      driver,
+      routeIds: routeIdsFor('driverId', driver._id)
+    })),
+    pool,
+    conflicts
+  };
+}
+
+/**
+ * Validate a move and detect its conflicts
+ * @param {Object} move - { transportJobId, fromRouteId? (omit to assign from the pool), toRouteId, position? }
+ * @returns {Promise<Object>} { job, fromRoute, toRoute, fromStops, toStops, movedStops, conflicts } or { error, notFound? }
+ */
+async function planMove({ transportJobId, fromRouteId, toRouteId, position }) {
+  const job = await TransportJob.findById(transportJobId);
+  if (!job || job.deleted) {
+    return { error: 'Transport job not found', notFound: true };
+  }
+
+  const toRoute = await Route.findById(toRouteId);
+  if (!toRoute || toRoute.deleted) {
+    return { error: 'Target route not found', notFound: true };
+  }
+  if (!isEditableRoute(toRoute)) {
+    return { error: `Cannot move a transport job to a route that is ${toRoute.status.toLowerCase()}` };
+  }
+
+  let fromRoute = null;
+  let movedStops;
+  if (fromRouteId) {
+    if (sameId(fromRouteId, toRouteId)) {
+      return { error: 'Source and target route are the same' };
+    }
+    fromRoute = await Route.findById(fromRouteId);
+    if (!fromRoute || fromRoute.deleted) {
+      return { error: 'Source route not found', notFound: true };
+    }
+    if (!isEditableRoute(fromRoute)) {
+      return { error: `Cannot move a transport job from a route that is ${fromRoute.status.toLowerCase()}` };
+    }
+
+    const jobStops = sortBySequence(fromRoute.stops).filter(stop => getJobIdFromStop(stop) === job._id.toString());
+    if (jobStops.length === 0) {
+      return { error: 'Transport job has no stops on the source route' };
+    }
+    if (jobStops.some(stop => stop.status !== ROUTE_STOP_STATUS.PENDING)) {
+      return { error: 'Only pending stops can be moved; this transport job has a stop that is started or completed' };
+    }
+    movedStops = jobStops.map(resetMovedStop);
+  } else {
+    if (job.status !== TRANSPORT_JOB_STATUS.NEEDS_DISPATCH || job.pickupRouteId || job.dropRouteId) {
+      return { error: 'Only Needs Dispatch transport jobs that are not on a route can be assigned from the pool' };
+    }
+    movedStops = buildTransportJobStops(job, getLastScheduledDate(toRoute));
+  }
+
+  const duplicate = movedStops.find(moved => toRoute.stops.some(stop =>
+    getJobIdFromStop(stop) === job._id.toString() && stop.stopType === moved.stopType));
+  if (duplicate) {
+    return { error: `Target route already has a ${duplicate.stopType} stop for this transport job` };
+  }
+
+  const toStops = insertStops(toRoute, movedStops, position ? parseInt(position) : undefined);
+  if (findPrecedenceViolation(toStops)) {
+    return { error: 'Stop order places a drop before its pickup' };
+  }
+  const fromStops = fromRoute
+    ? renumberStops(fromRoute.stops.filter(stop => getJobIdFromStop(stop) !== job._id.toString()))
+    : null;
+
+  const conflicts = await detectConflicts(toRoute, { stops: toStops, movedStops });
+
+  return { job, fromRoute, toRoute, fromStops, toStops, movedStops, conflicts };
+}
+
+/**
+ * Validate a split and detect the new route's conflicts
+ * @param {Object} split - { routeId, afterStopId (last stop kept on the route), driverId?, truckId?, plannedStartDate? }
+ * @returns {Promise<Object>} { route, keptStops, movedStops, routeUpdate, newRoute, conflicts } or { error, notFound? }
+ */
+async function planSplit({ routeId, afterStopId, driverId, truckId, plannedStartDate }) {
+  const route = await Route.findById(routeId);
+  if (!route || route.deleted) {
+    return { error: 'Route not found', notFound: true };
+  }
+  if (!isEditableRoute(route)) {
+    return { error: `Cannot split a route that is ${route.status.toLowerCase()}` };
+  }
+
+  const stops = sortBySequence(route.stops);
+  const splitIndex = stops.findIndex(stop => sameId(stop._id, afterStopId));
+  if (splitIndex === -1) {
+    return { error: 'Split stop not found on this route', notFound: true };
+  }
+
+  const keptStops = stops.slice(0, splitIndex + 1);
+  const movedStops = stops.slice(splitIndex + 1);
+  const hasTransportStop = (list) => list.some(stop => stop.stopType === ROUTE_STOP_TYPE.PICKUP || stop.stopType === ROUTE_STOP_TYPE.DROP);
+  if (!hasTransportStop(movedStops)) {
+    return { error: 'There are no pickup or drop stops after the split stop' };
+  }
+  if (!hasTransportStop(keptStops)) {
+    return { error: 'The route would have no pickup or drop stops left; move its jobs instead' };
+  }
+  if (movedStops.some(stop => stop.status !== ROUTE_STOP_STATUS.PENDING)) {
+    return { error: 'Only pending stops can be split off; a stop after the split stop is started or completed' };
+  }
+
+  const timeOf = (list) => list
+    .filter(stop => stop.stopType !== ROUTE_STOP_TYPE.START && stop.stopType !== ROUTE_STOP_TYPE.END && stop.scheduledDate)
+    .map(stop => new Date(stop.scheduledDate).getTime());
+  const movedTimes = timeOf(movedStops);
+  const keptTimes = timeOf(keptStops);
+
+  const newStart = plannedStartDate
+    ? new Date(plannedStartDate)
+    : new Date(movedTimes.length > 0 ? Math.min(...movedTimes) : route.plannedEndDate);
+  const newEnd = new Date(Math.max(route.plannedEndDate.getTime(), newStart.getTime(), ...movedTimes));
+  // The original route now ends with its last kept stop, and never after the new route starts
+  const keptEnd = keptTimes.length > 0 ? Math.max(...keptTimes) : route.plannedStartDate.getTime();
+  const routeEnd = new Date(Math.max(route.plannedStartDate.getTime(), Math.min(keptEnd, newStart.getTime())));
+
+  const lastKeptLocation = pickLocation([...keptStops].reverse().find(stop => stop.location)?.location);
+  const newRoute = {
+    driverId: driverId || route.driverId,
+    truckId: truckId || route.truckId,
+    plannedStartDate: newStart,
+    plannedEndDate: newEnd,
+    journeyStartLocation: lastKeptLocation,
+    journeyEndLocation: pickLocation(route.journeyEndLocation),
+    stops: renumberStops(movedStops.map(resetMovedStop)),
+    status: ROUTE_STATUS.PLANNED
+  };
+  newRoute.selectedTransportJobs = getJobIdsFromStops(newRoute.stops);
+
+  const routeUpdate = {
+    plannedEndDate: routeEnd,
+    journeyEndLocation: lastKeptLocation || pickLocation(route.journeyEndLocation),
+    stops: renumberStops(keptStops)
+  };
+  routeUpdate.selectedTransportJobs = getJobIdsFromStops(routeUpdate.stops);
+
+  // The original route is compared with its shortened dates
+  const conflicts = await detectConflicts(newRoute, {
+    movedStops: [],
+    excludeRouteIds: [route._id],
+    otherRoutes: [{
+      _id: route._id,
+      routeNumber: route.routeNumber,
+      driverId: route.driverId,
+      truckId: route.truckId,
+      plannedStartDate: route.plannedStartDate,
+      plannedEndDate: routeEnd
+    }]
+  });
+
+  return { route, keptStops, movedStops, routeUpdate, newRoute, conflicts };
+}
+
+// The board plans from a snapshot; a route changed since then is reloaded by the dispatcher
+const assertUnchanged = (current, planned) => {
+  if (!current || current.deleted || current.updatedAt?.getTime() !== planned.updatedAt?.getTime()) {
+    throw Object.assign(new Error(`Route ${getRouteLabel(planned)} was changed by someone else; reload the board and try again`), { stale: true });
+  }
+};
+
+/**
+ * Apply a planned move in one transaction
+ * @param {Object} plan - Result of planMove
+ * @param {Object} options - { userId, overriddenConflicts? }
+ * @returns {Promise<{fromRoute, toRoute}>}
+ */
+async function applyMove(plan, { userId, overriddenConflicts = [] }) {
+  const result = await transactionService.runInTransaction(async () => {
+    const toRoute = await Route.findById(plan.toRoute._id);
+    assertUnchanged(toRoute, plan.toRoute);
+    const fromRoute = plan.fromRoute ? await Route.findById(plan.fromRoute._id) : null;
+    if (plan.fromRoute) assertUnchanged(fromRoute, plan.fromRoute);
+
+    if (fromRoute) {
+      fromRoute.stops = plan.fromStops;
+      fromRoute.selectedTransportJobs = getJobIdsFromStops(plan.fromStops);
+      fromRoute.lastUpdatedBy = userId;
+      await fromRoute.save();
+    }
+
+    toRoute.stops = plan.toStops;
+    toRoute.selectedTransportJobs = getJobIdsFromStops(plan.toStops);
+    toRoute.lastUpdatedBy = userId;
+    await toRoute.save();
+
+    // Clear the source route's references before the target route sets its own
+    if (fromRoute) {
+      await updateTransportJobRouteReferences(fromRoute._id, fromRoute.stops);
+    }
+    await updateTransportJobRouteReferences(toRoute._id, toRoute.stops);
+    await updateStatusOnStopsSetup(toRoute._id, toRoute.stops);
+
+    await AuditLog.create({
+      action: fromRoute ? 'move_transport_job' : 'assign_transport_job',
+      entityType: 'route',
+      entityId: toRoute._id,
+      userId,
+      driverId: toRoute.driverId,
+      routeId: toRoute._id,
+      details: {
+        transportJobId: plan.job._id,
+        jobNumber: plan.job.jobNumber,
+        fromRouteId: fromRoute?._id,
+        toRouteId: toRoute._id,
+        stopTypes: plan.movedStops.map(stop => stop.stopType),
+        overriddenConflicts: overriddenConflicts.map(conflict => conflict.type)
+      },
+      notes: fromRoute
+        ? `Moved transport job ${plan.job.jobNumber || plan.job._id} from route ${getRouteLabel(fromRoute)} to route ${getRouteLabel(toRoute)}`
+        : `Assigned transport job ${plan.job.jobNumber || plan.job._id} to route ${getRouteLabel(toRoute)}`
+    });
+
+    return { fromRoute, toRoute };
+  });
+
+  await refreshRouteDistances(result.toRoute);
+  if (result.fromRoute) await refreshRouteDistances(result.fromRoute);
+  return result;
+}
+
+/**
+ * Apply a planned split in one transaction: shorten the route and create the new one
+ * with its route tracker and calendar event
+ * @param {Object} plan - Result of planSplit
+ * @param {Object} options - { userId, overriddenConflicts? }
+ * @returns {Promise<{route, newRoute}>}
+ */
+async function applySplit(plan, { userId, overriddenConflicts = [] }) {
+  const result = await transactionService.runInTransaction(async () => {
+    const route = await Route.findById(plan.route._id);
+    assertUnchanged(route, plan.route);
+
+    route.stops = plan.routeUpdate.stops;
+    route.selectedTransportJobs = plan.routeUpdate.selectedTransportJobs;
+    route.plannedEndDate = plan.routeUpdate.plannedEndDate;
+    route.journeyEndLocation = plan.routeUpdate.journeyEndLocation;
+    route.lastUpdatedBy = userId;
+    await route.save();
+
+    const newRoute = new Route({
+      ...plan.newRoute,
+      createdBy: userId,
+      lastUpdatedBy: userId
+    });
+    await newRoute.save();
+
+    await RouteTracking.create({
+      routeId: newRoute._id,
+      driverId: newRoute.driverId,
+      truckId: newRoute.truckId,
+      status: 'active',
+      history: []
+    });
+
+    await updateTransportJobRouteReferences(route._id, route.stops);
+    await updateTransportJobRouteReferences(newRoute._id, newRoute.stops);
+    await updateStatusOnRouteCreate(newRoute._id, newRoute.selectedTransportJobs, newRoute.truckId);
+    await updateStatusOnStopsSetup(newRoute._id, newRoute.stops);
+
+    await CalendarEvent.updateMany({ routeId: route._id }, { endDate: route.plannedEndDate });
+    const driver = await User.findById(newRoute.driverId).select('firstName lastName email');
+    const truck = await Truck.findById(newRoute.truckId).select('truckNumber licensePlate make model year');
+    const driverName = driver ? `${driver.firstName || ''} ${driver.lastName || ''}`.trim() : 'Driver';
+    const truckDetails = [truck?.make, truck?.model, truck?.year].filter(Boolean).join(' ') || 'Truck';
+    await CalendarEvent.create({
+      title: `Route ${newRoute.routeNumber || newRoute._id}`,
+      description: `${truck?.truckNumber || truck?.licensePlate || 'Truck'} - ${driverName}${driver?.email ? ` (${driver.email})` : ''} - ${truckDetails} - Route ${newRoute.routeNumber || newRoute._id}`,
+      startDate: newRoute.plannedStartDate,
+      endDate: newRoute.plannedEndDate,
+      allDay: false,
+      color: 'blue',
+      driverId: newRoute.driverId,
+      routeId: newRoute._id,
+      truckId: newRoute.truckId,
+      createdBy: userId,
+      status: 'active'
+    });
+
+    await AuditLog.create({
+      action: 'split_route',
+      entityType: 'route',
+      entityId: route._id,
+      userId,
+      driverId: route.driverId,
+      routeId: route._id,
+      details: {
+        newRouteId: newRoute._id,
+        newRouteNumber: newRoute.routeNumber,
+        movedStopIds: plan.movedStops.map(stop => stop._id),
+        transportJobIds: newRoute.selectedTransportJobs,
+        driverId: newRoute.driverId,
+        truckId: newRoute.truckId,
+        overriddenConflicts: overriddenConflicts.map(conflict => conflict.type)
+      },
+      notes: `Split route ${getRouteLabel(route)} into ${getRouteLabel(newRoute)} (${plan.movedStops.length} stops moved)`
+    });
+
+    return { route, newRoute };
+  });
+
+  await refreshRouteDistances(result.route);
+  await refreshRouteDistances(result.newRoute);
+  return result;
+}
+
+/**
+ * Recalculate distanceFromPrevious and totals after stops changed (best effort, outside the transaction)
+ */
+async function refreshRouteDistances(route) {
+  try {
+    await locationService.refreshRouteDistances(route);
+  } catch (locationError) {
+    console.error(`❌ Failed to recalculate distances for route ${getRouteLabel(route)}:`, locationError.message);
+  }
+}
+
+module.exports = {
+  CONFLICT_TYPES,
+  MAX_BOARD_DAYS,
+  windowsOverlap,
+  findPrecedenceViolation,
+  getBlockingConflicts,
+  detectConflicts,
+  getBoard,
+  planMove,
+  planSplit,
+  applyMove,
+  applySplit
+};
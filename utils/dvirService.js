@@ -0,0 +1,220 @@
+/**
+ * DVIR Service
+ *
+ * Driver vehicle inspection reports for trucks, done pre-trip (before a route starts) and
+ * post-trip (when it completes).
+ * - Every component of DVIR_COMPONENTS must be marked ok, defective or not applicable
+ * - A defect marked out of service moves the truck to TRUCK_STATUS.OUT_OF_SERVICE, and routes
+ *   using the truck can't start until a mechanic signs off the repair
+ * - With DVIR_REQUIRE_PRE_TRIP=true a route can't start without a pre-trip inspection of its truck
+ */
+
+const Route = require('../models/Route');
+const Truck = require('../models/Truck');
+const TruckInspection = require('../models/TruckInspection');
+const { ROUTE_STATUS, TRUCK_STATUS } = require('../constants/status');
+const {
+  DVIR_TYPES,
+  DVIR_COMPONENTS,
+  DVIR_CONDITIONS,
+  DVIR_STATUS,
+  DEFECT_STATUS
+} = require('../constants/dvir');
+
+const isPreTripRequired = () => process.env.DVIR_REQUIRE_PRE_TRIP === 'true';
+
+// A pre-trip inspection older than this doesn't count for a route start
+const PRE_TRIP_MAX_AGE_HOURS = parseInt(process.env.DVIR_PRE_TRIP_MAX_AGE_HOURS) || 24;
+
+const getId = (value) => (value && typeof value === 'object' ? (value._id || value.id) : value);
+
+/**
+ * Validate a submitted checklist and defect list
+ * Components with a defect are marked defective even if the checklist says otherwise.
+ * @param {Array} checklist - [{ component, condition }]
+ * @param {Array} defects - [{ component, description, outOfService, photoUrls }]
+ * @returns {{errors: Array<string>, checklist: Array, defects: Array}}
+ */
+function normalizeReport(checklist = [], defects = []) {
+  const errors = [];
+
+  if (!Array.isArray(checklist) || !Array.isArray(defects)) {
+    return { errors: ['checklist and defects must be arrays'], checklist: [], defects: [] };
+  }
+
+  const conditions = new Map();
+  checklist.forEach(item => {
+    if (!DVIR_COMPONENTS[item?.component]) {
+      errors.push(`Unknown checklist component: ${item?.component}`);
+    } else if (!Object.values(DVIR_CONDITIONS).includes(item.condition)) {
+      errors.push(`Invalid condition for ${item.component}: ${item.condition}`);
+    } else {
+      conditions.set(item.component, item.condition);
+    }
+  });
+
+  const normalizedDefects = [];
+  defects.forEach((defect, index) => {
+    if (!DVIR_COMPONENTS[defect?.component]) {
+      errors.push(`Defect ${index + 1}: unknown component ${defect?.component}`);
+      return;
+    }
+    if (!defect.description || !String(defect.description).trim()) {
+      errors.push(`Defect ${index + 1}: description is required`);
+      return;
+    }
+    if (defect.photoUrls !== undefined && !Array.isArray(defect.photoUrls)) {
+      errors.push(`Defect ${index + 1}: photoUrls must be an array`);
+      return;
+    }
+    conditions.set(defect.component, DVIR_CONDITIONS.DEFECTIVE);
+    normalizedDefects.push({
+      component: defect.component,
+      description: String(defect.description).trim(),
+      outOfService: defect.outOfService === true,
+      photoUrls: defect.photoUrls || []
+    });
+  });
+
+  const missing = Object.keys(DVIR_COMPONENTS).filter(component => !conditions.has(component));
+  if (missing.length > 0) {
+    errors.push(`Checklist is missing: ${missing.join(', ')}`);
+  }
+
+  const defectiveWithoutDefect = [...conditions.entries()]
+    .filter(([component, condition]) =>
+      condition === DVIR_CONDITIONS.DEFECTIVE && !normalizedDefects.some(defect => defect.component === component))
+    .map(([component]) => component);
+  if (defectiveWithoutDefect.length > 0) {
+    errors.push(`Describe the defect of: ${defectiveWithoutDefect.join(', ')}`);
+  }
+
+  return {
+    errors,
+    checklist: Object.keys(DVIR_COMPONENTS)
+      .filter(component => conditions.has(component))
+      .map(component => ({ component, condition: conditions.get(component) })),
+    defects: normalizedDefects
+  };
+}
+
+/**
+ * Set status and outOfService of an inspection from its defects (the caller saves it)
+ */
+function applyDefectStatus(inspection) {
+  const openDefects = inspection.defects.filter(defect => defect.status === DEFECT_STATUS.OPEN);
+
+  inspection.outOfService = openDefects.some(defect => defect.outOfService);
+  if (inspection.defects.length === 0) {
+    inspection.status = DVIR_STATUS.SATISFACTORY;
+  } else if (openDefects.length === 0) {
+    inspection.status = DVIR_STATUS.CERTIFIED;
+  } else {
+    inspection.status = DVIR_STATUS.DEFECTS_REPORTED;
+  }
+  return inspection;
+}
+
+/**
+ * Inspections of a truck with out-of-service defects still waiting for mechanic sign-off
+ */
+async function getOpenOutOfServiceInspections(truckId) {
+  return TruckInspection.find({ truckId, outOfService: true })
+    .select('inspectionType routeId inspectedAt defects status')
+    .sort({ inspectedAt: -1 });
+}
+
+/**
+ * Take a truck out of service after an out-of-service defect was reported
+ */
+async function markTruckOutOfService(truckId) {
+  await Truck.updateOne({ _id: truckId }, { status: TRUCK_STATUS.OUT_OF_SERVICE });
+}
+
+/**
+ * Return a truck to service once none of its inspections has an open out-of-service defect
+ * @returns {Promise<string|null>} The truck's new status, or null if it stays out of service
+ */
+async function restoreTruckIfRepaired(truckId) {
+  const openCount = await TruckInspection.countDocuments({ truckId, outOfService: true });
+  if (openCount > 0) return null;
+
+  const inUse = await Route.exists({ truckId, status: ROUTE_STATUS.IN_PROGRESS, deleted: { $ne: true } });
+  const status = inUse ? TRUCK_STATUS.IN_USE : TRUCK_STATUS.AVAILABLE;
+  const result = await Truck.updateOne({ _id: truckId, status: TRUCK_STATUS.OUT_OF_SERVICE }, { status });
+  return result.modifiedCount === 1 ? status : null;
+}
+
+/**
+ * Free the truck of a route that ended: Available and no current driver,
+ * unless a DVIR took it out of service in the meantime
+ */
+async function releaseTruck(truckId) {
+  // Pipeline update so the status check and the change happen in one write
+  await Truck.updateOne({ _id: getId(truckId) }, [
+    {
+      $set: {
+        status: {
+          $cond: [{ $eq: ['$status', TRUCK_STATUS.OUT_OF_SERVICE] }, '$status', TRUCK_STATUS.AVAILABLE]
+        }
+      }
+    },
+    { $unset: 'currentDriver' }
+  ]);
+}
+
+/**
+ * Check whether the truck of a route can be used to start it
+ * @param {Object} route - Route with truckId
+ * @returns {Promise<{allowed: boolean, message: string|null, outOfServiceInspections: Array, preTripInspection: Object|null}>}
+ */
+async function checkRouteStart(route) {
+  const truckId = getId(route.truckId);
+  const result = {
+    allowed: true,
+    message: null,
+    outOfServiceInspections: [],
+    preTripInspection: null
+  };
+  if (!truckId) return result;
+
+  const [truck, outOfServiceInspections, preTripInspection] = await Promise.all([
+    Truck.findById(truckId).select('truckNumber status'),
+    getOpenOutOfServiceInspections(truckId),
+    TruckInspection.findOne({
+      truckId,
+      inspectionType: DVIR_TYPES.PRE_TRIP,
+      inspectedAt: { $gte: new Date(Date.now() - PRE_TRIP_MAX_AGE_HOURS * 60 * 60 * 1000) }
+    }).sort({ inspectedAt: -1 })
+  ]);
+
+  result.outOfServiceInspections = outOfServiceInspections;
+  result.preTripInspection = preTripInspection;
+  const truckName = truck?.truckNumber || truckId;
+
+  if (outOfServiceInspections.length > 0 || truck?.status === TRUCK_STATUS.OUT_OF_SERVICE) {
+    const defects = outOfServiceInspections
+      .flatMap(inspection => inspection.defects)
+      .filter(defect => defect.outOfService && defect.status === DEFECT_STATUS.OPEN)
+      .map(defect => DVIR_COMPONENTS[defect.component]);
+    result.allowed = false;
+    result.message = `Truck ${truckName} is out of service` +
+      (defects.length > 0 ? ` (${[...new Set(defects)].join(', ')}) until a mechanic certifies the repair` : '');
+  } else if (isPreTripRequired() && !preTripInspection) {
+    result.allowed = false;
+    result.message = `A pre-trip inspection of truck ${truckName} is required before starting the route`;
+  }
+
+  return result;
+}
+
+module.exports = {
+  PRE_TRIP_MAX_AGE_HOURS,
+  normalizeReport,
+  applyDefectStatus,
+  getOpenOutOfServiceInspections,
+  markTruckOutOfService,
+  restoreTruckIfRepaired,
+  releaseTruck,
+  checkRouteStart
+};
@@ -47,7 +47,7 @@ class EmailService {
   }
 
   // Send email with template
-  async sendTemplatedEmail(templateName, recipientEmail, subject, data = {}) {
+  async sendTemplatedEmail(templateName, recipientEmail, subject, data = {}, attachments = []) {
     try {
       const htmlContent = await this.loadTemplate(templateName, data);
 
@@ -55,7 +55,8 @@ class EmailService {
         from: `"${emailDefaults.from.name}" <${emailDefaults.from.address}>`,
         to: recipientEmail,
         subject: subject,
-        html: htmlContent
+        html: htmlContent,
+        ...(attachments.length > 0 && { attachments })
       };
 
       const info = await this.transporter.sendMail(mailOptions);
@@ -162,6 +163,64 @@ class EmailService {
     return await this.sendTemplatedEmail('email-verification', email, subject, data);
   }
 
+  // Invoice email with the PDF attached
+  async sendInvoiceEmail(email, invoice, pdfBuffer) {
+    const subject = `Invoice ${invoice.invoiceNumber} from ${this.brand}`;
+    const formatAmount = (value) => (value || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    const data = {
+      name: invoice.billTo?.name || invoice.billTo?.company || 'there',
+      invoiceNumber: invoice.invoiceNumber,
+      total: formatAmount(invoice.total),
+      balanceDue: formatAmount(invoice.balanceDue),
+      dueDate: invoice.dueDate ? new Date(invoice.dueDate).toLocaleDateString('en-US') : '-'
+    };
+    const attachments = [{
+      filename: `${invoice.invoiceNumber}.pdf`,
+      content: pdfBuffer,
+      contentType: 'application/pdf'
+    }];
+
+    return await this.sendTemplatedEmail('invoice', email, subject, data, attachments);
+  }
+
+  // Late arrival alert for dispatch (raised by utils/etaService.js)
+  async sendLateArrivalAlertEmail(email, alert) {
+    const subject = `Late arrival: ${alert.routeNumber} stop ${alert.sequence} (${alert.minutesLate} min)`;
+    const formatTime = (value) => (value ? new Date(value).toLocaleString('en-US') : '-');
+    const data = {
+      routeNumber: alert.routeNumber,
+      sequence: alert.sequence,
+      stopType: alert.stopType,
+      stopName: alert.stopName,
+      windowStart: formatTime(alert.scheduledTimeStart),
+      windowEnd: formatTime(alert.scheduledTimeEnd),
+      estimatedArrival: formatTime(alert.estimatedArrival),
+      minutesLate: alert.minutesLate,
+      routeUrl: `${emailDefaults.clientUrl}/routes/${alert.routeId}`
+    };
+
+    return await this.sendTemplatedEmail('late-arrival-alert', email, subject, data);
+  }
+
+  // Compliance document expiry warning (driver CDL/medical card, truck registration/insurance)
+  async sendComplianceExpiryEmail(email, warning) {
+    const expiryText = warning.daysUntilExpiry > 0
+      ? `expires in ${warning.daysUntilExpiry} day${warning.daysUntilExpiry === 1 ? '' : 's'}`
+      : (warning.daysUntilExpiry === 0 ? 'expires today' : 'has expired');
+    const subject = `${warning.documentLabel} for ${warning.ownerName} ${expiryText}`;
+    const data = {
+      documentLabel: warning.documentLabel,
+      ownerType: warning.ownerType,
+      ownerName: warning.ownerName,
+      documentNumber: warning.documentNumber || '-',
+      expiryDate: new Date(warning.expiryDate).toLocaleDateString('en-US'),
+      expiryText,
+      ownerUrl: `${emailDefaults.clientUrl}/${warning.ownerType === 'truck' ? 'trucks' : 'drivers'}/${warning.ownerId}`
+    };
+
+    return await this.sendTemplatedEmail('compliance-expiry-warning', email, subject, data);
+  }
+
   // Generic notification email
   async sendNotificationEmail(email, subject, message, data = {}) {
     const templateData = {
@@ -0,0 +1,314 @@
+/**
+ * ETA Service
+ *
+ * Recomputes the estimated arrival at every remaining stop of an in-progress route each time the
+ * driver reports a location, and stores it on the stop (stops[].eta).
+ *
+ * The first leg (driver to next stop) is a straight-line estimate driven at the driver's recent
+ * average speed from the route tracking history. Later legs use the route's stored leg durations,
+ * blended towards the same observed speed, plus service time at every intermediate stop.
+ *
+ * A stop is late when its ETA passes the end of its scheduled window (scheduledTimeEnd, or
+ * scheduledTimeStart when there is no end) by more than ETA_LATE_MARGIN_MINUTES. A late stop
+ * raises one alert (audit entry + email to dispatch) until its ETA is back within the window.
+ */
+
+const Route = require('../models/Route');
+const RouteTracking = require('../models/routeTracker');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const locationService = require('./locationService');
+const emailService = require('./emailService');
+const { DEFAULT_SERVICE_TIME_SECONDS } = require('./routeOptimizer');
+const { ROUTE_STATUS, ROUTE_STOP_STATUS } = require('../constants/status');
+
+const parsedMargin = parseInt(process.env.ETA_LATE_MARGIN_MINUTES, 10);
+const LATE_MARGIN_MINUTES = Number.isNaN(parsedMargin) ? 15 : parsedMargin;
+
+// Tracking history used for the observed speed
+const SPEED_WINDOW_MINUTES = parseInt(process.env.ETA_SPEED_WINDOW_MINUTES) || 60;
+const HISTORY_ENTRIES_LIMIT = 300;
+// Less moving time than this in the window falls back to the default speed
+const MIN_SPEED_SAMPLE_MINUTES = 10;
+// Gaps between fixes longer than this (paused route, lost signal) are not counted
+const MAX_SAMPLE_GAP_MINUTES = 10;
+// Segments slower than this are dwell time, which is covered by the stop service time
+const STATIONARY_SPEED_MPH = 3;
+const MIN_OBSERVED_SPEED_MPH = 10;
+const MAX_OBSERVED_SPEED_MPH = 75;
+
+// Same average speed locationService.estimateDrivingDistance assumes
+const DEFAULT_SPEED_MPH = 50;
+// Weight of the observed speed against the planned speed of later legs
+const HISTORY_SPEED_WEIGHT = 0.5;
+
+const isStopDone = (stop) =>
+  stop.status === ROUTE_STOP_STATUS.COMPLETED || stop.status === ROUTE_STOP_STATUS.SKIPPED;
+
+const hasCoordinates = (point) => point?.latitude != null && point?.longitude != null;
+
+const roundTo = (value, decimals = 1) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * End of a stop's scheduled window, or null when the stop has no scheduled time
+ */
+const getWindowEnd = (stop) => stop.scheduledTimeEnd || stop.scheduledTimeStart || null;
+
+/**
+ * Average moving speed over the recent tracking history
+ * @param {Array} history - RouteTracking history entries
+ * @param {Date} now - Reference time
+ * @returns {{speedMph: number, sampleMinutes: number, sampleMiles: number}|null} null when there is not enough data
+ */
+function calculateObservedSpeed(history, now = new Date()) {
+  const windowStart = now.getTime() - SPEED_WINDOW_MINUTES * 60 * 1000;
+  const fixes = (history || [])
+    .filter(entry => entry.type === 'location' && hasCoordinates(entry) && entry.timestamp &&
+      new Date(entry.timestamp).getTime() >= windowStart)
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+  let miles = 0;
+  let seconds = 0;
+
+  for (let i = 1; i < fixes.length; i++) {
+    const elapsed = (new Date(fixes[i].timestamp) - new Date(fixes[i - 1].timestamp)) / 1000;
+    if (elapsed <= 0 || elapsed > MAX_SAMPLE_GAP_MINUTES * 60) continue;
+
+    const distance = locationService.calculateStraightLineDistance(fixes[i - 1], fixes[i]);
+    if (distance / (elapsed / 3600) < STATIONARY_SPEED_MPH) continue;
+
+    miles += distance;
+    seconds += elapsed;
+  }
+
+  if (seconds < MIN_SPEED_SAMPLE_MINUTES * 60) return null;
+
+  const speedMph = Math.min(Math.max(miles / (seconds / 3600), MIN_OBSERVED_SPEED_MPH), MAX_OBSERVED_SPEED_MPH);
+  return {
+    speedMph: roundTo(speedMph),
+    sampleMinutes: Math.round(seconds / 60),
+    sampleMiles: roundTo(miles)
+  };
+}
+
+/**
+ * Estimate arrival at every remaining stop of a route
+ * @param {Object} route - Route with stops
+ * @param {Object} driverLocation - { latitude, longitude }
+ * @param {number|null} observedSpeedMph - Recent average speed, null to use the default speed
+ * @param {Date} now - Reference time
+ * @returns {Array<{stop, eta}>} One entry per stop that could be estimated, in route order
+ */
+function computeStopEtas(route, driverLocation, observedSpeedMph = null, now = new Date()) {
+  if (!route?.stops?.length || !hasCoordinates(driverLocation)) return [];
+
+  const orderedStops = [...route.stops].sort((a, b) => (a.sequence || 0) - (b.sequence || 0));
+  const remainingStops = orderedStops.filter(stop => !isStopDone(stop));
+  const firstLegSpeed = observedSpeedMph || DEFAULT_SPEED_MPH;
+
+  const results = [];
+  let elapsedSeconds = 0;
+  let remainingMiles = 0;
+  let previous = null;
+
+  for (const stop of remainingStops) {
+    const coordinates = stop.location?.coordinates;
+
+    if (!previous) {
+      // The driver is already at an in-progress stop - the ETAs start from there after service time
+      if (stop.status === ROUTE_STOP_STATUS.IN_PROGRESS) {
+        previous = stop;
+        continue;
+      }
+      if (!hasCoordinates(coordinates)) break;
+
+      const firstLeg = locationService.estimateDrivingDistance(driverLocation, coordinates);
+      remainingMiles += firstLeg.distance.value;
+      elapsedSeconds += (firstLeg.distance.value / firstLegSpeed) * 3600;
+    } else {
+      elapsedSeconds += DEFAULT_SERVICE_TIME_SECONDS;
+
+      const isNextStop = orderedStops.indexOf(stop) - orderedStops.indexOf(previous) === 1;
+      const plannedMiles = stop.distanceFromPrevious?.value;
+      const plannedSeconds = stop.durationFromPrevious?.value;
+
+      if (isNextStop && plannedSeconds && plannedMiles != null) {
+        remainingMiles += plannedMiles;
+        if (observedSpeedMph && plannedMiles > 0) {
+          const plannedSpeed = plannedMiles / (plannedSeconds / 3600);
+          const blendedSpeed = HISTORY_SPEED_WEIGHT * observedSpeedMph + (1 - HISTORY_SPEED_WEIGHT) * plannedSpeed;
+          elapsedSeconds += (plannedMiles / blendedSpeed) * 3600;
+        } else {
+          elapsedSeconds += plannedSeconds;
+        }
+      } else if (hasCoordinates(previous.location?.coordinates) && hasCoordinates(coordinates)) {
+        const leg = locationService.estimateDrivingDistance(previous.location.coordinates, coordinates);
+        const legSpeed = observedSpeedMph
+          ? HISTORY_SPEED_WEIGHT * observedSpeedMph + (1 - HISTORY_SPEED_WEIGHT) * DEFAULT_SPEED_MPH
+          : DEFAULT_SPEED_MPH;
+        remainingMiles += leg.distance.value;
+        elapsedSeconds += (leg.distance.value / legSpeed) * 3600;
+      } else {
+        // Stops after an unlocated stop cannot be estimated
+        break;
+      }
+    }
+
+    const estimatedArrival = new Date(now.getTime() + Math.round(elapsedSeconds) * 1000);
+    const windowEnd = getWindowEnd(stop);
+    const minutesLate = windowEnd ? Math.round((estimatedArrival - new Date(windowEnd)) / 60000) : null;
+
+    results.push({
+      stop,
+      eta: {
+        estimatedArrival,
+        remainingMiles: roundTo(remainingMiles),
+        remainingMinutes: Math.round(elapsedSeconds / 60),
+        speedMph: roundTo(firstLegSpeed),
+        speedSource: observedSpeedMph ? 'history' : 'default',
+        minutesLate,
+        late: minutesLate != null && minutesLate > LATE_MARGIN_MINUTES,
+        updatedAt: now
+      }
+    });
+
+    previous = stop;
+  }
+
+  return results;
+}
+
+/**
+ * Dispatch email addresses for late alerts: the dispatchers of the route's organization
+ * Filtered by the route's organization rather than relying on the caller's tenant context
+ */
+async function getAlertRecipients(organizationId) {
+  if (!organizationId) return [];
+  const dispatchers = await User.find({ organizationId, role: 'ptgDispatcher' }).select('email');
+  return dispatchers.map(user => user.email).filter(Boolean);
+}
+
+/**
+ * Record and send a late arrival alert (never throws)
+ */
+async function raiseLateAlert(route, stop, eta) {
+  const stopName = stop.location?.name || stop.location?.city || `stop ${stop.sequence}`;
+  const alert = {
+    routeId: route._id,
+    routeNumber: route.routeNumber,
+    stopId: stop._id,
+    sequence: stop.sequence,
+    stopType: stop.stopType,
+    stopName,
+    scheduledTimeStart: stop.scheduledTimeStart,
+    scheduledTimeEnd: stop.scheduledTimeEnd,
+    estimatedArrival: eta.estimatedArrival,
+    minutesLate: eta.minutesLate,
+    marginMinutes: LATE_MARGIN_MINUTES
+  };
+
+  try {
+    await AuditLog.create({
+      action: 'eta_late_alert',
+      entityType: 'route',
+      entityId: route._id,
+      driverId: route.driverId,
+      routeId: route._id,
+      details: alert,
+      notes: `Stop ${stop.sequence} (${stopName}) on route ${route.routeNumber} is expected ${eta.minutesLate} min after its scheduled window`
+    });
+  } catch (error) {
+    console.error('Error logging late arrival alert:', error);
+  }
+
+  try {
+    const recipients = await getAlertRecipients(route.organizationId);
+    if (recipients.length > 0) {
+      await emailService.sendLateArrivalAlertEmail(recipients, alert);
+    }
+  } catch (error) {
+    console.error('Error sending late arrival alert email:', error);
+  }
+
+  return alert;
+}
+
+/**
+ * Recompute and store the ETAs of a route from the driver's location, raising late alerts
+ * @param {string} routeId - Route ID
+ * @param {Object} driverLocation - { latitude, longitude }
+ * @returns {Promise<Object|null>} { routeId, observedSpeed, stops, alerts }, or null when the route is not in progress
+ */
+async function updateRouteEtas(routeId, driverLocation) {
+  const route = await Route.findOne({ _id: routeId, deleted: { $ne: true } })
+    .select('routeNumber status driverId stops organizationId');
+  if (!route || route.status !== ROUTE_STATUS.IN_PROGRESS) return null;
+
+  const now = new Date();
+  const tracker = await RouteTracking.findOne({ routeId }, { history: { $slice: -HISTORY_ENTRIES_LIMIT } });
+  const observedSpeed = calculateObservedSpeed(tracker?.history, now);
+  const estimates = computeStopEtas(route, driverLocation, observedSpeed?.speedMph, now);
+
+  if (estimates.length === 0) {
+    return { routeId: route._id, observedSpeed, stops: [], alerts: [] };
+  }
+
+  // Field-level $set so lateAlertedAt is only touched on purpose
+  const update = {};
+  const arrayFilters = [];
+  const newlyLate = [];
+
+  estimates.forEach(({ stop, eta }, index) => {
+    const path = `stops.$[s${index}].eta`;
+    Object.entries(eta).forEach(([field, value]) => {
+      update[`${path}.${field}`] = value;
+    });
+    arrayFilters.push({ [`s${index}._id`]: stop._id });
+
+    if (eta.late && !stop.eta?.lateAlertedAt) {
+      newlyLate.push({ stop, eta });
+    } else if (!eta.late && stop.eta?.lateAlertedAt) {
+      update[`${path}.lateAlertedAt`] = null;
+    }
+  });
+
+  await Route.updateOne({ _id: route._id }, { $set: update }, { arrayFilters });
+
+  // Claim each alert atomically so concurrent location updates don't alert twice
+  const alerts = [];
+  for (const { stop, eta } of newlyLate) {
+    const claim = await Route.updateOne(
+      { _id: route._id, stops: { $elemMatch: { _id: stop._id, 'eta.lateAlertedAt': null } } },
+      { $set: { 'stops.$.eta.lateAlertedAt': now } }
+    );
+    if (claim.modifiedCount === 1) {
+      alerts.push(await raiseLateAlert(route, stop, eta));
+    }
+  }
+
+  return {
+    routeId: route._id,
+    observedSpeed,
+    stops: estimates.map(({ stop, eta }) => ({
+      stopId: stop._id,
+      sequence: stop.sequence,
+      stopType: stop.stopType,
+      status: stop.status,
+      scheduledTimeStart: stop.scheduledTimeStart,
+      scheduledTimeEnd: stop.scheduledTimeEnd,
+      ...eta
+    })),
+    alerts
+  };
+}
+
+module.exports = {
+  LATE_MARGIN_MINUTES,
+  getWindowEnd,
+  calculateObservedSpeed,
+  computeStopEtas,
+  updateRouteEtas
+};
@@ -0,0 +1,665 @@
+/**
+ * Fuel Card Reconciliation Service
+ *
+ * Imports fuel card statements (CSV / XLSX) and reconciles them with the fuel expenses drivers
+ * enter (expenseService.createFuelExpense):
+ * - previewFuelCardImport(): parses the file (columns in constants/fuelCard.js), skips non-fuel
+ *   products, resolves the truck (unit number) and driver (name, else the route in progress at the
+ *   time), flags transactions repeated in the file or already imported, and matches each
+ *   transaction to a fuel Expense of the same truck/driver within MATCH_WINDOW_HOURS by amount
+ *   (or gallons) - nothing is written
+ * - commitFuelCardImport(): stores the transactions and optionally creates the fuel expenses
+ *   that were never entered
+ * - getReconciliationReport(): discrepancies per driver over a date range
+ */
+
+const mongoose = require('mongoose');
+const Route = require('../models/Route');
+const Truck = require('../models/Truck');
+const User = require('../models/User');
+const Expense = require('../models/Expense');
+const FuelCardTransaction = require('../models/FuelCardTransaction');
+const { parseSpreadsheet, buildColumnMapping, convertValue } = require('./bulkImportService');
+const {
+  FUEL_CARD_COLUMNS,
+  FUEL_CARD_MATCH_STATUS,
+  MAX_FUEL_CARD_ROWS,
+  NON_FUEL_PRODUCT_PATTERN,
+  PETROL_PRODUCT_PATTERN
+} = require('../constants/fuelCard');
+const { ROUTE_STATUS } = require('../constants/status');
+
+const MATCH_WINDOW_HOURS = parseInt(process.env.FUEL_CARD_MATCH_WINDOW_HOURS) || 24;
+const AMOUNT_TOLERANCE = parseFloat(process.env.FUEL_CARD_AMOUNT_TOLERANCE) || 1;
+const GALLONS_TOLERANCE = parseFloat(process.env.FUEL_CARD_GALLONS_TOLERANCE) || 0.5;
+// Larger amount differences (with different gallons) aren't the same purchase
+const MAX_DISCREPANCY_PERCENT = parseInt(process.env.FUEL_CARD_MAX_DISCREPANCY_PERCENT) || 20;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const normalizeKey = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '').replace(/^0+(?=\d)/, '');
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+const getId = (value) => (value && typeof value === 'object' ? (value._id || value.id) : value);
+
+const sameId = (a, b) => Boolean(a && b) && String(getId(a)) === String(getId(b));
+
+/**
+ * Transaction time from the date column and the optional separate time column ("14:32", "2:32 PM")
+ */
+function parseTransactionDate(date, timeText) {
+  const transactionDate = new Date(date);
+  const time = String(timeText || '').trim().match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(am|pm)?$/i);
+  if (time) {
+    let hours = parseInt(time[1]) % 24;
+    if (time[4]) {
+      hours = (hours % 12) + (time[4].toLowerCase() === 'pm' ? 12 : 0);
+    }
+    transactionDate.setHours(hours, parseInt(time[2]), parseInt(time[3] || 0), 0);
+  }
+  return transactionDate;
+}
+
+/**
+ * Key identifying a transaction across statements: card + transaction id when the statement has
+ * one, else card + unit + minute + amount + gallons
+ */
+function buildFingerprint(transaction) {
+  const card = transaction.cardLast4 || '';
+  if (transaction.transactionId) {
+    return `${card}|id|${normalizeKey(transaction.transactionId)}`;
+  }
+  const minute = new Date(transaction.transactionDate).toISOString().slice(0, 16);
+  return `${card}|${normalizeKey(transaction.unitNumber)}|${minute}|${Number(transaction.amount).toFixed(2)}|${transaction.gallons || ''}`;
+}
+
+/**
+ * Expense category of a fuel card product (diesel unless it is gasoline)
+ */
+const getFuelCategory = (product) => (product && PETROL_PRODUCT_PATTERN.test(product) ? 'petrol' : 'diesel');
+
+/**
+ * Pick the fuel expense a card transaction matches
+ * Candidates are ranked by exact amount, exact gallons, same truck and driver, amount difference
+ * and time difference. An amount within AMOUNT_TOLERANCE (and gallons within GALLONS_TOLERANCE)
+ * is a match; a candidate with the same gallons or an amount within MAX_DISCREPANCY_PERCENT is
+ * a discrepancy (the driver entered a different amount).
+ * @param {Object} transaction - { transactionDate, amount, gallons, truckId, driverId }
+ * @param {Array} candidates - Fuel expenses near the transaction time
+ * @param {Set<string>} claimedExpenseIds - Expenses already matched to other transactions
+ * @returns {{status, expense, amountDifference, gallonsDifference, possibleDuplicateExpenseIds}}
+ */
+function matchTransaction(transaction, candidates, claimedExpenseIds = new Set()) {
+  const time = new Date(transaction.transactionDate).getTime();
+
+  const ranked = candidates
+    .filter(expense => !claimedExpenseIds.has(String(expense._id)))
+    .map(expense => {
+      const amountDifference = round(transaction.amount - (expense.totalCost || 0));
+      const gallonsDifference = transaction.gallons && expense.gallons
+        ? round(transaction.gallons - expense.gallons, 3)
+        : null;
+      const amountMatches = Math.abs(amountDifference) <= AMOUNT_TOLERANCE;
+      const gallonsMatch = gallonsDifference !== null && Math.abs(gallonsDifference) <= GALLONS_TOLERANCE;
+      return {
+        expense,
+        amountDifference,
+        gallonsDifference,
+        amountMatches,
+        gallonsMatch,
+        closeAmount: Math.abs(amountDifference) <= transaction.amount * MAX_DISCREPANCY_PERCENT / 100,
+        sameAssignment: Number(sameId(expense.truckId, transaction.truckId)) + Number(sameId(expense.driverId, transaction.driverId)),
+        timeDifference: Math.abs(new Date(expense.createdAt).getTime() - time)
+      };
+    })
+    .filter(candidate => candidate.amountMatches || candidate.gallonsMatch || candidate.closeAmount)
+    .sort((a, b) => (b.amountMatches - a.amountMatches) ||
+      (b.gallonsMatch - a.gallonsMatch) ||
+      (b.sameAssignment - a.sameAssignment) ||
+      (Math.abs(a.amountDifference) - Math.abs(b.amountDifference)) ||
+      (a.timeDifference - b.timeDifference));
+
+  if (ranked.length === 0) {
+    return {
+      status: FUEL_CARD_MATCH_STATUS.UNMATCHED,
+      expense: null,
+      amountDifference: null,
+      gallonsDifference: null,
+      possibleDuplicateExpenseIds: []
+    };
+  }
+
+  const [best, ...others] = ranked;
+  const agrees = best.amountMatches && (best.gallonsDifference === null || best.gallonsMatch);
+
+  return {
+    status: agrees ? FUEL_CARD_MATCH_STATUS.MATCHED : FUEL_CARD_MATCH_STATUS.DISCREPANCY,
+    expense: best.expense,
+    amountDifference: best.amountDifference,
+    gallonsDifference: best.gallonsDifference,
+    // Other expenses for the same purchase - the driver probably entered it twice
+    possibleDuplicateExpenseIds: others
+      .filter(candidate => candidate.amountMatches || candidate.gallonsMatch)
+      .map(candidate => candidate.expense._id)
+  };
+}
+
+/**
+ * Lookups of trucks by unit number / license plate and drivers by "first last" / "last first"
+ */
+async function loadAssignmentLookups() {
+  const [trucks, drivers] = await Promise.all([
+    Truck.find({}).select('truckNumber licensePlate'),
+    User.find({ role: 'ptgDriver' }).select('firstName lastName')
+  ]);
+
+  const trucksByKey = new Map();
+  trucks.forEach(truck => {
+    [truck.truckNumber, truck.licensePlate].filter(Boolean).forEach(value => {
+      const key = normalizeKey(value);
+      if (key && !trucksByKey.has(key)) trucksByKey.set(key, truck._id);
+    });
+  });
+
+  const driversByKey = new Map();
+  drivers.forEach(driver => {
+    [`${driver.firstName} ${driver.lastName}`, `${driver.lastName} ${driver.firstName}`].forEach(name => {
+      const key = normalizeKey(name);
+      const existing = driversByKey.get(key);
+      // Drivers sharing a name can't be told apart by name
+      driversByKey.set(key, existing === undefined || sameId(existing, driver._id) ? driver._id : null);
+    });
+  });
+
+  return { trucksByKey, driversByKey };
+}
+
+/**
+ * Route of the truck (or driver) in progress at a time
+ */
+async function findRouteAt(time, { truckId, driverId }) {
+  if (!truckId && !driverId) return null;
+  return Route.findOne({
+    ...(truckId ? { truckId } : { driverId }),
+    deleted: { $ne: true },
+    actualStartDate: { $lte: time },
+    $or: [
+      { actualEndDate: { $gte: time } },
+      { actualEndDate: null, status: ROUTE_STATUS.IN_PROGRESS },
+      // Routes completed by finishing every stop have no actualEndDate
+      { actualEndDate: null, status: ROUTE_STATUS.COMPLETED, updatedAt: { $gte: time } }
+    ]
+  }).sort({ actualStartDate: -1 }).select('driverId truckId');
+}
+
+/**
+ * Truck, driver and route of a transaction
+ */
+async function resolveAssignment(data, lookups) {
+  const warnings = [];
+  let truckId = data.unitNumber ? lookups.trucksByKey.get(normalizeKey(data.unitNumber)) || null : null;
+  let driverId = data.driverName ? lookups.driversByKey.get(normalizeKey(data.driverName)) || null : null;
+
+  if (data.unitNumber && !truckId) warnings.push(`Unit ${data.unitNumber} does not match a truck`);
+  if (data.driverName && !driverId) warnings.push(`Driver "${data.driverName}" does not match a single driver`);
+
+  const route = await findRouteAt(data.transactionDate, { truckId, driverId });
+  if (route) {
+    truckId = truckId || route.truckId;
+    driverId = driverId || route.driverId;
+  }
+
+  return { truckId, driverId, routeId: route ? route._id : null, warnings };
+}
+
+/**
+ * Build and validate the transaction of one statement row
+ */
+function buildRow(headers, mapping, sourceRow) {
+  const row = {
+    rowNumber: sourceRow.rowNumber,
+    status: 'valid',
+    data: {},
+    errors: [],
+    warnings: []
+  };
+
+  headers.forEach((header, index) => {
+    const field = mapping[header];
+    const rawValue = sourceRow.values[index];
+    if (!field || isBlank(rawValue)) return;
+
+    const column = FUEL_CARD_COLUMNS.find(entry => entry.field === field);
+    const { value, error } = convertValue(column, rawValue);
+    if (error) {
+      row.errors.push({ column: header, field, message: error });
+    }
+    row.data[field] = value;
+  });
+
+  FUEL_CARD_COLUMNS.filter(column => column.required).forEach(column => {
+    if (isBlank(row.data[column.field])) {
+      row.errors.push({ field: column.field, message: `${column.field} is required` });
+    }
+  });
+
+  if (row.errors.length > 0) {
+    row.status = 'invalid';
+    return row;
+  }
+
+  const { data } = row;
+  if (data.product && NON_FUEL_PRODUCT_PATTERN.test(data.product)) {
+    row.status = 'skipped';
+    row.warnings.push(`${data.product} is not a truck fuel purchase`);
+    return row;
+  }
+
+  data.transactionDate = parseTransactionDate(data.transactionDate, data.transactionTime);
+  delete data.transactionTime;
+  if (data.cardNumber) {
+    data.cardLast4 = String(data.cardNumber).replace(/\D/g, '').slice(-4) || undefined;
+    delete data.cardNumber;
+  }
+  if (!data.pricePerGallon && data.gallons > 0) {
+    data.pricePerGallon = round(data.amount / data.gallons, 3);
+  }
+  if (data.state) {
+    data.state = String(data.state).trim().toUpperCase();
+  }
+  row.fingerprint = buildFingerprint(data);
+
+  return row;
+}
+
+/**
+ * Parse a fuel card statement and match its transactions without writing anything
+ * @param {Buffer} buffer - File contents
+ * @param {string} format - 'csv' | 'xlsx'
+ * @param {Object} columnMapping - Optional explicit { header: field } mapping
+ * @returns {Promise<Object>} Preview with per-row status and match
+ */
+async function previewFuelCardImport(buffer, format, columnMapping = {}) {
+  const { headers, rows: sourceRows } = await parseSpreadsheet(buffer, format);
+
+  if (headers.length === 0 || sourceRows.length === 0) {
+    throw new Error('The file has no data rows (the first row must contain the column headers)');
+  }
+  if (sourceRows.length > MAX_FUEL_CARD_ROWS) {
+    throw new Error(`The file has ${sourceRows.length} rows; at most ${MAX_FUEL_CARD_ROWS} rows can be imported at once`);
+  }
+
+  const { mapping, unmappedColumns, missingRequiredFields } = buildColumnMapping(headers, FUEL_CARD_COLUMNS, columnMapping);
+  const rows = sourceRows.map(sourceRow => buildRow(headers, mapping, sourceRow));
+  const transactionRows = rows.filter(row => row.status === 'valid');
+
+  // Transactions repeated in the file or imported before
+  const existing = await FuelCardTransaction.find({
+    fingerprint: { $in: transactionRows.map(row => row.fingerprint) },
+    matchStatus: { $ne: FUEL_CARD_MATCH_STATUS.DUPLICATE }
+  }).select('fingerprint importId fileName');
+  const existingByFingerprint = new Map(existing.map(transaction => [transaction.fingerprint, transaction]));
+  const firstRowByFingerprint = new Map();
+
+  const lookups = await loadAssignmentLookups();
+  const claimedExpenseIds = new Set();
+  const windowMs = MATCH_WINDOW_HOURS * HOUR_MS;
+
+  for (const row of transactionRows) {
+    const { warnings, ...assignment } = await resolveAssignment(row.data, lookups);
+    Object.assign(row, assignment);
+    row.warnings.push(...warnings);
+
+    const previous = existingByFingerprint.get(row.fingerprint);
+    if (previous || firstRowByFingerprint.has(row.fingerprint)) {
+      row.match = {
+        status: FUEL_CARD_MATCH_STATUS.DUPLICATE,
+        duplicateOf: previous ? previous._id : undefined,
+        duplicateOfRow: previous ? undefined : firstRowByFingerprint.get(row.fingerprint)
+      };
+      row.warnings.push(previous
+        ? `Transaction already imported${previous.fileName ? ` from ${previous.fileName}` : ''}`
+        : `Duplicate transaction in file (first seen on row ${firstRowByFingerprint.get(row.fingerprint)})`);
+      continue;
+    }
+    firstRowByFingerprint.set(row.fingerprint, row.rowNumber);
+
+    if (!row.truckId && !row.driverId) {
+      row.match = matchTransaction(row.data, []);
+      row.warnings.push('The truck and driver could not be determined; the transaction cannot be matched');
+    } else {
+      const time = row.data.transactionDate.getTime();
+      const candidates = await Expense.find({
+        type: 'fuel',
+        createdAt: { $gte: new Date(time - windowMs), $lte: new Date(time + windowMs) },
+        $or: [row.truckId && { truckId: row.truckId }, row.driverId && { driverId: row.driverId }].filter(Boolean)
+      }).select('totalCost gallons pricePerGallon truckId driverId routeId createdAt');
+
+      // Expenses reconciled by earlier imports stay with their transaction
+      const reconciled = await FuelCardTransaction.distinct('expenseId', {
+        expenseId: { $in: candidates.map(expense => expense._id) }
+      });
+      reconciled.forEach(expenseId => claimedExpenseIds.add(String(expenseId)));
+
+      const match = matchTransaction({ ...row.data, truckId: row.truckId, driverId: row.driverId }, candidates, claimedExpenseIds);
+      row.match = {
+        status: match.status,
+        expenseId: match.expense ? match.expense._id : undefined,
+        amountDifference: match.amountDifference,
+        gallonsDifference: match.gallonsDifference,
+        possibleDuplicateExpenseIds: match.possibleDuplicateExpenseIds
+      };
+      if (match.expense) {
+        claimedExpenseIds.add(String(match.expense._id));
+        if (row.truckId && !sameId(match.expense.truckId, row.truckId)) {
+          row.warnings.push('The matched expense was entered for a different truck');
+        }
+      }
+      if (match.possibleDuplicateExpenseIds.length > 0) {
+        row.warnings.push(`${match.possibleDuplicateExpenseIds.length} other fuel expense(s) match this transaction and may be duplicates`);
+      }
+    }
+  }
+
+  const count = (status) => transactionRows.filter(row => row.match.status === status).length;
+
+  return {
+    format,
+    totalRows: rows.length,
+    invalidRows: rows.filter(row => row.status === 'invalid').length,
+    skippedRows: rows.filter(row => row.status === 'skipped').length,
+    transactions: transactionRows.length,
+    matched: count(FUEL_CARD_MATCH_STATUS.MATCHED),
+    discrepancies: count(FUEL_CARD_MATCH_STATUS.DISCREPANCY),
+    unmatched: count(FUEL_CARD_MATCH_STATUS.UNMATCHED),
+    duplicates: count(FUEL_CARD_MATCH_STATUS.DUPLICATE),
+    columnMapping: mapping,
+    unmappedColumns,
+    missingRequiredFields,
+    rows
+  };
+}
+
+/**
+ * Create the fuel expense of a card transaction that was never entered
+ * Fuel card purchases are paid by the company, so they don't affect the driver's settlement.
+ */
+async function createExpenseFromTransaction(transaction, userId) {
+  return Expense.create({
+    type: 'fuel',
+    category: getFuelCategory(transaction.product),
+    gallons: transaction.gallons,
+    pricePerGallon: transaction.pricePerGallon,
+    totalCost: transaction.amount,
+    odometerReading: transaction.odometer,
+    description: `Fuel card purchase${transaction.merchant ? ` at ${transaction.merchant}` : ''}`,
+    askedLocation: transaction.merchant || transaction.city || transaction.state ? {
+      name: transaction.merchant,
+      city: transaction.city,
+      state: transaction.state
+    } : undefined,
+    settlementTreatment: 'company',
+    routeId: transaction.routeId,
+    driverId: transaction.driverId,
+    truckId: transaction.truckId,
+    createdBy: userId,
+    // Dated at the purchase, not the import
+    createdAt: transaction.transactionDate
+  });
+}
+
+/**
+ * Store the transactions of a preview and optionally create the missing fuel expenses
+ * @param {Object} preview - Result of previewFuelCardImport
+ * @param {Object} options - { userId, fileName, createMissingExpenses }
+ * @returns {Promise<Object>} { importId, stored, byStatus, expensesCreated, createdExpenseIds, failed, failures }
+ */
+async function commitFuelCardImport(preview, { userId, fileName, createMissingExpenses = false } = {}) {
+  const importId = new mongoose.Types.ObjectId();
+  const result = {
+    importId,
+    stored: 0,
+    byStatus: Object.values(FUEL_CARD_MATCH_STATUS).reduce((counts, status) => ({ ...counts, [status]: 0 }), {}),
+    expensesCreated: 0,
+    createdExpenseIds: [],
+    failed: 0,
+    failures: []
+  };
+  const transactionIdByRow = new Map();
+
+  for (const row of preview.rows.filter(entry => entry.status === 'valid')) {
+    const fields = {
+      ...row.data,
+      importId,
+      fileName,
+      rowNumber: row.rowNumber,
+      fingerprint: row.fingerprint,
+      truckId: row.truckId,
+      driverId: row.driverId,
+      routeId: row.routeId,
+      matchStatus: row.match.status,
+      expenseId: row.match.expenseId,
+      amountDifference: row.match.amountDifference,
+      gallonsDifference: row.match.gallonsDifference,
+      possibleDuplicateExpenseIds: row.match.possibleDuplicateExpenseIds,
+      duplicateOf: row.match.duplicateOf || transactionIdByRow.get(row.match.duplicateOfRow),
+      notes: row.warnings,
+      importedBy: userId
+    };
+
+    try {
+      let transaction;
+      try {
+        transaction = await FuelCardTransaction.create(fields);
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        // Imported by a concurrent import since the preview
+        const original = await FuelCardTransaction.findOne({
+          fingerprint: row.fingerprint,
+          matchStatus: { $ne: FUEL_CARD_MATCH_STATUS.DUPLICATE }
+        }).select('_id');
+        transaction = await FuelCardTransaction.create({
+          ...fields,
+          matchStatus: FUEL_CARD_MATCH_STATUS.DUPLICATE,
+          expenseId: undefined,
+          amountDifference: undefined,
+          gallonsDifference: undefined,
+          possibleDuplicateExpenseIds: [],
+          duplicateOf: original?._id,
+          notes: [...row.warnings, 'Transaction already imported']
+        });
+      }
+      transactionIdByRow.set(row.rowNumber, transaction._id);
+
+      if (createMissingExpenses && transaction.matchStatus === FUEL_CARD_MATCH_STATUS.UNMATCHED) {
+        if (transaction.truckId && transaction.driverId) {
+          const expense = await createExpenseFromTransaction(transaction, userId);
+          transaction.matchStatus = FUEL_CARD_MATCH_STATUS.CREATED;
+          transaction.expenseId = expense._id;
+          await transaction.save();
+          result.expensesCreated++;
+          result.createdExpenseIds.push(expense._id);
+        } else {
+          transaction.notes.push('No expense created: the truck and driver could not both be determined');
+          await transaction.save();
+        }
+      }
+
+      result.stored++;
+      result.byStatus[transaction.matchStatus]++;
+    } catch (error) {
+      result.failed++;
+      result.failures.push({ rowNumber: row.rowNumber, message: error.message });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Fuel card reconciliation per driver over a date range
+ * Per driver: card totals, matched/discrepancy/created/unmatched/duplicate transactions and the
+ * fuel expenses with no card transaction (paid another way, or not a real purchase).
+ * @param {Object} filters - { startDate?, endDate?, driverId? }
+ * @returns {Promise<{period, drivers: Array, totals: Object}>}
+ */
+async function getReconciliationReport({ startDate, endDate, driverId } = {}) {
+  const end = endDate ? new Date(endDate) : new Date();
+  const start = startDate ? new Date(startDate) : new Date(end.getTime() - 30 * 24 * HOUR_MS);
+
+  const transactionQuery = { transactionDate: { $gte: start, $lte: end } };
+  const expenseQuery = { type: 'fuel', createdAt: { $gte: start, $lte: end } };
+  if (driverId) {
+    transactionQuery.driverId = driverId;
+    expenseQuery.driverId = driverId;
+  }
+
+  const [transactions, expenses] = await Promise.all([
+    FuelCardTransaction.find(transactionQuery).sort({ transactionDate: 1 }),
+    Expense.find(expenseQuery).select('totalCost gallons truckId driverId routeId createdAt').sort({ createdAt: 1 })
+  ]);
+
+  const reconciledIds = new Set((await FuelCardTransaction.distinct('expenseId', {
+    expenseId: { $in: expenses.map(expense => expense._id) }
+  })).map(String));
+
+  const byDriver = new Map();
+  const entryFor = (id) => {
+    const key = id ? String(id) : 'unassigned';
+    if (!byDriver.has(key)) {
+      byDriver.set(key, {
+        driverId: id || null,
+        transactions: 0,
+        cardAmount: 0,
+        cardGallons: 0,
+        matched: 0,
+        discrepancies: 0,
+        discrepancyAmount: 0,
+        created: 0,
+        createdAmount: 0,
+        unmatched: 0,
+        unmatchedAmount: 0,
+        duplicates: 0,
+        duplicateAmount: 0,
+        possibleDuplicateExpenses: 0,
+        expensesWithoutTransaction: 0,
+        expensesWithoutTransactionAmount: 0,
+        issues: []
+      });
+    }
+    return byDriver.get(key);
+  };
+
+  transactions.forEach(transaction => {
+    const entry = entryFor(transaction.driverId);
+    const issue = {
+      transactionId: transaction._id,
+      transactionDate: transaction.transactionDate,
+      merchant: transaction.merchant,
+      state: transaction.state,
+      amount: transaction.amount,
+      gallons: transaction.gallons,
+      expenseId: transaction.expenseId
+    };
+
+    if (transaction.matchStatus === FUEL_CARD_MATCH_STATUS.DUPLICATE) {
+      entry.duplicates++;
+      entry.duplicateAmount += transaction.amount;
+      entry.issues.push({ ...issue, type: 'duplicate_transaction', duplicateOf: transaction.duplicateOf });
+      return;
+    }
+
+    entry.transactions++;
+    entry.cardAmount += transaction.amount;
+    entry.cardGallons += transaction.gallons || 0;
+
+    switch (transaction.matchStatus) {
+      case FUEL_CARD_MATCH_STATUS.MATCHED:
+        entry.matched++;
+        break;
+      case FUEL_CARD_MATCH_STATUS.DISCREPANCY:
+        entry.discrepancies++;
+        entry.discrepancyAmount += transaction.amountDifference || 0;
+        entry.issues.push({
+          ...issue,
+          type: 'amount_discrepancy',
+          amountDifference: transaction.amountDifference,
+          gallonsDifference: transaction.gallonsDifference
+        });
+        break;
+      case FUEL_CARD_MATCH_STATUS.CREATED:
+        entry.created++;
+        entry.createdAmount += transaction.amount;
+        break;
+      default:
+        entry.unmatched++;
+        entry.unmatchedAmount += transaction.amount;
+        entry.issues.push({ ...issue, type: 'unmatched_transaction' });
+    }
+
+    if (transaction.possibleDuplicateExpenseIds.length > 0) {
+      entry.possibleDuplicateExpenses += transaction.possibleDuplicateExpenseIds.length;
+      entry.issues.push({ ...issue, type: 'possible_duplicate_expense', expenseIds: transaction.possibleDuplicateExpenseIds });
+    }
+  });
+
+  expenses.filter(expense => !reconciledIds.has(String(expense._id))).forEach(expense => {
+    const entry = entryFor(expense.driverId);
+    entry.expensesWithoutTransaction++;
+    entry.expensesWithoutTransactionAmount += expense.totalCost || 0;
+    entry.issues.push({
+      type: 'expense_without_transaction',
+      expenseId: expense._id,
+      expenseDate: expense.createdAt,
+      amount: expense.totalCost,
+      gallons: expense.gallons,
+      truckId: expense.truckId,
+      routeId: expense.routeId
+    });
+  });
+
+  const driverIds = [...byDriver.values()].map(entry => entry.driverId).filter(Boolean);
+  const drivers = await User.find({ _id: { $in: driverIds } }).select('firstName lastName email');
+  const driversById = new Map(drivers.map(driver => [String(driver._id), driver]));
+
+  const amountFields = ['cardAmount', 'discrepancyAmount', 'createdAmount', 'unmatchedAmount', 'duplicateAmount', 'expensesWithoutTransactionAmount'];
+  const rows = [...byDriver.values()].map(entry => {
+    amountFields.forEach(field => { entry[field] = round(entry[field]); });
+    entry.cardGallons = round(entry.cardGallons, 3);
+    const driver = entry.driverId ? driversById.get(String(entry.driverId)) : null;
+    return {
+      ...entry,
+      driver: driver ? { _id: driver._id, firstName: driver.firstName, lastName: driver.lastName, email: driver.email } : null,
+      issueCount: entry.issues.length
+    };
+  }).sort((a, b) => b.issueCount - a.issueCount);
+
+  const totals = rows.reduce((sum, entry) => {
+    ['transactions', 'cardGallons', 'matched', 'discrepancies', 'created', 'unmatched', 'duplicates',
+      'possibleDuplicateExpenses', 'expensesWithoutTransaction', 'issueCount', ...amountFields].forEach(field => {
+      sum[field] = (sum[field] || 0) + entry[field];
+    });
+    return sum;
+  }, {});
+  amountFields.forEach(field => { totals[field] = round(totals[field] || 0); });
+  totals.cardGallons = round(totals.cardGallons || 0, 3);
+
+  return {
+    period: { startDate: start, endDate: end },
+    drivers: rows,
+    totals
+  };
+}
+
+module.exports = {
+  MATCH_WINDOW_HOURS,
+  parseTransactionDate,
+  buildFingerprint,
+  matchTransaction,
+  previewFuelCardImport,
+  commitFuelCardImport,
+  getReconciliationReport
+};
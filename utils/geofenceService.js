@@ -0,0 +1,283 @@
+/**
+ * Geofence Service
+ *
+ * Detects when the driver enters or leaves the circle around a stop's coordinates, so arrival,
+ * departure and dwell time no longer depend on the driver tapping "arrived".
+ * Called by routeTracker.addLocationEntry for every location fix on an in-progress route.
+ *
+ * - Arrival: the fix is within the stop's radius (stop.geofence.radiusMeters or GEOFENCE_RADIUS_METERS)
+ * - Departure: the fix is beyond radius * EXIT_RADIUS_FACTOR, so GPS jitter at the edge doesn't
+ *   produce a string of arrivals and departures
+ * - Detention: dwell at a pickup/drop stop beyond DETENTION_THRESHOLD_MINUTES
+ * - Actual time: a stop's actualDate/actualTime (used for invoicing) are set on arrival, or on
+ *   departure for drops, unless the driver already entered them
+ * With GEOFENCE_AUTO_START_STOP=true a pending stop is moved to In Progress on arrival.
+ * Crossings also update the driver's duty status (see utils/hosService.js).
+ */
+
+const Route = require('../models/Route');
+const AuditLog = require('../models/AuditLog');
+const locationService = require('./locationService');
+const hosService = require('./hosService');
+const { ROUTE_STATUS, ROUTE_STOP_STATUS, ROUTE_STOP_TYPE } = require('../constants/status');
+
+const GEOFENCE_RADIUS_METERS = parseInt(process.env.GEOFENCE_RADIUS_METERS) || 200;
+const EXIT_RADIUS_FACTOR = 1.25;
+// Fixes less accurate than this are ignored
+const MAX_FIX_ACCURACY_METERS = parseInt(process.env.GEOFENCE_MAX_ACCURACY_METERS) || 300;
+// Fix timestamps older than this (or in the future) are replaced by the server time
+const MAX_FIX_AGE_MINUTES = 15;
+const DETENTION_THRESHOLD_MINUTES = parseInt(process.env.DETENTION_THRESHOLD_MINUTES) || 120;
+const METERS_PER_MILE = 1609.344;
+
+const GEOFENCE_EVENTS = {
+  ARRIVAL: 'geofence_arrival',
+  DEPARTURE: 'geofence_departure'
+};
+
+const isAutoStartEnabled = () => process.env.GEOFENCE_AUTO_START_STOP === 'true';
+
+const isStopDone = (stop) =>
+  stop.status === ROUTE_STOP_STATUS.COMPLETED || stop.status === ROUTE_STOP_STATUS.SKIPPED;
+
+// Detention only applies where the driver waits on a shipper or receiver
+const isTransportStop = (stop) =>
+  stop.stopType === ROUTE_STOP_TYPE.PICKUP || stop.stopType === ROUTE_STOP_TYPE.DROP;
+
+const getRadius = (stop) => stop.geofence?.radiusMeters || GEOFENCE_RADIUS_METERS;
+
+const hasActualTime = (stop) => Boolean(stop.actualDate || stop.actualTime);
+
+/**
+ * Time of a location fix, bounded by the server clock (fixes come from unauthenticated requests)
+ */
+function getFixTime(timestamp, now = new Date()) {
+  const time = timestamp ? new Date(timestamp) : null;
+  if (!time || isNaN(time.getTime()) || time > now || now - time > MAX_FIX_AGE_MINUTES * 60000) {
+    return now;
+  }
+  return time;
+}
+
+/**
+ * Detention minutes for a total dwell time at a stop
+ */
+const calculateDetention = (stop, dwellMinutes) =>
+  isTransportStop(stop) ? Math.max(0, Math.round(dwellMinutes - DETENTION_THRESHOLD_MINUTES)) : 0;
+
+/**
+ * Find the geofence crossings of a location fix
+ * @param {Array} stops - Route stops
+ * @param {Object} point - { latitude, longitude, accuracy }
+ * @returns {Array<{stop, type, distanceMeters, radiusMeters}>}
+ */
+function evaluateGeofences(stops, point) {
+  if (point?.latitude == null || point?.longitude == null) return [];
+  if (point.accuracy && point.accuracy > MAX_FIX_ACCURACY_METERS) return [];
+
+  const events = [];
+
+  (stops || []).forEach(stop => {
+    const coordinates = stop.location?.coordinates;
+    if (coordinates?.latitude == null || coordinates?.longitude == null) return;
+
+    const distanceMeters = locationService.calculateStraightLineDistance(point, coordinates) * METERS_PER_MILE;
+    const radiusMeters = getRadius(stop);
+    const inside = Boolean(stop.geofence?.inside);
+
+    if (!inside && !isStopDone(stop) && distanceMeters <= radiusMeters) {
+      events.push({ stop, type: GEOFENCE_EVENTS.ARRIVAL, distanceMeters: Math.round(distanceMeters), radiusMeters });
+    } else if (inside && distanceMeters > radiusMeters * EXIT_RADIUS_FACTOR) {
+      events.push({ stop, type: GEOFENCE_EVENTS.DEPARTURE, distanceMeters: Math.round(distanceMeters), radiusMeters });
+    }
+  });
+
+  return events;
+}
+
+/**
+ * Apply an arrival to the stop; returns null if another update already recorded it
+ */
+async function recordArrival(route, stop, timestamp) {
+  const set = {
+    'stops.$.geofence.inside': true,
+    'stops.$.geofence.lastEnteredAt': timestamp
+  };
+  if (!stop.geofence?.arrivedAt) {
+    set['stops.$.geofence.arrivedAt'] = timestamp;
+  }
+  if (stop.stopType !== ROUTE_STOP_TYPE.DROP && !hasActualTime(stop)) {
+    set['stops.$.actualDate'] = timestamp;
+    set['stops.$.actualTime'] = timestamp;
+  }
+
+  const claim = await Route.updateOne(
+    { _id: route._id, stops: { $elemMatch: { _id: stop._id, 'geofence.inside': { $ne: true } } } },
+    { $set: set, $inc: { 'stops.$.geofence.visits': 1 } }
+  );
+  if (claim.modifiedCount !== 1) return null;
+
+  let autoStarted = false;
+  if (isAutoStartEnabled() && stop.status === ROUTE_STOP_STATUS.PENDING) {
+    const started = await Route.updateOne(
+      { _id: route._id, stops: { $elemMatch: { _id: stop._id, status: ROUTE_STOP_STATUS.PENDING } } },
+      { $set: { 'stops.$.status': ROUTE_STOP_STATUS.IN_PROGRESS } }
+    );
+    autoStarted = started.modifiedCount === 1;
+  }
+
+  return { autoStarted };
+}
+
+/**
+ * Apply a departure to the stop; returns null if another update already recorded it
+ */
+async function recordDeparture(route, stop, timestamp) {
+  const enteredAt = stop.geofence?.lastEnteredAt || stop.geofence?.arrivedAt || timestamp;
+  const visitMinutes = Math.max(0, Math.round((timestamp - new Date(enteredAt)) / 60000));
+  const dwellMinutes = (stop.geofence?.dwellMinutes || 0) + visitMinutes;
+  const detentionMinutes = calculateDetention(stop, dwellMinutes);
+
+  const set = {
+    'stops.$.geofence.inside': false,
+    'stops.$.geofence.departedAt': timestamp,
+    'stops.$.geofence.dwellMinutes': dwellMinutes,
+    'stops.$.geofence.detentionMinutes': detentionMinutes
+  };
+  // A drop is delivered when the driver leaves it
+  if (stop.stopType === ROUTE_STOP_TYPE.DROP && !hasActualTime(stop)) {
+    set['stops.$.actualDate'] = timestamp;
+    set['stops.$.actualTime'] = timestamp;
+  }
+
+  const claim = await Route.updateOne(
+    { _id: route._id, stops: { $elemMatch: { _id: stop._id, 'geofence.inside': true } } },
+    { $set: set }
+  );
+  if (claim.modifiedCount !== 1) return null;
+
+  return { visitMinutes, dwellMinutes, detentionMinutes };
+}
+
+/**
+ * Detect and record geofence arrivals/departures for a location fix on a route
+ * @param {string} routeId - Route ID
+ * @param {Object} location - { latitude, longitude, accuracy, timestamp }
+ * @returns {Promise<Array>} Recorded events ({ type, stopId, auditLogId, meta }), for the tracking history
+ */
+async function processLocation(routeId, location) {
+  const route = await Route.findOne({ _id: routeId, deleted: { $ne: true } })
+    .select('routeNumber status driverId stops');
+  if (!route || route.status !== ROUTE_STATUS.IN_PROGRESS) return [];
+
+  const timestamp = getFixTime(location.timestamp);
+  const recorded = [];
+
+  for (const event of evaluateGeofences(route.stops, location)) {
+    const { stop } = event;
+    const result = event.type === GEOFENCE_EVENTS.ARRIVAL
+      ? await recordArrival(route, stop, timestamp)
+      : await recordDeparture(route, stop, timestamp);
+    if (!result) continue;
+
+    const stopName = stop.location?.name || stop.location?.city || `stop ${stop.sequence}`;
+    const meta = {
+      stopId: stop._id,
+      sequence: stop.sequence,
+      stopType: stop.stopType,
+      distanceMeters: event.distanceMeters,
+      radiusMeters: event.radiusMeters,
+      ...result
+    };
+
+    let note = event.type === GEOFENCE_EVENTS.ARRIVAL
+      ? `Arrived at stop ${stop.sequence} (${stopName})`
+      : `Departed stop ${stop.sequence} (${stopName}) after ${result.visitMinutes} min`;
+    if (result.autoStarted) note += ' - stop set to In Progress';
+    if (result.detentionMinutes > 0) note += ` - ${result.detentionMinutes} min detention`;
+
+    let auditLogId = null;
+    try {
+      const auditLog = await AuditLog.create({
+        action: event.type,
+        entityType: 'route',
+        entityId: route._id,
+        driverId: route.driverId,
+        routeId: route._id,
+        location: {
+          latitude: location.latitude,
+          longitude: location.longitude,
+          accuracy: location.accuracy
+        },
+        details: meta,
+        notes: note
+      });
+      auditLogId = auditLog._id;
+    } catch (error) {
+      console.error('Error logging geofence event:', error);
+    }
+
+    await hosService.recordRouteEvent(route._id, event.type, {
+      stopId: stop._id,
+      location,
+      auditLogId
+    });
+
+    recorded.push({ type: event.type, stopId: stop._id, auditLogId, meta });
+  }
+
+  return recorded;
+}
+
+/**
+ * Arrival/departure/dwell summary of a route's stops for reports
+ * Dwell at a stop the driver is still inside counts up to now.
+ * @param {Object} route - Route with stops
+ * @returns {{stops: Array, totalDwellMinutes: number, totalDetentionMinutes: number, detentionStops: number, detentionThresholdMinutes: number}}
+ */
+function summarizeStopTimes(route) {
+  const now = new Date();
+  const stops = [...(route.stops || [])]
+    .sort((a, b) => (a.sequence || 0) - (b.sequence || 0))
+    .filter(stop => stop.geofence?.arrivedAt)
+    .map(stop => {
+      const geofence = stop.geofence;
+      const currentVisit = geofence.inside && geofence.lastEnteredAt
+        ? Math.max(0, Math.round((now - new Date(geofence.lastEnteredAt)) / 60000))
+        : 0;
+      const dwellMinutes = (geofence.dwellMinutes || 0) + currentVisit;
+
+      return {
+        stopId: stop._id,
+        sequence: stop.sequence,
+        stopType: stop.stopType,
+        locationName: stop.location?.name,
+        scheduledTimeStart: stop.scheduledTimeStart,
+        scheduledTimeEnd: stop.scheduledTimeEnd,
+        arrivedAt: geofence.arrivedAt,
+        departedAt: geofence.inside ? null : geofence.departedAt,
+        onSite: Boolean(geofence.inside),
+        visits: geofence.visits || 0,
+        dwellMinutes,
+        detentionMinutes: calculateDetention(stop, dwellMinutes)
+      };
+    });
+
+  return {
+    stops,
+    totalDwellMinutes: stops.reduce((sum, stop) => sum + stop.dwellMinutes, 0),
+    totalDetentionMinutes: stops.reduce((sum, stop) => sum + stop.detentionMinutes, 0),
+    detentionStops: stops.filter(stop => stop.detentionMinutes > 0).length,
+    detentionThresholdMinutes: DETENTION_THRESHOLD_MINUTES
+  };
+}
+
+module.exports = {
+  GEOFENCE_EVENTS,
+  GEOFENCE_RADIUS_METERS,
+  DETENTION_THRESHOLD_MINUTES,
+  evaluateGeofences,
+  getFixTime,
+  processLocation,
+  summarizeStopTimes
+};
@@ -0,0 +1,150 @@
+/**
+ * HOS Daily Log PDF Renderer
+ *
+ * Renders a driver's daily log (record of duty status) from hosService.buildDailyLog:
+ * the 24 hour duty status grid with totals per status, followed by the remarks.
+ */
+
+const {
+  PAGE_MARGIN,
+  formatDate,
+  formatLabel,
+  drawRow,
+  ensureSpace,
+  drawDocumentHeader,
+  renderPdf
+} = require('./pdfHelpers');
+const { DUTY_STATUS_LABELS } = require('../constants/hos');
+
+const LABEL_WIDTH = 75;
+const HOUR_WIDTH = 16;
+const ROW_HEIGHT = 20;
+const TOTAL_WIDTH = 45;
+
+const HOUR_LABELS = ['M', ...Array.from({ length: 11 }, (_, i) => String(i + 1)), 'N',
+  ...Array.from({ length: 11 }, (_, i) => String(i + 1)), 'M'];
+
+const formatMinutes = (minutes) => `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}`;
+
+const formatTime = (value) => new Date(value).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+
+/**
+ * Draw the duty status grid; returns the y position below it
+ */
+function drawGrid(doc, y, log) {
+  const statuses = Object.keys(DUTY_STATUS_LABELS);
+  const gridX = PAGE_MARGIN + LABEL_WIDTH;
+  const gridWidth = HOUR_WIDTH * 24;
+  const dayStart = new Date(log.date).getTime();
+  const xAt = (time) => gridX + ((new Date(time).getTime() - dayStart) / (60 * 60 * 1000)) * HOUR_WIDTH;
+
+  // Hour labels
+  doc.font('Helvetica').fontSize(7);
+  HOUR_LABELS.forEach((label, hour) => {
+    doc.text(label, gridX + hour * HOUR_WIDTH - 8, y, { width: 16, align: 'center' });
+  });
+  doc.text('Total', gridX + gridWidth + 5, y, { width: TOTAL_WIDTH, align: 'right' });
+  y += 12;
+
+  // Rows, hour lines and quarter hour ticks
+  doc.lineWidth(0.5).strokeColor('#888888');
+  statuses.forEach((status, row) => {
+    const rowY = y + row * ROW_HEIGHT;
+    doc.font('Helvetica').fontSize(8).fillColor('black')
+      .text(DUTY_STATUS_LABELS[status], PAGE_MARGIN, rowY + 4, { width: LABEL_WIDTH - 5 });
+    doc.rect(gridX, rowY, gridWidth, ROW_HEIGHT).stroke();
+    for (let hour = 0; hour < 24; hour++) {
+      if (hour > 0) {
+        doc.moveTo(gridX + hour * HOUR_WIDTH, rowY).lineTo(gridX + hour * HOUR_WIDTH, rowY + ROW_HEIGHT).stroke();
+      }
+      for (let quarter = 1; quarter < 4; quarter++) {
+        const tickX = gridX + hour * HOUR_WIDTH + quarter * HOUR_WIDTH / 4;
+        doc.moveTo(tickX, rowY).lineTo(tickX, rowY + (quarter === 2 ? 6 : 3)).stroke();
+      }
+    }
+    doc.font('Helvetica-Bold').fontSize(8)
+      .text(formatMinutes(log.totals[status] || 0), gridX + gridWidth + 5, rowY + 6, { width: TOTAL_WIDTH, align: 'right' });
+  });
+
+  // Duty status line
+  const rowCenter = (status) => y + statuses.indexOf(status) * ROW_HEIGHT + ROW_HEIGHT / 2;
+  doc.lineWidth(2).strokeColor('black');
+  log.intervals.forEach((interval, index) => {
+    const lineY = rowCenter(interval.status);
+    doc.moveTo(xAt(interval.start), lineY).lineTo(xAt(interval.end), lineY).stroke();
+
+    const next = log.intervals[index + 1];
+    if (next && next.status !== interval.status) {
+      doc.moveTo(xAt(interval.end), lineY).lineTo(xAt(interval.end), rowCenter(next.status)).stroke();
+    }
+  });
+  doc.lineWidth(1);
+
+  const gridBottom = y + statuses.length * ROW_HEIGHT;
+  const totalMinutes = Object.values(log.totals).reduce((sum, minutes) => sum + minutes, 0);
+  doc.font('Helvetica-Bold').fontSize(8)
+    .text(formatMinutes(totalMinutes), gridX + gridWidth + 5, gridBottom + 4, { width: TOTAL_WIDTH, align: 'right' });
+
+  return gridBottom + 20;
+}
+
+/**
+ * Render a driver's daily log as a PDF
+ * @param {Object} log - Result of hosService.buildDailyLog
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+function generateDailyLogPdf(log) {
+  return renderPdf(doc => {
+    const driverName = `${log.driver.firstName || ''} ${log.driver.lastName || ''}`.trim();
+    let y = drawDocumentHeader(doc, 'DRIVER DAILY LOG', [
+      `Date: ${formatDate(log.date)}`,
+      `Driver: ${driverName || log.driver.email}`,
+      log.complete ? null : 'Day in progress'
+    ]);
+
+    y += 15;
+    y = drawRow(doc, y, [
+      { x: PAGE_MARGIN, width: 250, text: `Trucks: ${log.trucks.join(', ') || '-'}` },
+      { x: PAGE_MARGIN + 260, width: 250, text: `Routes: ${log.routes.join(', ') || '-'}` }
+    ]);
+    y = drawRow(doc, y, [
+      { x: PAGE_MARGIN, width: 250, text: `Miles driven (tracked): ${log.miles}` }
+    ]);
+
+    y = drawGrid(doc, y + 10, log);
+
+    y = ensureSpace(doc, y, 60);
+    doc.font('Helvetica-Bold').fontSize(10).text('Remarks', PAGE_MARGIN, y);
+    y = doc.y + 6;
+
+    y = drawRow(doc, y, [
+      { x: PAGE_MARGIN, width: 55, text: 'Time' },
+      { x: PAGE_MARGIN + 60, width: 110, text: 'Status' },
+      { x: PAGE_MARGIN + 175, width: 95, text: 'Event' },
+      { x: PAGE_MARGIN + 275, width: 237, text: 'Location / Notes' }
+    ], { bold: true });
+
+    if (log.remarks.length === 0) {
+      y = drawRow(doc, y, [{ x: PAGE_MARGIN, width: 400, text: 'No duty status changes on this day' }]);
+    }
+
+    log.remarks.forEach(remark => {
+      y = ensureSpace(doc, y);
+      y = drawRow(doc, y, [
+        { x: PAGE_MARGIN, width: 55, text: formatTime(remark.time) },
+        { x: PAGE_MARGIN + 60, width: 110, text: DUTY_STATUS_LABELS[remark.status] || remark.status },
+        { x: PAGE_MARGIN + 175, width: 95, text: formatLabel(remark.source) + (remark.routeNumber ? ` (${remark.routeNumber})` : '') },
+        { x: PAGE_MARGIN + 275, width: 237, text: [remark.location, remark.notes].filter(Boolean).join(' - ') }
+      ]);
+    });
+
+    y = ensureSpace(doc, y + 20, 40);
+    doc.font('Helvetica').fontSize(9)
+      .text('I certify that these entries are true and correct.', PAGE_MARGIN, y)
+      .text('Driver signature: ______________________________', PAGE_MARGIN, doc.y + 12);
+  });
+}
+
+module.exports = {
+  generateDailyLogPdf
+};
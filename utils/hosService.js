@@ -0,0 +1,498 @@
+/**
+ * Hours-of-Service Service
+ *
+ * Keeps a duty status log per driver (DutyStatusLog) derived from route events and computes the
+ * FMCSA property-carrying clocks from it:
+ * - 11 hours of driving and a 14 hour on-duty window after 10 consecutive hours off duty
+ * - a 30 minute interruption after 8 hours of driving
+ * - 70 hours on duty in 8 days (or 60/7 with HOS_CYCLE=60_7), restarted by 34 hours off duty
+ *
+ * Route events map to duty statuses as follows:
+ * - start / resume route, leaving a stop geofence: driving
+ * - stop route: sleeper berth at a rest stop, off duty at a break stop, otherwise on duty
+ *   (the driver can pick the status explicitly)
+ * - arriving at a stop geofence: same as stop route, unless the route is already stopped
+ * - complete route: off duty
+ * Time without any log entry counts as off duty. Sleeper berth split provisions are not applied.
+ */
+
+const Route = require('../models/Route');
+const RouteTracking = require('../models/routeTracker');
+const DutyStatusLog = require('../models/DutyStatusLog');
+const locationService = require('./locationService');
+const { ROUTE_STATE, ROUTE_STOP_STATUS, ROUTE_STOP_TYPE } = require('../constants/status');
+const { DUTY_STATUS, HOS_LIMITS, HOS_CYCLES } = require('../constants/hos');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Gaps between location fixes longer than this are not counted as driven miles
+const MAX_MILEAGE_GAP_MINUTES = 10;
+
+const getCycle = () => {
+  const type = HOS_CYCLES[process.env.HOS_CYCLE] ? process.env.HOS_CYCLE : '70_8';
+  return { type, ...HOS_CYCLES[type] };
+};
+
+const getEnforcementMode = () => (process.env.HOS_ENFORCEMENT === 'warn' ? 'warn' : 'block');
+
+const isRestStatus = (status) => status === DUTY_STATUS.OFF_DUTY || status === DUTY_STATUS.SLEEPER_BERTH;
+const isOnDutyStatus = (status) => status === DUTY_STATUS.DRIVING || status === DUTY_STATUS.ON_DUTY;
+
+const toMinutes = (ms) => Math.max(0, Math.round(ms / MINUTE_MS));
+
+/**
+ * Continuous timeline of duty status intervals between two times
+ * Overlapping entries are trimmed and gaps are filled with off duty.
+ * @returns {Array<{status, start: number, end: number, entry?: Object}>} Times in ms
+ */
+function buildTimeline(entries, from, to) {
+  const intervals = (entries || [])
+    .map(entry => ({
+      status: entry.status,
+      start: Math.max(new Date(entry.startTime).getTime(), from),
+      end: Math.min(entry.endTime ? new Date(entry.endTime).getTime() : to, to),
+      entry
+    }))
+    .filter(interval => interval.end > interval.start)
+    .sort((a, b) => a.start - b.start);
+
+  const timeline = [];
+  let cursor = from;
+
+  intervals.forEach(interval => {
+    const start = Math.max(interval.start, cursor);
+    if (start >= interval.end) return;
+    if (start > cursor) {
+      timeline.push({ status: DUTY_STATUS.OFF_DUTY, start: cursor, end: start });
+    }
+    timeline.push({ ...interval, start });
+    cursor = interval.end;
+  });
+
+  if (cursor < to) {
+    timeline.push({ status: DUTY_STATUS.OFF_DUTY, start: cursor, end: to });
+  }
+
+  return timeline;
+}
+
+/**
+ * Merge consecutive timeline intervals whose status matches a predicate
+ */
+function mergePeriods(timeline, predicate) {
+  const periods = [];
+  timeline.forEach(interval => {
+    if (!predicate(interval.status)) return;
+    const last = periods[periods.length - 1];
+    if (last && last.end === interval.start) {
+      last.end = interval.end;
+    } else {
+      periods.push({ start: interval.start, end: interval.end });
+    }
+  });
+  return periods;
+}
+
+/**
+ * Time spent in matching statuses from a point in time onwards
+ */
+const sumSince = (timeline, since, predicate) => timeline.reduce((total, interval) => {
+  if (!predicate(interval.status) || interval.end <= since) return total;
+  return total + interval.end - Math.max(interval.start, since);
+}, 0);
+
+const buildClock = (usedMs, limitMs) => ({
+  usedMinutes: toMinutes(usedMs),
+  limitMinutes: toMinutes(limitMs),
+  remainingMinutes: toMinutes(limitMs - usedMs)
+});
+
+/**
+ * Compute the HOS clocks from duty status entries
+ * @param {Array} entries - DutyStatusLog entries covering at least the cycle plus the restart period
+ * @param {Date} now - Reference time
+ * @param {Object} cycle - { type, hours, days }
+ * @returns {Object} Clocks in minutes and the time available to drive
+ */
+function calculateClocks(entries, now = new Date(), cycle = getCycle()) {
+  const nowMs = now.getTime();
+  const from = nowMs - cycle.days * DAY_MS - HOS_LIMITS.CYCLE_RESTART_HOURS * HOUR_MS;
+  const timeline = buildTimeline(entries, from, nowMs);
+  const current = timeline[timeline.length - 1];
+
+  // Shift: starts when the last 10 hour rest ends; a rest still running means the shift hasn't started
+  const restPeriods = mergePeriods(timeline, isRestStatus);
+  const resets = restPeriods.filter(period => period.end - period.start >= HOS_LIMITS.SHIFT_RESET_HOURS * HOUR_MS);
+  const lastReset = resets[resets.length - 1];
+  const shiftStarted = !lastReset || lastReset.end < nowMs;
+  const shiftStart = lastReset ? lastReset.end : from;
+
+  const drivingLimit = HOS_LIMITS.DRIVING_HOURS * HOUR_MS;
+  const windowLimit = HOS_LIMITS.WINDOW_HOURS * HOUR_MS;
+  const drivingUsed = shiftStarted ? sumSince(timeline, shiftStart, status => status === DUTY_STATUS.DRIVING) : 0;
+  const windowUsed = shiftStarted ? Math.min(nowMs - shiftStart, windowLimit) : 0;
+
+  // 30 minute break: any non-driving period of at least 30 consecutive minutes
+  const breaks = mergePeriods(timeline, status => status !== DUTY_STATUS.DRIVING)
+    .filter(period => period.end - period.start >= HOS_LIMITS.BREAK_MINUTES * MINUTE_MS);
+  const lastBreakEnd = breaks.length > 0 ? breaks[breaks.length - 1].end : from;
+  const drivingSinceBreak = shiftStarted
+    ? sumSince(timeline, Math.max(lastBreakEnd, shiftStart), status => status === DUTY_STATUS.DRIVING)
+    : 0;
+  const breakLimit = HOS_LIMITS.BREAK_AFTER_DRIVING_HOURS * HOUR_MS;
+
+  // Cycle: on-duty time in the last 7/8 days, counted from the last 34 hour restart
+  const restarts = restPeriods.filter(period => period.end - period.start >= HOS_LIMITS.CYCLE_RESTART_HOURS * HOUR_MS);
+  const lastRestart = restarts[restarts.length - 1];
+  const cycleStart = Math.max(nowMs - cycle.days * DAY_MS, lastRestart ? lastRestart.end : from);
+  const cycleLimit = cycle.hours * HOUR_MS;
+  const cycleUsed = sumSince(timeline, cycleStart, isOnDutyStatus);
+
+  const clocks = {
+    currentStatus: current ? current.status : DUTY_STATUS.OFF_DUTY,
+    currentStatusSince: current && current.entry ? new Date(current.start) : null,
+    shiftStarted,
+    shiftStart: shiftStarted && lastReset ? new Date(shiftStart) : null,
+    windowEndsAt: shiftStarted && lastReset ? new Date(shiftStart + windowLimit) : null,
+    driving: buildClock(drivingUsed, drivingLimit),
+    window: buildClock(windowUsed, windowLimit),
+    break: {
+      drivingSinceBreakMinutes: toMinutes(drivingSinceBreak),
+      limitMinutes: toMinutes(breakLimit),
+      remainingMinutes: toMinutes(breakLimit - drivingSinceBreak),
+      required: drivingSinceBreak >= breakLimit
+    },
+    cycle: {
+      type: cycle.type,
+      ...buildClock(cycleUsed, cycleLimit),
+      lastRestartAt: lastRestart && lastRestart.end < nowMs ? new Date(lastRestart.end) : null
+    }
+  };
+
+  clocks.availableDrivingMinutes = Math.min(
+    clocks.driving.remainingMinutes,
+    clocks.window.remainingMinutes,
+    clocks.cycle.remainingMinutes
+  );
+
+  return clocks;
+}
+
+/**
+ * Load the entries needed for a driver's clocks and compute them
+ */
+async function getDriverClocks(driverId, now = new Date()) {
+  const cycle = getCycle();
+  const from = new Date(now.getTime() - cycle.days * DAY_MS - HOS_LIMITS.CYCLE_RESTART_HOURS * HOUR_MS);
+  const entries = await DutyStatusLog.find({
+    driverId,
+    startTime: { $lte: now },
+    $or: [{ endTime: null }, { endTime: { $gte: from } }]
+  }).sort({ startTime: 1 });
+
+  return calculateClocks(entries, now, cycle);
+}
+
+/**
+ * Planned driving time left on a route (legs to stops that are not done)
+ */
+function getPlannedDrivingMinutes(route) {
+  const remainingStops = (route.stops || []).filter(stop =>
+    stop.status !== ROUTE_STOP_STATUS.COMPLETED && stop.status !== ROUTE_STOP_STATUS.SKIPPED);
+  const legSeconds = remainingStops.reduce((total, stop) => total + (stop.durationFromPrevious?.value || 0), 0);
+  const seconds = legSeconds || route.totalDuration?.value || 0;
+  return Math.round(seconds / 60);
+}
+
+const formatHours = (minutes) => `${Math.floor(minutes / 60)}h${String(minutes % 60).padStart(2, '0')}`;
+
+/**
+ * Check whether a driver may start (or resume) a route under the HOS limits
+ * @param {string} driverId - Driver ID
+ * @param {Object} route - Route with stops
+ * @returns {Promise<Object>} { allowed, enforcement, violations, warnings, plannedDrivingMinutes, clocks }
+ */
+async function checkRouteStart(driverId, route) {
+  const clocks = await getDriverClocks(driverId);
+  const cycle = getCycle();
+  const violations = [];
+  const warnings = [];
+
+  if (clocks.driving.remainingMinutes <= 0) {
+    violations.push({ clock: 'driving', message: `${HOS_LIMITS.DRIVING_HOURS}-hour driving limit reached; ${HOS_LIMITS.SHIFT_RESET_HOURS} hours off duty required` });
+  }
+  if (clocks.window.remainingMinutes <= 0) {
+    violations.push({ clock: 'window', message: `${HOS_LIMITS.WINDOW_HOURS}-hour duty window has ended; ${HOS_LIMITS.SHIFT_RESET_HOURS} hours off duty required` });
+  }
+  if (clocks.cycle.remainingMinutes <= 0) {
+    violations.push({ clock: 'cycle', message: `${cycle.hours}-hour/${cycle.days}-day limit reached; a ${HOS_LIMITS.CYCLE_RESTART_HOURS}-hour restart is required` });
+  }
+  if (clocks.break.required) {
+    violations.push({ clock: 'break', message: `${HOS_LIMITS.BREAK_MINUTES}-minute break required after ${HOS_LIMITS.BREAK_AFTER_DRIVING_HOURS} hours of driving` });
+  }
+
+  const plannedDrivingMinutes = getPlannedDrivingMinutes(route);
+  const stopTypes = (route.stops || []).map(stop => stop.stopType);
+
+  if (violations.length === 0 && plannedDrivingMinutes > clocks.availableDrivingMinutes) {
+    warnings.push({
+      clock: 'available',
+      message: `Planned driving (${formatHours(plannedDrivingMinutes)}) exceeds the ${formatHours(clocks.availableDrivingMinutes)} available` +
+        (stopTypes.includes(ROUTE_STOP_TYPE.REST) ? '' : ' - add a rest stop')
+    });
+  }
+  if (violations.length === 0 && plannedDrivingMinutes > clocks.break.remainingMinutes &&
+      !stopTypes.includes(ROUTE_STOP_TYPE.BREAK) && !stopTypes.includes(ROUTE_STOP_TYPE.REST)) {
+    warnings.push({
+      clock: 'break',
+      message: `A ${HOS_LIMITS.BREAK_MINUTES}-minute break will be due after ${formatHours(clocks.break.remainingMinutes)} of driving - add a break stop`
+    });
+  }
+
+  const enforcement = getEnforcementMode();
+  return {
+    allowed: violations.length === 0 || enforcement === 'warn',
+    enforcement,
+    violations,
+    warnings,
+    plannedDrivingMinutes,
+    clocks
+  };
+}
+
+/**
+ * Close the driver's open period and start a new one (no-op if the status is unchanged)
+ * @param {string} driverId - Driver ID
+ * @param {string} status - DUTY_STATUS value
+ * @param {Object} options - { at, source, routeId, truckId, stopId, location, notes, auditLogId, createdBy }
+ * @returns {Promise<{entry, changed: boolean}>}
+ */
+async function changeDutyStatus(driverId, status, options = {}) {
+  const at = options.at ? new Date(options.at) : new Date();
+  const current = await DutyStatusLog.findOne({ driverId, endTime: null }).sort({ startTime: -1 });
+
+  if (current && current.status === status) {
+    return { entry: current, changed: false };
+  }
+
+  await DutyStatusLog.updateMany(
+    { driverId, endTime: null },
+    { $set: { endTime: current && at < current.startTime ? current.startTime : at } }
+  );
+
+  const location = options.location && options.location.latitude != null ? {
+    latitude: options.location.latitude,
+    longitude: options.location.longitude,
+    formattedAddress: options.location.formattedAddress
+  } : undefined;
+
+  const entry = await DutyStatusLog.create({
+    driverId,
+    status,
+    startTime: at,
+    source: options.source || 'manual',
+    routeId: options.routeId,
+    truckId: options.truckId,
+    stopId: options.stopId,
+    location,
+    notes: options.notes,
+    auditLogId: options.auditLogId,
+    createdBy: options.createdBy
+  });
+
+  return { entry, changed: true };
+}
+
+/**
+ * Duty status at a stop: sleeper berth at rest stops, off duty at breaks, otherwise on duty
+ */
+const getStopDutyStatus = (stop) => {
+  if (stop?.stopType === ROUTE_STOP_TYPE.REST) return DUTY_STATUS.SLEEPER_BERTH;
+  if (stop?.stopType === ROUTE_STOP_TYPE.BREAK) return DUTY_STATUS.OFF_DUTY;
+  return DUTY_STATUS.ON_DUTY;
+};
+
+/**
+ * Duty status a route event leads to, or null when it doesn't change it
+ * @param {string} event - start_route, stop_route, resume_route, complete_route, geofence_arrival, geofence_departure
+ * @param {Object} route - Route with state and stops
+ * @param {Object} options - { dutyStatus (explicit status for stop_route), stopId }
+ */
+function deriveDutyStatus(event, route, options = {}) {
+  const findStop = (stopId) => (route.stops || []).find(stop => stop._id.toString() === String(stopId));
+
+  switch (event) {
+    case 'start_route':
+    case 'resume_route':
+      return DUTY_STATUS.DRIVING;
+    case 'stop_route': {
+      if (options.dutyStatus) return options.dutyStatus;
+      const currentStop = (route.stops || []).find(stop => stop.status === ROUTE_STOP_STATUS.IN_PROGRESS);
+      return getStopDutyStatus(currentStop);
+    }
+    case 'complete_route':
+      return DUTY_STATUS.OFF_DUTY;
+    case 'geofence_arrival':
+      // A stopped route means the driver already chose a status
+      return route.state === ROUTE_STATE.STOPPED ? null : getStopDutyStatus(findStop(options.stopId));
+    case 'geofence_departure':
+      return route.state === ROUTE_STATE.STOPPED ? null : DUTY_STATUS.DRIVING;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Update the route driver's duty status for a route event (never throws)
+ * @param {string} routeId - Route ID
+ * @param {string} event - Route event (see deriveDutyStatus)
+ * @param {Object} options - { dutyStatus, stopId, location, auditLogId, userId }
+ * @returns {Promise<Object|null>} Result of changeDutyStatus, or null when nothing changed
+ */
+async function recordRouteEvent(routeId, event, options = {}) {
+  try {
+    const route = await Route.findById(routeId).select('driverId truckId state stops');
+    if (!route || !route.driverId) return null;
+
+    const status = deriveDutyStatus(event, route, options);
+    if (!status) return null;
+
+    return await changeDutyStatus(route.driverId, status, {
+      source: event,
+      routeId: route._id,
+      truckId: route.truckId,
+      stopId: options.stopId,
+      location: options.location,
+      auditLogId: options.auditLogId,
+      createdBy: options.userId
+    });
+  } catch (error) {
+    console.error(`Error recording duty status for ${event} on route ${routeId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Miles driven on routes between two times, from the route tracking location history
+ */
+async function getTrackedMiles(routeIds, from, to) {
+  if (routeIds.length === 0) return 0;
+
+  const trackers = await RouteTracking.find({ routeId: { $in: routeIds } }).select('history');
+  let miles = 0;
+
+  trackers.forEach(tracker => {
+    const fixes = tracker.history
+      .filter(entry => entry.type === 'location' && entry.latitude != null && entry.longitude != null &&
+        entry.timestamp >= from && entry.timestamp < to)
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    for (let i = 1; i < fixes.length; i++) {
+      if (fixes[i].timestamp - fixes[i - 1].timestamp > MAX_MILEAGE_GAP_MINUTES * MINUTE_MS) continue;
+      miles += locationService.calculateStraightLineDistance(fixes[i - 1], fixes[i]);
+    }
+  });
+
+  return Math.round(miles * 10) / 10;
+}
+
+/**
+ * Parse a YYYY-MM-DD date as a local (home terminal) day
+ * @returns {{start: Date, end: Date}|null}
+ */
+function parseLogDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match) return null;
+  const start = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  if (Number.isNaN(start.getTime())) return null;
+  const end = new Date(start);
+  end.setDate(end.getDate() + 1);
+  return { start, end };
+}
+
+/**
+ * Build the daily log (record of duty status) of a driver for one day
+ * Day boundaries use the server time zone (set TZ to the home terminal's time zone).
+ * @param {Object} driver - User
+ * @param {{start: Date, end: Date}} day - From parseLogDate
+ * @returns {Promise<Object>} { date, driver, intervals, totals, remarks, routes, trucks, miles }
+ */
+async function buildDailyLog(driver, day) {
+  const now = new Date();
+  const end = Math.min(day.end.getTime(), now.getTime());
+
+  const entries = await DutyStatusLog.find({
+    driverId: driver._id,
+    startTime: { $lt: day.end },
+    $or: [{ endTime: null }, { endTime: { $gt: day.start } }]
+  })
+    .populate('routeId', 'routeNumber')
+    .populate('truckId', 'truckNumber')
+    .sort({ startTime: 1 });
+
+  const timeline = end > day.start.getTime() ? buildTimeline(entries, day.start.getTime(), end) : [];
+
+  const totals = Object.values(DUTY_STATUS).reduce((result, status) => {
+    result[status] = toMinutes(timeline
+      .filter(interval => interval.status === status)
+      .reduce((total, interval) => total + interval.end - interval.start, 0));
+    return result;
+  }, {});
+
+  const remarks = entries
+    .filter(entry => entry.startTime >= day.start && entry.startTime < day.end)
+    .map(entry => ({
+      time: entry.startTime,
+      status: entry.status,
+      source: entry.source,
+      routeNumber: entry.routeId?.routeNumber,
+      location: entry.location?.formattedAddress ||
+        (entry.location?.latitude != null ? `${entry.location.latitude.toFixed(4)}, ${entry.location.longitude.toFixed(4)}` : null),
+      notes: entry.notes
+    }));
+
+  const routes = new Map();
+  const trucks = new Set();
+  entries.forEach(entry => {
+    if (entry.routeId) routes.set(entry.routeId._id.toString(), entry.routeId.routeNumber);
+    if (entry.truckId?.truckNumber) trucks.add(entry.truckId.truckNumber);
+  });
+
+  return {
+    date: day.start,
+    driver: {
+      _id: driver._id,
+      firstName: driver.firstName,
+      lastName: driver.lastName,
+      email: driver.email
+    },
+    intervals: timeline.map(interval => ({
+      status: interval.status,
+      start: new Date(interval.start),
+      end: new Date(interval.end),
+      minutes: toMinutes(interval.end - interval.start)
+    })),
+    totals,
+    remarks,
+    routes: [...routes.values()].filter(Boolean),
+    trucks: [...trucks],
+    miles: await getTrackedMiles([...routes.keys()], day.start, new Date(end)),
+    complete: end === day.end.getTime()
+  };
+}
+
+module.exports = {
+  getCycle,
+  getEnforcementMode,
+  buildTimeline,
+  calculateClocks,
+  getDriverClocks,
+  checkRouteStart,
+  changeDutyStatus,
+  deriveDutyStatus,
+  recordRouteEvent,
+  parseLogDate,
+  buildDailyLog
+};
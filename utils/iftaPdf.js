@@ -0,0 +1,127 @@
+/**
+ * IFTA Report PDF Renderer
+ *
+ * Renders an iftaService.getIftaReport result: the fleet jurisdiction summary (as filed)
+ * followed by the miles and gallons per jurisdiction of each truck.
+ */
+
+const {
+  PAGE_MARGIN,
+  formatCurrency,
+  formatDate,
+  drawRow,
+  ensureSpace,
+  drawDocumentHeader,
+  renderPdf
+} = require('./pdfHelpers');
+
+const COLUMNS = [
+  { key: 'state', label: 'Jurisdiction', width: 110 },
+  { key: 'totalMiles', label: 'Total Miles', width: 70 },
+  { key: 'taxableMiles', label: 'Taxable Miles', width: 70 },
+  { key: 'taxPaidGallons', label: 'Tax-Paid Gal', width: 80 },
+  { key: 'taxableGallons', label: 'Taxable Gal', width: 80 },
+  { key: 'netTaxableGallons', label: 'Net Taxable Gal', width: 92 }
+];
+
+const formatNumber = (value, decimals = 1) => (value === null || value === undefined
+  ? '-'
+  : Number(value).toLocaleString('en-US', { minimumFractionDigits: decimals, maximumFractionDigits: decimals }));
+
+/**
+ * Draw a jurisdiction table with a totals row; returns the y position below it
+ */
+function drawJurisdictionTable(doc, y, section) {
+  const cells = (values, align) => {
+    let x = PAGE_MARGIN;
+    return COLUMNS.map((column, index) => {
+      const cell = { x, width: column.width - 5, text: values[index], align: index === 0 ? 'left' : align };
+      x += column.width;
+      return cell;
+    });
+  };
+
+  y = drawRow(doc, y, cells(COLUMNS.map(column => column.label), 'right'), { bold: true });
+
+  if (section.jurisdictions.length === 0) {
+    return drawRow(doc, y, [{ x: PAGE_MARGIN, width: 400, text: 'No miles or fuel purchases in this quarter' }]);
+  }
+
+  section.jurisdictions.forEach(entry => {
+    y = ensureSpace(doc, y);
+    y = drawRow(doc, y, cells([
+      entry.iftaMember ? `${entry.state} - ${entry.name}` : `${entry.state} (not IFTA)`,
+      formatNumber(entry.totalMiles),
+      formatNumber(entry.taxableMiles),
+      formatNumber(entry.taxPaidGallons, 2),
+      formatNumber(entry.taxableGallons, 2),
+      formatNumber(entry.netTaxableGallons, 2)
+    ], 'right'));
+  });
+
+  const { totals } = section;
+  y = ensureSpace(doc, y);
+  return drawRow(doc, y, cells([
+    'Total',
+    formatNumber(totals.totalMiles),
+    formatNumber(totals.taxableMiles),
+    formatNumber(totals.totalGallons, 2),
+    formatNumber(totals.taxableGallons, 2),
+    formatNumber(totals.netTaxableGallons, 2)
+  ], 'right'), { bold: true });
+}
+
+/**
+ * Generate the IFTA report PDF
+ * @param {Object} report - Result of iftaService.getIftaReport
+ * @returns {Promise<Buffer>}
+ */
+function generateIftaReportPdf(report) {
+  return renderPdf(doc => {
+    let y = drawDocumentHeader(doc, 'IFTA REPORT', [
+      `${report.year} Q${report.quarter}`,
+      `${formatDate(report.period.startDate)} - ${formatDate(report.period.endDate)}`
+    ]);
+
+    const { totals } = report.fleet;
+    y += 15;
+    doc.font('Helvetica-Bold').fontSize(11).text('Fleet summary', PAGE_MARGIN, y);
+    y = doc.y + 4;
+    y = drawRow(doc, y, [
+      { x: PAGE_MARGIN, width: 170, text: `Total miles: ${formatNumber(totals.totalMiles)}` },
+      { x: PAGE_MARGIN + 175, width: 170, text: `Total gallons: ${formatNumber(totals.totalGallons, 2)}` },
+      { x: PAGE_MARGIN + 350, width: 160, text: `Fleet MPG: ${formatNumber(totals.mpg, 2)}` }
+    ]);
+    y = drawRow(doc, y, [
+      { x: PAGE_MARGIN, width: 170, text: `Fuel purchases: ${totals.fuelPurchases} (${formatCurrency(totals.fuelCost)})` },
+      { x: PAGE_MARGIN + 175, width: 170, text: `Tracking gap miles: ${formatNumber(totals.gapMiles)}` },
+      { x: PAGE_MARGIN + 350, width: 160, text: `Purchases without gallons: ${totals.purchasesWithoutGallons}` }
+    ]);
+    y = drawJurisdictionTable(doc, y + 6, report.fleet);
+
+    report.trucks.forEach(entry => {
+      y = ensureSpace(doc, y + 15, 100);
+      const truckName = [entry.truck.truckNumber, entry.truck.licensePlate].filter(Boolean).join(' / ') || String(entry.truck._id);
+      doc.font('Helvetica-Bold').fontSize(11).text(`Truck ${truckName}`, PAGE_MARGIN, y);
+      y = doc.y + 4;
+      y = drawRow(doc, y, [
+        { x: PAGE_MARGIN, width: 170, text: `Miles: ${formatNumber(entry.totals.totalMiles)}` },
+        { x: PAGE_MARGIN + 175, width: 170, text: `Gallons: ${formatNumber(entry.totals.totalGallons, 2)}` },
+        { x: PAGE_MARGIN + 350, width: 160, text: `MPG: ${formatNumber(entry.totals.mpg, 2)}` }
+      ]);
+      y = drawJurisdictionTable(doc, y + 4, entry);
+    });
+
+    y = ensureSpace(doc, y + 20, 40);
+    doc.font('Helvetica').fontSize(8).fillColor('#555555').text(
+      'Miles are measured from GPS tracking between location fixes. Taxable gallons use the fleet MPG in the ' +
+      'fleet summary and the truck MPG in the truck sections. ' +
+      'Jurisdictions are determined from simplified state boundaries.',
+      PAGE_MARGIN, y, { width: doc.page.width - PAGE_MARGIN * 2 }
+    );
+  });
+}
+
+module.exports = {
+  generateIftaReportPdf
+};
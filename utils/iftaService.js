@@ -0,0 +1,290 @@
+/**
+ * IFTA Report Service
+ *
+ * Builds the quarterly IFTA (International Fuel Tax Agreement) summary per truck and for the fleet:
+ * - Miles per state: the route tracking location history of the truck's routes, each segment
+ *   between two fixes split by state with the embedded boundaries (utils/stateLookup.js)
+ * - Gallons per state: the truck's fuel expenses, located by their backgroundLocation, else the
+ *   askedLocation coordinates, else the typed askedLocation state
+ * - MPG = total miles / total gallons; taxable gallons per state = taxable miles / MPG, and net
+ *   taxable gallons = taxable gallons - tax-paid gallons bought in the state
+ * Miles outside the contiguous US are reported as UNKNOWN and are not taxable.
+ */
+
+const Route = require('../models/Route');
+const Truck = require('../models/Truck');
+const Expense = require('../models/Expense');
+const RouteTracking = require('../models/routeTracker');
+const locationService = require('./locationService');
+const { getStateAt, normalizeStateCode, splitSegmentByState } = require('./stateLookup');
+const { STATE_NAMES, NON_IFTA_STATES } = require('../constants/stateBoundaries');
+
+// Fixes less accurate than this are ignored
+const MAX_ACCURACY_METERS = parseInt(process.env.IFTA_MAX_ACCURACY_METERS) || 1000;
+// Segments longer than this are tracking gaps; they are counted (straight line) and reported as gap miles
+const GAP_MILES = parseInt(process.env.IFTA_GAP_MILES) || 25;
+// Movements shorter than this are GPS jitter while parked
+const MIN_MOVE_MILES = 0.1;
+
+const UNKNOWN_STATE = 'UNKNOWN';
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+const addTo = (totals, key, value) => {
+  totals[key] = (totals[key] || 0) + value;
+};
+
+/**
+ * Start (inclusive) and end (exclusive) of a calendar quarter
+ */
+function getQuarterRange(year, quarter) {
+  return {
+    start: new Date(year, (quarter - 1) * 3, 1),
+    end: new Date(year, quarter * 3, 1)
+  };
+}
+
+/**
+ * Miles per state driven by a truck between two times
+ * @returns {Promise<{states: Object<string, number>, totalMiles: number, gapMiles: number, routes: number}>}
+ */
+async function getTruckMilesByState(truckId, start, end) {
+  const routes = await Route.find({
+    truckId,
+    deleted: { $ne: true },
+    actualStartDate: { $lt: end },
+    $or: [{ actualEndDate: null }, { actualEndDate: { $gte: start } }]
+  }).select('_id');
+
+  const trackers = await RouteTracking.find({
+    $or: [{ truckId }, { routeId: { $in: routes.map(route => route._id) } }],
+    history: { $elemMatch: { timestamp: { $gte: start, $lt: end } } }
+  }).select('routeId history');
+
+  const states = {};
+  let totalMiles = 0;
+  let gapMiles = 0;
+
+  trackers.forEach(tracker => {
+    const fixes = tracker.history
+      .filter(entry => entry.type === 'location' && entry.latitude != null && entry.longitude != null &&
+        entry.timestamp >= start && entry.timestamp < end &&
+        (entry.accuracy == null || entry.accuracy <= MAX_ACCURACY_METERS))
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    let previous = null;
+    let previousState;
+    fixes.forEach(fix => {
+      if (!previous) {
+        previous = fix;
+        return;
+      }
+      if (locationService.calculateStraightLineDistance(previous, fix) < MIN_MOVE_MILES) return;
+
+      const segment = splitSegmentByState(previous, fix, { fromState: previousState });
+      Object.entries(segment.states).forEach(([state, miles]) => addTo(states, state, miles));
+      totalMiles += segment.miles;
+      if (segment.miles > GAP_MILES) gapMiles += segment.miles;
+
+      previous = fix;
+      previousState = segment.endState;
+    });
+  });
+
+  return { states, totalMiles, gapMiles, routes: trackers.length };
+}
+
+/**
+ * State of a fuel expense (GPS location first, then the location the driver entered)
+ */
+function getExpenseState(expense) {
+  const background = expense.backgroundLocation;
+  const asked = expense.askedLocation;
+  return (background && getStateAt(background.latitude, background.longitude)) ||
+    (asked && getStateAt(asked.latitude, asked.longitude)) ||
+    (asked && normalizeStateCode(asked.state)) ||
+    UNKNOWN_STATE;
+}
+
+/**
+ * Gallons per state bought for a truck between two times
+ * @returns {Promise<{states: Object<string, number>, totalGallons: number, fuelCost: number, purchases: number, missingGallons: number}>}
+ */
+async function getTruckFuelByState(truckId, start, end) {
+  const expenses = await Expense.find({
+    type: 'fuel',
+    truckId,
+    createdAt: { $gte: start, $lt: end }
+  }).select('gallons totalCost backgroundLocation askedLocation');
+
+  const states = {};
+  let totalGallons = 0;
+  let fuelCost = 0;
+  let missingGallons = 0;
+
+  expenses.forEach(expense => {
+    fuelCost += expense.totalCost || 0;
+    if (!expense.gallons) {
+      missingGallons++;
+      return;
+    }
+    addTo(states, getExpenseState(expense), expense.gallons);
+    totalGallons += expense.gallons;
+  });
+
+  return { states, totalGallons, fuelCost, purchases: expenses.length, missingGallons };
+}
+
+/**
+ * IFTA summary from miles and gallons per state
+ * @param {Object} milesByState - { state: miles }
+ * @param {Object} gallonsByState - { state: gallons }
+ * @returns {{totals: Object, jurisdictions: Array}}
+ */
+function summarizeIfta(milesByState, gallonsByState) {
+  const totalMiles = Object.values(milesByState).reduce((sum, miles) => sum + miles, 0);
+  const totalGallons = Object.values(gallonsByState).reduce((sum, gallons) => sum + gallons, 0);
+  const mpg = totalGallons > 0 ? totalMiles / totalGallons : null;
+
+  const jurisdictions = [...new Set([...Object.keys(milesByState), ...Object.keys(gallonsByState)])]
+    .sort((a, b) => (a === UNKNOWN_STATE) - (b === UNKNOWN_STATE) || a.localeCompare(b))
+    .map(state => {
+      const iftaMember = state !== UNKNOWN_STATE && !NON_IFTA_STATES.includes(state);
+      const miles = milesByState[state] || 0;
+      const taxableMiles = iftaMember ? miles : 0;
+      const taxPaidGallons = gallonsByState[state] || 0;
+      const taxableGallons = mpg ? taxableMiles / mpg : 0;
+      return {
+        state,
+        name: STATE_NAMES[state] || 'Unknown / outside the US',
+        iftaMember,
+        totalMiles: round(miles, 1),
+        taxableMiles: round(taxableMiles, 1),
+        taxableGallons: round(taxableGallons),
+        taxPaidGallons: round(taxPaidGallons),
+        netTaxableGallons: round(iftaMember ? taxableGallons - taxPaidGallons : 0)
+      };
+    });
+
+  return {
+    totals: {
+      totalMiles: round(totalMiles, 1),
+      taxableMiles: round(jurisdictions.reduce((sum, entry) => sum + entry.taxableMiles, 0), 1),
+      totalGallons: round(totalGallons),
+      mpg: mpg ? round(mpg) : null,
+      taxableGallons: round(jurisdictions.reduce((sum, entry) => sum + entry.taxableGallons, 0)),
+      netTaxableGallons: round(jurisdictions.reduce((sum, entry) => sum + entry.netTaxableGallons, 0))
+    },
+    jurisdictions
+  };
+}
+
+/**
+ * Quarterly IFTA report per truck and for the fleet (fleet MPG, as filed)
+ * @param {Object} options - { year, quarter (1-4), truckId? }
+ * @returns {Promise<{year, quarter, period, trucks: Array, fleet: Object}>}
+ */
+async function getIftaReport({ year, quarter, truckId }) {
+  const { start, end } = getQuarterRange(year, quarter);
+
+  const trucks = truckId
+    ? await Truck.find({ _id: truckId }).select('truckNumber licensePlate make model')
+    : await Truck.find({}).select('truckNumber licensePlate make model').sort({ truckNumber: 1 });
+
+  const fleetMiles = {};
+  const fleetGallons = {};
+  const fleetTotals = { gapMiles: 0, fuelCost: 0, purchases: 0, missingGallons: 0 };
+  const truckReports = [];
+
+  for (const truck of trucks) {
+    const [mileage, fuel] = await Promise.all([
+      getTruckMilesByState(truck._id, start, end),
+      getTruckFuelByState(truck._id, start, end)
+    ]);
+    if (!truckId && mileage.totalMiles === 0 && fuel.purchases === 0) continue;
+
+    Object.entries(mileage.states).forEach(([state, miles]) => addTo(fleetMiles, state, miles));
+    Object.entries(fuel.states).forEach(([state, gallons]) => addTo(fleetGallons, state, gallons));
+    fleetTotals.gapMiles += mileage.gapMiles;
+    fleetTotals.fuelCost += fuel.fuelCost;
+    fleetTotals.purchases += fuel.purchases;
+    fleetTotals.missingGallons += fuel.missingGallons;
+
+    const summary = summarizeIfta(mileage.states, fuel.states);
+    truckReports.push({
+      truck: {
+        _id: truck._id,
+        truckNumber: truck.truckNumber,
+        licensePlate: truck.licensePlate,
+        make: truck.make,
+        model: truck.model
+      },
+      totals: {
+        ...summary.totals,
+        gapMiles: round(mileage.gapMiles, 1),
+        trackedRoutes: mileage.routes,
+        fuelCost: round(fuel.fuelCost),
+        fuelPurchases: fuel.purchases,
+        purchasesWithoutGallons: fuel.missingGallons
+      },
+      jurisdictions: summary.jurisdictions
+    });
+  }
+
+  const fleet = summarizeIfta(fleetMiles, fleetGallons);
+
+  return {
+    year,
+    quarter,
+    period: { startDate: start, endDate: new Date(end.getTime() - 1) },
+    trucks: truckReports,
+    fleet: {
+      totals: {
+        ...fleet.totals,
+        gapMiles: round(fleetTotals.gapMiles, 1),
+        fuelCost: round(fleetTotals.fuelCost),
+        fuelPurchases: fleetTotals.purchases,
+        purchasesWithoutGallons: fleetTotals.missingGallons
+      },
+      jurisdictions: fleet.jurisdictions
+    }
+  };
+}
+
+const escapeCsv = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * CSV export of an IFTA report: one row per truck and jurisdiction, then the fleet rows
+ */
+function toIftaCsv(report) {
+  const header = ['Quarter', 'Truck', 'License Plate', 'Jurisdiction', 'IFTA Member', 'Total Miles', 'Taxable Miles',
+    'Tax-Paid Gallons', 'Taxable Gallons', 'Net Taxable Gallons', 'MPG'];
+  const quarter = `${report.year} Q${report.quarter}`;
+  const rows = [];
+
+  const addRows = (truckLabel, licensePlate, section) => {
+    section.jurisdictions.forEach(entry => {
+      rows.push([quarter, truckLabel, licensePlate, entry.state, entry.iftaMember ? 'Yes' : 'No', entry.totalMiles,
+        entry.taxableMiles, entry.taxPaidGallons, entry.taxableGallons, entry.netTaxableGallons, section.totals.mpg]);
+    });
+    rows.push([quarter, truckLabel, licensePlate, 'TOTAL', '', section.totals.totalMiles, section.totals.taxableMiles,
+      section.totals.totalGallons, section.totals.taxableGallons, section.totals.netTaxableGallons, section.totals.mpg]);
+  };
+
+  report.trucks.forEach(entry => addRows(entry.truck.truckNumber || String(entry.truck._id), entry.truck.licensePlate, entry));
+  addRows('FLEET', '', report.fleet);
+
+  return [header, ...rows].map(row => row.map(escapeCsv).join(',')).join('\n') + '\n';
+}
+
+module.exports = {
+  getQuarterRange,
+  getTruckMilesByState,
+  getTruckFuelByState,
+  summarizeIfta,
+  getIftaReport,
+  toIftaCsv
+};
@@ -0,0 +1,114 @@
+/**
+ * Vehicle Inspection Service
+ *
+ * Compares the pickup and delivery inspections of a transport job panel by panel.
+ * Damage is matched on panel + damage type:
+ * - new:       present at delivery but not at pickup
+ * - worsened:  present at both, more severe at delivery
+ * - unchanged: present at both, same or lower severity
+ * - missingAtDelivery: recorded at pickup but not at delivery (likely an inspection miss)
+ */
+
+const VehicleInspection = require('../models/VehicleInspection');
+const { DAMAGE_SEVERITIES, INSPECTION_TYPES } = require('../constants/vehicleInspection');
+
+const severityRank = (severity) => Math.max(DAMAGE_SEVERITIES.indexOf(severity), 0);
+
+const damageKey = (damage) => `${damage.panel}|${damage.damageType}`;
+
+/**
+ * Group damage entries by panel + damage type, keeping the most severe entry of each group
+ */
+function indexDamages(damages = []) {
+  const index = new Map();
+  damages.forEach(damage => {
+    const key = damageKey(damage);
+    const existing = index.get(key);
+    if (!existing || severityRank(damage.severity) > severityRank(existing.severity)) {
+      index.set(key, damage);
+    }
+  });
+  return index;
+}
+
+const toEntry = (damage) => ({
+  panel: damage.panel,
+  damageType: damage.damageType,
+  severity: damage.severity,
+  notes: damage.notes,
+  photoUrls: damage.photoUrls || []
+});
+
+/**
+ * Diff a pickup inspection against a delivery inspection
+ * @param {Object|null} pickupInspection - VehicleInspection (pickup)
+ * @param {Object|null} deliveryInspection - VehicleInspection (delivery)
+ * @returns {Object} { newDamage, worsenedDamage, unchangedDamage, missingAtDelivery, flaggedForClaim }
+ */
+function compareInspections(pickupInspection, deliveryInspection) {
+  const pickupDamages = indexDamages(pickupInspection?.damages);
+  const deliveryDamages = indexDamages(deliveryInspection?.damages);
+
+  const newDamage = [];
+  const worsenedDamage = [];
+  const unchangedDamage = [];
+  const missingAtDelivery = [];
+
+  deliveryDamages.forEach((damage, key) => {
+    const before = pickupDamages.get(key);
+    if (!before) {
+      newDamage.push(toEntry(damage));
+    } else if (severityRank(damage.severity) > severityRank(before.severity)) {
+      worsenedDamage.push({ ...toEntry(damage), pickupSeverity: before.severity });
+    } else {
+      unchangedDamage.push({ ...toEntry(damage), pickupSeverity: before.severity });
+    }
+  });
+
+  pickupDamages.forEach((damage, key) => {
+    if (!deliveryDamages.has(key)) {
+      missingAtDelivery.push(toEntry(damage));
+    }
+  });
+
+  return {
+    newDamage,
+    worsenedDamage,
+    unchangedDamage,
+    missingAtDelivery,
+    flaggedForClaim: newDamage.length > 0 || worsenedDamage.length > 0
+  };
+}
+
+/**
+ * Latest pickup and delivery inspections of a transport job
+ * @returns {Promise<{pickup: Object|null, delivery: Object|null}>}
+ */
+async function getLatestInspections(transportJobId) {
+  const [pickup, delivery] = await Promise.all(
+    [INSPECTION_TYPES.PICKUP, INSPECTION_TYPES.DELIVERY].map(inspectionType =>
+      VehicleInspection.findOne({ transportJobId, inspectionType })
+        .sort({ inspectedAt: -1 })
+        .populate('inspectedBy', 'firstName lastName email')
+    )
+  );
+  return { pickup, delivery };
+}
+
+/**
+ * Store the comparison summary on a delivery inspection (the caller saves it)
+ * @returns {Object} The comparison
+ */
+function applyComparison(deliveryInspection, pickupInspection) {
+  const comparison = compareInspections(pickupInspection, deliveryInspection);
+  deliveryInspection.newDamageCount = comparison.newDamage.length + comparison.worsenedDamage.length;
+  deliveryInspection.newDamageDetected = comparison.flaggedForClaim;
+  deliveryInspection.comparedAt = new Date();
+  return comparison;
+}
+
+module.exports = {
+  compareInspections,
+  getLatestInspections,
+  applyComparison
+};
@@ -0,0 +1,144 @@
+/**
+ * Invoice PDF Renderer
+ *
+ * Renders an Invoice document to a PDF buffer with pdfkit: header, bill-to block,
+ * line items, accessorial charges, totals and payments received.
+ */
+
+const {
+  PAGE_MARGIN,
+  formatCurrency,
+  formatDate,
+  formatLabel,
+  drawRow,
+  ensureSpace,
+  drawDocumentHeader,
+  renderPdf
+} = require('./pdfHelpers');
+
+/**
+ * Render an invoice as a PDF
+ * @param {Object} invoice - Invoice document
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+function generateInvoicePdf(invoice) {
+  return renderPdf(doc => {
+    const pageWidth = doc.page.width - PAGE_MARGIN * 2;
+
+    const headerBottom = drawDocumentHeader(doc, 'INVOICE', [
+      `Invoice #: ${invoice.invoiceNumber || '-'}`,
+      `Issue Date: ${formatDate(invoice.issueDate)}`,
+      `Due Date: ${formatDate(invoice.dueDate)}`,
+      `Status: ${formatLabel(invoice.status)}`,
+      (invoice.periodStart || invoice.periodEnd) && `Period: ${formatDate(invoice.periodStart)} - ${formatDate(invoice.periodEnd)}`
+    ]);
+
+    // Bill to
+    let y = Math.max(headerBottom, 150) + 10;
+    const billTo = invoice.billTo || {};
+    doc.font('Helvetica-Bold').fontSize(10).text('Bill To', PAGE_MARGIN, y);
+    doc.font('Helvetica').fontSize(9);
+    [
+      billTo.company,
+      billTo.name,
+      billTo.address,
+      [billTo.city, billTo.state, billTo.zipCode].filter(Boolean).join(', '),
+      billTo.email,
+      billTo.phone
+    ].filter(Boolean).forEach(line => doc.text(line));
+
+    // Line items
+    y = doc.y + 20;
+    const columns = {
+      job: { x: PAGE_MARGIN, width: 80 },
+      description: { x: PAGE_MARGIN + 85, width: 170 },
+      route: { x: PAGE_MARGIN + 260, width: 130 },
+      delivered: { x: PAGE_MARGIN + 395, width: 55 },
+      amount: { x: PAGE_MARGIN + 450, width: pageWidth - 450, align: 'right' }
+    };
+
+    y = drawRow(doc, y, [
+      { ...columns.job, text: 'Job #' },
+      { ...columns.description, text: 'Description' },
+      { ...columns.route, text: 'Pickup / Drop' },
+      { ...columns.delivered, text: 'Delivered' },
+      { ...columns.amount, text: 'Amount' }
+    ], { bold: true });
+    doc.moveTo(PAGE_MARGIN, y - 3).lineTo(PAGE_MARGIN + pageWidth, y - 3).stroke();
+
+    (invoice.lineItems || []).forEach(item => {
+      y = ensureSpace(doc, y);
+      y = drawRow(doc, y, [
+        { ...columns.job, text: item.jobNumber || '-' },
+        { ...columns.description, text: item.description },
+        { ...columns.route, text: [item.pickupLocation, item.dropLocation].filter(Boolean).join('\nto ') },
+        { ...columns.delivered, text: formatDate(item.deliveredAt) },
+        { ...columns.amount, text: formatCurrency(item.amount) }
+      ]);
+    });
+
+    // Accessorial charges
+    if (invoice.accessorialCharges && invoice.accessorialCharges.length > 0) {
+      y = ensureSpace(doc, y + 10, 60);
+      doc.font('Helvetica-Bold').fontSize(10).text('Accessorial Charges', PAGE_MARGIN, y);
+      y = doc.y + 6;
+
+      invoice.accessorialCharges.forEach(charge => {
+        y = ensureSpace(doc, y);
+        y = drawRow(doc, y, [
+          { x: PAGE_MARGIN, width: 130, text: formatLabel(charge.type) },
+          { x: PAGE_MARGIN + 135, width: 310, text: charge.description || '' },
+          { ...columns.amount, text: formatCurrency(charge.amount) }
+        ]);
+      });
+    }
+
+    // Totals
+    y = ensureSpace(doc, y + 10, 120);
+    doc.moveTo(PAGE_MARGIN + 300, y).lineTo(PAGE_MARGIN + pageWidth, y).stroke();
+    y += 8;
+
+    const totalRows = [
+      ['Subtotal', formatCurrency(invoice.subtotal)],
+      ['Accessorials', formatCurrency(invoice.accessorialTotal)],
+      [`Tax (${invoice.taxRate || 0}%)`, formatCurrency(invoice.taxAmount)],
+      ['Total', formatCurrency(invoice.total)],
+      ['Paid', formatCurrency(invoice.amountPaid)],
+      ['Balance Due', formatCurrency(invoice.balanceDue)]
+    ];
+
+    totalRows.forEach(([label, value], index) => {
+      y = drawRow(doc, y, [
+        { x: PAGE_MARGIN + 300, width: 100, text: label },
+        { ...columns.amount, text: value }
+      ], { bold: index === 3 || index === totalRows.length - 1 });
+    });
+
+    // Payments
+    if (invoice.payments && invoice.payments.length > 0) {
+      y = ensureSpace(doc, y + 10, 60);
+      doc.font('Helvetica-Bold').fontSize(10).text('Payments Received', PAGE_MARGIN, y);
+      y = doc.y + 6;
+
+      invoice.payments.forEach(payment => {
+        y = ensureSpace(doc, y);
+        y = drawRow(doc, y, [
+          { x: PAGE_MARGIN, width: 100, text: formatDate(payment.paidAt) },
+          { x: PAGE_MARGIN + 105, width: 80, text: formatLabel(payment.method) },
+          { x: PAGE_MARGIN + 190, width: 255, text: payment.reference || '' },
+          { ...columns.amount, text: formatCurrency(payment.amount) }
+        ]);
+      });
+    }
+
+    if (invoice.notes) {
+      y = ensureSpace(doc, y + 10, 60);
+      doc.font('Helvetica-Bold').fontSize(10).text('Notes', PAGE_MARGIN, y);
+      doc.font('Helvetica').fontSize(9).text(invoice.notes, { width: pageWidth });
+    }
+  });
+}
+
+module.exports = {
+  generateInvoicePdf
+};
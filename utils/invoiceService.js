@@ -0,0 +1,267 @@
+/**
+ * Invoice Service
+ *
+ * Finds delivered transport jobs that can be billed to a shipper, turns them into invoice
+ * line items (amount = carrierPayment) and computes outstanding balance and aging buckets
+ * for a shipper's open invoices.
+ *
+ * A job is claimed for an invoice by setting TransportJob.invoiceId with a conditional update,
+ * so two concurrent generations can't bill the same job; voiding or deleting the invoice releases it.
+ */
+
+const Invoice = require('../models/Invoice');
+const TransportJob = require('../models/TransportJob');
+const Vehicle = require('../models/Vehicle');
+const Load = require('../models/Load');
+const { TRANSPORT_JOB_STATUS, ROUTE_STOP_TYPE, INVOICE_STATUS } = require('../constants/status');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Aging buckets by days past the due date
+const AGING_BUCKETS = [
+  { key: 'current', label: 'Current', minDays: -Infinity, maxDays: 0 },
+  { key: 'days1to30', label: '1-30 days', minDays: 1, maxDays: 30 },
+  { key: 'days31to60', label: '31-60 days', minDays: 31, maxDays: 60 },
+  { key: 'days61to90', label: '61-90 days', minDays: 61, maxDays: 90 },
+  { key: 'over90', label: '90+ days', minDays: 91, maxDays: Infinity }
+];
+
+const roundCurrency = (value) => Math.round((value || 0) * 100) / 100;
+
+const formatPlace = (name, city, state) => {
+  const cityState = [city, state].filter(Boolean).join(', ');
+  return [name, cityState].filter(Boolean).join(' - ');
+};
+
+/**
+ * Determine when a job was delivered: the completed drop stop's actual time, falling
+ * back to the job's last update
+ */
+function getDeliveredAt(transportJob) {
+  const route = transportJob.dropRouteId && typeof transportJob.dropRouteId === 'object'
+    ? transportJob.dropRouteId
+    : (transportJob.routeId && typeof transportJob.routeId === 'object' ? transportJob.routeId : null);
+
+  const dropStop = route?.stops?.find(stop =>
+    stop.stopType === ROUTE_STOP_TYPE.DROP &&
+    stop.transportJobId &&
+    stop.transportJobId.toString() === transportJob._id.toString()
+  );
+
+  return dropStop?.actualTime || dropStop?.actualDate || transportJob.updatedAt;
+}
+
+/**
+ * Build an invoice line item for a delivered transport job
+ */
+function buildLineItem(transportJob, deliveredAt) {
+  let description;
+  if (transportJob.loadType === 'load') {
+    const load = transportJob.loadId || {};
+    description = [load.loadNumber, load.description].filter(Boolean).join(' - ') || 'Freight transport';
+  } else {
+    const vehicle = transportJob.vehicleId || {};
+    const name = [vehicle.year, vehicle.make, vehicle.model].filter(Boolean).join(' ');
+    description = `${name || 'Vehicle'} transport${vehicle.vin ? ` (VIN ${vehicle.vin})` : ''}`;
+  }
+
+  return {
+    transportJobId: transportJob._id,
+    jobNumber: transportJob.jobNumber,
+    description,
+    pickupLocation: formatPlace(transportJob.pickupLocationName, transportJob.pickupCity, transportJob.pickupState),
+    dropLocation: formatPlace(transportJob.dropLocationName, transportJob.dropCity, transportJob.dropState),
+    deliveredAt,
+    amount: roundCurrency(transportJob.carrierPayment || 0)
+  };
+}
+
+/**
+ * Find delivered transport jobs for a shipper, optionally limited to a delivery date range
+ * @param {string} shipperId - Shipper ID
+ * @param {Object} options - { startDate, endDate, transportJobIds, includeInvoiced }
+ * @returns {Promise<Array<{transportJob: Object, deliveredAt: Date, lineItem: Object, invoiceId: string|null}>>}
+ */
+async function findBillableTransportJobs(shipperId, options = {}) {
+  const { startDate, endDate, transportJobIds, includeInvoiced = false } = options;
+
+  const [vehicleIds, loadIds] = await Promise.all([
+    Vehicle.find({ shipperId }).distinct('_id'),
+    Load.find({ shipperId }).distinct('_id')
+  ]);
+
+  const query = {
+    status: TRANSPORT_JOB_STATUS.DELIVERED,
+    deleted: { $ne: true },
+    $or: [
+      { vehicleId: { $in: vehicleIds } },
+      { loadId: { $in: loadIds } }
+    ]
+  };
+  if (transportJobIds && transportJobIds.length > 0) {
+    query._id = { $in: transportJobIds };
+  }
+
+  const transportJobs = await TransportJob.find(query)
+    .select('jobNumber loadType vehicleId loadId carrierPayment pickupLocationName pickupCity pickupState dropLocationName dropCity dropState dropRouteId routeId invoiceId updatedAt')
+    .populate('vehicleId', 'vin year make model')
+    .populate('loadId', 'loadNumber description')
+    .populate('dropRouteId', 'stops.stopType stops.transportJobId stops.actualDate stops.actualTime')
+    .populate('routeId', 'stops.stopType stops.transportJobId stops.actualDate stops.actualTime');
+
+  // Jobs already billed on a non-void invoice
+  const invoiced = await Invoice.find({
+    status: { $ne: INVOICE_STATUS.VOID },
+    'lineItems.transportJobId': { $in: transportJobs.map(job => job._id) }
+  }).select('invoiceNumber lineItems.transportJobId');
+
+  const invoiceByJobId = new Map();
+  invoiced.forEach(invoice => {
+    invoice.lineItems.forEach(item => {
+      if (item.transportJobId) {
+        invoiceByJobId.set(item.transportJobId.toString(), { invoiceId: invoice._id, invoiceNumber: invoice.invoiceNumber });
+      }
+    });
+  });
+
+  const rangeStart = startDate ? new Date(startDate) : null;
+  const rangeEnd = endDate ? new Date(endDate) : null;
+  if (rangeEnd) {
+    rangeEnd.setHours(23, 59, 59, 999);
+  }
+
+  return transportJobs
+    .map(transportJob => {
+      const deliveredAt = getDeliveredAt(transportJob);
+      const existing = invoiceByJobId.get(transportJob._id.toString());
+      return {
+        transportJob,
+        deliveredAt,
+        lineItem: buildLineItem(transportJob, deliveredAt),
+        invoiceId: existing?.invoiceId || transportJob.invoiceId || null,
+        invoiceNumber: existing?.invoiceNumber || null
+      };
+    })
+    .filter(entry => includeInvoiced || !entry.invoiceId)
+    .filter(entry => !rangeStart || (entry.deliveredAt && entry.deliveredAt >= rangeStart))
+    .filter(entry => !rangeEnd || (entry.deliveredAt && entry.deliveredAt <= rangeEnd))
+    .sort((a, b) => new Date(a.deliveredAt) - new Date(b.deliveredAt));
+}
+
+/**
+ * Claim transport jobs for an invoice; a job already claimed by another invoice is left out
+ * @param {string|ObjectId} invoiceId - Invoice the jobs are billed on
+ * @param {Array} billable - Entries from findBillableTransportJobs
+ * @returns {Promise<Array>} The entries that were claimed
+ */
+async function claimTransportJobs(invoiceId, billable) {
+  const claimed = [];
+  for (const entry of billable) {
+    const result = await TransportJob.updateOne(
+      { _id: entry.transportJob._id, invoiceId: null },
+      { $set: { invoiceId } }
+    );
+    if (result.modifiedCount === 1) {
+      claimed.push(entry);
+    }
+  }
+  return claimed;
+}
+
+/**
+ * Release an invoice's claim on its transport jobs so they become billable again
+ * @param {string|ObjectId} invoiceId - Invoice ID
+ * @param {Array} keepTransportJobIds - Jobs still billed on the invoice
+ */
+async function releaseTransportJobs(invoiceId, keepTransportJobIds = []) {
+  await TransportJob.updateMany(
+    { invoiceId, _id: { $nin: keepTransportJobIds } },
+    { $set: { invoiceId: null } }
+  );
+}
+
+/**
+ * Days past due for an invoice as of a date (negative when not yet due)
+ */
+function getDaysPastDue(invoice, asOf = new Date()) {
+  if (!invoice.dueDate) return 0;
+  return Math.floor((asOf.getTime() - new Date(invoice.dueDate).getTime()) / DAY_MS);
+}
+
+/**
+ * Group open invoice balances into aging buckets
+ * @param {Array} invoices - Invoices with balanceDue and dueDate
+ * @param {Date} asOf - Reference date
+ * @returns {Object} Balance per bucket key plus total
+ */
+function calculateAging(invoices, asOf = new Date()) {
+  const aging = AGING_BUCKETS.reduce((buckets, bucket) => ({ ...buckets, [bucket.key]: 0 }), {});
+
+  invoices.forEach(invoice => {
+    if (!invoice.balanceDue || invoice.balanceDue <= 0) return;
+    const daysPastDue = getDaysPastDue(invoice, asOf);
+    const bucket = AGING_BUCKETS.find(entry => daysPastDue >= entry.minDays && daysPastDue <= entry.maxDays);
+    aging[bucket.key] = roundCurrency(aging[bucket.key] + invoice.balanceDue);
+  });
+
+  aging.total = roundCurrency(AGING_BUCKETS.reduce((sum, bucket) => sum + aging[bucket.key], 0));
+  return aging;
+}
+
+/**
+ * Outstanding balance and aging for a shipper (sent invoices with a balance due)
+ * @param {string} shipperId - Shipper ID
+ * @returns {Promise<Object>} Billing summary
+ */
+async function getShipperBillingSummary(shipperId) {
+  const openInvoices = await Invoice.find({
+    shipperId,
+    status: INVOICE_STATUS.SENT,
+    balanceDue: { $gt: 0 }
+  })
+    .select('invoiceNumber issueDate dueDate total amountPaid balanceDue status')
+    .sort({ dueDate: 1 });
+
+  const now = new Date();
+  const aging = calculateAging(openInvoices, now);
+
+  const [draftCount, lastPaid] = await Promise.all([
+    Invoice.countDocuments({ shipperId, status: INVOICE_STATUS.DRAFT }),
+    Invoice.findOne({ shipperId, 'payments.0': { $exists: true } }).sort({ 'payments.paidAt': -1 }).select('payments')
+  ]);
+
+  const lastPaymentAt = lastPaid
+    ? lastPaid.payments.reduce((latest, payment) => (!latest || payment.paidAt > latest ? payment.paidAt : latest), null)
+    : null;
+
+  return {
+    outstandingBalance: aging.total,
+    overdueBalance: roundCurrency(aging.total - aging.current),
+    aging,
+    agingBuckets: AGING_BUCKETS.map(bucket => ({ key: bucket.key, label: bucket.label })),
+    openInvoices: openInvoices.map(invoice => ({
+      _id: invoice._id,
+      invoiceNumber: invoice.invoiceNumber,
+      issueDate: invoice.issueDate,
+      dueDate: invoice.dueDate,
+      total: invoice.total,
+      amountPaid: invoice.amountPaid,
+      balanceDue: invoice.balanceDue,
+      daysPastDue: Math.max(0, getDaysPastDue(invoice, now))
+    })),
+    draftInvoices: draftCount,
+    lastPaymentAt
+  };
+}
+
+module.exports = {
+  AGING_BUCKETS,
+  getDeliveredAt,
+  buildLineItem,
+  findBillableTransportJobs,
+  claimTransportJobs,
+  releaseTransportJobs,
+  getDaysPastDue,
+  calculateAging,
+  getShipperBillingSummary
+};
@@ -0,0 +1,293 @@
+/**
+ * Lane Analytics Service
+ *
+ * Lane rate history from delivered transport jobs, grouped by origin/destination state or
+ * 3-digit ZIP prefix pairs:
+ * - average and median carrierPayment, and rate per loaded mile for jobs whose vehicle has a
+ *   VehicleProfitCalculation with totalMiles
+ * - volume and a rate trend (second half vs first half of the period) with a per-week or
+ *   per-month series
+ * Quotes use suggestRate: the median rate per mile of the ZIP lane when it has enough history,
+ * else the state lane.
+ */
+
+const Route = require('../models/Route');
+const Vehicle = require('../models/Vehicle');
+const Load = require('../models/Load');
+const TransportJob = require('../models/TransportJob');
+const VehicleProfitCalculation = require('../models/VehicleProfitCalculation');
+const { normalizeStateCode } = require('./stateLookup');
+const { TRANSPORT_JOB_STATUS, ROUTE_STOP_TYPE } = require('../constants/status');
+
+const LANE_GROUPS = ['state', 'zip3'];
+const TREND_INTERVALS = ['week', 'month'];
+
+// Jobs a lane needs before its rate is suggested
+const MIN_SUGGESTION_SAMPLES = parseInt(process.env.LANE_MIN_SUGGESTION_SAMPLES) || 3;
+// History used for rate suggestions
+const SUGGESTION_DAYS = parseInt(process.env.LANE_SUGGESTION_DAYS) || 180;
+// Rate changes within this percentage are reported as flat
+const FLAT_TREND_PERCENT = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value, decimals = 2) => Math.round((value || 0) * 10 ** decimals) / 10 ** decimals;
+
+const average = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const getZip3 = (zip) => {
+  const match = String(zip || '').trim().match(/^(\d{3})\d{2}/);
+  return match ? match[1] : null;
+};
+
+/**
+ * Lane key of a job ("TX-OK" or "752-731"), null when either end is unknown
+ */
+function getLaneKey(job, groupBy = 'state') {
+  const origin = groupBy === 'zip3' ? getZip3(job.pickupZip) : normalizeStateCode(job.pickupState);
+  const destination = groupBy === 'zip3' ? getZip3(job.dropZip) : normalizeStateCode(job.dropState);
+  return origin && destination ? `${origin}-${destination}` : null;
+}
+
+/**
+ * Start of the week (Monday) or month of a date, as YYYY-MM-DD
+ */
+function getPeriodStart(date, interval) {
+  const start = new Date(date.getFullYear(), date.getMonth(), interval === 'month' ? 1 : date.getDate());
+  if (interval === 'week') start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  return `${start.getFullYear()}-${String(start.getMonth() + 1).padStart(2, '0')}-${String(start.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Delivered jobs in a period with their delivery date and loaded miles
+ * @returns {Promise<Array<{job, deliveredAt: Date, miles: number|null}>>}
+ */
+async function getDeliveredJobs({ start, end, shipperId, transportPurpose }) {
+  const query = {
+    status: TRANSPORT_JOB_STATUS.DELIVERED,
+    deleted: { $ne: true },
+    // A job is last updated at or after its delivery
+    updatedAt: { $gte: start }
+  };
+  if (transportPurpose) query.transportPurpose = transportPurpose;
+  if (shipperId) {
+    const [vehicles, loads] = await Promise.all([
+      Vehicle.find({ shipperId }).select('_id'),
+      Load.find({ shipperId }).select('_id')
+    ]);
+    query.$or = [
+      { vehicleId: { $in: vehicles.map(vehicle => vehicle._id) } },
+      { loadId: { $in: loads.map(load => load._id) } }
+    ];
+  }
+
+  const jobs = await TransportJob.find(query)
+    .select('jobNumber loadType vehicleId pickupState pickupZip dropState dropZip carrierPayment transportPurpose updatedAt');
+  if (jobs.length === 0) return [];
+
+  // Delivery date: completion of the drop stop, else the job's last update
+  const routes = await Route.find({
+    'stops.transportJobId': { $in: jobs.map(job => job._id) },
+    deleted: { $ne: true }
+  }).select('stops.stopType stops.transportJobId stops.actualDate');
+  const deliveredAtByJob = new Map();
+  routes.forEach(route => route.stops.forEach(stop => {
+    if (stop.stopType === ROUTE_STOP_TYPE.DROP && stop.transportJobId && stop.actualDate) {
+      deliveredAtByJob.set(stop.transportJobId.toString(), stop.actualDate);
+    }
+  }));
+
+  const vehicleIds = jobs.filter(job => job.vehicleId).map(job => job.vehicleId);
+  const calculations = await VehicleProfitCalculation.find({ vehicleId: { $in: vehicleIds }, totalMiles: { $gt: 0 } })
+    .select('vehicleId totalMiles');
+  const milesByVehicle = new Map(calculations.map(calculation => [calculation.vehicleId.toString(), calculation.totalMiles]));
+
+  return jobs
+    .map(job => ({
+      job,
+      deliveredAt: deliveredAtByJob.get(job._id.toString()) || job.updatedAt,
+      miles: (job.vehicleId && milesByVehicle.get(job.vehicleId.toString())) || null
+    }))
+    .filter(entry => entry.deliveredAt >= start && entry.deliveredAt <= end);
+}
+
+/**
+ * Payment and rate statistics of a set of delivered jobs
+ */
+function summarizeJobs(entries) {
+  const payments = entries.filter(entry => entry.job.carrierPayment > 0).map(entry => entry.job.carrierPayment);
+  const rates = entries
+    .filter(entry => entry.job.carrierPayment > 0 && entry.miles > 0)
+    .map(entry => entry.job.carrierPayment / entry.miles);
+  return {
+    jobs: entries.length,
+    paidJobs: payments.length,
+    totalPayment: round(payments.reduce((sum, payment) => sum + payment, 0)),
+    averagePayment: payments.length > 0 ? round(average(payments)) : null,
+    medianPayment: payments.length > 0 ? round(median(payments)) : null,
+    ratedJobs: rates.length,
+    averageRatePerMile: rates.length > 0 ? round(average(rates)) : null,
+    medianRatePerMile: rates.length > 0 ? round(median(rates)) : null,
+    minRatePerMile: rates.length > 0 ? round(Math.min(...rates)) : null,
+    maxRatePerMile: rates.length > 0 ? round(Math.max(...rates)) : null
+  };
+}
+
+/**
+ * Rate per mile (else payment) change from the first to the second half of the period
+ */
+function getTrend(entries, start, end) {
+  const middle = new Date((start.getTime() + end.getTime()) / 2);
+  const first = summarizeJobs(entries.filter(entry => entry.deliveredAt < middle));
+  const second = summarizeJobs(entries.filter(entry => entry.deliveredAt >= middle));
+  const metric = first.averageRatePerMile && second.averageRatePerMile ? 'averageRatePerMile' : 'averagePayment';
+  if (!first[metric] || !second[metric]) {
+    return { metric: null, changePercent: null, direction: null, firstHalfJobs: first.jobs, secondHalfJobs: second.jobs };
+  }
+
+  const changePercent = round((second[metric] - first[metric]) / first[metric] * 100, 1);
+  return {
+    metric,
+    firstHalf: first[metric],
+    secondHalf: second[metric],
+    changePercent,
+    direction: Math.abs(changePercent) < FLAT_TREND_PERCENT ? 'flat' : (changePercent > 0 ? 'up' : 'down'),
+    firstHalfJobs: first.jobs,
+    secondHalfJobs: second.jobs
+  };
+}
+
+/**
+ * Lane analytics report
+ * @param {Object} filters - { startDate?, endDate? (delivery date, default the last 180 days), groupBy? 'state'|'zip3',
+ *   interval? 'week'|'month', shipperId?, transportPurpose?, origin?, destination?, minJobs? }
+ * @returns {Promise<{period, groupBy, interval, totals, lanes: Array}>}
+ */
+async function getLaneReport({
+  startDate,
+  endDate,
+  groupBy = 'state',
+  interval = 'month',
+  shipperId,
+  transportPurpose,
+  origin,
+  destination,
+  minJobs = 1
+} = {}) {
+  const end = endDate ? new Date(endDate) : new Date();
+  const start = startDate ? new Date(startDate) : new Date(end.getTime() - SUGGESTION_DAYS * DAY_MS);
+
+  const entries = await getDeliveredJobs({ start, end, shipperId, transportPurpose });
+
+  const toLaneEnd = (value) => value &&
+    (groupBy === 'zip3' ? getZip3(String(value).trim().padEnd(5, '0')) : normalizeStateCode(value));
+  const originFilter = toLaneEnd(origin);
+  const destinationFilter = toLaneEnd(destination);
+
+  const entriesByLane = new Map();
+  let unknownLaneJobs = 0;
+  entries.forEach(entry => {
+    const lane = getLaneKey(entry.job, groupBy);
+    if (!lane) {
+      unknownLaneJobs++;
+      return;
+    }
+    const [laneOrigin, laneDestination] = lane.split('-');
+    if ((originFilter && laneOrigin !== originFilter) || (destinationFilter && laneDestination !== destinationFilter)) return;
+    if (!entriesByLane.has(lane)) entriesByLane.set(lane, []);
+    entriesByLane.get(lane).push(entry);
+  });
+
+  const lanes = [...entriesByLane.entries()]
+    .filter(([, laneEntries]) => laneEntries.length >= minJobs)
+    .map(([lane, laneEntries]) => {
+      const [laneOrigin, laneDestination] = lane.split('-');
+      const periods = new Map();
+      laneEntries.forEach(entry => {
+        const period = getPeriodStart(entry.deliveredAt, interval);
+        if (!periods.has(period)) periods.set(period, []);
+        periods.get(period).push(entry);
+      });
+
+      return {
+        lane,
+        origin: laneOrigin,
+        destination: laneDestination,
+        ...summarizeJobs(laneEntries),
+        trend: getTrend(laneEntries, start, end),
+        series: [...periods.entries()]
+          .sort(([a], [b]) => a.localeCompare(b))
+          .map(([period, periodEntries]) => {
+            const summary = summarizeJobs(periodEntries);
+            return {
+              period,
+              jobs: summary.jobs,
+              averagePayment: summary.averagePayment,
+              averageRatePerMile: summary.averageRatePerMile
+            };
+          })
+      };
+    })
+    .sort((a, b) => b.jobs - a.jobs || a.lane.localeCompare(b.lane));
+
+  return {
+    period: { startDate: start, endDate: end },
+    groupBy,
+    interval,
+    totals: {
+      ...summarizeJobs(lanes.flatMap(lane => entriesByLane.get(lane.lane))),
+      lanes: lanes.length,
+      unknownLaneJobs
+    },
+    lanes
+  };
+}
+
+/**
+ * Suggested rate for a quote from the lane's recent history
+ * @param {Object} request - { pickupZip?, pickupState?, dropZip?, dropState?, miles? }
+ * @returns {Promise<Object|null>} null when no lane has enough history
+ */
+async function suggestRate({ pickupZip, pickupState, dropZip, dropState, miles }) {
+  const end = new Date();
+  const start = new Date(end.getTime() - SUGGESTION_DAYS * DAY_MS);
+  const entries = await getDeliveredJobs({ start, end });
+  const request = { pickupZip, pickupState, dropZip, dropState };
+
+  for (const groupBy of LANE_GROUPS.slice().reverse()) {
+    const lane = getLaneKey(request, groupBy);
+    if (!lane) continue;
+
+    const laneEntries = entries.filter(entry => getLaneKey(entry.job, groupBy) === lane);
+    const summary = summarizeJobs(laneEntries);
+    if (summary.ratedJobs < MIN_SUGGESTION_SAMPLES) continue;
+
+    return {
+      lane,
+      groupBy,
+      historyDays: SUGGESTION_DAYS,
+      ...summary,
+      trend: getTrend(laneEntries, start, end),
+      suggestedRatePerMile: summary.medianRatePerMile,
+      suggestedPricePerVehicle: miles > 0 ? round(summary.medianRatePerMile * miles) : null
+    };
+  }
+  return null;
+}
+
+module.exports = {
+  LANE_GROUPS,
+  TREND_INTERVALS,
+  getLaneKey,
+  summarizeJobs,
+  getTrend,
+  getLaneReport,
+  suggestRate
+};
@@ -100,6 +100,131 @@ class LocationService {
     }
   }
 
+  /**
+   * Calculate straight-line (great circle) distance between two points
+   * Used as an offline fallback when the Google Maps APIs are unavailable
+   * @param {Object} origin - {latitude, longitude}
+   * @param {Object} destination - {latitude, longitude}
+   * @returns {number} Distance in miles
+   */
+  calculateStraightLineDistance(origin, destination) {
+    const EARTH_RADIUS_MILES = 3958.8;
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+
+    const dLat = toRadians(destination.latitude - origin.latitude);
+    const dLng = toRadians(destination.longitude - origin.longitude);
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+      Math.cos(toRadians(origin.latitude)) * Math.cos(toRadians(destination.latitude)) *
+      Math.sin(dLng / 2) * Math.sin(dLng / 2);
+
+    return EARTH_RADIUS_MILES * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+
+  /**
+   * Estimate driving distance and duration between two points without calling Google Maps
+   * Applies a road circuity factor to the straight-line distance and assumes an average highway speed
+   * @param {Object} origin - {latitude, longitude}
+   * @param {Object} destination - {latitude, longitude}
+   * @returns {{distance: {text: string, value: number}, duration: {text: string, value: number}, estimated: boolean}}
+   */
+  estimateDrivingDistance(origin, destination) {
+    const ROAD_CIRCUITY_FACTOR = 1.2;
+    const AVERAGE_SPEED_MPH = 50;
+
+    const miles = this.calculateStraightLineDistance(origin, destination) * ROAD_CIRCUITY_FACTOR;
+    const seconds = Math.round((miles / AVERAGE_SPEED_MPH) * 3600);
+
+    return {
+      distance: {
+        text: this.formatDistance(miles),
+        value: miles
+      },
+      duration: {
+        text: this.formatDuration(seconds),
+        value: seconds
+      },
+      estimated: true
+    };
+  }
+
+  /**
+   * Calculate a distance/duration matrix between every pair of points
+   * Uses the Google Distance Matrix API in batches and falls back to estimates for
+   * any element the API cannot resolve (or when no API key is configured)
+   * @param {Array<{latitude: number, longitude: number}>} points - Points to compare
+   * @returns {Promise<Array<Array<{distance: {text: string, value: number}, duration: {text: string, value: number}, estimated: boolean}>>>}
+   */
+  async calculateDistanceMatrix(points) {
+    const MAX_ELEMENTS_PER_REQUEST = 100;
+    const MAX_DESTINATIONS_PER_REQUEST = 25;
+
+    const matrix = points.map((origin, i) => points.map((destination, j) => {
+      if (i === j) {
+        return {
+          distance: { text: '0 mi', value: 0 },
+          duration: { text: '0 min', value: 0 },
+          estimated: false
+        };
+      }
+      return this.estimateDrivingDistance(origin, destination);
+    }));
+
+    if (!this.apiKey || points.length < 2) {
+      return matrix;
+    }
+
+    const toParam = (point) => `${point.latitude},${point.longitude}`;
+
+    for (let destStart = 0; destStart < points.length; destStart += MAX_DESTINATIONS_PER_REQUEST) {
+      const destinations = points.slice(destStart, destStart + MAX_DESTINATIONS_PER_REQUEST);
+      const originsPerRequest = Math.max(1, Math.floor(MAX_ELEMENTS_PER_REQUEST / destinations.length));
+
+      for (let originStart = 0; originStart < points.length; originStart += originsPerRequest) {
+        const origins = points.slice(originStart, originStart + originsPerRequest);
+
+        try {
+          const response = await axios.get(`${this.baseUrl}/distancematrix/json`, {
+            params: {
+              origins: origins.map(toParam).join('|'),
+              destinations: destinations.map(toParam).join('|'),
+              mode: 'driving',
+              units: 'imperial',
+              key: this.apiKey
+            }
+          });
+
+          if (response.data.status !== 'OK') {
+            continue; // Keep estimates for this batch
+          }
+
+          response.data.rows.forEach((row, rowIndex) => {
+            row.elements.forEach((element, elementIndex) => {
+              const i = originStart + rowIndex;
+              const j = destStart + elementIndex;
+              if (i === j || element.status !== 'OK') return;
+
+              matrix[i][j] = {
+                distance: {
+                  text: element.distance.text,
+                  value: element.distance.value / 1609.34 // Convert meters to miles
+                },
+                duration: {
+                  text: element.duration.text,
+                  value: element.duration.value // seconds
+                },
+                estimated: false
+              };
+            });
+          });
+        } catch (error) {
+          // Distance Matrix request failed, keep estimates for this batch
+        }
+      }
+    }
+
+    return matrix;
+  }
+
   /**
    * Calculate distances and times for all stops in a route
    * @param {Object} route - Route object with stops
@@ -345,6 +470,32 @@ class LocationService {
     }
   }
 
+  /**
+   * Recalculate a saved route's distanceFromPrevious and totals after its stops changed, and save it
+   * (stops whose coordinates could not be resolved keep their location without coordinates)
+   * @param {Object} route - Route document
+   * @returns {Promise<Object>} The saved route
+   */
+  async refreshRouteDistances(route) {
+    const routeWithDistances = await this.calculateRouteDistances(route);
+
+    route.stops = routeWithDistances.stops.map((processedStop) => {
+      const cleanStop = { ...processedStop };
+      if (cleanStop.location &&
+          (!cleanStop.location.coordinates ||
+           cleanStop.location.coordinates.latitude === undefined ||
+           cleanStop.location.coordinates.longitude === undefined ||
+           isNaN(cleanStop.location.coordinates.latitude) ||
+           isNaN(cleanStop.location.coordinates.longitude))) {
+        delete cleanStop.location.coordinates;
+      }
+      return cleanStop;
+    });
+    route.totalDistance = routeWithDistances.totalDistance;
+    route.totalDuration = routeWithDistances.totalDuration;
+    return route.save();
+  }
+
   /**
    * Update stop coordinates using geocoding
    * @param {Object} stop - Stop object with location
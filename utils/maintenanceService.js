@@ -0,0 +1,288 @@
+/**
+ * Preventive Maintenance Service
+ *
+ * Evaluates a truck's maintenance plans (e.g. oil change every 15,000 miles or 90 days):
+ * - Last service: the latest Expense on the truck with one of the plan's categories
+ *   (automatic per-mile maintenance accruals don't count), else the plan's baseline date
+ * - Miles since service: miles of the truck's routes completed after the last service
+ *   (actualDistanceTraveled, else the planned totalDistance)
+ * - Due date: the day interval, or the day the mile interval is reached at the truck's
+ *   average daily miles over the last AVERAGE_MILES_DAYS days, whichever comes first
+ * Each plan keeps a CalendarEvent on its due date, and createRoute/updateRoute warn when
+ * an overdue truck is assigned.
+ */
+
+const Route = require('../models/Route');
+const Truck = require('../models/Truck');
+const Expense = require('../models/Expense');
+const CalendarEvent = require('../models/CalendarEvent');
+const MaintenancePlan = require('../models/MaintenancePlan');
+const { ROUTE_STATUS } = require('../constants/status');
+const { MAINTENANCE_STATUS } = require('../constants/maintenance');
+
+const DUE_SOON_MILES = parseInt(process.env.MAINTENANCE_DUE_SOON_MILES) || 1000;
+const DUE_SOON_DAYS = parseInt(process.env.MAINTENANCE_DUE_SOON_DAYS) || 14;
+const AVERAGE_MILES_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CALENDAR_COLORS = {
+  [MAINTENANCE_STATUS.OK]: 'teal',
+  [MAINTENANCE_STATUS.DUE_SOON]: 'orange',
+  [MAINTENANCE_STATUS.OVERDUE]: 'red'
+};
+
+const getId = (value) => (value && typeof value === 'object' ? (value._id || value.id) : value);
+
+const getRouteMiles = (route) => route.actualDistanceTraveled || route.totalDistance?.value || 0;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Due status of a plan
+ * @param {Object} plan - MaintenancePlan (intervalMiles, intervalDays)
+ * @param {Object} usage - { lastServiceDate, milesSinceService, averageDailyMiles }
+ * @param {Date} now
+ * @returns {{status, lastServiceDate, milesSinceService, milesRemaining, daysRemaining, dueDate, dueBy}}
+ */
+function calculatePlanStatus(plan, usage, now = new Date()) {
+  const lastServiceDate = usage.lastServiceDate ? new Date(usage.lastServiceDate) : null;
+  const milesSinceService = Math.round(usage.milesSinceService || 0);
+
+  const milesRemaining = plan.intervalMiles ? plan.intervalMiles - milesSinceService : null;
+  const dueByDays = plan.intervalDays && lastServiceDate
+    ? new Date(lastServiceDate.getTime() + plan.intervalDays * DAY_MS)
+    : null;
+  const daysRemaining = dueByDays ? Math.floor((dueByDays - now) / DAY_MS) : null;
+
+  // Day the mile interval is reached at the current pace
+  let dueByMiles = null;
+  if (milesRemaining !== null) {
+    if (milesRemaining <= 0) {
+      dueByMiles = now;
+    } else if (usage.averageDailyMiles > 0) {
+      dueByMiles = new Date(now.getTime() + Math.ceil(milesRemaining / usage.averageDailyMiles) * DAY_MS);
+    }
+  }
+
+  let dueDate = dueByDays;
+  let dueBy = dueByDays ? 'days' : null;
+  if (dueByMiles && (!dueDate || dueByMiles < dueDate)) {
+    dueDate = dueByMiles;
+    dueBy = 'miles';
+  }
+
+  let status = MAINTENANCE_STATUS.OK;
+  if ((milesRemaining !== null && milesRemaining <= 0) || (daysRemaining !== null && daysRemaining < 0)) {
+    status = MAINTENANCE_STATUS.OVERDUE;
+  } else if ((milesRemaining !== null && milesRemaining <= DUE_SOON_MILES) ||
+    (daysRemaining !== null && daysRemaining <= DUE_SOON_DAYS)) {
+    status = MAINTENANCE_STATUS.DUE_SOON;
+  }
+
+  return {
+    status,
+    lastServiceDate,
+    milesSinceService,
+    milesRemaining,
+    daysRemaining,
+    dueDate,
+    dueBy
+  };
+}
+
+/**
+ * Latest service expense matching a plan
+ */
+async function findLastServiceExpense(plan) {
+  const query = {
+    truckId: plan.truckId,
+    category: { $in: plan.expenseCategories },
+    // Per-mile accruals from completed routes (statusManager) record cost, not a service
+    maintenanceRate: null
+  };
+  if (plan.descriptionKeyword) {
+    query.description = { $regex: escapeRegex(plan.descriptionKeyword), $options: 'i' };
+  }
+  return Expense.findOne(query).sort({ createdAt: -1 }).select('category description createdAt odometerReading');
+}
+
+/**
+ * Miles of the truck's routes completed after a date
+ */
+async function getMilesSince(truckId, since) {
+  const query = { truckId, status: ROUTE_STATUS.COMPLETED, deleted: { $ne: true } };
+  if (since) {
+    // Routes completed by finishing every stop have no actualEndDate
+    query.$or = [
+      { actualEndDate: { $gt: since } },
+      { actualEndDate: null, updatedAt: { $gt: since } }
+    ];
+  }
+  const routes = await Route.find(query).select('actualDistanceTraveled totalDistance');
+  return routes.reduce((sum, route) => sum + getRouteMiles(route), 0);
+}
+
+/**
+ * Create, move or cancel the calendar event of a plan's next service (the caller saves the plan)
+ */
+async function syncCalendarEvent(plan, truck, evaluation) {
+  const createdBy = plan.lastUpdatedBy || plan.createdBy;
+  const existing = plan.calendarEventId ? await CalendarEvent.findById(plan.calendarEventId) : null;
+
+  if (!plan.active || !evaluation.dueDate) {
+    if (existing && existing.status !== 'cancelled') {
+      existing.status = 'cancelled';
+      await existing.save();
+    }
+    return;
+  }
+
+  const dueDay = new Date(evaluation.dueDate);
+  dueDay.setHours(0, 0, 0, 0);
+  const truckName = truck?.truckNumber || truck?.licensePlate || 'Truck';
+  const fields = {
+    title: `${plan.name} - ${truckName}`,
+    description: `${plan.name} ${evaluation.status === MAINTENANCE_STATUS.OVERDUE ? 'overdue' : 'due'} for truck ${truckName}` +
+      (evaluation.milesRemaining !== null ? ` (${evaluation.milesRemaining} miles remaining)` : ''),
+    startDate: dueDay,
+    endDate: dueDay,
+    allDay: true,
+    color: CALENDAR_COLORS[evaluation.status],
+    truckId: plan.truckId,
+    status: 'active',
+    data: {
+      maintenancePlanId: plan._id,
+      maintenanceStatus: evaluation.status,
+      dueBy: evaluation.dueBy
+    }
+  };
+
+  if (existing) {
+    Object.assign(existing, fields);
+    await existing.save();
+  } else if (createdBy) {
+    const event = await CalendarEvent.create({ ...fields, createdBy });
+    plan.calendarEventId = event._id;
+  }
+}
+
+/**
+ * Evaluate a plan and store the result (last service, miles, due date, status) on it
+ * @param {Object} plan - MaintenancePlan document
+ * @param {Object} options - { truck?, averageDailyMiles?, now? }
+ * @returns {Promise<Object>} The evaluation (see calculatePlanStatus)
+ */
+async function evaluatePlan(plan, options = {}) {
+  const now = options.now || new Date();
+  const truckId = getId(plan.truckId);
+  const truck = options.truck || await Truck.findById(truckId).select('truckNumber licensePlate');
+
+  const lastExpense = await findLastServiceExpense({ ...plan.toObject(), truckId });
+  let lastServiceDate = plan.baselineServiceDate || plan.createdAt || now;
+  let lastServiceExpenseId = null;
+  if (lastExpense && lastExpense.createdAt > lastServiceDate) {
+    lastServiceDate = lastExpense.createdAt;
+    lastServiceExpenseId = lastExpense._id;
+  }
+
+  const averageDailyMiles = options.averageDailyMiles !== undefined
+    ? options.averageDailyMiles
+    : await getAverageDailyMiles(truckId, now);
+
+  const evaluation = calculatePlanStatus(plan, {
+    lastServiceDate,
+    milesSinceService: await getMilesSince(truckId, lastServiceDate),
+    averageDailyMiles
+  }, now);
+
+  plan.lastServiceDate = lastServiceDate;
+  plan.lastServiceExpenseId = lastServiceExpenseId;
+  plan.milesSinceService = evaluation.milesSinceService;
+  plan.dueDate = evaluation.dueDate;
+  plan.status = evaluation.status;
+  plan.evaluatedAt = now;
+
+  await syncCalendarEvent(plan, truck, evaluation);
+  await plan.save();
+
+  return evaluation;
+}
+
+/**
+ * Average miles per day of a truck over the last AVERAGE_MILES_DAYS days
+ */
+async function getAverageDailyMiles(truckId, now = new Date()) {
+  const miles = await getMilesSince(truckId, new Date(now.getTime() - AVERAGE_MILES_DAYS * DAY_MS));
+  return miles / AVERAGE_MILES_DAYS;
+}
+
+/**
+ * Re-evaluate every active plan of a truck (never throws)
+ * @returns {Promise<Array<{plan, evaluation}>>}
+ */
+async function refreshTruckPlans(truckId) {
+  try {
+    truckId = getId(truckId);
+    if (!truckId) return [];
+
+    const plans = await MaintenancePlan.find({ truckId, active: true });
+    if (plans.length === 0) return [];
+
+    const now = new Date();
+    const [truck, averageDailyMiles] = await Promise.all([
+      Truck.findById(truckId).select('truckNumber licensePlate'),
+      getAverageDailyMiles(truckId, now)
+    ]);
+
+    const results = [];
+    for (const plan of plans) {
+      results.push({ plan, evaluation: await evaluatePlan(plan, { truck, averageDailyMiles, now }) });
+    }
+    return results;
+  } catch (error) {
+    console.error('Error refreshing maintenance plans:', error);
+    return [];
+  }
+}
+
+/**
+ * Maintenance warning for assigning a truck to a route
+ * @returns {Promise<{overdue: Array, dueSoon: Array, warning: string|null}>}
+ */
+async function checkTruckAssignment(truckId) {
+  const results = await refreshTruckPlans(truckId);
+  const summarize = ({ plan, evaluation }) => ({
+    planId: plan._id,
+    name: plan.name,
+    status: evaluation.status,
+    milesRemaining: evaluation.milesRemaining,
+    daysRemaining: evaluation.daysRemaining,
+    dueDate: evaluation.dueDate
+  });
+
+  const overdue = results.filter(result => result.evaluation.status === MAINTENANCE_STATUS.OVERDUE).map(summarize);
+  const dueSoon = results.filter(result => result.evaluation.status === MAINTENANCE_STATUS.DUE_SOON).map(summarize);
+
+  let warning = null;
+  if (overdue.length > 0) {
+    const truck = await Truck.findById(getId(truckId)).select('truckNumber licensePlate');
+    const details = overdue.map(entry => {
+      const parts = [];
+      if (entry.milesRemaining !== null && entry.milesRemaining <= 0) parts.push(`${-entry.milesRemaining} miles over`);
+      if (entry.daysRemaining !== null && entry.daysRemaining < 0) parts.push(`${-entry.daysRemaining} days over`);
+      return parts.length > 0 ? `${entry.name} (${parts.join(', ')})` : entry.name;
+    });
+    warning = `Truck ${truck?.truckNumber || truck?.licensePlate || truckId} is overdue for maintenance: ${details.join('; ')}`;
+  }
+
+  return { overdue, dueSoon, warning };
+}
+
+module.exports = {
+  DUE_SOON_MILES,
+  DUE_SOON_DAYS,
+  calculatePlanStatus,
+  evaluatePlan,
+  refreshTruckPlans,
+  checkTruckAssignment
+};
@@ -0,0 +1,277 @@
+/**
+ * Organization Service
+ *
+ * Carrier companies using the system. Every request runs within one organization (see
+ * middleware/auth.js): the user's own, or for a super admin the one named in the
+ * X-Organization-Id header. Public endpoints use the organization given by slug, or the default one.
+ */
+
+const mongoose = require('mongoose');
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const Truck = require('../models/Truck');
+const Route = require('../models/Route');
+const TransportJob = require('../models/TransportJob');
+const AuditLog = require('../models/AuditLog');
+const tenantContext = require('./tenantContext');
+const { DEFAULT_ORGANIZATION } = require('../constants/organization');
+
+const EDITABLE_FIELDS = [
+  'name', 'slug', 'carrierCode', 'dotNumber', 'mcNumber',
+  'contactName', 'contactEmail', 'contactPhone', 'active'
+];
+
+// Per-organization counts shown to super admins
+const COUNTED_MODELS = {
+  users: User,
+  trucks: Truck,
+  routes: Route,
+  transportJobs: TransportJob
+};
+
+const pickEditableFields = (data = {}) => EDITABLE_FIELDS.reduce((fields, field) => {
+  if (data[field] !== undefined) fields[field] = data[field];
+  return fields;
+}, {});
+
+/**
+ * The organization existing data was migrated into
+ * @param {Object} options - { create: create it when missing }
+ * @returns {Promise<Object|null>} Organization
+ */
+async function getDefaultOrganization({ create = false } = {}) {
+  const organization = await Organization.findOne({ slug: DEFAULT_ORGANIZATION.SLUG });
+  if (organization || !create) return organization;
+
+  return Organization.create({
+    name: DEFAULT_ORGANIZATION.NAME,
+    slug: DEFAULT_ORGANIZATION.SLUG,
+    carrierCode: DEFAULT_ORGANIZATION.CARRIER_CODE
+  });
+}
+
+/**
+ * Documents not yet assigned to an organization (run scripts/migrateOrganizations.js), by model
+ * Only models registered so far are checked.
+ * @returns {Promise<Object>} { [modelName]: count } for models with unassigned documents
+ */
+async function getUnmigratedCounts() {
+  const scopedModels = mongoose.modelNames()
+    .map(name => mongoose.model(name))
+    .filter(Model => Model.schema.path('organizationId'));
+
+  const counts = await tenantContext.runUnscoped(async () => Promise.all(
+    scopedModels.map(Model => Model.countDocuments({ organizationId: null }))
+  ));
+
+  return scopedModels.reduce((unmigrated, Model, index) => {
+    if (counts[index] > 0) unmigrated[Model.modelName] = counts[index];
+    return unmigrated;
+  }, {});
+}
+
+/**
+ * Active organization by slug, or the default organization when no slug is given
+ * @returns {Promise<Object|null>} Organization
+ */
+async function findPublicOrganization(slug) {
+  const organization = slug
+    ? await Organization.findOne({ slug: String(slug).toLowerCase().trim() })
+    : await getDefaultOrganization();
+  return organization && organization.active ? organization : null;
+}
+
+/**
+ * Organization a signed-in user's request runs in
+ * @param {Object} user - Authenticated user
+ * @param {string} requestedId - X-Organization-Id header (super admins only)
+ * @returns {Promise<{organization?: Object, error?: string, code?: string}>}
+ */
+async function resolveUserOrganization(user, requestedId) {
+  let organizationId = user.organizationId;
+
+  if (requestedId && user.isSuperAdmin) {
+    if (!mongoose.Types.ObjectId.isValid(requestedId)) {
+      return { error: 'Invalid organization ID', code: 'ORGANIZATION_INVALID' };
+    }
+    organizationId = requestedId;
+  }
+
+  if (!organizationId) {
+    return { error: 'User does not belong to an organization', code: 'ORGANIZATION_REQUIRED' };
+  }
+
+  const organization = await Organization.findById(organizationId);
+  if (!organization) {
+    return { error: 'Organization not found', code: 'ORGANIZATION_NOT_FOUND' };
+  }
+  // Super admins can still open suspended organizations to review or reactivate them
+  if (!organization.active && !user.isSuperAdmin) {
+    return { error: 'Organization is inactive', code: 'ORGANIZATION_INACTIVE' };
+  }
+
+  return { organization };
+}
+
+/**
+ * Add user, truck, route and transport job counts to organizations (across all organizations)
+ */
+async function addCounts(organizations) {
+  const ids = organizations.map(organization => organization._id);
+  const countsByModel = await tenantContext.runUnscoped(() => Promise.all(Object.values(COUNTED_MODELS).map(Model => Model.aggregate([
+    { $match: { organizationId: { $in: ids } } },
+    { $group: { _id: '$organizationId', count: { $sum: 1 } } }
+  ]))));
+
+  const keys = Object.keys(COUNTED_MODELS);
+  return organizations.map(organization => {
+    const counts = {};
+    keys.forEach((key, index) => {
+      const match = countsByModel[index].find(row => row._id.equals(organization._id));
+      counts[key] = match ? match.count : 0;
+    });
+    return { ...organization, counts };
+  });
+}
+
+/**
+ * All organizations with their counts
+ * @param {Object} filters - { active? }
+ * @returns {Promise<Array>}
+ */
+async function listOrganizations({ active } = {}) {
+  const filter = {};
+  if (active !== undefined) filter.active = active;
+
+  const organizations = await Organization.find(filter).sort({ name: 1 }).lean();
+  return addCounts(organizations);
+}
+
+/**
+ * One organization with its counts
+ * @returns {Promise<Object|null>}
+ */
+async function getOrganization(id) {
+  const organization = await Organization.findById(id).lean();
+  if (!organization) return null;
+
+  const [withCounts] = await addCounts([organization]);
+  return withCounts;
+}
+
+/**
+ * Create an organization, optionally with its first admin user
+ * @param {Object} data - Organization fields
+ * @param {Object} admin - { email, password, firstName?, lastName? } or null
+ * @param {string} userId - Super admin creating it
+ * @returns {Promise<{organization?: Object, adminUser?: Object, error?: string}>}
+ */
+async function createOrganization(data, admin, userId) {
+  const fields = pickEditableFields(data);
+  if (!fields.name || !fields.slug) {
+    return { error: 'name and slug are required' };
+  }
+  if (admin && (!admin.email || !admin.password)) {
+    return { error: 'admin.email and admin.password are required to create the first admin' };
+  }
+
+  if (await Organization.exists({ slug: String(fields.slug).toLowerCase().trim() })) {
+    return { error: `Slug ${fields.slug} is already in use` };
+  }
+
+  const organization = await Organization.create({
+    ...fields,
+    createdBy: userId,
+    lastUpdatedBy: userId
+  });
+
+  let adminUser = null;
+  if (admin) {
+    try {
+      adminUser = await tenantContext.runWithOrganization(organization._id, () => User.create({
+        email: admin.email,
+        password: admin.password,
+        firstName: admin.firstName,
+        lastName: admin.lastName,
+        role: 'ptgAdmin'
+      }));
+    } catch (error) {
+      // Don't leave an organization nobody can sign in to
+      await Organization.deleteOne({ _id: organization._id });
+      throw error;
+    }
+  }
+
+  // Logged in the organization itself, not the one the super admin is currently acting in
+  await tenantContext.runUnscoped(() => AuditLog.create({
+    action: 'create_organization',
+    entityType: 'organization',
+    entityId: organization._id,
+    userId,
+    organizationId: organization._id,
+    details: {
+      name: organization.name,
+      slug: organization.slug,
+      adminUserId: adminUser?._id,
+      adminEmail: adminUser?.email
+    },
+    notes: `Created organization ${organization.name} (${organization.slug})`
+  }));
+
+  return { organization, adminUser };
+}
+
+/**
+ * Update an organization's details, or suspend/reactivate it with { active }
+ * @returns {Promise<{organization?: Object, error?: string, notFound?: boolean}>}
+ */
+async function updateOrganization(id, data, user) {
+  const organization = await Organization.findById(id);
+  if (!organization) {
+    return { error: 'Organization not found', notFound: true };
+  }
+
+  const fields = pickEditableFields(data);
+  if (Object.keys(fields).length === 0) {
+    return { error: `Nothing to update (allowed fields: ${EDITABLE_FIELDS.join(', ')})` };
+  }
+  if (fields.active === false && organization._id.equals(user.organizationId)) {
+    return { error: 'You cannot deactivate your own organization' };
+  }
+  if (fields.slug && String(fields.slug).toLowerCase().trim() !== organization.slug &&
+      await Organization.exists({ slug: String(fields.slug).toLowerCase().trim() })) {
+    return { error: `Slug ${fields.slug} is already in use` };
+  }
+
+  const previous = {};
+  Object.keys(fields).forEach(field => {
+    previous[field] = organization[field];
+  });
+
+  Object.assign(organization, fields, { lastUpdatedBy: user._id });
+  await organization.save();
+
+  // Logged in the organization itself, not the one the super admin is currently acting in
+  await tenantContext.runUnscoped(() => AuditLog.create({
+    action: 'update_organization',
+    entityType: 'organization',
+    entityId: organization._id,
+    userId: user._id,
+    organizationId: organization._id,
+    details: { previous, changes: fields },
+    notes: `Updated organization ${organization.name} (${Object.keys(fields).join(', ')})`
+  }));
+
+  return { organization };
+}
+
+module.exports = {
+  getDefaultOrganization,
+  getUnmigratedCounts,
+  findPublicOrganization,
+  resolveUserOrganization,
+  listOrganizations,
+  getOrganization,
+  createOrganization,
+  updateOrganization
+};
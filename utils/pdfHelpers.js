@@ -0,0 +1,110 @@
+/**
+ * PDF Helpers
+ *
+ * Shared pdfkit helpers for the generated documents (invoices, settlements, ...):
+ * formatting, simple table rows, page breaks and buffering a document into memory.
+ */
+
+const PDFDocument = require('pdfkit');
+
+const PAGE_MARGIN = 50;
+const TABLE_BOTTOM_LIMIT = 700;
+
+const formatCurrency = (value) => `${(value || 0) < 0 ? '-' : ''}$${Math.abs(value || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' }) : '-');
+
+const formatLabel = (value) => (value || '').replace(/_/g, ' ').replace(/\b\w/g, char => char.toUpperCase());
+
+/**
+ * Draw one table row; returns the y position below the row
+ * @param {PDFDocument} doc - pdfkit document
+ * @param {number} y - Top of the row
+ * @param {Array<{x: number, width: number, text: string, align?: string}>} columns - Cells
+ * @param {Object} options - { bold }
+ */
+function drawRow(doc, y, columns, options = {}) {
+  const { bold = false } = options;
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+
+  const heights = columns.map(column =>
+    doc.heightOfString(column.text || '', { width: column.width, align: column.align || 'left' })
+  );
+
+  columns.forEach(column => {
+    doc.text(column.text || '', column.x, y, { width: column.width, align: column.align || 'left' });
+  });
+
+  return y + Math.max(...heights, 10) + 6;
+}
+
+/**
+ * Start a new page when the next row would run past the bottom margin
+ */
+function ensureSpace(doc, y, needed = 40) {
+  if (y + needed > TABLE_BOTTOM_LIMIT) {
+    doc.addPage();
+    return PAGE_MARGIN;
+  }
+  return y;
+}
+
+/**
+ * Draw the company header (left) with a document title and detail lines (right)
+ * @param {PDFDocument} doc - pdfkit document
+ * @param {string} title - e.g. 'INVOICE'
+ * @param {Array<string>} detailLines - Lines under the title; falsy entries are skipped
+ * @returns {number} y position below the header
+ */
+function drawDocumentHeader(doc, title, detailLines = []) {
+  const pageWidth = doc.page.width - PAGE_MARGIN * 2;
+
+  doc.font('Helvetica-Bold').fontSize(20).text(process.env.BRAND_NAME || 'PTG', PAGE_MARGIN, PAGE_MARGIN);
+  doc.font('Helvetica').fontSize(9);
+  [process.env.COMPANY_ADDRESS, process.env.COMPANY_PHONE, process.env.COMPANY_EMAIL]
+    .filter(Boolean)
+    .forEach(line => doc.text(line));
+  const leftBottom = doc.y;
+
+  doc.font('Helvetica-Bold').fontSize(16).text(title, PAGE_MARGIN, PAGE_MARGIN, { width: pageWidth, align: 'right' });
+  doc.font('Helvetica').fontSize(9);
+  detailLines.filter(Boolean).forEach(line => doc.text(line, { width: pageWidth, align: 'right' }));
+
+  return Math.max(doc.y, leftBottom);
+}
+
+/**
+ * Create a pdfkit document, let the caller draw into it and resolve with the PDF bytes
+ * @param {Function} draw - (doc) => void; must not call doc.end()
+ * @param {Object} options - pdfkit document options
+ * @returns {Promise<Buffer>}
+ */
+function renderPdf(draw, options = {}) {
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({ size: 'LETTER', margin: PAGE_MARGIN, ...options });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      draw(doc);
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+module.exports = {
+  PAGE_MARGIN,
+  TABLE_BOTTOM_LIMIT,
+  formatCurrency,
+  formatDate,
+  formatLabel,
+  drawRow,
+  ensureSpace,
+  drawDocumentHeader,
+  renderPdf
+};
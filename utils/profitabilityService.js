@@ -0,0 +1,422 @@
+/**
+ * Profitability Reconciliation Service
+ *
+ * Compares the estimates of VehicleProfitCalculation with what a delivered vehicle transport
+ * actually earned and cost:
+ * - Actual revenue: the transport job's carrierPayment
+ * - Actual cost: the fuel, toll, maintenance and other Expenses of every route that carried the
+ *   vehicle, plus the driver pay of the route (the settlement line when the route was settled,
+ *   else the driver's active pay profile applied to the route), allocated across the jobs on the
+ *   route by loaded miles - the planned stop-to-stop miles between each job's pickup and drop
+ *   (a job picked up on an earlier route is carried from the start, one dropped on a later route
+ *   to the end). Routes without stop distances split their costs equally between their jobs.
+ * Variance is actual - estimated, reported per vehicle, per shipper and per route.
+ */
+
+const Route = require('../models/Route');
+const Vehicle = require('../models/Vehicle');
+const Expense = require('../models/Expense');
+const TransportJob = require('../models/TransportJob');
+const RouteTracking = require('../models/routeTracker');
+const DriverSettlement = require('../models/DriverSettlement');
+const DriverPayProfile = require('../models/DriverPayProfile');
+const VehicleProfitCalculation = require('../models/VehicleProfitCalculation');
+const { calculateRoutePay } = require('./settlementService');
+const {
+  TRANSPORT_JOB_STATUS,
+  ROUTE_STATUS,
+  ROUTE_STOP_TYPE,
+  SETTLEMENT_STATUS
+} = require('../constants/status');
+
+// Cost components, in report order; expenses of types not listed here count as 'other'
+const COST_COMPONENTS = ['fuel', 'tolls', 'maintenance', 'driverPay', 'other'];
+const EXPENSE_COMPONENT = {
+  fuel: 'fuel',
+  toll: 'tolls',
+  maintenance: 'maintenance'
+};
+
+const round = (value, decimals = 2) => Math.round((value || 0) * 10 ** decimals) / 10 ** decimals;
+
+const getId = (ref) => (ref && ref._id ? ref._id : ref)?.toString() || null;
+
+const emptyCosts = () => Object.fromEntries(COST_COMPONENTS.map(component => [component, 0]));
+
+/**
+ * Loaded miles of every transport job on a route
+ * @param {Object} route - Route with stops
+ * @returns {Map<string, number>} transportJobId -> miles
+ */
+function getLoadedMilesByJob(route) {
+  const stops = [...(route.stops || [])].sort((a, b) => (a.sequence || 0) - (b.sequence || 0));
+  const milesByJob = new Map();
+
+  const jobIds = [...new Set(stops
+    .filter(stop => stop.transportJobId &&
+      (stop.stopType === ROUTE_STOP_TYPE.PICKUP || stop.stopType === ROUTE_STOP_TYPE.DROP))
+    .map(stop => getId(stop.transportJobId)))];
+
+  jobIds.forEach(jobId => {
+    const indexOf = (stopType) => stops.findIndex(stop =>
+      stop.stopType === stopType && getId(stop.transportJobId) === jobId);
+    const pickupIndex = indexOf(ROUTE_STOP_TYPE.PICKUP);
+    const dropIndex = indexOf(ROUTE_STOP_TYPE.DROP);
+    const from = pickupIndex === -1 ? 0 : pickupIndex + 1;
+    const to = dropIndex === -1 ? stops.length - 1 : dropIndex;
+
+    let miles = 0;
+    for (let i = from; i <= to; i++) {
+      miles += stops[i].distanceFromPrevious?.value || 0;
+    }
+    milesByJob.set(jobId, miles);
+  });
+
+  return milesByJob;
+}
+
+/**
+ * Share (0-1) of a route's costs carried by each of its jobs
+ * @param {Map<string, number>} milesByJob - Result of getLoadedMilesByJob
+ * @returns {Map<string, number>}
+ */
+function getCostShares(milesByJob) {
+  const totalMiles = [...milesByJob.values()].reduce((sum, miles) => sum + miles, 0);
+  const shares = new Map();
+  milesByJob.forEach((miles, jobId) => {
+    shares.set(jobId, totalMiles > 0 ? miles / totalMiles : 1 / milesByJob.size);
+  });
+  return shares;
+}
+
+/**
+ * Costs of each route: expenses by component and driver pay
+ * @returns {Promise<Map<string, {costs: Object, driverPaySource: string}>>}
+ */
+async function getRouteCosts(routes) {
+  const routeIds = routes.map(route => route._id);
+  const costsByRoute = new Map(routes.map(route => [route._id.toString(), {
+    costs: emptyCosts(),
+    driverPaySource: 'none'
+  }]));
+
+  const expenses = await Expense.find({ routeId: { $in: routeIds } }).select('routeId type totalCost');
+  expenses.forEach(expense => {
+    const entry = costsByRoute.get(getId(expense.routeId));
+    if (entry) entry.costs[EXPENSE_COMPONENT[expense.type] || 'other'] += expense.totalCost || 0;
+  });
+
+  // Settled routes: the pay line of the (non-rejected) settlement
+  const settlements = await DriverSettlement.find({
+    'routes.routeId': { $in: routeIds },
+    status: { $ne: SETTLEMENT_STATUS.REJECTED }
+  }).select('routes.routeId routes.amount');
+  settlements.forEach(settlement => settlement.routes.forEach(line => {
+    const entry = costsByRoute.get(getId(line.routeId));
+    if (entry && entry.driverPaySource !== 'settlement') {
+      entry.costs.driverPay = line.amount || 0;
+      entry.driverPaySource = 'settlement';
+    }
+  }));
+
+  // Other completed routes: the driver's active pay profile
+  const unsettled = routes.filter(route => route.status === ROUTE_STATUS.COMPLETED && route.driverId &&
+    costsByRoute.get(route._id.toString()).driverPaySource === 'none');
+  if (unsettled.length > 0) {
+    const payProfiles = await DriverPayProfile.find({
+      driverId: { $in: unsettled.map(route => route.driverId) },
+      active: true
+    });
+    const payProfileByDriver = new Map(payProfiles.map(profile => [profile.driverId.toString(), profile]));
+
+    const jobIds = [...new Set(unsettled.flatMap(route => route.stops
+      .filter(stop => stop.transportJobId)
+      .map(stop => getId(stop.transportJobId))))];
+    const jobs = await TransportJob.find({ _id: { $in: jobIds } }).select('carrierPayment');
+    const carrierPaymentByJobId = new Map(jobs.map(job => [job._id.toString(), job.carrierPayment || 0]));
+
+    const hourlyRouteIds = unsettled
+      .filter(route => payProfileByDriver.get(getId(route.driverId))?.payType === 'hourly')
+      .map(route => route._id);
+    const trackers = hourlyRouteIds.length > 0
+      ? await RouteTracking.find({ routeId: { $in: hourlyRouteIds } })
+        .select('routeId history.type history.timestamp history.meta.action')
+      : [];
+    const historyByRouteId = new Map(trackers.map(tracker => [tracker.routeId.toString(), tracker.history]));
+
+    unsettled.forEach(route => {
+      const payProfile = payProfileByDriver.get(getId(route.driverId));
+      if (!payProfile) return;
+      const entry = costsByRoute.get(route._id.toString());
+      entry.costs.driverPay = calculateRoutePay(
+        route, payProfile, carrierPaymentByJobId, historyByRouteId.get(route._id.toString())
+      ).amount;
+      entry.driverPaySource = 'pay_profile';
+    });
+  }
+
+  return costsByRoute;
+}
+
+/**
+ * Rounded money figures { revenue, costs, totalCost, profit, margin }
+ */
+function summarizeFigures(revenue, costs) {
+  const totalCost = COST_COMPONENTS.reduce((sum, component) => sum + (costs[component] || 0), 0);
+  const profit = revenue - totalCost;
+  return {
+    revenue: round(revenue),
+    costs: Object.fromEntries(COST_COMPONENTS.map(component => [component, round(costs[component])])),
+    totalCost: round(totalCost),
+    profit: round(profit),
+    margin: revenue ? round(profit / revenue * 100, 1) : null
+  };
+}
+
+/**
+ * Estimated figures of a VehicleProfitCalculation (there is no driver pay estimate)
+ */
+function getEstimate(calculation) {
+  if (!calculation) return null;
+  return {
+    miles: round(calculation.totalMiles, 1),
+    ratePerMile: round(calculation.ratePerMile),
+    mpg: calculation.mpg,
+    ppg: calculation.ppg,
+    ...summarizeFigures(calculation.rate || 0, {
+      ...emptyCosts(),
+      fuel: calculation.gasCost || 0,
+      tolls: calculation.estimatedTolls || 0,
+      maintenance: calculation.estimatedMaintenance || 0
+    })
+  };
+}
+
+/**
+ * Actual - estimated for each figure (null without an estimate)
+ */
+function getVariance(estimated, actual) {
+  if (!estimated) return null;
+  return {
+    revenue: round(actual.revenue - estimated.revenue),
+    costs: Object.fromEntries(COST_COMPONENTS.map(component =>
+      [component, round((actual.costs[component] || 0) - (estimated.costs[component] || 0))])),
+    totalCost: round(actual.totalCost - estimated.totalCost),
+    profit: round(actual.profit - estimated.profit),
+    profitPercent: estimated.profit ? round((actual.profit - estimated.profit) / Math.abs(estimated.profit) * 100, 1) : null
+  };
+}
+
+/**
+ * Add a vehicle to a group: its actual costs, and its revenue and estimate scaled by share
+ */
+function addToGroup(group, estimated, revenue, costs, share = 1) {
+  group.vehicles++;
+  group.actualRevenue += revenue * share;
+  COST_COMPONENTS.forEach(component => {
+    group.actualCosts[component] += costs[component] || 0;
+  });
+  if (estimated) {
+    group.estimatedVehicles++;
+    group.estimatedRevenue += estimated.revenue * share;
+    COST_COMPONENTS.forEach(component => {
+      group.estimatedCosts[component] += (estimated.costs[component] || 0) * share;
+    });
+  }
+}
+
+const newGroup = (fields) => ({
+  ...fields,
+  vehicles: 0,
+  estimatedVehicles: 0,
+  estimatedRevenue: 0,
+  estimatedCosts: emptyCosts(),
+  actualRevenue: 0,
+  actualCosts: emptyCosts()
+});
+
+/**
+ * Rounded group output; the estimate only covers vehicles that have one, so the variance
+ * is left out when some vehicles of the group have no estimate
+ */
+function finalizeGroup({ estimatedRevenue, estimatedCosts, actualRevenue, actualCosts, ...group }) {
+  const estimated = group.estimatedVehicles > 0 ? summarizeFigures(estimatedRevenue, estimatedCosts) : null;
+  const actual = summarizeFigures(actualRevenue, actualCosts);
+  return {
+    ...group,
+    estimated,
+    actual,
+    variance: group.estimatedVehicles === group.vehicles ? getVariance(estimated, actual) : null
+  };
+}
+
+/**
+ * Estimate vs actual profitability of delivered vehicle transports
+ * @param {Object} filters - { startDate?, endDate? (delivery date, default last 30 days), vehicleId?, shipperId?, routeId? }
+ * @returns {Promise<{period, totals, vehicles: Array, shippers: Array, routes: Array}>}
+ */
+async function getProfitabilityReport({ startDate, endDate, vehicleId, shipperId, routeId } = {}) {
+  const end = endDate ? new Date(endDate) : new Date();
+  const start = startDate ? new Date(startDate) : new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+  const jobQuery = {
+    loadType: 'vehicle',
+    status: TRANSPORT_JOB_STATUS.DELIVERED,
+    deleted: { $ne: true },
+    // A job is last updated at or after its delivery
+    updatedAt: { $gte: start }
+  };
+  if (vehicleId) {
+    jobQuery.vehicleId = vehicleId;
+  } else if (shipperId) {
+    const shipperVehicles = await Vehicle.find({ shipperId }).select('_id');
+    jobQuery.vehicleId = { $in: shipperVehicles.map(vehicle => vehicle._id) };
+  }
+
+  const candidateJobs = await TransportJob.find(jobQuery)
+    .select('jobNumber vehicleId carrierPayment routeId pickupRouteId dropRouteId updatedAt')
+    .populate('vehicleId', 'vin year make model shipperId shipperName shipperCompany');
+
+  const routes = candidateJobs.length > 0
+    ? await Route.find({
+      'stops.transportJobId': { $in: candidateJobs.map(job => job._id) },
+      deleted: { $ne: true }
+    }).select('routeNumber status driverId truckId stops totalDistance actualDistanceTraveled actualStartDate actualEndDate')
+    : [];
+
+  // Delivery date: completion of the drop stop, else the job's last update
+  const deliveredAtByJob = new Map();
+  routes.forEach(route => route.stops.forEach(stop => {
+    if (stop.stopType === ROUTE_STOP_TYPE.DROP && stop.transportJobId && stop.actualDate) {
+      deliveredAtByJob.set(getId(stop.transportJobId), stop.actualDate);
+    }
+  }));
+  const routeJobIds = routeId && new Set((routes.find(route => route._id.toString() === routeId.toString())?.stops || [])
+    .map(stop => getId(stop.transportJobId)));
+  const jobs = candidateJobs.filter(job => {
+    const deliveredAt = deliveredAtByJob.get(job._id.toString()) || job.updatedAt;
+    if (shipperId && getId(job.vehicleId?.shipperId) !== shipperId.toString()) return false;
+    if (routeJobIds && !routeJobIds.has(job._id.toString())) return false;
+    return deliveredAt >= start && deliveredAt <= end;
+  });
+  const jobIdSet = new Set(jobs.map(job => job._id.toString()));
+
+  const carryingRoutes = routes.filter(route => route.stops.some(stop => jobIdSet.has(getId(stop.transportJobId))));
+  const [costsByRoute, calculations] = await Promise.all([
+    getRouteCosts(carryingRoutes),
+    VehicleProfitCalculation.find({ vehicleId: { $in: jobs.map(job => getId(job.vehicleId)).filter(Boolean) } })
+  ]);
+  const calculationByVehicle = new Map(calculations.map(calculation => [calculation.vehicleId.toString(), calculation]));
+
+  const routeAllocations = carryingRoutes.map(route => {
+    const milesByJob = getLoadedMilesByJob(route);
+    return { route, milesByJob, shares: getCostShares(milesByJob) };
+  });
+
+  const shipperGroups = new Map();
+  const routeGroups = new Map();
+  const totalsGroup = newGroup({});
+
+  const vehicles = jobs.map(job => {
+    const jobId = job._id.toString();
+    const vehicle = job.vehicleId;
+    const estimated = getEstimate(vehicle && calculationByVehicle.get(vehicle._id.toString()));
+    const revenue = job.carrierPayment || 0;
+
+    const costs = emptyCosts();
+    const routeLines = routeAllocations
+      .filter(allocation => allocation.shares.has(jobId))
+      .map(({ route, milesByJob, shares }) => {
+        const share = shares.get(jobId);
+        const routeCosts = costsByRoute.get(route._id.toString());
+        const allocated = Object.fromEntries(COST_COMPONENTS.map(component =>
+          [component, routeCosts.costs[component] * share]));
+        COST_COMPONENTS.forEach(component => { costs[component] += allocated[component]; });
+        return {
+          routeId: route._id,
+          routeNumber: route.routeNumber,
+          routeStatus: route.status,
+          loadedMiles: round(milesByJob.get(jobId), 1),
+          costShare: round(share, 4),
+          driverPaySource: routeCosts.driverPaySource,
+          allocatedCost: round(COST_COMPONENTS.reduce((sum, component) => sum + allocated[component], 0)),
+          allocatedCosts: allocated
+        };
+      });
+
+    const loadedMiles = routeLines.reduce((sum, line) => sum + line.loadedMiles, 0);
+    const actual = {
+      miles: round(loadedMiles, 1),
+      ratePerMile: loadedMiles > 0 ? round(revenue / loadedMiles) : null,
+      ...summarizeFigures(revenue, costs)
+    };
+
+    // Revenue and estimates are split between the carrying routes by loaded miles
+    routeLines.forEach(line => {
+      const routeShare = loadedMiles > 0 ? line.loadedMiles / loadedMiles : 1 / routeLines.length;
+      const key = line.routeId.toString();
+      if (!routeGroups.has(key)) {
+        routeGroups.set(key, newGroup({ routeId: line.routeId, routeNumber: line.routeNumber, routeStatus: line.routeStatus }));
+      }
+      addToGroup(routeGroups.get(key), estimated, revenue, line.allocatedCosts, routeShare);
+      delete line.allocatedCosts;
+    });
+
+    const shipperKey = getId(vehicle?.shipperId) || 'none';
+    if (!shipperGroups.has(shipperKey)) {
+      shipperGroups.set(shipperKey, newGroup({
+        shipperId: vehicle?.shipperId || null,
+        shipperName: vehicle?.shipperCompany || vehicle?.shipperName || null
+      }));
+    }
+    addToGroup(shipperGroups.get(shipperKey), estimated, revenue, costs);
+    addToGroup(totalsGroup, estimated, revenue, costs);
+
+    const warnings = [];
+    if (!estimated) warnings.push('No profit estimate for this vehicle');
+    if (!job.carrierPayment) warnings.push('Transport job has no carrier payment');
+    if (routeLines.length === 0) warnings.push('No route carried this vehicle');
+    if (routeLines.some(line => line.routeStatus !== ROUTE_STATUS.COMPLETED)) {
+      warnings.push('A carrying route is not completed yet; its costs may be incomplete');
+    }
+    if (routeLines.some(line => line.driverPaySource === 'none')) {
+      warnings.push('Driver pay unknown for a carrying route (no settlement or active pay profile)');
+    }
+
+    return {
+      transportJobId: job._id,
+      jobNumber: job.jobNumber,
+      vehicle: vehicle ? {
+        _id: vehicle._id,
+        vin: vehicle.vin,
+        year: vehicle.year,
+        make: vehicle.make,
+        model: vehicle.model
+      } : null,
+      shipperId: vehicle?.shipperId || null,
+      deliveredAt: deliveredAtByJob.get(jobId) || job.updatedAt,
+      routes: routeLines,
+      estimated,
+      actual,
+      variance: getVariance(estimated, actual),
+      warnings
+    };
+  });
+
+  const byProfitVariance = (a, b) => (a.variance?.profit ?? Infinity) - (b.variance?.profit ?? Infinity);
+
+  return {
+    period: { startDate: start, endDate: end },
+    totals: finalizeGroup(totalsGroup),
+    vehicles: vehicles.sort(byProfitVariance),
+    shippers: [...shipperGroups.values()].map(finalizeGroup).sort(byProfitVariance),
+    routes: [...routeGroups.values()].map(finalizeGroup).sort(byProfitVariance)
+  };
+}
+
+module.exports = {
+  COST_COMPONENTS,
+  getLoadedMilesByJob,
+  getCostShares,
+  getProfitabilityReport
+};
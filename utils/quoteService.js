@@ -0,0 +1,547 @@
+/**
+ * Quote Service
+ *
+ * Prices customer quotes from the active rate table and turns accepted quotes into work:
+ * - Miles: Google directions between the geocoded pickup and drop ZIPs, the straight-line
+ *   estimate when directions are unavailable, or miles entered by the dispatcher
+ * - Price per vehicle: line haul (lane rate per mile x miles x vehicle type multiplier, at least
+ *   the lane/table minimum) + inoperable surcharge + enclosed surcharge (% of line haul) + fuel
+ *   surcharge (% of line haul indexed to the diesel price: the rate table's current price, else
+ *   the average price of recent diesel expenses)
+ * - Acceptance creates (or finds) the Shipper, then a Vehicle, TransportJob and
+ *   VehicleProfitCalculation per vehicle in one transaction, so a failed step leaves nothing behind
+ */
+
+const Quote = require('../models/Quote');
+const Vehicle = require('../models/Vehicle');
+const Expense = require('../models/Expense');
+const RateTable = require('../models/RateTable');
+const TransportJob = require('../models/TransportJob');
+const VehicleProfitCalculation = require('../models/VehicleProfitCalculation');
+const AuditLog = require('../models/AuditLog');
+const locationService = require('./locationService');
+const { getStateAt, normalizeStateCode } = require('./stateLookup');
+const { findOrCreateShipper } = require('./shipperService');
+const { applyVinDecode } = require('./vinDecoder');
+const { updateVehicleOnCreate, updateStatusOnTransportJobCreate } = require('./statusManager');
+const transactionService = require('./transactionService');
+const {
+  QUOTE_STATUS,
+  QUOTE_VEHICLE_TYPES,
+  MAX_QUOTE_VEHICLES,
+  DEFAULT_RATE_TABLE
+} = require('../constants/quote');
+
+const QUOTE_VALIDITY_DAYS = parseInt(process.env.QUOTE_VALIDITY_DAYS) || 7;
+// Days of diesel expenses averaged for the fuel surcharge when the rate table has no current price
+const FUEL_INDEX_DAYS = parseInt(process.env.QUOTE_FUEL_INDEX_DAYS) || 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ZIP_PATTERN = /^\d{5}(-\d{4})?$/;
+
+const round = (value, decimals = 2) => Math.round((value || 0) * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Validate the quote request fields shared by the dispatcher and public endpoints
+ * @returns {Array<string>} errors
+ */
+function validateQuoteRequest(data) {
+  const errors = [];
+  ['pickup', 'drop'].forEach(key => {
+    if (!ZIP_PATTERN.test(String(data[key]?.zip || '').trim())) {
+      errors.push(`${key}.zip must be a 5-digit ZIP code`);
+    }
+  });
+  const vehicleCount = data.vehicleCount === undefined ? 1 : Number(data.vehicleCount);
+  if (!Number.isInteger(vehicleCount) || vehicleCount < 1 || vehicleCount > MAX_QUOTE_VEHICLES) {
+    errors.push(`vehicleCount must be between 1 and ${MAX_QUOTE_VEHICLES}`);
+  }
+  if (data.vehicleType && !QUOTE_VEHICLE_TYPES.includes(data.vehicleType)) {
+    errors.push(`vehicleType must be one of: ${QUOTE_VEHICLE_TYPES.join(', ')}`);
+  }
+  if (data.miles !== undefined && data.miles !== null && !(Number(data.miles) > 0)) {
+    errors.push('miles must be a positive number');
+  }
+  if (data.pickupDate && isNaN(new Date(data.pickupDate).getTime())) {
+    errors.push('pickupDate must be a valid date');
+  }
+  return errors;
+}
+
+/**
+ * The active rate table, or the built-in default
+ */
+async function getActiveRateTable() {
+  return (await RateTable.findOne({ active: true }).sort({ updatedAt: -1 })) || DEFAULT_RATE_TABLE;
+}
+
+/**
+ * Diesel price for the fuel surcharge
+ * @returns {Promise<{ppg: number|null, source: 'rate_table'|'expenses'|'none'}>}
+ */
+async function getFuelPrice(rateTable) {
+  if (rateTable.fuelSurcharge?.currentPpg) {
+    return { ppg: rateTable.fuelSurcharge.currentPpg, source: 'rate_table' };
+  }
+
+  const [average] = await Expense.aggregate([
+    {
+      $match: {
+        type: 'fuel',
+        category: 'diesel',
+        pricePerGallon: { $gt: 0 },
+        createdAt: { $gte: new Date(Date.now() - FUEL_INDEX_DAYS * DAY_MS) }
+      }
+    },
+    { $group: { _id: null, ppg: { $avg: '$pricePerGallon' } } }
+  ]);
+  return average ? { ppg: round(average.ppg, 3), source: 'expenses' } : { ppg: null, source: 'none' };
+}
+
+/**
+ * Lane rate for a state pair: exact lane, then origin to any, any to destination, any to any
+ */
+function findLaneRate(rateTable, originState, destinationState) {
+  const lanes = rateTable.lanes || [];
+  const candidates = [
+    [originState, destinationState],
+    [originState, '*'],
+    ['*', destinationState],
+    ['*', '*']
+  ];
+  for (const [origin, destination] of candidates) {
+    if (!origin || !destination) continue;
+    const lane = lanes.find(entry => entry.originState === origin && entry.destinationState === destination);
+    if (lane) return { ...(lane.toObject ? lane.toObject() : lane), key: `${origin}-${destination}` };
+  }
+  return null;
+}
+
+/**
+ * Price of a quote
+ * @param {Object} rateTable - RateTable (or DEFAULT_RATE_TABLE)
+ * @param {Object} request - { miles, pickupState, dropState, vehicleCount, vehicleType, operable, enclosed }
+ * @param {Object} fuel - Result of getFuelPrice
+ * @returns {{pricing: Object, totalPrice: number}}
+ */
+function calculatePrice(rateTable, request, fuel) {
+  const lane = findLaneRate(rateTable, request.pickupState, request.dropState);
+  const ratePerMile = lane ? lane.ratePerMile : rateTable.defaultRatePerMile;
+  const minimumCharge = lane?.minimumCharge ?? rateTable.minimumCharge ?? 0;
+  const multiplier = (rateTable.vehicleTypeMultipliers || [])
+    .find(entry => entry.vehicleType === request.vehicleType)?.multiplier ?? 1;
+
+  const mileageCharge = request.miles * ratePerMile * multiplier;
+  const linehaul = Math.max(mileageCharge, minimumCharge);
+  const inoperableSurcharge = request.operable === false ? rateTable.inoperableSurcharge || 0 : 0;
+  const enclosedSurcharge = request.enclosed ? linehaul * (rateTable.enclosedSurchargePercent || 0) / 100 : 0;
+
+  const fuelSettings = rateTable.fuelSurcharge || {};
+  let fuelSurchargePercent = 0;
+  if (fuelSettings.enabled !== false && fuel.ppg && fuel.ppg > fuelSettings.basePpg) {
+    const steps = Math.floor((fuel.ppg - fuelSettings.basePpg) / (fuelSettings.stepPpg || 0.1) + 1e-9);
+    fuelSurchargePercent = steps * (fuelSettings.percentPerStep || 0);
+    if (fuelSettings.maxPercent != null) fuelSurchargePercent = Math.min(fuelSurchargePercent, fuelSettings.maxPercent);
+  }
+  const fuelSurcharge = linehaul * fuelSurchargePercent / 100;
+
+  const pricePerVehicle = round(linehaul + inoperableSurcharge + enclosedSurcharge + fuelSurcharge);
+
+  return {
+    pricing: {
+      lane: lane ? lane.key : 'default',
+      ratePerMile,
+      vehicleTypeMultiplier: multiplier,
+      minimumApplied: mileageCharge < minimumCharge,
+      linehaul: round(linehaul),
+      inoperableSurcharge: round(inoperableSurcharge),
+      enclosedSurcharge: round(enclosedSurcharge),
+      fuelPpg: fuel.ppg,
+      fuelPpgSource: fuel.source,
+      fuelSurchargePercent,
+      fuelSurcharge: round(fuelSurcharge),
+      pricePerVehicle
+    },
+    totalPrice: round(pricePerVehicle * request.vehicleCount)
+  };
+}
+
+/**
+ * Geocode a quote location from its ZIP (and city/state when given) and fill in its state
+ * @returns {Promise<Object>} location with latitude/longitude when found
+ */
+async function resolveLocation(location) {
+  const resolved = {
+    zip: String(location.zip).trim(),
+    locationName: location.locationName,
+    city: location.city,
+    state: location.state,
+    contactName: location.contactName,
+    contactPhone: location.contactPhone
+  };
+  try {
+    const address = [resolved.city, resolved.state, resolved.zip, 'USA'].filter(Boolean).join(', ');
+    const { latitude, longitude } = await locationService.geocodeAddress(address);
+    resolved.latitude = latitude;
+    resolved.longitude = longitude;
+  } catch (error) {
+    // Priced with manual miles, or rejected below
+  }
+  resolved.state = normalizeStateCode(resolved.state) ||
+    (resolved.latitude != null ? getStateAt(resolved.latitude, resolved.longitude) : null) ||
+    undefined;
+  return resolved;
+}
+
+/**
+ * Miles between the pickup and drop
+ * @returns {Promise<{miles: number, source: string}|null>} null when they cannot be located
+ */
+async function getQuoteMiles(pickup, drop, manualMiles) {
+  if (manualMiles) return { miles: round(Number(manualMiles), 1), source: 'manual' };
+  if (pickup.latitude == null || drop.latitude == null) return null;
+
+  try {
+    const result = await locationService.calculateDistance(pickup, drop);
+    return { miles: round(result.distance.value, 1), source: 'google' };
+  } catch (error) {
+    const estimate = locationService.estimateDrivingDistance(pickup, drop);
+    return { miles: round(estimate.distance.value, 1), source: 'estimated' };
+  }
+}
+
+/**
+ * Locate, measure and price a quote request without saving it
+ * @param {Object} data - { pickup: { zip, city?, state?, ... }, drop, vehicleCount?, vehicleType?, operable?, enclosed?, miles? }
+ * @returns {Promise<{errors: Array<string>, quote?: Object}>} quote fields ready for Quote.create
+ */
+async function buildQuote(data) {
+  const errors = validateQuoteRequest(data);
+  if (errors.length > 0) return { errors };
+
+  const [pickup, drop] = await Promise.all([resolveLocation(data.pickup), resolveLocation(data.drop)]);
+  const distance = await getQuoteMiles(pickup, drop, data.miles);
+  if (!distance) {
+    return { errors: ['Could not locate the pickup or drop ZIP code; enter the miles manually'] };
+  }
+
+  const rateTable = await getActiveRateTable();
+  const fuel = await getFuelPrice(rateTable);
+  const request = {
+    miles: distance.miles,
+    pickupState: pickup.state,
+    dropState: drop.state,
+    vehicleCount: Number(data.vehicleCount) || 1,
+    vehicleType: data.vehicleType || 'sedan',
+    operable: data.operable !== false && data.operable !== 'false',
+    enclosed: data.enclosed === true || data.enclosed === 'true'
+  };
+  const { pricing, totalPrice } = calculatePrice(rateTable, request, fuel);
+
+  return {
+    errors: [],
+    quote: {
+      pickup,
+      drop,
+      pickupDate: data.pickupDate ? new Date(data.pickupDate) : undefined,
+      vehicleCount: request.vehicleCount,
+      vehicleType: request.vehicleType,
+      operable: request.operable,
+      enclosed: request.enclosed,
+      miles: distance.miles,
+      milesSource: distance.source,
+      rateTableId: rateTable._id || undefined,
+      pricing,
+      totalPrice,
+      expiresAt: new Date(Date.now() + QUOTE_VALIDITY_DAYS * DAY_MS)
+    }
+  };
+}
+
+/**
+ * Mark open quotes past their expiry as expired
+ * @returns {Promise<number>} Quotes expired
+ */
+async function expireQuotes() {
+  const result = await Quote.updateMany(
+    { status: QUOTE_STATUS.OPEN, expiresAt: { $lte: new Date() } },
+    { status: QUOTE_STATUS.EXPIRED }
+  );
+  return result.modifiedCount || 0;
+}
+
+/**
+ * Fill year/make/model of one quoted vehicle's details from its VIN
+ */
+async function decodeQuotedVehicle(details) {
+  if (!details?.vin) return details || {};
+  const decodedDetails = { ...details };
+  const { vinDecode } = await applyVinDecode(decodedDetails);
+  decodedDetails.vinDecode = vinDecode;
+  return decodedDetails;
+}
+
+/**
+ * Create the vehicle, transport job and profit calculation of one quoted vehicle
+ * @param {Object} details - Result of decodeQuotedVehicle
+ */
+async function createQuotedVehicle(quote, shipper, details, userId) {
+  const vehicleData = {
+    vin: details.vin,
+    year: details.year,
+    make: details.make,
+    model: details.model,
+    notes: details.notes,
+    vinDecode: details.vinDecode,
+    shipperId: shipper._id,
+    shipperName: shipper.shipperName,
+    shipperCompany: shipper.shipperCompany,
+    shipperEmail: shipper.shipperEmail,
+    shipperPhone: shipper.shipperPhone,
+    initialPickupLocationName: quote.pickup.locationName,
+    initialPickupCity: quote.pickup.city,
+    initialPickupState: quote.pickup.state,
+    initialPickupZip: quote.pickup.zip,
+    initialPickupContactName: quote.pickup.contactName,
+    initialPickupContactPhone: quote.pickup.contactPhone,
+    initialDropLocationName: quote.drop.locationName,
+    initialDropCity: quote.drop.city,
+    initialDropState: quote.drop.state,
+    initialDropZip: quote.drop.zip,
+    initialDropContactName: quote.drop.contactName,
+    initialDropContactPhone: quote.drop.contactPhone,
+    source: 'QUOTE',
+    createdBy: userId
+  };
+
+  const vehicle = await Vehicle.create(vehicleData);
+  await updateVehicleOnCreate(vehicle._id);
+
+  const transportJob = await TransportJob.create({
+    loadType: 'vehicle',
+    vehicleId: vehicle._id,
+    pickupLocationName: quote.pickup.locationName,
+    pickupCity: quote.pickup.city,
+    pickupState: quote.pickup.state,
+    pickupZip: quote.pickup.zip,
+    pickupContactName: quote.pickup.contactName,
+    pickupContactPhone: quote.pickup.contactPhone,
+    pickupDateStart: quote.pickupDate,
+    dropLocationName: quote.drop.locationName,
+    dropCity: quote.drop.city,
+    dropState: quote.drop.state,
+    dropZip: quote.drop.zip,
+    dropContactName: quote.drop.contactName,
+    dropContactPhone: quote.drop.contactPhone,
+    carrierPayment: quote.pricing.pricePerVehicle,
+    createdBy: userId,
+    lastUpdatedBy: userId
+  });
+
+  await Vehicle.findByIdAndUpdate(vehicle._id, {
+    $push: {
+      transportJobs: {
+        transportJobId: transportJob._id,
+        routeId: null, // Will be set when route is created
+        status: 'pending',
+        transportPurpose: transportJob.transportPurpose,
+        createdAt: new Date()
+      }
+    },
+    $inc: { totalTransports: 1 },
+    currentTransportJobId: transportJob._id,
+    lastTransportDate: new Date(),
+    isAvailableForTransport: false
+  });
+  await updateStatusOnTransportJobCreate(transportJob._id, vehicle._id, 'vehicle');
+
+  // The quote becomes the vehicle's profit estimate
+  await VehicleProfitCalculation.create({
+    vehicleId: vehicle._id,
+    pickupLocationName: quote.pickup.locationName,
+    pickupCity: quote.pickup.city,
+    pickupState: quote.pickup.state,
+    pickupZip: quote.pickup.zip,
+    dropLocationName: quote.drop.locationName,
+    dropCity: quote.drop.city,
+    dropState: quote.drop.state,
+    dropZip: quote.drop.zip,
+    totalMiles: quote.miles,
+    rate: quote.pricing.pricePerVehicle,
+    ratePerMile: quote.miles ? round(quote.pricing.pricePerVehicle / quote.miles) : 0,
+    createdBy: userId,
+    lastUpdatedBy: userId
+  });
+
+  return { vehicle, transportJob };
+}
+
+/**
+ * Accept an open quote: create the shipper, vehicles and transport jobs
+ * @param {string} quoteId - Quote ID
+ * @param {Object} options - { userId, shipper?: { shipperName, shipperCompany, ... } overrides,
+ *   vehicles?: [{ vin, year, make, model, notes }] (one per quoted vehicle, details optional) }
+ * @returns {Promise<{quote: Object, shipper: Object, vehicles: Array, transportJobs: Array}|{error: string}>}
+ */
+async function acceptQuote(quoteId, { userId, shipper: shipperOverrides = {}, vehicles = [] } = {}) {
+  // Decode VINs up front so the transaction doesn't wait on the VIN lookup
+  const vehicleDetails = [];
+  for (const details of vehicles.slice(0, MAX_QUOTE_VEHICLES)) {
+    vehicleDetails.push(await decodeQuotedVehicle(details));
+  }
+
+  let result;
+  try {
+    result = await transactionService.runInTransaction(async () => {
+      // Claim the quote first so it cannot be accepted twice
+      const quote = await Quote.findOneAndUpdate(
+        { _id: quoteId, status: QUOTE_STATUS.OPEN, expiresAt: { $gt: new Date() } },
+        { status: QUOTE_STATUS.ACCEPTED, acceptedAt: new Date(), acceptedBy: userId, lastUpdatedBy: userId },
+        { new: true }
+      );
+      if (!quote) return null;
+
+      const shipperData = {
+        shipperName: shipperOverrides.shipperName || quote.shipperName || quote.shipperCompany,
+        shipperCompany: shipperOverrides.shipperCompany || quote.shipperCompany || quote.shipperName,
+        shipperEmail: shipperOverrides.shipperEmail || quote.shipperEmail,
+        shipperPhone: shipperOverrides.shipperPhone || quote.shipperPhone,
+        address: shipperOverrides.address,
+        city: shipperOverrides.city || quote.pickup.city,
+        state: shipperOverrides.state || quote.pickup.state,
+        zipCode: shipperOverrides.zipCode || quote.pickup.zip
+      };
+      if (!shipperData.shipperName) {
+        throw Object.assign(new Error('A shipper name or company is required to accept the quote'), { validation: true });
+      }
+      const { shipper } = await findOrCreateShipper(shipperData, userId,
+        `Auto-created shipper ${shipperData.shipperCompany} from quote ${quote.quoteNumber}`);
+
+      // Sequential on purpose: job numbers are generated from document counts
+      const results = [];
+      for (let i = 0; i < quote.vehicleCount; i++) {
+        results.push(await createQuotedVehicle(quote, shipper, vehicleDetails[i] || {}, userId));
+      }
+      const vehicleIds = results.map(created => created.vehicle._id);
+      const transportJobIds = results.map(created => created.transportJob._id);
+
+      quote.shipperId = shipper._id;
+      quote.vehicleIds = vehicleIds;
+      quote.transportJobIds = transportJobIds;
+      await quote.save();
+
+      await AuditLog.create({
+        action: 'accept_quote',
+        entityType: 'quote',
+        entityId: quote._id,
+        userId,
+        details: {
+          quoteNumber: quote.quoteNumber,
+          totalPrice: quote.totalPrice,
+          shipperId: shipper._id,
+          vehicleIds,
+          transportJobIds
+        },
+        notes: `Accepted quote ${quote.quoteNumber}: created ${results.length} vehicle(s) and transport job(s) for ${shipper.shipperCompany}`
+      });
+
+      return {
+        quote,
+        shipper,
+        vehicles: results.map(created => created.vehicle),
+        transportJobs: results.map(created => created.transportJob)
+      };
+    });
+  } catch (error) {
+    if (error.validation) return { error: error.message };
+    throw error;
+  }
+
+  if (!result) {
+    await expireQuotes();
+    const existing = await Quote.findById(quoteId).select('status');
+    return { error: existing ? `Quote is ${existing.status}` : 'Quote not found', notFound: !existing };
+  }
+  return result;
+}
+
+/**
+ * Quote conversion report: quotes created in the period by outcome, overall and per lane and source
+ * @param {Object} filters - { startDate?, endDate? (default the last 30 days) }
+ */
+async function getConversionReport({ startDate, endDate } = {}) {
+  await expireQuotes();
+  const end = endDate ? new Date(endDate) : new Date();
+  const start = startDate ? new Date(startDate) : new Date(end.getTime() - 30 * DAY_MS);
+
+  const quotes = await Quote.find({ createdAt: { $gte: start, $lte: end } })
+    .select('status source pickup.state drop.state vehicleCount totalPrice createdAt acceptedAt');
+
+  const newGroup = (fields) => ({
+    ...fields,
+    quotes: 0,
+    open: 0,
+    accepted: 0,
+    declined: 0,
+    expired: 0,
+    quotedValue: 0,
+    acceptedValue: 0,
+    acceptedVehicles: 0,
+    hoursToAccept: []
+  });
+  const add = (group, quote) => {
+    group.quotes++;
+    group[quote.status]++;
+    group.quotedValue += quote.totalPrice || 0;
+    if (quote.status === QUOTE_STATUS.ACCEPTED) {
+      group.acceptedValue += quote.totalPrice || 0;
+      group.acceptedVehicles += quote.vehicleCount || 0;
+      if (quote.acceptedAt) group.hoursToAccept.push((quote.acceptedAt - quote.createdAt) / (60 * 60 * 1000));
+    }
+  };
+  const finalize = ({ hoursToAccept, ...group }) => {
+    // Open quotes have no outcome yet
+    const decided = group.accepted + group.declined + group.expired;
+    return {
+      ...group,
+      quotedValue: round(group.quotedValue),
+      acceptedValue: round(group.acceptedValue),
+      conversionRate: decided > 0 ? round(group.accepted / decided * 100, 1) : null,
+      averageHoursToAccept: hoursToAccept.length > 0
+        ? round(hoursToAccept.reduce((sum, hours) => sum + hours, 0) / hoursToAccept.length, 1)
+        : null
+    };
+  };
+
+  const totals = newGroup({});
+  const bySource = new Map();
+  const byLane = new Map();
+  quotes.forEach(quote => {
+    add(totals, quote);
+    if (!bySource.has(quote.source)) bySource.set(quote.source, newGroup({ source: quote.source }));
+    add(bySource.get(quote.source), quote);
+    const lane = `${quote.pickup?.state || '?'}-${quote.drop?.state || '?'}`;
+    if (!byLane.has(lane)) byLane.set(lane, newGroup({ lane }));
+    add(byLane.get(lane), quote);
+  });
+
+  return {
+    period: { startDate: start, endDate: end },
+    totals: finalize(totals),
+    sources: [...bySource.values()].map(finalize),
+    lanes: [...byLane.values()].map(finalize).sort((a, b) => b.quotes - a.quotes)
+  };
+}
+
+module.exports = {
+  QUOTE_VALIDITY_DAYS,
+  validateQuoteRequest,
+  getActiveRateTable,
+  getFuelPrice,
+  findLaneRate,
+  calculatePrice,
+  buildQuote,
+  expireQuotes,
+  acceptQuote,
+  getConversionReport
+};
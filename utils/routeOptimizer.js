@@ -0,0 +1,449 @@
+/**
+ * Route Stop Sequence Optimizer
+ *
+ * Reorders the pending stops of a route to minimize total driving distance while
+ * keeping each transport job's pickup ahead of its drop and respecting the
+ * scheduledTimeStart/scheduledTimeEnd window of every stop.
+ *
+ * Start stops, end stops and stops that are already in progress, completed or skipped
+ * keep their position; only pending stops between them are reordered.
+ */
+
+const TransportJob = require('../models/TransportJob');
+const locationService = require('./locationService');
+const { ROUTE_STATUS, ROUTE_STOP_STATUS, ROUTE_STOP_TYPE } = require('../constants/status');
+
+// Time spent loading/unloading at pickup and drop stops when projecting arrival times
+const DEFAULT_SERVICE_TIME_SECONDS = 30 * 60;
+
+// Upper bound on local-search passes (each pass tries every single-stop relocation)
+const MAX_IMPROVEMENT_PASSES = 25;
+
+// Distance differences below this are treated as ties (miles)
+const DISTANCE_EPSILON = 0.01;
+
+const getStopId = (stop) => (stop._id || stop.id).toString();
+
+const getJobIdFromStop = (stop) => {
+  if (!stop.transportJobId) return null;
+  if (typeof stop.transportJobId === 'object') {
+    return (stop.transportJobId._id || stop.transportJobId).toString();
+  }
+  return stop.transportJobId.toString();
+};
+
+const isTransportStop = (stop) =>
+  stop.stopType === ROUTE_STOP_TYPE.PICKUP || stop.stopType === ROUTE_STOP_TYPE.DROP;
+
+const hasValidCoordinates = (coordinates) =>
+  coordinates &&
+  typeof coordinates === 'object' &&
+  coordinates.latitude !== undefined &&
+  coordinates.longitude !== undefined &&
+  coordinates.latitude !== null &&
+  coordinates.longitude !== null &&
+  !isNaN(coordinates.latitude) &&
+  !isNaN(coordinates.longitude);
+
+/**
+ * Resolve coordinates for a stop from its location, geocoding its address
+ * (or its transport job's pickup/drop address) when coordinates are missing
+ * @param {Object} stop - Route stop
+ * @returns {Promise<{latitude: number, longitude: number}|null>}
+ */
+async function resolveStopCoordinates(stop) {
+  const coordinates = stop.location?.coordinates;
+  if (hasValidCoordinates(coordinates)) {
+    return { latitude: coordinates.latitude, longitude: coordinates.longitude };
+  }
+
+  let address = stop.location ? locationService.buildAddress(stop.location) : '';
+
+  if (!address && isTransportStop(stop)) {
+    const jobId = getJobIdFromStop(stop);
+    if (jobId) {
+      const job = await TransportJob.findById(jobId)
+        .select('pickupLocationName pickupCity pickupState pickupZip dropLocationName dropCity dropState dropZip');
+      if (job) {
+        const prefix = stop.stopType === ROUTE_STOP_TYPE.PICKUP ? 'pickup' : 'drop';
+        address = locationService.buildAddress({
+          name: job[`${prefix}LocationName`],
+          city: job[`${prefix}City`],
+          state: job[`${prefix}State`],
+          zip: job[`${prefix}Zip`]
+        });
+      }
+    }
+  }
+
+  if (!address) {
+    return null;
+  }
+
+  try {
+    return await locationService.geocodeAddress(address);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Split stops (sorted by sequence) into the fixed head, the movable middle and the fixed tail
+ */
+function partitionStops(stops) {
+  const sortedStops = [...stops].sort((a, b) => (a.sequence || 0) - (b.sequence || 0));
+  const head = [];
+  const movable = [];
+  const tail = [];
+
+  sortedStops.forEach(stop => {
+    if (stop.stopType === ROUTE_STOP_TYPE.END) {
+      tail.push(stop);
+    } else if (stop.stopType === ROUTE_STOP_TYPE.START ||
+               (stop.status && stop.status !== ROUTE_STOP_STATUS.PENDING)) {
+      head.push(stop);
+    } else {
+      movable.push(stop);
+    }
+  });
+
+  return { sortedStops, head, movable, tail };
+}
+
+/**
+ * Walk a stop order and compute distance, duration, projected arrival times and constraint violations
+ * @param {Array} orderedStops - Stops in visiting order
+ * @param {Object} context - { matrix, indexByStopId, pickupJobIds, startTime, notBefore, serviceTimeSeconds }
+ */
+function evaluateSequence(orderedStops, context) {
+  let totalDistance = 0;
+  let totalDuration = 0;
+  let clock = context.startTime ? new Date(context.startTime).getTime() : null;
+  const visitedPickups = new Set();
+  const violations = [];
+
+  const stops = orderedStops.map((stop, position) => {
+    const stopId = getStopId(stop);
+    const jobId = getJobIdFromStop(stop);
+    const isPending = !stop.status || stop.status === ROUTE_STOP_STATUS.PENDING;
+
+    let leg = { distance: { text: '0 mi', value: 0 }, duration: { text: '0 min', value: 0 } };
+    if (position > 0) {
+      const from = context.indexByStopId.get(getStopId(orderedStops[position - 1]));
+      const to = context.indexByStopId.get(stopId);
+      leg = context.matrix[from][to];
+    }
+
+    totalDistance += leg.distance.value;
+    totalDuration += leg.duration.value;
+
+    // Project arrival time - completed stops anchor the clock to when they actually happened
+    let estimatedArrival = null;
+    if (clock !== null) {
+      if (!isPending && stop.actualTime) {
+        clock = new Date(stop.actualTime).getTime();
+        estimatedArrival = new Date(clock);
+      } else {
+        if (isPending && context.notBefore && clock < context.notBefore) {
+          clock = context.notBefore;
+        }
+        clock += leg.duration.value * 1000;
+        estimatedArrival = new Date(clock);
+
+        const windowStart = stop.scheduledTimeStart ? new Date(stop.scheduledTimeStart).getTime() : null;
+        const windowEnd = stop.scheduledTimeEnd ? new Date(stop.scheduledTimeEnd).getTime() : null;
+
+        if (isPending && windowEnd !== null && clock > windowEnd) {
+          violations.push({
+            type: 'time_window',
+            stopId,
+            stopType: stop.stopType,
+            message: `Arrives ${Math.round((clock - windowEnd) / 60000)} min after the scheduled window`
+          });
+        }
+
+        // Driver waits for the window to open
+        if (windowStart !== null && clock < windowStart) {
+          clock = windowStart;
+        }
+      }
+
+      if (isTransportStop(stop)) {
+        clock += context.serviceTimeSeconds * 1000;
+      }
+    }
+
+    // Pickup must precede drop for the same transport job
+    if (stop.stopType === ROUTE_STOP_TYPE.PICKUP && jobId) {
+      visitedPickups.add(jobId);
+    } else if (stop.stopType === ROUTE_STOP_TYPE.DROP && jobId &&
+               context.pickupJobIds.has(jobId) && !visitedPickups.has(jobId)) {
+      violations.push({
+        type: 'precedence',
+        stopId,
+        stopType: stop.stopType,
+        message: 'Drop is scheduled before its pickup'
+      });
+    }
+
+    return {
+      stopId,
+      stopType: stop.stopType,
+      label: stop.label,
+      locationName: stop.location?.name || stop.location?.formattedAddress,
+      transportJobId: jobId,
+      status: stop.status,
+      sequence: position + 1,
+      previousSequence: stop.sequence,
+      distanceFromPrevious: leg.distance,
+      durationFromPrevious: leg.duration,
+      estimatedArrival,
+      scheduledTimeStart: stop.scheduledTimeStart,
+      scheduledTimeEnd: stop.scheduledTimeEnd
+    };
+  });
+
+  return {
+    stops,
+    totalDistance: {
+      text: locationService.formatDistance(totalDistance),
+      value: totalDistance
+    },
+    totalDuration: {
+      text: locationService.formatDuration(totalDuration),
+      value: totalDuration
+    },
+    violations,
+    feasible: violations.length === 0
+  };
+}
+
+// Fewer violations wins, then shorter distance
+const compareEvaluations = (a, b) => {
+  if (a.violations.length !== b.violations.length) {
+    return a.violations.length - b.violations.length;
+  }
+  if (Math.abs(a.totalDistance.value - b.totalDistance.value) < DISTANCE_EPSILON) {
+    return 0;
+  }
+  return a.totalDistance.value - b.totalDistance.value;
+};
+
+/**
+ * Build an order greedily: always visit the closest stop whose pickup (if any) has been visited
+ */
+function buildGreedySequence(head, movable, tail, context) {
+  const sequence = [...head];
+  const remaining = [...movable];
+
+  while (remaining.length > 0) {
+    const released = remaining.filter(stop => {
+      if (stop.stopType !== ROUTE_STOP_TYPE.DROP) return true;
+      const jobId = getJobIdFromStop(stop);
+      return !remaining.some(other =>
+        other.stopType === ROUTE_STOP_TYPE.PICKUP && getJobIdFromStop(other) === jobId
+      );
+    });
+    const candidates = released.length > 0 ? released : remaining;
+
+    let bestIndex = -1;
+    let bestEvaluation = null;
+    candidates.forEach(candidate => {
+      const evaluation = evaluateSequence([...sequence, candidate], context);
+      if (!bestEvaluation || compareEvaluations(evaluation, bestEvaluation) < 0) {
+        bestEvaluation = evaluation;
+        bestIndex = remaining.indexOf(candidate);
+      }
+    });
+
+    sequence.push(remaining[bestIndex]);
+    remaining.splice(bestIndex, 1);
+  }
+
+  return [...sequence, ...tail];
+}
+
+/**
+ * Local search: repeatedly relocate single movable stops while it reduces violations or distance
+ */
+function improveSequence(order, headLength, tailLength, context) {
+  let bestOrder = order;
+  let bestEvaluation = evaluateSequence(bestOrder, context);
+  const lastMovable = order.length - tailLength;
+
+  for (let pass = 0; pass < MAX_IMPROVEMENT_PASSES; pass++) {
+    let improved = false;
+
+    for (let from = headLength; from < lastMovable; from++) {
+      for (let to = headLength; to < lastMovable; to++) {
+        if (from === to) continue;
+
+        const candidate = [...bestOrder];
+        const [stop] = candidate.splice(from, 1);
+        candidate.splice(to, 0, stop);
+
+        const evaluation = evaluateSequence(candidate, context);
+        if (compareEvaluations(evaluation, bestEvaluation) < 0) {
+          bestOrder = candidate;
+          bestEvaluation = evaluation;
+          improved = true;
+        }
+      }
+    }
+
+    if (!improved) break;
+  }
+
+  return { order: bestOrder, evaluation: bestEvaluation };
+}
+
+/**
+ * Prepare the optimization context for a route: resolve coordinates and fetch the distance matrix
+ * @param {Object} route - Route document
+ * @param {Object} options - { serviceTimeSeconds }
+ * @returns {Promise<{context: Object, partition: Object, unresolvedStops: Array}>}
+ */
+async function buildOptimizationContext(route, options = {}) {
+  const partition = partitionStops(route.stops || []);
+  const unresolvedStops = [];
+  const points = [];
+  const indexByStopId = new Map();
+
+  for (const stop of partition.sortedStops) {
+    const coordinates = await resolveStopCoordinates(stop);
+    if (!coordinates) {
+      unresolvedStops.push({
+        stopId: getStopId(stop),
+        stopType: stop.stopType,
+        sequence: stop.sequence
+      });
+      continue;
+    }
+    indexByStopId.set(getStopId(stop), points.length);
+    points.push(coordinates);
+  }
+
+  const pickupJobIds = new Set(
+    partition.sortedStops
+      .filter(stop => stop.stopType === ROUTE_STOP_TYPE.PICKUP)
+      .map(getJobIdFromStop)
+      .filter(Boolean)
+  );
+
+  const matrix = unresolvedStops.length === 0
+    ? await locationService.calculateDistanceMatrix(points)
+    : [];
+
+  return {
+    partition,
+    unresolvedStops,
+    context: {
+      matrix,
+      indexByStopId,
+      pickupJobIds,
+      startTime: route.actualStartDate || route.plannedStartDate,
+      notBefore: route.status === ROUTE_STATUS.IN_PROGRESS ? Date.now() : null,
+      serviceTimeSeconds: options.serviceTimeSeconds !== undefined
+        ? options.serviceTimeSeconds
+        : DEFAULT_SERVICE_TIME_SECONDS
+    }
+  };
+}
+
+/**
+ * Validate a caller-supplied stop order against the route's stops
+ * Every stop must appear exactly once and fixed stops must keep their positions
+ * @returns {string|null} Error message, or null when the order is valid
+ */
+function validateStopOrder(stopOrder, partition) {
+  const { sortedStops, head, tail } = partition;
+  const ids = stopOrder.map(id => id.toString());
+
+  if (ids.length !== sortedStops.length || new Set(ids).size !== ids.length) {
+    return 'stopOrder must list every stop of the route exactly once';
+  }
+
+  const knownIds = new Set(sortedStops.map(getStopId));
+  if (ids.some(id => !knownIds.has(id))) {
+    return 'stopOrder contains stops that do not belong to this route';
+  }
+
+  const headMatches = head.every((stop, index) => ids[index] === getStopId(stop));
+  const tailMatches = tail.every((stop, index) => ids[ids.length - tail.length + index] === getStopId(stop));
+  if (!headMatches || !tailMatches) {
+    return 'Start, end and already visited stops cannot be reordered';
+  }
+
+  return null;
+}
+
+/**
+ * Optimize (or evaluate a proposed) stop order for a route and compare it to the current order
+ * @param {Object} route - Route document
+ * @param {Object} options - { stopOrder: Array<string>, serviceTimeSeconds: number }
+ * @returns {Promise<Object>} { before, after, stopOrder, improvement, unresolvedStops, invalidStopOrder }
+ */
+async function optimizeRouteStops(route, options = {}) {
+  const { partition, context, unresolvedStops } = await buildOptimizationContext(route, options);
+
+  if (unresolvedStops.length > 0) {
+    return { unresolvedStops };
+  }
+
+  const { sortedStops, head, movable, tail } = partition;
+  const before = evaluateSequence(sortedStops, context);
+
+  let after;
+  let finalOrder;
+
+  if (Array.isArray(options.stopOrder)) {
+    const invalidStopOrder = validateStopOrder(options.stopOrder, partition);
+    if (invalidStopOrder) {
+      return { invalidStopOrder };
+    }
+    const stopsById = new Map(sortedStops.map(stop => [getStopId(stop), stop]));
+    finalOrder = options.stopOrder.map(id => stopsById.get(id.toString()));
+    after = evaluateSequence(finalOrder, context);
+  } else {
+    // Improve both a greedy construction and the current order, keep the better result
+    const greedy = improveSequence(buildGreedySequence(head, movable, tail, context), head.length, tail.length, context);
+    const current = improveSequence([...head, ...movable, ...tail], head.length, tail.length, context);
+    const best = compareEvaluations(greedy.evaluation, current.evaluation) <= 0 ? greedy : current;
+
+    // Never propose something worse than what the dispatcher already has
+    if (compareEvaluations(best.evaluation, before) < 0) {
+      finalOrder = best.order;
+      after = best.evaluation;
+    } else {
+      finalOrder = sortedStops;
+      after = before;
+    }
+  }
+
+  const distanceSaved = before.totalDistance.value - after.totalDistance.value;
+
+  return {
+    before,
+    after,
+    stopOrder: finalOrder.map(getStopId),
+    improvement: {
+      distanceSaved,
+      distanceSavedText: locationService.formatDistance(Math.abs(distanceSaved)),
+      percentSaved: before.totalDistance.value > 0
+        ? Math.round((distanceSaved / before.totalDistance.value) * 10000) / 100
+        : 0,
+      durationSaved: before.totalDuration.value - after.totalDuration.value,
+      violationsResolved: before.violations.length - after.violations.length,
+      changed: finalOrder.some((stop, index) => getStopId(stop) !== getStopId(sortedStops[index]))
+    },
+    usedEstimatedDistances: context.matrix.some(row => row.some(cell => cell.estimated))
+  };
+}
+
+module.exports = {
+  optimizeRouteStops,
+  evaluateSequence,
+  partitionStops,
+  resolveStopCoordinates,
+  DEFAULT_SERVICE_TIME_SECONDS
+};
@@ -2,6 +2,7 @@ const RouteTracking = require('../models/routeTracker');
 const AuditLog = require('../models/AuditLog');
 const User = require('../models/User');
 const Route = require('../models/Route');
+const geofenceService = require('./geofenceService');
 
 class RouteTrackerService {
   constructor() {
@@ -172,6 +173,10 @@ class RouteTrackerService {
       }
 
       releaseLock();
+
+      // Runs after the lock is released - recording the crossings adds action entries
+      await this.detectGeofenceEvents(routeId, locationEntry);
+
       return locationEntry;
     } catch (error) {
       releaseLock();
@@ -188,6 +193,37 @@ class RouteTrackerService {
     }
   }
 
+  /**
+   * Record stop geofence arrivals/departures for a location entry as action entries
+   * Never throws - a failed detection must not fail the location update
+   * @param {string} routeId - Route ID
+   * @param {Object} locationEntry - Location entry just added to the history
+   */
+  async detectGeofenceEvents(routeId, locationEntry) {
+    try {
+      const events = await geofenceService.processLocation(routeId, locationEntry);
+
+      for (const event of events) {
+        await this.addActionEntry(
+          routeId,
+          event.type,
+          {
+            latitude: locationEntry.latitude,
+            longitude: locationEntry.longitude,
+            accuracy: locationEntry.accuracy
+          },
+          event.auditLogId,
+          event.meta
+        );
+      }
+
+      return events;
+    } catch (error) {
+      console.error('Error detecting geofence events:', error);
+      return [];
+    }
+  }
+
   /**
    * Add action entry to route tracking
    * @param {string} routeId - Route ID
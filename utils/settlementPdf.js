@@ -0,0 +1,169 @@
+/**
+ * Driver Settlement PDF Renderer
+ *
+ * Renders a DriverSettlement to a PDF statement: pay rule, route earnings,
+ * reimbursements, deductions, adjustments and net pay.
+ */
+
+const {
+  PAGE_MARGIN,
+  formatCurrency,
+  formatDate,
+  formatLabel,
+  drawRow,
+  ensureSpace,
+  drawDocumentHeader,
+  renderPdf
+} = require('./pdfHelpers');
+
+const PAY_TYPE_LABELS = {
+  per_mile: (rate) => `${formatCurrency(rate)} per mile`,
+  per_load: (rate) => `${formatCurrency(rate)} per load`,
+  percentage: (rate) => `${rate}% of carrier payment`,
+  hourly: (rate) => `${formatCurrency(rate)} per hour`
+};
+
+const QUANTITY_LABELS = {
+  per_mile: (line) => `${line.miles || 0} mi`,
+  per_load: (line) => `${line.loads || 0} load(s)`,
+  percentage: (line) => formatCurrency(line.revenue),
+  hourly: (line) => `${line.hours || 0} hr`
+};
+
+/**
+ * Draw a titled section of expense-style lines; returns the y position below it
+ */
+function drawExpenseSection(doc, y, title, lines, amountColumn, sign = 1) {
+  y = ensureSpace(doc, y + 10, 60);
+  doc.font('Helvetica-Bold').fontSize(10).text(title, PAGE_MARGIN, y);
+  y = doc.y + 6;
+
+  lines.forEach(line => {
+    y = ensureSpace(doc, y);
+    y = drawRow(doc, y, [
+      { x: PAGE_MARGIN, width: 80, text: formatDate(line.date) },
+      { x: PAGE_MARGIN + 85, width: 90, text: formatLabel(line.type) },
+      { x: PAGE_MARGIN + 180, width: 265, text: line.description || '' },
+      { ...amountColumn, text: formatCurrency(sign * line.amount) }
+    ]);
+  });
+
+  return y;
+}
+
+/**
+ * Render a driver settlement statement as a PDF
+ * @param {Object} settlement - DriverSettlement with driverId populated
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+function generateSettlementPdf(settlement) {
+  return renderPdf(doc => {
+    const pageWidth = doc.page.width - PAGE_MARGIN * 2;
+    const driver = settlement.driverId && typeof settlement.driverId === 'object' ? settlement.driverId : {};
+    const payType = settlement.payProfile?.payType;
+    const amountColumn = { x: PAGE_MARGIN + 450, width: pageWidth - 450, align: 'right' };
+
+    const headerBottom = drawDocumentHeader(doc, 'DRIVER SETTLEMENT', [
+      `Statement #: ${settlement.settlementNumber || '-'}`,
+      `Period: ${formatDate(settlement.periodStart)} - ${formatDate(settlement.periodEnd)}`,
+      `Status: ${formatLabel(settlement.status)}`,
+      settlement.approvedAt && `Approved: ${formatDate(settlement.approvedAt)}`,
+      settlement.paidAt && `Paid: ${formatDate(settlement.paidAt)}`
+    ]);
+
+    // Driver and pay rule
+    let y = Math.max(headerBottom, 140) + 10;
+    doc.font('Helvetica-Bold').fontSize(10).text('Driver', PAGE_MARGIN, y);
+    doc.font('Helvetica').fontSize(9);
+    [
+      [driver.firstName, driver.lastName].filter(Boolean).join(' '),
+      driver.email,
+      payType && `Pay rule: ${PAY_TYPE_LABELS[payType] ? PAY_TYPE_LABELS[payType](settlement.payProfile.rate) : formatLabel(payType)}`,
+      settlement.payProfile?.minimumPerRoute ? `Minimum per route: ${formatCurrency(settlement.payProfile.minimumPerRoute)}` : null
+    ].filter(Boolean).forEach(line => doc.text(line));
+
+    // Route earnings
+    y = doc.y + 20;
+    const columns = {
+      route: { x: PAGE_MARGIN, width: 110 },
+      completed: { x: PAGE_MARGIN + 115, width: 80 },
+      miles: { x: PAGE_MARGIN + 200, width: 70, align: 'right' },
+      loads: { x: PAGE_MARGIN + 275, width: 50, align: 'right' },
+      basis: { x: PAGE_MARGIN + 330, width: 115, align: 'right' }
+    };
+
+    y = drawRow(doc, y, [
+      { ...columns.route, text: 'Route #' },
+      { ...columns.completed, text: 'Completed' },
+      { ...columns.miles, text: 'Miles' },
+      { ...columns.loads, text: 'Loads' },
+      { ...columns.basis, text: 'Paid On' },
+      { ...amountColumn, text: 'Amount' }
+    ], { bold: true });
+    doc.moveTo(PAGE_MARGIN, y - 3).lineTo(PAGE_MARGIN + pageWidth, y - 3).stroke();
+
+    (settlement.routes || []).forEach(line => {
+      y = ensureSpace(doc, y);
+      y = drawRow(doc, y, [
+        { ...columns.route, text: line.routeNumber || '-' },
+        { ...columns.completed, text: formatDate(line.completedAt) },
+        { ...columns.miles, text: String(line.miles || 0) },
+        { ...columns.loads, text: String(line.loads || 0) },
+        { ...columns.basis, text: QUANTITY_LABELS[payType] ? QUANTITY_LABELS[payType](line) : String(line.quantity || 0) },
+        { ...amountColumn, text: formatCurrency(line.amount) }
+      ]);
+    });
+
+    if (settlement.reimbursements && settlement.reimbursements.length > 0) {
+      y = drawExpenseSection(doc, y, 'Reimbursements', settlement.reimbursements, amountColumn);
+    }
+
+    if (settlement.deductions && settlement.deductions.length > 0) {
+      y = drawExpenseSection(doc, y, 'Deductions', settlement.deductions, amountColumn, -1);
+    }
+
+    if (settlement.adjustments && settlement.adjustments.length > 0) {
+      y = ensureSpace(doc, y + 10, 60);
+      doc.font('Helvetica-Bold').fontSize(10).text('Adjustments', PAGE_MARGIN, y);
+      y = doc.y + 6;
+
+      settlement.adjustments.forEach(adjustment => {
+        y = ensureSpace(doc, y);
+        y = drawRow(doc, y, [
+          { x: PAGE_MARGIN, width: 445, text: adjustment.description },
+          { ...amountColumn, text: formatCurrency(adjustment.amount) }
+        ]);
+      });
+    }
+
+    // Totals
+    y = ensureSpace(doc, y + 10, 100);
+    doc.moveTo(PAGE_MARGIN + 300, y).lineTo(PAGE_MARGIN + pageWidth, y).stroke();
+    y += 8;
+
+    const totalRows = [
+      ['Gross Pay', formatCurrency(settlement.grossPay)],
+      ['Reimbursements', formatCurrency(settlement.totalReimbursements)],
+      ['Deductions', formatCurrency(-(settlement.totalDeductions || 0))],
+      ['Adjustments', formatCurrency(settlement.totalAdjustments)],
+      ['Net Pay', formatCurrency(settlement.netPay)]
+    ];
+
+    totalRows.forEach(([label, value], index) => {
+      y = drawRow(doc, y, [
+        { x: PAGE_MARGIN + 300, width: 100, text: label },
+        { ...amountColumn, text: value }
+      ], { bold: index === totalRows.length - 1 });
+    });
+
+    if (settlement.notes) {
+      y = ensureSpace(doc, y + 10, 60);
+      doc.font('Helvetica-Bold').fontSize(10).text('Notes', PAGE_MARGIN, y);
+      doc.font('Helvetica').fontSize(9).text(settlement.notes, { width: pageWidth });
+    }
+  });
+}
+
+module.exports = {
+  generateSettlementPdf
+};
@@ -0,0 +1,251 @@
+/**
+ * Driver Settlement Service
+ *
+ * Builds a driver's pay statement for a pay period:
+ * - collects the driver's routes completed in the period (not already on another settlement)
+ * - applies the driver's pay profile to each route:
+ *     per_mile   - rate x route miles (actual distance traveled, or planned distance)
+ *     per_load   - rate x transport jobs with a completed pickup or drop stop on the route
+ *     percentage - rate % x carrierPayment of the jobs delivered (drop completed) on the route
+ *     hourly     - rate x on-duty hours (actual start to end, minus stopped periods)
+ * - adds reimbursable and deducts chargeable expenses of the period
+ */
+
+const Route = require('../models/Route');
+const Expense = require('../models/Expense');
+const TransportJob = require('../models/TransportJob');
+const RouteTracking = require('../models/routeTracker');
+const DriverSettlement = require('../models/DriverSettlement');
+const { ROUTE_STATUS, ROUTE_STOP_STATUS, ROUTE_STOP_TYPE } = require('../constants/status');
+
+const roundCurrency = (value) => Math.round((value || 0) * 100) / 100;
+const roundTo = (value, places) => Math.round((value || 0) * Math.pow(10, places)) / Math.pow(10, places);
+
+const getPeriodRange = (periodStart, periodEnd) => {
+  const start = new Date(periodStart);
+  const end = new Date(periodEnd);
+  end.setHours(23, 59, 59, 999);
+  return { start, end };
+};
+
+/**
+ * Route and expense IDs already claimed by another settlement
+ * (rejected settlements keep their claims until they are recalculated or deleted)
+ * @param {string} excludeSettlementId - Settlement being recalculated, if any
+ */
+async function getClaimedIds(driverId, excludeSettlementId = null) {
+  const query = { driverId };
+  if (excludeSettlementId) {
+    query._id = { $ne: excludeSettlementId };
+  }
+
+  const settlements = await DriverSettlement.find(query)
+    .select('routes.routeId reimbursements.expenseId deductions.expenseId');
+
+  const routeIds = new Set();
+  const expenseIds = new Set();
+  settlements.forEach(settlement => {
+    settlement.routes.forEach(entry => entry.routeId && routeIds.add(entry.routeId.toString()));
+    [...settlement.reimbursements, ...settlement.deductions]
+      .forEach(entry => entry.expenseId && expenseIds.add(entry.expenseId.toString()));
+  });
+
+  return { routeIds, expenseIds };
+}
+
+/**
+ * On-duty hours for a route: actual start to end minus the periods the route was stopped
+ */
+function calculateRouteHours(route, trackingHistory = []) {
+  if (!route.actualStartDate || !route.actualEndDate) return 0;
+
+  let pausedMs = 0;
+  let stoppedAt = null;
+  trackingHistory
+    .filter(entry => entry.type === 'action')
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+    .forEach(entry => {
+      if (entry.meta?.action === 'stop_route' && !stoppedAt) {
+        stoppedAt = new Date(entry.timestamp);
+      } else if (entry.meta?.action === 'resume_route' && stoppedAt) {
+        pausedMs += new Date(entry.timestamp) - stoppedAt;
+        stoppedAt = null;
+      }
+    });
+
+  const totalMs = new Date(route.actualEndDate) - new Date(route.actualStartDate) - pausedMs;
+  return roundTo(Math.max(totalMs, 0) / (60 * 60 * 1000), 2);
+}
+
+/**
+ * Apply a pay profile to a completed route
+ * @param {Object} route - Route document
+ * @param {Object} payProfile - DriverPayProfile
+ * @param {Map<string, number>} carrierPaymentByJobId - carrierPayment per transport job
+ * @param {Array} trackingHistory - RouteTracking history for the route (hourly pay)
+ * @returns {Object} Settlement route entry
+ */
+function calculateRoutePay(route, payProfile, carrierPaymentByJobId, trackingHistory = []) {
+  const completedJobStops = (route.stops || []).filter(stop =>
+    stop.transportJobId &&
+    stop.status === ROUTE_STOP_STATUS.COMPLETED &&
+    (stop.stopType === ROUTE_STOP_TYPE.PICKUP || stop.stopType === ROUTE_STOP_TYPE.DROP)
+  );
+
+  const loads = new Set(completedJobStops.map(stop => stop.transportJobId.toString())).size;
+  const deliveredJobIds = new Set(completedJobStops
+    .filter(stop => stop.stopType === ROUTE_STOP_TYPE.DROP)
+    .map(stop => stop.transportJobId.toString()));
+  const revenue = roundCurrency([...deliveredJobIds]
+    .reduce((sum, jobId) => sum + (carrierPaymentByJobId.get(jobId) || 0), 0));
+
+  const plannedMiles = route.totalDistance?.value || 0;
+  const miles = roundTo(payProfile.mileageSource === 'planned'
+    ? plannedMiles
+    : (route.actualDistanceTraveled || plannedMiles), 1);
+  const hours = calculateRouteHours(route, trackingHistory);
+
+  let quantity;
+  let amount;
+  switch (payProfile.payType) {
+    case 'per_mile':
+      quantity = miles;
+      amount = miles * payProfile.rate;
+      break;
+    case 'per_load':
+      quantity = loads;
+      amount = loads * payProfile.rate;
+      break;
+    case 'percentage':
+      quantity = revenue;
+      amount = revenue * (payProfile.rate / 100);
+      break;
+    case 'hourly':
+      quantity = hours;
+      amount = hours * payProfile.rate;
+      break;
+    default:
+      throw new Error(`Unsupported pay type: ${payProfile.payType}`);
+  }
+
+  return {
+    routeId: route._id,
+    routeNumber: route.routeNumber,
+    completedAt: route.actualEndDate,
+    miles,
+    loads,
+    hours,
+    revenue,
+    quantity,
+    amount: roundCurrency(Math.max(amount, payProfile.minimumPerRoute || 0))
+  };
+}
+
+/**
+ * Resolve whether an expense is reimbursed to, charged to, or ignored for the driver
+ * @returns {'reimbursable'|'chargeable'|'company'}
+ */
+function getExpenseTreatment(expense, payProfile) {
+  if (expense.settlementTreatment) return expense.settlementTreatment;
+  if ((payProfile.reimbursableExpenseTypes || []).includes(expense.type)) return 'reimbursable';
+  if ((payProfile.chargeableExpenseTypes || []).includes(expense.type)) return 'chargeable';
+  return 'company';
+}
+
+/**
+ * Build settlement lines for a driver and pay period without saving anything
+ * @param {string} driverId - Driver user ID
+ * @param {Object} payProfile - DriverPayProfile
+ * @param {Date|string} periodStart - Period start
+ * @param {Date|string} periodEnd - Period end (inclusive day)
+ * @param {Object} options - { excludeSettlementId }
+ * @returns {Promise<{routes: Array, reimbursements: Array, deductions: Array, warnings: Array}>}
+ */
+async function buildSettlementLines(driverId, payProfile, periodStart, periodEnd, options = {}) {
+  const { start, end } = getPeriodRange(periodStart, periodEnd);
+  const claimed = await getClaimedIds(driverId, options.excludeSettlementId);
+  const warnings = [];
+
+  const completedRoutes = await Route.find({
+    driverId,
+    status: ROUTE_STATUS.COMPLETED,
+    deleted: { $ne: true },
+    actualEndDate: { $gte: start, $lte: end }
+  })
+    .select('routeNumber stops totalDistance actualDistanceTraveled actualStartDate actualEndDate')
+    .sort({ actualEndDate: 1 });
+
+  const routes = completedRoutes.filter(route => !claimed.routeIds.has(route._id.toString()));
+  if (routes.length < completedRoutes.length) {
+    warnings.push(`${completedRoutes.length - routes.length} completed route(s) in this period are already on another settlement`);
+  }
+
+  const jobIds = [...new Set(routes.flatMap(route => route.stops
+    .filter(stop => stop.transportJobId)
+    .map(stop => stop.transportJobId.toString())))];
+  const jobs = jobIds.length > 0
+    ? await TransportJob.find({ _id: { $in: jobIds } }).select('carrierPayment')
+    : [];
+  const carrierPaymentByJobId = new Map(jobs.map(job => [job._id.toString(), job.carrierPayment || 0]));
+
+  const historyByRouteId = new Map();
+  if (payProfile.payType === 'hourly' && routes.length > 0) {
+    const trackers = await RouteTracking.find({ routeId: { $in: routes.map(route => route._id) } })
+      .select('routeId history.type history.timestamp history.meta.action');
+    trackers.forEach(tracker => historyByRouteId.set(tracker.routeId.toString(), tracker.history));
+  }
+
+  const routeLines = routes.map(route => {
+    const line = calculateRoutePay(route, payProfile, carrierPaymentByJobId, historyByRouteId.get(route._id.toString()));
+    if (payProfile.payType === 'per_mile' && !line.miles) {
+      warnings.push(`Route ${route.routeNumber} has no recorded mileage`);
+    }
+    if (payProfile.payType === 'percentage' && !line.revenue) {
+      warnings.push(`Route ${route.routeNumber} has no carrier payment on delivered jobs`);
+    }
+    return line;
+  });
+
+  // Expenses on the paid routes, plus the driver's expenses without a route in the period
+  const expenses = await Expense.find({
+    driverId,
+    $or: [
+      { routeId: { $in: routes.map(route => route._id) } },
+      { routeId: null, createdAt: { $gte: start, $lte: end } }
+    ]
+  }).sort({ createdAt: 1 });
+
+  const reimbursements = [];
+  const deductions = [];
+  expenses
+    .filter(expense => !claimed.expenseIds.has(expense._id.toString()))
+    .forEach(expense => {
+      const treatment = getExpenseTreatment(expense, payProfile);
+      if (treatment === 'company') return;
+
+      const line = {
+        expenseId: expense._id,
+        routeId: expense.routeId,
+        type: expense.type,
+        category: expense.category,
+        description: expense.description || expense.askedLocation?.formattedAddress,
+        date: expense.createdAt,
+        amount: roundCurrency(expense.totalCost)
+      };
+      (treatment === 'reimbursable' ? reimbursements : deductions).push(line);
+    });
+
+  return {
+    routes: routeLines,
+    reimbursements,
+    deductions,
+    warnings
+  };
+}
+
+module.exports = {
+  calculateRouteHours,
+  calculateRoutePay,
+  getExpenseTreatment,
+  buildSettlementLines
+};
@@ -0,0 +1,94 @@
+/**
+ * Shipper Service
+ *
+ * Find-or-create logic for shippers shared by POST /api/shippers/create-or-find and bulk imports:
+ * a shipper matches on company + email, or company + name when no email is given.
+ */
+
+const Shipper = require('../models/Shipper');
+const AuditLog = require('../models/AuditLog');
+
+const OPTIONAL_FIELDS = ['shipperPhone', 'address', 'city', 'state', 'zipCode', 'notes'];
+
+/**
+ * Find the existing shipper matching the given details (never creates one)
+ * @param {Object} data - { shipperName, shipperCompany, shipperEmail }
+ * @returns {Promise<Object|null>} Shipper
+ */
+async function findShipper({ shipperName, shipperCompany, shipperEmail }) {
+  if (!shipperCompany) return null;
+
+  if (shipperEmail) {
+    return Shipper.findOne({
+      shipperCompany: shipperCompany.trim(),
+      shipperEmail: shipperEmail.toLowerCase().trim()
+    });
+  }
+
+  if (!shipperName) return null;
+  return Shipper.findOne({
+    shipperCompany: shipperCompany.trim(),
+    shipperName: shipperName.trim()
+  });
+}
+
+/**
+ * Find a shipper, filling in details it is missing, or create it
+ * @param {Object} data - { shipperName, shipperCompany, shipperEmail?, shipperPhone?, address?, city?, state?, zipCode?, notes? }
+ * @param {string} userId - User performing the action
+ * @param {string} auditNote - Audit log note used when the shipper is created
+ * @returns {Promise<{shipper: Object, created: boolean}>}
+ */
+async function findOrCreateShipper(data, userId, auditNote = null) {
+  let shipper = await findShipper(data);
+
+  if (shipper) {
+    // Update existing shipper with new information if provided
+    const updateData = {};
+    OPTIONAL_FIELDS.forEach(field => {
+      if (data[field] && !shipper[field]) updateData[field] = data[field];
+    });
+    updateData.lastUpdatedBy = userId;
+
+    if (Object.keys(updateData).length > 0) {
+      await Shipper.findByIdAndUpdate(shipper._id, updateData);
+      shipper = await Shipper.findById(shipper._id);
+    }
+
+    return { shipper, created: false };
+  }
+
+  const shipperData = {
+    shipperName: data.shipperName.trim(),
+    shipperCompany: data.shipperCompany.trim(),
+    shipperEmail: data.shipperEmail ? data.shipperEmail.toLowerCase().trim() : undefined,
+    createdBy: userId,
+    lastUpdatedBy: userId
+  };
+  OPTIONAL_FIELDS.forEach(field => {
+    shipperData[field] = data[field] ? String(data[field]).trim() : undefined;
+  });
+
+  shipper = await Shipper.create(shipperData);
+
+  // Log shipper creation
+  await AuditLog.create({
+    action: 'create_shipper',
+    entityType: 'shipper',
+    entityId: shipper._id,
+    userId,
+    details: {
+      shipperName: shipper.shipperName,
+      shipperCompany: shipper.shipperCompany,
+      shipperEmail: shipper.shipperEmail
+    },
+    notes: auditNote || `Created shipper ${shipper.shipperCompany}`
+  });
+
+  return { shipper, created: true };
+}
+
+module.exports = {
+  findShipper,
+  findOrCreateShipper
+};
@@ -0,0 +1,156 @@
+/**
+ * State Lookup
+ *
+ * Offline lookup of the US state of a coordinate from the embedded boundaries in
+ * constants/stateBoundaries.js (no geocoding API calls), and splitting of a straight
+ * segment between two GPS points into miles per state for IFTA reporting.
+ * Points just outside every boundary (coastal roads, simplified river borders) snap to the
+ * nearest state within SNAP_MILES.
+ */
+
+const locationService = require('./locationService');
+const { STATE_BOUNDARIES, STATE_NAMES } = require('../constants/stateBoundaries');
+
+const SNAP_MILES = parseInt(process.env.STATE_LOOKUP_SNAP_MILES) || 15;
+// Segments are split into pieces of at most this length to find border crossings
+const SAMPLE_MILES = 1;
+const MILES_PER_DEGREE_LAT = 69;
+
+// Bounding box of every state for a quick reject before the point-in-polygon test
+const STATES = Object.entries(STATE_BOUNDARIES).map(([code, rings]) => {
+  const points = rings.flat();
+  return {
+    code,
+    rings,
+    minLng: Math.min(...points.map(point => point[0])),
+    maxLng: Math.max(...points.map(point => point[0])),
+    minLat: Math.min(...points.map(point => point[1])),
+    maxLat: Math.max(...points.map(point => point[1]))
+  };
+});
+
+const STATE_CODES_BY_NAME = new Map(Object.entries(STATE_NAMES).map(([code, name]) => [name.toLowerCase(), code]));
+
+/**
+ * Ray casting point-in-polygon test
+ */
+function isInRing(longitude, latitude, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > latitude) !== (yj > latitude) &&
+      longitude < ((xj - xi) * (latitude - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Approximate distance in miles from a point to a ring's edges (equirectangular projection)
+ */
+function distanceToRing(longitude, latitude, ring) {
+  const milesPerDegreeLng = MILES_PER_DEGREE_LAT * Math.cos(latitude * Math.PI / 180);
+  let minimum = Infinity;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const ax = (ring[j][0] - longitude) * milesPerDegreeLng;
+    const ay = (ring[j][1] - latitude) * MILES_PER_DEGREE_LAT;
+    const bx = (ring[i][0] - longitude) * milesPerDegreeLng;
+    const by = (ring[i][1] - latitude) * MILES_PER_DEGREE_LAT;
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared));
+    minimum = Math.min(minimum, Math.hypot(ax + t * dx, ay + t * dy));
+  }
+  return minimum;
+}
+
+/**
+ * State code of a coordinate, or null outside the contiguous US
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {string|null} e.g. 'TX'
+ */
+function getStateAt(latitude, longitude) {
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+
+  for (const state of STATES) {
+    if (longitude < state.minLng || longitude > state.maxLng || latitude < state.minLat || latitude > state.maxLat) continue;
+    if (state.rings.some(ring => isInRing(longitude, latitude, ring))) return state.code;
+  }
+
+  const snapDegrees = SNAP_MILES / MILES_PER_DEGREE_LAT * 2;
+  let nearest = null;
+  let nearestMiles = SNAP_MILES;
+  for (const state of STATES) {
+    if (longitude < state.minLng - snapDegrees || longitude > state.maxLng + snapDegrees ||
+      latitude < state.minLat - snapDegrees || latitude > state.maxLat + snapDegrees) continue;
+    state.rings.forEach(ring => {
+      const miles = distanceToRing(longitude, latitude, ring);
+      if (miles <= nearestMiles) {
+        nearest = state.code;
+        nearestMiles = miles;
+      }
+    });
+  }
+  return nearest;
+}
+
+/**
+ * State code from a typed state ("TX", "Texas")
+ */
+function normalizeStateCode(value) {
+  const text = String(value || '').trim();
+  if (!text) return null;
+  const code = text.toUpperCase();
+  if (STATE_NAMES[code]) return code;
+  return STATE_CODES_BY_NAME.get(text.toLowerCase()) || null;
+}
+
+/**
+ * Miles per state of the straight segment between two points
+ * @param {Object} from - { latitude, longitude }
+ * @param {Object} to - { latitude, longitude }
+ * @param {Object} cache - Optional { fromState } to reuse the lookup of the previous segment's end
+ * @returns {{miles: number, states: Object<string, number>, endState: string|null}} states keyed by code ('UNKNOWN' outside the US)
+ */
+function splitSegmentByState(from, to, cache = {}) {
+  const miles = locationService.calculateStraightLineDistance(from, to);
+  const fromState = cache.fromState !== undefined ? cache.fromState : getStateAt(from.latitude, from.longitude);
+  const endState = getStateAt(to.latitude, to.longitude);
+  const states = {};
+  const add = (state, value) => {
+    const key = state || 'UNKNOWN';
+    states[key] = (states[key] || 0) + value;
+  };
+
+  if (miles <= SAMPLE_MILES || fromState === endState && miles <= SAMPLE_MILES * 5) {
+    // Short segment: split at the midpoint if it crosses a border
+    if (fromState === endState) {
+      add(fromState, miles);
+    } else {
+      add(fromState, miles / 2);
+      add(endState, miles / 2);
+    }
+    return { miles, states, endState };
+  }
+
+  const pieces = Math.ceil(miles / SAMPLE_MILES);
+  const pieceMiles = miles / pieces;
+  for (let i = 0; i < pieces; i++) {
+    const fraction = (i + 0.5) / pieces;
+    add(getStateAt(
+      from.latitude + (to.latitude - from.latitude) * fraction,
+      from.longitude + (to.longitude - from.longitude) * fraction
+    ), pieceMiles);
+  }
+  return { miles, states, endState };
+}
+
+module.exports = {
+  getStateAt,
+  normalizeStateCode,
+  splitSegmentByState
+};
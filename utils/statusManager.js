@@ -14,6 +14,11 @@ const Truck = require('../models/Truck');
 const User = require('../models/User');
 const Expense = require('../models/Expense');
 const auditService = require('./auditService');
+const webhookService = require('./webhookService');
+const vosSyncService = require('./vosSyncService');
+const dvirService = require('./dvirService');
+const maintenanceService = require('./maintenanceService');
+const { WEBHOOK_EVENTS } = require('../constants/webhooks');
 const {
   VEHICLE_STATUS,
   LOAD_STATUS,
@@ -23,6 +28,66 @@ const {
   ROUTE_STOP_STATUS
 } = require('../constants/status');
 
+/**
+ * Update a vehicle's status (plus any extra fields in updateData)
+ * and emit vehicle.status_changed when the status actually changes
+ */
+const setVehicleStatus = async (vehicleId, updateData) => {
+  const previous = await Vehicle.findByIdAndUpdate(vehicleId, updateData).select('vin year make model status externalUserId organizationId');
+
+  if (previous && updateData.status && previous.status !== updateData.status) {
+    webhookService.emitEvent(WEBHOOK_EVENTS.VEHICLE_STATUS_CHANGED, {
+      vehicleId: previous._id,
+      vin: previous.vin,
+      year: previous.year,
+      make: previous.make,
+      model: previous.model,
+      externalUserId: previous.externalUserId,
+      previousStatus: previous.status,
+      status: updateData.status,
+      changedAt: new Date()
+    }, previous.organizationId);
+  }
+
+  return previous;
+};
+
+/**
+ * Emit transportJob.delivered for a job that just became Delivered
+ */
+const emitTransportJobDelivered = async (transportJobId) => {
+  const job = await TransportJob.findById(transportJobId)
+    .select('jobNumber loadType vehicleId loadId carrier transportPurpose pickupRouteId dropRouteId assignedDriver externalUserId deliveryPhotos billOfLading organizationId')
+    .populate('vehicleId', 'vin year make model')
+    .populate('loadId', 'loadNumber description');
+  if (!job) return;
+
+  webhookService.emitEvent(WEBHOOK_EVENTS.TRANSPORT_JOB_DELIVERED, {
+    transportJobId: job._id,
+    jobNumber: job.jobNumber,
+    loadType: job.loadType,
+    vehicle: job.vehicleId ? {
+      vehicleId: job.vehicleId._id,
+      vin: job.vehicleId.vin,
+      year: job.vehicleId.year,
+      make: job.vehicleId.make,
+      model: job.vehicleId.model
+    } : undefined,
+    load: job.loadId ? {
+      loadId: job.loadId._id,
+      loadNumber: job.loadId.loadNumber,
+      description: job.loadId.description
+    } : undefined,
+    carrier: job.carrier,
+    transportPurpose: job.transportPurpose,
+    dropRouteId: job.dropRouteId,
+    externalUserId: job.externalUserId,
+    deliveryPhotos: job.deliveryPhotos,
+    billOfLading: job.billOfLading,
+    deliveredAt: new Date()
+  }, job.organizationId);
+};
+
 /**
  * Helper function to create automatic maintenance expense for a completed route
  * This is called when a route is completed to create an expense based on truck maintenance rate
@@ -113,7 +178,7 @@ const createMaintenanceExpenseForRoute = async (routeId) => {
  */
 const updateVehicleOnCreate = async (vehicleId) => {
   try {
-    await Vehicle.findByIdAndUpdate(vehicleId, {
+    await setVehicleStatus(vehicleId, {
       status: VEHICLE_STATUS.INTAKE_COMPLETE // This maps to 'Intake Completed'
     });
   } catch (error) {
@@ -219,7 +284,7 @@ const updateStatusOnTransportJobCreate = async (transportJobId, entityId, loadTy
         });
       } else {
         const newVehicleStatus = await calculateVehicleStatusFromJobs(entityId);
-        await Vehicle.findByIdAndUpdate(entityId, {
+        await setVehicleStatus(entityId, {
           status: newVehicleStatus,
           currentTransportJobId: transportJobId // Set this as the current active job
         });
@@ -287,8 +352,10 @@ const updateVehicleTransportJobsHistory = async (transportJobId, newStatus) => {
 
 /**
  * Update vehicle or load status when a transport job status changes
+ * @param {string} transportJobId - Transport job ID
+ * @param {string} previousStatus - Status before the change (used to emit transportJob.delivered)
  */
-const updateStatusOnTransportJobStatusChange = async (transportJobId) => {
+const updateStatusOnTransportJobStatusChange = async (transportJobId, previousStatus = null) => {
   try {
     // Get the transport job to find the vehicle or load
     const transportJob = await TransportJob.findById(transportJobId).select('vehicleId loadId loadType status');
@@ -296,6 +363,13 @@ const updateStatusOnTransportJobStatusChange = async (transportJobId) => {
       return;
     }
 
+    if (previousStatus && previousStatus !== transportJob.status) {
+      if (transportJob.status === TRANSPORT_JOB_STATUS.DELIVERED) {
+        await emitTransportJobDelivered(transportJobId);
+      }
+      await vosSyncService.queueTransportJobStatus(transportJobId);
+    }
+
     if (transportJob.loadType === 'load' && transportJob.loadId) {
       // Update load's transportJobs history array
       await updateLoadTransportJobsHistory(transportJobId, transportJob.status);
@@ -311,7 +385,7 @@ const updateStatusOnTransportJobStatusChange = async (transportJobId) => {
 
       // Calculate and update vehicle status
       const newVehicleStatus = await calculateVehicleStatusFromJobs(transportJob.vehicleId);
-      await Vehicle.findByIdAndUpdate(transportJob.vehicleId, {
+      await setVehicleStatus(transportJob.vehicleId, {
         status: newVehicleStatus
       });
     }
@@ -405,6 +479,7 @@ const updateStatusOnStopsSetup = async (routeId, stops = null) => {
         await TransportJob.findByIdAndUpdate(jobId, {
           status: TRANSPORT_JOB_STATUS.DISPATCHED
         });
+        await vosSyncService.queueTransportJobStatus(jobId);
       } else if (job.status === TRANSPORT_JOB_STATUS.DISPATCHED && hasPickupStop) {
         // If job is "Dispatched" and we're adding a pickup stop, keep it as "Dispatched"
         // Status will be updated to "In Transit" when pickup is completed
@@ -437,7 +512,7 @@ const updateStatusOnStopsSetup = async (routeId, stops = null) => {
           } else if (vehicle.status === VEHICLE_STATUS.INTAKE_COMPLETE) {
             // If vehicle is in early stages and we're adding stops, update to "Ready for Transport"
             if (hasPickupStop || hasDropStop) {
-              await Vehicle.findByIdAndUpdate(vehicleId, {
+              await setVehicleStatus(vehicleId, {
                 status: VEHICLE_STATUS.READY_FOR_TRANSPORT
               });
             }
@@ -551,23 +626,35 @@ const updateStatusOnRouteStatusChange = async (routeId, newStatus, oldStatus) =>
       // DO NOT update transport jobs or vehicles here - they remain "Dispatched" and "Ready for Transport"
       // Transport jobs and vehicles are updated when pickup stops are completed
 
-      // Update truck status to "In Use"
+      // Update truck status to "In Use" (an out-of-service truck stays out of service)
       if (route.truckId) {
-        await Truck.findByIdAndUpdate(route.truckId._id || route.truckId, {
-          status: TRUCK_STATUS.IN_USE
-        });
+        await Truck.updateOne(
+          { _id: route.truckId._id || route.truckId, status: { $ne: TRUCK_STATUS.OUT_OF_SERVICE } },
+          { status: TRUCK_STATUS.IN_USE }
+        );
+      }
+
+      if (oldStatus !== ROUTE_STATUS.IN_PROGRESS) {
+        webhookService.emitEvent(WEBHOOK_EVENTS.ROUTE_STARTED, {
+          routeId: route._id,
+          routeNumber: route.routeNumber,
+          driverId: route.driverId,
+          truckId: route.truckId ? (route.truckId._id || route.truckId) : undefined,
+          truckNumber: route.truckId?.truckNumber,
+          previousStatus: oldStatus,
+          transportJobIds: [...transportJobIds],
+          startedAt: route.actualStartDate || new Date()
+        }, route.organizationId);
       }
     } else if (newStatus === ROUTE_STATUS.COMPLETED) {
       // Route completed - DO NOT automatically complete transport jobs
       // Transport jobs are only completed when ALL their stops (pickup + drop) are completed,
       // regardless of which routes they belong to. This is handled in updateStatusOnStopUpdate.
 
-      // Update truck status to Available
+      // Update truck status to Available (unless a DVIR took it out of service)
       if (route.truckId) {
-        await Truck.findByIdAndUpdate(route.truckId._id || route.truckId, {
-          status: TRUCK_STATUS.AVAILABLE,
-          currentDriver: undefined
-        });
+        await dvirService.releaseTruck(route.truckId);
+        await maintenanceService.refreshTruckPlans(route.truckId);
       }
 
       // Remove currentRouteId from driver profile
@@ -597,19 +684,16 @@ const updateStatusOnRouteStatusChange = async (routeId, newStatus, oldStatus) =>
           if (vehicle && !vehicle.deleted) {
             // Recalculate vehicle status based on all transport jobs
             const newVehicleStatus = await calculateVehicleStatusFromJobs(vehicleId);
-            await Vehicle.findByIdAndUpdate(vehicleId, {
+            await setVehicleStatus(vehicleId, {
               status: newVehicleStatus
             });
           }
         }
       }
 
-      // Update truck status to Available
+      // Update truck status to Available (unless a DVIR took it out of service)
       if (route.truckId) {
-        await Truck.findByIdAndUpdate(route.truckId._id || route.truckId, {
-          status: TRUCK_STATUS.AVAILABLE,
-          currentDriver: undefined
-        });
+        await dvirService.releaseTruck(route.truckId);
       }
     }
   } catch (error) {
@@ -630,6 +714,20 @@ const updateStatusOnStopUpdate = async (routeId, stopIndex, newStopStatus, stopT
     // Use updated stops if provided, otherwise use route.stops
     const stopsToCheck = updatedStops || route.stops;
 
+    if (newStopStatus === ROUTE_STOP_STATUS.COMPLETED) {
+      const completedStop = stopsToCheck && stopsToCheck[stopIndex];
+      webhookService.emitEvent(WEBHOOK_EVENTS.STOP_COMPLETED, {
+        routeId: route._id,
+        routeNumber: route.routeNumber,
+        stopId: completedStop?._id,
+        stopType,
+        sequence: completedStop?.sequence,
+        transportJobId: transportJobId ? (transportJobId._id || transportJobId) : undefined,
+        location: completedStop?.location,
+        completedAt: completedStop?.actualDate || new Date()
+      }, route.organizationId);
+    }
+
     // If stop is completed and it's a drop stop, check if transport job is fully completed
     if (newStopStatus === ROUTE_STOP_STATUS.COMPLETED && stopType === 'drop' && transportJobId) {
       const jobId = typeof transportJobId === 'object'
@@ -641,9 +739,14 @@ const updateStatusOnStopUpdate = async (routeId, stopIndex, newStopStatus, stopT
 
       if (isFullyCompleted) {
         // Transport job is fully completed - mark as delivered
-        await TransportJob.findByIdAndUpdate(jobId, {
+        const previousJob = await TransportJob.findByIdAndUpdate(jobId, {
           status: TRANSPORT_JOB_STATUS.DELIVERED
-        });
+        }).select('status');
+
+        if (previousJob && previousJob.status !== TRANSPORT_JOB_STATUS.DELIVERED) {
+          await emitTransportJobDelivered(jobId);
+          await vosSyncService.queueTransportJobStatus(jobId);
+        }
 
       // Get the transport job to find the vehicle or load
       const job = await TransportJob.findById(jobId).populate('vehicleId').populate('loadId');
@@ -682,7 +785,7 @@ const updateStatusOnStopUpdate = async (routeId, stopIndex, newStopStatus, stopT
               updateData.deliveredAt = new Date();
             }
 
-            await Vehicle.findByIdAndUpdate(vehicleId, updateData);
+            await setVehicleStatus(vehicleId, updateData);
           }
         }
       }
@@ -696,9 +799,13 @@ const updateStatusOnStopUpdate = async (routeId, stopIndex, newStopStatus, stopT
         : transportJobId;
 
       // Update transport job status to "In Transit"
-      await TransportJob.findByIdAndUpdate(jobId, {
+      const previousJob = await TransportJob.findByIdAndUpdate(jobId, {
         status: TRANSPORT_JOB_STATUS.IN_TRANSIT
-      });
+      }).select('status');
+
+      if (previousJob && previousJob.status !== TRANSPORT_JOB_STATUS.IN_TRANSIT) {
+        await vosSyncService.queueTransportJobStatus(jobId);
+      }
 
       // Get the transport job to find the vehicle or load
       const job = await TransportJob.findById(jobId).populate('vehicleId').populate('loadId');
@@ -725,7 +832,7 @@ const updateStatusOnStopUpdate = async (routeId, stopIndex, newStopStatus, stopT
           if (vehicle && !vehicle.deleted) {
             // Recalculate vehicle status based on all transport jobs
             const newVehicleStatus = await calculateVehicleStatusFromJobs(vehicleId);
-            await Vehicle.findByIdAndUpdate(vehicleId, {
+            await setVehicleStatus(vehicleId, {
               status: newVehicleStatus
             });
           }
@@ -743,12 +850,10 @@ const updateStatusOnStopUpdate = async (routeId, stopIndex, newStopStatus, stopT
         route.status = ROUTE_STATUS.COMPLETED;
         await route.save();
 
-        // Update truck status
+        // Update truck status (unless a DVIR took it out of service) and its maintenance miles
         if (route.truckId) {
-          await Truck.findByIdAndUpdate(route.truckId, {
-            status: TRUCK_STATUS.AVAILABLE,
-            currentDriver: undefined
-          });
+          await dvirService.releaseTruck(route.truckId);
+          await maintenanceService.refreshTruckPlans(route.truckId);
         }
 
         // Remove currentRouteId from driver profile
@@ -818,7 +923,7 @@ const updateStatusOnTransportJobRemoved = async (transportJobId) => {
       const vehicle = await Vehicle.findById(vehicleId);
       if (vehicle && !vehicle.deleted) {
         const newVehicleStatus = await calculateVehicleStatusFromJobs(vehicleId);
-        await Vehicle.findByIdAndUpdate(vehicleId, {
+        await setVehicleStatus(vehicleId, {
           status: newVehicleStatus
         });
       }
@@ -0,0 +1,56 @@
+/**
+ * Tenant Context
+ *
+ * Carries the current organization through a request (set by protect/optionalAuth in
+ * middleware/auth.js) so the organizationScope plugin can filter queries and stamp new documents.
+ * Code running without a context - background workers, scripts, public lookups by token - is unscoped.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const mongoose = require('mongoose');
+
+const storage = new AsyncLocalStorage();
+
+const toObjectId = (organizationId) => (organizationId instanceof mongoose.Types.ObjectId
+  ? organizationId
+  : new mongoose.Types.ObjectId(organizationId.toString()));
+
+/**
+ * Run fn with every scoped query limited to one organization
+ * Queries must be executed inside fn: a Query returned from a plain (non-async) fn runs in the caller's context.
+ * @param {string|ObjectId} organizationId
+ * @param {Function} fn
+ * @returns {*} fn's result
+ */
+function runWithOrganization(organizationId, fn) {
+  return storage.run({ organizationId: toObjectId(organizationId) }, fn);
+}
+
+/**
+ * Run fn across all organizations (super-admin reports and organization management)
+ */
+function runUnscoped(fn) {
+  return storage.run({ organizationId: null }, fn);
+}
+
+/**
+ * Scope the rest of the current async execution to an organization (for scripts)
+ */
+function enterOrganization(organizationId) {
+  storage.enterWith({ organizationId: toObjectId(organizationId) });
+}
+
+/**
+ * Organization of the current context
+ * @returns {ObjectId|null} null when unscoped
+ */
+function getOrganizationId() {
+  return storage.getStore()?.organizationId || null;
+}
+
+module.exports = {
+  runWithOrganization,
+  runUnscoped,
+  enterOrganization,
+  getOrganizationId
+};
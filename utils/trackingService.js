@@ -0,0 +1,354 @@
+/**
+ * Shipment Tracking Service
+ *
+ * Issues and verifies signed, expiring share tokens for a transport job and builds the
+ * customer-facing tracking snapshot returned by the public /api/tracking endpoint.
+ *
+ * Tokens are JWTs carrying the transport job ID and a random token ID. Only the token ID
+ * is stored on the job (trackingShares), so a link can be revoked without knowing the token.
+ *
+ * The snapshot deliberately leaves out anything internal: driver identity and exact
+ * location, truck details, contacts, pricing (carrierPayment) and stop notes.
+ */
+
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const Route = require('../models/Route');
+const User = require('../models/User');
+const locationService = require('./locationService');
+const { DEFAULT_SERVICE_TIME_SECONDS } = require('./routeOptimizer');
+const { emailDefaults } = require('../config/email');
+const {
+  ROUTE_STATUS,
+  ROUTE_STATE,
+  ROUTE_STOP_STATUS,
+  ROUTE_STOP_TYPE,
+  TRANSPORT_JOB_STATUS
+} = require('../constants/status');
+
+const TRACKING_TOKEN_TYPE = 'shipment_tracking';
+const DEFAULT_TRACKING_LINK_DAYS = parseInt(process.env.TRACKING_LINK_EXPIRE_DAYS, 10) || 14;
+const MAX_TRACKING_LINK_DAYS = 90;
+
+// Driver locations older than this are reported as stale
+const STALE_LOCATION_MINUTES = 30;
+
+// Decimal places kept when exposing the driver's position (1 decimal is roughly 11 km)
+const APPROXIMATE_LOCATION_PRECISION = 1;
+
+const getTrackingSecret = () => process.env.TRACKING_TOKEN_SECRET || process.env.JWT_SECRET;
+
+const toIdString = (value) => {
+  if (!value) return null;
+  return (value._id || value).toString();
+};
+
+const isStopDone = (stop) =>
+  stop.status === ROUTE_STOP_STATUS.COMPLETED || stop.status === ROUTE_STOP_STATUS.SKIPPED;
+
+/**
+ * Sign a new tracking token for a transport job
+ * @param {string} transportJobId - Transport job ID
+ * @param {number} expiresInDays - Link lifetime in days (capped at MAX_TRACKING_LINK_DAYS)
+ * @returns {{token: string, tokenId: string, expiresAt: Date, url: string}}
+ */
+function generateTrackingToken(transportJobId, expiresInDays = DEFAULT_TRACKING_LINK_DAYS) {
+  const days = Math.min(Math.max(parseFloat(expiresInDays) || DEFAULT_TRACKING_LINK_DAYS, 1 / 24), MAX_TRACKING_LINK_DAYS);
+  const expiresInSeconds = Math.round(days * 24 * 60 * 60);
+  const tokenId = crypto.randomBytes(16).toString('hex');
+
+  const token = jwt.sign(
+    {
+      type: TRACKING_TOKEN_TYPE,
+      jobId: transportJobId.toString(),
+      tid: tokenId
+    },
+    getTrackingSecret(),
+    { expiresIn: expiresInSeconds }
+  );
+
+  return {
+    token,
+    tokenId,
+    expiresAt: new Date(Date.now() + expiresInSeconds * 1000),
+    url: buildTrackingUrl(token)
+  };
+}
+
+/**
+ * Build the customer-facing tracking page URL for a token
+ */
+function buildTrackingUrl(token) {
+  const baseUrl = process.env.TRACKING_PORTAL_URL || `${emailDefaults.clientUrl}/track`;
+  return `${baseUrl.replace(/\/$/, '')}/${token}`;
+}
+
+/**
+ * Verify a tracking token's signature and expiry
+ * @param {string} token - Token from the share link
+ * @returns {{valid: boolean, expired?: boolean, jobId?: string, tokenId?: string}}
+ */
+function verifyTrackingToken(token) {
+  try {
+    const decoded = jwt.verify(token, getTrackingSecret());
+    if (decoded.type !== TRACKING_TOKEN_TYPE || !decoded.jobId || !decoded.tid) {
+      return { valid: false };
+    }
+    return { valid: true, jobId: decoded.jobId, tokenId: decoded.tid };
+  } catch (error) {
+    return { valid: false, expired: error.name === 'TokenExpiredError' };
+  }
+}
+
+/**
+ * Find the active (non-revoked, non-expired) share entry for a token ID
+ */
+function findActiveShare(transportJob, tokenId) {
+  const share = (transportJob.trackingShares || []).find(entry => entry.tokenId === tokenId);
+  if (!share || share.revokedAt || (share.expiresAt && share.expiresAt < new Date())) {
+    return null;
+  }
+  return share;
+}
+
+/**
+ * Locate this job's stop of the given type on a route
+ */
+function findJobStop(route, transportJobId, stopType) {
+  if (!route || !route.stops) return null;
+  return route.stops.find(stop =>
+    stop.stopType === stopType && toIdString(stop.transportJobId) === transportJobId
+  ) || null;
+}
+
+/**
+ * Customer-safe view of a route stop
+ */
+function formatStop(stop, fallbackLocation) {
+  if (!stop) {
+    return {
+      status: null,
+      location: fallbackLocation
+    };
+  }
+
+  return {
+    status: stop.status,
+    scheduledDate: stop.scheduledDate,
+    scheduledTimeStart: stop.scheduledTimeStart,
+    scheduledTimeEnd: stop.scheduledTimeEnd,
+    completedAt: stop.status === ROUTE_STOP_STATUS.COMPLETED ? (stop.actualTime || stop.actualDate || null) : null,
+    location: {
+      name: stop.location?.name || fallbackLocation.name,
+      city: stop.location?.city || fallbackLocation.city,
+      state: stop.location?.state || fallbackLocation.state,
+      zip: stop.location?.zip || fallbackLocation.zip
+    }
+  };
+}
+
+/**
+ * Estimate arrival at a target stop from the driver's last reported location.
+ * Uses straight-line estimates for the first leg (no paid API calls from the public
+ * endpoint) and the route's stored leg durations for the rest, plus service time at
+ * every intermediate stop.
+ * @returns {Object|null} ETA details, or null when it cannot be estimated
+ */
+function estimateArrival(route, targetStop, driverLocation) {
+  if (!route || !targetStop || isStopDone(targetStop)) return null;
+  if (!driverLocation || driverLocation.latitude == null || driverLocation.longitude == null) return null;
+
+  const orderedStops = [...route.stops].sort((a, b) => (a.sequence || 0) - (b.sequence || 0));
+  const targetIndex = orderedStops.findIndex(stop => stop._id.toString() === targetStop._id.toString());
+  if (targetIndex === -1) return null;
+
+  const remainingStops = orderedStops.slice(0, targetIndex + 1).filter(stop => !isStopDone(stop));
+  const hasCoordinates = (stop) =>
+    stop.location?.coordinates?.latitude != null && stop.location?.coordinates?.longitude != null;
+
+  if (remainingStops.length === 0 || !hasCoordinates(remainingStops[0]) || !hasCoordinates(targetStop)) {
+    return null;
+  }
+
+  const firstLeg = locationService.estimateDrivingDistance(driverLocation, remainingStops[0].location.coordinates);
+  let remainingMiles = firstLeg.distance.value;
+  let remainingSeconds = firstLeg.duration.value;
+
+  for (let i = 1; i < remainingStops.length; i++) {
+    const previous = remainingStops[i - 1];
+    const stop = remainingStops[i];
+
+    remainingSeconds += DEFAULT_SERVICE_TIME_SECONDS;
+
+    if (stop.durationFromPrevious?.value && stop.distanceFromPrevious?.value != null &&
+        orderedStops.indexOf(stop) - orderedStops.indexOf(previous) === 1) {
+      remainingMiles += stop.distanceFromPrevious.value;
+      remainingSeconds += stop.durationFromPrevious.value;
+    } else if (hasCoordinates(previous) && hasCoordinates(stop)) {
+      const leg = locationService.estimateDrivingDistance(previous.location.coordinates, stop.location.coordinates);
+      remainingMiles += leg.distance.value;
+      remainingSeconds += leg.duration.value;
+    }
+  }
+
+  const locationTimestamp = driverLocation.timestamp ? new Date(driverLocation.timestamp) : null;
+  const stale = !locationTimestamp || (Date.now() - locationTimestamp.getTime()) > STALE_LOCATION_MINUTES * 60 * 1000;
+
+  return {
+    estimatedArrival: new Date(Date.now() + remainingSeconds * 1000),
+    remainingMiles: Math.round(remainingMiles * 10) / 10,
+    remainingDuration: locationService.formatDuration(remainingSeconds),
+    stopsBeforeArrival: remainingStops.length - 1,
+    basedOnLocationAt: locationTimestamp,
+    stale
+  };
+}
+
+/**
+ * Build the public tracking snapshot for a transport job
+ * @param {Object} transportJob - TransportJob with vehicleId/loadId populated
+ * @returns {Promise<Object>} Customer-safe tracking data
+ */
+async function buildTrackingSnapshot(transportJob) {
+  const jobId = transportJob._id.toString();
+  const pickupRouteId = toIdString(transportJob.pickupRouteId) || toIdString(transportJob.routeId);
+  const dropRouteId = toIdString(transportJob.dropRouteId) || toIdString(transportJob.routeId);
+
+  const routeIds = [...new Set([pickupRouteId, dropRouteId].filter(Boolean))];
+  const routes = routeIds.length > 0
+    ? await Route.find({ _id: { $in: routeIds } }).select('status state stops driverId')
+    : [];
+  const routeById = new Map(routes.map(route => [route._id.toString(), route]));
+
+  const pickupRoute = pickupRouteId ? routeById.get(pickupRouteId) : null;
+  const dropRoute = dropRouteId ? routeById.get(dropRouteId) : null;
+  const pickupStop = findJobStop(pickupRoute, jobId, ROUTE_STOP_TYPE.PICKUP);
+  const dropStop = findJobStop(dropRoute, jobId, ROUTE_STOP_TYPE.DROP);
+
+  const pickupCompleted = pickupStop?.status === ROUTE_STOP_STATUS.COMPLETED;
+  const delivered = dropStop?.status === ROUTE_STOP_STATUS.COMPLETED ||
+    transportJob.status === TRANSPORT_JOB_STATUS.DELIVERED;
+
+  // The next milestone the customer is waiting for
+  const activeRoute = pickupCompleted ? dropRoute : pickupRoute;
+  const targetStop = pickupCompleted ? dropStop : pickupStop;
+
+  let progress = null;
+  let eta = null;
+  let approximateLocation = null;
+
+  if (activeRoute && targetStop && !delivered && transportJob.status !== TRANSPORT_JOB_STATUS.CANCELLED) {
+    const orderedStops = [...activeRoute.stops].sort((a, b) => (a.sequence || 0) - (b.sequence || 0));
+    const targetIndex = orderedStops.findIndex(stop => stop._id.toString() === targetStop._id.toString());
+    const stopsBefore = orderedStops.slice(0, targetIndex);
+
+    progress = {
+      nextMilestone: pickupCompleted ? 'delivery' : 'pickup',
+      routeStatus: activeRoute.status,
+      paused: activeRoute.state === ROUTE_STATE.STOPPED,
+      totalStops: orderedStops.length,
+      completedStops: orderedStops.filter(isStopDone).length,
+      stopsRemainingBeforeMilestone: stopsBefore.filter(stop => !isStopDone(stop)).length
+    };
+
+    if (activeRoute.status === ROUTE_STATUS.IN_PROGRESS && activeRoute.driverId) {
+      const driver = await User.findById(activeRoute.driverId).select('currentLocation');
+      const driverLocation = driver?.currentLocation;
+
+      eta = estimateArrival(activeRoute, targetStop, driverLocation);
+
+      if (driverLocation?.latitude != null && driverLocation?.longitude != null) {
+        const factor = Math.pow(10, APPROXIMATE_LOCATION_PRECISION);
+        approximateLocation = {
+          latitude: Math.round(driverLocation.latitude * factor) / factor,
+          longitude: Math.round(driverLocation.longitude * factor) / factor,
+          updatedAt: driverLocation.timestamp
+        };
+      }
+    }
+  }
+
+  // Delivery photos are only shared once the drop stop is completed
+  let deliveryPhotos = [];
+  if (delivered) {
+    const seen = new Set();
+    (dropStop?.photos || []).forEach(photo => {
+      if (photo.url && !seen.has(photo.url)) {
+        seen.add(photo.url);
+        deliveryPhotos.push({
+          url: photo.url,
+          timestamp: photo.timestamp,
+          photoCategory: photo.photoCategory
+        });
+      }
+    });
+    (transportJob.deliveryPhotos || []).forEach(url => {
+      if (url && !seen.has(url)) {
+        seen.add(url);
+        deliveryPhotos.push({ url });
+      }
+    });
+  }
+
+  const vehicle = transportJob.loadType === 'vehicle' && transportJob.vehicleId && typeof transportJob.vehicleId === 'object'
+    ? {
+      year: transportJob.vehicleId.year,
+      make: transportJob.vehicleId.make,
+      model: transportJob.vehicleId.model,
+      vinLast6: transportJob.vehicleId.vin ? transportJob.vehicleId.vin.slice(-6) : undefined
+    }
+    : undefined;
+
+  const load = transportJob.loadType === 'load' && transportJob.loadId && typeof transportJob.loadId === 'object'
+    ? {
+      loadNumber: transportJob.loadId.loadNumber,
+      description: transportJob.loadId.description,
+      quantity: transportJob.loadId.quantity,
+      unit: transportJob.loadId.unit
+    }
+    : undefined;
+
+  return {
+    jobNumber: transportJob.jobNumber,
+    status: transportJob.status,
+    loadType: transportJob.loadType,
+    vehicle,
+    load,
+    pickup: {
+      ...formatStop(pickupStop, {
+        name: transportJob.pickupLocationName,
+        city: transportJob.pickupCity,
+        state: transportJob.pickupState,
+        zip: transportJob.pickupZip
+      }),
+      requestedDateStart: transportJob.pickupDateStart,
+      requestedDateEnd: transportJob.pickupDateEnd
+    },
+    delivery: {
+      ...formatStop(dropStop, {
+        name: transportJob.dropLocationName,
+        city: transportJob.dropCity,
+        state: transportJob.dropState,
+        zip: transportJob.dropZip
+      }),
+      requestedDateStart: transportJob.dropDateStart,
+      requestedDateEnd: transportJob.dropDateEnd
+    },
+    progress,
+    eta,
+    approximateLocation,
+    deliveryPhotos,
+    lastUpdated: transportJob.updatedAt
+  };
+}
+
+module.exports = {
+  DEFAULT_TRACKING_LINK_DAYS,
+  MAX_TRACKING_LINK_DAYS,
+  generateTrackingToken,
+  buildTrackingUrl,
+  verifyTrackingToken,
+  findActiveShare,
+  estimateArrival,
+  buildTrackingSnapshot
+};
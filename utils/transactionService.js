@@ -0,0 +1,81 @@
+/**
+ * Transaction Service
+ *
+ * Runs multi-document operations (dispatch board moves and splits) in a MongoDB transaction.
+ * Mongoose's transactionAsyncLocalStorage (enabled in config/database.js) puts every query made
+ * inside runInTransaction() - including statusManager side effects - in the transaction's session,
+ * so they commit or roll back together.
+ *
+ * Work that must not run inside the transaction (webhook and VOS sends) is registered with
+ * afterCommit() and runs once the transaction has committed; it is dropped if the transaction aborts.
+ * Transactions need a replica set or sharded cluster (MongoDB Atlas is always one).
+ */
+
+const mongoose = require('mongoose');
+
+const AFTER_COMMIT_TASKS = Symbol('afterCommitTasks');
+
+const getTransactionSession = () => {
+  const session = mongoose.transactionAsyncLocalStorage?.getStore()?.session;
+  return session && session[AFTER_COMMIT_TASKS] ? session : null;
+};
+
+/**
+ * Whether the caller runs inside runInTransaction()
+ * @returns {boolean}
+ */
+function isInTransaction() {
+  return !!getTransactionSession();
+}
+
+/**
+ * Run a task once the current transaction commits, or right away outside a transaction
+ * @param {Function} task - Called without arguments; may return a promise
+ */
+function afterCommit(task) {
+  const session = getTransactionSession();
+  if (session) {
+    session[AFTER_COMMIT_TASKS].push(task);
+    return;
+  }
+  Promise.resolve().then(task).catch(error => {
+    console.error('Error running post-commit task:', error);
+  });
+}
+
+/**
+ * Run fn in a transaction; fn is retried from the start on transient errors, so it must
+ * reload the documents it changes
+ * @param {Function} fn - async (session) => result
+ * @returns {Promise<*>} fn's result
+ */
+async function runInTransaction(fn) {
+  let tasks = [];
+  let result;
+  try {
+    result = await mongoose.connection.transaction(session => {
+      // A retried attempt starts with no pending tasks
+      tasks = [];
+      session[AFTER_COMMIT_TASKS] = tasks;
+      return fn(session);
+    });
+  } catch (error) {
+    if (/replica set member or mongos|Transaction numbers are only allowed/i.test(error.message)) {
+      throw new Error('This operation requires MongoDB transactions (a replica set or MongoDB Atlas cluster)');
+    }
+    throw error;
+  }
+
+  tasks.forEach(task => {
+    Promise.resolve().then(task).catch(error => {
+      console.error('Error running post-commit task:', error);
+    });
+  });
+  return result;
+}
+
+module.exports = {
+  isInTransaction,
+  afterCommit,
+  runInTransaction
+};
@@ -0,0 +1,323 @@
+/**
+ * VIN Decoder
+ *
+ * Decodes a VIN locally from the embedded tables in constants/vinData.js:
+ * format, check digit (9th character), manufacturer/make/country from the WMI and model year
+ * from the 10th character. A provider can enrich the result (model, trim, body class):
+ * - 'nhtsa': NHTSA vPIC API (free, no key)
+ * The provider is picked with VIN_DECODER_PROVIDER or setProvider() (a registered name or a
+ * { name, decode(vin) } object); without one only local data is used.
+ */
+
+const axios = require('axios');
+const {
+  VIN_TRANSLITERATION,
+  VIN_POSITION_WEIGHTS,
+  MODEL_YEAR_CODES,
+  WMI_TABLE,
+  VIN_REGIONS,
+  NORTH_AMERICAN_PREFIXES,
+  MAKE_ALIASES
+} = require('../constants/vinData');
+
+const VIN_PATTERN = /^[A-HJ-NPR-Z0-9]{17}$/;
+const PROVIDER_TIMEOUT_MS = parseInt(process.env.VIN_DECODER_TIMEOUT_MS) || 5000;
+const CACHE_LIMIT = 500;
+
+const providerCache = new Map();
+
+const normalizeVin = (vin) => String(vin || '').toUpperCase().replace(/[\s-]/g, '');
+
+const titleCase = (value) => String(value).toLowerCase().replace(/\b[a-z]/g, letter => letter.toUpperCase());
+
+/**
+ * Expected check digit of a 17 character VIN ('0'-'9' or 'X')
+ */
+function calculateCheckDigit(vin) {
+  const sum = vin.split('').reduce((total, char, index) => {
+    const value = /[0-9]/.test(char) ? Number(char) : VIN_TRANSLITERATION[char];
+    return total + (value || 0) * VIN_POSITION_WEIGHTS[index];
+  }, 0);
+  const remainder = sum % 11;
+  return remainder === 10 ? 'X' : String(remainder);
+}
+
+/**
+ * Validate a VIN's format and check digit
+ * @param {string} vin - VIN
+ * @returns {Object} { vin, validFormat, checkDigitValid, expectedCheckDigit, errors }
+ */
+function validateVin(vin) {
+  const normalized = normalizeVin(vin);
+  const result = {
+    vin: normalized,
+    validFormat: VIN_PATTERN.test(normalized),
+    checkDigitValid: false,
+    expectedCheckDigit: null,
+    errors: []
+  };
+
+  if (!result.validFormat) {
+    result.errors.push(normalized.length !== 17
+      ? `VIN must be 17 characters (got ${normalized.length})`
+      : 'VIN can only contain letters and digits, excluding I, O and Q');
+    return result;
+  }
+
+  result.expectedCheckDigit = calculateCheckDigit(normalized);
+  result.checkDigitValid = normalized[8] === result.expectedCheckDigit;
+  if (!result.checkDigitValid) {
+    // Vehicles built for markets outside North America may not use a check digit
+    result.errors.push(`Check digit is ${normalized[8]}, expected ${result.expectedCheckDigit} - the VIN may contain a typo`);
+  }
+
+  return result;
+}
+
+/**
+ * Model year candidates of a VIN, most likely first
+ */
+function decodeModelYear(vin) {
+  const baseYear = MODEL_YEAR_CODES[vin[9]];
+  if (!baseYear) return { modelYear: null, possibleModelYears: [] };
+
+  const candidates = [baseYear, baseYear + 30];
+  const maxYear = new Date().getFullYear() + 1;
+
+  // North American light vehicles: a letter in position 7 means the 2010-2039 cycle
+  if (NORTH_AMERICAN_PREFIXES.includes(vin[0])) {
+    return {
+      modelYear: /[A-Z]/.test(vin[6]) ? baseYear + 30 : baseYear,
+      possibleModelYears: candidates
+    };
+  }
+
+  const plausible = candidates.filter(year => year <= maxYear);
+  return {
+    modelYear: plausible.length > 0 ? plausible[plausible.length - 1] : null,
+    possibleModelYears: candidates
+  };
+}
+
+/**
+ * Decode a VIN from the embedded tables only
+ * @param {string} vin - VIN
+ * @returns {Object} Decoded VIN (make/modelYear are null when unknown)
+ */
+function decodeVinLocal(vin) {
+  const validation = validateVin(vin);
+  const normalized = validation.vin;
+  const decoded = {
+    vin: normalized,
+    validFormat: validation.validFormat,
+    checkDigitValid: validation.checkDigitValid,
+    errors: validation.errors,
+    wmi: null,
+    manufacturer: null,
+    make: null,
+    model: null,
+    country: null,
+    modelYear: null,
+    possibleModelYears: [],
+    plantCode: null,
+    serialNumber: null,
+    sources: ['local']
+  };
+
+  if (!validation.validFormat) return decoded;
+
+  const wmiInfo = WMI_TABLE[normalized.slice(0, 3)] || {};
+  const { modelYear, possibleModelYears } = decodeModelYear(normalized);
+
+  return {
+    ...decoded,
+    wmi: normalized.slice(0, 3),
+    manufacturer: wmiInfo.manufacturer || null,
+    make: wmiInfo.make || null,
+    country: wmiInfo.country || VIN_REGIONS[normalized[0]] || null,
+    modelYear,
+    possibleModelYears,
+    plantCode: normalized[10],
+    serialNumber: normalized.slice(11)
+  };
+}
+
+// Providers: { name, decode: async (vin) => ({ make, model, year, trim, bodyClass, manufacturer }) | null }
+
+const nhtsaProvider = {
+  name: 'nhtsa',
+  decode: async (vin) => {
+    const response = await axios.get(`https://vpic.nhtsa.dot.gov/api/vehicles/DecodeVinValues/${vin}`, {
+      params: { format: 'json' },
+      timeout: PROVIDER_TIMEOUT_MS
+    });
+    const result = response.data?.Results?.[0];
+    if (!result || !result.Make) return null;
+
+    return {
+      make: titleCase(result.Make),
+      model: result.Model || null,
+      year: result.ModelYear ? Number(result.ModelYear) : null,
+      trim: result.Trim || null,
+      bodyClass: result.BodyClass || null,
+      manufacturer: result.Manufacturer || null
+    };
+  }
+};
+
+const PROVIDERS = {
+  nhtsa: nhtsaProvider
+};
+
+let activeProvider = PROVIDERS[process.env.VIN_DECODER_PROVIDER] || null;
+
+/**
+ * Select the enrichment provider: a registered name, a provider object, or null for local decoding only
+ */
+function setProvider(provider) {
+  if (typeof provider === 'string') {
+    if (!PROVIDERS[provider]) throw new Error(`Unknown VIN decoder provider: ${provider}`);
+    activeProvider = PROVIDERS[provider];
+  } else {
+    activeProvider = provider || null;
+  }
+  providerCache.clear();
+}
+
+const getProviderName = () => (activeProvider ? activeProvider.name : null);
+
+/**
+ * Decode a VIN locally and enrich it from the provider (provider failures are reported, not thrown)
+ * @param {string} vin - VIN
+ * @param {Object} options - { enrich: boolean (default true) }
+ * @returns {Promise<Object>} Decoded VIN
+ */
+async function decodeVin(vin, { enrich = true } = {}) {
+  const decoded = decodeVinLocal(vin);
+  if (!enrich || !activeProvider || !decoded.validFormat) return decoded;
+
+  try {
+    const cacheKey = `${activeProvider.name}:${decoded.vin}`;
+    let details = providerCache.get(cacheKey);
+    if (details === undefined) {
+      details = await activeProvider.decode(decoded.vin);
+      if (providerCache.size >= CACHE_LIMIT) {
+        providerCache.delete(providerCache.keys().next().value);
+      }
+      providerCache.set(cacheKey, details);
+    }
+
+    if (details) {
+      decoded.sources.push(activeProvider.name);
+      decoded.make = details.make || decoded.make;
+      decoded.model = details.model || null;
+      decoded.manufacturer = details.manufacturer || decoded.manufacturer;
+      decoded.trim = details.trim || null;
+      decoded.bodyClass = details.bodyClass || null;
+      if (details.year) {
+        decoded.modelYear = details.year;
+      }
+    }
+  } catch (error) {
+    console.error(`VIN provider ${activeProvider.name} failed for ${decoded.vin}:`, error.message);
+    decoded.providerError = error.message;
+  }
+
+  return decoded;
+}
+
+const normalizeMake = (make) => {
+  const value = String(make || '').trim().toLowerCase();
+  return MAKE_ALIASES[value] || value;
+};
+
+const normalizeModel = (model) => String(model || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Compare vehicle details against a decoded VIN
+ * @param {Object} decoded - Result of decodeVin
+ * @param {Object} details - { year, make, model }
+ * @returns {Array<{field, provided, decoded}>} Mismatches (fields the VIN doesn't decode are not compared)
+ */
+function findMismatches(decoded, { year, make, model }) {
+  const mismatches = [];
+
+  if (year && decoded.modelYear) {
+    const candidates = decoded.sources.length > 1 ? [decoded.modelYear] : decoded.possibleModelYears;
+    if (!candidates.includes(Number(year))) {
+      mismatches.push({ field: 'year', provided: Number(year), decoded: decoded.modelYear });
+    }
+  }
+
+  if (make && decoded.make && normalizeMake(make) !== normalizeMake(decoded.make)) {
+    mismatches.push({ field: 'make', provided: make, decoded: decoded.make });
+  }
+
+  if (model && decoded.model) {
+    const provided = normalizeModel(model);
+    const expected = normalizeModel(decoded.model);
+    // "Model 3" vs "3", "F-150" vs "F150 SuperCrew" count as matches
+    if (provided && expected && !provided.includes(expected) && !expected.includes(provided)) {
+      mismatches.push({ field: 'model', provided: model, decoded: decoded.model });
+    }
+  }
+
+  return mismatches;
+}
+
+/**
+ * Decode a record's VIN, fill its missing year/make/model and cross-check the provided ones
+ * @param {Object} data - Vehicle data ({ vin, year, make, model }); missing fields are filled in place
+ * @param {Object} options - Passed to decodeVin
+ * @returns {Promise<Object>} { decoded, filled: [field], mismatches, vinDecode } - vinDecode is stored on the vehicle
+ */
+async function applyVinDecode(data, options = {}) {
+  const decoded = await decodeVin(data.vin, options);
+  const filled = [];
+
+  const mismatches = findMismatches(decoded, data);
+
+  if (decoded.validFormat) {
+    if (!data.year && decoded.modelYear) {
+      data.year = decoded.modelYear;
+      filled.push('year');
+    }
+    if (!data.make && decoded.make) {
+      data.make = decoded.make;
+      filled.push('make');
+    }
+    if (!data.model && decoded.model) {
+      data.model = decoded.model;
+      filled.push('model');
+    }
+  }
+
+  return {
+    decoded,
+    filled,
+    mismatches,
+    vinDecode: {
+      checkDigitValid: decoded.checkDigitValid,
+      decodedYear: decoded.modelYear,
+      decodedMake: decoded.make,
+      decodedModel: decoded.model,
+      sources: decoded.sources,
+      filledFields: filled,
+      mismatches,
+      hasMismatch: mismatches.length > 0 || !decoded.checkDigitValid,
+      decodedAt: new Date()
+    }
+  };
+}
+
+module.exports = {
+  normalizeVin,
+  calculateCheckDigit,
+  validateVin,
+  decodeVinLocal,
+  decodeVin,
+  findMismatches,
+  applyVinDecode,
+  setProvider,
+  getProviderName
+};
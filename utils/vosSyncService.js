@@ -0,0 +1,431 @@
+/**
+ * VOS Sync Service
+ *
+ * Keeps vehicles in step with VOS in both directions:
+ * - inbound: mergeVosUpdate() applies a VOS record to an existing vehicle using the field rules in
+ *   constants/vosSync.js; values a rule rejects are stored as conflicts on vehicle.vosSync
+ * - outbound: queueTransportJobStatus() is called by statusManager when a VOS vehicle's transport job
+ *   becomes Dispatched, In Transit or Delivered; messages are POSTed to VOS (VOS_API_URL) and
+ *   retried with backoff by the outbound worker. Messages of one vehicle are sent oldest first.
+ */
+
+const axios = require('axios');
+const Vehicle = require('../models/Vehicle');
+const TransportJob = require('../models/TransportJob');
+const VosOutboundMessage = require('../models/VosOutboundMessage');
+const { getRetryDelay } = require('./webhookService');
+const transactionService = require('./transactionService');
+const { VEHICLE_STATUS, TRANSPORT_JOB_STATUS } = require('../constants/status');
+const {
+  VOS_FIELD_RULES,
+  VOS_SYNCED_FIELDS,
+  VOS_OUTBOUND_STATUSES,
+  VOS_OUTBOUND_MESSAGE_STATUS
+} = require('../constants/vosSync');
+
+const VOS_SOURCES = ['VOS', 'VOS_IMPORT'];
+const STATUS_SYNC_PATH = process.env.VOS_STATUS_SYNC_PATH || '/api/ptg/status-updates';
+const REQUEST_TIMEOUT_MS = parseInt(process.env.VOS_SYNC_TIMEOUT_MS) || 10000;
+const FIRST_RETRY_DELAY_MS = getRetryDelay(1);
+const POLL_INTERVAL_MS = parseInt(process.env.VOS_SYNC_POLL_INTERVAL_MS) || 60 * 1000;
+const BATCH_SIZE = 25;
+const UNSENT_STATUSES = [VOS_OUTBOUND_MESSAGE_STATUS.PENDING, VOS_OUTBOUND_MESSAGE_STATUS.RETRYING];
+
+let outboundTimer = null;
+let processingQueue = false;
+
+const isOutboundConfigured = () => Boolean(process.env.VOS_API_URL);
+
+/**
+ * Whether a vehicle came from VOS (and should be kept in sync with it)
+ */
+const isVosLinked = (vehicle) => Boolean(vehicle) &&
+  (VOS_SOURCES.includes(vehicle.source) || Boolean(vehicle.vosSync?.vosTransportId));
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const valuesEqual = (a, b) => {
+  if (isBlank(a) && isBlank(b)) return true;
+  return String(a ?? '').trim().toLowerCase() === String(b ?? '').trim().toLowerCase();
+};
+
+/**
+ * Version of a VOS record: explicit `version`, otherwise its updatedAt in ms (null if neither is sent)
+ */
+function getVosVersion(vosData) {
+  if (vosData.version !== undefined && vosData.version !== null && !isNaN(Number(vosData.version))) {
+    return Number(vosData.version);
+  }
+  const updatedAt = vosData.updatedAt ? new Date(vosData.updatedAt).getTime() : NaN;
+  return isNaN(updatedAt) ? null : updatedAt;
+}
+
+/**
+ * Map a VOS transport record to the synced vehicle fields it contains
+ * (same mapping as the initial import, without the import defaults)
+ */
+function mapVosFields(vosData) {
+  const fields = {
+    year: vosData.year,
+    make: vosData.make,
+    model: vosData.model,
+    shipperName: vosData.buyerName || vosData.shipperName,
+    shipperCompany: vosData.shipperCompany,
+    shipperEmail: vosData.shipperEmail,
+    shipperPhone: vosData.shipperPhone,
+    deliveryPriority: vosData.deliveryPriority,
+    notes: vosData.notes,
+    documents: Array.isArray(vosData.documents) ? vosData.documents : undefined
+  };
+
+  Object.keys(fields).forEach(field => {
+    if (fields[field] === undefined || fields[field] === null) delete fields[field];
+  });
+  return fields;
+}
+
+const clearConflict = (vehicle, field) => {
+  vehicle.vosSync.conflicts = (vehicle.vosSync.conflicts || []).filter(conflict => conflict.field !== field);
+};
+
+const setConflict = (vehicle, conflict) => {
+  clearConflict(vehicle, conflict.field);
+  vehicle.vosSync.conflicts.push({ ...conflict, detectedAt: new Date() });
+};
+
+/**
+ * Merge a VOS record into an existing vehicle (the caller saves it)
+ * @param {Object} vehicle - Vehicle document
+ * @param {Object} vosData - VOS transport record
+ * @returns {Object} { skipped, reason, version, applied: [field], conflicts: [{ field, vosValue, ptgValue, rule }] }
+ */
+function mergeVosUpdate(vehicle, vosData) {
+  const version = getVosVersion(vosData);
+  const lastSyncedVersion = vehicle.vosSync?.lastSyncedVersion;
+
+  if (version !== null && lastSyncedVersion !== undefined && lastSyncedVersion !== null && version <= lastSyncedVersion) {
+    return {
+      skipped: true,
+      reason: `VOS version ${version} is not newer than the last synced version ${lastSyncedVersion}`,
+      version,
+      applied: [],
+      conflicts: []
+    };
+  }
+
+  if (!vehicle.vosSync) vehicle.vosSync = {};
+  if (!vehicle.vosSync.conflicts) vehicle.vosSync.conflicts = [];
+
+  const localOverrides = new Set(vehicle.vosSync.localOverrides || []);
+  const pickedUp = [VEHICLE_STATUS.IN_TRANSPORT, VEHICLE_STATUS.DELIVERED].includes(vehicle.status);
+  const applied = [];
+  const conflicts = [];
+
+  Object.entries(mapVosFields(vosData)).forEach(([field, vosValue]) => {
+    const rule = VOS_SYNCED_FIELDS[field];
+
+    if (rule === VOS_FIELD_RULES.MERGE) {
+      const knownUrls = new Set((vehicle[field] || []).map(entry => entry.url));
+      const added = vosValue.filter(entry => entry && entry.url && !knownUrls.has(entry.url));
+      if (added.length > 0) {
+        vehicle[field].push(...added);
+        applied.push(field);
+      }
+      return;
+    }
+
+    const ptgValue = vehicle[field];
+    if (valuesEqual(ptgValue, vosValue)) {
+      clearConflict(vehicle, field);
+      return;
+    }
+
+    let apply;
+    if (rule === VOS_FIELD_RULES.FILL_BLANK) {
+      // PTG owns the field once it has a value - not a conflict
+      if (!isBlank(ptgValue)) return;
+      apply = true;
+    } else if (rule === VOS_FIELD_RULES.VOS_UNTIL_IN_TRANSPORT) {
+      apply = !pickedUp;
+    } else {
+      apply = !localOverrides.has(field);
+    }
+
+    if (apply) {
+      vehicle[field] = vosValue;
+      clearConflict(vehicle, field);
+      applied.push(field);
+    } else {
+      const conflict = { field, vosValue, ptgValue, rule };
+      setConflict(vehicle, conflict);
+      conflicts.push(conflict);
+    }
+  });
+
+  if (vosData._id) vehicle.vosSync.vosTransportId = vosData._id.toString();
+  if (version !== null) vehicle.vosSync.lastSyncedVersion = version;
+  vehicle.vosSync.lastInboundAt = new Date();
+
+  const externalUserId = vosData.createdBy?._id || vosData.createdBy;
+  if (!vehicle.externalUserId && externalUserId) {
+    vehicle.externalUserId = externalUserId.toString();
+    vehicle.externalUserEmail = vosData.createdBy?.email;
+  }
+
+  return { skipped: false, reason: null, version, applied, conflicts };
+}
+
+/**
+ * Synced fields a PTG update changes on a vehicle - recorded as local overrides so VOS stops overwriting them
+ * @param {Object} vehicle - Vehicle before the update
+ * @param {Object} updateData - Update body
+ * @returns {string[]} Field names
+ */
+function getLocalEdits(vehicle, updateData) {
+  return Object.keys(VOS_SYNCED_FIELDS).filter(field =>
+    VOS_SYNCED_FIELDS[field] === VOS_FIELD_RULES.VOS_UNLESS_LOCAL_EDIT &&
+    updateData[field] !== undefined &&
+    !valuesEqual(vehicle[field], updateData[field])
+  );
+}
+
+/**
+ * Whether an older message of the same vehicle is still waiting to be sent
+ */
+const hasEarlierUnsentMessage = (message) => VosOutboundMessage.exists({
+  _id: { $ne: message._id },
+  vehicleId: message.vehicleId,
+  status: { $in: UNSENT_STATUSES },
+  createdAt: { $lt: message.createdAt }
+});
+
+/**
+ * Send one attempt of an outbound message and record the outcome
+ * @param {string|Object} messageOrId - VosOutboundMessage document or ID
+ * @returns {Promise<Object|null>} Updated message
+ */
+async function attemptOutbound(messageOrId) {
+  const message = typeof messageOrId === 'object' && messageOrId.save
+    ? messageOrId
+    : await VosOutboundMessage.findById(messageOrId);
+  if (!message || message.status === VOS_OUTBOUND_MESSAGE_STATUS.SUCCEEDED) return message;
+
+  // Keep the message queued (without spending attempts) until VOS is configured
+  if (!isOutboundConfigured()) return message;
+
+  const attempt = { attemptedAt: new Date() };
+  const startedAt = Date.now();
+  let succeeded = false;
+
+  try {
+    const response = await axios.post(`${process.env.VOS_API_URL.replace(/\/$/, '')}${STATUS_SYNC_PATH}`, message.payload, {
+      timeout: REQUEST_TIMEOUT_MS,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': process.env.VOS_API_KEY,
+        'X-PTG-Message-Id': message._id.toString()
+      },
+      validateStatus: () => true
+    });
+
+    attempt.statusCode = response.status;
+    succeeded = response.status >= 200 && response.status < 300;
+    if (!succeeded) {
+      attempt.error = `VOS responded with HTTP ${response.status}`;
+    }
+  } catch (error) {
+    attempt.error = error.code ? `${error.code}: ${error.message}` : error.message;
+  }
+
+  attempt.durationMs = Date.now() - startedAt;
+  message.attempts.push(attempt);
+  message.attemptCount += 1;
+  message.lastError = attempt.error;
+
+  if (succeeded) {
+    message.status = VOS_OUTBOUND_MESSAGE_STATUS.SUCCEEDED;
+    message.sentAt = new Date();
+    message.nextAttemptAt = undefined;
+  } else if (message.attemptCount < message.maxAttempts) {
+    message.status = VOS_OUTBOUND_MESSAGE_STATUS.RETRYING;
+    message.nextAttemptAt = new Date(Date.now() + getRetryDelay(message.attemptCount));
+  } else {
+    message.status = VOS_OUTBOUND_MESSAGE_STATUS.FAILED;
+    message.nextAttemptAt = undefined;
+  }
+  await message.save();
+
+  if (succeeded) {
+    await Vehicle.findByIdAndUpdate(message.vehicleId, {
+      'vosSync.lastOutboundAt': message.sentAt,
+      'vosSync.lastOutboundStatus': message.vosStatus,
+      $unset: { 'vosSync.lastOutboundError': 1 }
+    });
+  } else if (message.status === VOS_OUTBOUND_MESSAGE_STATUS.FAILED) {
+    await Vehicle.findByIdAndUpdate(message.vehicleId, {
+      'vosSync.lastOutboundError': `${message.vosStatus} update failed after ${message.attemptCount} attempts: ${message.lastError}`
+    });
+  }
+
+  return message;
+}
+
+/**
+ * Queue the current status of a transport job for VOS (Dispatched, In Transit -> In Transport, Delivered)
+ * Never throws - VOS problems must not break status transitions
+ * @param {string} transportJobId - Transport job ID
+ * @returns {Promise<Object|null>} Created message, or null when nothing is sent
+ */
+async function queueTransportJobStatus(transportJobId) {
+  try {
+    if (!isOutboundConfigured()) return null;
+
+    const job = await TransportJob.findById(transportJobId)
+      .select('jobNumber status loadType vehicleId pickupPhotos deliveryPhotos billOfLading')
+      .populate('vehicleId', 'vin source externalUserId vosSync');
+    const vosStatus = job && VOS_OUTBOUND_STATUSES[job.status];
+    if (!vosStatus || job.loadType !== 'vehicle' || !isVosLinked(job.vehicleId)) return null;
+
+    const vehicle = job.vehicleId;
+
+    // The same transition saved twice is only reported once
+    const queued = await VosOutboundMessage.exists({
+      transportJobId: job._id,
+      vosStatus,
+      status: { $in: UNSENT_STATUSES }
+    });
+    if (queued) return null;
+
+    const isDelivered = job.status === TRANSPORT_JOB_STATUS.DELIVERED;
+    let photos = [];
+    if (isDelivered) {
+      photos = job.deliveryPhotos || [];
+    } else if (job.status === TRANSPORT_JOB_STATUS.IN_TRANSIT) {
+      photos = job.pickupPhotos || [];
+    }
+
+    const message = await VosOutboundMessage.create({
+      vehicleId: vehicle._id,
+      transportJobId: job._id,
+      vin: vehicle.vin,
+      vosStatus,
+      payload: {
+        vin: vehicle.vin,
+        vosTransportId: vehicle.vosSync?.vosTransportId,
+        externalUserId: vehicle.externalUserId,
+        ptgVehicleId: vehicle._id,
+        status: vosStatus,
+        transportJob: {
+          transportJobId: job._id,
+          jobNumber: job.jobNumber,
+          status: job.status
+        },
+        photos,
+        billOfLadingUrl: isDelivered ? job.billOfLading : undefined,
+        occurredAt: new Date().toISOString()
+      },
+      // Picked up by the worker only if the immediate attempt below never completes
+      nextAttemptAt: new Date(Date.now() + FIRST_RETRY_DELAY_MS)
+    });
+
+    // Send in the background unless an older update of this vehicle is still queued
+    // (after the commit when queued inside a transaction)
+    if (!(await hasEarlierUnsentMessage(message))) {
+      transactionService.afterCommit(() => attemptOutbound(message._id).catch(error => {
+        console.error(`VOS sync message ${message._id} failed:`, error.message);
+      }));
+    }
+
+    return message;
+  } catch (error) {
+    console.error(`Error queueing VOS status update for transport job ${transportJobId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Put a failed message back in the queue and try it again
+ * @param {string} messageId - VosOutboundMessage ID
+ * @param {string} userId - Admin retrying it
+ * @returns {Promise<Object|null>} The message after the attempt (null if not found)
+ */
+async function retryMessage(messageId, userId) {
+  const message = await VosOutboundMessage.findById(messageId);
+  if (!message) return null;
+
+  if (message.status !== VOS_OUTBOUND_MESSAGE_STATUS.FAILED) {
+    throw new Error(`Only failed messages can be retried (message is ${message.status})`);
+  }
+
+  message.status = VOS_OUTBOUND_MESSAGE_STATUS.PENDING;
+  message.maxAttempts = message.attemptCount + VosOutboundMessage.schema.path('maxAttempts').defaultValue;
+  message.nextAttemptAt = new Date(Date.now() + FIRST_RETRY_DELAY_MS);
+  message.retriedBy = userId;
+  await message.save();
+
+  if (await hasEarlierUnsentMessage(message)) return message;
+  return attemptOutbound(message);
+}
+
+/**
+ * Attempt every queued message whose time has come, oldest first per vehicle
+ * @returns {Promise<number>} Messages attempted
+ */
+async function processOutboundQueue() {
+  if (processingQueue || !isOutboundConfigured()) return 0;
+  processingQueue = true;
+
+  try {
+    const due = await VosOutboundMessage.find({
+      status: { $in: UNSENT_STATUSES },
+      nextAttemptAt: { $lte: new Date() }
+    })
+      .sort({ createdAt: 1 })
+      .limit(BATCH_SIZE);
+
+    let attempted = 0;
+    for (const message of due) {
+      if (await hasEarlierUnsentMessage(message)) continue;
+      await attemptOutbound(message);
+      attempted += 1;
+    }
+    return attempted;
+  } catch (error) {
+    console.error('Error processing VOS sync queue:', error);
+    return 0;
+  } finally {
+    processingQueue = false;
+  }
+}
+
+/**
+ * Start polling the outbound queue (no-op if already running)
+ */
+function startOutboundWorker() {
+  if (outboundTimer) return;
+  outboundTimer = setInterval(processOutboundQueue, POLL_INTERVAL_MS);
+  // Don't keep the process alive just for VOS sync
+  if (outboundTimer.unref) outboundTimer.unref();
+}
+
+function stopOutboundWorker() {
+  if (outboundTimer) {
+    clearInterval(outboundTimer);
+    outboundTimer = null;
+  }
+}
+
+module.exports = {
+  isOutboundConfigured,
+  isVosLinked,
+  getVosVersion,
+  mapVosFields,
+  mergeVosUpdate,
+  getLocalEdits,
+  attemptOutbound,
+  queueTransportJobStatus,
+  retryMessage,
+  processOutboundQueue,
+  startOutboundWorker,
+  stopOutboundWorker
+};
@@ -0,0 +1,281 @@
+/**
+ * Webhook Service
+ *
+ * Delivers status-change events to registered endpoints:
+ * - emitEvent() is called by statusManager with the organization of the changed record; it persists
+ *   one WebhookDelivery per subscribed endpoint of that organization and attempts it right away
+ *   without blocking the caller
+ * - payloads are signed with the endpoint secret: X-PTG-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ * - failed deliveries are retried with exponential backoff by the retry worker until maxAttempts
+ * - any delivery can be replayed as a new delivery of the same event
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const transactionService = require('./transactionService');
+const { WEBHOOK_ALL_EVENTS, WEBHOOK_DELIVERY_STATUS } = require('../constants/webhooks');
+
+const REQUEST_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const RETRY_BASE_DELAY_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY_MS) || 30 * 1000;
+const RETRY_MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+const RETRY_POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_RETRY_POLL_INTERVAL_MS) || 60 * 1000;
+const RETRY_BATCH_SIZE = 25;
+const MAX_RESPONSE_BODY_LENGTH = 1000;
+
+let retryTimer = null;
+let processingRetries = false;
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Signature header value for a payload body
+ * @param {string} secret - Endpoint secret
+ * @param {string} body - Exact JSON body sent
+ * @param {number} timestamp - Unix seconds
+ */
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Delay before the next attempt: base * 2^(attempt - 1), capped, with up to 10% jitter
+ * @param {number} attemptCount - Attempts made so far (>= 1)
+ */
+function getRetryDelay(attemptCount) {
+  const delay = Math.min(RETRY_BASE_DELAY_MS * Math.pow(2, attemptCount - 1), RETRY_MAX_DELAY_MS);
+  return Math.round(delay + delay * 0.1 * Math.random());
+}
+
+/**
+ * Send one attempt of a delivery and record the outcome
+ * @param {string|Object} deliveryOrId - WebhookDelivery document or ID
+ * @returns {Promise<Object|null>} Updated delivery
+ */
+async function attemptDelivery(deliveryOrId) {
+  const delivery = typeof deliveryOrId === 'object' && deliveryOrId.save
+    ? deliveryOrId
+    : await WebhookDelivery.findById(deliveryOrId);
+  if (!delivery || delivery.status === WEBHOOK_DELIVERY_STATUS.SUCCEEDED) return delivery;
+
+  const endpoint = await WebhookEndpoint.findById(delivery.endpointId).select('+secret');
+  const attempt = { attemptedAt: new Date() };
+
+  if (!endpoint) {
+    attempt.error = 'Webhook endpoint no longer exists';
+    delivery.attempts.push(attempt);
+    delivery.attemptCount += 1;
+    delivery.status = WEBHOOK_DELIVERY_STATUS.FAILED;
+    delivery.nextAttemptAt = undefined;
+    await delivery.save();
+    return delivery;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const startedAt = Date.now();
+  let succeeded = false;
+
+  try {
+    const response = await axios.post(endpoint.url, body, {
+      timeout: REQUEST_TIMEOUT_MS,
+      headers: {
+        ...(endpoint.headers ? Object.fromEntries(endpoint.headers) : {}),
+        'Content-Type': 'application/json',
+        'User-Agent': 'PTG-Webhooks/1.0',
+        'X-PTG-Event': delivery.event,
+        'X-PTG-Event-Id': delivery.eventId,
+        'X-PTG-Delivery': delivery._id.toString(),
+        'X-PTG-Signature': signPayload(endpoint.secret, body)
+      },
+      // Record every HTTP status instead of throwing on non-2xx
+      validateStatus: () => true,
+      maxRedirects: 0
+    });
+
+    attempt.statusCode = response.status;
+    attempt.responseBody = typeof response.data === 'string'
+      ? response.data.slice(0, MAX_RESPONSE_BODY_LENGTH)
+      : JSON.stringify(response.data || '').slice(0, MAX_RESPONSE_BODY_LENGTH);
+    succeeded = response.status >= 200 && response.status < 300;
+    if (!succeeded) {
+      attempt.error = `Endpoint responded with HTTP ${response.status}`;
+    }
+  } catch (error) {
+    attempt.error = error.code ? `${error.code}: ${error.message}` : error.message;
+  }
+
+  attempt.durationMs = Date.now() - startedAt;
+  delivery.attempts.push(attempt);
+  delivery.attemptCount += 1;
+
+  if (succeeded) {
+    delivery.status = WEBHOOK_DELIVERY_STATUS.SUCCEEDED;
+    delivery.deliveredAt = new Date();
+    delivery.nextAttemptAt = undefined;
+  } else if (delivery.attemptCount < delivery.maxAttempts) {
+    delivery.status = WEBHOOK_DELIVERY_STATUS.RETRYING;
+    delivery.nextAttemptAt = new Date(Date.now() + getRetryDelay(delivery.attemptCount));
+  } else {
+    delivery.status = WEBHOOK_DELIVERY_STATUS.FAILED;
+    delivery.nextAttemptAt = undefined;
+  }
+  await delivery.save();
+
+  await WebhookEndpoint.findByIdAndUpdate(endpoint._id, succeeded
+    ? { lastDeliveryAt: attempt.attemptedAt, lastSuccessAt: attempt.attemptedAt, consecutiveFailures: 0 }
+    : { lastDeliveryAt: attempt.attemptedAt, lastFailureAt: attempt.attemptedAt, $inc: { consecutiveFailures: 1 } });
+
+  return delivery;
+}
+
+/**
+ * Persist and send an event to every active endpoint of an organization subscribed to it
+ * Never throws - webhook problems must not break status transitions
+ * Inside a transaction the event is emitted once the transaction commits (and returns no deliveries)
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {Object} data - Event data
+ * @param {string|ObjectId} organizationId - Organization of the record the event is about; endpoints are
+ *   always filtered by it, since status changes also happen without a tenant context
+ * @returns {Promise<Array>} Created deliveries
+ */
+async function emitEvent(event, data, organizationId) {
+  if (transactionService.isInTransaction()) {
+    transactionService.afterCommit(() => emitEvent(event, data, organizationId));
+    return [];
+  }
+
+  if (!organizationId) {
+    console.error(`Webhook event ${event} has no organization; not sent`);
+    return [];
+  }
+
+  try {
+    const endpoints = await WebhookEndpoint.find({
+      organizationId,
+      active: true,
+      events: { $in: [event, WEBHOOK_ALL_EVENTS] }
+    }).select('maxAttempts');
+
+    if (endpoints.length === 0) return [];
+
+    const eventId = `evt_${crypto.randomBytes(12).toString('hex')}`;
+    const payload = {
+      id: eventId,
+      event,
+      createdAt: new Date().toISOString(),
+      data
+    };
+
+    const deliveries = await WebhookDelivery.insertMany(endpoints.map(endpoint => ({
+      organizationId,
+      endpointId: endpoint._id,
+      event,
+      eventId,
+      payload,
+      maxAttempts: endpoint.maxAttempts,
+      // Picked up by the retry worker only if the immediate attempt below never completes
+      nextAttemptAt: new Date(Date.now() + RETRY_BASE_DELAY_MS)
+    })));
+
+    // Send in the background; failures are picked up by the retry worker
+    deliveries.forEach(delivery => {
+      attemptDelivery(delivery._id).catch(error => {
+        console.error(`Webhook delivery ${delivery._id} failed:`, error.message);
+      });
+    });
+
+    return deliveries;
+  } catch (error) {
+    console.error(`Error emitting webhook event ${event}:`, error);
+    return [];
+  }
+}
+
+/**
+ * Create a new delivery of an earlier delivery's event (same eventId and payload) and send it
+ * @param {string} deliveryId - Delivery to replay
+ * @param {string} userId - Admin replaying it
+ * @returns {Promise<Object|null>} The replay delivery after its first attempt
+ */
+async function replayDelivery(deliveryId, userId) {
+  const original = await WebhookDelivery.findById(deliveryId);
+  if (!original) return null;
+
+  const endpoint = await WebhookEndpoint.findById(original.endpointId).select('maxAttempts');
+  if (!endpoint) {
+    throw new Error('Webhook endpoint no longer exists');
+  }
+
+  const replay = await WebhookDelivery.create({
+    organizationId: original.organizationId,
+    endpointId: original.endpointId,
+    event: original.event,
+    eventId: original.eventId,
+    payload: original.payload,
+    maxAttempts: endpoint.maxAttempts,
+    nextAttemptAt: new Date(Date.now() + RETRY_BASE_DELAY_MS),
+    replayOf: original._id,
+    replayedBy: userId
+  });
+
+  return attemptDelivery(replay);
+}
+
+/**
+ * Attempt every delivery whose retry time has come
+ * @returns {Promise<number>} Deliveries attempted
+ */
+async function processDueRetries() {
+  if (processingRetries) return 0;
+  processingRetries = true;
+
+  try {
+    const due = await WebhookDelivery.find({
+      status: { $in: [WEBHOOK_DELIVERY_STATUS.PENDING, WEBHOOK_DELIVERY_STATUS.RETRYING] },
+      nextAttemptAt: { $lte: new Date() }
+    })
+      .sort({ nextAttemptAt: 1 })
+      .limit(RETRY_BATCH_SIZE);
+
+    for (const delivery of due) {
+      await attemptDelivery(delivery);
+    }
+    return due.length;
+  } catch (error) {
+    console.error('Error processing webhook retries:', error);
+    return 0;
+  } finally {
+    processingRetries = false;
+  }
+}
+
+/**
+ * Start polling for due retries (no-op if already running)
+ */
+function startRetryWorker() {
+  if (retryTimer) return;
+  retryTimer = setInterval(processDueRetries, RETRY_POLL_INTERVAL_MS);
+  // Don't keep the process alive just for webhook retries
+  if (retryTimer.unref) retryTimer.unref();
+}
+
+function stopRetryWorker() {
+  if (retryTimer) {
+    clearInterval(retryTimer);
+    retryTimer = null;
+  }
+}
+
+module.exports = {
+  generateSecret,
+  signPayload,
+  getRetryDelay,
+  attemptDelivery,
+  emitEvent,
+  replayDelivery,
+  processDueRetries,
+  startRetryWorker,
+  stopRetryWorker
+};